@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * chatgpt-export
+ * Converts saved ChatGPT conversation pages, or the conversations.json of an OpenAI data export,
+ * to Markdown, HTML, PDF, Word and JSON without a browser.
+ *
+ * Usage: chatgpt-export [--format md,html,pdf,print,docx,json,jsonl,finetune] [--all-branches] [--verbose] <file.html | conversations.json | directory>...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { FORMATS } = require('../cli/pipeline');
+const SavedPageExporter = require('../cli/saved-page-exporter');
+const ExportDataConverter = require('../cli/export-data-converter');
+
+const USAGE = `Usage: chatgpt-export [options] <file.html | conversations.json | directory>...
+
+Converts saved ChatGPT conversation pages offline. Outputs are written next to each input:
+  chat.html -> chat.md, chat.export.html, chat.pdf
+
+A conversations.json from an unzipped OpenAI "Export data" archive (or the folder containing it)
+is converted to one file per conversation plus index.md in a "conversations" folder next to it.
+
+Options:
+  -f, --format <list>  Comma-separated formats: md, obsidian (Obsidian note, images in attachments/),
+                       html, pdf, print (print-ready HTML), docx (Word), json, jsonl,
+                       finetune (OpenAI fine-tuning examples), report / report-html (the Deep
+                       Research report alone, with a table of contents; skipped for conversations
+                       without one), gallery (the generated images in a .images/ folder with their
+                       captions.json; skipped for conversations without any). Default: md
+  -b, --all-branches   Include edited prompts and regenerated replies (conversations.json only;
+                       saved pages contain just the branch that was showing)
+  --assets             Markdown: save images as files in an assets/ folder next to the output
+                       instead of inlining them as data URLs
+  --attachment-files   Include the files uploaded with prompts (PDFs, spreadsheets, ...) when the
+                       data export contains them (conversations.json only)
+  --reasoning          Include the thinking summaries of reasoning models ("Thought for 12 seconds")
+  --canvas-versions    Also export the earlier versions of Canvas documents
+  --filename-template <template>
+                       Name outputs from a template, e.g. "{date}_{title}_{id}". Tokens: {title},
+                       {date}, {time}, {id}, {model}, {platform}, {count} (messages). Saved pages
+                       are otherwise named after the input file, data exports "{title} ({date})"
+  --slugify            File names in lowercase words joined by hyphens
+  --max-length <n>     Longest file name, suffix included; titles are shortened to fit
+                       (data exports default to 120)
+  -v, --verbose        Show the extraction log
+  -h, --help           Show this help
+
+Fine-tuning options (--format finetune):
+  --system-prompt <text>  Add a system message to every example
+  --drop-images           Leave images out of user messages
+  --max-turns <n>         Keep only the last n turns (a prompt and its reply) of each example
+  --split-turns           One example per assistant reply, with the conversation up to it`;
+
+/**
+ * Expand directories into the saved pages they contain (not recursive).
+ * A directory holding conversations.json is treated as an unzipped data export.
+ */
+function collectInputs(inputs, exporter) {
+    const files = [];
+
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) {
+            throw new Error(`No such file or directory: ${input}`);
+        }
+
+        if (!fs.statSync(input).isDirectory()) {
+            files.push(input);
+        } else if (fs.existsSync(path.join(input, 'conversations.json'))) {
+            files.push(path.join(input, 'conversations.json'));
+        } else {
+            fs.readdirSync(input)
+                .filter(name => /\.html?$/i.test(name) && !exporter.isOutputFile(name))
+                .sort()
+                .forEach(name => files.push(path.join(input, name)));
+        }
+    }
+
+    return files;
+}
+
+function parseFormats(value) {
+    const formats = [...new Set(value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean))];
+    const unknown = formats.filter(format => !FORMATS[format]);
+    if (unknown.length > 0 || formats.length === 0) {
+        throw new Error(`Unknown format: ${unknown.join(', ') || value} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return formats;
+}
+
+function parseFineTuningOptions(values) {
+    const maxTurns = values['max-turns'] === undefined ? 0 : Number(values['max-turns']);
+    if (!Number.isInteger(maxTurns) || maxTurns < 0) {
+        throw new Error(`--max-turns must be a positive whole number, got "${values['max-turns']}"`);
+    }
+
+    return {
+        systemPrompt: values['system-prompt'] || '',
+        dropImages: values['drop-images'],
+        maxTurns,
+        splitPerAssistantTurn: values['split-turns']
+    };
+}
+
+/**
+ * FileDownloader naming options, or null when no naming flag was given
+ */
+function parseFilenameOptions(values) {
+    const maxLength = values['max-length'] === undefined ? 0 : Number(values['max-length']);
+    if (!Number.isInteger(maxLength) || maxLength < 0) {
+        throw new Error(`--max-length must be a positive whole number, got "${values['max-length']}"`);
+    }
+    if (!values['filename-template'] && !values.slugify && !maxLength) {
+        return null;
+    }
+
+    return {
+        template: values['filename-template'] || null,
+        slugify: values.slugify,
+        maxLength
+    };
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'md' },
+            'all-branches': { type: 'boolean', short: 'b', default: false },
+            assets: { type: 'boolean', default: false },
+            'attachment-files': { type: 'boolean', default: false },
+            reasoning: { type: 'boolean', default: false },
+            'canvas-versions': { type: 'boolean', default: false },
+            'filename-template': { type: 'string' },
+            slugify: { type: 'boolean', default: false },
+            'max-length': { type: 'string' },
+            'system-prompt': { type: 'string' },
+            'drop-images': { type: 'boolean', default: false },
+            'max-turns': { type: 'string' },
+            'split-turns': { type: 'boolean', default: false },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const formats = parseFormats(values.format);
+    const rendererOptions = { ...parseFineTuningOptions(values), assetFolder: values.assets ? 'assets' : null };
+    const filenameOptions = parseFilenameOptions(values);
+    const exporter = new SavedPageExporter({
+        verbose: values.verbose,
+        includeReasoning: values.reasoning,
+        canvasVersions: values['canvas-versions'],
+        filenameOptions,
+        rendererOptions
+    });
+    const converter = new ExportDataConverter({
+        verbose: values.verbose,
+        allBranches: values['all-branches'],
+        attachmentFiles: values['attachment-files'],
+        includeReasoning: values.reasoning,
+        canvasVersions: values['canvas-versions'],
+        filenameOptions,
+        rendererOptions
+    });
+    const files = collectInputs(positionals, exporter);
+    let failed = 0;
+
+    for (const file of files) {
+        console.log(file);
+        try {
+            if (/\.json$/i.test(file)) {
+                const { outputDir, count } = converter.convertFile(file, formats);
+                console.log(`  -> ${count} conversations in ${outputDir}`);
+            } else {
+                const outputs = await exporter.exportFile(file, formats);
+                outputs.forEach(output => console.log(`  -> ${output}`));
+            }
+        } catch (error) {
+            failed++;
+            console.error(`  Failed: ${error.message}`);
+        }
+    }
+
+    console.log(`Exported ${files.length - failed}/${files.length} file(s)`);
+    return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+        console.error(`chatgpt-export: ${error.message}`);
+        process.exitCode = 2;
+    }
+);
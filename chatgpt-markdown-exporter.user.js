@@ -7,385 +7,6271 @@
 // @match        https://chat.openai.com/*
 // @match        https://chatgpt.com/*
 // @match        https://chatgpt.com/c/*
-// @grant        none
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
 // @license      MIT
 // ==/UserScript==
 
-(() => {
-    'use strict';
+// Generated by scripts/build.js from entries/chatgpt-markdown-exporter.user.js - edit the sources, then run `npm run build`.
+(async () => {
+'use strict';
 
-    function formatDate(date = new Date()) {
-        return date.toISOString().split('T')[0];
-    }
-
-    function cleanMarkdown(text) {
-        return text
-            // Only escape backslashes that aren't already escaping something
-            .replace(/\\(?![\\*_`])/g, '\\\\')
-            // Clean up excessive newlines
-            .replace(/\n{3,}/g, '\n\n')
-            // Remove any HTML entities that might have leaked through
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&amp;/g, '&');
-    }
+// ---- core/dom-analyzer.js ----
 
-    function processMessageContent(element) {
-        const clone = element.cloneNode(true);
+/**
+ * ChatGPT DOM Analyzer - Phase 1.1 Implementation
+ * Analyzes and validates DOM selectors for robust chat export
+ */
 
-        // Remove UI elements that shouldn't be in the export
-        clone.querySelectorAll('button, svg, [class*="copy"], [class*="edit"], [class*="regenerate"]').forEach(el => el.remove());
-
-        // Replace <pre><code> blocks with proper markdown
-        clone.querySelectorAll('pre').forEach(pre => {
-            const code = pre.innerText.trim();
-            const langMatch = pre.querySelector('code')?.className?.match(/language-([a-zA-Z0-9]+)/);
-            const lang = langMatch ? langMatch[1] : '';
-            const codeBlock = document.createTextNode(`\n\n\`\`\`${lang}\n${code}\n\`\`\`\n`);
-            pre.parentNode.replaceChild(codeBlock, pre);
-        });
+class ChatGPTDOMAnalyzer {
+    constructor() {
+        this.selectorStrategies = {
+            // Modern data-attribute based selectors (highest priority)
+            dataAttributes: [
+                '[data-testid*="conversation"]',
+                '[data-testid*="message"]',
+                '[data-message-author-role]',
+                '[data-message-id]',
+                '[data-conversation-id]'
+            ],
+            
+            // ARIA and accessibility selectors (high priority)
+            ariaSelectors: [
+                '[role="article"]',
+                '[role="group"][aria-label*="message"]',
+                '[role="log"]',
+                '[aria-label*="conversation"]',
+                '[aria-label*="chat"]'
+            ],
+            
+            // Semantic HTML selectors (medium priority)
+            semanticSelectors: [
+                'main article',
+                'main section',
+                '.conversation',
+                '.chat',
+                '.message'
+            ],
+            
+            // Content-based selectors (low priority, last resort)
+            contentSelectors: [
+                'div[class*="group"]',
+                '.text-base',
+                '.whitespace-pre-wrap',
+                '.markdown',
+                '.prose'
+            ]
+        };
+        
+        this.validationResults = {};
+        this.reliabilityScores = {};
+    }
 
-        // Replace images and canvas with placeholders
-        clone.querySelectorAll('img, canvas').forEach(el => {
-            const placeholder = document.createTextNode('[Image or Canvas]');
-            el.parentNode.replaceChild(placeholder, el);
-        });
+    /**
+     * Analyze the current page DOM structure
+     */
+    analyzePage() {
+        const analysis = {
+            timestamp: new Date().toISOString(),
+            url: window.location.href,
+            pageStructure: this.getPageStructure(),
+            conversationContainer: this.findConversationContainer(),
+            messageContainers: this.findMessageContainers(),
+            senderIdentification: this.analyzeSenderPatterns(),
+            contentStructure: this.analyzeContentStructure(),
+            metadataElements: this.findMetadataElements()
+        };
 
-        // Convert links (including reference chips) into Markdown format
-        clone.querySelectorAll('a[href]').forEach(link => {
-            if (link.closest('pre, code')) return;
-
-            const href = (link.href || '').trim();
-            const lowerHref = href.toLowerCase();
-            if (!href || lowerHref.startsWith('javascript:') || lowerHref.startsWith('data:') || lowerHref.startsWith('vbscript:') || href.startsWith('#')) return;
-
-            const text = link.textContent.replace(/\s+/g, ' ').trim() || href;
-            const escapedText = text
-                .replace(/\\/g, '\\\\')
-                .replace(/([\[\]])/g, '\\$1');
-            const safeHref = href
-                .replace(/\\/g, '%5C')
-                .replace(/\)/g, '%29');
-            const markdown = `[${escapedText}](${safeHref})`;
-            link.parentNode.replaceChild(document.createTextNode(markdown), link);
-        });
+        console.log('ChatGPT DOM Analysis:', analysis);
+        return analysis;
+    }
 
-        // Convert remaining HTML to clean markdown text
-        return cleanMarkdown(clone.innerText.trim());
+    /**
+     * Get high-level page structure information
+     */
+    getPageStructure() {
+        return {
+            title: document.title,
+            bodyClasses: Array.from(document.body.classList),
+            mainElement: !!document.querySelector('main'),
+            navElement: !!document.querySelector('nav'),
+            asideElement: !!document.querySelector('aside'),
+            reactRoot: !!document.querySelector('#__next, [data-reactroot]'),
+            totalElements: document.querySelectorAll('*').length,
+            scriptsCount: document.querySelectorAll('script').length
+        };
     }
 
-    function findMessages() {
-        // More specific selectors to avoid nested elements
-        const selectors = [
-            'div[data-message-author-role]', // Modern ChatGPT with clear author role
-            'article[data-testid*="conversation-turn"]', // Conversation turns
-            'div[data-testid="conversation-turn"]', // Specific conversation turn
-            '.group\\/conversation-turn', // Fix for issue #6: More specific selector for conversation turns
-            'div[class*="group"]:not([class*="group"] [class*="group"])', // Top-level groups only
+    /**
+     * Find the main conversation container using multiple strategies
+     */
+    findConversationContainer() {
+        const strategies = [
+            // Strategy 1: Data attributes
+            () => document.querySelector('[data-testid*="conversation"], [data-testid*="chat"]'),
+            
+            // Strategy 2: ARIA roles
+            () => document.querySelector('[role="log"], [role="main"][aria-label*="conversation"]'),
+            
+            // Strategy 3: Semantic structure
+            () => document.querySelector('main section, main article, main div[class*="conversation"]'),
+            
+            // Strategy 4: Content-based detection
+            () => {
+                const candidates = document.querySelectorAll('div, section, main');
+                for (const candidate of candidates) {
+                    if (this.hasConversationContent(candidate)) {
+                        return candidate;
+                    }
+                }
+                return null;
+            }
         ];
 
-        let messages = [];
-        for (const selector of selectors) {
-            messages = document.querySelectorAll(selector);
-            if (messages.length > 0) {
-                console.log(`Using selector: ${selector}, found ${messages.length} messages`);
-                break;
+        for (let i = 0; i < strategies.length; i++) {
+            const result = strategies[i]();
+            if (result) {
+                return {
+                    element: result,
+                    strategy: i + 1,
+                    selector: this.generateSelector(result),
+                    confidence: this.calculateConfidence(result, 'conversation')
+                };
             }
         }
 
-        if (messages.length === 0) {
-            // Fallback: try to find conversation container and parse its structure
-            const conversationContainer = document.querySelector('[role="main"], main, .conversation, [class*="conversation"]');
-            if (conversationContainer) {
-                // Look for direct children that seem like message containers
-                messages = conversationContainer.querySelectorAll(':scope > div, :scope > article');
-                console.log(`Fallback: found ${messages.length} potential messages in conversation container`);
-            }
-        }
+        return null;
+    }
 
-        // Filter and validate messages
-        const validMessages = Array.from(messages).filter(msg => {
-            const text = msg.textContent.trim();
+    /**
+     * Find individual message containers
+     */
+    findMessageContainers() {
+        const strategies = [
+            // Strategy 1: Data attributes for messages
+            '[data-testid*="message"], [data-message-id], [data-message-author]',
             
-            // Must have substantial content
-            if (text.length < 30) return false;
-            if (text.length > 100000) return false;
+            // Strategy 2: ARIA article roles
+            '[role="article"], [role="group"][aria-label*="message"]',
             
-            // Skip elements that are clearly UI components
-            if (msg.querySelector('input[type="text"], textarea')) return false;
-            if (msg.classList.contains('typing') || msg.classList.contains('loading')) return false;
+            // Strategy 3: Common message patterns
+            'main article, main > div > div[class], .message, .chat-message',
             
-            // Must contain meaningful content (not just buttons/UI)
-            const meaningfulText = text.replace(/\s+/g, ' ').trim();
-            if (meaningfulText.split(' ').length < 5) return false;
+            // Strategy 4: Legacy selectors (current codebase)
+            'div[class*="group"], .text-base',
             
-            return true;
-        });
-
-        // Remove nested messages and consolidate content
-        const consolidatedMessages = [];
-        const usedElements = new Set();
+            // Strategy 5: Content-based detection
+            null // Handled separately
+        ];
 
-        validMessages.forEach(msg => {
-            if (usedElements.has(msg)) return;
-            
-            // Check if this message is nested within another valid message
-            const isNested = validMessages.some(other => 
-                other !== msg && other.contains(msg) && !usedElements.has(other)
-            );
+        const results = [];
+        
+        for (const selector of strategies) {
+            if (!selector) continue;
             
-            if (!isNested) {
-                consolidatedMessages.push(msg);
-                usedElements.add(msg);
+            const elements = document.querySelectorAll(selector);
+            if (elements.length > 0) {
+                results.push({
+                    selector,
+                    count: elements.length,
+                    elements: Array.from(elements).slice(0, 5), // Sample first 5
+                    confidence: this.calculateSelectorConfidence(selector, elements)
+                });
             }
-        });
+        }
+
+        // Content-based detection
+        const contentBasedMessages = this.findMessagesByContent();
+        if (contentBasedMessages.length > 0) {
+            results.push({
+                selector: 'content-based',
+                count: contentBasedMessages.length,
+                elements: contentBasedMessages.slice(0, 5),
+                confidence: 0.6 // Lower confidence for content-based
+            });
+        }
 
-        return consolidatedMessages;
+        return results;
     }
 
-    function identifySender(messageElement, index, allMessages) {
-        // Method 1: Check for data attributes (most reliable)
-        const authorRole = messageElement.getAttribute('data-message-author-role');
-        if (authorRole) {
-            return authorRole === 'user' ? 'You' : 'ChatGPT';
+    /**
+     * Analyze sender identification patterns
+     */
+    analyzeSenderPatterns() {
+        const patterns = {
+            avatarImages: this.findAvatarPatterns(),
+            textualIndicators: this.findTextualSenderIndicators(),
+            structuralPatterns: this.findStructuralSenderPatterns(),
+            dataAttributes: this.findSenderDataAttributes()
+        };
+
+        return patterns;
+    }
+
+    /**
+     * Find avatar-based sender identification
+     */
+    findAvatarPatterns() {
+        const avatars = document.querySelectorAll('img[alt*="avatar"], img[alt*="user"], img[src*="avatar"]');
+        return {
+            count: avatars.length,
+            patterns: Array.from(avatars).map(img => ({
+                alt: img.alt,
+                src: img.src,
+                parentSelector: this.generateSelector(img.parentElement),
+                className: img.className
+            })).slice(0, 3)
+        };
+    }
+
+    /**
+     * Find textual sender indicators
+     */
+    findTextualSenderIndicators() {
+        const indicators = [];
+        const textNodes = this.getTextNodes();
+        
+        for (const node of textNodes) {
+            const text = node.textContent.trim();
+            if (/^(You|ChatGPT|Assistant|System)[:.]?\s*$/i.test(text)) {
+                indicators.push({
+                    text,
+                    element: node.parentElement,
+                    selector: this.generateSelector(node.parentElement)
+                });
+            }
         }
 
-        // Method 2: Look for avatar images with better detection
-        const avatars = messageElement.querySelectorAll('img');
-        for (const avatar of avatars) {
-            const alt = avatar.alt?.toLowerCase() || '';
-            const src = avatar.src?.toLowerCase() || '';
-            const classes = avatar.className?.toLowerCase() || '';
-            
-            // User indicators
-            if (alt.includes('user') || src.includes('user') || classes.includes('user')) {
-                return 'You';
+        return indicators.slice(0, 5);
+    }
+
+    /**
+     * Find structural sender patterns
+     */
+    findStructuralSenderPatterns() {
+        // Look for alternating patterns in message structure
+        const messageContainers = this.findMessageContainers();
+        if (messageContainers.length === 0) return null;
+
+        const bestContainer = messageContainers[0];
+        const messages = bestContainer.elements;
+        
+        if (messages.length < 2) return null;
+
+        const patterns = {
+            alternatingClasses: this.analyzeAlternatingClasses(messages),
+            positionPatterns: this.analyzePositionPatterns(messages),
+            stylePatterns: this.analyzeStylePatterns(messages)
+        };
+
+        return patterns;
+    }
+
+    /**
+     * Find sender data attributes
+     */
+    findSenderDataAttributes() {
+        const senderElements = document.querySelectorAll('[data-message-author], [data-author], [data-sender]');
+        return Array.from(senderElements).map(el => ({
+            attributes: Object.fromEntries(
+                Array.from(el.attributes)
+                    .filter(attr => attr.name.includes('author') || attr.name.includes('sender'))
+                    .map(attr => [attr.name, attr.value])
+            ),
+            selector: this.generateSelector(el)
+        })).slice(0, 5);
+    }
+
+    /**
+     * Analyze content structure patterns
+     */
+    analyzeContentStructure() {
+        return {
+            codeBlocks: this.analyzeCodeBlocks(),
+            formatting: this.analyzeFormattingElements(),
+            media: this.analyzeMediaElements(),
+            links: this.analyzeLinkElements()
+        };
+    }
+
+    /**
+     * Analyze code block patterns
+     */
+    analyzeCodeBlocks() {
+        const codeBlocks = document.querySelectorAll('pre, code, .code, [class*="code"]');
+        const patterns = [];
+
+        for (const block of codeBlocks) {
+            if (block.textContent.trim().length > 10) { // Meaningful code blocks
+                patterns.push({
+                    tagName: block.tagName,
+                    className: block.className,
+                    hasLanguage: !!block.querySelector('code[class*="language-"]'),
+                    selector: this.generateSelector(block),
+                    preview: block.textContent.trim().substring(0, 50) + '...'
+                });
             }
+        }
+
+        return patterns.slice(0, 5);
+    }
+
+    /**
+     * Find metadata elements (title, date, etc.)
+     */
+    findMetadataElements() {
+        return {
+            title: this.findConversationTitle(),
+            timestamp: this.findTimestampElements(),
+            model: this.findModelIndicators(),
+            conversation_id: this.findConversationId()
+        };
+    }
+
+    /**
+     * Test selector reliability
+     */
+    testSelectorReliability(selector) {
+        try {
+            const elements = document.querySelectorAll(selector);
+            const score = this.calculateSelectorConfidence(selector, elements);
             
-            // Assistant indicators
-            if (alt.includes('chatgpt') || alt.includes('assistant') || alt.includes('gpt') || 
-                src.includes('assistant') || src.includes('chatgpt') || classes.includes('assistant')) {
-                return 'ChatGPT';
-            }
+            this.reliabilityScores[selector] = {
+                score,
+                elementCount: elements.length,
+                timestamp: Date.now(),
+                passed: score > 0.7
+            };
+
+            return this.reliabilityScores[selector];
+        } catch (error) {
+            this.reliabilityScores[selector] = {
+                score: 0,
+                elementCount: 0,
+                timestamp: Date.now(),
+                passed: false,
+                error: error.message
+            };
+            return this.reliabilityScores[selector];
         }
+    }
 
-        // Method 3: Content analysis with better patterns
-        const text = messageElement.textContent.toLowerCase();
-        const textStart = text.substring(0, 200); // Look at beginning of message
-        
-        // Strong ChatGPT indicators
-        if (textStart.match(/^(i understand|i can help|here's|i'll|let me|i'd be happy|certainly|of course)/)) {
-            return 'ChatGPT';
+    /**
+     * Calculate confidence score for elements/selectors
+     */
+    calculateConfidence(element, type) {
+        if (!element) return 0;
+
+        let score = 0.5; // Base score
+
+        // Data attributes boost confidence significantly
+        if (element.dataset && Object.keys(element.dataset).length > 0) {
+            score += 0.3;
         }
-        
-        // Strong user indicators  
-        if (textStart.match(/^(can you|please help|how do i|i need|i want|help me|could you)/)) {
-            return 'You';
+
+        // ARIA attributes boost confidence
+        if (element.getAttribute('role') || element.getAttribute('aria-label')) {
+            score += 0.2;
         }
 
-        // Method 4: Structural analysis - look at DOM structure
-        const hasCodeBlocks = messageElement.querySelectorAll('pre, code').length > 0;
-        const hasLongText = messageElement.textContent.length > 200;
-        const hasLists = messageElement.querySelectorAll('ul, ol, li').length > 0;
-        
-        // ChatGPT messages tend to be longer and more structured
-        if (hasCodeBlocks && hasLongText && hasLists) {
-            return 'ChatGPT';
+        // Semantic HTML boosts confidence
+        if (['main', 'section', 'article', 'aside'].includes(element.tagName.toLowerCase())) {
+            score += 0.1;
         }
 
-        // Method 5: Position-based fallback with better logic
-        // Try to detect actual alternating pattern by looking at content characteristics
-        if (index > 0 && allMessages[index - 1]) {
-            const prevText = allMessages[index - 1].textContent;
-            const currentText = messageElement.textContent;
-            
-            // If previous was short and current is long, likely user -> assistant
-            if (prevText.length < 100 && currentText.length > 300) {
-                return 'ChatGPT';
-            }
-            
-            // If previous was long and current is short, likely assistant -> user  
-            if (prevText.length > 300 && currentText.length < 100) {
-                return 'You';
-            }
+        // Content relevance for conversation type
+        if (type === 'conversation' && this.hasConversationContent(element)) {
+            score += 0.2;
         }
 
-        // Final fallback
-        return index % 2 === 0 ? 'You' : 'ChatGPT';
+        return Math.min(score, 1.0);
     }
 
-    function extractConversationTitle() {
-        // Try to get actual conversation title
-        const titleSelectors = [
-            'h1:not([class*="hidden"])',
-            '[class*="conversation-title"]',
-            '[data-testid*="conversation-title"]',
-            'title'
-        ];
+    /**
+     * Calculate selector confidence based on results
+     */
+    calculateSelectorConfidence(selector, elements) {
+        if (!elements || elements.length === 0) return 0;
 
-        for (const selector of titleSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                const title = element.textContent.trim();
-                // Avoid generic titles
-                if (!['chatgpt', 'new chat', 'untitled', 'chat'].includes(title.toLowerCase())) {
-                    return title;
-                }
+        let score = 0.5;
+
+        // Data attribute selectors are more reliable
+        if (selector.includes('[data-')) score += 0.3;
+        if (selector.includes('[role=')) score += 0.2;
+        if (selector.includes('[aria-')) score += 0.15;
+
+        // Class-based selectors are less reliable
+        if (selector.includes('.') && !selector.includes('[')) score -= 0.2;
+
+        // Very generic selectors are unreliable
+        if (['div', 'span', '.text-base'].some(generic => selector.includes(generic))) {
+            score -= 0.1;
+        }
+
+        // Reasonable element count
+        if (elements.length > 0 && elements.length < 1000) {
+            score += 0.1;
+        }
+
+        return Math.max(0, Math.min(score, 1.0));
+    }
+
+    // Helper methods
+    hasConversationContent(element) {
+        const text = element.textContent.toLowerCase();
+        const conversationKeywords = ['chatgpt', 'you:', 'assistant:', 'user:', 'message', 'conversation'];
+        return conversationKeywords.some(keyword => text.includes(keyword));
+    }
+
+    generateSelector(element) {
+        if (!element) return null;
+        
+        // Prioritize data attributes
+        if (element.id) return `#${element.id}`;
+        
+        const dataAttrs = Object.keys(element.dataset);
+        if (dataAttrs.length > 0) {
+            return `[data-${dataAttrs[0]}="${element.dataset[dataAttrs[0]]}"]`;
+        }
+
+        // Use class names as fallback (SVG elements expose className as an object)
+        if (typeof element.className === 'string' && element.className) {
+            const classes = element.className.split(' ').filter(c => c.length > 0);
+            if (classes.length > 0) {
+                return `.${classes[0]}`;
             }
         }
 
-        return 'Conversation with ChatGPT';
+        return element.tagName.toLowerCase();
     }
 
-    function exportToMarkdown() {
-        const messages = findMessages();
+    getTextNodes() {
+        const walker = document.createTreeWalker(
+            document.body,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        const textNodes = [];
+        let node;
         
-        if (messages.length === 0) {
-            alert('No messages found. The page structure may have changed.');
-            return;
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0) {
+                textNodes.push(node);
+            }
         }
 
-        console.log(`Processing ${messages.length} messages...`);
+        return textNodes;
+    }
 
-        const lines = [];
-        const title = extractConversationTitle();
-        const date = formatDate();
-        const url = window.location.href;
+    findMessagesByContent() {
+        // This would implement content-based message detection
+        // as a fallback when other selectors fail
+        return [];
+    }
 
-        lines.push(`# ${title}\n`);
-        lines.push(`**Date:** ${date}`);
-        lines.push(`**Source:** [chat.openai.com](${url})\n`);
-        lines.push(`---\n`);
+    // Additional analysis methods would be implemented here
+    analyzeAlternatingClasses(messages) { return null; }
+    analyzePositionPatterns(messages) { return null; }
+    analyzeStylePatterns(messages) { return null; }
+    analyzeFormattingElements() { return null; }
+    analyzeMediaElements() { return null; }
+    analyzeLinkElements() { return null; }
+    findConversationTitle() { return null; }
+    findTimestampElements() { return null; }
+    findModelIndicators() { return null; }
+    findConversationId() { return null; }
+}
 
-        // Process messages with better duplicate detection
-        const processedMessages = [];
-        const seenContent = new Set();
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatGPTDOMAnalyzer;
+}
 
-        messages.forEach((messageElement, index) => {
-            const sender = identifySender(messageElement, index, messages);
-            const content = processMessageContent(messageElement);
-            
-            // Skip if empty or too short
-            if (!content || content.trim().length < 30) {
-                console.log(`Skipping message ${index}: too short or empty`);
-                return;
+// Make available globally for console testing
+window.ChatGPTDOMAnalyzer = ChatGPTDOMAnalyzer;
+
+// ---- core/selector-cascade.js ----
+
+/**
+ * Selector Cascade System - Phase 1.2 Implementation
+ * Provides robust fallback strategies for ChatGPT element selection
+ */
+
+class SelectorCascade {
+    constructor() {
+        this.strategies = new Map();
+        this.cache = new Map();
+        this.performance = new Map();
+        this.initializeStrategies();
+    }
+
+    /**
+     * Initialize predefined selector strategies
+     */
+    initializeStrategies() {
+        // Conversation Container Strategies
+        this.addStrategy('conversationContainer', [
+            {
+                name: 'modern-data-attrs',
+                selector: '[data-testid*="conversation"], [data-conversation-id], [data-testid*="chat"]',
+                priority: 10,
+                description: 'Modern data attributes for conversation'
+            },
+            {
+                name: 'aria-conversation',
+                selector: '[role="log"], [role="main"][aria-label*="conversation"], [aria-label*="chat"]',
+                priority: 9,
+                description: 'ARIA-based conversation detection'
+            },
+            {
+                name: 'semantic-main',
+                selector: 'main section, main article, main [class*="conversation"]',
+                priority: 8,
+                description: 'Semantic HTML conversation container'
+            },
+            {
+                name: 'content-based',
+                selector: null, // Special handling
+                priority: 5,
+                description: 'Content-based conversation detection'
             }
+        ]);
 
-            // Create a content hash for duplicate detection
-            const contentHash = content.substring(0, 100).replace(/\s+/g, ' ').trim();
-            if (seenContent.has(contentHash)) {
-                console.log(`Skipping message ${index}: duplicate content`);
-                return;
+        // Message Container Strategies
+        this.addStrategy('messageContainers', [
+            {
+                name: 'author-role',
+                selector: 'div[data-message-author-role]',
+                priority: 12,
+                description: 'Modern ChatGPT with clear author role'
+            },
+            {
+                name: 'conversation-turns',
+                selector: 'article[data-testid*="conversation-turn"], div[data-testid="conversation-turn"], .group\\/conversation-turn',
+                priority: 11,
+                description: 'Conversation turn containers (fix for issue #6)'
+            },
+            {
+                name: 'modern-message-attrs',
+                selector: '[data-testid*="message"], [data-message-id], [data-message-author]',
+                priority: 10,
+                description: 'Modern message data attributes'
+            },
+            {
+                name: 'aria-messages',
+                selector: '[role="article"], [role="group"][aria-label*="message"]',
+                priority: 9,
+                description: 'ARIA-based message detection'
+            },
+            {
+                name: 'semantic-messages',
+                selector: 'main article, main section > div[class]',
+                priority: 8,
+                description: 'Semantic message containers'
+            },
+            {
+                name: 'chatgpt-groups',
+                selector: 'div[class*="group"]:not([class*="group"] [class*="group"])',
+                priority: 6,
+                description: 'ChatGPT group-based messages (legacy, top-level groups only)'
+            },
+            {
+                name: 'text-base-fallback',
+                selector: '.text-base',
+                priority: 4,
+                description: 'Generic text base fallback'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
             }
-            seenContent.add(contentHash);
+        ]);
 
-            processedMessages.push({
-                sender,
-                content,
-                originalIndex: index
-            });
-        });
+        // Gemini Message Container Strategies
+        this.addStrategy('geminiMessageContainers', [
+            {
+                name: 'gemini-conversation-turn',
+                selector: '[data-test-id="conversation-turn"], [class*="conversation-turn"]',
+                priority: 10,
+                description: 'Gemini conversation turn containers'
+            },
+            {
+                name: 'gemini-model-response',
+                selector: 'model-response',
+                priority: 9,
+                description: 'Gemini model response elements'
+            },
+            {
+                name: 'gemini-presentation',
+                selector: '[role="presentation"] > div, .conversation-container > div',
+                priority: 8,
+                description: 'Gemini presentation containers'
+            },
+            {
+                name: 'gemini-generic',
+                selector: '[class*="message"], div[class*="turn"]:not([class*="turn"] [class*="turn"])',
+                priority: 6,
+                description: 'Generic message and turn classes'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
+            }
+        ]);
 
-        // Apply sender sequence correction
-        for (let i = 1; i < processedMessages.length; i++) {
-            const current = processedMessages[i];
-            const previous = processedMessages[i - 1];
-            
-            // If we have two consecutive messages from the same sender, try to fix it
-            if (current.sender === previous.sender) {
-                // Use content analysis to determine which should be flipped
-                const currentLength = current.content.length;
-                const previousLength = previous.content.length;
+        // Message Content Strategies
+        this.addStrategy('messageContent', [
+            {
+                name: 'modern-content-attrs',
+                selector: '[data-testid*="content"], [data-message-content]',
+                priority: 10,
+                description: 'Modern content data attributes'
+            },
+            {
+                name: 'structured-content',
+                selector: '.markdown, .prose, [class*="markdown"], [class*="prose"]',
+                priority: 8,
+                description: 'Structured content containers'
+            },
+            {
+                name: 'whitespace-content',
+                selector: '.whitespace-pre-wrap, [class*="whitespace"]',
+                priority: 7,
+                description: 'Whitespace-preserved content'
+            },
+            {
+                name: 'direct-text',
+                selector: null, // Special handling for direct text extraction
+                priority: 5,
+                description: 'Direct text content extraction'
+            }
+        ]);
+
+        // Attachment Chip Strategies (files uploaded with a prompt, shown above the message text)
+        this.addStrategy('attachmentChips', [
+            {
+                name: 'attachment-attrs',
+                selector: '[data-testid*="attachment"], [data-testid*="file-tile"], [data-testid*="file-thumbnail"]',
+                priority: 10,
+                description: 'Attachment data attributes'
+            },
+            {
+                name: 'attachment-classes',
+                selector: '[class*="file-tile"], [class*="file-preview"], [class*="attachment"]',
+                priority: 8,
+                description: 'Attachment and file preview classes'
+            },
+            {
+                name: 'file-chip',
+                selector: 'div.group.relative.inline-block',
+                priority: 6,
+                description: 'Bordered chip with an icon, the file name and its type'
+            }
+        ]);
+
+        // Canvas Card Strategies (the document or code a reply opened in Canvas, shown in the message as a card)
+        this.addStrategy('canvasCards', [
+            {
+                name: 'textdoc-id',
+                selector: '[id^="textdoc-message-"]',
+                priority: 10,
+                description: 'Card carrying the Canvas document id'
+            },
+            {
+                name: 'canvas-attrs',
+                selector: '[data-testid*="canvas"], [data-testid*="textdoc"]',
+                priority: 8,
+                description: 'Canvas data attributes'
+            },
+            {
+                name: 'canvas-classes',
+                selector: '[class*="textdoc"], [class*="canvas-card"]',
+                priority: 6,
+                description: 'Canvas card classes'
+            }
+        ]);
+
+        // Canvas Panel Strategies (the side panel showing the open document, outside the messages)
+        this.addStrategy('canvasPanel', [
+            {
+                name: 'canvas-panel-attrs',
+                selector: '[data-testid*="canvas-panel"], [data-testid*="textdoc-panel"], section[aria-label*="Canvas"]',
+                priority: 10,
+                description: 'Canvas panel data attributes'
+            },
+            {
+                name: 'canvas-editors',
+                selector: '.cm-editor, .ProseMirror',
+                priority: 8,
+                description: 'Code (CodeMirror) or text (ProseMirror) editor outside the messages and the prompt box'
+            }
+        ]);
+
+        // Sender Identification Strategies
+        this.addStrategy('senderIdentification', [
+            {
+                name: 'data-author',
+                selector: '[data-message-author], [data-author], [data-sender]',
+                priority: 10,
+                description: 'Data attribute sender identification'
+            },
+            {
+                name: 'aria-sender',
+                selector: '[aria-label*="user"], [aria-label*="assistant"], [aria-label*="you"]',
+                priority: 9,
+                description: 'ARIA sender identification'
+            },
+            {
+                name: 'avatar-detection',
+                selector: 'img[alt*="avatar"], img[alt*="user"], img[src*="avatar"]',
+                priority: 8,
+                description: 'Avatar-based sender detection'
+            },
+            {
+                name: 'textual-indicators',
+                selector: null, // Special handling
+                priority: 6,
+                description: 'Textual sender indicators'
+            },
+            {
+                name: 'structural-alternation',
+                selector: null, // Special handling
+                priority: 4,
+                description: 'Structural alternation patterns'
+            }
+        ]);
+
+        // Code Block Strategies
+        this.addStrategy('codeBlocks', [
+            {
+                name: 'structured-pre',
+                selector: 'pre code, pre[class*="language"], code[class*="language"]',
+                priority: 10,
+                description: 'Structured code blocks with language'
+            },
+            {
+                name: 'generic-pre',
+                selector: 'pre, code[class*="block"]',
+                priority: 8,
+                description: 'Generic pre and code blocks'
+            },
+            {
+                name: 'code-containers',
+                selector: '.code, [class*="code-"], [data-code]',
+                priority: 7,
+                description: 'Code container classes'
+            }
+        ]);
+    }
+
+    /**
+     * Add a strategy to the cascade
+     */
+    addStrategy(type, strategies) {
+        this.strategies.set(type, strategies.sort((a, b) => b.priority - a.priority));
+    }
+
+    /**
+     * Execute cascade for a given type
+     */
+    execute(type, options = {}) {
+        const cacheKey = `${type}_${JSON.stringify(options)}`;
+        // Element references all serialize to "{}", so scoped lookups must never be cached
+        const cacheable = !options.parentMessage && !options.fresh;
+        
+        // Return cached result if available and not expired
+        if (cacheable && this.cache.has(cacheKey) && !this.isCacheExpired(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const strategies = this.strategies.get(type);
+        if (!strategies) {
+            console.warn(`No strategies defined for type: ${type}`);
+            return null;
+        }
+
+        const startTime = performance.now();
+        let result = null;
+
+        for (const strategy of strategies) {
+            try {
+                const strategyResult = this.executeStrategy(strategy, type, options);
                 
-                // If current message is much longer, it's likely ChatGPT
-                if (currentLength > previousLength * 2 && currentLength > 500) {
-                    current.sender = 'ChatGPT';
-                } else if (previousLength > currentLength * 2 && previousLength > 500) {
-                    previous.sender = 'ChatGPT';
-                    current.sender = 'You';
-                } else {
-                    // Default alternating fix
-                    current.sender = current.sender === 'You' ? 'ChatGPT' : 'You';
+                if (this.isValidResult(strategyResult, type)) {
+                    result = {
+                        success: true,
+                        strategy: strategy.name,
+                        priority: strategy.priority,
+                        description: strategy.description,
+                        data: strategyResult,
+                        executionTime: performance.now() - startTime
+                    };
+                    break;
                 }
-                
-                console.log(`Fixed consecutive ${previous.sender} messages at positions ${i-1} and ${i}`);
+            } catch (error) {
+                console.warn(`Strategy ${strategy.name} failed:`, error);
+                continue;
             }
         }
 
-        // Generate final output
-        processedMessages.forEach(({ sender, content }) => {
-            lines.push(`### **${sender}**\n`);
-            lines.push(content);
-            lines.push('\n---\n');
-        });
+        if (!result) {
+            result = {
+                success: false,
+                error: `All strategies failed for type: ${type}`,
+                executionTime: performance.now() - startTime
+            };
+        }
 
-        // Create and download file
-        const markdownContent = lines.join('\n');
-        const blob = new Blob([markdownContent], { type: 'text/markdown' });
-        const url2 = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url2;
-        // Use document title for better file naming (Issue #12)
-        const safeTitle = document.title.replace(/[<>:"/\\|?*]/g, '').replace(/\s+/g, ' ').trim();
-        a.download = safeTitle ? `${safeTitle} (${date}).md` : `ChatGPT_Conversation_${date}.md`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url2);
-
-        console.log(`Export completed: ${processedMessages.length} messages exported`);
-    }
-
-    // Add export button to the page
-    function addExportButton() {
-        // Check if button already exists
-        if (document.querySelector('#chatgpt-export-markdown-btn')) return;
-
-        const button = document.createElement('button');
-        button.id = 'chatgpt-export-markdown-btn';
-        button.textContent = 'Export as Markdown';
-        button.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            padding: 10px 20px;
-            background-color: #10a37f;
-            color: white;
-            border: none;
-            border-radius: 5px;
-            cursor: pointer;
-            z-index: 10000;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 14px;
-            font-weight: 500;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-        `;
-        
-        button.addEventListener('click', exportToMarkdown);
-        button.addEventListener('mouseenter', () => {
-            button.style.backgroundColor = '#0d8f6e';
-        });
-        button.addEventListener('mouseleave', () => {
-            button.style.backgroundColor = '#10a37f';
+        // Cache the result
+        if (cacheable) {
+            this.cache.set(cacheKey, {
+                ...result,
+                timestamp: Date.now(),
+                ttl: options.cacheTtl || 30000 // 30 seconds default
+            });
+        }
+
+        // Track performance
+        this.trackPerformance(type, result);
+
+        return result;
+    }
+
+    /**
+     * Execute a single strategy
+     */
+    executeStrategy(strategy, type, options) {
+        // Handle special strategies that don't use simple selectors
+        if (!strategy.selector) {
+            return this.executeSpecialStrategy(strategy, type, options);
+        }
+
+        // Standard selector-based strategy, scoped to a message when one is given
+        const root = options.parentMessage || document;
+        const elements = root.querySelectorAll(strategy.selector);
+        
+        if (elements.length === 0) {
+            return null;
+        }
+
+        // Apply type-specific processing
+        switch (type) {
+            case 'conversationContainer':
+                return this.processConversationContainer(elements);
+            case 'messageContainers':
+                return this.processMessageContainers(elements, options);
+            case 'geminiMessageContainers':
+                return this.processMessageContainers(elements, { ...options, minLength: 30 });
+            case 'messageContent':
+                return this.processMessageContent(elements, options);
+            case 'attachmentChips':
+                return this.processAttachmentChips(elements);
+            case 'canvasCards':
+                return this.processCanvasCards(elements);
+            case 'canvasPanel':
+                return this.processCanvasPanel(elements);
+            case 'senderIdentification':
+                return this.processSenderIdentification(elements, options);
+            case 'codeBlocks':
+                return this.processCodeBlocks(elements);
+            default:
+                return Array.from(elements);
+        }
+    }
+
+    /**
+     * Execute special strategies that require custom logic
+     */
+    executeSpecialStrategy(strategy, type, options) {
+        switch (strategy.name) {
+            case 'content-based':
+                return this.contentBasedConversationDetection();
+            case 'container-children':
+                return this.containerChildrenDetection(type, options);
+            case 'direct-text':
+                return this.directTextExtraction(options.parentElement);
+            case 'textual-indicators':
+                return this.textualSenderDetection(options.parentMessage);
+            case 'structural-alternation':
+                return this.structuralSenderDetection(options.messageElements);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Process conversation container results
+     */
+    processConversationContainer(elements) {
+        // Find the most likely conversation container
+        let bestContainer = null;
+        let bestScore = 0;
+
+        for (const element of elements) {
+            const score = this.scoreConversationContainer(element);
+            if (score > bestScore) {
+                bestScore = score;
+                bestContainer = element;
+            }
+        }
+
+        return bestContainer ? {
+            element: bestContainer,
+            score: bestScore,
+            childCount: bestContainer.children.length
+        } : null;
+    }
+
+    /**
+     * Process message container results
+     */
+    processMessageContainers(elements, options = {}) {
+        const candidates = Array.from(elements).filter(el => this.isLikelyMessage(el, options.minLength));
+        const messages = this.removeNestedElements(candidates);
+        
+        return {
+            elements: messages,
+            count: messages.length,
+            validity: this.validateMessageSequence(messages)
+        };
+    }
+
+    /**
+     * Process message content results
+     */
+    processMessageContent(elements, options) {
+        // Elements are already scoped to options.parentMessage by executeStrategy.
+        // File name and type labels of attachment chips are not the message text.
+        const chips = this.findAttachmentChips(options.parentMessage);
+        return Array.from(elements).filter(element => !chips.some(chip => chip.element.contains(element)));
+    }
+
+    /**
+     * Process attachment chip results: one { element, name, label, size, href } per chip showing a file name
+     */
+    processAttachmentChips(elements) {
+        const candidates = Array.from(elements).filter(element => this.findFileNames(element).length === 1);
+        return this.removeNestedElements(candidates).map(element => this.readAttachmentChip(element));
+    }
+
+    /**
+     * Attachment chips inside a message, or [] when it has none
+     */
+    findAttachmentChips(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('attachmentChips', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
+
+    /**
+     * Read a chip: the file name, the type label next to it (e.g. "PDF", "Spreadsheet"),
+     * the size when shown and the download link when the chip has one
+     */
+    readAttachmentChip(element) {
+        const name = this.findFileNames(element)[0];
+        const texts = this.getLeafTexts(element);
+        const sizeMatch = element.textContent.match(/(\d+(?:[.,]\d+)?)\s*(B|KB|MB|GB)\b/i);
+        const label = texts.find(text => text !== name && !/^\d/.test(text)) || null;
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+
+        return {
+            element,
+            name,
+            label,
+            size: sizeMatch ? this.parseFileSize(sizeMatch[1], sizeMatch[2]) : null,
+            href: link ? link.href : null
+        };
+    }
+
+    /**
+     * Process Canvas card results: one { element, id, title } per card, id being the document id when the card has it
+     */
+    processCanvasCards(elements) {
+        const candidates = Array.from(elements).filter(element => element.tagName.toLowerCase() !== 'canvas' && element.textContent.trim());
+        return this.removeNestedElements(candidates).map(element => {
+            const idMatch = (element.id || '').match(/^textdoc-message-(.+)$/);
+            return {
+                element,
+                id: idMatch ? idMatch[1] : element.getAttribute('data-textdoc-id'),
+                title: this.getLeafTexts(element)[0]
+            };
         });
+    }
+
+    /**
+     * Canvas cards inside a message, or [] when it has none
+     */
+    findCanvasCards(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('canvasCards', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
+
+    /**
+     * Process Canvas panel results: the first editor that is not part of a message or the prompt box,
+     * as { element, editor, kind: 'code' | 'document', language }
+     */
+    processCanvasPanel(elements) {
+        for (const element of elements) {
+            if (element.closest('[data-message-author-role], form, #prompt-textarea')) {
+                continue;
+            }
+            const code = element.closest('.cm-editor') || element.querySelector('.cm-editor');
+            const text = element.closest('.ProseMirror') || element.querySelector('.ProseMirror');
+            const editor = code || text;
+            if (editor && editor.textContent.trim()) {
+                const labelled = editor.closest('[data-language]') || editor.querySelector('[data-language]');
+                const languageClass = editor.querySelector('[class*="language-"]') || editor;
+                const classMatch = (typeof languageClass.className === 'string' ? languageClass.className : '').match(/language-([\w+#-]+)/);
+                return {
+                    element,
+                    editor,
+                    kind: code ? 'code' : 'document',
+                    language: labelled ? labelled.getAttribute('data-language') : (classMatch ? classMatch[1] : null)
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The open Canvas panel, or null. Never cached: it changes with every document opened.
+     */
+    findCanvasPanel() {
+        const result = this.execute('canvasPanel', { fresh: true });
+        return result && result.success ? result.data : null;
+    }
+
+    /**
+     * Texts of an element that look like a whole file name ("report.pdf", "data 2024.xlsx")
+     */
+    findFileNames(element) {
+        return this.getLeafTexts(element).filter(text => text.length <= 255 && /^[^\s/\\][^/\\]*\.[a-z0-9]{1,8}$/i.test(text));
+    }
+
+    /**
+     * Trimmed texts of the elements that have no child elements
+     */
+    getLeafTexts(element) {
+        return Array.from(element.querySelectorAll('*'))
+            .filter(node => node.children.length === 0)
+            .map(node => node.textContent.trim())
+            .filter(Boolean);
+    }
+
+    parseFileSize(value, unit) {
+        const multipliers = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(value.replace(',', '.')) * multipliers[unit.toLowerCase()]);
+    }
+
+    /**
+     * Process sender identification results
+     */
+    processSenderIdentification(elements, options) {
+        const senders = [];
+        
+        for (const element of elements) {
+            const senderInfo = this.extractSenderInfo(element);
+            if (senderInfo) {
+                senders.push(senderInfo);
+            }
+        }
+
+        return senders;
+    }
+
+    /**
+     * Process code block results
+     */
+    processCodeBlocks(elements) {
+        return Array.from(elements).map(block => ({
+            element: block,
+            language: this.extractCodeLanguage(block),
+            content: block.textContent.trim(),
+            hasLanguageClass: !!block.querySelector('[class*="language-"]')
+        }));
+    }
+
+    /**
+     * Content-based conversation detection
+     */
+    contentBasedConversationDetection() {
+        const candidates = document.querySelectorAll('div, section, main, article');
         
-        document.body.appendChild(button);
+        for (const candidate of candidates) {
+            if (this.hasConversationCharacteristics(candidate)) {
+                return {
+                    element: candidate,
+                    score: this.scoreConversationContainer(candidate),
+                    detectionMethod: 'content-analysis'
+                };
+            }
+        }
+
+        return null;
     }
 
-    // Wait for page to load
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', addExportButton);
-    } else {
-        // Add button after a short delay to ensure page is fully loaded
-        setTimeout(addExportButton, 1000);
+    /**
+     * Fallback: treat direct children of the conversation container as messages
+     */
+    containerChildrenDetection(type, options) {
+        const container = document.querySelector('[role="main"], main, .conversation, [class*="conversation"]');
+        if (!container) return null;
+
+        const children = container.querySelectorAll(':scope > div, :scope > article');
+        console.log(`Fallback: found ${children.length} potential messages in conversation container`);
+        const minLength = type === 'geminiMessageContainers' ? 30 : options.minLength;
+        return this.processMessageContainers(children, { ...options, minLength });
     }
 
-    // Re-add button if navigation changes (for SPAs)
-    const observer = new MutationObserver(() => {
-        if (!document.querySelector('#chatgpt-export-markdown-btn')) {
-            addExportButton();
+    /**
+     * Direct text extraction from parent element
+     */
+    directTextExtraction(parentElement) {
+        if (!parentElement) return null;
+
+        // Extract all text content, preserving structure
+        const textNodes = this.getTextNodes(parentElement);
+        return {
+            fullText: parentElement.textContent.trim(),
+            textNodes: textNodes,
+            hasFormatting: parentElement.children.length > 0
+        };
+    }
+
+    /**
+     * Textual sender detection
+     */
+    textualSenderDetection(parentElement) {
+        const textNodes = this.getTextNodes(parentElement || document.body);
+        const senderIndicators = [];
+
+        for (const node of textNodes) {
+            const text = node.textContent.trim();
+            const senderMatch = text.match(/^(You|ChatGPT|Assistant|System|User)[:.]?\s*$/i);
+            
+            if (senderMatch) {
+                senderIndicators.push({
+                    type: 'textual',
+                    sender: senderMatch[1],
+                    text: senderMatch[1],
+                    element: node.parentElement,
+                    confidence: this.calculateTextualSenderConfidence(text, node.parentElement)
+                });
+            }
         }
-    });
-    
-    observer.observe(document.body, { childList: true, subtree: true });
+
+        return senderIndicators;
+    }
+
+    /**
+     * Structural sender detection based on alternating patterns
+     */
+    structuralSenderDetection(messageElements) {
+        if (!messageElements || messageElements.length < 2) return null;
+
+        const patterns = {
+            classAlternation: this.detectClassAlternation(messageElements),
+            positionAlternation: this.detectPositionAlternation(messageElements),
+            styleAlternation: this.detectStyleAlternation(messageElements)
+        };
+
+        return patterns;
+    }
+
+    // Helper methods for scoring and validation
+    scoreConversationContainer(element) {
+        let score = 0;
+        
+        // Data attributes increase score
+        if (Object.keys(element.dataset).length > 0) score += 3;
+        
+        // ARIA attributes increase score
+        if (element.getAttribute('role') || element.getAttribute('aria-label')) score += 2;
+        
+        // Semantic tags increase score
+        if (['main', 'section', 'article'].includes(element.tagName.toLowerCase())) score += 2;
+        
+        // Content characteristics
+        if (this.hasConversationCharacteristics(element)) score += 3;
+        
+        // Child count (conversations typically have multiple children)
+        if (element.children.length > 1 && element.children.length < 1000) score += 1;
+
+        return score;
+    }
+
+    isLikelyMessage(element, minLength = 5) {
+        const text = element.textContent.trim();
+        // Reasonable message length (low minimum for Chinese text)
+        if (text.length < minLength || text.length > 100000) return false;
+
+        // Skip elements that are clearly UI components
+        if (element.querySelector('input[type="text"], textarea')) return false;
+        if (element.classList.contains('typing') || element.classList.contains('loading')) return false;
+
+        return true;
+    }
+
+    /**
+     * Drop candidates nested inside another candidate so each message is counted once
+     */
+    removeNestedElements(elements) {
+        const consolidated = [];
+        const usedElements = new Set();
+
+        elements.forEach(element => {
+            if (usedElements.has(element)) return;
+
+            const isNested = elements.some(other =>
+                other !== element && other.contains(element) && !usedElements.has(other)
+            );
+
+            if (!isNested) {
+                consolidated.push(element);
+                usedElements.add(element);
+            }
+        });
+
+        return consolidated;
+    }
+
+    /**
+     * Check whether a strategy produced something usable for the given type
+     */
+    isValidResult(result, type) {
+        if (!result) return false;
+        if (Array.isArray(result)) return result.length > 0;
+
+        switch (type) {
+            case 'messageContainers':
+            case 'geminiMessageContainers':
+                return result.count > 0;
+            case 'conversationContainer':
+                return !!result.element;
+            default:
+                return true;
+        }
+    }
+
+    hasConversationCharacteristics(element) {
+        const text = element.textContent.toLowerCase();
+        const keywords = ['chatgpt', 'assistant', 'you:', 'user:', 'message', 'conversation'];
+        const keywordCount = keywords.filter(keyword => text.includes(keyword)).length;
+        
+        return keywordCount >= 2 || text.includes('chatgpt');
+    }
+
+    validateMessageSequence(messages) {
+        if (messages.length < 2) return { valid: false, reason: 'Insufficient messages' };
+        
+        // Check for reasonable message distribution
+        const avgLength = messages.reduce((sum, msg) => sum + msg.textContent.length, 0) / messages.length;
+        if (avgLength < 10) return { valid: false, reason: 'Messages too short' };
+        if (avgLength > 50000) return { valid: false, reason: 'Messages too long' };
+        
+        return { valid: true, avgLength, count: messages.length };
+    }
+
+    extractSenderInfo(element) {
+        // Extract sender information from various attributes and patterns
+        const dataAttrs = Object.keys(element.dataset)
+            .filter(key => key.includes('author') || key.includes('sender'))
+            .map(key => ({ key, value: element.dataset[key] }));
+
+        if (dataAttrs.length > 0) {
+            return {
+                type: 'data-attribute',
+                sender: dataAttrs[0].value,
+                confidence: 0.9
+            };
+        }
+
+        // Check for textual indicators
+        const text = element.textContent.trim();
+        const senderMatch = text.match(/^(You|ChatGPT|Assistant|System)[:.]?\s*/i);
+        
+        if (senderMatch) {
+            return {
+                type: 'textual',
+                sender: senderMatch[1],
+                confidence: 0.7
+            };
+        }
+
+        return null;
+    }
+
+    extractCodeLanguage(codeElement) {
+        // Check for language class
+        const langClass = codeElement.querySelector('[class*="language-"]');
+        if (langClass) {
+            const langMatch = langClass.className.match(/language-([a-zA-Z0-9]+)/);
+            return langMatch ? langMatch[1] : null;
+        }
+
+        // Check for data attributes
+        const dataLang = codeElement.dataset.language || codeElement.dataset.lang;
+        if (dataLang) return dataLang;
+
+        return null;
+    }
+
+    // Cache and performance management
+    isCacheExpired(cacheKey) {
+        const cached = this.cache.get(cacheKey);
+        return !cached || (Date.now() - cached.timestamp) > cached.ttl;
+    }
+
+    trackPerformance(type, result) {
+        if (!this.performance.has(type)) {
+            this.performance.set(type, {
+                executions: 0,
+                totalTime: 0,
+                successRate: 0,
+                avgTime: 0
+            });
+        }
+
+        const perf = this.performance.get(type);
+        perf.executions++;
+        perf.totalTime += result.executionTime;
+        perf.avgTime = perf.totalTime / perf.executions;
+        
+        if (result.success) {
+            perf.successRate = ((perf.successRate * (perf.executions - 1)) + 1) / perf.executions;
+        } else {
+            perf.successRate = (perf.successRate * (perf.executions - 1)) / perf.executions;
+        }
+    }
+
+    getTextNodes(element) {
+        const walker = document.createTreeWalker(
+            element,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        const textNodes = [];
+        let node;
+        
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0) {
+                textNodes.push(node);
+            }
+        }
+
+        return textNodes;
+    }
+
+    calculateTextualSenderConfidence(text, element) {
+        let confidence = 0.7; // Base confidence for textual detection
+        
+        // Exact matches increase confidence
+        if (/^(You|ChatGPT)[:.]?\s*$/.test(text)) confidence += 0.2;
+        
+        // Position in parent affects confidence
+        if (element.parentElement && element === element.parentElement.firstElementChild) {
+            confidence += 0.1;
+        }
+
+        return Math.min(confidence, 1.0);
+    }
+
+    // Pattern detection methods
+    detectClassAlternation(elements) { /* Implementation */ return null; }
+    detectPositionAlternation(elements) { /* Implementation */ return null; }
+    detectStyleAlternation(elements) { /* Implementation */ return null; }
+
+    /**
+     * Get performance statistics
+     */
+    getPerformanceStats() {
+        const stats = {};
+        for (const [type, perf] of this.performance) {
+            stats[type] = { ...perf };
+        }
+        return stats;
+    }
+
+    /**
+     * Clear cache
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Reset performance tracking
+     */
+    resetPerformance() {
+        this.performance.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectorCascade;
+}
+
+// Make available globally for console testing
+window.SelectorCascade = SelectorCascade;
+
+// ---- core/message-detector.js ----
+
+/**
+ * Unified Message Detection System - Phase 1.3 Implementation
+ * Replaces inconsistent message detection logic across exporters
+ */
+
+class MessageDetector {
+    /**
+     * @param {Object} options
+     * @param {string} options.platform - 'chatgpt' (default) or 'gemini'
+     */
+    constructor(options = {}) {
+        this.platform = options.platform || 'chatgpt';
+        this.assistantName = this.platform === 'gemini' ? 'Gemini' : 'ChatGPT';
+        this.domAnalyzer = new ChatGPTDOMAnalyzer();
+        this.selectorCascade = new SelectorCascade();
+        this.messages = [];
+        this.conversationMetadata = {};
+        this.detectionConfidence = 0;
+    }
+
+    /**
+     * Detect and parse all messages in the conversation
+     */
+    async detectMessages() {
+        console.log('Starting message detection...');
+        
+        // Step 1: Analyze page structure
+        const analysis = this.domAnalyzer.analyzePage();
+        
+        // Step 2: Find conversation container
+        const conversationResult = this.selectorCascade.execute('conversationContainer');
+        if (!conversationResult.success) {
+            console.warn('Could not find conversation container, searching the whole page');
+        }
+
+        // Step 3: Find message containers
+        const containerType = this.platform === 'gemini' ? 'geminiMessageContainers' : 'messageContainers';
+        const messagesResult = this.selectorCascade.execute(containerType);
+        if (!messagesResult.success) {
+            throw new Error('Could not find message containers');
+        }
+        console.log(`Using strategy: ${messagesResult.strategy}, found ${messagesResult.data.count} messages`);
+
+        // Step 4: Extract messages
+        this.messages = await this.extractMessages(messagesResult.data.elements);
+        
+        // Step 5: Extract conversation metadata
+        this.conversationMetadata = this.extractConversationMetadata();
+        
+        // Step 6: Calculate overall detection confidence
+        this.detectionConfidence = this.calculateOverallConfidence(conversationResult, messagesResult);
+
+        console.log(`Detected ${this.messages.length} messages with ${(this.detectionConfidence * 100).toFixed(1)}% confidence`);
+        
+        return {
+            messages: this.messages,
+            metadata: this.conversationMetadata,
+            confidence: this.detectionConfidence,
+            analysis
+        };
+    }
+
+    /**
+     * Extract individual messages from containers
+     */
+    async extractMessages(messageElements) {
+        const messages = [];
+        
+        for (let i = 0; i < messageElements.length; i++) {
+            try {
+                const messageData = await this.extractSingleMessage(messageElements[i], i, messageElements);
+                if (messageData) {
+                    messages.push(messageData);
+                }
+            } catch (error) {
+                console.warn(`Failed to extract message ${i}:`, error);
+                continue;
+            }
+        }
+
+        // Post-process messages to fix any detection issues
+        return this.postProcessMessages(messages);
+    }
+
+    /**
+     * Extract a single message from its container element
+     */
+    async extractSingleMessage(element, index, allElements = []) {
+        // Step 1: Identify sender
+        const sender = await this.identifySender(element, index, allElements);
+        
+        // Step 2: Extract content
+        const content = await this.extractMessageContent(element);
+        
+        // Step 3: Extract metadata
+        const metadata = this.extractMessageMetadata(element);
+
+        // Skip empty or too short messages (reduced threshold for Chinese text)
+        if (!content || content.trim().length < 5) {
+            return null;
+        }
+
+        return {
+            index,
+            sender: sender.name,
+            senderType: sender.type, // 'user', 'assistant', 'system'
+            senderConfidence: sender.confidence,
+            reliable: sender.reliable,
+            replyLabel: this.findReplyLabel(element),
+            attachments: sender.type === 'user' ? this.selectorCascade.findAttachmentChips(element) : [],
+            canvasCards: sender.type === 'assistant' ? this.selectorCascade.findCanvasCards(element) : [],
+            content,
+            contentType: this.detectContentType(content),
+            metadata,
+            element, // Renderers convert this element into their output format
+            timestamp: metadata.timestamp || null
+        };
+    }
+
+    /**
+     * Identify the sender of a message using multiple strategies
+     */
+    async identifySender(messageElement, messageIndex, allElements = []) {
+        // Strategy 1: Author role on the message itself (most reliable)
+        const authorRole = messageElement.getAttribute('data-message-author-role');
+        if (authorRole) {
+            return this.createSender(authorRole === 'user' ? 'user' : 'assistant', 1.0, 'author-role', true);
+        }
+
+        // Strategy 2: Data attributes inside the message
+        const dataResult = this.selectorCascade.execute('senderIdentification', {
+            parentMessage: messageElement
+        });
+
+        if (dataResult.success && dataResult.data.length > 0) {
+            const senderData = dataResult.data[0];
+            return {
+                name: this.normalizeSenderName(senderData.sender),
+                type: this.classifySenderType(senderData.sender),
+                confidence: senderData.confidence,
+                method: 'data-attribute',
+                reliable: false
+            };
+        }
+
+        // Strategy 3: Avatar detection
+        const avatarSender = this.findAvatarSender(messageElement);
+        if (avatarSender) {
+            return avatarSender;
+        }
+
+        // Strategy 4: Textual indicators
+        const textualSender = this.findTextualSender(messageElement);
+        if (textualSender) {
+            return textualSender;
+        }
+
+        // Strategy 5: Structural analysis - assistant messages tend to be longer and more structured
+        const hasCodeBlocks = messageElement.querySelectorAll('pre, code').length > 0;
+        const hasLongText = messageElement.textContent.length > 200;
+        const hasLists = messageElement.querySelectorAll('ul, ol, li').length > 0;
+        if (hasCodeBlocks && hasLongText && hasLists) {
+            return this.createSender('assistant', 0.6, 'structure');
+        }
+
+        // Strategy 6: Class names on the message or its parent
+        const classes = [messageElement.className, messageElement.parentElement?.className]
+            .filter(name => typeof name === 'string')
+            .join(' ')
+            .toLowerCase();
+        if (/model-response|assistant/.test(classes)) {
+            return this.createSender('assistant', 0.6, 'class-name');
+        }
+        if (classes.includes('user')) {
+            return this.createSender('user', 0.6, 'class-name');
+        }
+
+        // Strategy 7: Compare with the previous message
+        const contextualSender = this.inferContextualSender(messageElement, messageIndex, allElements);
+        if (contextualSender) {
+            return contextualSender;
+        }
+
+        // Strategy 8: Structural patterns (alternating)
+        return this.inferStructuralSender(messageIndex);
+    }
+
+    /**
+     * Build a sender result for the given sender type
+     */
+    createSender(type, confidence, method, reliable = false) {
+        return {
+            name: type === 'user' ? 'You' : this.assistantName,
+            type,
+            confidence,
+            method,
+            reliable
+        };
+    }
+
+    /**
+     * Find sender from avatar images inside the message
+     */
+    findAvatarSender(messageElement) {
+        const avatars = messageElement.querySelectorAll('img');
+        for (const avatar of avatars) {
+            const attrs = [avatar.alt, avatar.src, avatar.className]
+                .filter(value => typeof value === 'string')
+                .join(' ')
+                .toLowerCase();
+
+            // User indicators
+            if (attrs.includes('user')) {
+                return this.createSender('user', 0.8, 'avatar-detection');
+            }
+
+            // Assistant indicators
+            if (/chatgpt|assistant|gpt|gemini|bard/.test(attrs)) {
+                return this.createSender('assistant', 0.8, 'avatar-detection');
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Infer sender by comparing message length with the previous message
+     */
+    inferContextualSender(messageElement, messageIndex, allElements) {
+        if (messageIndex === 0 || !allElements[messageIndex - 1]) return null;
+
+        const prevLength = allElements[messageIndex - 1].textContent.length;
+        const currentLength = messageElement.textContent.length;
+
+        // If previous was short and current is long, likely user -> assistant
+        if (prevLength < 100 && currentLength > 300) {
+            return this.createSender('assistant', 0.5, 'contextual');
+        }
+
+        // If previous was long and current is short, likely assistant -> user
+        if (prevLength > 300 && currentLength < 100) {
+            return this.createSender('user', 0.5, 'contextual');
+        }
+
+        return null;
+    }
+
+    /**
+     * Find reply labels like "回复 1" / "Response 2" shown when ChatGPT offers two answers
+     */
+    findReplyLabel(messageElement) {
+        const isReplyLabel = text => /^回复\s*\d+$/.test(text) || /^Response\s*\d+$/i.test(text);
+
+        const parent = messageElement.closest('.flex.max-w-full');
+        if (parent && parent.previousElementSibling) {
+            const labelEl = parent.previousElementSibling.querySelector('.font-semibold, [class*="font-semibold"]');
+            if (labelEl && isReplyLabel(labelEl.textContent.trim())) {
+                return labelEl.textContent.trim();
+            }
+        }
+
+        // Also check parent's parent
+        const grandParent = messageElement.parentElement?.parentElement;
+        if (grandParent) {
+            const labels = grandParent.querySelectorAll('.font-semibold, [class*="font-semibold"]');
+            for (const label of labels) {
+                const text = label.textContent.trim();
+                if (isReplyLabel(text)) {
+                    return text;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract message content with proper formatting preservation
+     */
+    async extractMessageContent(messageElement) {
+        // Try to find structured content first
+        const contentResult = this.selectorCascade.execute('messageContent', {
+            parentMessage: messageElement
+        });
+
+        let contentElement = messageElement;
+        
+        if (contentResult.success) {
+            // Use the best content container found
+            const contentContainers = Array.isArray(contentResult.data) ? contentResult.data : [contentResult.data];
+            // Special strategies may return descriptive objects instead of elements
+            if (contentContainers[0] && contentContainers[0].nodeType === Node.ELEMENT_NODE) {
+                contentElement = contentContainers[0];
+            }
+        }
+
+        // Extract and process content
+        return this.processContentElement(contentElement);
+    }
+
+    /**
+     * Process content element to extract formatted text
+     */
+    processContentElement(element) {
+        const clone = element.cloneNode(true);
+
+        // Handle code blocks specially
+        this.processCodeBlocks(clone);
+        
+        // Handle images and media
+        this.processMedia(clone);
+        
+        // Handle links
+        this.processLinks(clone);
+        
+        // Handle formatting
+        this.processFormatting(clone);
+
+        // Extract final text content
+        return clone.textContent.trim();
+    }
+
+    /**
+     * Process code blocks in content
+     */
+    processCodeBlocks(element) {
+        const codeResult = this.selectorCascade.execute('codeBlocks', { parentMessage: element });
+        
+        if (codeResult.success) {
+            codeResult.data.forEach(codeBlock => {
+                const { element: codeEl, language, content } = codeBlock;
+                
+                if (element.contains(codeEl)) {
+                    const lang = language || '';
+                    const placeholder = document.createTextNode(`\n\n\`\`\`${lang}\n${content}\n\`\`\`\n\n`);
+                    codeEl.parentNode.replaceChild(placeholder, codeEl);
+                }
+            });
+        } else {
+            // Fallback to simple code block processing
+            element.querySelectorAll('pre, code[class*="block"]').forEach(pre => {
+                const code = pre.textContent.trim();
+                const langMatch = pre.querySelector('code')?.className?.match(/language-([a-zA-Z0-9]+)/);
+                const lang = langMatch ? langMatch[1] : '';
+                const placeholder = document.createTextNode(`\n\n\`\`\`${lang}\n${code}\n\`\`\`\n\n`);
+                pre.parentNode.replaceChild(placeholder, pre);
+            });
+        }
+    }
+
+    /**
+     * Process media elements (images, videos, etc.)
+     */
+    processMedia(element) {
+        // Replace images and canvas with descriptive placeholders
+        element.querySelectorAll('img, canvas, video, audio').forEach(media => {
+            let placeholder = '[Media]';
+            
+            if (media.tagName === 'IMG') {
+                placeholder = media.alt ? `[Image: ${media.alt}]` : '[Image]';
+            } else if (media.tagName === 'CANVAS') {
+                placeholder = '[Canvas/Chart]';
+            } else if (media.tagName === 'VIDEO') {
+                placeholder = '[Video]';
+            } else if (media.tagName === 'AUDIO') {
+                placeholder = '[Audio]';
+            }
+            
+            const textNode = document.createTextNode(placeholder);
+            media.parentNode.replaceChild(textNode, media);
+        });
+    }
+
+    /**
+     * Process links in content
+     */
+    processLinks(element) {
+        element.querySelectorAll('a[href]').forEach(link => {
+            const text = link.textContent.trim();
+            const href = link.href;
+            
+            // Keep links as markdown format if they're meaningful
+            if (text && text !== href) {
+                const linkText = `[${text}](${href})`;
+                const textNode = document.createTextNode(linkText);
+                link.parentNode.replaceChild(textNode, link);
+            }
+        });
+    }
+
+    /**
+     * Process text formatting
+     */
+    processFormatting(element) {
+        // Handle bold text
+        element.querySelectorAll('strong, b').forEach(bold => {
+            const text = bold.textContent;
+            const textNode = document.createTextNode(`**${text}**`);
+            bold.parentNode.replaceChild(textNode, bold);
+        });
+
+        // Handle italic text
+        element.querySelectorAll('em, i').forEach(italic => {
+            const text = italic.textContent;
+            const textNode = document.createTextNode(`*${text}*`);
+            italic.parentNode.replaceChild(textNode, italic);
+        });
+
+        // Handle inline code
+        element.querySelectorAll('code:not(pre code)').forEach(code => {
+            const text = code.textContent;
+            const textNode = document.createTextNode(`\`${text}\``);
+            code.parentNode.replaceChild(textNode, code);
+        });
+    }
+
+    /**
+     * Check if an avatar belongs to the user
+     */
+    isUserAvatar(avatarElement) {
+        const alt = avatarElement.alt?.toLowerCase() || '';
+        const src = avatarElement.src?.toLowerCase() || '';
+        const className = avatarElement.className?.toLowerCase() || '';
+        
+        // Common patterns for user avatars
+        const userPatterns = ['user', 'you', 'human', 'person'];
+        const assistantPatterns = ['assistant', 'chatgpt', 'ai', 'bot'];
+        
+        // Check if any user patterns match
+        const hasUserPattern = userPatterns.some(pattern => 
+            alt.includes(pattern) || src.includes(pattern) || className.includes(pattern)
+        );
+        
+        // Check if any assistant patterns match
+        const hasAssistantPattern = assistantPatterns.some(pattern => 
+            alt.includes(pattern) || src.includes(pattern) || className.includes(pattern)
+        );
+        
+        // If both or neither match, try parent element analysis
+        if (hasUserPattern && !hasAssistantPattern) return true;
+        if (hasAssistantPattern && !hasUserPattern) return false;
+        
+        // Fallback: analyze parent structure
+        return this.analyzeAvatarContext(avatarElement);
+    }
+
+    /**
+     * Analyze avatar context to determine sender
+     */
+    analyzeAvatarContext(avatarElement) {
+        // Look for textual clues near the avatar
+        const parent = avatarElement.closest('[class*="message"], [class*="group"], article, section');
+        if (parent) {
+            const text = parent.textContent.toLowerCase();
+            if (text.includes('you:') || text.includes('user:')) return true;
+            if (text.includes('chatgpt:') || text.includes('assistant:')) return false;
+        }
+        
+        // Default assumption: first message is typically user
+        const messageIndex = this.getMessageIndex(avatarElement);
+        return messageIndex % 2 === 0; // Even indices = user, odd = assistant
+    }
+
+    /**
+     * Find textual sender indicators
+     */
+    findTextualSender(messageElement) {
+        const text = messageElement.textContent;
+        
+        // Look for explicit sender labels
+        const senderMatch = text.match(/^(You|ChatGPT|Gemini|Assistant|System|User)[:.]?\s*/i);
+        if (senderMatch) {
+            const senderName = senderMatch[1];
+            return {
+                name: this.normalizeSenderName(senderName),
+                type: this.classifySenderType(senderName),
+                confidence: 0.9,
+                method: 'textual',
+                reliable: false
+            };
+        }
+
+        // Look at how the message opens
+        const textStart = text.toLowerCase().trim().substring(0, 200);
+        if (/^(i understand|i can help|here's|i'll|let me|i'd be happy|certainly|of course|absolutely)/.test(textStart)) {
+            return this.createSender('assistant', 0.7, 'textual');
+        }
+        if (/^(can you|please help|how do i|i need|i want|help me|could you)/.test(textStart)) {
+            return this.createSender('user', 0.7, 'textual');
+        }
+
+        // Look for contextual clues
+        const contextualClues = this.analyzeContextualClues(messageElement);
+        if (contextualClues) {
+            return contextualClues;
+        }
+
+        return null;
+    }
+
+    /**
+     * Infer sender from structural patterns
+     */
+    inferStructuralSender(messageIndex) {
+        // Simple alternating pattern: even = user, odd = assistant
+        // This is a common pattern in chat interfaces
+        const isUser = messageIndex % 2 === 0;
+        
+        // Lower confidence for structural inference
+        return this.createSender(isUser ? 'user' : 'assistant', 0.6, 'alternation');
+    }
+
+    /**
+     * Infer sender from message content characteristics
+     */
+    inferSenderFromContent(messageElement) {
+        const text = messageElement.textContent.toLowerCase();
+        
+        // Assistant-like patterns
+        const assistantPatterns = [
+            'i understand', 'i can help', 'here\'s', 'let me', 'i\'ll',
+            'according to', 'based on', 'i think', 'in my opinion',
+            'i apologize', 'i\'m sorry', 'i don\'t have', 'i cannot'
+        ];
+        
+        // User-like patterns
+        const userPatterns = [
+            'can you', 'please', 'help me', 'i want', 'i need',
+            'how do i', 'what is', 'explain', 'show me'
+        ];
+        
+        const assistantScore = assistantPatterns.filter(pattern => text.includes(pattern)).length;
+        const userScore = userPatterns.filter(pattern => text.includes(pattern)).length;
+        
+        if (assistantScore > userScore) {
+            return {
+                name: this.assistantName,
+                type: 'assistant',
+                confidence: Math.min(0.7, 0.4 + (assistantScore * 0.1))
+            };
+        } else if (userScore > assistantScore) {
+            return {
+                name: 'You',
+                type: 'user',
+                confidence: Math.min(0.7, 0.4 + (userScore * 0.1))
+            };
+        }
+        
+        // Default fallback
+        return {
+            name: 'Unknown',
+            type: 'unknown',
+            confidence: 0.3
+        };
+    }
+
+    /**
+     * Normalize sender names to consistent format
+     */
+    normalizeSenderName(senderName) {
+        const name = senderName.toLowerCase().trim();
+        
+        if (name.includes('you') || name.includes('user') || name.includes('human')) {
+            return 'You';
+        }
+        
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
+            return this.assistantName;
+        }
+        
+        if (name.includes('system')) {
+            return 'System';
+        }
+        
+        // Capitalize first letter for unknown senders
+        return senderName.charAt(0).toUpperCase() + senderName.slice(1).toLowerCase();
+    }
+
+    /**
+     * Classify sender type
+     */
+    classifySenderType(senderName) {
+        const name = senderName.toLowerCase();
+        
+        if (name.includes('you') || name.includes('user') || name.includes('human')) {
+            return 'user';
+        }
+        
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
+            return 'assistant';
+        }
+        
+        if (name.includes('system')) {
+            return 'system';
+        }
+        
+        return 'unknown';
+    }
+
+    /**
+     * Extract conversation metadata
+     */
+    extractConversationMetadata() {
+        return {
+            title: this.extractConversationTitle(),
+            url: window.location.href,
+            timestamp: new Date().toISOString(),
+            messageCount: this.messages.length,
+            model: this.detectModel(),
+            conversationId: this.extractConversationId(),
+            platform: this.assistantName
+        };
+    }
+
+    /**
+     * Extract conversation title from page
+     */
+    extractConversationTitle() {
+        // Try to get actual conversation title
+        const titleSelectors = [
+            'h1:not([class*="hidden"])',
+            '[class*="conversation-title"]',
+            '[data-testid*="conversation-title"]',
+            ...(this.platform === 'gemini' ? ['[aria-label*="conversation"]'] : []),
+            'title'
+        ];
+        const genericTitles = ['chatgpt', 'gemini', 'bard', 'new chat', 'untitled', 'chat'];
+
+        for (const selector of titleSelectors) {
+            const element = document.querySelector(selector);
+            if (element && element.textContent.trim()) {
+                const title = element.textContent.trim();
+                // Avoid generic titles
+                if (!genericTitles.includes(title.toLowerCase())) {
+                    return title;
+                }
+            }
+        }
+
+        return `Conversation with ${this.assistantName}`;
+    }
+
+    /**
+     * Detect AI model being used
+     */
+    detectModel() {
+        // Look for model indicators in the page
+        const text = document.body.textContent.toLowerCase();
+        
+        const models = ['gpt-4', 'gpt-3.5', 'claude', 'dall-e'];
+        for (const model of models) {
+            if (text.includes(model)) {
+                return model;
+            }
+        }
+        
+        return 'Unknown';
+    }
+
+    /**
+     * Extract conversation ID from the URL. New and temporary chats have none yet: null, as the page's
+     * data-testid values ("conversation-turn-1") would give every such chat the same id.
+     */
+    extractConversationId() {
+        const urlMatch = window.location.pathname.match(/\/c\/([a-zA-Z0-9-]+)/);
+        return urlMatch ? urlMatch[1] : null;
+    }
+
+    /**
+     * Post-process messages to fix any issues
+     */
+    postProcessMessages(messages) {
+        const uniqueMessages = this.removeDuplicateMessages(messages);
+        return this.fixSenderSequence(uniqueMessages);
+    }
+
+    /**
+     * Drop messages whose opening text was already seen
+     */
+    removeDuplicateMessages(messages) {
+        const seenContent = new Set();
+
+        return messages.filter(message => {
+            const contentHash = message.content.substring(0, 100).replace(/\s+/g, ' ').trim();
+            if (seenContent.has(contentHash)) {
+                console.log(`Skipping message ${message.index}: duplicate content`);
+                return false;
+            }
+            seenContent.add(contentHash);
+            return true;
+        });
+    }
+
+    /**
+     * Fix consecutive messages from the same sender when detection was unreliable
+     */
+    fixSenderSequence(messages) {
+        for (let i = 1; i < messages.length; i++) {
+            const current = messages[i];
+            const previous = messages[i - 1];
+
+            // Skip correction if either sender was reliably detected
+            if (current.reliable || previous.reliable || current.sender !== previous.sender) {
+                continue;
+            }
+
+            // Use content analysis to determine which should be flipped
+            const currentLength = current.content.length;
+            const previousLength = previous.content.length;
+
+            if (currentLength > previousLength * 2 && currentLength > 500) {
+                this.setSenderType(current, 'assistant');
+            } else if (previousLength > currentLength * 2 && previousLength > 500) {
+                this.setSenderType(previous, 'assistant');
+                this.setSenderType(current, 'user');
+            } else {
+                // Default alternating fix
+                this.setSenderType(current, current.senderType === 'user' ? 'assistant' : 'user');
+            }
+
+            console.log(`Fixed consecutive ${previous.sender} messages at positions ${i - 1} and ${i}`);
+        }
+
+        return messages;
+    }
+
+    setSenderType(message, type) {
+        message.sender = type === 'user' ? 'You' : this.assistantName;
+        message.senderType = type;
+        message.method = 'pattern-correction';
+    }
+
+    /**
+     * Apply alternating pattern to fix sender detection
+     */
+    applyAlternatingPattern(messages) {
+        // Assume first message is from user (common pattern)
+        let expectedSender = 'user';
+        
+        return messages.map((message, index) => {
+            if (message.senderConfidence < 0.7) {
+                message.sender = expectedSender === 'user' ? 'You' : this.assistantName;
+                message.senderType = expectedSender;
+                message.senderConfidence = 0.8; // Reasonable confidence from pattern
+                message.method = 'pattern-correction';
+            }
+            
+            // Alternate for next message
+            expectedSender = expectedSender === 'user' ? 'assistant' : 'user';
+            
+            return message;
+        });
+    }
+
+    /**
+     * Calculate overall detection confidence
+     */
+    calculateOverallConfidence(conversationResult, messagesResult) {
+        const conversationConfidence = conversationResult.success ? 0.3 : 0;
+        const messagesConfidence = messagesResult.success ? 0.3 : 0;
+        
+        // Average sender confidence
+        const avgSenderConfidence = this.messages.length > 0 
+            ? this.messages.reduce((sum, msg) => sum + msg.senderConfidence, 0) / this.messages.length 
+            : 0;
+        
+        const senderConfidence = avgSenderConfidence * 0.4;
+
+        return Math.min(conversationConfidence + messagesConfidence + senderConfidence, 1.0);
+    }
+
+    /**
+     * Detect content type of a message
+     */
+    detectContentType(content) {
+        if (content.includes('```')) return 'code';
+        if (content.includes('![') || content.includes('[Image')) return 'media';
+        if (content.includes('http://') || content.includes('https://')) return 'links';
+        return 'text';
+    }
+
+    /**
+     * Get message index from DOM element
+     */
+    getMessageIndex(element) {
+        const parent = element.closest('[class*="conversation"], main, [role="log"]');
+        if (parent) {
+            const allMessages = parent.querySelectorAll('[class*="message"], [class*="group"], article');
+            return Array.from(allMessages).indexOf(element.closest('[class*="message"], [class*="group"], article'));
+        }
+        return 0;
+    }
+
+    /**
+     * Extract message metadata
+     */
+    extractMessageMetadata(element) {
+        return {
+            timestamp: this.extractMessageTimestamp(element),
+            messageId: element.dataset.messageId || null,
+            editCount: this.extractEditCount(element),
+            hasAttachments: this.hasAttachments(element)
+        };
+    }
+
+    extractMessageTimestamp(element) { return null; } // Implementation needed
+    extractEditCount(element) { return 0; } // Implementation needed
+    hasAttachments(element) { return this.selectorCascade.findAttachmentChips(element).length > 0; }
+    analyzeContextualClues(element) { return null; } // Implementation needed
+
+    /**
+     * Get detected messages
+     */
+    getMessages() {
+        return this.messages;
+    }
+
+    /**
+     * Get conversation metadata
+     */
+    getMetadata() {
+        return this.conversationMetadata;
+    }
+
+    /**
+     * Get detection confidence
+     */
+    getConfidence() {
+        return this.detectionConfidence;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageDetector;
+}
+
+// Make available globally for console testing
+window.MessageDetector = MessageDetector;
+
+// ---- core/image-encoder.js ----
+
+/**
+ * Image Encoder
+ * Converts images in the conversation into self-contained data URLs.
+ *
+ * Images are fetched as their original bytes (blob: URLs, and ChatGPT's own file endpoints with the
+ * signed-in session), so JPEG photos stay JPEG and animated GIFs keep their frames. They are only
+ * re-encoded through a canvas when their type is not accepted by the output, when they are larger
+ * than `maxDimension`, or when the original bytes can't be fetched (e.g. a host without CORS).
+ */
+
+class ImageEncoder {
+    /**
+     * @param {Object} options
+     * @param {string} options.mimeType - Format to re-encode to when needed: 'image/png' (default), 'image/jpeg'
+     *   (transparent areas become white) or 'image/webp'
+     * @param {string[]} options.acceptedTypes - Original types kept as they are (default: every image type);
+     *   the PDF writer takes only JPEG, Word PNG, JPEG, GIF and BMP
+     * @param {number} options.maxDimension - Downscale images whose width or height is larger (default: no limit)
+     * @param {number} options.quality - JPEG/WebP quality from 0 to 1 when re-encoding (default 0.92)
+     */
+    constructor(options = {}) {
+        this.mimeType = options.mimeType || 'image/png';
+        this.acceptedTypes = options.acceptedTypes || null;
+        this.maxDimension = options.maxDimension || 0;
+        this.quality = options.quality || 0.92;
+    }
+
+    /**
+     * Convert image to base64 data URL
+     */
+    async toBase64(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+
+        // Skip UI images
+        if (this.isUiImage(imgElement)) {
+            return null;
+        }
+
+        try {
+            const original = await this.fetchOriginal(src);
+            if (original && !this.needsReencoding(original.type, imgElement)) {
+                return await this.blobToDataUrl(original);
+            }
+
+            // For blob URLs, we can draw directly from the existing image
+            if (src.startsWith('blob:') || imgElement.complete) {
+                return this.drawToBase64(imgElement, original && original.type) ||
+                    (original ? await this.blobToDataUrl(original) : null);
+            }
+
+            // For other URLs, load the image first
+            return new Promise((resolve) => {
+                const img = new Image();
+                img.crossOrigin = 'anonymous';
+                img.onload = () => resolve(this.drawToBase64(img, original && original.type));
+                img.onerror = () => {
+                    console.warn('Failed to load image:', src);
+                    resolve(null);
+                };
+                img.src = src;
+                // Timeout after 5 seconds
+                setTimeout(() => resolve(null), 5000);
+            });
+        } catch (e) {
+            console.warn('Error converting image to base64:', e);
+            return null;
+        }
+    }
+
+    /**
+     * The image file as served, or null when it can't be fetched. Same-origin requests (ChatGPT's
+     * file endpoints) carry the session cookies; other hosts must allow CORS.
+     * @returns {Promise<Blob|null>}
+     */
+    async fetchOriginal(src) {
+        if (!src || typeof fetch !== 'function') {
+            return null;
+        }
+
+        try {
+            const url = new URL(src, location.href);
+            if (!/^(blob|data|https?):$/.test(url.protocol)) {
+                return null;
+            }
+            const sameOrigin = url.origin === location.origin || url.protocol === 'blob:' || url.protocol === 'data:';
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), 10000);
+            const response = await fetch(url.href, { credentials: sameOrigin ? 'include' : 'omit', signal: controller.signal })
+                .finally(() => clearTimeout(timer));
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return blob.type.startsWith('image/') ? blob : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the original has to go through the canvas: a type the output can't take, or too large
+     */
+    needsReencoding(type, imgElement) {
+        if (this.acceptedTypes && !this.acceptedTypes.includes(type)) {
+            return true;
+        }
+        const width = imgElement.naturalWidth || imgElement.width || 0;
+        const height = imgElement.naturalHeight || imgElement.height || 0;
+        return this.maxDimension > 0 && Math.max(width, height) > this.maxDimension;
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Draw a loaded image onto a canvas, downscaled to maxDimension, and read it back. JPEGs stay
+     * JPEG when the output accepts them; everything else uses the configured format.
+     * @param {string} originalType - MIME type of the original file, when known
+     */
+    drawToBase64(img, originalType = null) {
+        try {
+            const width = img.naturalWidth || img.width;
+            const height = img.naturalHeight || img.height;
+            if (!width || !height) {
+                return null;
+            }
+
+            const scale = this.maxDimension > 0 ? Math.min(1, this.maxDimension / Math.max(width, height)) : 1;
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+
+            const keepJpeg = originalType === 'image/jpeg' && (!this.acceptedTypes || this.acceptedTypes.includes('image/jpeg'));
+            const mimeType = keepJpeg ? 'image/jpeg' : this.mimeType;
+
+            const ctx = canvas.getContext('2d');
+            if (mimeType === 'image/jpeg') {
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL(mimeType, this.quality);
+        } catch (e) {
+            // CORS or other error
+            console.warn('Cannot draw image to canvas:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check for favicons, avatars and icons that are not conversation content
+     */
+    isUiImage(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+        const className = typeof imgElement.className === 'string' ? imgElement.className : '';
+        return src.includes('favicon') || src.includes('avatar') || className.includes('icon');
+    }
+
+    /**
+     * Encode every content image in a cloned message, reading pixels from the live originals.
+     * Sets data-base64 on each clone image that could be converted.
+     */
+    async encodeClonedImages(clone, original) {
+        // Create a map of src -> original img element (it has the actual image data)
+        const srcToOriginal = new Map();
+        original.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src');
+            if (src && !srcToOriginal.has(src)) {
+                srcToOriginal.set(src, img);
+            }
+        });
+
+        for (const img of clone.querySelectorAll('img')) {
+            if (this.isUiImage(img)) {
+                continue;
+            }
+
+            const originalImg = srcToOriginal.get(img.getAttribute('src') || '');
+            if (originalImg) {
+                const base64 = await this.toBase64(originalImg);
+                if (base64) {
+                    img.setAttribute('data-base64', base64);
+                }
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageEncoder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ImageEncoder = ImageEncoder;
+}
+
+// ---- core/conversation-builder.js ----
+
+/**
+ * Conversation Builder
+ * Walks ChatGPT's message DOM once and produces a format-neutral conversation tree
+ * that every renderer (Markdown, HTML, PDF, ...) consumes as plain JSON.
+ *
+ * Document model:
+ *
+ *   conversation { type: 'conversation', title, url, conversationId, model, platform, exportedAt, createdAt, updatedAt, turns }
+ *   turn         { type: 'turn', role: 'user'|'assistant'|'system'|'unknown', sender, replyLabel, timestamp, html, blocks }
+ *
+ * createdAt, updatedAt and timestamp are ISO strings when the source knows them (conversations.json),
+ * null when built from the page. html is the message's page markup without UI controls (null when not from a page).
+ *
+ * When every branch is exported, a turn list may end in a fork instead of continuing linearly.
+ * Each branch holds the rest of the conversation from the fork on (which may fork again):
+ *
+ *   fork         { type: 'fork', branches: [branch] }
+ *   branch       { type: 'branch', index, total, active, turns }   (index is 1-based, active = the branch shown in the UI)
+ *
+ * Blocks:
+ *   paragraph    { type: 'paragraph', children }
+ *   heading      { type: 'heading', level, children }
+ *   list         { type: 'list', ordered, start, items: [{ type: 'listItem', children, blocks }] }
+ *   table        { type: 'table', header: [cell], rows: [[cell]] }   (cell = inline nodes)
+ *   code         { type: 'code', language, text }
+ *   image        { type: 'image', src, alt, data }                    (data = base64 data URL or null)
+ *   math         { type: 'math', tex, display: true, mathml }           (mathml = KaTeX's MathML markup or null)
+ *   blockquote   { type: 'blockquote', blocks }
+ *   rule         { type: 'rule' }
+ *   canvas       { type: 'canvas' }
+ *   attachments  { type: 'attachments', files: [{ name, mimeType, size, href, data }] }
+ *                (files uploaded with a prompt; size in bytes, href and data = the file as a data URL, or null)
+ *   codeRun      { type: 'codeRun', language, code, output, images: [image], files: [{ name, href }] }
+ *                (a Code Interpreter run: its code, the printed output or result (null when none),
+ *                the charts it drew and links to the files it wrote)
+ *   reasoning    { type: 'reasoning', label, blocks }   (a reasoning model's thinking summary, label e.g. "Thought for 12 seconds")
+ *   canvasDocument { type: 'canvasDocument', title, language, code, blocks, versions: [{ code, blocks }] }
+ *                (a Canvas document in its latest version, in the turn that created it: code holds the source of
+ *                code documents (blocks = null), blocks the content of text ones (code = null); versions are
+ *                the earlier versions, oldest first, when asked for and [] otherwise)
+ *   figure       { type: 'figure', image, caption, generation: { size, seed, genId } }
+ *                (an image the reply generated: caption = the prompt it was generated from, as rewritten by the
+ *                model; size e.g. "1024x1024"; caption and generation fields are null when the source doesn't say)
+ *
+ * Inline nodes:
+ *   text { value }, strong { children }, emphasis { children }, inlineCode { value },
+ *   link { href, children }, break, image { src, alt, data }, math { tex, display, mathml },
+ *   citation { href, label, title }   (a web search source: the pill's text and, when known, the page title)
+ */
+
+const ATTACHMENT_MIME_TYPES = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    html: 'text/html',
+    xml: 'application/xml',
+    py: 'text/x-python',
+    js: 'text/javascript',
+    ts: 'text/typescript',
+    zip: 'application/zip',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const REASONING_LABEL = /^(Thought|Thinking|Reasoned|Reasoning)\b.{0,60}$/i;
+
+const CITATION_PILL_SELECTOR = '[class*="citation-pill"], [data-testid*="citation-pill"]';
+
+class ConversationBuilder {
+    /**
+     * @param {Object} options
+     * @param {ImageEncoder} options.imageEncoder - Encodes the message images (default: new ImageEncoder())
+     * @param {boolean} options.attachmentFiles - Also download the files attached to prompts, when the chip links them
+     * @param {boolean} options.includeReasoning - Export the "Thought for N seconds" summaries, opening collapsed ones
+     * @param {boolean} options.canvasVersions - Keep the earlier versions of Canvas documents too
+     * @param {boolean} options.openCanvas - Open each Canvas card's document in the panel to read it whole (default);
+     *                                       off where nothing can open it, e.g. a saved page, whose scripts don't run
+     * @param {SelectorCascade} options.selectorCascade - Finds the Canvas panel (default: new SelectorCascade())
+     */
+    constructor(options = {}) {
+        this.imageEncoder = options.imageEncoder || new ImageEncoder();
+        this.attachmentFiles = Boolean(options.attachmentFiles);
+        this.includeReasoning = Boolean(options.includeReasoning);
+        this.canvasVersions = Boolean(options.canvasVersions);
+        this.openCanvas = options.openCanvas !== false;
+        this.selectorCascade = options.selectorCascade || new SelectorCascade();
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+        this.blockContainers = ['div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure'];
+    }
+
+    /**
+     * Build the conversation tree from a MessageDetector result
+     */
+    async build({ messages, metadata }) {
+        const turns = [];
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+
+        for (let i = 0; i < messages.length; i++) {
+            turns.push(await this.buildTurn(messages[i]));
+            console.log(`Processed message ${i + 1}/${messages.length}`);
+        }
+
+        return {
+            type: 'conversation',
+            title: metadata.title,
+            url: metadata.url,
+            conversationId: metadata.conversationId || null,
+            model: metadata.model || null,
+            platform: metadata.platform || 'ChatGPT',
+            exportedAt: metadata.timestamp,
+            createdAt: null,
+            updatedAt: null,
+            turns
+        };
+    }
+
+    /**
+     * Build a single turn from a detected message
+     */
+    async buildTurn(message) {
+        const chips = message.attachments || [];
+        const cards = message.canvasCards || [];
+        const reasoning = await this.findReasoning(message.element);
+        const removed = [
+            ...chips.map(chip => chip.element),
+            ...cards.map(card => card.element),
+            ...reasoning.flatMap(section => [section.row, section.content])
+        ];
+        const clone = this.cleanClone(message.element, removed.filter(Boolean));
+        const html = (clone.querySelector('.markdown, [class*="markdown"]') || clone).innerHTML.trim();
+        const blocks = await this.buildBlocks(message.element, clone);
+        if (this.includeReasoning) {
+            blocks.unshift(...reasoning
+                .filter(section => section.content)
+                .map(section => ({ type: 'reasoning', label: section.label, blocks: this.buildReasoningBlocks(section.content) })));
+        }
+        if (chips.length > 0) {
+            blocks.unshift(await this.buildAttachments(chips));
+        }
+        if (cards.length > 0) {
+            blocks.push(...await this.buildCanvasDocuments(cards));
+        }
+
+        return {
+            type: 'turn',
+            role: message.senderType,
+            sender: message.sender,
+            replyLabel: message.replyLabel || null,
+            timestamp: null,
+            html,
+            blocks
+        };
+    }
+
+    /**
+     * The "Thought for N seconds" sections of a reply: { label, row, content } with the row holding the
+     * toggle and the summary shown under it (null while collapsed). Their elements are left out of the
+     * reply either way; with includeReasoning, collapsed ones are opened first (and left open).
+     */
+    async findReasoning(element) {
+        const toggles = Array.from(element.querySelectorAll('button, [role="button"]'))
+            .filter(toggle => REASONING_LABEL.test(toggle.textContent.replace(/\s+/g, ' ').trim()));
+        const sections = [];
+
+        for (const toggle of toggles) {
+            let row = this.findReasoningRow(toggle, element);
+            let content = this.findReasoningContent(row, element);
+            if (this.includeReasoning && !content) {
+                toggle.click();
+                // The summary may open inside the collapsed row, which then holds more than the toggle
+                for (let wait = 0; wait < 30 && !content; wait++) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    row = this.findReasoningRow(toggle, element);
+                    content = this.findReasoningContent(row, element);
+                }
+            }
+            sections.push({ label: toggle.textContent.replace(/\s+/g, ' ').trim(), row, content });
+        }
+        return sections;
+    }
+
+    /**
+     * Highest ancestor of the toggle that holds nothing but the toggle
+     */
+    findReasoningRow(toggle, message) {
+        const label = toggle.textContent.trim();
+        let row = toggle;
+        while (row.parentElement && row.parentElement !== message && row.parentElement.textContent.trim() === label) {
+            row = row.parentElement;
+        }
+        return row;
+    }
+
+    /**
+     * The expanded summary right after the toggle's row. The reply itself (the last markdown part) never is.
+     */
+    findReasoningContent(row, message) {
+        const content = row.nextElementSibling;
+        const parts = message.querySelectorAll('.markdown, [class*="markdown"]');
+        const reply = parts[parts.length - 1];
+        if (!content || !content.textContent.trim() || (reply && content.contains(reply))) {
+            return null;
+        }
+        return content;
+    }
+
+    buildReasoningBlocks(content) {
+        const clone = this.cleanClone(content);
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        return markdownParts.length > 0
+            ? markdownParts.flatMap(part => this.convertBlocks(part))
+            : this.convertBlocks(clone);
+    }
+
+    /**
+     * Attachments block from the chips MessageDetector found, downloading the files when asked to
+     */
+    async buildAttachments(chips) {
+        const files = [];
+        for (const chip of chips) {
+            const extension = chip.name.includes('.') ? chip.name.split('.').pop().toLowerCase() : '';
+            files.push({
+                name: chip.name,
+                mimeType: ATTACHMENT_MIME_TYPES[extension] || null,
+                size: chip.size,
+                href: chip.href,
+                data: this.attachmentFiles && chip.href ? await this.fetchFile(chip.href) : null
+            });
+        }
+        return { type: 'attachments', files };
+    }
+
+    /**
+     * A linked file as a data URL, or null when it can't be downloaded
+     */
+    async fetchFile(href) {
+        try {
+            const url = new URL(href, location.href);
+            const response = await fetch(url.href, { credentials: url.origin === location.origin ? 'include' : 'omit' });
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (e) {
+            console.warn('Cannot download attachment:', href, e);
+            return null;
+        }
+    }
+
+    /**
+     * Canvas documents for the cards of a reply. A card for a document an earlier reply created (an edit)
+     * updates that document's block instead of adding one, keeping the replaced version with canvasVersions.
+     * Only the document id tells documents apart (titles can repeat); cards without one are keyed by their position.
+     */
+    async buildCanvasDocuments(cards) {
+        const created = [];
+        for (const card of cards) {
+            const content = await this.readCanvas(card);
+            const key = card.id || `#${++this.canvasCardCount}`;
+            const existing = this.canvasDocuments.get(key);
+            if (!existing) {
+                const document = { type: 'canvasDocument', title: card.title || 'Canvas', ...content, versions: [] };
+                this.canvasDocuments.set(key, document);
+                created.push(document);
+                continue;
+            }
+            const changed = JSON.stringify([existing.code, existing.blocks]) !== JSON.stringify([content.code, content.blocks]);
+            if (changed && this.canvasVersions) {
+                existing.versions.push({ code: existing.code, blocks: existing.blocks });
+            }
+            Object.assign(existing, content, { language: content.language || existing.language });
+        }
+        return created;
+    }
+
+    /**
+     * Open the card's document in the Canvas panel and read it from there. Falls back on the preview
+     * the card shows when the panel doesn't open, without waiting for it when it can't (openCanvas off).
+     */
+    async readCanvas(card) {
+        const before = this.selectorCascade.findCanvasPanel();
+        if (!this.openCanvas) {
+            return before && this.showsCanvas(before, card) ? this.convertCanvasPanel(before) : this.convertCanvasCard(card);
+        }
+
+        const previous = before ? before.editor.textContent : null;
+        (card.element.querySelector('button, [role="button"]') || card.element).click();
+
+        let panel = before;
+        for (let wait = 0; wait < 30 && (!panel || panel.editor.textContent === previous); wait++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            panel = this.selectorCascade.findCanvasPanel();
+        }
+        if (panel && (panel.editor.textContent !== previous || this.showsCanvas(panel, card))) {
+            return this.convertCanvasPanel(panel);
+        }
+        return this.convertCanvasCard(card);
+    }
+
+    /**
+     * Whether the panel's header names the card's document
+     */
+    showsCanvas(panel, card) {
+        const container = panel.element.closest('section, aside, [role="dialog"]') || panel.element;
+        return Boolean(card.title) && container.textContent.includes(card.title);
+    }
+
+    /**
+     * Content of the open document: the source of a code document, the blocks of a text one
+     */
+    async convertCanvasPanel(panel) {
+        if (panel.kind === 'code') {
+            return { language: panel.language, code: this.readCodeEditor(panel.editor), blocks: null };
+        }
+        const clone = this.cleanClone(panel.editor);
+        await this.imageEncoder.encodeClonedImages(clone, panel.editor);
+        return { language: null, code: null, blocks: this.convertBlocks(clone) };
+    }
+
+    /**
+     * Source of a CodeMirror editor. The editor only renders the lines in view, so the whole document
+     * is read from its state when the page lets us reach it.
+     */
+    readCodeEditor(editor) {
+        try {
+            const content = editor.querySelector('.cm-content');
+            const view = content && content.cmView && content.cmView.rootView && content.cmView.rootView.view;
+            if (view) {
+                return view.state.doc.toString();
+            }
+        } catch (e) {
+            console.warn('Cannot read the Canvas editor state:', e);
+        }
+        const lines = editor.querySelectorAll('.cm-line');
+        return lines.length > 0 ? Array.from(lines).map(line => line.textContent).join('\n') : editor.textContent;
+    }
+
+    /**
+     * Content of the preview a card shows
+     */
+    convertCanvasCard(card) {
+        const clone = this.cleanClone(card.element);
+        const code = clone.querySelector('pre, code');
+        if (code) {
+            return { language: null, code: code.textContent.replace(/\n$/, ''), blocks: null };
+        }
+        const preview = clone.querySelector('.markdown, [class*="markdown"], .ProseMirror');
+        return { language: null, code: null, blocks: preview ? this.convertBlocks(preview) : [] };
+    }
+
+    /**
+     * Convert a message element into blocks, encoding its images on the way
+     */
+    async buildBlocks(element, clone = this.cleanClone(element)) {
+        // Pre-convert all images to base64
+        await this.imageEncoder.encodeClonedImages(clone, element);
+
+        // Code Interpreter runs, their charts and generated images sit between the markdown parts of a reply
+        const runs = Array.from(clone.querySelectorAll('div, section, details')).filter(el => this.isCodeRun(el));
+        if (runs.length > 0 || Array.from(clone.querySelectorAll('img')).some(img => this.isGeneratedImage(img))) {
+            return this.convertReplyParts(clone, runs);
+        }
+
+        // Find the markdown content container if it exists
+        const markdownContainer = clone.querySelector('.markdown, [class*="markdown"]');
+        return this.convertBlocks(markdownContainer || clone);
+    }
+
+    /**
+     * Convert the markdown parts, code runs and images outside both of a reply, in page order
+     */
+    convertReplyParts(clone, runs) {
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        const inPart = node => [...markdownParts, ...runs].some(part => part.contains(node));
+        // Generated images are drawn twice, the blurred backdrop being a copy of the image
+        const images = Array.from(clone.querySelectorAll('img'))
+            .filter(img => !inPart(img))
+            .filter((img, index, all) => !this.isGeneratedImage(img) ||
+                all.findIndex(other => other.getAttribute('src') === img.getAttribute('src')) === index);
+
+        return [...markdownParts, ...runs, ...images]
+            .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+            .flatMap(part => {
+                if (runs.includes(part)) {
+                    return [this.convertCodeRun(part)];
+                }
+                return part.tagName.toLowerCase() === 'img' ? this.convertBlock(part) : this.convertBlocks(part);
+            });
+    }
+
+    /**
+     * Copy a message element without the buttons, icons and screen-reader text around its content
+     * @param {Element[]} removed - Elements inside `element` to leave out of the copy (e.g. attachment chips)
+     */
+    cleanClone(element, removed = []) {
+        const clone = element.cloneNode(true);
+
+        removed
+            .map(node => this.findCopy(element, clone, node))
+            .forEach(copy => copy && copy !== clone && copy.remove());
+
+        // Extract images from buttons before removing them (ChatGPT wraps images in buttons).
+        // Web search citation pills can be buttons or sit in/around one: keep their content.
+        clone.querySelectorAll('button').forEach(btn => {
+            const img = btn.querySelector('img');
+            if (this.isCitation(btn)) {
+                return;
+            }
+            if (btn.closest(CITATION_PILL_SELECTOR) || btn.querySelector(CITATION_PILL_SELECTOR)) {
+                btn.replaceWith(...btn.childNodes);
+            } else if (img) {
+                btn.parentNode.replaceChild(img.cloneNode(true), btn);
+            } else {
+                btn.remove();
+            }
+        });
+
+        // Remove UI elements that shouldn't be in the export
+        clone.querySelectorAll('svg, [class*="sr-only"]').forEach(el => el.remove());
+        return clone;
+    }
+
+    /**
+     * The node of a fresh deep copy that sits where `node` sits in `original`
+     */
+    findCopy(original, copy, node) {
+        const path = [];
+        for (let current = node; current && current !== original; current = current.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(current.parentElement ? current.parentElement.children : [], current));
+        }
+        return path.reduce((target, index) => target && index >= 0 ? target.children[index] : null, copy);
+    }
+
+    /**
+     * Convert the children of a container into a list of blocks.
+     * Runs of inline content between block elements become paragraphs.
+     */
+    convertBlocks(container, preserveLines = false) {
+        const blocks = [];
+        let inlineBuffer = [];
+        const keepLines = preserveLines || this.preservesLines(container);
+
+        const flush = () => {
+            const children = this.trimInline(inlineBuffer);
+            if (children.length > 0) {
+                blocks.push({ type: 'paragraph', children });
+            }
+            inlineBuffer = [];
+        };
+
+        container.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                inlineBuffer.push(...this.convertText(child.textContent, keepLines));
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE || this.isSkipped(child)) {
+                return;
+            }
+
+            const blocksFromChild = this.convertBlock(child, keepLines);
+            if (blocksFromChild) {
+                flush();
+                blocks.push(...blocksFromChild);
+            } else {
+                inlineBuffer.push(...this.convertInline(child, keepLines));
+            }
+        });
+
+        flush();
+        return blocks;
+    }
+
+    /**
+     * Convert a block-level element, or return null when the element is inline
+     */
+    convertBlock(element, preserveLines) {
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isDisplayMath(element)) {
+            return [{ type: 'math', tex: this.extractTex(element), display: true, mathml: this.extractMathMl(element, true) }];
+        }
+
+        switch (tagName) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return [{
+                    type: 'heading',
+                    level: parseInt(tagName.substring(1), 10),
+                    children: this.trimInline(this.convertInlineChildren(element, false))
+                }];
+
+            case 'p':
+                return this.convertBlocks(element, preserveLines);
+
+            case 'pre':
+                return [this.convertCodeBlock(element)];
+
+            case 'ul':
+            case 'ol':
+                return [this.convertList(element)];
+
+            case 'table':
+                return [this.convertTable(element)];
+
+            case 'blockquote':
+                return [{ type: 'blockquote', blocks: this.convertBlocks(element, preserveLines) }];
+
+            case 'hr':
+                return [{ type: 'rule' }];
+
+            case 'canvas':
+                return [{ type: 'canvas' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                if (image && this.isGeneratedImage(element)) {
+                    return [this.convertFigure(element, image)];
+                }
+                return image ? [{ ...image, type: 'image' }] : [];
+            }
+
+            default:
+                if (this.blockContainers.includes(tagName)) {
+                    return this.convertBlocks(element, preserveLines);
+                }
+                return null;
+        }
+    }
+
+    /**
+     * Convert an inline element into inline nodes
+     */
+    convertInline(element, preserveLines = false) {
+        if (element.nodeType === Node.TEXT_NODE) {
+            return this.convertText(element.textContent, preserveLines);
+        }
+        if (element.nodeType !== Node.ELEMENT_NODE || this.isSkipped(element)) {
+            return [];
+        }
+
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isCitation(element)) {
+            return [this.convertCitation(element)];
+        }
+
+        if (this.isMath(element)) {
+            const display = this.isDisplayMath(element);
+            return [{ type: 'math', tex: this.extractTex(element), display, mathml: this.extractMathMl(element, display) }];
+        }
+
+        switch (tagName) {
+            case 'strong':
+            case 'b':
+                return [{ type: 'strong', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'em':
+            case 'i':
+                return [{ type: 'emphasis', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'code':
+                return [{ type: 'inlineCode', value: element.textContent || '' }];
+
+            case 'br':
+                return [{ type: 'break' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                return image ? [image] : [];
+            }
+
+            case 'a': {
+                const href = (element.getAttribute('href') || '').trim();
+                const lowerHref = href.toLowerCase();
+                const children = this.convertInlineChildren(element, preserveLines);
+                if (!href || lowerHref.startsWith('javascript:') ||
+                    lowerHref.startsWith('data:') || lowerHref.startsWith('vbscript:') ||
+                    href.startsWith('#')) {
+                    return children;
+                }
+                return [{ type: 'link', href, children }];
+            }
+
+            case 'template':
+                return [];
+
+            default:
+                // Block elements nested inside inline context (e.g. <p> inside <li>) are flattened
+                return [
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }]),
+                    ...this.convertInlineChildren(element, preserveLines || this.preservesLines(element)),
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }])
+                ];
+        }
+    }
+
+    convertInlineChildren(element, preserveLines) {
+        const nodes = [];
+        element.childNodes.forEach(child => {
+            nodes.push(...this.convertInline(child, preserveLines));
+        });
+        return nodes;
+    }
+
+    /**
+     * Convert a text node value. Source formatting whitespace collapses to single spaces,
+     * except inside whitespace-pre-wrap containers where line breaks are meaningful.
+     */
+    convertText(value, preserveLines) {
+        if (!value) return [];
+
+        if (!preserveLines) {
+            return [{ type: 'text', value: value.replace(/\s+/g, ' ') }];
+        }
+
+        const nodes = [];
+        value.split('\n').forEach((line, index) => {
+            if (index > 0) nodes.push({ type: 'break' });
+            if (line) nodes.push({ type: 'text', value: line });
+        });
+        return nodes;
+    }
+
+    convertCodeBlock(pre) {
+        // Prefer the <code> element so toolbar labels in the <pre> header are left out
+        const codeEl = pre.querySelector('code');
+        let language = '';
+        if (codeEl && typeof codeEl.className === 'string') {
+            const langMatch = codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+            language = langMatch ? langMatch[1] : '';
+        }
+
+        return {
+            type: 'code',
+            language,
+            text: (codeEl || pre).textContent.replace(/^\n+|\s+$/g, '')
+        };
+    }
+
+    /**
+     * A Code Interpreter run outside the reply text: the innermost element holding the code and
+     * its "Result" / "STDOUT/STDERR" output (the "Analyzed" toggle is a button, removed by cleanClone)
+     */
+    isCodeRun(element) {
+        if (element.closest('.markdown, [class*="markdown"]')) {
+            return false;
+        }
+        const testId = element.getAttribute('data-testid') || '';
+        if (testId.includes('code-interpreter')) {
+            return true;
+        }
+        const holdsRun = el => !!el.querySelector('code') && !!this.findOutputLabel(el);
+        return holdsRun(element) && !Array.from(element.children).some(holdsRun);
+    }
+
+    findOutputLabel(element) {
+        return Array.from(element.querySelectorAll('div, span, p'))
+            .find(el => el.children.length === 0 && !el.closest('pre, code') &&
+                /^(Result|Output|STDOUT\/STDERR|STDOUT|STDERR|Error)$/i.test(el.textContent.trim()));
+    }
+
+    convertCodeRun(element) {
+        const codeEl = element.querySelector('code[class*="language-"]') || element.querySelector('code');
+        const langMatch = codeEl && typeof codeEl.className === 'string' && codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+        const label = this.findOutputLabel(element);
+        const outputEl = label && (label.nextElementSibling || (label.parentElement !== element ? label.parentElement.nextElementSibling : null));
+        const trimCode = text => text.replace(/^\n+|\s+$/g, '');
+
+        return {
+            type: 'codeRun',
+            language: langMatch ? langMatch[1] : 'python',
+            code: codeEl ? trimCode(codeEl.textContent) : '',
+            output: outputEl && !outputEl.contains(codeEl) ? trimCode(outputEl.textContent) : null,
+            images: Array.from(element.querySelectorAll('img')).map(img => this.convertImage(img)).filter(Boolean),
+            files: Array.from(element.querySelectorAll('a[href]')).map(link => ({
+                name: link.textContent.trim() || link.getAttribute('href').split('/').pop(),
+                href: link.getAttribute('href')
+            }))
+        };
+    }
+
+    convertList(list) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const items = [];
+
+        list.querySelectorAll(':scope > li').forEach(li => {
+            const children = [];
+            const blocks = [];
+
+            // Nested lists and code blocks stay blocks, everything else flattens into the item text
+            li.childNodes.forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && !this.isSkipped(child)) {
+                    const tagName = child.tagName.toLowerCase();
+                    if (tagName === 'ul' || tagName === 'ol') {
+                        blocks.push(this.convertList(child));
+                        return;
+                    }
+                    if (tagName === 'pre') {
+                        blocks.push(this.convertCodeBlock(child));
+                        return;
+                    }
+                }
+                children.push(...this.convertInline(child));
+            });
+
+            items.push({ type: 'listItem', children: this.trimInline(children), blocks });
+        });
+
+        return {
+            type: 'list',
+            ordered,
+            start: parseInt(list.getAttribute('start') || '1', 10),
+            items
+        };
+    }
+
+    convertTable(table) {
+        const convertCell = cell => this.trimInline(this.convertInlineChildren(cell, false));
+        const headerRow = table.querySelector('thead tr');
+
+        const header = headerRow
+            ? Array.from(headerRow.querySelectorAll('th, td')).map(convertCell)
+            : [];
+        const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr =>
+            Array.from(tr.querySelectorAll('td, th')).map(convertCell)
+        ).filter(row => row.length > 0);
+
+        return { type: 'table', header, rows };
+    }
+
+    /**
+     * Convert an image element, or return null for UI images
+     */
+    convertImage(img) {
+        const className = typeof img.className === 'string' ? img.className : '';
+        const src = img.getAttribute('src') || '';
+
+        // Skip UI images (favicons, avatars, icons)
+        if (src.includes('favicon') || src.includes('avatar') ||
+            className.includes('icon') || (img.width && img.width < 48)) {
+            return null;
+        }
+
+        return {
+            type: 'image',
+            src,
+            alt: img.getAttribute('alt') || '',
+            data: img.getAttribute('data-base64') || null
+        };
+    }
+
+    /**
+     * An image the reply generated (DALL·E / image generation) rather than one it shows from the web
+     */
+    isGeneratedImage(img) {
+        return /^Generated image\b/i.test(img.getAttribute('alt') || '') ||
+            !!img.closest('[class*="image-gen"], [class*="imagegen"], [data-testid*="image-gen"]');
+    }
+
+    /**
+     * A generated image as a figure. The page only has the prompt in the image's alt text
+     * ("Generated image: ..."), and the size in its dimensions.
+     */
+    convertFigure(img, image) {
+        const caption = (img.getAttribute('alt') || '').replace(/^Generated image\b:?\s*/i, '').trim();
+        const width = parseInt(img.getAttribute('width'), 10);
+        const height = parseInt(img.getAttribute('height'), 10);
+        return {
+            type: 'figure',
+            image,
+            caption: caption || null,
+            generation: { size: width && height ? `${width}x${height}` : null, seed: null, genId: null }
+        };
+    }
+
+    /**
+     * Elements that carry no conversation content
+     */
+    isSkipped(element) {
+        if (this.isCitation(element)) {
+            return false;
+        }
+        const tagName = element.tagName.toLowerCase();
+        if (['button', 'svg', 'script', 'style', 'noscript', 'template'].includes(tagName)) {
+            return true;
+        }
+
+        // Skip elements with specific classes (UI components)
+        const className = element.className;
+        return typeof className === 'string' &&
+            (className.includes('copy') || className.includes('edit') || className.includes('regenerate'));
+    }
+
+    isInlineTag(tagName) {
+        return ['span', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sub', 'sup', 'mark', 'small', 'abbr', 'cite', 'label', 'kbd'].includes(tagName);
+    }
+
+    preservesLines(element) {
+        return typeof element.className === 'string' && element.className.includes('whitespace-pre-wrap');
+    }
+
+    isCitation(element) {
+        return element.matches(CITATION_PILL_SELECTOR);
+    }
+
+    /**
+     * Citation node from a pill: its text ("Wikipedia +2") is the label, the page title comes from the
+     * link's tooltip when it has one, otherwise from the label without the "+N more sources" count
+     */
+    convertCitation(element) {
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+        const label = element.textContent.replace(/\s+/g, ' ').trim();
+        const tooltip = link && (link.getAttribute('title') || link.getAttribute('aria-label'));
+        return {
+            type: 'citation',
+            href: link ? link.getAttribute('href') : null,
+            label,
+            title: (tooltip || label.replace(/\s*\+\d+$/, '')).trim() || null
+        };
+    }
+
+    isMath(element) {
+        return element.classList.contains('katex') || element.classList.contains('katex-display');
+    }
+
+    isDisplayMath(element) {
+        return element.classList.contains('katex-display') ||
+            (element.classList.contains('katex') && !!element.closest('.katex-display'));
+    }
+
+    /**
+     * Read the TeX source KaTeX keeps in its MathML annotation
+     */
+    extractTex(element) {
+        const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+        return annotation ? annotation.textContent.trim() : element.textContent.trim();
+    }
+
+    /**
+     * Copy the MathML KaTeX renders alongside its HTML, so exports show real formulas without KaTeX's CSS and fonts.
+     * Event handler and link attributes are dropped; the TeX annotation is kept for copy and paste.
+     */
+    extractMathMl(element, display) {
+        const math = element.querySelector('math');
+        if (!math) {
+            return null;
+        }
+
+        const clone = math.cloneNode(true);
+        [clone, ...clone.querySelectorAll('*')].forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                if (/^on|href$/i.test(attr.name)) el.removeAttribute(attr.name);
+            });
+        });
+        clone.setAttribute('xmlns', 'http://www.w3.org/1998/Math/MathML');
+        if (display) {
+            clone.setAttribute('display', 'block');
+        }
+        return clone.outerHTML;
+    }
+
+    /**
+     * Trim leading and trailing whitespace from a run of inline nodes
+     */
+    trimInline(nodes) {
+        const result = nodes.filter(node => node.type !== 'text' || node.value !== '');
+
+        while (result.length > 0 && this.isBlankNode(result[0])) result.shift();
+        while (result.length > 0 && this.isBlankNode(result[result.length - 1])) result.pop();
+
+        if (result.length > 0 && result[0].type === 'text') {
+            result[0] = { ...result[0], value: result[0].value.replace(/^\s+/, '') };
+        }
+        const last = result.length - 1;
+        if (last >= 0 && result[last].type === 'text') {
+            result[last] = { ...result[last], value: result[last].value.replace(/\s+$/, '') };
+        }
+
+        return result;
+    }
+
+    isBlankNode(node) {
+        return node.type === 'break' || (node.type === 'text' && node.value.trim() === '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationBuilder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ConversationBuilder = ConversationBuilder;
+}
+
+// ---- core/branch-walker.js ----
+
+/**
+ * Branch Walker
+ * Collects every branch of a ChatGPT conversation by stepping through the "< 2/3 >"
+ * navigators that edited prompts and regenerated replies leave on the page.
+ * Produces the turn list of the conversation tree, ending in forks where branches split
+ * (see core/conversation-builder.js).
+ */
+
+class BranchWalker {
+    /**
+     * @param {Object} options
+     * @param {ConversationBuilder} options.builder - Converts detected messages into turns
+     * @param {Function} options.createDetector - Returns a fresh MessageDetector (results must not be cached across clicks)
+     * @param {number} options.timeout - How long to wait for a branch switch to render, in ms
+     */
+    constructor(options = {}) {
+        this.builder = options.builder || new ConversationBuilder();
+        this.createDetector = options.createDetector || (() => new MessageDetector());
+        this.timeout = options.timeout || 5000;
+    }
+
+    /**
+     * Walk all branches and return the conversation turns.
+     * The page is left on the branches that were showing when the walk started.
+     */
+    async buildTurns() {
+        return this.walk(0, -1);
+    }
+
+    /**
+     * Build turns from message `fromIndex` on. The navigator of message `skipNavigatorAt`
+     * is the one currently being walked by the caller, so it does not fork again.
+     */
+    async walk(fromIndex, skipNavigatorAt) {
+        const { messages } = await this.createDetector().detectMessages();
+        const turns = [];
+
+        for (let i = fromIndex; i < messages.length; i++) {
+            const navigator = i === skipNavigatorAt ? null : this.findNavigator(messages[i].element);
+
+            if (navigator && navigator.total > 1) {
+                const original = navigator.current;
+                const branches = [];
+
+                for (let version = 1; version <= navigator.total; version++) {
+                    await this.goTo(i, version);
+                    console.log(`Walking branch ${version}/${navigator.total} at message ${i + 1}`);
+                    branches.push({
+                        type: 'branch',
+                        index: version,
+                        total: navigator.total,
+                        active: version === original,
+                        turns: await this.walk(i, i)
+                    });
+                }
+
+                await this.goTo(i, original);
+                turns.push({ type: 'fork', branches });
+                return turns;
+            }
+
+            turns.push(await this.builder.buildTurn(messages[i]));
+        }
+
+        return turns;
+    }
+
+    /**
+     * Find the "current/total" counter and its previous/next buttons in a message's turn
+     */
+    findNavigator(messageElement) {
+        const turn = messageElement.closest('article, [data-testid^="conversation-turn"]') || messageElement;
+        const counter = Array.from(turn.querySelectorAll('div, span'))
+            .find(el => el.children.length === 0 && /^\s*\d+\s*\/\s*\d+\s*$/.test(el.textContent));
+        if (!counter) {
+            return null;
+        }
+
+        const [current, total] = counter.textContent.split('/').map(part => parseInt(part, 10));
+        const buttons = Array.from(counter.parentElement.querySelectorAll('button'));
+        const previous = buttons.find(btn => /previous|prev/i.test(btn.getAttribute('aria-label') || '')) || buttons[0];
+        const next = buttons.find(btn => /next/i.test(btn.getAttribute('aria-label') || '')) || buttons[buttons.length - 1];
+
+        if (!previous || !next || previous === next) {
+            return null;
+        }
+        return { current, total, previous, next, counter };
+    }
+
+    /**
+     * Click message `index`'s navigator until it shows `version`
+     */
+    async goTo(index, version) {
+        for (let step = 0; step < 50; step++) {
+            const { messages } = await this.createDetector().detectMessages();
+            const navigator = messages[index] && this.findNavigator(messages[index].element);
+            if (!navigator) {
+                throw new Error(`Lost the branch navigator of message ${index + 1}`);
+            }
+            if (navigator.current === version) {
+                return;
+            }
+
+            const before = navigator.counter.textContent;
+            (navigator.current < version ? navigator.next : navigator.previous).click();
+            await this.waitFor(() => !navigator.counter.isConnected || navigator.counter.textContent !== before);
+        }
+
+        throw new Error(`Could not switch message ${index + 1} to branch ${version}`);
+    }
+
+    /**
+     * Poll until the condition holds, then give the new branch a moment to finish rendering
+     */
+    async waitFor(condition) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > this.timeout) {
+                throw new Error('Timed out waiting for the branch to load');
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BranchWalker;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.BranchWalker = BranchWalker;
+}
+
+// ---- core/file-downloader.js ----
+
+/**
+ * File Downloader
+ * Saves exported content through a temporary Blob download link, and names the exports.
+ *
+ * File names come from a template whose tokens are replaced with the conversation's details:
+ *
+ *   {title}     conversation title            {id}        conversation id (empty when unknown)
+ *   {date}      creation date, YYYY-MM-DD     {model}     model, e.g. gpt-4o (empty when unknown)
+ *   {time}      creation time, HH-MM-SS       {platform}  ChatGPT or Gemini
+ *   {count}     number of messages            {ext}       file extension
+ *
+ * The date and time are UTC, from when the conversation was created or, when the source doesn't
+ * say (exports of the page on screen), exported. The default template, "{title} ({date}).{ext}",
+ * gives the names exports always had.
+ */
+
+const DEFAULT_FILENAME_TEMPLATE = '{title} ({date}).{ext}';
+
+class FileDownloader {
+    /**
+     * @param {Object} options
+     * @param {string} options.template - File name template, e.g. "{date}_{title}_{id}.{ext}" (default "{title} ({date}).{ext}")
+     * @param {boolean} options.slugify - Lowercase the token values and join their words with hyphens
+     * @param {number} options.maxLength - Longest file name, extension included; the title is shortened first.
+     *                                      Names are refused (Error) when the extension and suffix alone reach it.
+     */
+    constructor(options = {}) {
+        this.template = options.template || DEFAULT_FILENAME_TEMPLATE;
+        this.slugify = Boolean(options.slugify);
+        this.maxLength = options.maxLength > 0 ? options.maxLength : 0;
+    }
+
+    /**
+     * Trigger a browser download for the given content
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Name an export of the conversation from the template: "{name}{suffix}.{extension}" (Issue #12).
+     * `suffix` tells apart exports of the same conversation (e.g. " report"); `title` replaces the
+     * conversation title.
+     */
+    buildFilename(conversation, extension, suffix = '', title = conversation.title) {
+        const reserved = suffix.length + extension.length + 1;
+        return `${this.buildBaseName(conversation, { title, extension, reserved })}${suffix}.${extension}`;
+    }
+
+    /**
+     * The template's name for the conversation without the extension, for callers that add their own
+     * @param {Object} options
+     * @param {string} options.title - Use instead of the conversation title
+     * @param {string} options.extension - Value of {ext} when it appears elsewhere in the template
+     * @param {number} options.reserved - Characters of maxLength kept for what the caller appends
+     */
+    buildBaseName(conversation, { title = conversation.title, extension = '', reserved = 0 } = {}) {
+        const timestamp = conversation.createdAt || conversation.exportedAt || new Date().toISOString();
+        const values = {
+            title: this.tokenValue(title) || this.tokenValue(`${conversation.platform || 'ChatGPT'}_Conversation`),
+            date: timestamp.split('T')[0],
+            time: (timestamp.split('T')[1] || '').slice(0, 8).replace(/:/g, '-'),
+            id: this.tokenValue(conversation.conversationId),
+            model: conversation.model === 'Unknown' ? '' : this.tokenValue(conversation.model),
+            platform: this.tokenValue(conversation.platform || 'ChatGPT'),
+            count: String(this.countMessages(conversation.turns || [])),
+            ext: extension
+        };
+
+        const template = this.template.replace(/\.\{ext\}$/, '');
+        const fill = titleValue => template
+            .replace(/\{(\w+)\}/g, (token, name) => name === 'title' ? titleValue : (name in values ? values[name] : token))
+            .replace(/^[\s._-]+|[\s._-]+$/g, '');
+
+        if (this.maxLength > 0 && this.maxLength <= reserved) {
+            throw new Error(`A file name of at most ${this.maxLength} characters leaves no room for a name: the extension and suffix take ${reserved}`);
+        }
+
+        let name = fill(values.title);
+        const limit = this.maxLength > 0 ? this.maxLength - reserved : 0;
+        if (limit > 0 && name.length > limit) {
+            const shortened = values.title.slice(0, Math.max(0, values.title.length - (name.length - limit))).replace(/[\s._-]+$/, '');
+            name = fill(shortened).slice(0, limit).replace(/[\s._-]+$/, '');
+        }
+        name = name || values.date;
+        return limit > 0 ? name.slice(0, limit) : name;
+    }
+
+    /**
+     * A value safe in a file name: no characters file systems reject, collapsed whitespace, and
+     * lowercase words joined by hyphens when slugifying
+     */
+    tokenValue(value) {
+        const safe = String(value || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '').replace(/\s+/g, ' ').trim();
+        if (!this.slugify) {
+            return safe;
+        }
+        return safe.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Messages in the conversation, the ones in every branch of a fork included
+     */
+    countMessages(turns) {
+        return turns.reduce((count, turn) => count + (turn.type === 'fork'
+            ? turn.branches.reduce((sum, branch) => sum + this.countMessages(branch.turns), 0)
+            : 1), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileDownloader;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.FileDownloader = FileDownloader;
+}
+
+// ---- core/zip-writer.js ----
+
+/**
+ * Zip Writer
+ * Assembles a zip archive in memory without any library, so packaged exports (DOCX, folders of files)
+ * work under ChatGPT's Content Security Policy, which blocks loading scripts from CDNs.
+ * Entries are stored uncompressed.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file. Strings are encoded as UTF-8. Adding a name again replaces the earlier file,
+     * so the archive never holds two entries with one path.
+     * @param {string} name - Path inside the archive, using "/" separators
+     * @param {string|Uint8Array} data
+     * @param {Date} date - Modification time shown by unzip tools
+     */
+    addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const entry = { path: name, name: new TextEncoder().encode(name), bytes, crc: ZipWriter.crc32(bytes), date };
+        const index = this.entries.findIndex(existing => existing.path === name);
+        if (index >= 0) {
+            this.entries[index] = entry;
+        } else {
+            this.entries.push(entry);
+        }
+    }
+
+    /**
+     * Build the archive: local headers and data, then the central directory
+     * @returns {Uint8Array}
+     */
+    generate() {
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const { time, day } = this.dosDateTime(entry.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);                  // version needed
+            local.setUint16(6, 0x0800, true);              // UTF-8 names
+            local.setUint16(8, 0, true);                   // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.bytes.length, true);
+            local.setUint32(22, entry.bytes.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);                 // version made by
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, day, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.bytes.length, true);
+            header.setUint32(24, entry.bytes.length, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint32(42, offset, true);
+
+            chunks.push(new Uint8Array(local.buffer), entry.name, entry.bytes);
+            central.push(new Uint8Array(header.buffer), entry.name);
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+
+        const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    /**
+     * MS-DOS time and date fields (local time, 2-second resolution, years from 1980)
+     */
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ZipWriter = ZipWriter;
+}
+
+// ---- core/export-folder.js ----
+
+/**
+ * Export Folder
+ * Writes exports straight into a folder the user picked once (an Obsidian vault, a git repo, ...)
+ * through the File System Access API, instead of downloading them. The folder handle is kept in
+ * IndexedDB so it survives reloads, along with the path each conversation was first written to:
+ * re-exporting a conversation overwrites that file in place even if its title changed since.
+ *
+ * Only Chromium browsers have the API; callers fall back to FileDownloader when open() returns null.
+ */
+
+class ExportFolder {
+    /**
+     * @param {FileSystemDirectoryHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        this.name = handle.name;
+        this.writes = Promise.resolve();
+        this.errors = [];
+    }
+
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function' && typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Ask the user for the destination folder and remember it. Must run from a click.
+     * @returns {Promise<ExportFolder>}
+     */
+    static async choose() {
+        const handle = await window.showDirectoryPicker({ id: 'chatgpt-exporter', mode: 'readwrite' });
+        await ExportFolder.setting('folder', handle);
+        return new ExportFolder(handle);
+    }
+
+    /**
+     * Let the user pick the folder exports are written to from now on, telling them when the browser can't.
+     * Must run from a click.
+     * @returns {Promise<ExportFolder|null>} the remembered folder when the picker is cancelled, null when
+     *     unsupported (exports are downloaded then)
+     */
+    static async pick() {
+        if (!ExportFolder.isSupported()) {
+            alert('This browser cannot write to folders (the File System Access API is missing), so exports will be downloaded.');
+            return null;
+        }
+        try {
+            const folder = await ExportFolder.choose();
+            console.log(`Exports will be saved to "${folder.name}"`);
+            return folder;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Could not choose the export folder:', error);
+            }
+            return ExportFolder.open();
+        }
+    }
+
+    /**
+     * Write a single export into the folder, in a subfolder per export date, or download it when there is no
+     * folder. Attachments (images saved as files, ...) go next to the file, or into a zip with it (ZipWriter).
+     * A filename with a folder (the gallery's "{name}/captions.json") downloads as a zip named after the folder.
+     * @param {ExportFolder|null} folder
+     * @param {Object} exported - { conversation, content, filename, mimeType, attachments: [{ path, data }] }
+     */
+    static async save(folder, { conversation, content, filename, mimeType, attachments = [] }) {
+        if (!folder) {
+            if (attachments.length === 0 && !filename.includes('/')) {
+                new FileDownloader().download(content, filename, mimeType);
+                return;
+            }
+            const zipDirectory = filename.includes('/') ? filename.slice(0, filename.lastIndexOf('/') + 1) : '';
+            const zip = new ZipWriter();
+            zip.addFile(filename, content);
+            attachments.forEach(attachment => zip.addFile(zipDirectory + attachment.path, attachment.data));
+            const zipName = filename.includes('/') ? filename.split('/')[0] : filename.replace(/\.[^.]+$/, '');
+            new FileDownloader().download(zip.generate(), `${zipName}.zip`, 'application/zip');
+            return;
+        }
+
+        const path = await folder.pathFor(conversation, filename, conversation.exportedAt.split('T')[0]);
+        await folder.writeFile(path, content);
+        const directory = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+        for (const attachment of attachments) {
+            await folder.writeFile(directory + attachment.path, attachment.data);
+        }
+        console.log(`Saved to ${folder.name}/${path}`);
+    }
+
+    /**
+     * Go back to downloading files
+     */
+    static async forget() {
+        await ExportFolder.setting('folder', null);
+    }
+
+    /**
+     * The remembered folder, asking again for write access when the browser dropped it (it does
+     * after a restart). Call it at the start of a click handler: the permission prompt needs the click.
+     * @returns {Promise<ExportFolder|null>} null when no folder was chosen, access was refused or the API is missing
+     */
+    static async open() {
+        if (!ExportFolder.isSupported()) {
+            return null;
+        }
+
+        try {
+            const handle = await ExportFolder.setting('folder');
+            if (!handle) {
+                return null;
+            }
+            const options = { mode: 'readwrite' };
+            if (await handle.queryPermission(options) !== 'granted' && await handle.requestPermission(options) !== 'granted') {
+                console.warn('Export folder: write access refused, downloading instead');
+                return null;
+            }
+            return new ExportFolder(handle);
+        } catch (error) {
+            console.warn('Export folder: could not open the saved folder, downloading instead:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write a file, creating its subfolders and replacing any file already there
+     * @param {string} path - Path inside the folder, using "/" separators
+     * @param {string|Uint8Array} data
+     */
+    async writeFile(path, data) {
+        const { directory, name } = await this.resolve(path, true);
+        const file = await directory.getFileHandle(name, { create: true });
+        const writable = await file.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    /**
+     * Text of a file in the folder, or null when it does not exist
+     */
+    async readFile(path) {
+        try {
+            const { directory, name } = await this.resolve(path, false);
+            const file = await directory.getFileHandle(name);
+            return await (await file.getFile()).text();
+        } catch (error) {
+            if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async resolve(path, create) {
+        const parts = path.split('/').filter(Boolean);
+        const name = parts.pop();
+        let directory = this.handle;
+        for (const part of parts) {
+            directory = await directory.getDirectoryHandle(part, { create });
+        }
+        return { directory, name };
+    }
+
+    /**
+     * Where a single conversation export goes: the path it was written to before, otherwise
+     * `{subfolder}/{filename}`. Conversations without an id (new and temporary chats, whose URL has none)
+     * always get the new path.
+     * @param {Object} conversation - Conversation tree (see ConversationBuilder)
+     * @param {string} filename - Name from FileDownloader.buildFilename
+     * @param {string} subfolder - e.g. the export date or the project name
+     */
+    async pathFor(conversation, filename, subfolder) {
+        const path = subfolder ? `${subfolder}/${filename}` : filename;
+        if (!conversation.conversationId) {
+            return path;
+        }
+
+        const key = `${conversation.conversationId}.${filename.split('.').pop()}`;
+        const paths = (await ExportFolder.setting('paths')) || {};
+        if (!paths[key]) {
+            paths[key] = path;
+            await ExportFolder.setting('paths', paths);
+        }
+        return paths[key];
+    }
+
+    /**
+     * Same interface as ZipWriter, so BulkExporter can write its files here instead of into a zip.
+     * Writes run one after another; generate() waits for them and returns null (nothing to download).
+     */
+    addFile(path, data) {
+        this.writes = this.writes.then(() => this.writeFile(path, data)).catch(error => {
+            console.error(`Export folder: could not write ${path}:`, error);
+            this.errors.push({ path, error });
+        });
+    }
+
+    async generate() {
+        await this.writes;
+        if (this.errors.length > 0) {
+            throw new Error(`Could not write ${this.errors.length} file(s) to "${this.name}", first: ${this.errors[0].path} (${this.errors[0].error.message})`);
+        }
+        return null;
+    }
+
+    /**
+     * Read a setting from IndexedDB, or store it when `value` is given (handles can't go in userscript storage)
+     */
+    static setting(key, value) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('chatgpt-exporter', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('settings');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const store = db.transaction('settings', value === undefined ? 'readonly' : 'readwrite').objectStore('settings');
+                const operation = value === undefined ? store.get(key) : store.put(value, key);
+                operation.onerror = () => reject(operation.error);
+                operation.onsuccess = () => {
+                    db.close();
+                    resolve(value === undefined ? operation.result : value);
+                };
+            };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportFolder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ExportFolder = ExportFolder;
+}
+
+// ---- core/bulk-exporter.js ----
+
+/**
+ * Bulk Exporter
+ * Exports every conversation listed in the ChatGPT sidebar: opens each one in turn through its
+ * sidebar link (client-side navigation, so the running script survives), runs an export callback
+ * on it and packages the results with an index.md and an errors.log into one zip (or writes them
+ * straight into an ExportFolder).
+ */
+
+class BulkExporter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.exportConversation - async (entry) => { conversation, content, filename?, attachments? } for the
+     *     conversation on screen, or null. attachments ({ name, path, data }) are saved at `path`, relative to the file.
+     * @param {string} options.extension - Extension of the exported files, e.g. 'md'
+     * @param {Function} options.onProgress - Called with { done, total, failed, title, state } as the run advances
+     * @param {number} options.timeout - How long to wait for a conversation to load, in ms
+     * @param {Object} options.archive - Where the files go: a ZipWriter (default) or an ExportFolder
+     * @param {FileDownloader} options.fileDownloader - Names the files the export callback leaves unnamed
+     * @param {string} options.subfolder - Folder inside the archive for the files and index.md, e.g. "ChatGPT Export (2024-05-01)"
+     */
+    constructor(options = {}) {
+        this.exportConversation = options.exportConversation;
+        this.extension = options.extension || 'md';
+        this.onProgress = options.onProgress || (() => {});
+        this.timeout = options.timeout || 30000;
+        this.archive = options.archive || null;
+        this.fileDownloader = options.fileDownloader || new FileDownloader();
+        this.subfolder = options.subfolder || '';
+        this.attachmentPaths = new Set();
+        this.state = 'idle';
+        this.resumeRun = null;
+    }
+
+    /**
+     * Scroll the sidebar history to the end so every conversation link is loaded, then list them
+     * @returns {Promise<Array<{ id, title, href }>>}
+     */
+    async collectConversations() {
+        let count = -1;
+        for (let round = 0; round < 200; round++) {
+            const links = this.findConversationLinks();
+            if (links.length === count) {
+                break;
+            }
+            count = links.length;
+            this.onProgress({ done: 0, total: count, failed: 0, title: 'Loading the conversation list...', state: 'collecting' });
+
+            const scroller = links.length > 0 && this.findScrollContainer(links[links.length - 1]);
+            if (!scroller) {
+                break;
+            }
+            scroller.scrollTop = scroller.scrollHeight;
+            await this.sleep(1500);
+        }
+
+        const seen = new Set();
+        return this.findConversationLinks()
+            .map(link => ({
+                id: link.getAttribute('href').match(/\/c\/([\w-]+)/)[1],
+                title: link.textContent.replace(/\s+/g, ' ').trim(),
+                href: link.href
+            }))
+            .filter(entry => !seen.has(entry.id) && seen.add(entry.id));
+    }
+
+    findConversationLinks() {
+        return Array.from(document.querySelectorAll('nav a[href*="/c/"], #history a[href*="/c/"]'))
+            .filter(link => /\/c\/[\w-]+/.test(link.getAttribute('href') || ''));
+    }
+
+    /**
+     * Nearest ancestor that scrolls (the sidebar loads older chats when scrolled to the bottom)
+     */
+    findScrollContainer(element) {
+        for (let node = element.parentElement; node; node = node.parentElement) {
+            const overflow = getComputedStyle(node).overflowY;
+            if ((overflow === 'auto' || overflow === 'scroll') && node.scrollHeight > node.clientHeight) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Export the conversations one by one. Failures are logged and skipped; a cancelled run
+     * still packages what was exported so far.
+     * @returns {Promise<{ zip: Uint8Array|null, exported: number, errors: Array }>} zip is null when writing to an ExportFolder
+     */
+    async run(entries) {
+        const startUrl = location.href;
+        const zip = this.archive || new ZipWriter();
+        const usedNames = new Set();
+        const files = [];
+        const errors = [];
+        this.attachmentPaths = new Set();
+        this.state = 'running';
+
+        let i = 0;
+        for (; i < entries.length && this.state !== 'cancelled'; i++) {
+            const entry = entries[i];
+            this.onProgress({ done: i, total: entries.length, failed: errors.length, title: entry.title, state: this.state });
+
+            try {
+                await this.open(entry);
+                const result = await this.exportConversation(entry);
+                if (!result) {
+                    throw new Error('No messages found');
+                }
+
+                const file = await this.addConversation(zip, entry, result, usedNames);
+                if (file) {
+                    files.push(file);
+                }
+            } catch (error) {
+                console.error(`Bulk export: ${entry.title} failed:`, error);
+                errors.push({ entry, message: error.message, time: new Date().toISOString() });
+            }
+
+            await this.waitWhilePaused();
+        }
+
+        this.onProgress({ done: i, total: entries.length, failed: errors.length, title: 'Packaging...', state: this.state });
+        this.writeIndex(zip, files, errors);
+
+        await this.returnTo(startUrl, entries);
+        this.state = 'done';
+        return { zip: await zip.generate(), exported: files.length, errors };
+    }
+
+    /**
+     * Pause after the conversation being exported
+     */
+    pause() {
+        if (this.state === 'running') {
+            this.state = 'paused';
+        }
+    }
+
+    resume() {
+        if (this.state === 'paused') {
+            this.state = 'running';
+            if (this.resumeRun) this.resumeRun();
+        }
+    }
+
+    /**
+     * Stop after the conversation being exported and package the ones done
+     */
+    cancel() {
+        const paused = this.state === 'paused';
+        this.state = 'cancelled';
+        if (paused && this.resumeRun) this.resumeRun();
+    }
+
+    async waitWhilePaused() {
+        if (this.state === 'paused') {
+            await new Promise(resolve => { this.resumeRun = resolve; });
+            this.resumeRun = null;
+        }
+    }
+
+    /**
+     * Show a conversation by clicking its sidebar link, then wait until its messages replace the previous ones
+     */
+    async open(entry) {
+        if (location.pathname.endsWith(`/c/${entry.id}`) && document.querySelector('[data-message-author-role]')) {
+            return;
+        }
+
+        const link = this.findConversationLinks().find(a => a.getAttribute('href').endsWith(`/c/${entry.id}`));
+        if (!link) {
+            throw new Error('No longer listed in the sidebar');
+        }
+
+        const previous = document.querySelector('[data-message-author-role]');
+        link.click();
+        await this.waitFor(() => location.pathname.endsWith(`/c/${entry.id}`), 'Timed out opening the conversation');
+
+        // Loaded once the old messages are gone and the new ones stop changing
+        let lastCount = -1;
+        let stableSince = Date.now();
+        await this.waitFor(() => {
+            const count = document.querySelectorAll('[data-message-author-role]').length;
+            if (count !== lastCount) {
+                lastCount = count;
+                stableSince = Date.now();
+            }
+            return count > 0 && !(previous && previous.isConnected) && Date.now() - stableSince > 1000;
+        }, 'Timed out waiting for the messages to load');
+    }
+
+    /**
+     * Go back to the conversation that was open when the run started
+     */
+    async returnTo(url, entries) {
+        const match = url.match(/\/c\/([\w-]+)/);
+        const entry = match && entries.find(e => e.id === match[1]);
+        if (entry) {
+            try {
+                await this.open(entry);
+            } catch (error) {
+                console.warn('Bulk export: could not reopen the starting conversation:', error);
+            }
+        }
+    }
+
+    /**
+     * Add an exported conversation to the zip under a name not used yet
+     * @returns {Promise<{ name, entry, turns }|null>} the file added, or null when it was skipped
+     */
+    async addConversation(zip, entry, result, usedNames) {
+        const name = this.uniqueName(this.fileName(result), usedNames);
+        zip.addFile(this.chatPath(name), result.content);
+        this.addAttachments(zip, result);
+        return { name, entry, turns: result.conversation.turns.length };
+    }
+
+    /**
+     * The name the export callback chose, otherwise the file downloader's (by default "{title} ({date}).{ext}")
+     */
+    fileName({ conversation, filename }) {
+        return filename || this.fileDownloader.buildFilename(conversation, this.extension);
+    }
+
+    /**
+     * Attachments are named after their content, so one shared by several conversations is stored once:
+     * a path already added in this run is skipped
+     */
+    addAttachments(zip, { attachments = [] }) {
+        attachments.forEach(attachment => {
+            const file = this.chatPath(attachment.path);
+            if (!this.attachmentPaths.has(file)) {
+                this.attachmentPaths.add(file);
+                zip.addFile(file, attachment.data);
+            }
+        });
+    }
+
+    /**
+     * Where an exported conversation goes inside the zip
+     */
+    chatPath(name) {
+        return this.subfolder ? `${this.subfolder}/${name}` : name;
+    }
+
+    /**
+     * Add index.md and, when something failed, errors.log, next to the conversations
+     */
+    writeIndex(zip, files, errors) {
+        zip.addFile(this.chatPath('index.md'), this.renderIndex(files, errors));
+        if (errors.length > 0) {
+            zip.addFile(this.chatPath('errors.log'), this.renderErrorLog(errors));
+        }
+    }
+
+    uniqueName(name, usedNames) {
+        const dot = name.lastIndexOf('.');
+        let candidate = name;
+        for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+            candidate = `${name.slice(0, dot)} ${n}${name.slice(dot)}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Markdown list of the exported files in sidebar order (newest first), then the failures
+     */
+    renderIndex(files, errors) {
+        return [
+            '# ChatGPT Conversations\n',
+            `${files.length} conversations exported from ${location.hostname} on ${new Date().toISOString().split('T')[0]}.\n`,
+            ...this.renderFileTable(files, ''),
+            ...this.renderFailures(errors)
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Table rows linking each exported file (relative to the index, under `folder`) and its original
+     */
+    renderFileTable(files, folder) {
+        const link = (label, target) => `[${label}](${encodeURI(target).replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+        return [
+            '| Title | Messages | Original |',
+            '| --- | --- | --- |',
+            ...files.map(({ name, entry, turns }) => `| ${link(this.escapeMarkdown(entry.title || name), folder + name)} | ${turns} | [open](${entry.href}) |`)
+        ];
+    }
+
+    renderFailures(errors) {
+        if (errors.length === 0) {
+            return [];
+        }
+        return [
+            '', `## Failed (${errors.length})\n`,
+            ...errors.map(({ entry, message }) => `- [${this.escapeMarkdown(entry.title)}](${entry.href}): ${message}`),
+            '', 'Details are in `errors.log`.'
+        ];
+    }
+
+    /**
+     * One tab-separated line per failure: time, title, URL, reason
+     */
+    renderErrorLog(errors) {
+        return errors.map(({ entry, message, time }) => `${time}\t${entry.title}\t${entry.href}\t${message}`).join('\n') + '\n';
+    }
+
+    escapeMarkdown(text) {
+        return text.replace(/\|/g, '\\|').replace(/\[/g, '\\[').replace(/\]/g, '\\]');
+    }
+
+    async waitFor(condition, message) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > this.timeout) {
+                throw new Error(message);
+            }
+            await this.sleep(200);
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BulkExporter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.BulkExporter = BulkExporter;
+}
+
+// ---- core/project-exporter.js ----
+
+/**
+ * Project Exporter
+ * Exports a ChatGPT Project: its name, custom instructions, the list of project files and every
+ * conversation in it, as a folder in a zip:
+ *
+ *   My Project/README.md        project details and a table of the conversations
+ *   My Project/chats/*.md       one file per conversation
+ *   My Project/errors.log       conversations that failed, if any
+ *
+ * Conversations are opened and exported one by one like BulkExporter does for the whole sidebar.
+ */
+
+class ProjectExporter extends BulkExporter {
+    /**
+     * @param {Object} options - Same as BulkExporter
+     */
+    constructor(options = {}) {
+        super(options);
+        this.project = null;
+    }
+
+    /**
+     * Id of the project the current page belongs to ("g-p-" followed by hex digits), or null.
+     * Project pages live under /g/g-p-<id>-<slug>/project and their chats under /g/g-p-<id>-<slug>/c/<id>.
+     */
+    static projectId(pathname = location.pathname) {
+        const match = pathname.match(/\/g\/(g-p-[0-9a-f]+)/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Read the project's name, instructions and files. They come from the same backend the
+     * ChatGPT web app uses; when that fails, the name is taken from the page and the
+     * instructions and files are reported as unavailable.
+     * @returns {Promise<{ id, name, url, instructions, files, folder }>}
+     */
+    async readProject() {
+        const id = ProjectExporter.projectId();
+        if (!id) {
+            throw new Error('Not inside a ChatGPT Project');
+        }
+
+        const homeLink = this.findProjectHomeLink(id);
+        let details;
+        try {
+            details = await this.fetchProject(id);
+        } catch (error) {
+            console.warn('Project export: could not load the project details, using the page instead:', error);
+            details = { name: this.readProjectName(), instructions: null, files: null };
+        }
+
+        const name = details.name || this.readProjectName() || 'ChatGPT Project';
+        this.project = {
+            id,
+            name,
+            url: homeLink ? homeLink.href : location.href,
+            instructions: details.instructions,
+            files: details.files,
+            folder: name.replace(/[<>:"/\\|?*]/g, '').replace(/\s+/g, ' ').trim() || id
+        };
+        return this.project;
+    }
+
+    /**
+     * Project details from the backend API, authenticated with the signed-in session's token
+     */
+    async fetchProject(id) {
+        const session = await fetch('/api/auth/session', { credentials: 'include' }).then(response => response.json());
+        const headers = session && session.accessToken ? { Authorization: `Bearer ${session.accessToken}` } : {};
+
+        const response = await fetch(`/backend-api/gizmos/${id}`, { credentials: 'include', headers });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        const gizmo = data.gizmo || data;
+
+        return {
+            name: gizmo.display && gizmo.display.name,
+            instructions: gizmo.instructions || '',
+            files: (data.files || gizmo.files || []).map(file => ({
+                name: file.name,
+                type: file.type || '',
+                size: file.size
+            }))
+        };
+    }
+
+    /**
+     * Project name shown on the page: the project page heading, or the document title
+     */
+    readProjectName() {
+        const heading = document.querySelector('main h1');
+        if (heading && heading.textContent.trim()) {
+            return heading.textContent.trim();
+        }
+        return document.title.replace(/^ChatGPT\s*[-–|]\s*|\s*[-–|]\s*ChatGPT$/g, '').trim();
+    }
+
+    findProjectHomeLink(id) {
+        return Array.from(document.querySelectorAll(`a[href*="/g/${id}"]`))
+            .find(link => /\/project\/?$/.test(link.getAttribute('href')));
+    }
+
+    /**
+     * Only the project's conversations: the list on the project page and the project's entries in the sidebar
+     */
+    findConversationLinks() {
+        const id = this.project ? this.project.id : ProjectExporter.projectId();
+        return Array.from(document.querySelectorAll(`a[href*="/g/${id}"][href*="/c/"]`))
+            .filter(link => /\/c\/[\w-]+/.test(link.getAttribute('href') || ''));
+    }
+
+    /**
+     * The project page lists every conversation but a conversation page may not, so go back to
+     * the project page when a conversation's link is not on screen
+     */
+    async open(entry) {
+        const listed = this.findConversationLinks().some(a => a.getAttribute('href').endsWith(`/c/${entry.id}`));
+        const homeLink = this.findProjectHomeLink(this.project.id);
+        if (!listed && homeLink && !location.pathname.endsWith('/project')) {
+            homeLink.click();
+            await this.waitFor(
+                () => this.findConversationLinks().some(a => a.getAttribute('href').endsWith(`/c/${entry.id}`)),
+                'Timed out going back to the project page'
+            ).catch(() => {});
+        }
+        return super.open(entry);
+    }
+
+    /**
+     * Go back to the project page or conversation the run started from
+     */
+    async returnTo(url, entries) {
+        const homeLink = this.findProjectHomeLink(this.project.id);
+        if (/\/project\/?$/.test(new URL(url).pathname) && homeLink && location.href !== url) {
+            homeLink.click();
+            return;
+        }
+        return super.returnTo(url, entries);
+    }
+
+    chatPath(name) {
+        return `${this.project.folder}/chats/${name}`;
+    }
+
+    /**
+     * Add README.md and, when something failed, errors.log to the project folder
+     */
+    writeIndex(zip, files, errors) {
+        zip.addFile(`${this.project.folder}/README.md`, this.renderIndex(files, errors));
+        if (errors.length > 0) {
+            zip.addFile(`${this.project.folder}/errors.log`, this.renderErrorLog(errors));
+        }
+    }
+
+    /**
+     * Project README: details, custom instructions, files, then the conversation table
+     */
+    renderIndex(files, errors) {
+        const { name, url, instructions, files: projectFiles } = this.project;
+
+        const lines = [
+            `# ${name}\n`,
+            `**Project:** [${url}](${url})  `,
+            `**Exported:** ${new Date().toISOString().split('T')[0]}  `,
+            `**Conversations:** ${files.length}\n`,
+            '## Instructions\n'
+        ];
+
+        if (instructions === null) {
+            lines.push('_The instructions could not be read._\n');
+        } else {
+            lines.push(instructions.trim() ? `${instructions.trim()}\n` : '_No custom instructions._\n');
+        }
+
+        lines.push('## Files\n');
+        if (projectFiles === null) {
+            lines.push('_The file list could not be read._\n');
+        } else if (projectFiles.length === 0) {
+            lines.push('_No project files._\n');
+        } else {
+            lines.push(
+                '| File | Type | Size |',
+                '| --- | --- | --- |',
+                ...projectFiles.map(file => `| ${this.escapeMarkdown(file.name)} | ${file.type} | ${this.formatSize(file.size)} |`),
+                '',
+                'The file contents are not included in the export.\n'
+            );
+        }
+
+        lines.push('## Conversations\n', ...this.renderFileTable(files, 'chats/'), ...this.renderFailures(errors));
+        return lines.join('\n') + '\n';
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectExporter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ProjectExporter = ProjectExporter;
+}
+
+// ---- core/sync-exporter.js ----
+
+/**
+ * Sync Exporter
+ * Incremental version of BulkExporter for keeping an archive up to date: a manifest remembers, per
+ * conversation id (MessageDetector.extractConversationId), the file it was exported to, how many
+ * turns it had, a hash of its last message and when it was exported. A sync run only packages the
+ * conversations that are new or whose content changed. When the earlier turns are unchanged and
+ * the archived file is available, the new turns are appended to it instead of re-exporting it.
+ *
+ * Manifest: { version: 1, conversations: { [id]: { title, href, file, turns, hash, exportedAt } } }
+ */
+
+class SyncExporter extends BulkExporter {
+    /**
+     * @param {Object} options - Same as BulkExporter, plus:
+     * @param {Object} options.manifest - The manifest of the previous syncs (updated in place as the run goes)
+     * @param {Object} options.renderer - Renderer the conversations are exported with, used to render appended turns
+     * @param {Function} options.readExisting - async (fileName) => content of the archived file, or null
+     */
+    constructor(options = {}) {
+        super(options);
+        this.manifest = options.manifest || SyncExporter.emptyManifest();
+        this.renderer = options.renderer;
+        this.readExisting = options.readExisting || (async () => null);
+        this.summary = { added: 0, appended: 0, rewritten: 0, unchanged: 0 };
+    }
+
+    static emptyManifest() {
+        return { version: 1, conversations: {} };
+    }
+
+    /**
+     * Add the conversation if it is new or changed, appending to the archived file when possible
+     */
+    async addConversation(zip, entry, result, usedNames) {
+        const { conversation, content } = result;
+        const id = conversation.conversationId || entry.id;
+        const turns = conversation.turns;
+        const hash = await this.hashTurn(turns[turns.length - 1]);
+        const previous = this.manifest.conversations[id];
+
+        if (previous && previous.hash === hash && previous.turns === turns.length) {
+            this.summary.unchanged++;
+            usedNames.add(previous.file.toLowerCase());
+            return null;
+        }
+
+        let name;
+        if (previous) {
+            name = previous.file;
+            usedNames.add(name.toLowerCase());
+        } else {
+            name = this.uniqueName(this.fileName(result), this.archivedNames(usedNames));
+        }
+
+        // Earlier turns unchanged: the archived file plus the new turns is the up-to-date export
+        const existing = previous && turns.length > previous.turns &&
+            await this.hashTurn(turns[previous.turns - 1]) === previous.hash
+            ? await this.readExisting(name)
+            : null;
+
+        if (existing !== null) {
+            zip.addFile(this.chatPath(name), `${existing}\n${this.renderer.renderAppendedTurns(turns.slice(previous.turns), existing)}`);
+            this.summary.appended++;
+        } else {
+            zip.addFile(this.chatPath(name), content);
+            this.summary[previous ? 'rewritten' : 'added']++;
+        }
+        this.addAttachments(zip, result);
+
+        this.manifest.conversations[id] = {
+            title: conversation.title,
+            href: entry.href,
+            file: name,
+            turns: turns.length,
+            hash,
+            exportedAt: new Date().toISOString()
+        };
+        return { name, entry, turns: turns.length };
+    }
+
+    /**
+     * Names taken in the archive, so a new conversation never reuses the file of an archived one
+     */
+    archivedNames(usedNames) {
+        Object.values(this.manifest.conversations).forEach(archived => usedNames.add(archived.file.toLowerCase()));
+        return usedNames;
+    }
+
+    /**
+     * The sync's index.md lists the whole archive, not only this run's changes, so it can replace the previous one
+     */
+    renderIndex(files, errors) {
+        const archived = Object.values(this.manifest.conversations).map(archived => ({
+            name: archived.file,
+            entry: { title: archived.title, href: archived.href },
+            turns: archived.turns
+        }));
+        const changed = files.length === 1 ? '1 conversation' : `${files.length} conversations`;
+
+        return [
+            '# ChatGPT Conversations\n',
+            `${archived.length} conversations archived from ${location.hostname}; last synced on ${new Date().toISOString().split('T')[0]} (${changed} new or changed).\n`,
+            ...this.renderFileTable(archived.sort((a, b) => a.name.localeCompare(b.name)), ''),
+            ...this.renderFailures(errors)
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * SHA-256 of a turn's role and content. Image data and URLs are left out: ChatGPT serves
+     * images from signed URLs that change on every visit.
+     */
+    async hashTurn(turn) {
+        const json = JSON.stringify([turn.role, turn.blocks], (key, value) => key === 'data' || key === 'src' ? undefined : value);
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(json));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncExporter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.SyncExporter = SyncExporter;
+}
+
+// ---- core/research-report.js ----
+
+/**
+ * Research Report
+ * Finds the Deep Research report in a conversation tree (see ConversationBuilder) and prepares it
+ * for a standalone export, without the chat around it:
+ *
+ *   title     the report's leading heading, or the conversation title when it has none
+ *   blocks    the report's content without that heading; section headings start at level 2 and
+ *             carry the `id` their table of contents entry links to
+ *   sections  the table of contents: [{ level, text, id }] for the level 2 and 3 headings
+ *
+ * ChatGPT doesn't mark Deep Research replies in the page or in conversations.json, so a reply counts
+ * as a report by its shape: several section headings and either many citations or a lot of text.
+ * When a conversation has more than one, the last is used.
+ */
+
+class ResearchReport {
+    /**
+     * @param {Object} conversation - Conversation tree
+     * @param {Object} turn - The assistant turn holding the report
+     */
+    constructor(conversation, turn) {
+        this.conversation = conversation;
+        this.turn = turn;
+
+        const blocks = turn.blocks.filter(block => block.type !== 'reasoning');
+        const first = blocks[0];
+        const hasTitle = first && first.type === 'heading' && first.level <= 2;
+        this.title = hasTitle ? this.plainText(first.children) : conversation.title;
+        this.blocks = this.numberSections(hasTitle ? blocks.slice(1) : blocks);
+        this.sections = this.blocks
+            .filter(block => block.type === 'heading' && block.level <= 3)
+            .map(block => ({ level: block.level, text: this.plainText(block.children), id: block.id }));
+    }
+
+    /**
+     * The last reply of the conversation that reads like a research report, or null
+     */
+    static find(conversation) {
+        const turns = conversation.turns.filter(turn => turn.type !== 'fork' && turn.role === 'assistant');
+        const turn = turns.reverse().find(candidate => ResearchReport.isReport(candidate));
+        return turn ? new ResearchReport(conversation, turn) : null;
+    }
+
+    /**
+     * At least 3 section headings and 10 citations or 3000 characters of text
+     */
+    static isReport(turn) {
+        const counts = { heading: 0, citation: 0, characters: 0 };
+        const visit = node => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+            } else if (node && typeof node === 'object') {
+                if (node.type === 'heading') counts.heading++;
+                if (node.type === 'citation') counts.citation++;
+                if (node.type === 'text') counts.characters += node.value.length;
+                Object.values(node).forEach(visit);
+            }
+        };
+        visit(turn.blocks.filter(block => block.type !== 'reasoning'));
+        return counts.heading >= 3 && (counts.citation >= 10 || counts.characters >= 3000);
+    }
+
+    /**
+     * Copy the blocks with their headings shifted so sections start at level 2, and give each an
+     * anchor id: GitHub's heading slug, so the Markdown table of contents links work there too
+     */
+    numberSections(blocks) {
+        const levels = blocks.filter(block => block.type === 'heading').map(block => block.level);
+        const shift = levels.length > 0 ? 2 - Math.min(...levels) : 0;
+        const used = new Map();
+
+        return blocks.map(block => {
+            if (block.type !== 'heading') {
+                return block;
+            }
+            const slug = this.slugify(this.plainText(block.children));
+            const count = used.get(slug) || 0;
+            used.set(slug, count + 1);
+            return { ...block, level: Math.min(6, block.level + shift), id: count > 0 ? `${slug}-${count}` : slug };
+        });
+    }
+
+    slugify(text) {
+        return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-') || 'section';
+    }
+
+    /**
+     * Text of inline nodes, without citations
+     */
+    plainText(nodes) {
+        return (nodes || []).map(node => {
+            if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+            if (node.type === 'math') return node.tex;
+            return node.type === 'citation' ? '' : this.plainText(node.children);
+        }).join('').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResearchReport;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ResearchReport = ResearchReport;
+}
+
+// ---- renderers/markdown-renderer.js ----
+
+/**
+ * Markdown Renderer
+ * Renders the conversation tree built by ConversationBuilder as a Markdown document.
+ *
+ * With an asset folder, images are not inlined: renderConversation() references them by relative
+ * path and lists them in `attachments` ({ name, path, data: Uint8Array, mimeType }) for the caller
+ * to save next to the document. Files uploaded with a prompt whose content was downloaded are
+ * always saved that way (in `files/` without an asset folder), under their own name.
+ *
+ * Web search citations become numbered footnotes (`[^1]`), defined in a "Sources" list at the end
+ * of the turn citing them. Numbers run through the whole document; a source cited twice in a turn
+ * keeps its number.
+ *
+ * Canvas documents are saved as files of their own (code with its language's extension, text
+ * documents as Markdown) in the asset folder or `canvas/`, and linked from the turn that created
+ * them, with their earlier versions when the tree has them. Without canvasFiles they are written
+ * into the turn instead.
+ */
+
+const IMAGE_FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp'
+};
+
+const CANVAS_FILE_EXTENSIONS = {
+    python: 'py',
+    javascript: 'js',
+    typescript: 'ts',
+    react: 'jsx',
+    jsx: 'jsx',
+    tsx: 'tsx',
+    html: 'html',
+    css: 'css',
+    java: 'java',
+    c: 'c',
+    cpp: 'cpp',
+    'c++': 'cpp',
+    csharp: 'cs',
+    'c#': 'cs',
+    go: 'go',
+    rust: 'rs',
+    ruby: 'rb',
+    php: 'php',
+    swift: 'swift',
+    kotlin: 'kt',
+    r: 'r',
+    bash: 'sh',
+    shell: 'sh',
+    sql: 'sql',
+    json: 'json',
+    yaml: 'yaml',
+    markdown: 'md'
+};
+
+class MarkdownRenderer {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.embedImages - Inline images as base64 data URLs (default) or link their original src
+     * @param {string} options.assetFolder - Save images as files in this folder (e.g. 'assets') instead of inlining them
+     * @param {boolean} options.canvasFiles - Save Canvas documents as linked files (default) or write them into the turn
+     */
+    constructor(options = {}) {
+        this.embedImages = options.embedImages !== false;
+        this.assetFolder = options.assetFolder || null;
+        this.canvasFiles = options.canvasFiles !== false;
+        this.attachments = [];
+        this.footnoteCount = 0;
+        this.turnSources = null;
+    }
+
+    /**
+     * Render a conversation tree (see ConversationBuilder) into a complete Markdown document
+     */
+    renderConversation(conversation) {
+        this.attachments = [];
+        this.footnoteCount = 0;
+        const lines = [];
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const sourceLabel = this.sourceLabel(conversation);
+
+        lines.push(`# ${conversation.title}\n`);
+        lines.push(`**Date:** ${date}`);
+        lines.push(`**Source:** [${sourceLabel}](${conversation.url})\n`);
+        lines.push(`---\n`);
+
+        lines.push(this.renderTurns(conversation.turns));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Host of the conversation's URL (chatgpt.com, chat.openai.com, gemini.google.com), or the
+     * platform's when the URL has none (e.g. a saved page opened from disk)
+     */
+    sourceLabel(conversation) {
+        const match = /^https?:\/\/([^/?#]+)/i.exec(conversation.url || '');
+        return match ? match[1] : (conversation.platform === 'Gemini' ? 'gemini.google.com' : 'chatgpt.com');
+    }
+
+    /**
+     * Render a turn list, including a trailing fork when every branch is exported
+     */
+    renderTurns(turns) {
+        return turns.map(turn => turn.type === 'fork' ? this.renderFork(turn) : this.renderTurn(turn)).join('\n');
+    }
+
+    /**
+     * Render turns to append to an earlier export of the same conversation (Sync): their footnotes are
+     * numbered on from the highest one `existing` defines, so no label is defined twice in the file
+     */
+    renderAppendedTurns(turns, existing) {
+        const numbers = Array.from(existing.matchAll(/^[\s>]*\[\^(\d+)\]:/gm), match => Number(match[1]));
+        this.footnoteCount = Math.max(0, ...numbers);
+        return this.renderTurns(turns);
+    }
+
+    renderTurn(turn) {
+        const label = turn.replyLabel ? ` (${turn.replyLabel})` : '';
+        return [
+            `### **${turn.sender}**${label}\n`,
+            this.renderTurnBlocks(turn),
+            '\n---\n'
+        ].join('\n');
+    }
+
+    /**
+     * A turn's content followed by the sources it cites
+     */
+    renderTurnBlocks(turn) {
+        this.turnSources = [];
+        const content = this.renderBlocks(turn.blocks);
+        const sources = this.renderSources(this.turnSources);
+        this.turnSources = null;
+        return sources ? `${content}\n\n${sources}` : content;
+    }
+
+    renderSources(sources) {
+        return sources.length > 0 ? `**Sources:**\n\n${this.renderFootnotes(sources)}` : '';
+    }
+
+    /**
+     * Footnote definitions: title linked to the page, then its domain
+     */
+    renderFootnotes(sources) {
+        return sources.map(source => {
+            const domain = this.sourceDomain(source.href);
+            const title = this.escapeMarkdownText(source.title || domain || source.href);
+            return `[^${source.number}]: [${title}](${this.escapeHref(source.href)})${domain ? ` — ${domain}` : ''}`;
+        }).join('\n');
+    }
+
+    sourceDomain(href) {
+        try {
+            return new URL(href).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Branches become a nested outline: one list item per branch, its turns indented below it
+     */
+    renderFork(fork) {
+        return fork.branches.map(branch => {
+            const current = branch.active ? ' (current)' : '';
+            const body = this.renderTurns(branch.turns)
+                .split('\n')
+                .map(line => line ? '  ' + line : line)
+                .join('\n');
+            return `- **Branch ${branch.index} of ${branch.total}**${current}\n\n${body}`;
+        }).join('\n');
+    }
+
+    renderBlocks(blocks) {
+        return blocks
+            .map(block => this.renderBlock(block))
+            .filter(Boolean)
+            .join('\n\n');
+    }
+
+    renderBlock(block) {
+        switch (block.type) {
+            case 'paragraph':
+                return this.renderInline(block.children).replace(/\n{3,}/g, '\n\n').trim();
+
+            case 'heading':
+                return '#'.repeat(block.level) + ' ' + this.renderInline(block.children).replace(/\n+/g, ' ').trim();
+
+            case 'list':
+                return this.renderList(block);
+
+            case 'table':
+                return this.renderTable(block);
+
+            case 'code':
+                return '```' + block.language + '\n' + block.text + '\n```';
+
+            case 'image':
+                return this.renderImage(block);
+
+            case 'math':
+                return '$$\n' + block.tex + '\n$$';
+
+            case 'blockquote':
+                return this.quote(this.renderBlocks(block.blocks));
+
+            case 'reasoning':
+                return this.renderReasoning(block);
+
+            case 'rule':
+                return '---';
+
+            case 'canvas':
+                return '[Canvas Image]';
+
+            case 'attachments':
+                return this.renderAttachments(block);
+
+            case 'codeRun':
+                return this.renderCodeRun(block);
+
+            case 'canvasDocument':
+                return this.renderCanvasDocument(block);
+
+            case 'figure':
+                return this.renderFigure(block);
+
+            default:
+                return '';
+        }
+    }
+
+    quote(markdown) {
+        return markdown
+            .split('\n')
+            .map(line => line ? `> ${line}` : '>')
+            .join('\n');
+    }
+
+    /**
+     * Thinking summary as a blockquote under its bold "Thought for N seconds" label
+     */
+    renderReasoning(reasoning) {
+        return this.quote(`**${reasoning.label}**\n\n${this.renderBlocks(reasoning.blocks)}`);
+    }
+
+    /**
+     * "Attachments" list: each file's name (linking the saved copy when there is one), type and size
+     */
+    renderAttachments(block) {
+        const items = block.files.map(file => {
+            const attachment = file.data && this.addFileAttachment(file);
+            const name = this.escapeMarkdownText(file.name);
+            const link = attachment ? this.renderFileLink(attachment, name) : (file.href ? `[${name}](${this.escapeHref(file.href)})` : name);
+            const details = [file.mimeType, this.formatSize(file.size)].filter(Boolean).join(', ');
+            return `- ${link}${details ? ` (${details})` : ''}`;
+        });
+        return ['**Attachments:**', '', ...items].join('\n');
+    }
+
+    /**
+     * Code Interpreter run: the code, then its output, charts and files under their own labels
+     */
+    renderCodeRun(run) {
+        const parts = ['```' + run.language + '\n' + run.code + '\n```'];
+        if (run.output) {
+            parts.push('**Output:**', '```\n' + run.output + '\n```');
+        }
+        run.images.forEach(image => parts.push(this.renderImage(image)));
+        if (run.files.length > 0) {
+            parts.push('**Files:** ' + run.files.map(file => `[${this.escapeMarkdownText(file.name)}](${this.escapeHref(file.href)})`).join(', '));
+        }
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Generated image with its prompt in italics under it, then what is known of the generation
+     */
+    renderFigure(figure) {
+        const parts = [this.renderImage(figure.image)];
+        if (figure.caption) {
+            parts.push(`*${this.escapeMarkdownText(figure.caption.replace(/\s+/g, ' ').trim()).replace(/\*/g, '\\*')}*`);
+        }
+        const details = this.generationDetails(figure.generation);
+        if (details) {
+            parts.push(details);
+        }
+        return parts.join('\n\n');
+    }
+
+    generationDetails(generation) {
+        return [
+            generation.size && `Size: ${generation.size}`,
+            generation.seed !== null && `Seed: ${generation.seed}`,
+            generation.genId && `Generation ID: ${generation.genId}`
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Canvas document: a link to its file under a "Canvas:" label, then links to its earlier versions
+     */
+    renderCanvasDocument(document) {
+        const title = this.escapeMarkdownText(document.title);
+        if (!this.canvasFiles) {
+            return `**Canvas: ${title}**\n\n${this.renderCanvasContent(document)}`;
+        }
+        const link = this.renderFileLink(this.addCanvasAttachment(document.title, document), title);
+        const versions = document.versions.map((version, index) =>
+            this.renderFileLink(this.addCanvasAttachment(`${document.title} v${index + 1}`, { ...document, ...version }), `v${index + 1}`));
+        return `**Canvas:** ${link}` + (versions.length > 0 ? `\n\n**Earlier versions:** ${versions.join(', ')}` : '');
+    }
+
+    /**
+     * A Canvas document's code as a code block, or its text. Citations link inline: the
+     * document can be read without the turn around it.
+     */
+    renderCanvasContent(content) {
+        if (content.code !== null) {
+            return '```' + (content.language || '') + '\n' + content.code.replace(/\n$/, '') + '\n```';
+        }
+        const turnSources = this.turnSources;
+        this.turnSources = null;
+        const markdown = this.renderBlocks(content.blocks);
+        this.turnSources = turnSources;
+        return markdown;
+    }
+
+    /**
+     * Save a version of a Canvas document ({ language, code, blocks }) as "{hash}-{name}.{extension}"
+     */
+    addCanvasAttachment(name, content) {
+        const isCode = content.code !== null;
+        const text = isCode ? content.code : this.renderCanvasContent(content);
+        const data = new TextEncoder().encode(text.endsWith('\n') ? text : text + '\n');
+        const extension = isCode ? CANVAS_FILE_EXTENSIONS[(content.language || '').toLowerCase()] || 'txt' : 'md';
+        const safeName = name.replace(/[<>:"/\\|?*#^[\]\x00-\x1f]/g, '_');
+        return this.storeAttachment(`${this.hashBytes(data)}-${safeName}.${extension}`,
+            { data, mimeType: isCode ? 'text/plain' : 'text/markdown' }, this.assetFolder || 'canvas');
+    }
+
+    renderFileLink(attachment, label) {
+        return `[${label}](${this.escapeHref(encodeURI(attachment.path))})`;
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    renderInline(nodes) {
+        return nodes.map(node => this.renderInlineNode(node)).join('');
+    }
+
+    renderInlineNode(node) {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+
+            case 'strong':
+                return '**' + this.renderInline(node.children) + '**';
+
+            case 'emphasis':
+                return '*' + this.renderInline(node.children) + '*';
+
+            case 'inlineCode':
+                return '`' + node.value + '`';
+
+            case 'break':
+                return '\n';
+
+            case 'link': {
+                const text = this.renderInline(node.children).replace(/\n+/g, ' ').trim() || node.href;
+                return `[${this.escapeMarkdownText(text)}](${this.escapeHref(node.href)})`;
+            }
+
+            case 'image':
+                return '\n\n' + this.renderImage(node) + '\n\n';
+
+            case 'math':
+                return node.display ? `\n\n$$\n${node.tex}\n$$\n\n` : `$${node.tex}$`;
+
+            case 'citation':
+                return this.renderCitation(node);
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Footnote reference to the citation's source. Blocks rendered outside a turn (JSON content,
+     * fine-tuning examples) have no Sources list, so there the citation stays an inline link.
+     */
+    renderCitation(citation) {
+        if (!citation.href) {
+            return '';
+        }
+        if (!this.turnSources) {
+            return `[${this.escapeMarkdownText(citation.label || citation.href)}](${this.escapeHref(citation.href)})`;
+        }
+
+        let source = this.turnSources.find(known => known.href === citation.href);
+        if (!source) {
+            source = { number: ++this.footnoteCount, href: citation.href, title: citation.title || citation.label };
+            this.turnSources.push(source);
+        }
+        return `[^${source.number}]`;
+    }
+
+    renderList(list) {
+        let itemNum = list.start;
+
+        return list.items.map(item => {
+            const marker = list.ordered ? `${itemNum}.` : '-';
+            itemNum++;
+
+            const text = this.renderInline(item.children).replace(/\s*\n\s*/g, ' ').replace(/ {2,}/g, ' ').trim();
+            if (!text && item.blocks.length === 0) {
+                return null;
+            }
+
+            // Nested blocks are indented to line up with the item text; paragraphs and the like
+            // need a blank line so they are not read as a continuation of the item text
+            const indent = ' '.repeat(marker.length + 1);
+            const lines = [`${marker} ${text}`];
+            item.blocks.forEach(block => {
+                if (block.type !== 'list' && block.type !== 'code') {
+                    lines.push('');
+                }
+                lines.push(this.renderBlock(block)
+                    .split('\n')
+                    .map(line => line ? indent + line : line)
+                    .join('\n'));
+            });
+            return lines.join('\n');
+        }).filter(Boolean).join('\n');
+    }
+
+    renderTable(table) {
+        const renderCell = cell => this.renderInline(cell).replace(/\n+/g, ' ').replace(/\|/g, '\\|').trim();
+        const rows = [];
+
+        if (table.header.length > 0) {
+            rows.push('| ' + table.header.map(renderCell).join(' | ') + ' |');
+            rows.push('| ' + table.header.map(() => '---').join(' | ') + ' |');
+        }
+
+        table.rows.forEach(row => {
+            rows.push('| ' + row.map(renderCell).join(' | ') + ' |');
+        });
+
+        return rows.join('\n');
+    }
+
+    renderImage(image) {
+        const alt = (image.alt && !image.alt.startsWith('http')) ? image.alt : 'Image';
+        const attachment = this.assetFolder && image.data && this.addAttachment(image.data);
+        if (attachment) {
+            return `![${alt}](${attachment.path})`;
+        }
+        // Prefer the pre-converted base64 data; otherwise use original src (remove blob: prefix if present)
+        const src = (this.embedImages && image.data) || (image.src.startsWith('blob:') ? image.src.substring(5) : image.src);
+        return `![${alt}](${src})`;
+    }
+
+    /**
+     * Turn an image data URL into an attachment in the asset folder, named after its content
+     * so an image that appears several times is stored once
+     * @returns {Object|null} the attachment, or null for data that is not a known image type
+     */
+    addAttachment(dataUrl) {
+        const decoded = this.decodeDataUrl(dataUrl);
+        const extension = decoded && IMAGE_FILE_EXTENSIONS[decoded.mimeType];
+        if (!extension) {
+            return null;
+        }
+        return this.storeAttachment(`image-${this.hashBytes(decoded.data)}.${extension}`, decoded, this.assetFolder);
+    }
+
+    /**
+     * Turn a downloaded file ({ name, data }) into an attachment named "{hash}-{name}",
+     * in the asset folder or, without one, in `files/`
+     * @returns {Object|null} the attachment, or null when the data is not a data URL
+     */
+    addFileAttachment(file) {
+        const decoded = this.decodeDataUrl(file.data);
+        if (!decoded) {
+            return null;
+        }
+        const safeName = file.name.replace(/[<>:"/\\|?*#^[\]\x00-\x1f]/g, '_');
+        return this.storeAttachment(`${this.hashBytes(decoded.data)}-${safeName}`, decoded, this.assetFolder || 'files');
+    }
+
+    storeAttachment(name, { data, mimeType }, folder) {
+        let attachment = this.attachments.find(existing => existing.name === name);
+        if (!attachment) {
+            attachment = { name, path: `${folder}/${name}`, data, mimeType };
+            this.attachments.push(attachment);
+        }
+        return attachment;
+    }
+
+    /**
+     * Bytes and MIME type of a data URL, or null for anything else
+     */
+    decodeDataUrl(dataUrl) {
+        const match = (dataUrl || '').match(/^data:([^;,]*)((?:;[^;,]+)*?)(;base64)?,(.*)$/s);
+        if (!match) {
+            return null;
+        }
+        const data = match[3]
+            ? Uint8Array.from(atob(match[4]), char => char.charCodeAt(0))
+            : new TextEncoder().encode(decodeURIComponent(match[4]));
+        return { data, mimeType: (match[1] || 'application/octet-stream').toLowerCase() };
+    }
+
+    /**
+     * 53-bit content hash of the bytes (cyrb53) as 14 hex digits: short, stable file names
+     */
+    hashBytes(bytes) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < bytes.length; i++) {
+            h1 = Math.imul(h1 ^ bytes[i], 2654435761);
+            h2 = Math.imul(h2 ^ bytes[i], 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    escapeMarkdownText(text) {
+        // Escape special markdown characters in regular text
+        return text
+            .replace(/\\/g, '\\\\')
+            .replace(/\[/g, '\\[')
+            .replace(/\]/g, '\\]');
+    }
+
+    escapeHref(href) {
+        return href.replace(/\\/g, '%5C').replace(/\)/g, '%29');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.MarkdownRenderer = MarkdownRenderer;
+}
+
+// ---- renderers/obsidian-renderer.js ----
+
+/**
+ * Obsidian Renderer
+ * Obsidian-flavoured Markdown: YAML frontmatter with the conversation's metadata, one callout per
+ * message (`> [!question]` for the user, `> [!note]` for the assistant) and images saved as
+ * attachment files embedded with `![[...]]` instead of base64 data URLs. Thinking summaries become
+ * collapsed `> [!abstract]-` callouts.
+ *
+ * renderConversation() returns the note; the images it referenced are then in `attachments`
+ * (see MarkdownRenderer), to be saved in the `attachments/` folder next to the note.
+ */
+
+class ObsidianRenderer extends MarkdownRenderer {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.tags - Frontmatter tags (default: ["chatgpt"] or ["gemini"])
+     */
+    constructor(options = {}) {
+        super({ ...options, assetFolder: options.assetFolder || 'attachments' });
+        this.tags = options.tags || null;
+    }
+
+    /**
+     * Note name without extension: "{title} ({date})" without the characters wiki links can't contain
+     */
+    noteName(conversation) {
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const safeTitle = conversation.title.replace(/[<>:"/\\|?*#^[\]\x00-\x1f]/g, '').replace(/\s+/g, ' ').trim().slice(0, 100).trim();
+        return safeTitle ? `${safeTitle} (${date})` : `ChatGPT Conversation (${date})`;
+    }
+
+    renderConversation(conversation) {
+        this.attachments = [];
+        this.footnoteCount = 0;
+        return this.renderFrontmatter(conversation) + '\n' + this.renderTurns(conversation.turns);
+    }
+
+    renderFrontmatter(conversation) {
+        const platform = conversation.platform === 'Gemini' ? 'gemini' : 'chatgpt';
+        const fields = {
+            title: conversation.title,
+            date: (conversation.createdAt || conversation.exportedAt).split('T')[0],
+            url: conversation.url,
+            model: conversation.model && conversation.model !== 'Unknown' ? conversation.model : null,
+            conversation_id: this.urlConversationId(conversation)
+        };
+
+        const lines = ['---'];
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value) {
+                lines.push(`${key}: ${this.yamlString(value)}`);
+            }
+        });
+        lines.push('tags:', ...(this.tags || [platform]).map(tag => `  - ${this.yamlString(tag)}`));
+        lines.push('---\n');
+        return lines.join('\n');
+    }
+
+    /**
+     * The conversation id when the conversation's URL carries it (".../c/{id}"), otherwise null:
+     * an id the page didn't get from its URL doesn't identify the chat
+     */
+    urlConversationId(conversation) {
+        const id = conversation.conversationId;
+        return id && (conversation.url || '').includes(`/c/${id}`) ? id : null;
+    }
+
+    /**
+     * Quote a YAML scalar unless it is plain text YAML reads back as the same string (or a date).
+     * JSON strings are valid YAML double-quoted scalars.
+     */
+    yamlString(value) {
+        const plain = /^[\w./-][\w ./:-]*$/.test(value) && !/:\s|\s$/.test(value) &&
+            !/^(true|false|yes|no|on|off|null|~|[\d.]+)$/i.test(value);
+        return plain ? value : JSON.stringify(value);
+    }
+
+    /**
+     * One callout per message; the reply label (e.g. "Reply 2 of 3") goes in the callout title
+     */
+    renderTurn(turn) {
+        const type = { user: 'question', assistant: 'note' }[turn.role] || 'info';
+        const label = turn.replyLabel ? ` (${turn.replyLabel})` : '';
+        const body = this.renderTurnBlocks(turn)
+            .split('\n')
+            .map(line => line ? `> ${line}` : '>');
+        return [`> [!${type}] ${turn.sender}${label}`, ...body, ''].join('\n');
+    }
+
+    /**
+     * Thinking summary as a collapsed callout, nested in the message's callout
+     */
+    renderReasoning(reasoning) {
+        return `> [!abstract]- ${reasoning.label}\n` + this.quote(this.renderBlocks(reasoning.blocks));
+    }
+
+    /**
+     * Embed the image's attachment file; Obsidian finds it by name anywhere in the vault
+     */
+    renderImage(image) {
+        const attachment = image.data && this.addAttachment(image.data);
+        return attachment ? `![[${attachment.name}]]` : super.renderImage({ ...image, data: null });
+    }
+
+    renderFileLink(attachment, label) {
+        return `[[${attachment.name}|${label}]]`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ObsidianRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ObsidianRenderer = ObsidianRenderer;
+}
+
+// ---- renderers/markdown-report-renderer.js ----
+
+/**
+ * Markdown Report Renderer
+ * Renders a conversation's Deep Research report (see ResearchReport) as a standalone Markdown
+ * document: title, date and source, a linked table of contents, the report, and its citations as
+ * footnotes collected in a closing "Sources" section. The prompts and the rest of the chat are left out.
+ *
+ * renderConversation() returns null when the conversation has no report.
+ */
+
+class MarkdownReportRenderer extends MarkdownRenderer {
+    renderConversation(conversation) {
+        const report = ResearchReport.find(conversation);
+        if (!report) {
+            return null;
+        }
+
+        this.attachments = [];
+        this.footnoteCount = 0;
+        const date = (report.turn.timestamp || conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const sourceLabel = this.sourceLabel(conversation);
+        const body = this.renderTurnBlocks({ blocks: report.blocks });
+        const sections = this.footnoteCount > 0
+            ? [...report.sections, { level: 2, text: 'Sources', id: report.sections.some(section => section.id === 'sources') ? 'sources-1' : 'sources' }]
+            : report.sections;
+
+        return [
+            `# ${report.title}\n`,
+            `**Date:** ${date}`,
+            `**Source:** [${sourceLabel}](${conversation.url})\n`,
+            this.renderContents(sections),
+            body
+        ].filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * Nested list of links to the sections
+     */
+    renderContents(sections) {
+        if (sections.length === 0) {
+            return '';
+        }
+        const items = sections.map(section => `${'  '.repeat(section.level - 2)}- [${this.escapeMarkdownText(section.text)}](#${section.id})`);
+        return ['## Contents\n', ...items, ''].join('\n');
+    }
+
+    /**
+     * The report's footnotes under a "Sources" heading of their own
+     */
+    renderSources(sources) {
+        return sources.length > 0 ? `## Sources\n\n${this.renderFootnotes(sources)}` : '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownReportRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.MarkdownReportRenderer = MarkdownReportRenderer;
+}
+
+// ---- renderers/gallery-renderer.js ----
+
+/**
+ * Gallery Renderer
+ * Collects the images a conversation generated (its figure blocks, see ConversationBuilder) for a
+ * folder of their own: renderConversation() returns the folder's captions.json and lists the image
+ * files in `attachments` ({ name, path, data: Uint8Array, mimeType }), with paths relative to the folder.
+ *
+ * captions.json:
+ *
+ *   { title, url, conversationId, images: [{ file, url, caption, size, seed, genId, turn }] }
+ *
+ * Images are numbered in conversation order and named after their caption. `file` is null for an image
+ * whose content wasn't available, `url` is where the image was shown (null for an embedded one) and
+ * `turn` is the 1-based index of the message that generated it, counted like the JSON export's messages.
+ *
+ * renderConversation() returns null when the conversation has no generated images.
+ */
+
+class GalleryRenderer {
+    /**
+     * @param {Object} options
+     * @param {MarkdownRenderer} options.markdownRenderer - Decodes the image data URLs
+     */
+    constructor(options = {}) {
+        this.markdownRenderer = options.markdownRenderer || new MarkdownRenderer();
+        this.attachments = [];
+    }
+
+    renderConversation(conversation) {
+        this.attachments = [];
+        const figures = this.collectFigures(conversation.turns);
+        if (figures.length === 0) {
+            return null;
+        }
+
+        const images = figures.map(({ figure, turn }, index) => ({
+            file: this.addImage(figure, index + 1),
+            url: figure.image.src && !figure.image.src.startsWith('data:') ? figure.image.src : null,
+            caption: figure.caption,
+            ...figure.generation,
+            turn
+        }));
+
+        return JSON.stringify({
+            title: conversation.title,
+            url: conversation.url,
+            conversationId: conversation.conversationId,
+            images
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * Figures in message order, depth-first through any forks, with the number of their message
+     */
+    collectFigures(turns, figures = [], counter = { turn: 0 }) {
+        turns.forEach(turn => {
+            if (turn.type === 'fork') {
+                turn.branches.forEach(branch => this.collectFigures(branch.turns, figures, counter));
+                return;
+            }
+            counter.turn++;
+            turn.blocks
+                .filter(block => block.type === 'figure')
+                .forEach(figure => figures.push({ figure, turn: counter.turn }));
+        });
+        return figures;
+    }
+
+    /**
+     * Save a figure's image as "{number}-{caption}.{extension}"
+     * @returns {string|null} the file name, or null when the image has no data
+     */
+    addImage(figure, number) {
+        const decoded = this.markdownRenderer.decodeDataUrl(figure.image.data || figure.image.src);
+        const extension = decoded && IMAGE_FILE_EXTENSIONS[decoded.mimeType];
+        if (!extension) {
+            return null;
+        }
+        const slug = (figure.caption || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').slice(0, 50).replace(/^-+|-+$/g, '');
+        const name = `${String(number).padStart(3, '0')}-${slug || 'image'}.${extension}`;
+        this.attachments.push({ name, path: name, data: decoded.data, mimeType: decoded.mimeType });
+        return name;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GalleryRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.GalleryRenderer = GalleryRenderer;
+}
+
+// ---- entries/chatgpt-markdown-exporter.user.js ----
+
+const MARKDOWN_PROFILE_KEY = 'markdownProfile';
+const IMAGE_FILES_KEY = 'imageFiles';
+const IMAGE_MAX_DIMENSION_KEY = 'imageMaxDimension';
+const ATTACHMENT_FILES_KEY = 'attachmentFiles';
+const INCLUDE_REASONING_KEY = 'includeReasoning';
+const CANVAS_VERSIONS_KEY = 'canvasVersions';
+const FILENAME_TEMPLATE_KEY = 'filenameTemplate';
+const FILENAME_SLUGIFY_KEY = 'filenameSlugify';
+const FILENAME_MAX_LENGTH_KEY = 'filenameMaxLength';
+
+function getSetting(key, defaultValue) {
+    return typeof GM_getValue === 'function' ? GM_getValue(key, defaultValue) : defaultValue;
+}
+
+/**
+ * Renderer for the chosen Markdown profile: 'standard' or 'obsidian' (frontmatter, callouts, image attachments).
+ * Standard Markdown inlines images unless they are set to be saved as files in assets/.
+ */
+function createMarkdownRenderer() {
+    if (getSetting(MARKDOWN_PROFILE_KEY, 'standard') === 'obsidian') {
+        return new ObsidianRenderer();
+    }
+    return new MarkdownRenderer({ assetFolder: getSetting(IMAGE_FILES_KEY, false) ? 'assets' : null });
+}
+
+/**
+ * File downloader naming exports with the file name template, slug and length settings
+ */
+function createFileDownloader() {
+    return new FileDownloader({
+        template: getSetting(FILENAME_TEMPLATE_KEY, ''),
+        slugify: getSetting(FILENAME_SLUGIFY_KEY, false),
+        maxLength: getSetting(FILENAME_MAX_LENGTH_KEY, 0)
+    });
+}
+
+/**
+ * Run the Markdown pipeline on the conversation on screen
+ * @param {Object} options
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {string} options.title - Use this title instead of the one detected on the page
+ * @param {boolean} options.report - Render only the Deep Research report (content is null when there is none)
+ * @param {boolean} options.gallery - Render only the generated images: content is their captions.json, in a folder
+ *                                    with them (null when there are none)
+ * @returns {Promise<{ conversation, content, filename, attachments }|null>} null when no messages were found
+ */
+async function convertToMarkdown(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        return null;
+    }
+
+    console.log(`Processing ${result.messages.length} messages...`);
+
+    console.log('Converting images to base64...');
+    const maxDimension = getSetting(IMAGE_MAX_DIMENSION_KEY, 0);
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder({ maxDimension, quality: 0.85 }),
+        attachmentFiles: getSetting(ATTACHMENT_FILES_KEY, false),
+        includeReasoning: getSetting(INCLUDE_REASONING_KEY, false),
+        canvasVersions: getSetting(CANVAS_VERSIONS_KEY, false)
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+    if (options.title) {
+        conversation.title = options.title;
+    }
+    let renderer = createMarkdownRenderer();
+    if (options.report) {
+        renderer = new MarkdownReportRenderer();
+    } else if (options.gallery) {
+        renderer = new GalleryRenderer();
+    }
+    const content = renderer.renderConversation(conversation);
+    let filename = renderer instanceof ObsidianRenderer ? `${renderer.noteName(conversation)}.md` : null;
+    if (options.report && content !== null) {
+        filename = createFileDownloader().buildFilename(conversation, 'md', ' report', ResearchReport.find(conversation).title);
+    } else if (options.gallery && content !== null) {
+        filename = createFileDownloader().buildFilename(conversation, 'zip', ' images').replace(/\.zip$/, '/captions.json');
+    }
+    return { conversation, content, filename, attachments: renderer.attachments };
+}
+
+/**
+ * @param {Object} options - Same as convertToMarkdown, plus:
+ * @param {boolean} options.chooseFolder - Pick a new export folder first
+ */
+async function exportToMarkdown(options = {}) {
+    // Before any other await: the folder permission prompt needs the click
+    const folder = options.chooseFolder ? await ExportFolder.pick() : await ExportFolder.open();
+    const exported = await convertToMarkdown(options);
+    if (!exported) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    const filename = exported.filename || createFileDownloader().buildFilename(exported.conversation, 'md');
+    await ExportFolder.save(folder, { ...exported, filename, mimeType: 'text/markdown' });
+
+    console.log(`Export completed: ${exported.conversation.turns.length} messages exported`);
+}
+
+/**
+ * Export only the Deep Research report of the conversation on screen, as a standalone document
+ */
+async function exportReportToMarkdown() {
+    const folder = await ExportFolder.open();
+    const exported = await convertToMarkdown({ report: true });
+    if (!exported || exported.content === null) {
+        alert(exported ? 'No Deep Research report found in this conversation.' : 'No messages found. The page structure may have changed.');
+        return;
+    }
+
+    // The export folder remembers one path per conversation and extension: keep the report's apart from the chat's
+    const id = exported.conversation.conversationId;
+    await ExportFolder.save(folder, { ...exported, conversation: { ...exported.conversation, conversationId: id && `${id}-report` }, mimeType: 'text/markdown' });
+    console.log('Export completed: Deep Research report exported');
+}
+
+/**
+ * Export only the images generated in the conversation on screen, into a folder with their captions.json
+ */
+async function exportGalleryToMarkdown() {
+    const folder = await ExportFolder.open();
+    const exported = await convertToMarkdown({ gallery: true });
+    if (!exported || exported.content === null) {
+        alert(exported ? 'No generated images found in this conversation.' : 'No messages found. The page structure may have changed.');
+        return;
+    }
+
+    const id = exported.conversation.conversationId;
+    await ExportFolder.save(folder, { ...exported, conversation: { ...exported.conversation, conversationId: id && `${id}-gallery` }, mimeType: 'application/json' });
+    console.log(`Export completed: ${exported.attachments.length} generated images exported`);
+}
+
+/**
+ * Export every conversation in the sidebar into one zip, or into a dated subfolder of the export folder
+ * (so its index.md doesn't replace one already there, as in an Obsidian vault)
+ */
+async function exportAllToMarkdown() {
+    const folder = await ExportFolder.open();
+    const date = new Date().toISOString().split('T')[0];
+    await runBulkExport(BulkExporter, async exporter => {
+        const entries = await exporter.collectConversations();
+        if (entries.length === 0) {
+            alert('No conversations found in the sidebar. Open the sidebar and try again.');
+            return null;
+        }
+        return { entries, what: `${entries.length} conversations`, zipName: `ChatGPT Conversations (${date}).zip` };
+    }, { archive: folder, subfolder: folder ? `ChatGPT Export (${date})` : '' });
+}
+
+/**
+ * Export the open ChatGPT Project (instructions, file list and every conversation) into one zip
+ */
+async function exportProjectToMarkdown() {
+    const folder = await ExportFolder.open();
+    await runBulkExport(ProjectExporter, async exporter => {
+        const project = await exporter.readProject();
+        const entries = await exporter.collectConversations();
+        if (entries.length === 0) {
+            alert('No conversations found in this project. Open the project page and try again.');
+            return null;
+        }
+        const date = new Date().toISOString().split('T')[0];
+        return { entries, what: `the ${entries.length} conversations of "${project.name}"`, zipName: `${project.folder} (${date}).zip` };
+    }, { archive: folder });
+}
+
+const SYNC_MANIFEST_KEY = 'syncManifest';
+
+/**
+ * Export only the conversations that are new or changed since the last sync. The manifest lives in
+ * userscript storage. New messages are appended to the archived files: in place when exports go to
+ * an export folder, otherwise to the files of the archive folder picked at the start.
+ */
+async function syncToMarkdown() {
+    if (document.querySelector('#chatgpt-export-all-panel')) return;
+
+    const manifest = loadSyncManifest();
+    const archived = Object.keys(manifest.conversations).length;
+    // Ask for the folder first, while the click still allows opening a file picker
+    const folder = await ExportFolder.open();
+    const existingFiles = archived > 0 && !folder ? await pickArchiveFolder() : new Map();
+
+    const result = await runBulkExport(SyncExporter, async exporter => {
+        const entries = await exporter.collectConversations();
+        if (entries.length === 0) {
+            alert('No conversations found in the sidebar. Open the sidebar and try again.');
+            return null;
+        }
+        const date = new Date().toISOString().split('T')[0];
+        const what = archived > 0
+            ? `the new and changed conversations among ${entries.length} (${archived} already archived)`
+            : `${entries.length} conversations and start a sync archive`;
+        return { entries, what, zipName: `ChatGPT Sync (${date}).zip` };
+    }, {
+        manifest,
+        renderer: createMarkdownRenderer(),
+        archive: folder,
+        readExisting: async name => {
+            if (folder) return folder.readFile(name);
+            return existingFiles.has(name) ? existingFiles.get(name).text() : null;
+        }
+    });
+
+    if (result) {
+        saveSyncManifest(manifest);
+        const { added, appended, rewritten, unchanged } = result.exporter.summary;
+        console.log(`Sync completed: ${added} new, ${appended} appended, ${rewritten} re-exported, ${unchanged} unchanged`);
+        if (result.errors.length === 0) {
+            const next = folder ? `Saved to "${folder.name}".` : 'Unzip into your archive folder, replacing existing files.';
+            alert(`Sync complete: ${added} new, ${appended + rewritten} updated, ${unchanged} unchanged. ${next}`);
+        }
+    }
+}
+
+function loadSyncManifest() {
+    const stored = typeof GM_getValue === 'function'
+        ? GM_getValue(SYNC_MANIFEST_KEY, null)
+        : localStorage.getItem(SYNC_MANIFEST_KEY);
+    try {
+        const manifest = typeof stored === 'string' ? JSON.parse(stored) : stored;
+        return manifest && manifest.conversations ? manifest : SyncExporter.emptyManifest();
+    } catch (error) {
+        console.warn('Sync manifest unreadable, starting a new one:', error);
+        return SyncExporter.emptyManifest();
+    }
+}
+
+function saveSyncManifest(manifest) {
+    if (typeof GM_setValue === 'function') {
+        GM_setValue(SYNC_MANIFEST_KEY, JSON.stringify(manifest));
+    } else {
+        localStorage.setItem(SYNC_MANIFEST_KEY, JSON.stringify(manifest));
+    }
+}
+
+/**
+ * Let the user pick the folder the previous syncs were unzipped into
+ * @returns {Promise<Map<string, File>>} its Markdown files by name; empty when the picker is cancelled
+ */
+function pickArchiveFolder() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.webkitdirectory = true;
+        input.multiple = true;
+        input.addEventListener('change', () => {
+            const files = new Map();
+            Array.from(input.files)
+                .filter(file => file.name.endsWith('.md'))
+                .forEach(file => files.set(file.name, file));
+            resolve(files);
+        });
+        input.addEventListener('cancel', () => resolve(new Map()));
+        input.click();
+    });
+}
+
+/**
+ * Run a bulk export with a progress panel to pause, resume or cancel, then download the zip
+ * @param {Function} Exporter - BulkExporter or a subclass
+ * @param {Function} prepare - async (exporter) => { entries, what, zipName }, or null to stop
+ * @param {Object} options - Extra options for the exporter; `archive` is the ExportFolder to write to instead of a zip
+ * @returns {Promise<{ exporter, exported, errors }|null>} null when nothing was exported
+ */
+async function runBulkExport(Exporter, prepare, options = {}) {
+    if (document.querySelector('#chatgpt-export-all-panel')) return null;
+
+    const panel = createProgressPanel();
+    const exporter = new Exporter({
+        ...options,
+        exportConversation: entry => convertToMarkdown({ title: entry.title }),
+        extension: 'md',
+        fileDownloader: createFileDownloader(),
+        onProgress: progress => panel.update(progress)
+    });
+    panel.pauseButton.addEventListener('click', () => {
+        if (exporter.state === 'paused') {
+            exporter.resume();
+            panel.pauseButton.textContent = 'Pause';
+        } else {
+            exporter.pause();
+            panel.pauseButton.textContent = 'Resume';
+            panel.status.textContent += ' (pausing after this conversation)';
+        }
+    });
+    panel.cancelButton.addEventListener('click', () => {
+        exporter.cancel();
+        panel.status.textContent = 'Stopping, the conversations done so far will be downloaded...';
+    });
+
+    try {
+        const plan = await prepare(exporter);
+        if (!plan || !confirm(`Export ${plan.what} to Markdown? Each one is opened in turn, which takes a while.`)) {
+            return null;
+        }
+
+        const { zip, exported, errors } = await exporter.run(plan.entries);
+        if (zip) {
+            new FileDownloader().download(zip, plan.zipName, 'application/zip');
+        } else {
+            console.log(`Bulk export written to "${options.archive.name}"`);
+        }
+
+        console.log(`Bulk export completed: ${exported} conversations exported, ${errors.length} failed`);
+        if (errors.length > 0) {
+            alert(`${exported} conversations exported, ${errors.length} failed — see errors.log${zip ? ' in the zip' : ''}.`);
+        }
+        return { exporter, exported, errors };
+    } catch (error) {
+        console.error('Bulk export failed:', error);
+        alert(`Export failed: ${error.message}`);
+        return null;
+    } finally {
+        panel.element.remove();
+    }
+}
+
+/**
+ * Floating panel showing the bulk export's progress
+ */
+function createProgressPanel() {
+    const element = document.createElement('div');
+    element.id = 'chatgpt-export-all-panel';
+    element.style.cssText = `
+        position: fixed;
+        bottom: 200px;
+        right: 20px;
+        width: 280px;
+        padding: 12px 16px;
+        background: white;
+        color: #333;
+        border-radius: 8px;
+        z-index: 10001;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        box-shadow: 0 2px 10px rgba(0,0,0,0.25);
+    `;
+
+    const counter = document.createElement('div');
+    counter.style.fontWeight = '600';
+    const status = document.createElement('div');
+    status.style.cssText = 'margin: 4px 0 8px; color: #666; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    const bar = document.createElement('div');
+    bar.style.cssText = 'height: 6px; background: #eee; border-radius: 3px; overflow: hidden; margin-bottom: 10px;';
+    const fill = document.createElement('div');
+    fill.style.cssText = 'height: 100%; width: 0; background: #10a37f; transition: width 0.3s;';
+    bar.appendChild(fill);
+
+    const button = label => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.style.cssText = 'margin-right: 8px; padding: 4px 12px; border: 1px solid #ccc; border-radius: 4px; background: white; cursor: pointer;';
+        return btn;
+    };
+    const pauseButton = button('Pause');
+    const cancelButton = button('Cancel');
+
+    element.append(counter, status, bar, pauseButton, cancelButton);
+    document.body.appendChild(element);
+
+    return {
+        element,
+        status,
+        pauseButton,
+        cancelButton,
+        update({ done, total, failed, title }) {
+            counter.textContent = `Exported ${done}/${total}${failed > 0 ? ` (${failed} failed)` : ''}`;
+            status.textContent = title;
+            fill.style.width = total > 0 ? `${Math.round(done / total * 100)}%` : '0';
+        }
+    };
+}
+
+// Add export button to the page
+function addExportButton() {
+    // Check if button already exists
+    if (document.querySelector('#chatgpt-export-markdown-btn')) return;
+
+    const button = document.createElement('button');
+    button.id = 'chatgpt-export-markdown-btn';
+    button.textContent = 'Export as Markdown';
+    button.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        padding: 10px 20px;
+        background-color: #10a37f;
+        color: white;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        font-weight: 500;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    `;
+
+    button.title = 'Shift+click to include every branch (edited prompts and regenerated replies)' +
+        (ExportFolder.isSupported() ? '\nAlt+click to choose a folder to save exports to' : '');
+    button.addEventListener('click', event => exportToMarkdown({ allBranches: event.shiftKey, chooseFolder: event.altKey }));
+    button.addEventListener('mouseenter', () => {
+        button.style.backgroundColor = '#0d8f6e';
+    });
+    button.addEventListener('mouseleave', () => {
+        button.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(button);
+
+    const exportAllButton = document.createElement('button');
+    exportAllButton.id = 'chatgpt-export-all-btn';
+    exportAllButton.textContent = 'Export all';
+    exportAllButton.title = 'Export every conversation in the sidebar to Markdown, as one zip';
+    exportAllButton.style.cssText = button.style.cssText;
+    exportAllButton.style.bottom = '65px';
+    exportAllButton.addEventListener('click', exportAllToMarkdown);
+    exportAllButton.addEventListener('mouseenter', () => {
+        exportAllButton.style.backgroundColor = '#0d8f6e';
+    });
+    exportAllButton.addEventListener('mouseleave', () => {
+        exportAllButton.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(exportAllButton);
+
+    const syncButton = document.createElement('button');
+    syncButton.id = 'chatgpt-sync-btn';
+    syncButton.textContent = 'Sync';
+    syncButton.title = 'Export only the conversations that are new or changed since the last sync. Pick your archive folder to append new messages to its files.';
+    syncButton.style.cssText = button.style.cssText;
+    syncButton.style.bottom = '110px';
+    syncButton.addEventListener('click', syncToMarkdown);
+    syncButton.addEventListener('mouseenter', () => {
+        syncButton.style.backgroundColor = '#0d8f6e';
+    });
+    syncButton.addEventListener('mouseleave', () => {
+        syncButton.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(syncButton);
+
+    const projectButton = document.createElement('button');
+    projectButton.id = 'chatgpt-export-project-btn';
+    projectButton.textContent = 'Export project';
+    projectButton.title = 'Export this project\'s instructions, file list and conversations to Markdown, as one zip';
+    projectButton.style.cssText = button.style.cssText;
+    projectButton.style.bottom = '155px';
+    projectButton.addEventListener('click', exportProjectToMarkdown);
+    projectButton.addEventListener('mouseenter', () => {
+        projectButton.style.backgroundColor = '#0d8f6e';
+    });
+    projectButton.addEventListener('mouseleave', () => {
+        projectButton.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(projectButton);
+    updateProjectButton();
+}
+
+// The project button only shows inside a ChatGPT Project
+function updateProjectButton() {
+    const projectButton = document.querySelector('#chatgpt-export-project-btn');
+    const display = ProjectExporter.projectId() ? 'block' : 'none';
+    if (projectButton && projectButton.style.display !== display) {
+        projectButton.style.display = display;
+    }
+}
+
+if (typeof GM_registerMenuCommand === 'function') {
+    GM_registerMenuCommand('Export Deep Research report', exportReportToMarkdown);
+    GM_registerMenuCommand('Export generated images (gallery)', exportGalleryToMarkdown);
+    GM_registerMenuCommand('Switch Markdown profile (standard / Obsidian)', () => {
+        const profile = GM_getValue(MARKDOWN_PROFILE_KEY, 'standard') === 'obsidian' ? 'standard' : 'obsidian';
+        GM_setValue(MARKDOWN_PROFILE_KEY, profile);
+        alert(profile === 'obsidian'
+            ? 'Markdown exports now use the Obsidian profile: frontmatter, callouts and images saved as attachments.'
+            : 'Markdown exports now use the standard profile.');
+    });
+    GM_registerMenuCommand('Switch images between inline and separate files (assets/)', () => {
+        const imageFiles = !GM_getValue(IMAGE_FILES_KEY, false);
+        GM_setValue(IMAGE_FILES_KEY, imageFiles);
+        alert(imageFiles
+            ? 'Images are now saved as files in an assets/ folder next to the Markdown (exports with images download as a zip).'
+            : 'Images are now embedded in the Markdown as data URLs.');
+    });
+    GM_registerMenuCommand('Switch attached files between listed only and included', () => {
+        const attachmentFiles = !GM_getValue(ATTACHMENT_FILES_KEY, false);
+        GM_setValue(ATTACHMENT_FILES_KEY, attachmentFiles);
+        alert(attachmentFiles
+            ? 'Files attached to prompts are now saved next to the Markdown when they can be downloaded (exports with files download as a zip).'
+            : 'Files attached to prompts are now only listed by name, type and size.');
+    });
+    GM_registerMenuCommand('Switch reasoning summaries on/off', () => {
+        const includeReasoning = !GM_getValue(INCLUDE_REASONING_KEY, false);
+        GM_setValue(INCLUDE_REASONING_KEY, includeReasoning);
+        alert(includeReasoning
+            ? 'The "Thought for N seconds" summaries of reasoning models are now exported as quoted sections.'
+            : 'Reasoning summaries are now left out of exports.');
+    });
+    GM_registerMenuCommand('Switch Canvas version history on/off', () => {
+        const canvasVersions = !GM_getValue(CANVAS_VERSIONS_KEY, false);
+        GM_setValue(CANVAS_VERSIONS_KEY, canvasVersions);
+        alert(canvasVersions
+            ? 'The earlier versions of Canvas documents are now saved next to their latest version.'
+            : 'Only the latest version of Canvas documents is now exported.');
+    });
+    GM_registerMenuCommand('Set file name template...', () => {
+        const answer = prompt(
+            'File name template. Tokens: {title}, {date}, {time}, {id}, {model}, {platform}, {count} (messages), {ext}.\n' +
+            'Leave empty for the default, "{title} ({date}).{ext}".',
+            GM_getValue(FILENAME_TEMPLATE_KEY, '')
+        );
+        if (answer === null) {
+            return;
+        }
+        GM_setValue(FILENAME_TEMPLATE_KEY, answer.trim());
+        alert(answer.trim()
+            ? `Exports are now named after the template "${answer.trim()}".`
+            : 'Exports are now named "{title} ({date}).{ext}" again.');
+    });
+    GM_registerMenuCommand('Switch file name slugs on/off', () => {
+        const slugify = !GM_getValue(FILENAME_SLUGIFY_KEY, false);
+        GM_setValue(FILENAME_SLUGIFY_KEY, slugify);
+        alert(slugify
+            ? 'File names now use lowercase words joined by hyphens, e.g. "my-chat-title".'
+            : 'File names now keep titles as they are.');
+    });
+    GM_registerMenuCommand('Set file name length limit...', () => {
+        const answer = prompt(
+            'Longest file name, extension included (0 for no limit). Long titles are shortened to fit:',
+            String(GM_getValue(FILENAME_MAX_LENGTH_KEY, 0))
+        );
+        if (answer === null) {
+            return;
+        }
+        const maxLength = Math.max(0, parseInt(answer, 10) || 0);
+        GM_setValue(FILENAME_MAX_LENGTH_KEY, maxLength);
+        alert(maxLength
+            ? `File names are now at most ${maxLength} characters long.`
+            : 'File names are no longer shortened.');
+    });
+    GM_registerMenuCommand('Set image size limit...', () => {
+        const answer = prompt(
+            'Downscale images wider or taller than this many pixels (0 keeps the original files):',
+            String(GM_getValue(IMAGE_MAX_DIMENSION_KEY, 0))
+        );
+        if (answer === null) {
+            return;
+        }
+        const maxDimension = Math.max(0, parseInt(answer, 10) || 0);
+        GM_setValue(IMAGE_MAX_DIMENSION_KEY, maxDimension);
+        alert(maxDimension
+            ? `Images larger than ${maxDimension}px are now downscaled.`
+            : 'Images are now exported at their original size and format.');
+    });
+}
+
+if (typeof GM_registerMenuCommand === 'function' && ExportFolder.isSupported()) {
+    GM_registerMenuCommand('Download exports instead of saving them to a folder', async () => {
+        await ExportFolder.forget();
+        alert('Exports will be downloaded again. Alt+click "Export as Markdown" to choose a folder.');
+    });
+}
+
+// Wait for page to load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', addExportButton);
+} else {
+    // Add button after a short delay to ensure page is fully loaded
+    setTimeout(addExportButton, 1000);
+}
+
+// Re-add button if navigation changes (for SPAs)
+const observer = new MutationObserver(() => {
+    if (!document.querySelector('#chatgpt-export-markdown-btn')) {
+        addExportButton();
+    }
+    updateProjectButton();
+});
+
+observer.observe(document.body, { childList: true, subtree: true });
+
 })();
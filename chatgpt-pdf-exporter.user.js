@@ -2,167 +2,4863 @@
 // @name         ChatGPT Chat Exporter - PDF
 // @namespace    https://github.com/rashidazarang/chatgpt-chat-exporter
 // @version      0.5.0
-// @description  Export ChatGPT conversations to PDF-ready HTML format
+// @description  Export ChatGPT conversations to PDF
 // @author       rashidazarang
 // @match        https://chat.openai.com/*
 // @match        https://chatgpt.com/*
 // @match        https://chatgpt.com/c/*
-// @grant        none
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
 // @license      MIT
 // ==/UserScript==
 
-(() => {
-    'use strict';
-    
-    function formatDate(date = new Date()) {
-        return date.toISOString().split('T')[0];
+// Generated by scripts/build.js from entries/chatgpt-pdf-exporter.user.js - edit the sources, then run `npm run build`.
+(async () => {
+'use strict';
+
+// ---- core/dom-analyzer.js ----
+
+/**
+ * ChatGPT DOM Analyzer - Phase 1.1 Implementation
+ * Analyzes and validates DOM selectors for robust chat export
+ */
+
+class ChatGPTDOMAnalyzer {
+    constructor() {
+        this.selectorStrategies = {
+            // Modern data-attribute based selectors (highest priority)
+            dataAttributes: [
+                '[data-testid*="conversation"]',
+                '[data-testid*="message"]',
+                '[data-message-author-role]',
+                '[data-message-id]',
+                '[data-conversation-id]'
+            ],
+            
+            // ARIA and accessibility selectors (high priority)
+            ariaSelectors: [
+                '[role="article"]',
+                '[role="group"][aria-label*="message"]',
+                '[role="log"]',
+                '[aria-label*="conversation"]',
+                '[aria-label*="chat"]'
+            ],
+            
+            // Semantic HTML selectors (medium priority)
+            semanticSelectors: [
+                'main article',
+                'main section',
+                '.conversation',
+                '.chat',
+                '.message'
+            ],
+            
+            // Content-based selectors (low priority, last resort)
+            contentSelectors: [
+                'div[class*="group"]',
+                '.text-base',
+                '.whitespace-pre-wrap',
+                '.markdown',
+                '.prose'
+            ]
+        };
+        
+        this.validationResults = {};
+        this.reliabilityScores = {};
+    }
+
+    /**
+     * Analyze the current page DOM structure
+     */
+    analyzePage() {
+        const analysis = {
+            timestamp: new Date().toISOString(),
+            url: window.location.href,
+            pageStructure: this.getPageStructure(),
+            conversationContainer: this.findConversationContainer(),
+            messageContainers: this.findMessageContainers(),
+            senderIdentification: this.analyzeSenderPatterns(),
+            contentStructure: this.analyzeContentStructure(),
+            metadataElements: this.findMetadataElements()
+        };
+
+        console.log('ChatGPT DOM Analysis:', analysis);
+        return analysis;
+    }
+
+    /**
+     * Get high-level page structure information
+     */
+    getPageStructure() {
+        return {
+            title: document.title,
+            bodyClasses: Array.from(document.body.classList),
+            mainElement: !!document.querySelector('main'),
+            navElement: !!document.querySelector('nav'),
+            asideElement: !!document.querySelector('aside'),
+            reactRoot: !!document.querySelector('#__next, [data-reactroot]'),
+            totalElements: document.querySelectorAll('*').length,
+            scriptsCount: document.querySelectorAll('script').length
+        };
+    }
+
+    /**
+     * Find the main conversation container using multiple strategies
+     */
+    findConversationContainer() {
+        const strategies = [
+            // Strategy 1: Data attributes
+            () => document.querySelector('[data-testid*="conversation"], [data-testid*="chat"]'),
+            
+            // Strategy 2: ARIA roles
+            () => document.querySelector('[role="log"], [role="main"][aria-label*="conversation"]'),
+            
+            // Strategy 3: Semantic structure
+            () => document.querySelector('main section, main article, main div[class*="conversation"]'),
+            
+            // Strategy 4: Content-based detection
+            () => {
+                const candidates = document.querySelectorAll('div, section, main');
+                for (const candidate of candidates) {
+                    if (this.hasConversationContent(candidate)) {
+                        return candidate;
+                    }
+                }
+                return null;
+            }
+        ];
+
+        for (let i = 0; i < strategies.length; i++) {
+            const result = strategies[i]();
+            if (result) {
+                return {
+                    element: result,
+                    strategy: i + 1,
+                    selector: this.generateSelector(result),
+                    confidence: this.calculateConfidence(result, 'conversation')
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find individual message containers
+     */
+    findMessageContainers() {
+        const strategies = [
+            // Strategy 1: Data attributes for messages
+            '[data-testid*="message"], [data-message-id], [data-message-author]',
+            
+            // Strategy 2: ARIA article roles
+            '[role="article"], [role="group"][aria-label*="message"]',
+            
+            // Strategy 3: Common message patterns
+            'main article, main > div > div[class], .message, .chat-message',
+            
+            // Strategy 4: Legacy selectors (current codebase)
+            'div[class*="group"], .text-base',
+            
+            // Strategy 5: Content-based detection
+            null // Handled separately
+        ];
+
+        const results = [];
+        
+        for (const selector of strategies) {
+            if (!selector) continue;
+            
+            const elements = document.querySelectorAll(selector);
+            if (elements.length > 0) {
+                results.push({
+                    selector,
+                    count: elements.length,
+                    elements: Array.from(elements).slice(0, 5), // Sample first 5
+                    confidence: this.calculateSelectorConfidence(selector, elements)
+                });
+            }
+        }
+
+        // Content-based detection
+        const contentBasedMessages = this.findMessagesByContent();
+        if (contentBasedMessages.length > 0) {
+            results.push({
+                selector: 'content-based',
+                count: contentBasedMessages.length,
+                elements: contentBasedMessages.slice(0, 5),
+                confidence: 0.6 // Lower confidence for content-based
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Analyze sender identification patterns
+     */
+    analyzeSenderPatterns() {
+        const patterns = {
+            avatarImages: this.findAvatarPatterns(),
+            textualIndicators: this.findTextualSenderIndicators(),
+            structuralPatterns: this.findStructuralSenderPatterns(),
+            dataAttributes: this.findSenderDataAttributes()
+        };
+
+        return patterns;
+    }
+
+    /**
+     * Find avatar-based sender identification
+     */
+    findAvatarPatterns() {
+        const avatars = document.querySelectorAll('img[alt*="avatar"], img[alt*="user"], img[src*="avatar"]');
+        return {
+            count: avatars.length,
+            patterns: Array.from(avatars).map(img => ({
+                alt: img.alt,
+                src: img.src,
+                parentSelector: this.generateSelector(img.parentElement),
+                className: img.className
+            })).slice(0, 3)
+        };
+    }
+
+    /**
+     * Find textual sender indicators
+     */
+    findTextualSenderIndicators() {
+        const indicators = [];
+        const textNodes = this.getTextNodes();
+        
+        for (const node of textNodes) {
+            const text = node.textContent.trim();
+            if (/^(You|ChatGPT|Assistant|System)[:.]?\s*$/i.test(text)) {
+                indicators.push({
+                    text,
+                    element: node.parentElement,
+                    selector: this.generateSelector(node.parentElement)
+                });
+            }
+        }
+
+        return indicators.slice(0, 5);
+    }
+
+    /**
+     * Find structural sender patterns
+     */
+    findStructuralSenderPatterns() {
+        // Look for alternating patterns in message structure
+        const messageContainers = this.findMessageContainers();
+        if (messageContainers.length === 0) return null;
+
+        const bestContainer = messageContainers[0];
+        const messages = bestContainer.elements;
+        
+        if (messages.length < 2) return null;
+
+        const patterns = {
+            alternatingClasses: this.analyzeAlternatingClasses(messages),
+            positionPatterns: this.analyzePositionPatterns(messages),
+            stylePatterns: this.analyzeStylePatterns(messages)
+        };
+
+        return patterns;
+    }
+
+    /**
+     * Find sender data attributes
+     */
+    findSenderDataAttributes() {
+        const senderElements = document.querySelectorAll('[data-message-author], [data-author], [data-sender]');
+        return Array.from(senderElements).map(el => ({
+            attributes: Object.fromEntries(
+                Array.from(el.attributes)
+                    .filter(attr => attr.name.includes('author') || attr.name.includes('sender'))
+                    .map(attr => [attr.name, attr.value])
+            ),
+            selector: this.generateSelector(el)
+        })).slice(0, 5);
+    }
+
+    /**
+     * Analyze content structure patterns
+     */
+    analyzeContentStructure() {
+        return {
+            codeBlocks: this.analyzeCodeBlocks(),
+            formatting: this.analyzeFormattingElements(),
+            media: this.analyzeMediaElements(),
+            links: this.analyzeLinkElements()
+        };
+    }
+
+    /**
+     * Analyze code block patterns
+     */
+    analyzeCodeBlocks() {
+        const codeBlocks = document.querySelectorAll('pre, code, .code, [class*="code"]');
+        const patterns = [];
+
+        for (const block of codeBlocks) {
+            if (block.textContent.trim().length > 10) { // Meaningful code blocks
+                patterns.push({
+                    tagName: block.tagName,
+                    className: block.className,
+                    hasLanguage: !!block.querySelector('code[class*="language-"]'),
+                    selector: this.generateSelector(block),
+                    preview: block.textContent.trim().substring(0, 50) + '...'
+                });
+            }
+        }
+
+        return patterns.slice(0, 5);
+    }
+
+    /**
+     * Find metadata elements (title, date, etc.)
+     */
+    findMetadataElements() {
+        return {
+            title: this.findConversationTitle(),
+            timestamp: this.findTimestampElements(),
+            model: this.findModelIndicators(),
+            conversation_id: this.findConversationId()
+        };
+    }
+
+    /**
+     * Test selector reliability
+     */
+    testSelectorReliability(selector) {
+        try {
+            const elements = document.querySelectorAll(selector);
+            const score = this.calculateSelectorConfidence(selector, elements);
+            
+            this.reliabilityScores[selector] = {
+                score,
+                elementCount: elements.length,
+                timestamp: Date.now(),
+                passed: score > 0.7
+            };
+
+            return this.reliabilityScores[selector];
+        } catch (error) {
+            this.reliabilityScores[selector] = {
+                score: 0,
+                elementCount: 0,
+                timestamp: Date.now(),
+                passed: false,
+                error: error.message
+            };
+            return this.reliabilityScores[selector];
+        }
+    }
+
+    /**
+     * Calculate confidence score for elements/selectors
+     */
+    calculateConfidence(element, type) {
+        if (!element) return 0;
+
+        let score = 0.5; // Base score
+
+        // Data attributes boost confidence significantly
+        if (element.dataset && Object.keys(element.dataset).length > 0) {
+            score += 0.3;
+        }
+
+        // ARIA attributes boost confidence
+        if (element.getAttribute('role') || element.getAttribute('aria-label')) {
+            score += 0.2;
+        }
+
+        // Semantic HTML boosts confidence
+        if (['main', 'section', 'article', 'aside'].includes(element.tagName.toLowerCase())) {
+            score += 0.1;
+        }
+
+        // Content relevance for conversation type
+        if (type === 'conversation' && this.hasConversationContent(element)) {
+            score += 0.2;
+        }
+
+        return Math.min(score, 1.0);
+    }
+
+    /**
+     * Calculate selector confidence based on results
+     */
+    calculateSelectorConfidence(selector, elements) {
+        if (!elements || elements.length === 0) return 0;
+
+        let score = 0.5;
+
+        // Data attribute selectors are more reliable
+        if (selector.includes('[data-')) score += 0.3;
+        if (selector.includes('[role=')) score += 0.2;
+        if (selector.includes('[aria-')) score += 0.15;
+
+        // Class-based selectors are less reliable
+        if (selector.includes('.') && !selector.includes('[')) score -= 0.2;
+
+        // Very generic selectors are unreliable
+        if (['div', 'span', '.text-base'].some(generic => selector.includes(generic))) {
+            score -= 0.1;
+        }
+
+        // Reasonable element count
+        if (elements.length > 0 && elements.length < 1000) {
+            score += 0.1;
+        }
+
+        return Math.max(0, Math.min(score, 1.0));
+    }
+
+    // Helper methods
+    hasConversationContent(element) {
+        const text = element.textContent.toLowerCase();
+        const conversationKeywords = ['chatgpt', 'you:', 'assistant:', 'user:', 'message', 'conversation'];
+        return conversationKeywords.some(keyword => text.includes(keyword));
+    }
+
+    generateSelector(element) {
+        if (!element) return null;
+        
+        // Prioritize data attributes
+        if (element.id) return `#${element.id}`;
+        
+        const dataAttrs = Object.keys(element.dataset);
+        if (dataAttrs.length > 0) {
+            return `[data-${dataAttrs[0]}="${element.dataset[dataAttrs[0]]}"]`;
+        }
+
+        // Use class names as fallback (SVG elements expose className as an object)
+        if (typeof element.className === 'string' && element.className) {
+            const classes = element.className.split(' ').filter(c => c.length > 0);
+            if (classes.length > 0) {
+                return `.${classes[0]}`;
+            }
+        }
+
+        return element.tagName.toLowerCase();
+    }
+
+    getTextNodes() {
+        const walker = document.createTreeWalker(
+            document.body,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        const textNodes = [];
+        let node;
+        
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0) {
+                textNodes.push(node);
+            }
+        }
+
+        return textNodes;
+    }
+
+    findMessagesByContent() {
+        // This would implement content-based message detection
+        // as a fallback when other selectors fail
+        return [];
+    }
+
+    // Additional analysis methods would be implemented here
+    analyzeAlternatingClasses(messages) { return null; }
+    analyzePositionPatterns(messages) { return null; }
+    analyzeStylePatterns(messages) { return null; }
+    analyzeFormattingElements() { return null; }
+    analyzeMediaElements() { return null; }
+    analyzeLinkElements() { return null; }
+    findConversationTitle() { return null; }
+    findTimestampElements() { return null; }
+    findModelIndicators() { return null; }
+    findConversationId() { return null; }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatGPTDOMAnalyzer;
+}
+
+// Make available globally for console testing
+window.ChatGPTDOMAnalyzer = ChatGPTDOMAnalyzer;
+
+// ---- core/selector-cascade.js ----
+
+/**
+ * Selector Cascade System - Phase 1.2 Implementation
+ * Provides robust fallback strategies for ChatGPT element selection
+ */
+
+class SelectorCascade {
+    constructor() {
+        this.strategies = new Map();
+        this.cache = new Map();
+        this.performance = new Map();
+        this.initializeStrategies();
+    }
+
+    /**
+     * Initialize predefined selector strategies
+     */
+    initializeStrategies() {
+        // Conversation Container Strategies
+        this.addStrategy('conversationContainer', [
+            {
+                name: 'modern-data-attrs',
+                selector: '[data-testid*="conversation"], [data-conversation-id], [data-testid*="chat"]',
+                priority: 10,
+                description: 'Modern data attributes for conversation'
+            },
+            {
+                name: 'aria-conversation',
+                selector: '[role="log"], [role="main"][aria-label*="conversation"], [aria-label*="chat"]',
+                priority: 9,
+                description: 'ARIA-based conversation detection'
+            },
+            {
+                name: 'semantic-main',
+                selector: 'main section, main article, main [class*="conversation"]',
+                priority: 8,
+                description: 'Semantic HTML conversation container'
+            },
+            {
+                name: 'content-based',
+                selector: null, // Special handling
+                priority: 5,
+                description: 'Content-based conversation detection'
+            }
+        ]);
+
+        // Message Container Strategies
+        this.addStrategy('messageContainers', [
+            {
+                name: 'author-role',
+                selector: 'div[data-message-author-role]',
+                priority: 12,
+                description: 'Modern ChatGPT with clear author role'
+            },
+            {
+                name: 'conversation-turns',
+                selector: 'article[data-testid*="conversation-turn"], div[data-testid="conversation-turn"], .group\\/conversation-turn',
+                priority: 11,
+                description: 'Conversation turn containers (fix for issue #6)'
+            },
+            {
+                name: 'modern-message-attrs',
+                selector: '[data-testid*="message"], [data-message-id], [data-message-author]',
+                priority: 10,
+                description: 'Modern message data attributes'
+            },
+            {
+                name: 'aria-messages',
+                selector: '[role="article"], [role="group"][aria-label*="message"]',
+                priority: 9,
+                description: 'ARIA-based message detection'
+            },
+            {
+                name: 'semantic-messages',
+                selector: 'main article, main section > div[class]',
+                priority: 8,
+                description: 'Semantic message containers'
+            },
+            {
+                name: 'chatgpt-groups',
+                selector: 'div[class*="group"]:not([class*="group"] [class*="group"])',
+                priority: 6,
+                description: 'ChatGPT group-based messages (legacy, top-level groups only)'
+            },
+            {
+                name: 'text-base-fallback',
+                selector: '.text-base',
+                priority: 4,
+                description: 'Generic text base fallback'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
+            }
+        ]);
+
+        // Gemini Message Container Strategies
+        this.addStrategy('geminiMessageContainers', [
+            {
+                name: 'gemini-conversation-turn',
+                selector: '[data-test-id="conversation-turn"], [class*="conversation-turn"]',
+                priority: 10,
+                description: 'Gemini conversation turn containers'
+            },
+            {
+                name: 'gemini-model-response',
+                selector: 'model-response',
+                priority: 9,
+                description: 'Gemini model response elements'
+            },
+            {
+                name: 'gemini-presentation',
+                selector: '[role="presentation"] > div, .conversation-container > div',
+                priority: 8,
+                description: 'Gemini presentation containers'
+            },
+            {
+                name: 'gemini-generic',
+                selector: '[class*="message"], div[class*="turn"]:not([class*="turn"] [class*="turn"])',
+                priority: 6,
+                description: 'Generic message and turn classes'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
+            }
+        ]);
+
+        // Message Content Strategies
+        this.addStrategy('messageContent', [
+            {
+                name: 'modern-content-attrs',
+                selector: '[data-testid*="content"], [data-message-content]',
+                priority: 10,
+                description: 'Modern content data attributes'
+            },
+            {
+                name: 'structured-content',
+                selector: '.markdown, .prose, [class*="markdown"], [class*="prose"]',
+                priority: 8,
+                description: 'Structured content containers'
+            },
+            {
+                name: 'whitespace-content',
+                selector: '.whitespace-pre-wrap, [class*="whitespace"]',
+                priority: 7,
+                description: 'Whitespace-preserved content'
+            },
+            {
+                name: 'direct-text',
+                selector: null, // Special handling for direct text extraction
+                priority: 5,
+                description: 'Direct text content extraction'
+            }
+        ]);
+
+        // Attachment Chip Strategies (files uploaded with a prompt, shown above the message text)
+        this.addStrategy('attachmentChips', [
+            {
+                name: 'attachment-attrs',
+                selector: '[data-testid*="attachment"], [data-testid*="file-tile"], [data-testid*="file-thumbnail"]',
+                priority: 10,
+                description: 'Attachment data attributes'
+            },
+            {
+                name: 'attachment-classes',
+                selector: '[class*="file-tile"], [class*="file-preview"], [class*="attachment"]',
+                priority: 8,
+                description: 'Attachment and file preview classes'
+            },
+            {
+                name: 'file-chip',
+                selector: 'div.group.relative.inline-block',
+                priority: 6,
+                description: 'Bordered chip with an icon, the file name and its type'
+            }
+        ]);
+
+        // Canvas Card Strategies (the document or code a reply opened in Canvas, shown in the message as a card)
+        this.addStrategy('canvasCards', [
+            {
+                name: 'textdoc-id',
+                selector: '[id^="textdoc-message-"]',
+                priority: 10,
+                description: 'Card carrying the Canvas document id'
+            },
+            {
+                name: 'canvas-attrs',
+                selector: '[data-testid*="canvas"], [data-testid*="textdoc"]',
+                priority: 8,
+                description: 'Canvas data attributes'
+            },
+            {
+                name: 'canvas-classes',
+                selector: '[class*="textdoc"], [class*="canvas-card"]',
+                priority: 6,
+                description: 'Canvas card classes'
+            }
+        ]);
+
+        // Canvas Panel Strategies (the side panel showing the open document, outside the messages)
+        this.addStrategy('canvasPanel', [
+            {
+                name: 'canvas-panel-attrs',
+                selector: '[data-testid*="canvas-panel"], [data-testid*="textdoc-panel"], section[aria-label*="Canvas"]',
+                priority: 10,
+                description: 'Canvas panel data attributes'
+            },
+            {
+                name: 'canvas-editors',
+                selector: '.cm-editor, .ProseMirror',
+                priority: 8,
+                description: 'Code (CodeMirror) or text (ProseMirror) editor outside the messages and the prompt box'
+            }
+        ]);
+
+        // Sender Identification Strategies
+        this.addStrategy('senderIdentification', [
+            {
+                name: 'data-author',
+                selector: '[data-message-author], [data-author], [data-sender]',
+                priority: 10,
+                description: 'Data attribute sender identification'
+            },
+            {
+                name: 'aria-sender',
+                selector: '[aria-label*="user"], [aria-label*="assistant"], [aria-label*="you"]',
+                priority: 9,
+                description: 'ARIA sender identification'
+            },
+            {
+                name: 'avatar-detection',
+                selector: 'img[alt*="avatar"], img[alt*="user"], img[src*="avatar"]',
+                priority: 8,
+                description: 'Avatar-based sender detection'
+            },
+            {
+                name: 'textual-indicators',
+                selector: null, // Special handling
+                priority: 6,
+                description: 'Textual sender indicators'
+            },
+            {
+                name: 'structural-alternation',
+                selector: null, // Special handling
+                priority: 4,
+                description: 'Structural alternation patterns'
+            }
+        ]);
+
+        // Code Block Strategies
+        this.addStrategy('codeBlocks', [
+            {
+                name: 'structured-pre',
+                selector: 'pre code, pre[class*="language"], code[class*="language"]',
+                priority: 10,
+                description: 'Structured code blocks with language'
+            },
+            {
+                name: 'generic-pre',
+                selector: 'pre, code[class*="block"]',
+                priority: 8,
+                description: 'Generic pre and code blocks'
+            },
+            {
+                name: 'code-containers',
+                selector: '.code, [class*="code-"], [data-code]',
+                priority: 7,
+                description: 'Code container classes'
+            }
+        ]);
+    }
+
+    /**
+     * Add a strategy to the cascade
+     */
+    addStrategy(type, strategies) {
+        this.strategies.set(type, strategies.sort((a, b) => b.priority - a.priority));
+    }
+
+    /**
+     * Execute cascade for a given type
+     */
+    execute(type, options = {}) {
+        const cacheKey = `${type}_${JSON.stringify(options)}`;
+        // Element references all serialize to "{}", so scoped lookups must never be cached
+        const cacheable = !options.parentMessage && !options.fresh;
+        
+        // Return cached result if available and not expired
+        if (cacheable && this.cache.has(cacheKey) && !this.isCacheExpired(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const strategies = this.strategies.get(type);
+        if (!strategies) {
+            console.warn(`No strategies defined for type: ${type}`);
+            return null;
+        }
+
+        const startTime = performance.now();
+        let result = null;
+
+        for (const strategy of strategies) {
+            try {
+                const strategyResult = this.executeStrategy(strategy, type, options);
+                
+                if (this.isValidResult(strategyResult, type)) {
+                    result = {
+                        success: true,
+                        strategy: strategy.name,
+                        priority: strategy.priority,
+                        description: strategy.description,
+                        data: strategyResult,
+                        executionTime: performance.now() - startTime
+                    };
+                    break;
+                }
+            } catch (error) {
+                console.warn(`Strategy ${strategy.name} failed:`, error);
+                continue;
+            }
+        }
+
+        if (!result) {
+            result = {
+                success: false,
+                error: `All strategies failed for type: ${type}`,
+                executionTime: performance.now() - startTime
+            };
+        }
+
+        // Cache the result
+        if (cacheable) {
+            this.cache.set(cacheKey, {
+                ...result,
+                timestamp: Date.now(),
+                ttl: options.cacheTtl || 30000 // 30 seconds default
+            });
+        }
+
+        // Track performance
+        this.trackPerformance(type, result);
+
+        return result;
+    }
+
+    /**
+     * Execute a single strategy
+     */
+    executeStrategy(strategy, type, options) {
+        // Handle special strategies that don't use simple selectors
+        if (!strategy.selector) {
+            return this.executeSpecialStrategy(strategy, type, options);
+        }
+
+        // Standard selector-based strategy, scoped to a message when one is given
+        const root = options.parentMessage || document;
+        const elements = root.querySelectorAll(strategy.selector);
+        
+        if (elements.length === 0) {
+            return null;
+        }
+
+        // Apply type-specific processing
+        switch (type) {
+            case 'conversationContainer':
+                return this.processConversationContainer(elements);
+            case 'messageContainers':
+                return this.processMessageContainers(elements, options);
+            case 'geminiMessageContainers':
+                return this.processMessageContainers(elements, { ...options, minLength: 30 });
+            case 'messageContent':
+                return this.processMessageContent(elements, options);
+            case 'attachmentChips':
+                return this.processAttachmentChips(elements);
+            case 'canvasCards':
+                return this.processCanvasCards(elements);
+            case 'canvasPanel':
+                return this.processCanvasPanel(elements);
+            case 'senderIdentification':
+                return this.processSenderIdentification(elements, options);
+            case 'codeBlocks':
+                return this.processCodeBlocks(elements);
+            default:
+                return Array.from(elements);
+        }
+    }
+
+    /**
+     * Execute special strategies that require custom logic
+     */
+    executeSpecialStrategy(strategy, type, options) {
+        switch (strategy.name) {
+            case 'content-based':
+                return this.contentBasedConversationDetection();
+            case 'container-children':
+                return this.containerChildrenDetection(type, options);
+            case 'direct-text':
+                return this.directTextExtraction(options.parentElement);
+            case 'textual-indicators':
+                return this.textualSenderDetection(options.parentMessage);
+            case 'structural-alternation':
+                return this.structuralSenderDetection(options.messageElements);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Process conversation container results
+     */
+    processConversationContainer(elements) {
+        // Find the most likely conversation container
+        let bestContainer = null;
+        let bestScore = 0;
+
+        for (const element of elements) {
+            const score = this.scoreConversationContainer(element);
+            if (score > bestScore) {
+                bestScore = score;
+                bestContainer = element;
+            }
+        }
+
+        return bestContainer ? {
+            element: bestContainer,
+            score: bestScore,
+            childCount: bestContainer.children.length
+        } : null;
+    }
+
+    /**
+     * Process message container results
+     */
+    processMessageContainers(elements, options = {}) {
+        const candidates = Array.from(elements).filter(el => this.isLikelyMessage(el, options.minLength));
+        const messages = this.removeNestedElements(candidates);
+        
+        return {
+            elements: messages,
+            count: messages.length,
+            validity: this.validateMessageSequence(messages)
+        };
+    }
+
+    /**
+     * Process message content results
+     */
+    processMessageContent(elements, options) {
+        // Elements are already scoped to options.parentMessage by executeStrategy.
+        // File name and type labels of attachment chips are not the message text.
+        const chips = this.findAttachmentChips(options.parentMessage);
+        return Array.from(elements).filter(element => !chips.some(chip => chip.element.contains(element)));
+    }
+
+    /**
+     * Process attachment chip results: one { element, name, label, size, href } per chip showing a file name
+     */
+    processAttachmentChips(elements) {
+        const candidates = Array.from(elements).filter(element => this.findFileNames(element).length === 1);
+        return this.removeNestedElements(candidates).map(element => this.readAttachmentChip(element));
+    }
+
+    /**
+     * Attachment chips inside a message, or [] when it has none
+     */
+    findAttachmentChips(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('attachmentChips', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
+
+    /**
+     * Read a chip: the file name, the type label next to it (e.g. "PDF", "Spreadsheet"),
+     * the size when shown and the download link when the chip has one
+     */
+    readAttachmentChip(element) {
+        const name = this.findFileNames(element)[0];
+        const texts = this.getLeafTexts(element);
+        const sizeMatch = element.textContent.match(/(\d+(?:[.,]\d+)?)\s*(B|KB|MB|GB)\b/i);
+        const label = texts.find(text => text !== name && !/^\d/.test(text)) || null;
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+
+        return {
+            element,
+            name,
+            label,
+            size: sizeMatch ? this.parseFileSize(sizeMatch[1], sizeMatch[2]) : null,
+            href: link ? link.href : null
+        };
+    }
+
+    /**
+     * Process Canvas card results: one { element, id, title } per card, id being the document id when the card has it
+     */
+    processCanvasCards(elements) {
+        const candidates = Array.from(elements).filter(element => element.tagName.toLowerCase() !== 'canvas' && element.textContent.trim());
+        return this.removeNestedElements(candidates).map(element => {
+            const idMatch = (element.id || '').match(/^textdoc-message-(.+)$/);
+            return {
+                element,
+                id: idMatch ? idMatch[1] : element.getAttribute('data-textdoc-id'),
+                title: this.getLeafTexts(element)[0]
+            };
+        });
+    }
+
+    /**
+     * Canvas cards inside a message, or [] when it has none
+     */
+    findCanvasCards(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('canvasCards', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
+
+    /**
+     * Process Canvas panel results: the first editor that is not part of a message or the prompt box,
+     * as { element, editor, kind: 'code' | 'document', language }
+     */
+    processCanvasPanel(elements) {
+        for (const element of elements) {
+            if (element.closest('[data-message-author-role], form, #prompt-textarea')) {
+                continue;
+            }
+            const code = element.closest('.cm-editor') || element.querySelector('.cm-editor');
+            const text = element.closest('.ProseMirror') || element.querySelector('.ProseMirror');
+            const editor = code || text;
+            if (editor && editor.textContent.trim()) {
+                const labelled = editor.closest('[data-language]') || editor.querySelector('[data-language]');
+                const languageClass = editor.querySelector('[class*="language-"]') || editor;
+                const classMatch = (typeof languageClass.className === 'string' ? languageClass.className : '').match(/language-([\w+#-]+)/);
+                return {
+                    element,
+                    editor,
+                    kind: code ? 'code' : 'document',
+                    language: labelled ? labelled.getAttribute('data-language') : (classMatch ? classMatch[1] : null)
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The open Canvas panel, or null. Never cached: it changes with every document opened.
+     */
+    findCanvasPanel() {
+        const result = this.execute('canvasPanel', { fresh: true });
+        return result && result.success ? result.data : null;
+    }
+
+    /**
+     * Texts of an element that look like a whole file name ("report.pdf", "data 2024.xlsx")
+     */
+    findFileNames(element) {
+        return this.getLeafTexts(element).filter(text => text.length <= 255 && /^[^\s/\\][^/\\]*\.[a-z0-9]{1,8}$/i.test(text));
+    }
+
+    /**
+     * Trimmed texts of the elements that have no child elements
+     */
+    getLeafTexts(element) {
+        return Array.from(element.querySelectorAll('*'))
+            .filter(node => node.children.length === 0)
+            .map(node => node.textContent.trim())
+            .filter(Boolean);
+    }
+
+    parseFileSize(value, unit) {
+        const multipliers = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(value.replace(',', '.')) * multipliers[unit.toLowerCase()]);
+    }
+
+    /**
+     * Process sender identification results
+     */
+    processSenderIdentification(elements, options) {
+        const senders = [];
+        
+        for (const element of elements) {
+            const senderInfo = this.extractSenderInfo(element);
+            if (senderInfo) {
+                senders.push(senderInfo);
+            }
+        }
+
+        return senders;
+    }
+
+    /**
+     * Process code block results
+     */
+    processCodeBlocks(elements) {
+        return Array.from(elements).map(block => ({
+            element: block,
+            language: this.extractCodeLanguage(block),
+            content: block.textContent.trim(),
+            hasLanguageClass: !!block.querySelector('[class*="language-"]')
+        }));
+    }
+
+    /**
+     * Content-based conversation detection
+     */
+    contentBasedConversationDetection() {
+        const candidates = document.querySelectorAll('div, section, main, article');
+        
+        for (const candidate of candidates) {
+            if (this.hasConversationCharacteristics(candidate)) {
+                return {
+                    element: candidate,
+                    score: this.scoreConversationContainer(candidate),
+                    detectionMethod: 'content-analysis'
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Fallback: treat direct children of the conversation container as messages
+     */
+    containerChildrenDetection(type, options) {
+        const container = document.querySelector('[role="main"], main, .conversation, [class*="conversation"]');
+        if (!container) return null;
+
+        const children = container.querySelectorAll(':scope > div, :scope > article');
+        console.log(`Fallback: found ${children.length} potential messages in conversation container`);
+        const minLength = type === 'geminiMessageContainers' ? 30 : options.minLength;
+        return this.processMessageContainers(children, { ...options, minLength });
+    }
+
+    /**
+     * Direct text extraction from parent element
+     */
+    directTextExtraction(parentElement) {
+        if (!parentElement) return null;
+
+        // Extract all text content, preserving structure
+        const textNodes = this.getTextNodes(parentElement);
+        return {
+            fullText: parentElement.textContent.trim(),
+            textNodes: textNodes,
+            hasFormatting: parentElement.children.length > 0
+        };
+    }
+
+    /**
+     * Textual sender detection
+     */
+    textualSenderDetection(parentElement) {
+        const textNodes = this.getTextNodes(parentElement || document.body);
+        const senderIndicators = [];
+
+        for (const node of textNodes) {
+            const text = node.textContent.trim();
+            const senderMatch = text.match(/^(You|ChatGPT|Assistant|System|User)[:.]?\s*$/i);
+            
+            if (senderMatch) {
+                senderIndicators.push({
+                    type: 'textual',
+                    sender: senderMatch[1],
+                    text: senderMatch[1],
+                    element: node.parentElement,
+                    confidence: this.calculateTextualSenderConfidence(text, node.parentElement)
+                });
+            }
+        }
+
+        return senderIndicators;
+    }
+
+    /**
+     * Structural sender detection based on alternating patterns
+     */
+    structuralSenderDetection(messageElements) {
+        if (!messageElements || messageElements.length < 2) return null;
+
+        const patterns = {
+            classAlternation: this.detectClassAlternation(messageElements),
+            positionAlternation: this.detectPositionAlternation(messageElements),
+            styleAlternation: this.detectStyleAlternation(messageElements)
+        };
+
+        return patterns;
+    }
+
+    // Helper methods for scoring and validation
+    scoreConversationContainer(element) {
+        let score = 0;
+        
+        // Data attributes increase score
+        if (Object.keys(element.dataset).length > 0) score += 3;
+        
+        // ARIA attributes increase score
+        if (element.getAttribute('role') || element.getAttribute('aria-label')) score += 2;
+        
+        // Semantic tags increase score
+        if (['main', 'section', 'article'].includes(element.tagName.toLowerCase())) score += 2;
+        
+        // Content characteristics
+        if (this.hasConversationCharacteristics(element)) score += 3;
+        
+        // Child count (conversations typically have multiple children)
+        if (element.children.length > 1 && element.children.length < 1000) score += 1;
+
+        return score;
+    }
+
+    isLikelyMessage(element, minLength = 5) {
+        const text = element.textContent.trim();
+        // Reasonable message length (low minimum for Chinese text)
+        if (text.length < minLength || text.length > 100000) return false;
+
+        // Skip elements that are clearly UI components
+        if (element.querySelector('input[type="text"], textarea')) return false;
+        if (element.classList.contains('typing') || element.classList.contains('loading')) return false;
+
+        return true;
+    }
+
+    /**
+     * Drop candidates nested inside another candidate so each message is counted once
+     */
+    removeNestedElements(elements) {
+        const consolidated = [];
+        const usedElements = new Set();
+
+        elements.forEach(element => {
+            if (usedElements.has(element)) return;
+
+            const isNested = elements.some(other =>
+                other !== element && other.contains(element) && !usedElements.has(other)
+            );
+
+            if (!isNested) {
+                consolidated.push(element);
+                usedElements.add(element);
+            }
+        });
+
+        return consolidated;
+    }
+
+    /**
+     * Check whether a strategy produced something usable for the given type
+     */
+    isValidResult(result, type) {
+        if (!result) return false;
+        if (Array.isArray(result)) return result.length > 0;
+
+        switch (type) {
+            case 'messageContainers':
+            case 'geminiMessageContainers':
+                return result.count > 0;
+            case 'conversationContainer':
+                return !!result.element;
+            default:
+                return true;
+        }
+    }
+
+    hasConversationCharacteristics(element) {
+        const text = element.textContent.toLowerCase();
+        const keywords = ['chatgpt', 'assistant', 'you:', 'user:', 'message', 'conversation'];
+        const keywordCount = keywords.filter(keyword => text.includes(keyword)).length;
+        
+        return keywordCount >= 2 || text.includes('chatgpt');
+    }
+
+    validateMessageSequence(messages) {
+        if (messages.length < 2) return { valid: false, reason: 'Insufficient messages' };
+        
+        // Check for reasonable message distribution
+        const avgLength = messages.reduce((sum, msg) => sum + msg.textContent.length, 0) / messages.length;
+        if (avgLength < 10) return { valid: false, reason: 'Messages too short' };
+        if (avgLength > 50000) return { valid: false, reason: 'Messages too long' };
+        
+        return { valid: true, avgLength, count: messages.length };
+    }
+
+    extractSenderInfo(element) {
+        // Extract sender information from various attributes and patterns
+        const dataAttrs = Object.keys(element.dataset)
+            .filter(key => key.includes('author') || key.includes('sender'))
+            .map(key => ({ key, value: element.dataset[key] }));
+
+        if (dataAttrs.length > 0) {
+            return {
+                type: 'data-attribute',
+                sender: dataAttrs[0].value,
+                confidence: 0.9
+            };
+        }
+
+        // Check for textual indicators
+        const text = element.textContent.trim();
+        const senderMatch = text.match(/^(You|ChatGPT|Assistant|System)[:.]?\s*/i);
+        
+        if (senderMatch) {
+            return {
+                type: 'textual',
+                sender: senderMatch[1],
+                confidence: 0.7
+            };
+        }
+
+        return null;
+    }
+
+    extractCodeLanguage(codeElement) {
+        // Check for language class
+        const langClass = codeElement.querySelector('[class*="language-"]');
+        if (langClass) {
+            const langMatch = langClass.className.match(/language-([a-zA-Z0-9]+)/);
+            return langMatch ? langMatch[1] : null;
+        }
+
+        // Check for data attributes
+        const dataLang = codeElement.dataset.language || codeElement.dataset.lang;
+        if (dataLang) return dataLang;
+
+        return null;
+    }
+
+    // Cache and performance management
+    isCacheExpired(cacheKey) {
+        const cached = this.cache.get(cacheKey);
+        return !cached || (Date.now() - cached.timestamp) > cached.ttl;
+    }
+
+    trackPerformance(type, result) {
+        if (!this.performance.has(type)) {
+            this.performance.set(type, {
+                executions: 0,
+                totalTime: 0,
+                successRate: 0,
+                avgTime: 0
+            });
+        }
+
+        const perf = this.performance.get(type);
+        perf.executions++;
+        perf.totalTime += result.executionTime;
+        perf.avgTime = perf.totalTime / perf.executions;
+        
+        if (result.success) {
+            perf.successRate = ((perf.successRate * (perf.executions - 1)) + 1) / perf.executions;
+        } else {
+            perf.successRate = (perf.successRate * (perf.executions - 1)) / perf.executions;
+        }
+    }
+
+    getTextNodes(element) {
+        const walker = document.createTreeWalker(
+            element,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        const textNodes = [];
+        let node;
+        
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0) {
+                textNodes.push(node);
+            }
+        }
+
+        return textNodes;
+    }
+
+    calculateTextualSenderConfidence(text, element) {
+        let confidence = 0.7; // Base confidence for textual detection
+        
+        // Exact matches increase confidence
+        if (/^(You|ChatGPT)[:.]?\s*$/.test(text)) confidence += 0.2;
+        
+        // Position in parent affects confidence
+        if (element.parentElement && element === element.parentElement.firstElementChild) {
+            confidence += 0.1;
+        }
+
+        return Math.min(confidence, 1.0);
+    }
+
+    // Pattern detection methods
+    detectClassAlternation(elements) { /* Implementation */ return null; }
+    detectPositionAlternation(elements) { /* Implementation */ return null; }
+    detectStyleAlternation(elements) { /* Implementation */ return null; }
+
+    /**
+     * Get performance statistics
+     */
+    getPerformanceStats() {
+        const stats = {};
+        for (const [type, perf] of this.performance) {
+            stats[type] = { ...perf };
+        }
+        return stats;
+    }
+
+    /**
+     * Clear cache
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Reset performance tracking
+     */
+    resetPerformance() {
+        this.performance.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectorCascade;
+}
+
+// Make available globally for console testing
+window.SelectorCascade = SelectorCascade;
+
+// ---- core/message-detector.js ----
+
+/**
+ * Unified Message Detection System - Phase 1.3 Implementation
+ * Replaces inconsistent message detection logic across exporters
+ */
+
+class MessageDetector {
+    /**
+     * @param {Object} options
+     * @param {string} options.platform - 'chatgpt' (default) or 'gemini'
+     */
+    constructor(options = {}) {
+        this.platform = options.platform || 'chatgpt';
+        this.assistantName = this.platform === 'gemini' ? 'Gemini' : 'ChatGPT';
+        this.domAnalyzer = new ChatGPTDOMAnalyzer();
+        this.selectorCascade = new SelectorCascade();
+        this.messages = [];
+        this.conversationMetadata = {};
+        this.detectionConfidence = 0;
+    }
+
+    /**
+     * Detect and parse all messages in the conversation
+     */
+    async detectMessages() {
+        console.log('Starting message detection...');
+        
+        // Step 1: Analyze page structure
+        const analysis = this.domAnalyzer.analyzePage();
+        
+        // Step 2: Find conversation container
+        const conversationResult = this.selectorCascade.execute('conversationContainer');
+        if (!conversationResult.success) {
+            console.warn('Could not find conversation container, searching the whole page');
+        }
+
+        // Step 3: Find message containers
+        const containerType = this.platform === 'gemini' ? 'geminiMessageContainers' : 'messageContainers';
+        const messagesResult = this.selectorCascade.execute(containerType);
+        if (!messagesResult.success) {
+            throw new Error('Could not find message containers');
+        }
+        console.log(`Using strategy: ${messagesResult.strategy}, found ${messagesResult.data.count} messages`);
+
+        // Step 4: Extract messages
+        this.messages = await this.extractMessages(messagesResult.data.elements);
+        
+        // Step 5: Extract conversation metadata
+        this.conversationMetadata = this.extractConversationMetadata();
+        
+        // Step 6: Calculate overall detection confidence
+        this.detectionConfidence = this.calculateOverallConfidence(conversationResult, messagesResult);
+
+        console.log(`Detected ${this.messages.length} messages with ${(this.detectionConfidence * 100).toFixed(1)}% confidence`);
+        
+        return {
+            messages: this.messages,
+            metadata: this.conversationMetadata,
+            confidence: this.detectionConfidence,
+            analysis
+        };
+    }
+
+    /**
+     * Extract individual messages from containers
+     */
+    async extractMessages(messageElements) {
+        const messages = [];
+        
+        for (let i = 0; i < messageElements.length; i++) {
+            try {
+                const messageData = await this.extractSingleMessage(messageElements[i], i, messageElements);
+                if (messageData) {
+                    messages.push(messageData);
+                }
+            } catch (error) {
+                console.warn(`Failed to extract message ${i}:`, error);
+                continue;
+            }
+        }
+
+        // Post-process messages to fix any detection issues
+        return this.postProcessMessages(messages);
+    }
+
+    /**
+     * Extract a single message from its container element
+     */
+    async extractSingleMessage(element, index, allElements = []) {
+        // Step 1: Identify sender
+        const sender = await this.identifySender(element, index, allElements);
+        
+        // Step 2: Extract content
+        const content = await this.extractMessageContent(element);
+        
+        // Step 3: Extract metadata
+        const metadata = this.extractMessageMetadata(element);
+
+        // Skip empty or too short messages (reduced threshold for Chinese text)
+        if (!content || content.trim().length < 5) {
+            return null;
+        }
+
+        return {
+            index,
+            sender: sender.name,
+            senderType: sender.type, // 'user', 'assistant', 'system'
+            senderConfidence: sender.confidence,
+            reliable: sender.reliable,
+            replyLabel: this.findReplyLabel(element),
+            attachments: sender.type === 'user' ? this.selectorCascade.findAttachmentChips(element) : [],
+            canvasCards: sender.type === 'assistant' ? this.selectorCascade.findCanvasCards(element) : [],
+            content,
+            contentType: this.detectContentType(content),
+            metadata,
+            element, // Renderers convert this element into their output format
+            timestamp: metadata.timestamp || null
+        };
+    }
+
+    /**
+     * Identify the sender of a message using multiple strategies
+     */
+    async identifySender(messageElement, messageIndex, allElements = []) {
+        // Strategy 1: Author role on the message itself (most reliable)
+        const authorRole = messageElement.getAttribute('data-message-author-role');
+        if (authorRole) {
+            return this.createSender(authorRole === 'user' ? 'user' : 'assistant', 1.0, 'author-role', true);
+        }
+
+        // Strategy 2: Data attributes inside the message
+        const dataResult = this.selectorCascade.execute('senderIdentification', {
+            parentMessage: messageElement
+        });
+
+        if (dataResult.success && dataResult.data.length > 0) {
+            const senderData = dataResult.data[0];
+            return {
+                name: this.normalizeSenderName(senderData.sender),
+                type: this.classifySenderType(senderData.sender),
+                confidence: senderData.confidence,
+                method: 'data-attribute',
+                reliable: false
+            };
+        }
+
+        // Strategy 3: Avatar detection
+        const avatarSender = this.findAvatarSender(messageElement);
+        if (avatarSender) {
+            return avatarSender;
+        }
+
+        // Strategy 4: Textual indicators
+        const textualSender = this.findTextualSender(messageElement);
+        if (textualSender) {
+            return textualSender;
+        }
+
+        // Strategy 5: Structural analysis - assistant messages tend to be longer and more structured
+        const hasCodeBlocks = messageElement.querySelectorAll('pre, code').length > 0;
+        const hasLongText = messageElement.textContent.length > 200;
+        const hasLists = messageElement.querySelectorAll('ul, ol, li').length > 0;
+        if (hasCodeBlocks && hasLongText && hasLists) {
+            return this.createSender('assistant', 0.6, 'structure');
+        }
+
+        // Strategy 6: Class names on the message or its parent
+        const classes = [messageElement.className, messageElement.parentElement?.className]
+            .filter(name => typeof name === 'string')
+            .join(' ')
+            .toLowerCase();
+        if (/model-response|assistant/.test(classes)) {
+            return this.createSender('assistant', 0.6, 'class-name');
+        }
+        if (classes.includes('user')) {
+            return this.createSender('user', 0.6, 'class-name');
+        }
+
+        // Strategy 7: Compare with the previous message
+        const contextualSender = this.inferContextualSender(messageElement, messageIndex, allElements);
+        if (contextualSender) {
+            return contextualSender;
+        }
+
+        // Strategy 8: Structural patterns (alternating)
+        return this.inferStructuralSender(messageIndex);
+    }
+
+    /**
+     * Build a sender result for the given sender type
+     */
+    createSender(type, confidence, method, reliable = false) {
+        return {
+            name: type === 'user' ? 'You' : this.assistantName,
+            type,
+            confidence,
+            method,
+            reliable
+        };
+    }
+
+    /**
+     * Find sender from avatar images inside the message
+     */
+    findAvatarSender(messageElement) {
+        const avatars = messageElement.querySelectorAll('img');
+        for (const avatar of avatars) {
+            const attrs = [avatar.alt, avatar.src, avatar.className]
+                .filter(value => typeof value === 'string')
+                .join(' ')
+                .toLowerCase();
+
+            // User indicators
+            if (attrs.includes('user')) {
+                return this.createSender('user', 0.8, 'avatar-detection');
+            }
+
+            // Assistant indicators
+            if (/chatgpt|assistant|gpt|gemini|bard/.test(attrs)) {
+                return this.createSender('assistant', 0.8, 'avatar-detection');
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Infer sender by comparing message length with the previous message
+     */
+    inferContextualSender(messageElement, messageIndex, allElements) {
+        if (messageIndex === 0 || !allElements[messageIndex - 1]) return null;
+
+        const prevLength = allElements[messageIndex - 1].textContent.length;
+        const currentLength = messageElement.textContent.length;
+
+        // If previous was short and current is long, likely user -> assistant
+        if (prevLength < 100 && currentLength > 300) {
+            return this.createSender('assistant', 0.5, 'contextual');
+        }
+
+        // If previous was long and current is short, likely assistant -> user
+        if (prevLength > 300 && currentLength < 100) {
+            return this.createSender('user', 0.5, 'contextual');
+        }
+
+        return null;
+    }
+
+    /**
+     * Find reply labels like "回复 1" / "Response 2" shown when ChatGPT offers two answers
+     */
+    findReplyLabel(messageElement) {
+        const isReplyLabel = text => /^回复\s*\d+$/.test(text) || /^Response\s*\d+$/i.test(text);
+
+        const parent = messageElement.closest('.flex.max-w-full');
+        if (parent && parent.previousElementSibling) {
+            const labelEl = parent.previousElementSibling.querySelector('.font-semibold, [class*="font-semibold"]');
+            if (labelEl && isReplyLabel(labelEl.textContent.trim())) {
+                return labelEl.textContent.trim();
+            }
+        }
+
+        // Also check parent's parent
+        const grandParent = messageElement.parentElement?.parentElement;
+        if (grandParent) {
+            const labels = grandParent.querySelectorAll('.font-semibold, [class*="font-semibold"]');
+            for (const label of labels) {
+                const text = label.textContent.trim();
+                if (isReplyLabel(text)) {
+                    return text;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract message content with proper formatting preservation
+     */
+    async extractMessageContent(messageElement) {
+        // Try to find structured content first
+        const contentResult = this.selectorCascade.execute('messageContent', {
+            parentMessage: messageElement
+        });
+
+        let contentElement = messageElement;
+        
+        if (contentResult.success) {
+            // Use the best content container found
+            const contentContainers = Array.isArray(contentResult.data) ? contentResult.data : [contentResult.data];
+            // Special strategies may return descriptive objects instead of elements
+            if (contentContainers[0] && contentContainers[0].nodeType === Node.ELEMENT_NODE) {
+                contentElement = contentContainers[0];
+            }
+        }
+
+        // Extract and process content
+        return this.processContentElement(contentElement);
+    }
+
+    /**
+     * Process content element to extract formatted text
+     */
+    processContentElement(element) {
+        const clone = element.cloneNode(true);
+
+        // Handle code blocks specially
+        this.processCodeBlocks(clone);
+        
+        // Handle images and media
+        this.processMedia(clone);
+        
+        // Handle links
+        this.processLinks(clone);
+        
+        // Handle formatting
+        this.processFormatting(clone);
+
+        // Extract final text content
+        return clone.textContent.trim();
+    }
+
+    /**
+     * Process code blocks in content
+     */
+    processCodeBlocks(element) {
+        const codeResult = this.selectorCascade.execute('codeBlocks', { parentMessage: element });
+        
+        if (codeResult.success) {
+            codeResult.data.forEach(codeBlock => {
+                const { element: codeEl, language, content } = codeBlock;
+                
+                if (element.contains(codeEl)) {
+                    const lang = language || '';
+                    const placeholder = document.createTextNode(`\n\n\`\`\`${lang}\n${content}\n\`\`\`\n\n`);
+                    codeEl.parentNode.replaceChild(placeholder, codeEl);
+                }
+            });
+        } else {
+            // Fallback to simple code block processing
+            element.querySelectorAll('pre, code[class*="block"]').forEach(pre => {
+                const code = pre.textContent.trim();
+                const langMatch = pre.querySelector('code')?.className?.match(/language-([a-zA-Z0-9]+)/);
+                const lang = langMatch ? langMatch[1] : '';
+                const placeholder = document.createTextNode(`\n\n\`\`\`${lang}\n${code}\n\`\`\`\n\n`);
+                pre.parentNode.replaceChild(placeholder, pre);
+            });
+        }
+    }
+
+    /**
+     * Process media elements (images, videos, etc.)
+     */
+    processMedia(element) {
+        // Replace images and canvas with descriptive placeholders
+        element.querySelectorAll('img, canvas, video, audio').forEach(media => {
+            let placeholder = '[Media]';
+            
+            if (media.tagName === 'IMG') {
+                placeholder = media.alt ? `[Image: ${media.alt}]` : '[Image]';
+            } else if (media.tagName === 'CANVAS') {
+                placeholder = '[Canvas/Chart]';
+            } else if (media.tagName === 'VIDEO') {
+                placeholder = '[Video]';
+            } else if (media.tagName === 'AUDIO') {
+                placeholder = '[Audio]';
+            }
+            
+            const textNode = document.createTextNode(placeholder);
+            media.parentNode.replaceChild(textNode, media);
+        });
+    }
+
+    /**
+     * Process links in content
+     */
+    processLinks(element) {
+        element.querySelectorAll('a[href]').forEach(link => {
+            const text = link.textContent.trim();
+            const href = link.href;
+            
+            // Keep links as markdown format if they're meaningful
+            if (text && text !== href) {
+                const linkText = `[${text}](${href})`;
+                const textNode = document.createTextNode(linkText);
+                link.parentNode.replaceChild(textNode, link);
+            }
+        });
+    }
+
+    /**
+     * Process text formatting
+     */
+    processFormatting(element) {
+        // Handle bold text
+        element.querySelectorAll('strong, b').forEach(bold => {
+            const text = bold.textContent;
+            const textNode = document.createTextNode(`**${text}**`);
+            bold.parentNode.replaceChild(textNode, bold);
+        });
+
+        // Handle italic text
+        element.querySelectorAll('em, i').forEach(italic => {
+            const text = italic.textContent;
+            const textNode = document.createTextNode(`*${text}*`);
+            italic.parentNode.replaceChild(textNode, italic);
+        });
+
+        // Handle inline code
+        element.querySelectorAll('code:not(pre code)').forEach(code => {
+            const text = code.textContent;
+            const textNode = document.createTextNode(`\`${text}\``);
+            code.parentNode.replaceChild(textNode, code);
+        });
+    }
+
+    /**
+     * Check if an avatar belongs to the user
+     */
+    isUserAvatar(avatarElement) {
+        const alt = avatarElement.alt?.toLowerCase() || '';
+        const src = avatarElement.src?.toLowerCase() || '';
+        const className = avatarElement.className?.toLowerCase() || '';
+        
+        // Common patterns for user avatars
+        const userPatterns = ['user', 'you', 'human', 'person'];
+        const assistantPatterns = ['assistant', 'chatgpt', 'ai', 'bot'];
+        
+        // Check if any user patterns match
+        const hasUserPattern = userPatterns.some(pattern => 
+            alt.includes(pattern) || src.includes(pattern) || className.includes(pattern)
+        );
+        
+        // Check if any assistant patterns match
+        const hasAssistantPattern = assistantPatterns.some(pattern => 
+            alt.includes(pattern) || src.includes(pattern) || className.includes(pattern)
+        );
+        
+        // If both or neither match, try parent element analysis
+        if (hasUserPattern && !hasAssistantPattern) return true;
+        if (hasAssistantPattern && !hasUserPattern) return false;
+        
+        // Fallback: analyze parent structure
+        return this.analyzeAvatarContext(avatarElement);
+    }
+
+    /**
+     * Analyze avatar context to determine sender
+     */
+    analyzeAvatarContext(avatarElement) {
+        // Look for textual clues near the avatar
+        const parent = avatarElement.closest('[class*="message"], [class*="group"], article, section');
+        if (parent) {
+            const text = parent.textContent.toLowerCase();
+            if (text.includes('you:') || text.includes('user:')) return true;
+            if (text.includes('chatgpt:') || text.includes('assistant:')) return false;
+        }
+        
+        // Default assumption: first message is typically user
+        const messageIndex = this.getMessageIndex(avatarElement);
+        return messageIndex % 2 === 0; // Even indices = user, odd = assistant
+    }
+
+    /**
+     * Find textual sender indicators
+     */
+    findTextualSender(messageElement) {
+        const text = messageElement.textContent;
+        
+        // Look for explicit sender labels
+        const senderMatch = text.match(/^(You|ChatGPT|Gemini|Assistant|System|User)[:.]?\s*/i);
+        if (senderMatch) {
+            const senderName = senderMatch[1];
+            return {
+                name: this.normalizeSenderName(senderName),
+                type: this.classifySenderType(senderName),
+                confidence: 0.9,
+                method: 'textual',
+                reliable: false
+            };
+        }
+
+        // Look at how the message opens
+        const textStart = text.toLowerCase().trim().substring(0, 200);
+        if (/^(i understand|i can help|here's|i'll|let me|i'd be happy|certainly|of course|absolutely)/.test(textStart)) {
+            return this.createSender('assistant', 0.7, 'textual');
+        }
+        if (/^(can you|please help|how do i|i need|i want|help me|could you)/.test(textStart)) {
+            return this.createSender('user', 0.7, 'textual');
+        }
+
+        // Look for contextual clues
+        const contextualClues = this.analyzeContextualClues(messageElement);
+        if (contextualClues) {
+            return contextualClues;
+        }
+
+        return null;
+    }
+
+    /**
+     * Infer sender from structural patterns
+     */
+    inferStructuralSender(messageIndex) {
+        // Simple alternating pattern: even = user, odd = assistant
+        // This is a common pattern in chat interfaces
+        const isUser = messageIndex % 2 === 0;
+        
+        // Lower confidence for structural inference
+        return this.createSender(isUser ? 'user' : 'assistant', 0.6, 'alternation');
+    }
+
+    /**
+     * Infer sender from message content characteristics
+     */
+    inferSenderFromContent(messageElement) {
+        const text = messageElement.textContent.toLowerCase();
+        
+        // Assistant-like patterns
+        const assistantPatterns = [
+            'i understand', 'i can help', 'here\'s', 'let me', 'i\'ll',
+            'according to', 'based on', 'i think', 'in my opinion',
+            'i apologize', 'i\'m sorry', 'i don\'t have', 'i cannot'
+        ];
+        
+        // User-like patterns
+        const userPatterns = [
+            'can you', 'please', 'help me', 'i want', 'i need',
+            'how do i', 'what is', 'explain', 'show me'
+        ];
+        
+        const assistantScore = assistantPatterns.filter(pattern => text.includes(pattern)).length;
+        const userScore = userPatterns.filter(pattern => text.includes(pattern)).length;
+        
+        if (assistantScore > userScore) {
+            return {
+                name: this.assistantName,
+                type: 'assistant',
+                confidence: Math.min(0.7, 0.4 + (assistantScore * 0.1))
+            };
+        } else if (userScore > assistantScore) {
+            return {
+                name: 'You',
+                type: 'user',
+                confidence: Math.min(0.7, 0.4 + (userScore * 0.1))
+            };
+        }
+        
+        // Default fallback
+        return {
+            name: 'Unknown',
+            type: 'unknown',
+            confidence: 0.3
+        };
+    }
+
+    /**
+     * Normalize sender names to consistent format
+     */
+    normalizeSenderName(senderName) {
+        const name = senderName.toLowerCase().trim();
+        
+        if (name.includes('you') || name.includes('user') || name.includes('human')) {
+            return 'You';
+        }
+        
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
+            return this.assistantName;
+        }
+        
+        if (name.includes('system')) {
+            return 'System';
+        }
+        
+        // Capitalize first letter for unknown senders
+        return senderName.charAt(0).toUpperCase() + senderName.slice(1).toLowerCase();
+    }
+
+    /**
+     * Classify sender type
+     */
+    classifySenderType(senderName) {
+        const name = senderName.toLowerCase();
+        
+        if (name.includes('you') || name.includes('user') || name.includes('human')) {
+            return 'user';
+        }
+        
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
+            return 'assistant';
+        }
+        
+        if (name.includes('system')) {
+            return 'system';
+        }
+        
+        return 'unknown';
+    }
+
+    /**
+     * Extract conversation metadata
+     */
+    extractConversationMetadata() {
+        return {
+            title: this.extractConversationTitle(),
+            url: window.location.href,
+            timestamp: new Date().toISOString(),
+            messageCount: this.messages.length,
+            model: this.detectModel(),
+            conversationId: this.extractConversationId(),
+            platform: this.assistantName
+        };
+    }
+
+    /**
+     * Extract conversation title from page
+     */
+    extractConversationTitle() {
+        // Try to get actual conversation title
+        const titleSelectors = [
+            'h1:not([class*="hidden"])',
+            '[class*="conversation-title"]',
+            '[data-testid*="conversation-title"]',
+            ...(this.platform === 'gemini' ? ['[aria-label*="conversation"]'] : []),
+            'title'
+        ];
+        const genericTitles = ['chatgpt', 'gemini', 'bard', 'new chat', 'untitled', 'chat'];
+
+        for (const selector of titleSelectors) {
+            const element = document.querySelector(selector);
+            if (element && element.textContent.trim()) {
+                const title = element.textContent.trim();
+                // Avoid generic titles
+                if (!genericTitles.includes(title.toLowerCase())) {
+                    return title;
+                }
+            }
+        }
+
+        return `Conversation with ${this.assistantName}`;
+    }
+
+    /**
+     * Detect AI model being used
+     */
+    detectModel() {
+        // Look for model indicators in the page
+        const text = document.body.textContent.toLowerCase();
+        
+        const models = ['gpt-4', 'gpt-3.5', 'claude', 'dall-e'];
+        for (const model of models) {
+            if (text.includes(model)) {
+                return model;
+            }
+        }
+        
+        return 'Unknown';
+    }
+
+    /**
+     * Extract conversation ID from the URL. New and temporary chats have none yet: null, as the page's
+     * data-testid values ("conversation-turn-1") would give every such chat the same id.
+     */
+    extractConversationId() {
+        const urlMatch = window.location.pathname.match(/\/c\/([a-zA-Z0-9-]+)/);
+        return urlMatch ? urlMatch[1] : null;
+    }
+
+    /**
+     * Post-process messages to fix any issues
+     */
+    postProcessMessages(messages) {
+        const uniqueMessages = this.removeDuplicateMessages(messages);
+        return this.fixSenderSequence(uniqueMessages);
+    }
+
+    /**
+     * Drop messages whose opening text was already seen
+     */
+    removeDuplicateMessages(messages) {
+        const seenContent = new Set();
+
+        return messages.filter(message => {
+            const contentHash = message.content.substring(0, 100).replace(/\s+/g, ' ').trim();
+            if (seenContent.has(contentHash)) {
+                console.log(`Skipping message ${message.index}: duplicate content`);
+                return false;
+            }
+            seenContent.add(contentHash);
+            return true;
+        });
+    }
+
+    /**
+     * Fix consecutive messages from the same sender when detection was unreliable
+     */
+    fixSenderSequence(messages) {
+        for (let i = 1; i < messages.length; i++) {
+            const current = messages[i];
+            const previous = messages[i - 1];
+
+            // Skip correction if either sender was reliably detected
+            if (current.reliable || previous.reliable || current.sender !== previous.sender) {
+                continue;
+            }
+
+            // Use content analysis to determine which should be flipped
+            const currentLength = current.content.length;
+            const previousLength = previous.content.length;
+
+            if (currentLength > previousLength * 2 && currentLength > 500) {
+                this.setSenderType(current, 'assistant');
+            } else if (previousLength > currentLength * 2 && previousLength > 500) {
+                this.setSenderType(previous, 'assistant');
+                this.setSenderType(current, 'user');
+            } else {
+                // Default alternating fix
+                this.setSenderType(current, current.senderType === 'user' ? 'assistant' : 'user');
+            }
+
+            console.log(`Fixed consecutive ${previous.sender} messages at positions ${i - 1} and ${i}`);
+        }
+
+        return messages;
+    }
+
+    setSenderType(message, type) {
+        message.sender = type === 'user' ? 'You' : this.assistantName;
+        message.senderType = type;
+        message.method = 'pattern-correction';
+    }
+
+    /**
+     * Apply alternating pattern to fix sender detection
+     */
+    applyAlternatingPattern(messages) {
+        // Assume first message is from user (common pattern)
+        let expectedSender = 'user';
+        
+        return messages.map((message, index) => {
+            if (message.senderConfidence < 0.7) {
+                message.sender = expectedSender === 'user' ? 'You' : this.assistantName;
+                message.senderType = expectedSender;
+                message.senderConfidence = 0.8; // Reasonable confidence from pattern
+                message.method = 'pattern-correction';
+            }
+            
+            // Alternate for next message
+            expectedSender = expectedSender === 'user' ? 'assistant' : 'user';
+            
+            return message;
+        });
+    }
+
+    /**
+     * Calculate overall detection confidence
+     */
+    calculateOverallConfidence(conversationResult, messagesResult) {
+        const conversationConfidence = conversationResult.success ? 0.3 : 0;
+        const messagesConfidence = messagesResult.success ? 0.3 : 0;
+        
+        // Average sender confidence
+        const avgSenderConfidence = this.messages.length > 0 
+            ? this.messages.reduce((sum, msg) => sum + msg.senderConfidence, 0) / this.messages.length 
+            : 0;
+        
+        const senderConfidence = avgSenderConfidence * 0.4;
+
+        return Math.min(conversationConfidence + messagesConfidence + senderConfidence, 1.0);
+    }
+
+    /**
+     * Detect content type of a message
+     */
+    detectContentType(content) {
+        if (content.includes('```')) return 'code';
+        if (content.includes('![') || content.includes('[Image')) return 'media';
+        if (content.includes('http://') || content.includes('https://')) return 'links';
+        return 'text';
+    }
+
+    /**
+     * Get message index from DOM element
+     */
+    getMessageIndex(element) {
+        const parent = element.closest('[class*="conversation"], main, [role="log"]');
+        if (parent) {
+            const allMessages = parent.querySelectorAll('[class*="message"], [class*="group"], article');
+            return Array.from(allMessages).indexOf(element.closest('[class*="message"], [class*="group"], article'));
+        }
+        return 0;
+    }
+
+    /**
+     * Extract message metadata
+     */
+    extractMessageMetadata(element) {
+        return {
+            timestamp: this.extractMessageTimestamp(element),
+            messageId: element.dataset.messageId || null,
+            editCount: this.extractEditCount(element),
+            hasAttachments: this.hasAttachments(element)
+        };
+    }
+
+    extractMessageTimestamp(element) { return null; } // Implementation needed
+    extractEditCount(element) { return 0; } // Implementation needed
+    hasAttachments(element) { return this.selectorCascade.findAttachmentChips(element).length > 0; }
+    analyzeContextualClues(element) { return null; } // Implementation needed
+
+    /**
+     * Get detected messages
+     */
+    getMessages() {
+        return this.messages;
+    }
+
+    /**
+     * Get conversation metadata
+     */
+    getMetadata() {
+        return this.conversationMetadata;
+    }
+
+    /**
+     * Get detection confidence
+     */
+    getConfidence() {
+        return this.detectionConfidence;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageDetector;
+}
+
+// Make available globally for console testing
+window.MessageDetector = MessageDetector;
+
+// ---- core/image-encoder.js ----
+
+/**
+ * Image Encoder
+ * Converts images in the conversation into self-contained data URLs.
+ *
+ * Images are fetched as their original bytes (blob: URLs, and ChatGPT's own file endpoints with the
+ * signed-in session), so JPEG photos stay JPEG and animated GIFs keep their frames. They are only
+ * re-encoded through a canvas when their type is not accepted by the output, when they are larger
+ * than `maxDimension`, or when the original bytes can't be fetched (e.g. a host without CORS).
+ */
+
+class ImageEncoder {
+    /**
+     * @param {Object} options
+     * @param {string} options.mimeType - Format to re-encode to when needed: 'image/png' (default), 'image/jpeg'
+     *   (transparent areas become white) or 'image/webp'
+     * @param {string[]} options.acceptedTypes - Original types kept as they are (default: every image type);
+     *   the PDF writer takes only JPEG, Word PNG, JPEG, GIF and BMP
+     * @param {number} options.maxDimension - Downscale images whose width or height is larger (default: no limit)
+     * @param {number} options.quality - JPEG/WebP quality from 0 to 1 when re-encoding (default 0.92)
+     */
+    constructor(options = {}) {
+        this.mimeType = options.mimeType || 'image/png';
+        this.acceptedTypes = options.acceptedTypes || null;
+        this.maxDimension = options.maxDimension || 0;
+        this.quality = options.quality || 0.92;
+    }
+
+    /**
+     * Convert image to base64 data URL
+     */
+    async toBase64(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+
+        // Skip UI images
+        if (this.isUiImage(imgElement)) {
+            return null;
+        }
+
+        try {
+            const original = await this.fetchOriginal(src);
+            if (original && !this.needsReencoding(original.type, imgElement)) {
+                return await this.blobToDataUrl(original);
+            }
+
+            // For blob URLs, we can draw directly from the existing image
+            if (src.startsWith('blob:') || imgElement.complete) {
+                return this.drawToBase64(imgElement, original && original.type) ||
+                    (original ? await this.blobToDataUrl(original) : null);
+            }
+
+            // For other URLs, load the image first
+            return new Promise((resolve) => {
+                const img = new Image();
+                img.crossOrigin = 'anonymous';
+                img.onload = () => resolve(this.drawToBase64(img, original && original.type));
+                img.onerror = () => {
+                    console.warn('Failed to load image:', src);
+                    resolve(null);
+                };
+                img.src = src;
+                // Timeout after 5 seconds
+                setTimeout(() => resolve(null), 5000);
+            });
+        } catch (e) {
+            console.warn('Error converting image to base64:', e);
+            return null;
+        }
+    }
+
+    /**
+     * The image file as served, or null when it can't be fetched. Same-origin requests (ChatGPT's
+     * file endpoints) carry the session cookies; other hosts must allow CORS.
+     * @returns {Promise<Blob|null>}
+     */
+    async fetchOriginal(src) {
+        if (!src || typeof fetch !== 'function') {
+            return null;
+        }
+
+        try {
+            const url = new URL(src, location.href);
+            if (!/^(blob|data|https?):$/.test(url.protocol)) {
+                return null;
+            }
+            const sameOrigin = url.origin === location.origin || url.protocol === 'blob:' || url.protocol === 'data:';
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), 10000);
+            const response = await fetch(url.href, { credentials: sameOrigin ? 'include' : 'omit', signal: controller.signal })
+                .finally(() => clearTimeout(timer));
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return blob.type.startsWith('image/') ? blob : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the original has to go through the canvas: a type the output can't take, or too large
+     */
+    needsReencoding(type, imgElement) {
+        if (this.acceptedTypes && !this.acceptedTypes.includes(type)) {
+            return true;
+        }
+        const width = imgElement.naturalWidth || imgElement.width || 0;
+        const height = imgElement.naturalHeight || imgElement.height || 0;
+        return this.maxDimension > 0 && Math.max(width, height) > this.maxDimension;
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Draw a loaded image onto a canvas, downscaled to maxDimension, and read it back. JPEGs stay
+     * JPEG when the output accepts them; everything else uses the configured format.
+     * @param {string} originalType - MIME type of the original file, when known
+     */
+    drawToBase64(img, originalType = null) {
+        try {
+            const width = img.naturalWidth || img.width;
+            const height = img.naturalHeight || img.height;
+            if (!width || !height) {
+                return null;
+            }
+
+            const scale = this.maxDimension > 0 ? Math.min(1, this.maxDimension / Math.max(width, height)) : 1;
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+
+            const keepJpeg = originalType === 'image/jpeg' && (!this.acceptedTypes || this.acceptedTypes.includes('image/jpeg'));
+            const mimeType = keepJpeg ? 'image/jpeg' : this.mimeType;
+
+            const ctx = canvas.getContext('2d');
+            if (mimeType === 'image/jpeg') {
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL(mimeType, this.quality);
+        } catch (e) {
+            // CORS or other error
+            console.warn('Cannot draw image to canvas:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check for favicons, avatars and icons that are not conversation content
+     */
+    isUiImage(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+        const className = typeof imgElement.className === 'string' ? imgElement.className : '';
+        return src.includes('favicon') || src.includes('avatar') || className.includes('icon');
+    }
+
+    /**
+     * Encode every content image in a cloned message, reading pixels from the live originals.
+     * Sets data-base64 on each clone image that could be converted.
+     */
+    async encodeClonedImages(clone, original) {
+        // Create a map of src -> original img element (it has the actual image data)
+        const srcToOriginal = new Map();
+        original.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src');
+            if (src && !srcToOriginal.has(src)) {
+                srcToOriginal.set(src, img);
+            }
+        });
+
+        for (const img of clone.querySelectorAll('img')) {
+            if (this.isUiImage(img)) {
+                continue;
+            }
+
+            const originalImg = srcToOriginal.get(img.getAttribute('src') || '');
+            if (originalImg) {
+                const base64 = await this.toBase64(originalImg);
+                if (base64) {
+                    img.setAttribute('data-base64', base64);
+                }
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageEncoder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ImageEncoder = ImageEncoder;
+}
+
+// ---- core/conversation-builder.js ----
+
+/**
+ * Conversation Builder
+ * Walks ChatGPT's message DOM once and produces a format-neutral conversation tree
+ * that every renderer (Markdown, HTML, PDF, ...) consumes as plain JSON.
+ *
+ * Document model:
+ *
+ *   conversation { type: 'conversation', title, url, conversationId, model, platform, exportedAt, createdAt, updatedAt, turns }
+ *   turn         { type: 'turn', role: 'user'|'assistant'|'system'|'unknown', sender, replyLabel, timestamp, html, blocks }
+ *
+ * createdAt, updatedAt and timestamp are ISO strings when the source knows them (conversations.json),
+ * null when built from the page. html is the message's page markup without UI controls (null when not from a page).
+ *
+ * When every branch is exported, a turn list may end in a fork instead of continuing linearly.
+ * Each branch holds the rest of the conversation from the fork on (which may fork again):
+ *
+ *   fork         { type: 'fork', branches: [branch] }
+ *   branch       { type: 'branch', index, total, active, turns }   (index is 1-based, active = the branch shown in the UI)
+ *
+ * Blocks:
+ *   paragraph    { type: 'paragraph', children }
+ *   heading      { type: 'heading', level, children }
+ *   list         { type: 'list', ordered, start, items: [{ type: 'listItem', children, blocks }] }
+ *   table        { type: 'table', header: [cell], rows: [[cell]] }   (cell = inline nodes)
+ *   code         { type: 'code', language, text }
+ *   image        { type: 'image', src, alt, data }                    (data = base64 data URL or null)
+ *   math         { type: 'math', tex, display: true, mathml }           (mathml = KaTeX's MathML markup or null)
+ *   blockquote   { type: 'blockquote', blocks }
+ *   rule         { type: 'rule' }
+ *   canvas       { type: 'canvas' }
+ *   attachments  { type: 'attachments', files: [{ name, mimeType, size, href, data }] }
+ *                (files uploaded with a prompt; size in bytes, href and data = the file as a data URL, or null)
+ *   codeRun      { type: 'codeRun', language, code, output, images: [image], files: [{ name, href }] }
+ *                (a Code Interpreter run: its code, the printed output or result (null when none),
+ *                the charts it drew and links to the files it wrote)
+ *   reasoning    { type: 'reasoning', label, blocks }   (a reasoning model's thinking summary, label e.g. "Thought for 12 seconds")
+ *   canvasDocument { type: 'canvasDocument', title, language, code, blocks, versions: [{ code, blocks }] }
+ *                (a Canvas document in its latest version, in the turn that created it: code holds the source of
+ *                code documents (blocks = null), blocks the content of text ones (code = null); versions are
+ *                the earlier versions, oldest first, when asked for and [] otherwise)
+ *   figure       { type: 'figure', image, caption, generation: { size, seed, genId } }
+ *                (an image the reply generated: caption = the prompt it was generated from, as rewritten by the
+ *                model; size e.g. "1024x1024"; caption and generation fields are null when the source doesn't say)
+ *
+ * Inline nodes:
+ *   text { value }, strong { children }, emphasis { children }, inlineCode { value },
+ *   link { href, children }, break, image { src, alt, data }, math { tex, display, mathml },
+ *   citation { href, label, title }   (a web search source: the pill's text and, when known, the page title)
+ */
+
+const ATTACHMENT_MIME_TYPES = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    html: 'text/html',
+    xml: 'application/xml',
+    py: 'text/x-python',
+    js: 'text/javascript',
+    ts: 'text/typescript',
+    zip: 'application/zip',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const REASONING_LABEL = /^(Thought|Thinking|Reasoned|Reasoning)\b.{0,60}$/i;
+
+const CITATION_PILL_SELECTOR = '[class*="citation-pill"], [data-testid*="citation-pill"]';
+
+class ConversationBuilder {
+    /**
+     * @param {Object} options
+     * @param {ImageEncoder} options.imageEncoder - Encodes the message images (default: new ImageEncoder())
+     * @param {boolean} options.attachmentFiles - Also download the files attached to prompts, when the chip links them
+     * @param {boolean} options.includeReasoning - Export the "Thought for N seconds" summaries, opening collapsed ones
+     * @param {boolean} options.canvasVersions - Keep the earlier versions of Canvas documents too
+     * @param {boolean} options.openCanvas - Open each Canvas card's document in the panel to read it whole (default);
+     *                                       off where nothing can open it, e.g. a saved page, whose scripts don't run
+     * @param {SelectorCascade} options.selectorCascade - Finds the Canvas panel (default: new SelectorCascade())
+     */
+    constructor(options = {}) {
+        this.imageEncoder = options.imageEncoder || new ImageEncoder();
+        this.attachmentFiles = Boolean(options.attachmentFiles);
+        this.includeReasoning = Boolean(options.includeReasoning);
+        this.canvasVersions = Boolean(options.canvasVersions);
+        this.openCanvas = options.openCanvas !== false;
+        this.selectorCascade = options.selectorCascade || new SelectorCascade();
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+        this.blockContainers = ['div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure'];
+    }
+
+    /**
+     * Build the conversation tree from a MessageDetector result
+     */
+    async build({ messages, metadata }) {
+        const turns = [];
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+
+        for (let i = 0; i < messages.length; i++) {
+            turns.push(await this.buildTurn(messages[i]));
+            console.log(`Processed message ${i + 1}/${messages.length}`);
+        }
+
+        return {
+            type: 'conversation',
+            title: metadata.title,
+            url: metadata.url,
+            conversationId: metadata.conversationId || null,
+            model: metadata.model || null,
+            platform: metadata.platform || 'ChatGPT',
+            exportedAt: metadata.timestamp,
+            createdAt: null,
+            updatedAt: null,
+            turns
+        };
+    }
+
+    /**
+     * Build a single turn from a detected message
+     */
+    async buildTurn(message) {
+        const chips = message.attachments || [];
+        const cards = message.canvasCards || [];
+        const reasoning = await this.findReasoning(message.element);
+        const removed = [
+            ...chips.map(chip => chip.element),
+            ...cards.map(card => card.element),
+            ...reasoning.flatMap(section => [section.row, section.content])
+        ];
+        const clone = this.cleanClone(message.element, removed.filter(Boolean));
+        const html = (clone.querySelector('.markdown, [class*="markdown"]') || clone).innerHTML.trim();
+        const blocks = await this.buildBlocks(message.element, clone);
+        if (this.includeReasoning) {
+            blocks.unshift(...reasoning
+                .filter(section => section.content)
+                .map(section => ({ type: 'reasoning', label: section.label, blocks: this.buildReasoningBlocks(section.content) })));
+        }
+        if (chips.length > 0) {
+            blocks.unshift(await this.buildAttachments(chips));
+        }
+        if (cards.length > 0) {
+            blocks.push(...await this.buildCanvasDocuments(cards));
+        }
+
+        return {
+            type: 'turn',
+            role: message.senderType,
+            sender: message.sender,
+            replyLabel: message.replyLabel || null,
+            timestamp: null,
+            html,
+            blocks
+        };
+    }
+
+    /**
+     * The "Thought for N seconds" sections of a reply: { label, row, content } with the row holding the
+     * toggle and the summary shown under it (null while collapsed). Their elements are left out of the
+     * reply either way; with includeReasoning, collapsed ones are opened first (and left open).
+     */
+    async findReasoning(element) {
+        const toggles = Array.from(element.querySelectorAll('button, [role="button"]'))
+            .filter(toggle => REASONING_LABEL.test(toggle.textContent.replace(/\s+/g, ' ').trim()));
+        const sections = [];
+
+        for (const toggle of toggles) {
+            let row = this.findReasoningRow(toggle, element);
+            let content = this.findReasoningContent(row, element);
+            if (this.includeReasoning && !content) {
+                toggle.click();
+                // The summary may open inside the collapsed row, which then holds more than the toggle
+                for (let wait = 0; wait < 30 && !content; wait++) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    row = this.findReasoningRow(toggle, element);
+                    content = this.findReasoningContent(row, element);
+                }
+            }
+            sections.push({ label: toggle.textContent.replace(/\s+/g, ' ').trim(), row, content });
+        }
+        return sections;
+    }
+
+    /**
+     * Highest ancestor of the toggle that holds nothing but the toggle
+     */
+    findReasoningRow(toggle, message) {
+        const label = toggle.textContent.trim();
+        let row = toggle;
+        while (row.parentElement && row.parentElement !== message && row.parentElement.textContent.trim() === label) {
+            row = row.parentElement;
+        }
+        return row;
+    }
+
+    /**
+     * The expanded summary right after the toggle's row. The reply itself (the last markdown part) never is.
+     */
+    findReasoningContent(row, message) {
+        const content = row.nextElementSibling;
+        const parts = message.querySelectorAll('.markdown, [class*="markdown"]');
+        const reply = parts[parts.length - 1];
+        if (!content || !content.textContent.trim() || (reply && content.contains(reply))) {
+            return null;
+        }
+        return content;
+    }
+
+    buildReasoningBlocks(content) {
+        const clone = this.cleanClone(content);
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        return markdownParts.length > 0
+            ? markdownParts.flatMap(part => this.convertBlocks(part))
+            : this.convertBlocks(clone);
+    }
+
+    /**
+     * Attachments block from the chips MessageDetector found, downloading the files when asked to
+     */
+    async buildAttachments(chips) {
+        const files = [];
+        for (const chip of chips) {
+            const extension = chip.name.includes('.') ? chip.name.split('.').pop().toLowerCase() : '';
+            files.push({
+                name: chip.name,
+                mimeType: ATTACHMENT_MIME_TYPES[extension] || null,
+                size: chip.size,
+                href: chip.href,
+                data: this.attachmentFiles && chip.href ? await this.fetchFile(chip.href) : null
+            });
+        }
+        return { type: 'attachments', files };
+    }
+
+    /**
+     * A linked file as a data URL, or null when it can't be downloaded
+     */
+    async fetchFile(href) {
+        try {
+            const url = new URL(href, location.href);
+            const response = await fetch(url.href, { credentials: url.origin === location.origin ? 'include' : 'omit' });
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (e) {
+            console.warn('Cannot download attachment:', href, e);
+            return null;
+        }
+    }
+
+    /**
+     * Canvas documents for the cards of a reply. A card for a document an earlier reply created (an edit)
+     * updates that document's block instead of adding one, keeping the replaced version with canvasVersions.
+     * Only the document id tells documents apart (titles can repeat); cards without one are keyed by their position.
+     */
+    async buildCanvasDocuments(cards) {
+        const created = [];
+        for (const card of cards) {
+            const content = await this.readCanvas(card);
+            const key = card.id || `#${++this.canvasCardCount}`;
+            const existing = this.canvasDocuments.get(key);
+            if (!existing) {
+                const document = { type: 'canvasDocument', title: card.title || 'Canvas', ...content, versions: [] };
+                this.canvasDocuments.set(key, document);
+                created.push(document);
+                continue;
+            }
+            const changed = JSON.stringify([existing.code, existing.blocks]) !== JSON.stringify([content.code, content.blocks]);
+            if (changed && this.canvasVersions) {
+                existing.versions.push({ code: existing.code, blocks: existing.blocks });
+            }
+            Object.assign(existing, content, { language: content.language || existing.language });
+        }
+        return created;
+    }
+
+    /**
+     * Open the card's document in the Canvas panel and read it from there. Falls back on the preview
+     * the card shows when the panel doesn't open, without waiting for it when it can't (openCanvas off).
+     */
+    async readCanvas(card) {
+        const before = this.selectorCascade.findCanvasPanel();
+        if (!this.openCanvas) {
+            return before && this.showsCanvas(before, card) ? this.convertCanvasPanel(before) : this.convertCanvasCard(card);
+        }
+
+        const previous = before ? before.editor.textContent : null;
+        (card.element.querySelector('button, [role="button"]') || card.element).click();
+
+        let panel = before;
+        for (let wait = 0; wait < 30 && (!panel || panel.editor.textContent === previous); wait++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            panel = this.selectorCascade.findCanvasPanel();
+        }
+        if (panel && (panel.editor.textContent !== previous || this.showsCanvas(panel, card))) {
+            return this.convertCanvasPanel(panel);
+        }
+        return this.convertCanvasCard(card);
+    }
+
+    /**
+     * Whether the panel's header names the card's document
+     */
+    showsCanvas(panel, card) {
+        const container = panel.element.closest('section, aside, [role="dialog"]') || panel.element;
+        return Boolean(card.title) && container.textContent.includes(card.title);
+    }
+
+    /**
+     * Content of the open document: the source of a code document, the blocks of a text one
+     */
+    async convertCanvasPanel(panel) {
+        if (panel.kind === 'code') {
+            return { language: panel.language, code: this.readCodeEditor(panel.editor), blocks: null };
+        }
+        const clone = this.cleanClone(panel.editor);
+        await this.imageEncoder.encodeClonedImages(clone, panel.editor);
+        return { language: null, code: null, blocks: this.convertBlocks(clone) };
+    }
+
+    /**
+     * Source of a CodeMirror editor. The editor only renders the lines in view, so the whole document
+     * is read from its state when the page lets us reach it.
+     */
+    readCodeEditor(editor) {
+        try {
+            const content = editor.querySelector('.cm-content');
+            const view = content && content.cmView && content.cmView.rootView && content.cmView.rootView.view;
+            if (view) {
+                return view.state.doc.toString();
+            }
+        } catch (e) {
+            console.warn('Cannot read the Canvas editor state:', e);
+        }
+        const lines = editor.querySelectorAll('.cm-line');
+        return lines.length > 0 ? Array.from(lines).map(line => line.textContent).join('\n') : editor.textContent;
+    }
+
+    /**
+     * Content of the preview a card shows
+     */
+    convertCanvasCard(card) {
+        const clone = this.cleanClone(card.element);
+        const code = clone.querySelector('pre, code');
+        if (code) {
+            return { language: null, code: code.textContent.replace(/\n$/, ''), blocks: null };
+        }
+        const preview = clone.querySelector('.markdown, [class*="markdown"], .ProseMirror');
+        return { language: null, code: null, blocks: preview ? this.convertBlocks(preview) : [] };
+    }
+
+    /**
+     * Convert a message element into blocks, encoding its images on the way
+     */
+    async buildBlocks(element, clone = this.cleanClone(element)) {
+        // Pre-convert all images to base64
+        await this.imageEncoder.encodeClonedImages(clone, element);
+
+        // Code Interpreter runs, their charts and generated images sit between the markdown parts of a reply
+        const runs = Array.from(clone.querySelectorAll('div, section, details')).filter(el => this.isCodeRun(el));
+        if (runs.length > 0 || Array.from(clone.querySelectorAll('img')).some(img => this.isGeneratedImage(img))) {
+            return this.convertReplyParts(clone, runs);
+        }
+
+        // Find the markdown content container if it exists
+        const markdownContainer = clone.querySelector('.markdown, [class*="markdown"]');
+        return this.convertBlocks(markdownContainer || clone);
+    }
+
+    /**
+     * Convert the markdown parts, code runs and images outside both of a reply, in page order
+     */
+    convertReplyParts(clone, runs) {
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        const inPart = node => [...markdownParts, ...runs].some(part => part.contains(node));
+        // Generated images are drawn twice, the blurred backdrop being a copy of the image
+        const images = Array.from(clone.querySelectorAll('img'))
+            .filter(img => !inPart(img))
+            .filter((img, index, all) => !this.isGeneratedImage(img) ||
+                all.findIndex(other => other.getAttribute('src') === img.getAttribute('src')) === index);
+
+        return [...markdownParts, ...runs, ...images]
+            .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+            .flatMap(part => {
+                if (runs.includes(part)) {
+                    return [this.convertCodeRun(part)];
+                }
+                return part.tagName.toLowerCase() === 'img' ? this.convertBlock(part) : this.convertBlocks(part);
+            });
+    }
+
+    /**
+     * Copy a message element without the buttons, icons and screen-reader text around its content
+     * @param {Element[]} removed - Elements inside `element` to leave out of the copy (e.g. attachment chips)
+     */
+    cleanClone(element, removed = []) {
+        const clone = element.cloneNode(true);
+
+        removed
+            .map(node => this.findCopy(element, clone, node))
+            .forEach(copy => copy && copy !== clone && copy.remove());
+
+        // Extract images from buttons before removing them (ChatGPT wraps images in buttons).
+        // Web search citation pills can be buttons or sit in/around one: keep their content.
+        clone.querySelectorAll('button').forEach(btn => {
+            const img = btn.querySelector('img');
+            if (this.isCitation(btn)) {
+                return;
+            }
+            if (btn.closest(CITATION_PILL_SELECTOR) || btn.querySelector(CITATION_PILL_SELECTOR)) {
+                btn.replaceWith(...btn.childNodes);
+            } else if (img) {
+                btn.parentNode.replaceChild(img.cloneNode(true), btn);
+            } else {
+                btn.remove();
+            }
+        });
+
+        // Remove UI elements that shouldn't be in the export
+        clone.querySelectorAll('svg, [class*="sr-only"]').forEach(el => el.remove());
+        return clone;
+    }
+
+    /**
+     * The node of a fresh deep copy that sits where `node` sits in `original`
+     */
+    findCopy(original, copy, node) {
+        const path = [];
+        for (let current = node; current && current !== original; current = current.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(current.parentElement ? current.parentElement.children : [], current));
+        }
+        return path.reduce((target, index) => target && index >= 0 ? target.children[index] : null, copy);
+    }
+
+    /**
+     * Convert the children of a container into a list of blocks.
+     * Runs of inline content between block elements become paragraphs.
+     */
+    convertBlocks(container, preserveLines = false) {
+        const blocks = [];
+        let inlineBuffer = [];
+        const keepLines = preserveLines || this.preservesLines(container);
+
+        const flush = () => {
+            const children = this.trimInline(inlineBuffer);
+            if (children.length > 0) {
+                blocks.push({ type: 'paragraph', children });
+            }
+            inlineBuffer = [];
+        };
+
+        container.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                inlineBuffer.push(...this.convertText(child.textContent, keepLines));
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE || this.isSkipped(child)) {
+                return;
+            }
+
+            const blocksFromChild = this.convertBlock(child, keepLines);
+            if (blocksFromChild) {
+                flush();
+                blocks.push(...blocksFromChild);
+            } else {
+                inlineBuffer.push(...this.convertInline(child, keepLines));
+            }
+        });
+
+        flush();
+        return blocks;
+    }
+
+    /**
+     * Convert a block-level element, or return null when the element is inline
+     */
+    convertBlock(element, preserveLines) {
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isDisplayMath(element)) {
+            return [{ type: 'math', tex: this.extractTex(element), display: true, mathml: this.extractMathMl(element, true) }];
+        }
+
+        switch (tagName) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return [{
+                    type: 'heading',
+                    level: parseInt(tagName.substring(1), 10),
+                    children: this.trimInline(this.convertInlineChildren(element, false))
+                }];
+
+            case 'p':
+                return this.convertBlocks(element, preserveLines);
+
+            case 'pre':
+                return [this.convertCodeBlock(element)];
+
+            case 'ul':
+            case 'ol':
+                return [this.convertList(element)];
+
+            case 'table':
+                return [this.convertTable(element)];
+
+            case 'blockquote':
+                return [{ type: 'blockquote', blocks: this.convertBlocks(element, preserveLines) }];
+
+            case 'hr':
+                return [{ type: 'rule' }];
+
+            case 'canvas':
+                return [{ type: 'canvas' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                if (image && this.isGeneratedImage(element)) {
+                    return [this.convertFigure(element, image)];
+                }
+                return image ? [{ ...image, type: 'image' }] : [];
+            }
+
+            default:
+                if (this.blockContainers.includes(tagName)) {
+                    return this.convertBlocks(element, preserveLines);
+                }
+                return null;
+        }
+    }
+
+    /**
+     * Convert an inline element into inline nodes
+     */
+    convertInline(element, preserveLines = false) {
+        if (element.nodeType === Node.TEXT_NODE) {
+            return this.convertText(element.textContent, preserveLines);
+        }
+        if (element.nodeType !== Node.ELEMENT_NODE || this.isSkipped(element)) {
+            return [];
+        }
+
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isCitation(element)) {
+            return [this.convertCitation(element)];
+        }
+
+        if (this.isMath(element)) {
+            const display = this.isDisplayMath(element);
+            return [{ type: 'math', tex: this.extractTex(element), display, mathml: this.extractMathMl(element, display) }];
+        }
+
+        switch (tagName) {
+            case 'strong':
+            case 'b':
+                return [{ type: 'strong', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'em':
+            case 'i':
+                return [{ type: 'emphasis', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'code':
+                return [{ type: 'inlineCode', value: element.textContent || '' }];
+
+            case 'br':
+                return [{ type: 'break' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                return image ? [image] : [];
+            }
+
+            case 'a': {
+                const href = (element.getAttribute('href') || '').trim();
+                const lowerHref = href.toLowerCase();
+                const children = this.convertInlineChildren(element, preserveLines);
+                if (!href || lowerHref.startsWith('javascript:') ||
+                    lowerHref.startsWith('data:') || lowerHref.startsWith('vbscript:') ||
+                    href.startsWith('#')) {
+                    return children;
+                }
+                return [{ type: 'link', href, children }];
+            }
+
+            case 'template':
+                return [];
+
+            default:
+                // Block elements nested inside inline context (e.g. <p> inside <li>) are flattened
+                return [
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }]),
+                    ...this.convertInlineChildren(element, preserveLines || this.preservesLines(element)),
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }])
+                ];
+        }
+    }
+
+    convertInlineChildren(element, preserveLines) {
+        const nodes = [];
+        element.childNodes.forEach(child => {
+            nodes.push(...this.convertInline(child, preserveLines));
+        });
+        return nodes;
+    }
+
+    /**
+     * Convert a text node value. Source formatting whitespace collapses to single spaces,
+     * except inside whitespace-pre-wrap containers where line breaks are meaningful.
+     */
+    convertText(value, preserveLines) {
+        if (!value) return [];
+
+        if (!preserveLines) {
+            return [{ type: 'text', value: value.replace(/\s+/g, ' ') }];
+        }
+
+        const nodes = [];
+        value.split('\n').forEach((line, index) => {
+            if (index > 0) nodes.push({ type: 'break' });
+            if (line) nodes.push({ type: 'text', value: line });
+        });
+        return nodes;
+    }
+
+    convertCodeBlock(pre) {
+        // Prefer the <code> element so toolbar labels in the <pre> header are left out
+        const codeEl = pre.querySelector('code');
+        let language = '';
+        if (codeEl && typeof codeEl.className === 'string') {
+            const langMatch = codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+            language = langMatch ? langMatch[1] : '';
+        }
+
+        return {
+            type: 'code',
+            language,
+            text: (codeEl || pre).textContent.replace(/^\n+|\s+$/g, '')
+        };
+    }
+
+    /**
+     * A Code Interpreter run outside the reply text: the innermost element holding the code and
+     * its "Result" / "STDOUT/STDERR" output (the "Analyzed" toggle is a button, removed by cleanClone)
+     */
+    isCodeRun(element) {
+        if (element.closest('.markdown, [class*="markdown"]')) {
+            return false;
+        }
+        const testId = element.getAttribute('data-testid') || '';
+        if (testId.includes('code-interpreter')) {
+            return true;
+        }
+        const holdsRun = el => !!el.querySelector('code') && !!this.findOutputLabel(el);
+        return holdsRun(element) && !Array.from(element.children).some(holdsRun);
+    }
+
+    findOutputLabel(element) {
+        return Array.from(element.querySelectorAll('div, span, p'))
+            .find(el => el.children.length === 0 && !el.closest('pre, code') &&
+                /^(Result|Output|STDOUT\/STDERR|STDOUT|STDERR|Error)$/i.test(el.textContent.trim()));
+    }
+
+    convertCodeRun(element) {
+        const codeEl = element.querySelector('code[class*="language-"]') || element.querySelector('code');
+        const langMatch = codeEl && typeof codeEl.className === 'string' && codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+        const label = this.findOutputLabel(element);
+        const outputEl = label && (label.nextElementSibling || (label.parentElement !== element ? label.parentElement.nextElementSibling : null));
+        const trimCode = text => text.replace(/^\n+|\s+$/g, '');
+
+        return {
+            type: 'codeRun',
+            language: langMatch ? langMatch[1] : 'python',
+            code: codeEl ? trimCode(codeEl.textContent) : '',
+            output: outputEl && !outputEl.contains(codeEl) ? trimCode(outputEl.textContent) : null,
+            images: Array.from(element.querySelectorAll('img')).map(img => this.convertImage(img)).filter(Boolean),
+            files: Array.from(element.querySelectorAll('a[href]')).map(link => ({
+                name: link.textContent.trim() || link.getAttribute('href').split('/').pop(),
+                href: link.getAttribute('href')
+            }))
+        };
+    }
+
+    convertList(list) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const items = [];
+
+        list.querySelectorAll(':scope > li').forEach(li => {
+            const children = [];
+            const blocks = [];
+
+            // Nested lists and code blocks stay blocks, everything else flattens into the item text
+            li.childNodes.forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && !this.isSkipped(child)) {
+                    const tagName = child.tagName.toLowerCase();
+                    if (tagName === 'ul' || tagName === 'ol') {
+                        blocks.push(this.convertList(child));
+                        return;
+                    }
+                    if (tagName === 'pre') {
+                        blocks.push(this.convertCodeBlock(child));
+                        return;
+                    }
+                }
+                children.push(...this.convertInline(child));
+            });
+
+            items.push({ type: 'listItem', children: this.trimInline(children), blocks });
+        });
+
+        return {
+            type: 'list',
+            ordered,
+            start: parseInt(list.getAttribute('start') || '1', 10),
+            items
+        };
+    }
+
+    convertTable(table) {
+        const convertCell = cell => this.trimInline(this.convertInlineChildren(cell, false));
+        const headerRow = table.querySelector('thead tr');
+
+        const header = headerRow
+            ? Array.from(headerRow.querySelectorAll('th, td')).map(convertCell)
+            : [];
+        const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr =>
+            Array.from(tr.querySelectorAll('td, th')).map(convertCell)
+        ).filter(row => row.length > 0);
+
+        return { type: 'table', header, rows };
+    }
+
+    /**
+     * Convert an image element, or return null for UI images
+     */
+    convertImage(img) {
+        const className = typeof img.className === 'string' ? img.className : '';
+        const src = img.getAttribute('src') || '';
+
+        // Skip UI images (favicons, avatars, icons)
+        if (src.includes('favicon') || src.includes('avatar') ||
+            className.includes('icon') || (img.width && img.width < 48)) {
+            return null;
+        }
+
+        return {
+            type: 'image',
+            src,
+            alt: img.getAttribute('alt') || '',
+            data: img.getAttribute('data-base64') || null
+        };
+    }
+
+    /**
+     * An image the reply generated (DALL·E / image generation) rather than one it shows from the web
+     */
+    isGeneratedImage(img) {
+        return /^Generated image\b/i.test(img.getAttribute('alt') || '') ||
+            !!img.closest('[class*="image-gen"], [class*="imagegen"], [data-testid*="image-gen"]');
+    }
+
+    /**
+     * A generated image as a figure. The page only has the prompt in the image's alt text
+     * ("Generated image: ..."), and the size in its dimensions.
+     */
+    convertFigure(img, image) {
+        const caption = (img.getAttribute('alt') || '').replace(/^Generated image\b:?\s*/i, '').trim();
+        const width = parseInt(img.getAttribute('width'), 10);
+        const height = parseInt(img.getAttribute('height'), 10);
+        return {
+            type: 'figure',
+            image,
+            caption: caption || null,
+            generation: { size: width && height ? `${width}x${height}` : null, seed: null, genId: null }
+        };
+    }
+
+    /**
+     * Elements that carry no conversation content
+     */
+    isSkipped(element) {
+        if (this.isCitation(element)) {
+            return false;
+        }
+        const tagName = element.tagName.toLowerCase();
+        if (['button', 'svg', 'script', 'style', 'noscript', 'template'].includes(tagName)) {
+            return true;
+        }
+
+        // Skip elements with specific classes (UI components)
+        const className = element.className;
+        return typeof className === 'string' &&
+            (className.includes('copy') || className.includes('edit') || className.includes('regenerate'));
+    }
+
+    isInlineTag(tagName) {
+        return ['span', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sub', 'sup', 'mark', 'small', 'abbr', 'cite', 'label', 'kbd'].includes(tagName);
+    }
+
+    preservesLines(element) {
+        return typeof element.className === 'string' && element.className.includes('whitespace-pre-wrap');
+    }
+
+    isCitation(element) {
+        return element.matches(CITATION_PILL_SELECTOR);
+    }
+
+    /**
+     * Citation node from a pill: its text ("Wikipedia +2") is the label, the page title comes from the
+     * link's tooltip when it has one, otherwise from the label without the "+N more sources" count
+     */
+    convertCitation(element) {
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+        const label = element.textContent.replace(/\s+/g, ' ').trim();
+        const tooltip = link && (link.getAttribute('title') || link.getAttribute('aria-label'));
+        return {
+            type: 'citation',
+            href: link ? link.getAttribute('href') : null,
+            label,
+            title: (tooltip || label.replace(/\s*\+\d+$/, '')).trim() || null
+        };
+    }
+
+    isMath(element) {
+        return element.classList.contains('katex') || element.classList.contains('katex-display');
+    }
+
+    isDisplayMath(element) {
+        return element.classList.contains('katex-display') ||
+            (element.classList.contains('katex') && !!element.closest('.katex-display'));
+    }
+
+    /**
+     * Read the TeX source KaTeX keeps in its MathML annotation
+     */
+    extractTex(element) {
+        const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+        return annotation ? annotation.textContent.trim() : element.textContent.trim();
+    }
+
+    /**
+     * Copy the MathML KaTeX renders alongside its HTML, so exports show real formulas without KaTeX's CSS and fonts.
+     * Event handler and link attributes are dropped; the TeX annotation is kept for copy and paste.
+     */
+    extractMathMl(element, display) {
+        const math = element.querySelector('math');
+        if (!math) {
+            return null;
+        }
+
+        const clone = math.cloneNode(true);
+        [clone, ...clone.querySelectorAll('*')].forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                if (/^on|href$/i.test(attr.name)) el.removeAttribute(attr.name);
+            });
+        });
+        clone.setAttribute('xmlns', 'http://www.w3.org/1998/Math/MathML');
+        if (display) {
+            clone.setAttribute('display', 'block');
+        }
+        return clone.outerHTML;
+    }
+
+    /**
+     * Trim leading and trailing whitespace from a run of inline nodes
+     */
+    trimInline(nodes) {
+        const result = nodes.filter(node => node.type !== 'text' || node.value !== '');
+
+        while (result.length > 0 && this.isBlankNode(result[0])) result.shift();
+        while (result.length > 0 && this.isBlankNode(result[result.length - 1])) result.pop();
+
+        if (result.length > 0 && result[0].type === 'text') {
+            result[0] = { ...result[0], value: result[0].value.replace(/^\s+/, '') };
+        }
+        const last = result.length - 1;
+        if (last >= 0 && result[last].type === 'text') {
+            result[last] = { ...result[last], value: result[last].value.replace(/\s+$/, '') };
+        }
+
+        return result;
+    }
+
+    isBlankNode(node) {
+        return node.type === 'break' || (node.type === 'text' && node.value.trim() === '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationBuilder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ConversationBuilder = ConversationBuilder;
+}
+
+// ---- core/branch-walker.js ----
+
+/**
+ * Branch Walker
+ * Collects every branch of a ChatGPT conversation by stepping through the "< 2/3 >"
+ * navigators that edited prompts and regenerated replies leave on the page.
+ * Produces the turn list of the conversation tree, ending in forks where branches split
+ * (see core/conversation-builder.js).
+ */
+
+class BranchWalker {
+    /**
+     * @param {Object} options
+     * @param {ConversationBuilder} options.builder - Converts detected messages into turns
+     * @param {Function} options.createDetector - Returns a fresh MessageDetector (results must not be cached across clicks)
+     * @param {number} options.timeout - How long to wait for a branch switch to render, in ms
+     */
+    constructor(options = {}) {
+        this.builder = options.builder || new ConversationBuilder();
+        this.createDetector = options.createDetector || (() => new MessageDetector());
+        this.timeout = options.timeout || 5000;
+    }
+
+    /**
+     * Walk all branches and return the conversation turns.
+     * The page is left on the branches that were showing when the walk started.
+     */
+    async buildTurns() {
+        return this.walk(0, -1);
+    }
+
+    /**
+     * Build turns from message `fromIndex` on. The navigator of message `skipNavigatorAt`
+     * is the one currently being walked by the caller, so it does not fork again.
+     */
+    async walk(fromIndex, skipNavigatorAt) {
+        const { messages } = await this.createDetector().detectMessages();
+        const turns = [];
+
+        for (let i = fromIndex; i < messages.length; i++) {
+            const navigator = i === skipNavigatorAt ? null : this.findNavigator(messages[i].element);
+
+            if (navigator && navigator.total > 1) {
+                const original = navigator.current;
+                const branches = [];
+
+                for (let version = 1; version <= navigator.total; version++) {
+                    await this.goTo(i, version);
+                    console.log(`Walking branch ${version}/${navigator.total} at message ${i + 1}`);
+                    branches.push({
+                        type: 'branch',
+                        index: version,
+                        total: navigator.total,
+                        active: version === original,
+                        turns: await this.walk(i, i)
+                    });
+                }
+
+                await this.goTo(i, original);
+                turns.push({ type: 'fork', branches });
+                return turns;
+            }
+
+            turns.push(await this.builder.buildTurn(messages[i]));
+        }
+
+        return turns;
+    }
+
+    /**
+     * Find the "current/total" counter and its previous/next buttons in a message's turn
+     */
+    findNavigator(messageElement) {
+        const turn = messageElement.closest('article, [data-testid^="conversation-turn"]') || messageElement;
+        const counter = Array.from(turn.querySelectorAll('div, span'))
+            .find(el => el.children.length === 0 && /^\s*\d+\s*\/\s*\d+\s*$/.test(el.textContent));
+        if (!counter) {
+            return null;
+        }
+
+        const [current, total] = counter.textContent.split('/').map(part => parseInt(part, 10));
+        const buttons = Array.from(counter.parentElement.querySelectorAll('button'));
+        const previous = buttons.find(btn => /previous|prev/i.test(btn.getAttribute('aria-label') || '')) || buttons[0];
+        const next = buttons.find(btn => /next/i.test(btn.getAttribute('aria-label') || '')) || buttons[buttons.length - 1];
+
+        if (!previous || !next || previous === next) {
+            return null;
+        }
+        return { current, total, previous, next, counter };
+    }
+
+    /**
+     * Click message `index`'s navigator until it shows `version`
+     */
+    async goTo(index, version) {
+        for (let step = 0; step < 50; step++) {
+            const { messages } = await this.createDetector().detectMessages();
+            const navigator = messages[index] && this.findNavigator(messages[index].element);
+            if (!navigator) {
+                throw new Error(`Lost the branch navigator of message ${index + 1}`);
+            }
+            if (navigator.current === version) {
+                return;
+            }
+
+            const before = navigator.counter.textContent;
+            (navigator.current < version ? navigator.next : navigator.previous).click();
+            await this.waitFor(() => !navigator.counter.isConnected || navigator.counter.textContent !== before);
+        }
+
+        throw new Error(`Could not switch message ${index + 1} to branch ${version}`);
+    }
+
+    /**
+     * Poll until the condition holds, then give the new branch a moment to finish rendering
+     */
+    async waitFor(condition) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > this.timeout) {
+                throw new Error('Timed out waiting for the branch to load');
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BranchWalker;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.BranchWalker = BranchWalker;
+}
+
+// ---- core/file-downloader.js ----
+
+/**
+ * File Downloader
+ * Saves exported content through a temporary Blob download link, and names the exports.
+ *
+ * File names come from a template whose tokens are replaced with the conversation's details:
+ *
+ *   {title}     conversation title            {id}        conversation id (empty when unknown)
+ *   {date}      creation date, YYYY-MM-DD     {model}     model, e.g. gpt-4o (empty when unknown)
+ *   {time}      creation time, HH-MM-SS       {platform}  ChatGPT or Gemini
+ *   {count}     number of messages            {ext}       file extension
+ *
+ * The date and time are UTC, from when the conversation was created or, when the source doesn't
+ * say (exports of the page on screen), exported. The default template, "{title} ({date}).{ext}",
+ * gives the names exports always had.
+ */
+
+const DEFAULT_FILENAME_TEMPLATE = '{title} ({date}).{ext}';
+
+class FileDownloader {
+    /**
+     * @param {Object} options
+     * @param {string} options.template - File name template, e.g. "{date}_{title}_{id}.{ext}" (default "{title} ({date}).{ext}")
+     * @param {boolean} options.slugify - Lowercase the token values and join their words with hyphens
+     * @param {number} options.maxLength - Longest file name, extension included; the title is shortened first.
+     *                                      Names are refused (Error) when the extension and suffix alone reach it.
+     */
+    constructor(options = {}) {
+        this.template = options.template || DEFAULT_FILENAME_TEMPLATE;
+        this.slugify = Boolean(options.slugify);
+        this.maxLength = options.maxLength > 0 ? options.maxLength : 0;
+    }
+
+    /**
+     * Trigger a browser download for the given content
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Name an export of the conversation from the template: "{name}{suffix}.{extension}" (Issue #12).
+     * `suffix` tells apart exports of the same conversation (e.g. " report"); `title` replaces the
+     * conversation title.
+     */
+    buildFilename(conversation, extension, suffix = '', title = conversation.title) {
+        const reserved = suffix.length + extension.length + 1;
+        return `${this.buildBaseName(conversation, { title, extension, reserved })}${suffix}.${extension}`;
+    }
+
+    /**
+     * The template's name for the conversation without the extension, for callers that add their own
+     * @param {Object} options
+     * @param {string} options.title - Use instead of the conversation title
+     * @param {string} options.extension - Value of {ext} when it appears elsewhere in the template
+     * @param {number} options.reserved - Characters of maxLength kept for what the caller appends
+     */
+    buildBaseName(conversation, { title = conversation.title, extension = '', reserved = 0 } = {}) {
+        const timestamp = conversation.createdAt || conversation.exportedAt || new Date().toISOString();
+        const values = {
+            title: this.tokenValue(title) || this.tokenValue(`${conversation.platform || 'ChatGPT'}_Conversation`),
+            date: timestamp.split('T')[0],
+            time: (timestamp.split('T')[1] || '').slice(0, 8).replace(/:/g, '-'),
+            id: this.tokenValue(conversation.conversationId),
+            model: conversation.model === 'Unknown' ? '' : this.tokenValue(conversation.model),
+            platform: this.tokenValue(conversation.platform || 'ChatGPT'),
+            count: String(this.countMessages(conversation.turns || [])),
+            ext: extension
+        };
+
+        const template = this.template.replace(/\.\{ext\}$/, '');
+        const fill = titleValue => template
+            .replace(/\{(\w+)\}/g, (token, name) => name === 'title' ? titleValue : (name in values ? values[name] : token))
+            .replace(/^[\s._-]+|[\s._-]+$/g, '');
+
+        if (this.maxLength > 0 && this.maxLength <= reserved) {
+            throw new Error(`A file name of at most ${this.maxLength} characters leaves no room for a name: the extension and suffix take ${reserved}`);
+        }
+
+        let name = fill(values.title);
+        const limit = this.maxLength > 0 ? this.maxLength - reserved : 0;
+        if (limit > 0 && name.length > limit) {
+            const shortened = values.title.slice(0, Math.max(0, values.title.length - (name.length - limit))).replace(/[\s._-]+$/, '');
+            name = fill(shortened).slice(0, limit).replace(/[\s._-]+$/, '');
+        }
+        name = name || values.date;
+        return limit > 0 ? name.slice(0, limit) : name;
+    }
+
+    /**
+     * A value safe in a file name: no characters file systems reject, collapsed whitespace, and
+     * lowercase words joined by hyphens when slugifying
+     */
+    tokenValue(value) {
+        const safe = String(value || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '').replace(/\s+/g, ' ').trim();
+        if (!this.slugify) {
+            return safe;
+        }
+        return safe.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Messages in the conversation, the ones in every branch of a fork included
+     */
+    countMessages(turns) {
+        return turns.reduce((count, turn) => count + (turn.type === 'fork'
+            ? turn.branches.reduce((sum, branch) => sum + this.countMessages(branch.turns), 0)
+            : 1), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileDownloader;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.FileDownloader = FileDownloader;
+}
+
+// ---- core/export-folder.js ----
+
+/**
+ * Export Folder
+ * Writes exports straight into a folder the user picked once (an Obsidian vault, a git repo, ...)
+ * through the File System Access API, instead of downloading them. The folder handle is kept in
+ * IndexedDB so it survives reloads, along with the path each conversation was first written to:
+ * re-exporting a conversation overwrites that file in place even if its title changed since.
+ *
+ * Only Chromium browsers have the API; callers fall back to FileDownloader when open() returns null.
+ */
+
+class ExportFolder {
+    /**
+     * @param {FileSystemDirectoryHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        this.name = handle.name;
+        this.writes = Promise.resolve();
+        this.errors = [];
+    }
+
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function' && typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Ask the user for the destination folder and remember it. Must run from a click.
+     * @returns {Promise<ExportFolder>}
+     */
+    static async choose() {
+        const handle = await window.showDirectoryPicker({ id: 'chatgpt-exporter', mode: 'readwrite' });
+        await ExportFolder.setting('folder', handle);
+        return new ExportFolder(handle);
+    }
+
+    /**
+     * Let the user pick the folder exports are written to from now on, telling them when the browser can't.
+     * Must run from a click.
+     * @returns {Promise<ExportFolder|null>} the remembered folder when the picker is cancelled, null when
+     *     unsupported (exports are downloaded then)
+     */
+    static async pick() {
+        if (!ExportFolder.isSupported()) {
+            alert('This browser cannot write to folders (the File System Access API is missing), so exports will be downloaded.');
+            return null;
+        }
+        try {
+            const folder = await ExportFolder.choose();
+            console.log(`Exports will be saved to "${folder.name}"`);
+            return folder;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Could not choose the export folder:', error);
+            }
+            return ExportFolder.open();
+        }
+    }
+
+    /**
+     * Write a single export into the folder, in a subfolder per export date, or download it when there is no
+     * folder. Attachments (images saved as files, ...) go next to the file, or into a zip with it (ZipWriter).
+     * A filename with a folder (the gallery's "{name}/captions.json") downloads as a zip named after the folder.
+     * @param {ExportFolder|null} folder
+     * @param {Object} exported - { conversation, content, filename, mimeType, attachments: [{ path, data }] }
+     */
+    static async save(folder, { conversation, content, filename, mimeType, attachments = [] }) {
+        if (!folder) {
+            if (attachments.length === 0 && !filename.includes('/')) {
+                new FileDownloader().download(content, filename, mimeType);
+                return;
+            }
+            const zipDirectory = filename.includes('/') ? filename.slice(0, filename.lastIndexOf('/') + 1) : '';
+            const zip = new ZipWriter();
+            zip.addFile(filename, content);
+            attachments.forEach(attachment => zip.addFile(zipDirectory + attachment.path, attachment.data));
+            const zipName = filename.includes('/') ? filename.split('/')[0] : filename.replace(/\.[^.]+$/, '');
+            new FileDownloader().download(zip.generate(), `${zipName}.zip`, 'application/zip');
+            return;
+        }
+
+        const path = await folder.pathFor(conversation, filename, conversation.exportedAt.split('T')[0]);
+        await folder.writeFile(path, content);
+        const directory = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+        for (const attachment of attachments) {
+            await folder.writeFile(directory + attachment.path, attachment.data);
+        }
+        console.log(`Saved to ${folder.name}/${path}`);
+    }
+
+    /**
+     * Go back to downloading files
+     */
+    static async forget() {
+        await ExportFolder.setting('folder', null);
+    }
+
+    /**
+     * The remembered folder, asking again for write access when the browser dropped it (it does
+     * after a restart). Call it at the start of a click handler: the permission prompt needs the click.
+     * @returns {Promise<ExportFolder|null>} null when no folder was chosen, access was refused or the API is missing
+     */
+    static async open() {
+        if (!ExportFolder.isSupported()) {
+            return null;
+        }
+
+        try {
+            const handle = await ExportFolder.setting('folder');
+            if (!handle) {
+                return null;
+            }
+            const options = { mode: 'readwrite' };
+            if (await handle.queryPermission(options) !== 'granted' && await handle.requestPermission(options) !== 'granted') {
+                console.warn('Export folder: write access refused, downloading instead');
+                return null;
+            }
+            return new ExportFolder(handle);
+        } catch (error) {
+            console.warn('Export folder: could not open the saved folder, downloading instead:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write a file, creating its subfolders and replacing any file already there
+     * @param {string} path - Path inside the folder, using "/" separators
+     * @param {string|Uint8Array} data
+     */
+    async writeFile(path, data) {
+        const { directory, name } = await this.resolve(path, true);
+        const file = await directory.getFileHandle(name, { create: true });
+        const writable = await file.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    /**
+     * Text of a file in the folder, or null when it does not exist
+     */
+    async readFile(path) {
+        try {
+            const { directory, name } = await this.resolve(path, false);
+            const file = await directory.getFileHandle(name);
+            return await (await file.getFile()).text();
+        } catch (error) {
+            if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async resolve(path, create) {
+        const parts = path.split('/').filter(Boolean);
+        const name = parts.pop();
+        let directory = this.handle;
+        for (const part of parts) {
+            directory = await directory.getDirectoryHandle(part, { create });
+        }
+        return { directory, name };
+    }
+
+    /**
+     * Where a single conversation export goes: the path it was written to before, otherwise
+     * `{subfolder}/{filename}`. Conversations without an id (new and temporary chats, whose URL has none)
+     * always get the new path.
+     * @param {Object} conversation - Conversation tree (see ConversationBuilder)
+     * @param {string} filename - Name from FileDownloader.buildFilename
+     * @param {string} subfolder - e.g. the export date or the project name
+     */
+    async pathFor(conversation, filename, subfolder) {
+        const path = subfolder ? `${subfolder}/${filename}` : filename;
+        if (!conversation.conversationId) {
+            return path;
+        }
+
+        const key = `${conversation.conversationId}.${filename.split('.').pop()}`;
+        const paths = (await ExportFolder.setting('paths')) || {};
+        if (!paths[key]) {
+            paths[key] = path;
+            await ExportFolder.setting('paths', paths);
+        }
+        return paths[key];
+    }
+
+    /**
+     * Same interface as ZipWriter, so BulkExporter can write its files here instead of into a zip.
+     * Writes run one after another; generate() waits for them and returns null (nothing to download).
+     */
+    addFile(path, data) {
+        this.writes = this.writes.then(() => this.writeFile(path, data)).catch(error => {
+            console.error(`Export folder: could not write ${path}:`, error);
+            this.errors.push({ path, error });
+        });
+    }
+
+    async generate() {
+        await this.writes;
+        if (this.errors.length > 0) {
+            throw new Error(`Could not write ${this.errors.length} file(s) to "${this.name}", first: ${this.errors[0].path} (${this.errors[0].error.message})`);
+        }
+        return null;
+    }
+
+    /**
+     * Read a setting from IndexedDB, or store it when `value` is given (handles can't go in userscript storage)
+     */
+    static setting(key, value) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('chatgpt-exporter', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('settings');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const store = db.transaction('settings', value === undefined ? 'readonly' : 'readwrite').objectStore('settings');
+                const operation = value === undefined ? store.get(key) : store.put(value, key);
+                operation.onerror = () => reject(operation.error);
+                operation.onsuccess = () => {
+                    db.close();
+                    resolve(value === undefined ? operation.result : value);
+                };
+            };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportFolder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ExportFolder = ExportFolder;
+}
+
+// ---- core/pdf-writer.js ----
+
+/**
+ * PDF Writer
+ * Builds a PDF file in memory without any library (ChatGPT's Content Security Policy blocks CDN scripts).
+ * Text uses the standard Helvetica and Courier fonts every PDF viewer provides, so nothing is embedded;
+ * they cover Western European text (WinAnsi), other characters are written as "?" and collected in
+ * `unsupportedCharacters` so callers can tell the user, or use the print-ready HTML (PdfRenderer) instead.
+ * Images are embedded as JPEG or non-transparent PNG data without re-encoding.
+ */
+
+const PDF_FONTS = {
+    regular: { resource: 'F1', base: 'Helvetica' },
+    bold: { resource: 'F2', base: 'Helvetica-Bold' },
+    italic: { resource: 'F3', base: 'Helvetica-Oblique' },
+    boldItalic: { resource: 'F4', base: 'Helvetica-BoldOblique' },
+    mono: { resource: 'F5', base: 'Courier' },
+    monoBold: { resource: 'F6', base: 'Courier-Bold' }
+};
+
+// Glyph widths (1/1000 em) of the printable ASCII range 32-126, from the standard font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsiEncoding bytes 0x80-0x9F; 0xA0-0xFF match Unicode (Latin-1)
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+const WIN_ANSI_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0xa0: 278 };
+
+class PdfWriter {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Page width in points
+     * @param {number} options.height - Page height in points
+     */
+    constructor(options = {}) {
+        this.width = options.width || 612;
+        this.height = options.height || 792;
+        this.pages = [];
+        this.images = [];
+        this.unsupportedCharacters = new Set();
+    }
+
+    addPage() {
+        const page = { operations: [], links: [] };
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Width of a string in points, as it will be printed
+     */
+    textWidth(text, font, size) {
+        const mono = font === 'mono' || font === 'monoBold';
+        const widths = font === 'bold' || font === 'boldItalic' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        let total = 0;
+        for (const char of this.encodeText(text)) {
+            const code = char.charCodeAt(0);
+            total += mono ? 600 : (widths[code - 32] || WIN_ANSI_WIDTHS[code] || 556);
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Map text to WinAnsi bytes (one char per byte); unsupported characters become "?" and are remembered
+     */
+    encodeText(text) {
+        let encoded = '';
+        for (const char of String(text)) {
+            const code = char.codePointAt(0);
+            if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+                encoded += char;
+            } else if (WIN_ANSI_EXTRAS[char]) {
+                encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+            } else if (code === 9) {
+                encoded += ' ';
+            } else if (code >= 32 && !(code >= 0xfe00 && code <= 0xfe0f) && code !== 0x200d) {
+                encoded += '?';     // Variation selectors and joiners are dropped with the emoji they modify
+                this.unsupportedCharacters.add(char);
+            }
+        }
+        return encoded;
+    }
+
+    /**
+     * @param {Object} style - { font (key of PDF_FONTS), size, color (hex) }
+     */
+    drawText(page, text, x, y, style = {}) {
+        const font = PDF_FONTS[style.font] || PDF_FONTS.regular;
+        page.operations.push(`BT /${font.resource} ${this.number(style.size || 11)} Tf ${this.color(style.color || '000000')} rg ` +
+            `${this.number(x)} ${this.number(y)} Td ${this.literal(this.encodeText(text))} Tj ET`);
+    }
+
+    /**
+     * @param {Object} style - { fill, stroke (hex colors), lineWidth }
+     */
+    drawRect(page, x, y, width, height, style = {}) {
+        const paint = style.fill && style.stroke ? 'B' : style.fill ? 'f' : 'S';
+        page.operations.push(`q ${style.fill ? this.color(style.fill) + ' rg ' : ''}${style.stroke ? this.color(style.stroke) + ' RG ' : ''}` +
+            `${this.number(style.lineWidth || 0.5)} w ${[x, y, width, height].map(n => this.number(n)).join(' ')} re ${paint} Q`);
+    }
+
+    drawLine(page, x1, y1, x2, y2, style = {}) {
+        page.operations.push(`q ${this.color(style.color || '000000')} RG ${this.number(style.lineWidth || 0.5)} w ` +
+            `${this.number(x1)} ${this.number(y1)} m ${this.number(x2)} ${this.number(y2)} l S Q`);
+    }
+
+    /**
+     * Draw an image added with addImage, scaled into the given box
+     */
+    drawImage(page, image, x, y, width, height) {
+        page.operations.push(`q ${this.number(width)} 0 0 ${this.number(height)} ${this.number(x)} ${this.number(y)} cm /${image.name} Do Q`);
+    }
+
+    /**
+     * Make a box on the page open a web address when clicked
+     */
+    addLink(page, x, y, width, height, uri) {
+        page.links.push({ rect: [x, y, x + width, y + height], uri });
+    }
+
+    /**
+     * Register JPEG or PNG bytes for drawing.
+     * PNGs with an alpha channel, 16-bit samples or interlacing would need decoding and are not supported.
+     * @returns {{ name, width, height }|null}
+     */
+    addImage(bytes) {
+        const image = this.readJpeg(bytes) || this.readPng(bytes);
+        if (!image) {
+            return null;
+        }
+        image.name = `Im${this.images.length + 1}`;
+        this.images.push(image);
+        return image;
+    }
+
+    readJpeg(bytes) {
+        if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+            return null;
+        }
+
+        // Walk the segments to the start-of-frame marker (C0-CF, except DHT/JPG/DAC)
+        for (let offset = 2; offset + 9 < bytes.length;) {
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                const components = bytes[offset + 9];
+                return {
+                    width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                    height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                    dictionary: `/ColorSpace ${{ 1: '/DeviceGray', 4: '/DeviceCMYK' }[components] || '/DeviceRGB'} ` +
+                        `/BitsPerComponent 8 /Filter /DCTDecode${components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''}`,
+                    data: bytes
+                };
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * PNG image data is a zlib stream with per-row filters, which PDF reads directly through the PNG predictors
+     */
+    readPng(bytes) {
+        const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+        if (!signature.every((byte, i) => bytes[i] === byte)) {
+            return null;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let header = null;
+        let palette = null;
+
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            if (type === 'IHDR') {
+                header = { width: view.getUint32(offset + 8), height: view.getUint32(offset + 12), depth: data[8], colorType: data[9], interlace: data[12] };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'IDAT') {
+                chunks.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+            offset += 12 + length;
+        }
+
+        const colorSpaces = { 0: '/DeviceGray', 2: '/DeviceRGB', 3: palette && `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${this.hex(palette)}>]` };
+        if (!header || header.interlace || header.depth > 8 || !colorSpaces[header.colorType]) {
+            return null;
+        }
+
+        const data = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+        chunks.reduce((offset, chunk) => (data.set(chunk, offset), offset + chunk.length), 0);
+        const colors = header.colorType === 2 ? 3 : 1;
+
+        return {
+            width: header.width,
+            height: header.height,
+            dictionary: `/ColorSpace ${colorSpaces[header.colorType]} /BitsPerComponent ${header.depth} /Filter /FlateDecode ` +
+                `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent ${header.depth} /Columns ${header.width} >>`,
+            data
+        };
+    }
+
+    /**
+     * Serialize the document
+     * @param {Object} info - { title, subject } for the document properties
+     * @returns {Uint8Array}
+     */
+    generate(info = {}) {
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const catalogId = reserve();
+        const pagesId = reserve();
+        const infoId = reserve();
+
+        const fontIds = {};
+        Object.values(PDF_FONTS).forEach(font => {
+            fontIds[font.resource] = objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+        });
+        const imageIds = this.images.map(image => objects.push({
+            dictionary: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ${image.dictionary}`,
+            data: image.data
+        }));
+
+        const resources = `<< /Font << ${Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ')} >> ` +
+            `/XObject << ${this.images.map((image, i) => `/${image.name} ${imageIds[i]} 0 R`).join(' ')} >> >>`;
+
+        const pageIds = this.pages.map(page => {
+            const contentId = objects.push({ dictionary: '', data: this.bytes(page.operations.join('\n')) });
+            const annotations = page.links.map(link => objects.push(
+                `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(n => this.number(n)).join(' ')}] /Border [0 0 0] ` +
+                `/A << /S /URI /URI ${this.literal(link.uri.replace(/[^\x20-\x7e]/gu, char => encodeURIComponent(char)))} >> >>`));
+            return objects.push(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.number(this.width)} ${this.number(this.height)}] ` +
+                `/Resources ${resources} /Contents ${contentId} 0 R` +
+                `${annotations.length > 0 ? ` /Annots [${annotations.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[infoId - 1] = `<< /Title ${this.unicodeString(info.title || '')} /Subject ${this.unicodeString(info.subject || '')} ` +
+            `/Producer (ChatGPT Chat Exporter) >>`;
+
+        const chunks = [this.bytes('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+        const offsets = [];
+        let length = chunks[0].length;
+        const write = chunk => {
+            const data = typeof chunk === 'string' ? this.bytes(chunk) : chunk;
+            chunks.push(data);
+            length += data.length;
+        };
+
+        objects.forEach((object, i) => {
+            offsets.push(length);
+            write(`${i + 1} 0 obj\n`);
+            if (typeof object === 'string') {
+                write(object);
+            } else {
+                write(`<< ${object.dictionary} /Length ${object.data.length} >>\nstream\n`);
+                write(object.data);
+                write('\nendstream');
+            }
+            write('\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const pdf = new Uint8Array(length);
+        chunks.reduce((offset, chunk) => (pdf.set(chunk, offset), offset + chunk.length), 0);
+        return pdf;
+    }
+
+    /**
+     * A PDF string literal; bytes outside printable ASCII are written as octal escapes
+     */
+    literal(encoded) {
+        return '(' + encoded.replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, char => '\\' + char.charCodeAt(0).toString(8).padStart(3, '0')) + ')';
+    }
+
+    /**
+     * UTF-16 string for document properties, which (unlike page text) can hold any character
+     */
+    unicodeString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    color(hex) {
+        return [0, 2, 4].map(i => this.number(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+    }
+
+    number(n) {
+        return String(Math.round(n * 100) / 100);
+    }
+
+    hex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Bytes of a string whose characters are all below 256
+     */
+    bytes(text) {
+        const data = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            data[i] = text.charCodeAt(i);
+        }
+        return data;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.PdfWriter = PdfWriter;
+}
+
+// ---- renderers/html-renderer.js ----
+
+/**
+ * HTML Renderer
+ * Renders the conversation tree built by ConversationBuilder as a styled, self-contained HTML page.
+ * Web search citations become numbered superscript links to a "Sources" list at the end of the turn.
+ */
+
+class HtmlRenderer {
+    /**
+     * Render a conversation tree (see ConversationBuilder) into a complete HTML document
+     */
+    renderConversation(conversation) {
+        this.footnoteCount = 0;
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const title = this.escapeHtml(conversation.title);
+        const sourceLabel = this.sourceLabel(conversation);
+
+        const conversationHTML = this.renderTurns(conversation.turns);
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${title} - ${date}</title>
+    <style>
+        body {
+            font-family: 'Segoe UI', sans-serif;
+            max-width: 900px;
+            margin: auto;
+            padding: 2rem;
+            background: #fff;
+            color: #333;
+            line-height: 1.6;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 2rem;
+            padding-bottom: 1rem;
+            border-bottom: 2px solid #eee;
+        }
+        .header h1 {
+            color: #2c3e50;
+            margin-bottom: 0.5rem;
+        }
+        .metadata {
+            color: #666;
+            font-size: 0.9rem;
+        }
+        .message {
+            margin-bottom: 1.5rem;
+            padding: 1rem;
+            border-radius: 8px;
+            background: #f8f9fa;
+        }
+        .sender {
+            font-weight: bold;
+            color: #2c3e50;
+            margin-bottom: 0.5rem;
+            font-size: 1.1rem;
+        }
+        .reply-label {
+            font-weight: normal;
+            font-size: 0.9rem;
+            color: #666;
+        }
+        .branches {
+            margin-bottom: 1.5rem;
+        }
+        .branch {
+            border-left: 3px solid #10a37f;
+            padding-left: 1rem;
+            margin-bottom: 0.5rem;
+        }
+        .branch > summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #10a37f;
+            margin-bottom: 0.5rem;
+        }
+        .content {
+            word-wrap: break-word;
+            overflow-wrap: break-word;
+        }
+        .content img {
+            max-width: 100%;
+            height: auto;
+            border-radius: 8px;
+            margin: 1rem 0;
+        }
+        .content pre {
+            background: #1e1e1e;
+            color: #d4d4d4;
+            padding: 1rem;
+            border-radius: 8px;
+            overflow-x: auto;
+            font-family: 'Consolas', 'Monaco', monospace;
+            font-size: 0.9rem;
+        }
+        .content code {
+            font-family: 'Consolas', 'Monaco', monospace;
+            background: rgba(0,0,0,0.05);
+            padding: 0.2em 0.4em;
+            border-radius: 3px;
+            font-size: 0.9em;
+        }
+        .content pre code {
+            background: none;
+            padding: 0;
+        }
+        .content table {
+            border-collapse: collapse;
+            width: 100%;
+            margin: 1rem 0;
+        }
+        .content th, .content td {
+            border: 1px solid #ddd;
+            padding: 0.5rem;
+            text-align: left;
+        }
+        .content th {
+            background: #f4f4f4;
+            font-weight: bold;
+        }
+        .content ul, .content ol {
+            padding-left: 2rem;
+            margin: 0.5rem 0;
+        }
+        .content h1, .content h2, .content h3, .content h4, .content h5, .content h6 {
+            margin: 1rem 0 0.5rem 0;
+            color: #2c3e50;
+        }
+        .content .math-display {
+            display: block;
+            margin: 1rem 0;
+            overflow-x: auto;
+        }
+        .content math {
+            font-size: 1.1em;
+        }
+        .content blockquote {
+            border-left: 4px solid #ddd;
+            margin: 1rem 0;
+            padding-left: 1rem;
+            color: #666;
+        }
+        .content .attachments {
+            background: #f4f4f4;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 0.5rem 0 1rem 0;
+        }
+        .content .attachments-title {
+            font-weight: bold;
+        }
+        .content .file-details {
+            color: #666;
+        }
+        .content sup.citation a {
+            text-decoration: none;
+            font-size: 0.8em;
+        }
+        .content .sources {
+            border-top: 1px solid #eee;
+            margin-top: 1rem;
+            padding-top: 0.5rem;
+            font-size: 0.9em;
+        }
+        .content .sources-label {
+            font-weight: bold;
+        }
+        .content .source-domain {
+            color: #666;
+        }
+        .content .reasoning {
+            border-left: 3px solid #ddd;
+            padding-left: 1rem;
+            margin: 0.5rem 0 1rem 0;
+            color: #555;
+        }
+        .content .reasoning summary {
+            cursor: pointer;
+            font-style: italic;
+        }
+        .content .generated-image {
+            margin: 1rem 0;
+        }
+        .content .generated-image figcaption {
+            font-style: italic;
+            color: #555;
+            margin-top: 0.5rem;
+        }
+        .content .generation-details {
+            display: block;
+            font-style: normal;
+            font-size: 0.85em;
+            color: #888;
+        }
+        .content .canvas {
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 1rem 0;
+        }
+        .content .canvas summary {
+            cursor: pointer;
+            font-weight: bold;
+        }
+        .content .canvas-version summary {
+            font-weight: normal;
+            color: #666;
+        }
+        .content .code-run {
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 1rem 0;
+        }
+        .content .code-run summary {
+            cursor: pointer;
+            color: #666;
+        }
+        .content .code-run-label {
+            font-weight: bold;
+            margin-top: 0.5rem;
+        }
+        .content .code-output {
+            background: #fafafa;
+            color: #333;
+            border: 1px solid #ddd;
+        }
+        @media print {
+            body { margin: 0; padding: 1rem; }
+            .message { break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${title}</h1>
+        <div class="metadata">
+            <div><strong>Date:</strong> ${date}</div>
+            <div><strong>Source:</strong> <a href="${this.escapeHtml(conversation.url)}">${sourceLabel}</a></div>
+        </div>
+    </div>
+
+    <div class="conversation">
+        ${conversationHTML}
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Host of the conversation's URL (chatgpt.com, chat.openai.com, gemini.google.com), or the
+     * platform's when the URL has none (e.g. a saved page opened from disk)
+     */
+    sourceLabel(conversation) {
+        const match = /^https?:\/\/([^/?#]+)/i.exec(conversation.url || '');
+        return match ? match[1] : (conversation.platform === 'Gemini' ? 'gemini.google.com' : 'chatgpt.com');
+    }
+
+    /**
+     * Render a turn list, including a trailing fork when every branch is exported
+     */
+    renderTurns(turns) {
+        return turns.map(turn => turn.type === 'fork' ? this.renderFork(turn) : this.renderTurn(turn)).join('');
+    }
+
+    renderTurn(turn) {
+        const label = turn.replyLabel ? ` <span class="reply-label">(${this.escapeHtml(turn.replyLabel)})</span>` : '';
+        return `
+                <div class="message">
+                    <div class="sender">${this.escapeHtml(turn.sender)}${label}</div>
+                    <div class="content">${this.renderTurnBlocks(turn)}</div>
+                </div>
+            `;
+    }
+
+    /**
+     * A turn's content followed by the sources it cites
+     */
+    renderTurnBlocks(turn) {
+        this.turnSources = [];
+        const content = this.renderBlocks(turn.blocks);
+        const sources = this.renderSources(this.turnSources);
+        this.turnSources = null;
+        return content + sources;
+    }
+
+    renderSources(sources) {
+        if (sources.length === 0) {
+            return '';
+        }
+        return `\n<div class="sources"><div class="sources-label">Sources</div><ol>${this.renderSourceItems(sources)}</ol></div>`;
+    }
+
+    /**
+     * Numbered list items (numbers run through the document): title linked to the page, then its domain
+     */
+    renderSourceItems(sources) {
+        return sources.map(source => {
+            const domain = this.sourceDomain(source.href);
+            const href = this.escapeHtml(source.href);
+            return `<li id="source-${source.number}" value="${source.number}"><a href="${href}">${this.escapeHtml(source.title || domain || source.href)}</a>` +
+                `${domain ? ` <span class="source-domain">${this.escapeHtml(domain)}</span>` : ''}</li>`;
+        }).join('');
     }
 
-    function cleanText(text) {
-        return text
+    sourceDomain(href) {
+        try {
+            return new URL(href).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Branches become collapsible alternatives; the one shown in ChatGPT starts expanded
+     */
+    renderFork(fork) {
+        const branches = fork.branches.map(branch => `
+                <details class="branch"${branch.active ? ' open' : ''}>
+                    <summary>Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}</summary>
+                    ${this.renderTurns(branch.turns)}
+                </details>`).join('');
+        return `
+                <div class="branches">${branches}
+                </div>
+            `;
+    }
+
+    escapeHtml(text) {
+        return String(text)
             .replace(/&/g, '&amp;')  // Replace & first to avoid double-escaping
             .replace(/</g, '&lt;')
             .replace(/>/g, '&gt;')
             .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;')
-            .trim();
+            .replace(/'/g, '&#39;');
     }
 
-    function findMessages() {
-        const selectors = [
-            'div[data-message-author-role]',
-            'article[data-testid*="conversation-turn"]',
-            'div[data-testid="conversation-turn"]',
-            '.group\\/conversation-turn',
-            'div[class*="group"]:not([class*="group"] [class*="group"])'
-        ];
+    renderBlocks(blocks) {
+        return blocks.map(block => this.renderBlock(block)).join('\n');
+    }
 
-        let messages = [];
-        for (const selector of selectors) {
-            messages = document.querySelectorAll(selector);
-            if (messages.length > 0) {
-                console.log(`PDF: Using selector: ${selector}, found ${messages.length} messages`);
-                break;
-            }
-        }
+    renderBlock(block) {
+        switch (block.type) {
+            case 'paragraph':
+                return `<p>${this.renderInline(block.children)}</p>`;
+
+            case 'heading':
+                return `<h${block.level}${block.id ? ` id="${this.escapeHtml(block.id)}"` : ''}>${this.renderInline(block.children)}</h${block.level}>`;
+
+            case 'list':
+                return this.renderList(block);
 
-        if (messages.length === 0) {
-            const conversationContainer = document.querySelector('[role="main"], main, .conversation, [class*="conversation"]');
-            if (conversationContainer) {
-                messages = conversationContainer.querySelectorAll(':scope > div, :scope > article');
-                console.log(`PDF: Fallback: found ${messages.length} potential messages`);
+            case 'table':
+                return this.renderTable(block);
+
+            case 'code': {
+                const langClass = block.language ? ` class="language-${this.escapeHtml(block.language)}"` : '';
+                return `<pre><code${langClass}>${this.escapeHtml(block.text)}</code></pre>`;
             }
+
+            case 'image':
+                return `<p>${this.renderImage(block)}</p>`;
+
+            case 'math':
+                return `<div class="math-display">${this.renderMath(block)}</div>`;
+
+            case 'blockquote':
+                return `<blockquote>${this.renderBlocks(block.blocks)}</blockquote>`;
+
+            case 'rule':
+                return '<hr>';
+
+            case 'canvas':
+                return '<p>[Canvas Image]</p>';
+
+            case 'attachments':
+                return this.renderAttachments(block);
+
+            case 'codeRun':
+                return this.renderCodeRun(block);
+
+            case 'reasoning':
+                return `<details class="reasoning"><summary>${this.escapeHtml(block.label)}</summary>${this.renderBlocks(block.blocks)}</details>`;
+
+            case 'canvasDocument':
+                return this.renderCanvasDocument(block);
+
+            case 'figure':
+                return this.renderFigure(block);
+
+            default:
+                return '';
         }
+    }
 
-        const validMessages = Array.from(messages).filter(msg => {
-            const text = msg.textContent.trim();
-            return text.length >= 30 && text.length <= 100000;
-        });
+    renderInline(nodes) {
+        return nodes.map(node => this.renderInlineNode(node)).join('');
+    }
 
-        const consolidatedMessages = [];
-        const usedElements = new Set();
+    renderInlineNode(node) {
+        switch (node.type) {
+            case 'text':
+                return this.escapeHtml(node.value);
 
-        validMessages.forEach(msg => {
-            if (usedElements.has(msg)) return;
-            
-            const isNested = validMessages.some(other => 
-                other !== msg && other.contains(msg) && !usedElements.has(other)
-            );
-            
-            if (!isNested) {
-                consolidatedMessages.push(msg);
-                usedElements.add(msg);
-            }
-        });
+            case 'strong':
+                return `<strong>${this.renderInline(node.children)}</strong>`;
+
+            case 'emphasis':
+                return `<em>${this.renderInline(node.children)}</em>`;
+
+            case 'inlineCode':
+                return `<code>${this.escapeHtml(node.value)}</code>`;
+
+            case 'break':
+                return '<br>';
+
+            case 'link':
+                return `<a href="${this.escapeHtml(node.href)}">${this.renderInline(node.children) || this.escapeHtml(node.href)}</a>`;
+
+            case 'image':
+                return this.renderImage(node);
+
+            case 'math':
+                return `<span class="${node.display ? 'math-display' : 'math-inline'}">${this.renderMath(node)}</span>`;
 
-        return consolidatedMessages;
+            case 'citation':
+                return this.renderCitation(node);
+
+            default:
+                return '';
+        }
     }
 
-    function identifySender(messageElement, index) {
-        const authorRole = messageElement.getAttribute('data-message-author-role');
-        if (authorRole) {
-            return authorRole === 'user' ? 'You' : 'ChatGPT';
+    /**
+     * Superscript number linking to the source in the turn's Sources list; a source cited again keeps its number
+     */
+    renderCitation(citation) {
+        if (!citation.href) {
+            return '';
+        }
+        if (!this.turnSources) {
+            return `<a class="citation" href="${this.escapeHtml(citation.href)}">${this.escapeHtml(citation.label || citation.href)}</a>`;
         }
 
-        const avatars = messageElement.querySelectorAll('img');
-        for (const avatar of avatars) {
-            const alt = avatar.alt?.toLowerCase() || '';
-            if (alt.includes('user')) return 'You';
-            if (alt.includes('chatgpt') || alt.includes('assistant')) return 'ChatGPT';
+        let source = this.turnSources.find(known => known.href === citation.href);
+        if (!source) {
+            source = { number: ++this.footnoteCount, href: citation.href, title: citation.title || citation.label };
+            this.turnSources.push(source);
         }
+        return `<sup class="citation"><a href="#source-${source.number}" title="${this.escapeHtml(source.title || citation.href)}">[${source.number}]</a></sup>`;
+    }
 
-        return index % 2 === 0 ? 'You' : 'ChatGPT';
+    /**
+     * MathML copied from the page renders natively in current browsers and prints to PDF;
+     * math without it (e.g. from conversations.json) keeps its TeX source between \( \) or \[ \]
+     */
+    renderMath(math) {
+        if (math.mathml) {
+            return math.mathml;
+        }
+        return math.display
+            ? `<code class="math-tex">\\[${this.escapeHtml(math.tex)}\\]</code>`
+            : `<code class="math-tex">\\(${this.escapeHtml(math.tex)}\\)</code>`;
     }
 
-    function processMessageContent(element) {
-        const clone = element.cloneNode(true);
-        
-        // Remove UI elements
-        clone.querySelectorAll('button, svg, [class*="copy"], [class*="edit"]').forEach(el => el.remove());
-        
-        // Process code blocks
-        clone.querySelectorAll('pre').forEach(pre => {
-            const code = pre.innerText.trim();
-            const codeBlock = document.createElement('div');
-            codeBlock.className = 'code-block';
-            codeBlock.textContent = code;
-            pre.parentNode.replaceChild(codeBlock, pre);
-        });
-        
-        // Replace images
-        clone.querySelectorAll('img, canvas').forEach(el => {
-            const placeholder = document.createTextNode('[Image]');
-            el.parentNode.replaceChild(placeholder, el);
-        });
-        
-        return clone.innerText.trim();
+    renderList(list) {
+        const tag = list.ordered ? 'ol' : 'ul';
+        const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+        const items = list.items.map(item =>
+            `<li>${this.renderInline(item.children)}${this.renderBlocks(item.blocks)}</li>`
+        ).join('');
+        return `<${tag}${start}>${items}</${tag}>`;
     }
 
-    function extractTitle() {
-        const titleSelectors = [
-            'h1:not([class*="hidden"])',
-            '[class*="conversation-title"]',
-            '[data-testid*="conversation-title"]'
-        ];
+    renderTable(table) {
+        const header = table.header.length > 0
+            ? `<thead><tr>${table.header.map(cell => `<th>${this.renderInline(cell)}</th>`).join('')}</tr></thead>`
+            : '';
+        const rows = table.rows.map(row =>
+            `<tr>${row.map(cell => `<td>${this.renderInline(cell)}</td>`).join('')}</tr>`
+        ).join('');
+        return `<table>${header}<tbody>${rows}</tbody></table>`;
+    }
 
-        for (const selector of titleSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                const title = element.textContent.trim();
-                if (!['chatgpt', 'new chat', 'untitled'].includes(title.toLowerCase())) {
-                    return title;
-                }
-            }
+    /**
+     * Files uploaded with the prompt; downloaded ones are embedded as data URLs and save under their own name
+     */
+    renderAttachments(block) {
+        const items = block.files.map(file => {
+            const name = this.escapeHtml(file.name);
+            const href = file.data || file.href;
+            const link = href ? `<a href="${this.escapeHtml(href)}" download="${name}">${name}</a>` : name;
+            const details = [file.mimeType, this.formatSize(file.size)].filter(Boolean).join(', ');
+            return `<li>${link}${details ? ` <span class="file-details">(${this.escapeHtml(details)})</span>` : ''}</li>`;
+        });
+        return `<div class="attachments"><div class="attachments-title">Attachments</div><ul>${items.join('')}</ul></div>`;
+    }
+
+    /**
+     * Code Interpreter run, collapsible like the "Analyzed" block on the page
+     */
+    renderCodeRun(run) {
+        const parts = [`<pre><code class="language-${this.escapeHtml(run.language)}">${this.escapeHtml(run.code)}</code></pre>`];
+        if (run.output) {
+            parts.push(`<div class="code-run-label">Output</div><pre class="code-output">${this.escapeHtml(run.output)}</pre>`);
         }
-        
-        const docTitle = document.title;
-        if (docTitle && !docTitle.toLowerCase().includes('chatgpt')) {
-            return docTitle;
+        run.images.forEach(image => parts.push(`<p>${this.renderImage(image)}</p>`));
+        if (run.files.length > 0) {
+            const links = run.files.map(file => `<li><a href="${this.escapeHtml(file.href)}">${this.escapeHtml(file.name)}</a></li>`);
+            parts.push(`<div class="code-run-label">Files</div><ul>${links.join('')}</ul>`);
         }
-        
-        return 'ChatGPT Conversation';
+        return `<details class="code-run" open><summary>Analysis</summary>${parts.join('')}</details>`;
     }
 
-    function exportToPDF() {
-        const messages = findMessages();
-        
-        if (messages.length === 0) {
-            alert('No messages found. The page structure may have changed.');
-            return;
+    /**
+     * Generated image captioned with its prompt and what is known of the generation
+     */
+    renderFigure(figure) {
+        const details = this.generationDetails(figure.generation);
+        const caption = [
+            figure.caption ? this.escapeHtml(figure.caption) : '',
+            details ? `<span class="generation-details">${this.escapeHtml(details)}</span>` : ''
+        ].join('');
+        return `<figure class="generated-image">${this.renderImage(figure.image)}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    }
+
+    generationDetails(generation) {
+        return [
+            generation.size && `Size: ${generation.size}`,
+            generation.seed !== null && `Seed: ${generation.seed}`,
+            generation.genId && `Generation ID: ${generation.genId}`
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Canvas document in full, in its latest version, with its earlier versions collapsed below it
+     */
+    renderCanvasDocument(document) {
+        const versions = document.versions.map((version, index) =>
+            `<details class="canvas-version"><summary>Version ${index + 1}</summary>${this.renderCanvasContent({ ...document, ...version })}</details>`);
+        return `<details class="canvas" open><summary>Canvas: ${this.escapeHtml(document.title)}</summary>` +
+            `${this.renderCanvasContent(document)}${versions.join('')}</details>`;
+    }
+
+    renderCanvasContent(content) {
+        if (content.code === null) {
+            return this.renderBlocks(content.blocks);
+        }
+        const language = content.language ? ` class="language-${this.escapeHtml(content.language)}"` : '';
+        return `<pre><code${language}>${this.escapeHtml(content.code)}</code></pre>`;
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
         }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    renderImage(image) {
+        const alt = (image.alt && !image.alt.startsWith('http')) ? image.alt : 'Image';
+        return `<img src="${this.escapeHtml(image.data || image.src)}" alt="${this.escapeHtml(alt)}">`;
+    }
+}
 
-        console.log(`PDF: Processing ${messages.length} messages...`);
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlRenderer;
+}
 
-        const title = extractTitle();
-        const date = formatDate();
-        const url = window.location.href;
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.HtmlRenderer = HtmlRenderer;
+}
 
-        // Create HTML content optimized for PDF printing
-        let htmlContent = `<!DOCTYPE html>
+// ---- renderers/pdf-renderer.js ----
+
+/**
+ * PDF Renderer
+ * Renders the conversation tree as print-optimized HTML that the browser saves as PDF
+ * (works without external libraries, bypassing CSP restrictions).
+ * Message content uses the same block markup as HtmlRenderer.
+ */
+
+class PdfRenderer extends HtmlRenderer {
+    /**
+     * Render a conversation tree (see ConversationBuilder) into a print-ready HTML document
+     */
+    renderConversation(conversation) {
+        this.footnoteCount = 0;
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const title = this.escapeHtml(conversation.title);
+        const url = this.escapeHtml(conversation.url);
+
+        const conversationHTML = this.renderTurns(conversation.turns);
+
+        return `<!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
-    <title>${cleanText(title)}</title>
+    <title>${title}</title>
     <style>
         @media print {
             body { margin: 0; }
@@ -215,20 +4911,135 @@
         
         .sender {
             font-weight: bold;
-            color: #2c3e50;
-            margin-bottom: 10px;
-            font-size: 14px;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
+            color: #2c3e50;
+            margin-bottom: 10px;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+        
+        .content {
+            color: #333;
+            word-wrap: break-word;
+        }
+        
+        .content img {
+            max-width: 100%;
+            height: auto;
+        }
+        
+        .content .attachments {
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 5px 10px;
+            margin-bottom: 10px;
+        }
+        
+        .content .attachments-title {
+            font-weight: bold;
+        }
+        
+        .content .file-details {
+            color: #666;
+        }
+        
+        .content sup.citation a {
+            text-decoration: none;
+        }
+        
+        .content .sources {
+            border-top: 1px solid #ddd;
+            margin-top: 10px;
+            font-size: 10pt;
+        }
+        
+        .content .sources-label {
+            font-weight: bold;
+        }
+        
+        .content .sources a::after {
+            content: " " attr(href);
+            color: #666;
+            word-break: break-all;
+        }
+        
+        .content .reasoning {
+            border-left: 3px solid #ddd;
+            padding-left: 10px;
+            color: #555;
+        }
+        
+        .content .reasoning summary {
+            font-style: italic;
+        }
+        
+        .content .generated-image {
+            margin: 10px 0;
+            break-inside: avoid;
+        }
+        
+        .content .generated-image figcaption {
+            font-style: italic;
+            color: #555;
+        }
+        
+        .content .generation-details {
+            display: block;
+            font-style: normal;
+            font-size: 9pt;
+            color: #888;
+        }
+        
+        .content .canvas {
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 5px 10px;
+            margin: 10px 0;
+        }
+        
+        .content .canvas summary {
+            font-weight: bold;
+        }
+        
+        .content .canvas-version summary {
+            font-weight: normal;
+            color: #666;
+        }
+        
+        .content .code-run {
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 5px 10px;
+            margin: 10px 0;
+        }
+        
+        .content .code-run summary {
+            color: #666;
+        }
+        
+        .content .code-run-label {
+            font-weight: bold;
         }
         
-        .content {
+        .content .code-output {
+            background: #f8f8f8;
             color: #333;
-            white-space: pre-wrap;
-            word-wrap: break-word;
+            border: 1px solid #ddd;
         }
         
-        .code-block {
+        .content table {
+            border-collapse: collapse;
+            margin: 10px 0;
+        }
+        
+        .content th, .content td {
+            border: 1px solid #ccc;
+            padding: 6px 10px;
+            text-align: left;
+        }
+        
+        .content pre {
+            white-space: pre-wrap;
             background: #282c34;
             color: #abb2bf;
             padding: 15px;
@@ -239,6 +5050,25 @@
             margin: 10px 0;
         }
         
+        .content .math-display {
+            display: block;
+            margin: 10px 0;
+            page-break-inside: avoid;
+        }
+        
+        .branch {
+            border-left: 3px solid #3498db;
+            padding-left: 15px;
+            margin: 25px 0;
+        }
+        
+        .branch-label {
+            font-weight: bold;
+            color: #3498db;
+            font-size: 14px;
+            page-break-after: avoid;
+        }
+        
         .instructions {
             background: #fff3cd;
             border: 2px solid #ffc107;
@@ -273,119 +5103,932 @@
         <p><em>This instruction box will not appear in the PDF.</em></p>
     </div>
 
-    <h1>${cleanText(title)}</h1>
+    <h1>${title}</h1>
     
     <div class="metadata">
         <p><strong>Date:</strong> ${date}</p>
         <p><strong>Source:</strong> <a href="${url}">${url}</a></p>
-        <p><strong>Messages:</strong> ${messages.length}</p>
+        <p><strong>Messages:</strong> ${this.countTurns(conversation.turns)}</p>
     </div>
     
-    <div class="conversation">`;
+    <div class="conversation">${conversationHTML}
+    </div>
+</body>
+</html>`;
+    }
 
-        // Process messages
-        const seenContent = new Set();
-        let processedCount = 0;
+    renderTurn(turn) {
+        const senderClass = turn.role === 'user' ? 'user' : 'assistant';
+        const label = turn.replyLabel ? ` (${this.escapeHtml(turn.replyLabel)})` : '';
 
-        messages.forEach((messageElement, index) => {
-            const sender = identifySender(messageElement, index);
-            const content = processMessageContent(messageElement);
-            
-            if (!content || content.length < 10) return;
-            
-            const contentHash = content.substring(0, 100).replace(/\s+/g, ' ');
-            if (seenContent.has(contentHash)) return;
-            seenContent.add(contentHash);
-            
-            const senderClass = sender.toLowerCase() === 'you' ? 'user' : 'assistant';
-            
-            htmlContent += `
+        return `
         <div class="message ${senderClass}">
-            <div class="sender">${cleanText(sender)}</div>
-            <div class="content">${cleanText(content).replace(/\[CODE\]([\s\S]*?)\[\/CODE\]/g, '<pre class="code-block">$1</pre>')}</div>
+            <div class="sender">${this.escapeHtml(turn.sender)}${label}</div>
+            <div class="content">${this.renderTurnBlocks(turn)}</div>
         </div>`;
-            
-            processedCount++;
+    }
+
+    /**
+     * Paper can't collapse, so every branch is printed in full under its label
+     */
+    renderFork(fork) {
+        return fork.branches.map(branch => `
+        <div class="branch">
+            <div class="branch-label">Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}</div>${this.renderTurns(branch.turns)}
+        </div>`).join('');
+    }
+
+    countTurns(turns) {
+        return turns.reduce((count, turn) => count + (turn.type === 'fork'
+            ? turn.branches.reduce((sum, branch) => sum + this.countTurns(branch.turns), 0)
+            : 1), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.PdfRenderer = PdfRenderer;
+}
+
+// ---- renderers/pdf-document-renderer.js ----
+
+/**
+ * PDF Document Renderer
+ * Lays out the conversation tree as a real PDF with PdfWriter: wrapped text, page breaks,
+ * a running header with the conversation title and "Page n of N" footers.
+ */
+
+const PDF_PAGE_SIZES = {
+    letter: [612, 792],
+    a4: [595.28, 841.89]
+};
+
+const PDF_MARGIN = 54;
+const PDF_BODY_SIZE = 10.5;
+const PDF_CODE_SIZE = 8.5;
+const PDF_LINE_HEIGHT = 1.4;
+const PDF_HEADING_SIZES = [16, 14, 12.5, 11.5, 11, 11];
+
+const PDF_COLORS = {
+    text: '333333',
+    heading: '2C3E50',
+    muted: '666666',
+    link: '1A5FB4',
+    rule: 'DDDDDD',
+    code: 'F4F4F4',
+    quote: 'CCCCCC',
+    user: 'E3F2FD',
+    assistant: 'F3F4F6',
+    branch: '10A37F',
+    tableHeader: 'F0F0F0'
+};
+
+class PdfDocumentRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} options.pageSize - 'letter' (default) or 'a4'
+     */
+    constructor(options = {}) {
+        this.pageSize = PDF_PAGE_SIZES[options.pageSize] || PDF_PAGE_SIZES.letter;
+        this.unsupportedCharacters = [];
+    }
+
+    /**
+     * Render a conversation tree (see ConversationBuilder) into PDF file bytes.
+     * Afterwards `unsupportedCharacters` lists the characters the PDF fonts can't show, printed as "?".
+     * @returns {Uint8Array}
+     */
+    renderConversation(conversation) {
+        const [width, height] = this.pageSize;
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+
+        this.writer = new PdfWriter({ width, height });
+        this.images = new Map();
+        this.top = height - PDF_MARGIN - 8;
+        this.bottom = PDF_MARGIN + 8;
+        this.newPage();
+
+        const context = { x: PDF_MARGIN, width: width - 2 * PDF_MARGIN, bars: [] };
+
+        this.drawLines(this.wrap([{ text: conversation.title, font: 'bold', size: 20, color: PDF_COLORS.heading }], context.width), context);
+        this.gap(4);
+        this.drawLines(this.wrap([
+            { text: 'Date: ', font: 'bold', size: 9.5, color: PDF_COLORS.muted },
+            { text: `${date}    `, size: 9.5, color: PDF_COLORS.muted },
+            { text: 'Source: ', font: 'bold', size: 9.5, color: PDF_COLORS.muted },
+            { text: conversation.url || '', size: 9.5, color: PDF_COLORS.link, link: conversation.url }
+        ], context.width), context);
+        this.gap(6);
+        this.writer.drawLine(this.page, context.x, this.y, context.x + context.width, this.y, { color: PDF_COLORS.rule, lineWidth: 1 });
+        this.gap(12);
+
+        this.renderTurns(conversation.turns, context);
+        this.drawHeadersAndFooters(conversation.title, date);
+        this.unsupportedCharacters = [...this.writer.unsupportedCharacters];
+
+        return this.writer.generate({ title: conversation.title, subject: conversation.url });
+    }
+
+    /**
+     * Render a turn list, including a trailing fork when every branch is exported
+     */
+    renderTurns(turns, context) {
+        turns.forEach(turn => turn.type === 'fork' ? this.renderFork(turn, context) : this.renderTurn(turn, context));
+    }
+
+    /**
+     * A shaded sender bar, kept on the same page as the start of the message
+     */
+    renderTurn(turn, context) {
+        const barHeight = 20;
+        this.ensureSpace(barHeight + 3 * PDF_BODY_SIZE * PDF_LINE_HEIGHT);
+
+        const fill = turn.role === 'user' ? PDF_COLORS.user : PDF_COLORS.assistant;
+        this.writer.drawRect(this.page, context.x, this.y - barHeight, context.width, barHeight, { fill });
+        const sender = turn.sender.toUpperCase();
+        this.writer.drawText(this.page, sender, context.x + 8, this.y - 13.5, { font: 'bold', size: 9.5, color: PDF_COLORS.heading });
+        if (turn.replyLabel) {
+            const x = context.x + 8 + this.writer.textWidth(sender, 'bold', 9.5);
+            this.writer.drawText(this.page, ` (${turn.replyLabel})`, x, this.y - 13.5, { size: 9.5, color: PDF_COLORS.muted });
+        }
+        this.advance(barHeight + 6, context);
+
+        this.renderBlocks(turn.blocks, { ...context, x: context.x + 8, width: context.width - 16 });
+        this.gap(10);
+    }
+
+    /**
+     * Paper can't collapse, so every branch is printed in full under its label, marked by a colored bar
+     */
+    renderFork(fork, context) {
+        fork.branches.forEach(branch => {
+            const label = `Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}`;
+            this.ensureSpace(40);
+            this.drawLines(this.wrap([{ text: label, font: 'bold', size: 10, color: PDF_COLORS.branch }], context.width), context);
+            this.gap(4);
+            this.renderTurns(branch.turns, {
+                x: context.x + 10,
+                width: context.width - 10,
+                bars: [...context.bars, { x: context.x + 1.5, color: PDF_COLORS.branch }]
+            });
         });
+    }
 
-        htmlContent += `
-    </div>
-</body>
-</html>`;
+    renderBlocks(blocks, context) {
+        blocks.forEach(block => this.renderBlock(block, context));
+    }
 
-        // Create blob and download
-        const blob = new Blob([htmlContent], { type: 'text/html' });
-        const url2 = URL.createObjectURL(blob);
-        
-        // Create download link
-        const a = document.createElement('a');
-        a.href = url2;
-        const safeTitle = document.title.replace(/[<>:"/\\|?*]/g, '').replace(/\s+/g, ' ').trim();
-        a.download = safeTitle ? `${safeTitle} (${date}) - PrintToPDF.html` : `ChatGPT_Conversation_${date}_PrintToPDF.html`;
-        
-        // Auto-download
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url2);
-
-        console.log(`PDF: Export completed - ${processedCount} messages processed`);
-        console.log('PDF: The HTML file has been downloaded. Open it and press Ctrl+P (Cmd+P on Mac) to save as PDF.');
-        
-        // Show instructions
-        alert(`✅ Export Complete!\n\n${processedCount} messages exported.\n\nTo create PDF:\n1. Open the downloaded HTML file\n2. Press Ctrl+P (Cmd+P on Mac)\n3. Choose "Save as PDF"\n4. Click Save\n\nThe yellow instruction box will not appear in the PDF.`);
-    }
-
-    // Add export button to the page
-    function addExportButton() {
-        // Check if button already exists
-        if (document.querySelector('#chatgpt-export-pdf-btn')) return;
-
-        const button = document.createElement('button');
-        button.id = 'chatgpt-export-pdf-btn';
-        button.textContent = 'Export as PDF';
-        button.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 180px;
-            padding: 10px 20px;
-            background-color: #3498db;
-            color: white;
-            border: none;
-            border-radius: 5px;
-            cursor: pointer;
-            z-index: 10000;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 14px;
-            font-weight: 500;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-        `;
-        
-        button.addEventListener('click', exportToPDF);
-        button.addEventListener('mouseenter', () => {
-            button.style.backgroundColor = '#2c7fb8';
+    renderBlock(block, context) {
+        switch (block.type) {
+            case 'paragraph':
+                this.renderParagraph(block.children, context);
+                break;
+
+            case 'heading': {
+                const size = PDF_HEADING_SIZES[block.level - 1] || PDF_BODY_SIZE;
+                this.gap(4);
+                this.ensureSpace(size * PDF_LINE_HEIGHT + PDF_BODY_SIZE * PDF_LINE_HEIGHT);
+                this.drawLines(this.wrap(this.inlineRuns(block.children, { font: 'bold', size, color: PDF_COLORS.heading }), context.width), context);
+                this.gap(4);
+                break;
+            }
+
+            case 'list':
+                this.renderList(block, context);
+                break;
+
+            case 'table':
+                this.renderTable(block, context);
+                break;
+
+            case 'code':
+                this.renderCode(block, context);
+                break;
+
+            case 'image':
+                this.renderImage(block, context);
+                break;
+
+            case 'math':
+                this.drawLines(this.wrap([{ text: block.tex, font: 'italic' }], context.width), context, { align: 'center' });
+                this.gap(6);
+                break;
+
+            case 'blockquote':
+                this.renderBlocks(block.blocks, {
+                    x: context.x + 12,
+                    width: context.width - 12,
+                    bars: [...context.bars, { x: context.x + 2, color: PDF_COLORS.quote }]
+                });
+                break;
+
+            case 'rule':
+                this.gap(4);
+                this.ensureSpace(8);
+                this.writer.drawLine(this.page, context.x, this.y - 4, context.x + context.width, this.y - 4, { color: PDF_COLORS.rule });
+                this.advance(12, context);
+                break;
+
+            case 'canvas':
+                this.drawLines(this.wrap([{ text: '[Canvas Image]', font: 'italic', color: PDF_COLORS.muted }], context.width), context);
+                this.gap(6);
+                break;
+
+            case 'attachments':
+                this.renderBlocks(this.attachmentBlocks(block), context);
+                break;
+
+            case 'codeRun':
+                this.renderBlocks(this.codeRunBlocks(block), context);
+                break;
+
+            case 'reasoning':
+                this.renderBlock(this.reasoningQuote(block), context);
+                break;
+
+            case 'canvasDocument':
+                this.renderBlocks(this.canvasBlocks(block), context);
+                break;
+
+            case 'figure':
+                this.renderBlocks(this.figureBlocks(block), context);
+                break;
+        }
+    }
+
+    /**
+     * The attachments block as a bold "Attachments" paragraph and a list of file names with their type and size
+     */
+    attachmentBlocks(block) {
+        const describe = file => {
+            const details = [file.mimeType, this.formatSize(file.size)].filter(Boolean).join(', ');
+            return details ? `${file.name} (${details})` : file.name;
+        };
+        return [
+            { type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: 'Attachments' }] }] },
+            {
+                type: 'list',
+                ordered: false,
+                start: 1,
+                items: block.files.map(file => ({ type: 'listItem', children: [{ type: 'text', value: describe(file) }], blocks: [] }))
+            }
+        ];
+    }
+
+    /**
+     * A thinking summary as a blockquote starting with its italic "Thought for N seconds" label
+     */
+    reasoningQuote(reasoning) {
+        const label = { type: 'paragraph', children: [{ type: 'emphasis', children: [{ type: 'text', value: reasoning.label }] }] };
+        return { type: 'blockquote', blocks: [label, ...reasoning.blocks] };
+    }
+
+    /**
+     * A Canvas document as plain blocks: a bold "Canvas: {title}" label and its latest version,
+     * then each earlier version under a "Version N" label
+     */
+    canvasBlocks(document) {
+        const label = text => ({ type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: text }] }] });
+        const content = version => version.code !== null ? [{ type: 'code', language: document.language || '', text: version.code.replace(/\n$/, '') }] : version.blocks;
+        return [
+            label(`Canvas: ${document.title}`),
+            ...content(document),
+            ...document.versions.flatMap((version, index) => [label(`Version ${index + 1}`), ...content(version)])
+        ];
+    }
+
+    /**
+     * A generated image as plain blocks: the image, its prompt in italics and the generation details
+     */
+    figureBlocks(figure) {
+        const details = [
+            figure.generation.size && `Size: ${figure.generation.size}`,
+            figure.generation.seed !== null && `Seed: ${figure.generation.seed}`,
+            figure.generation.genId && `Generation ID: ${figure.generation.genId}`
+        ].filter(Boolean).join(' · ');
+        return [
+            figure.image,
+            ...(figure.caption ? [{ type: 'paragraph', children: [{ type: 'emphasis', children: [{ type: 'text', value: figure.caption }] }] }] : []),
+            ...(details ? [{ type: 'paragraph', children: [{ type: 'text', value: details }] }] : [])
+        ];
+    }
+
+    /**
+     * A Code Interpreter run as plain blocks: the code, an "Output" label and block, the charts and a list of the files
+     */
+    codeRunBlocks(run) {
+        const label = text => ({ type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: text }] }] });
+        return [
+            { type: 'code', language: run.language, text: run.code },
+            ...(run.output ? [label('Output'), { type: 'code', language: '', text: run.output }] : []),
+            ...run.images,
+            ...(run.files.length > 0 ? [label('Files'), {
+                type: 'list',
+                ordered: false,
+                start: 1,
+                items: run.files.map(file => ({
+                    type: 'listItem',
+                    children: [{ type: 'link', href: file.href, children: [{ type: 'text', value: file.name }] }],
+                    blocks: []
+                }))
+            }] : [])
+        ];
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Images inside a paragraph are placed as blocks between the text around them
+     */
+    renderParagraph(children, context) {
+        let pending = [];
+        const flush = () => {
+            if (pending.length > 0) {
+                this.drawLines(this.wrap(this.inlineRuns(pending), context.width), context);
+                pending = [];
+            }
+        };
+
+        children.forEach(node => {
+            if (node.type === 'image') {
+                flush();
+                this.renderImage(node, context);
+            } else {
+                pending.push(node);
+            }
+        });
+        flush();
+        this.gap(6, context);
+    }
+
+    renderList(list, context) {
+        list.items.forEach((item, i) => {
+            const marker = list.ordered ? `${list.start + i}.` : '•';
+            const indent = Math.max(14, this.writer.textWidth(marker, 'regular', PDF_BODY_SIZE) + 6);
+            const itemContext = { ...context, x: context.x + indent, width: context.width - indent };
+
+            this.drawLines(this.wrap(this.inlineRuns(item.children), itemContext.width), itemContext, { marker: { text: marker, x: context.x } });
+            item.blocks.forEach(block => this.renderBlock(block, itemContext));
         });
-        button.addEventListener('mouseleave', () => {
-            button.style.backgroundColor = '#3498db';
+        this.gap(4);
+    }
+
+    /**
+     * Monospace lines on a shaded background, drawn line by line so long blocks can break across pages
+     */
+    renderCode(block, context) {
+        const lineHeight = PDF_CODE_SIZE * 1.3;
+        const padding = 5;
+        const maxChars = Math.max(10, Math.floor((context.width - 2 * padding) / (PDF_CODE_SIZE * 0.6)));
+        const lines = [];
+        block.text.replace(/\n$/, '').replace(/\t/g, '    ').split('\n').forEach(line => {
+            for (let start = 0; start === 0 || start < line.length; start += maxChars) {
+                lines.push(line.slice(start, start + maxChars));
+            }
         });
-        
-        document.body.appendChild(button);
+
+        if (block.language) {
+            this.ensureSpace(12 + 2 * lineHeight);
+            this.drawLines(this.wrap([{ text: block.language, size: 8, color: PDF_COLORS.muted }], context.width), context);
+        }
+
+        const band = height => {
+            this.writer.drawRect(this.page, context.x, this.y - height, context.width, height, { fill: PDF_COLORS.code });
+            this.advance(height, context);
+        };
+
+        this.ensureSpace(padding + lineHeight);
+        band(padding);
+        lines.forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.writer.drawRect(this.page, context.x, this.y - lineHeight, context.width, lineHeight, { fill: PDF_COLORS.code });
+            this.writer.drawText(this.page, line, context.x + padding, this.y - PDF_CODE_SIZE, { font: 'mono', size: PDF_CODE_SIZE, color: PDF_COLORS.text });
+            this.advance(lineHeight, context);
+        });
+        this.ensureSpace(padding);
+        band(padding);
+        this.gap(8);
+    }
+
+    /**
+     * Cells are laid out line by line, so tall rows split across pages; the header row repeats on each new page
+     */
+    renderTable(table, context) {
+        const columnCount = Math.max(table.header.length, ...table.rows.map(row => row.length), 1);
+        const size = PDF_BODY_SIZE - 1;
+        const lineHeight = size * PDF_LINE_HEIGHT;
+        const padding = 4;
+
+        const naturalWidths = Array(columnCount).fill(30);
+        [table.header, ...table.rows].forEach(row => row.forEach((cell, i) => {
+            const runs = this.inlineRuns(cell, { size });
+            const width = runs.reduce((sum, run) => sum + this.writer.textWidth(run.text || '', run.font, run.size), 0);
+            naturalWidths[i] = Math.max(naturalWidths[i], Math.min(width, context.width) + 2 * padding);
+        }));
+        const widths = this.columnWidths(naturalWidths, context.width);
+        const tableWidth = widths.reduce((sum, width) => sum + width, 0);
+
+        const layoutRow = (cells, header) => {
+            const columns = widths.map((width, i) => this.wrap(this.inlineRuns(cells[i] || [], { size, font: header ? 'bold' : 'regular' }), width - 2 * padding));
+            return { header, columns, lineCount: Math.max(1, ...columns.map(lines => lines.length)) };
+        };
+
+        const drawRow = (row, isRepeat) => {
+            const drawSlice = (height, index) => {
+                let x = context.x;
+                if (row.header) {
+                    this.writer.drawRect(this.page, x, this.y - height, tableWidth, height, { fill: PDF_COLORS.tableHeader });
+                }
+                widths.forEach((width, i) => {
+                    const line = index === undefined ? null : row.columns[i][index];
+                    if (line) this.drawLine(line, x + padding, this.y - size);
+                    this.writer.drawLine(this.page, x, this.y, x, this.y - height, { color: PDF_COLORS.rule });
+                    x += width;
+                });
+                this.writer.drawLine(this.page, x, this.y, x, this.y - height, { color: PDF_COLORS.rule });
+                this.advance(height, context);
+            };
+            const breakPage = height => {
+                if (this.y - height < this.bottom) {
+                    this.newPage();
+                    if (header && !row.header && !isRepeat) drawRow(header, true);
+                    this.writer.drawLine(this.page, context.x, this.y, context.x + tableWidth, this.y, { color: PDF_COLORS.rule });
+                }
+            };
+
+            breakPage(padding + lineHeight);
+            this.writer.drawLine(this.page, context.x, this.y, context.x + tableWidth, this.y, { color: PDF_COLORS.rule });
+            drawSlice(padding);
+            for (let i = 0; i < row.lineCount; i++) {
+                breakPage(lineHeight);
+                drawSlice(lineHeight, i);
+            }
+            breakPage(padding);
+            drawSlice(padding);
+            this.writer.drawLine(this.page, context.x, this.y, context.x + tableWidth, this.y, { color: PDF_COLORS.rule });
+        };
+
+        const header = table.header.length > 0 ? layoutRow(table.header, true) : null;
+        if (header) drawRow(header, false);
+        table.rows.forEach(cells => drawRow(layoutRow(cells, false), false));
+        this.gap(8);
+    }
+
+    /**
+     * Columns narrower than an even share keep their natural width; the rest share the remaining space
+     */
+    columnWidths(naturalWidths, available) {
+        const widths = [...naturalWidths];
+        let flexible = widths.map((width, i) => i);
+        let remaining = available;
+
+        while (flexible.length > 0) {
+            const share = remaining / flexible.length;
+            const narrow = flexible.filter(i => naturalWidths[i] <= share);
+            if (narrow.length === 0) {
+                flexible.forEach(i => { widths[i] = share; });
+                break;
+            }
+            narrow.forEach(i => { remaining -= naturalWidths[i]; });
+            flexible = flexible.filter(i => !narrow.includes(i));
+        }
+        return widths;
+    }
+
+    /**
+     * Embedded images are scaled to the text width (and page height); ones that can't be embedded become a link
+     */
+    renderImage(image, context) {
+        const alt = (image.alt && !image.alt.startsWith('http')) ? image.alt : 'Image';
+        const embedded = this.addImage(image.data);
+        if (!embedded) {
+            this.drawLines(this.wrap([{ text: `[${alt}]`, font: 'italic', color: image.src ? PDF_COLORS.link : PDF_COLORS.muted, link: image.src }], context.width), context);
+            this.gap(6);
+            return;
+        }
+
+        // Pixels at 96 dpi
+        const scale = Math.min(0.75, context.width / embedded.width, (this.top - this.bottom) / embedded.height);
+        const width = embedded.width * scale;
+        const height = embedded.height * scale;
+        this.ensureSpace(height);
+        this.writer.drawImage(this.page, embedded, context.x, this.y - height, width, height);
+        this.advance(height, context);
+        this.gap(8);
+    }
+
+    addImage(dataUrl) {
+        if (!this.images.has(dataUrl)) {
+            const match = (dataUrl || '').match(/^data:image\/[^;,]+;base64,(.*)$/);
+            let embedded = null;
+            if (match) {
+                const binary = atob(match[1]);
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+                embedded = this.writer.addImage(bytes);
+            }
+            this.images.set(dataUrl, embedded);
+        }
+        return this.images.get(dataUrl);
+    }
+
+    /**
+     * Flatten inline nodes into styled text runs
+     * @param {Object} style - { font, size, color, link } inherited by the runs
+     */
+    inlineRuns(nodes, style = {}, runs = []) {
+        const base = { font: 'regular', size: PDF_BODY_SIZE, color: PDF_COLORS.text, ...style };
+
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    runs.push({ ...base, text: node.value });
+                    break;
+                case 'strong':
+                    this.inlineRuns(node.children, { ...base, font: this.withStyle(base.font, 'bold') }, runs);
+                    break;
+                case 'emphasis':
+                    this.inlineRuns(node.children, { ...base, font: this.withStyle(base.font, 'italic') }, runs);
+                    break;
+                case 'inlineCode':
+                    runs.push({ ...base, text: node.value, font: 'mono', size: base.size - 0.5, preserve: true });
+                    break;
+                case 'break':
+                    runs.push({ ...base, text: '', lineBreak: true });
+                    break;
+                case 'link':
+                    if (node.children.length > 0) {
+                        this.inlineRuns(node.children, { ...base, color: PDF_COLORS.link, link: node.href }, runs);
+                    } else {
+                        runs.push({ ...base, text: node.href, color: PDF_COLORS.link, link: node.href });
+                    }
+                    break;
+                case 'image':
+                    runs.push({ ...base, text: `[${node.alt && !node.alt.startsWith('http') ? node.alt : 'Image'}]`, font: 'italic', link: node.src });
+                    break;
+                case 'math':
+                    runs.push({ ...base, text: node.tex, font: 'italic' });
+                    break;
+                case 'citation':
+                    if (node.href) {
+                        runs.push({ ...base, text: ` [${node.label || node.href}]`, size: base.size - 2, color: PDF_COLORS.link, link: node.href });
+                    }
+                    break;
+            }
+        });
+
+        return runs;
+    }
+
+    withStyle(font, style) {
+        if (font === 'mono') return 'monoBold';
+        if (font === 'regular') return style;
+        return font === style ? font : 'boldItalic';
+    }
+
+    /**
+     * Break runs into lines no wider than maxWidth. Runs default to body text; whitespace collapses
+     * except inside inline code; words longer than a line are split.
+     * @returns {Array<{ fragments: Array<{ text, font, size, color, link, width }>, width, size }>}
+     */
+    wrap(runs, maxWidth) {
+        const lines = [];
+        let line = { fragments: [], width: 0, size: 0 };
+        let space = null;
+
+        const pushLine = () => {
+            lines.push(line);
+            line = { fragments: [], width: 0, size: 0 };
+            space = null;
+        };
+        const append = (text, run) => {
+            const width = this.writer.textWidth(text, run.font, run.size);
+            const last = line.fragments[line.fragments.length - 1];
+            if (last && last.font === run.font && last.size === run.size && last.color === run.color && last.link === run.link) {
+                last.text += text;
+                last.width += width;
+            } else {
+                line.fragments.push({ text, font: run.font, size: run.size, color: run.color, link: run.link, width });
+            }
+            line.width += width;
+            line.size = Math.max(line.size, run.size);
+        };
+
+        runs.forEach(styled => {
+            const run = { font: 'regular', size: PDF_BODY_SIZE, color: PDF_COLORS.text, ...styled };
+            if (run.lineBreak) {
+                line.size = Math.max(line.size, run.size);
+                pushLine();
+                return;
+            }
+
+            (run.text.match(run.preserve ? /\s|\S+/g : /\s+|\S+/g) || []).forEach(token => {
+                if (/^\s/.test(token) && !run.preserve) {
+                    if (line.fragments.length > 0) space = run;
+                    return;
+                }
+
+                const spaceWidth = space ? this.writer.textWidth(' ', space.font, space.size) : 0;
+                let width = this.writer.textWidth(token, run.font, run.size);
+                if (line.fragments.length > 0 && line.width + spaceWidth + width > maxWidth) {
+                    pushLine();
+                } else if (space) {
+                    append(' ', space);
+                }
+                space = null;
+
+                while (width > maxWidth && token.length > 1) {
+                    let end = token.length - 1;
+                    while (end > 1 && this.writer.textWidth(token.slice(0, end), run.font, run.size) > maxWidth - line.width) end--;
+                    append(token.slice(0, end), run);
+                    pushLine();
+                    token = token.slice(end);
+                    width = this.writer.textWidth(token, run.font, run.size);
+                }
+                append(token, run);
+            });
+        });
+
+        if (line.fragments.length > 0 || lines.length === 0) {
+            lines.push(line);
+        }
+        lines.forEach(l => { l.size = l.size || PDF_BODY_SIZE; });
+        return lines;
+    }
+
+    /**
+     * @param {Object} options - { align: 'left'|'center', marker: { text, x } drawn beside the first line }
+     */
+    drawLines(lines, context, options = {}) {
+        lines.forEach((line, i) => {
+            const height = line.size * PDF_LINE_HEIGHT;
+            this.ensureSpace(height);
+            const baseline = this.y - line.size * 1.05;
+            const x = options.align === 'center' ? context.x + (context.width - line.width) / 2 : context.x;
+            if (i === 0 && options.marker) {
+                this.writer.drawText(this.page, options.marker.text, options.marker.x, baseline, { size: line.size, color: PDF_COLORS.text });
+            }
+            this.drawLine(line, x, baseline);
+            this.advance(height, context);
+        });
+    }
+
+    /**
+     * Draw one laid-out line with its baseline at y, adding link areas
+     */
+    drawLine(line, x, y) {
+        line.fragments.forEach(fragment => {
+            this.writer.drawText(this.page, fragment.text, x, y, { font: fragment.font, size: fragment.size, color: fragment.color });
+            if (fragment.link && /^(https?:|mailto:)/i.test(fragment.link)) {
+                this.writer.addLink(this.page, x, y - fragment.size * 0.25, fragment.width, fragment.size * 1.2, fragment.link);
+            }
+            x += fragment.width;
+        });
+    }
+
+    newPage() {
+        this.page = this.writer.addPage();
+        this.y = this.top;
+    }
+
+    /**
+     * Start a new page unless `height` still fits above the bottom margin
+     */
+    ensureSpace(height) {
+        if (this.y - height < this.bottom && this.y < this.top) {
+            this.newPage();
+        }
+    }
+
+    /**
+     * Move down, drawing the quote and branch bars beside the space used
+     */
+    advance(height, context) {
+        context.bars.forEach(bar => {
+            this.writer.drawLine(this.page, bar.x, this.y, bar.x, this.y - height, { color: bar.color, lineWidth: 2 });
+        });
+        this.y -= height;
     }
 
-    // Wait for page to load
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', addExportButton);
-    } else {
-        // Add button after a short delay to ensure page is fully loaded
-        setTimeout(addExportButton, 1000);
+    /**
+     * Vertical space between blocks; never starts a page on its own.
+     * With a context, its quote and branch bars continue through the space.
+     */
+    gap(height, context = { bars: [] }) {
+        this.advance(Math.min(height, this.y - this.bottom), context);
     }
 
-    // Re-add button if navigation changes (for SPAs)
-    const observer = new MutationObserver(() => {
-        if (!document.querySelector('#chatgpt-export-pdf-btn')) {
-            addExportButton();
+    drawHeadersAndFooters(title, date) {
+        const { width, height } = this.writer;
+        const headerSize = 8;
+        const maxTitleWidth = width - 2 * PDF_MARGIN - this.writer.textWidth(date, 'regular', headerSize) - 20;
+        let headerTitle = title;
+        while (headerTitle.length > 1 && this.writer.textWidth(headerTitle, 'regular', headerSize) > maxTitleWidth) {
+            headerTitle = headerTitle.slice(0, -2) + '…';
         }
+
+        this.writer.pages.forEach((page, i) => {
+            const headerY = height - PDF_MARGIN + 14;
+            this.writer.drawText(page, headerTitle, PDF_MARGIN, headerY, { size: headerSize, color: PDF_COLORS.muted });
+            this.writer.drawText(page, date, width - PDF_MARGIN - this.writer.textWidth(date, 'regular', headerSize), headerY, { size: headerSize, color: PDF_COLORS.muted });
+            this.writer.drawLine(page, PDF_MARGIN, headerY - 5, width - PDF_MARGIN, headerY - 5, { color: PDF_COLORS.rule });
+
+            const footer = `Page ${i + 1} of ${this.writer.pages.length}`;
+            this.writer.drawText(page, footer, (width - this.writer.textWidth(footer, 'regular', headerSize)) / 2, PDF_MARGIN - 24, { size: headerSize, color: PDF_COLORS.muted });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfDocumentRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.PdfDocumentRenderer = PdfDocumentRenderer;
+}
+
+// ---- entries/chatgpt-pdf-exporter.user.js ----
+
+const FILENAME_TEMPLATE_KEY = 'filenameTemplate';
+const FILENAME_SLUGIFY_KEY = 'filenameSlugify';
+const FILENAME_MAX_LENGTH_KEY = 'filenameMaxLength';
+
+function getSetting(key, defaultValue) {
+    return typeof GM_getValue === 'function' ? GM_getValue(key, defaultValue) : defaultValue;
+}
+
+/**
+ * File downloader naming exports with the file name template, slug and length settings
+ */
+function createFileDownloader() {
+    return new FileDownloader({
+        template: getSetting(FILENAME_TEMPLATE_KEY, ''),
+        slugify: getSetting(FILENAME_SLUGIFY_KEY, false),
+        maxLength: getSetting(FILENAME_MAX_LENGTH_KEY, 0)
     });
-    
-    observer.observe(document.body, { childList: true, subtree: true });
-})();
\ No newline at end of file
+}
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.chooseFolder - Pick a new export folder first
+ */
+async function exportToPDF(options = {}) {
+    // Before any other await: the folder permission prompt needs the click
+    const folder = options.chooseFolder ? await ExportFolder.pick() : await ExportFolder.open();
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('PDF: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`PDF: Processing ${result.messages.length} messages...`);
+
+    // The PDF writer embeds JPEG; other formats are converted
+    console.log('PDF: Converting images...');
+    const imageEncoder = new ImageEncoder({ mimeType: 'image/jpeg', acceptedTypes: ['image/jpeg'] });
+    const conversation = await new ConversationBuilder({ imageEncoder }).build(result);
+    const renderer = new PdfDocumentRenderer();
+    const pdf = renderer.renderConversation(conversation);
+
+    // The PDF fonts only cover Western European text: rather than print "?", let the browser make the PDF
+    if (renderer.unsupportedCharacters.length > 0) {
+        const html = new PdfRenderer().renderConversation(conversation);
+        const filename = createFileDownloader().buildFilename(conversation, 'html', ' - PrintToPDF');
+        await ExportFolder.save(folder, { conversation, content: html, filename, mimeType: 'text/html' });
+        console.log(`PDF: Characters the PDF fonts can't show (${renderer.unsupportedCharacters.slice(0, 10).join(' ')}), exported print-ready HTML instead`);
+        alert('This conversation has characters the PDF fonts can\'t show (non-Latin scripts, symbols or emoji), ' +
+            'so it was saved as print-ready HTML instead. Open the file and press Ctrl+P (Cmd+P on Mac), then choose "Save as PDF".');
+        return;
+    }
+
+    await ExportFolder.save(folder, { conversation, content: pdf, filename: createFileDownloader().buildFilename(conversation, 'pdf'), mimeType: 'application/pdf' });
+
+    console.log(`PDF: Export completed - ${result.messages.length} messages processed`);
+}
+
+// Add export button to the page
+function addExportButton() {
+    // Check if button already exists
+    if (document.querySelector('#chatgpt-export-pdf-btn')) return;
+
+    const button = document.createElement('button');
+    button.id = 'chatgpt-export-pdf-btn';
+    button.textContent = 'Export as PDF';
+    button.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 180px;
+        padding: 10px 20px;
+        background-color: #3498db;
+        color: white;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        font-weight: 500;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    `;
+
+    if (ExportFolder.isSupported()) {
+        button.title = 'Alt+click to choose a folder to save exports to';
+    }
+    button.addEventListener('click', event => exportToPDF({ chooseFolder: event.altKey }));
+    button.addEventListener('mouseenter', () => {
+        button.style.backgroundColor = '#2c7fb8';
+    });
+    button.addEventListener('mouseleave', () => {
+        button.style.backgroundColor = '#3498db';
+    });
+
+    document.body.appendChild(button);
+}
+
+if (typeof GM_registerMenuCommand === 'function') {
+    GM_registerMenuCommand('Set file name template...', () => {
+        const answer = prompt(
+            'File name template. Tokens: {title}, {date}, {time}, {id}, {model}, {platform}, {count} (messages), {ext}.\n' +
+            'Leave empty for the default, "{title} ({date}).{ext}".',
+            GM_getValue(FILENAME_TEMPLATE_KEY, '')
+        );
+        if (answer === null) {
+            return;
+        }
+        GM_setValue(FILENAME_TEMPLATE_KEY, answer.trim());
+        alert(answer.trim()
+            ? `PDFs are now named after the template "${answer.trim()}".`
+            : 'PDFs are now named "{title} ({date}).pdf" again.');
+    });
+    GM_registerMenuCommand('Switch file name slugs on/off', () => {
+        const slugify = !GM_getValue(FILENAME_SLUGIFY_KEY, false);
+        GM_setValue(FILENAME_SLUGIFY_KEY, slugify);
+        alert(slugify
+            ? 'File names now use lowercase words joined by hyphens, e.g. "my-chat-title".'
+            : 'File names now keep titles as they are.');
+    });
+    GM_registerMenuCommand('Set file name length limit...', () => {
+        const answer = prompt(
+            'Longest file name, extension included (0 for no limit). Long titles are shortened to fit:',
+            String(GM_getValue(FILENAME_MAX_LENGTH_KEY, 0))
+        );
+        if (answer === null) {
+            return;
+        }
+        const maxLength = Math.max(0, parseInt(answer, 10) || 0);
+        GM_setValue(FILENAME_MAX_LENGTH_KEY, maxLength);
+        alert(maxLength
+            ? `File names are now at most ${maxLength} characters long.`
+            : 'File names are no longer shortened.');
+    });
+}
+
+if (typeof GM_registerMenuCommand === 'function' && ExportFolder.isSupported()) {
+    GM_registerMenuCommand('Download exports instead of saving them to a folder', async () => {
+        await ExportFolder.forget();
+        alert('Exports will be downloaded again. Alt+click "Export as PDF" to choose a folder.');
+    });
+}
+
+// Wait for page to load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', addExportButton);
+} else {
+    // Add button after a short delay to ensure page is fully loaded
+    setTimeout(addExportButton, 1000);
+}
+
+// Re-add button if navigation changes (for SPAs)
+const observer = new MutationObserver(() => {
+    if (!document.querySelector('#chatgpt-export-pdf-btn')) {
+        addExportButton();
+    }
+});
+
+observer.observe(document.body, { childList: true, subtree: true });
+
+})();
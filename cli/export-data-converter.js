@@ -0,0 +1,184 @@
+/**
+ * Export Data Converter
+ * Converts conversations.json from an unzipped OpenAI "Export data" archive into one file
+ * per conversation plus an index.md, using ExportDataImporter and the shared renderers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createPipelineWindow, suffixLength, warnUnsupportedCharacters, writeAttachments, FORMATS } = require('./pipeline');
+const LocalImageEncoder = require('./local-image-encoder');
+
+class ExportDataConverter {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.verbose - Forward the pipeline's console output
+     * @param {Object} options.rendererOptions - Passed to every renderer (e.g. FineTuningRenderer options)
+     * @param {boolean} options.allBranches - Export every branch, not just the one last shown
+     * @param {boolean} options.attachmentFiles - Include the files uploaded with prompts that the archive contains
+     * @param {boolean} options.includeReasoning - Keep the thinking summaries of reasoning models
+     * @param {boolean} options.canvasVersions - Keep the earlier versions of Canvas documents
+     * @param {Object} options.filenameOptions - FileDownloader template, slug and length options for the output names
+     */
+    constructor(options = {}) {
+        this.verbose = Boolean(options.verbose);
+        this.rendererOptions = options.rendererOptions || {};
+        this.allBranches = Boolean(options.allBranches);
+        this.attachmentFiles = Boolean(options.attachmentFiles);
+        this.includeReasoning = Boolean(options.includeReasoning);
+        this.canvasVersions = Boolean(options.canvasVersions);
+        // Long titles would run past file system name limits (255 bytes), so names are capped unless told otherwise
+        this.filenameOptions = { ...options.filenameOptions, maxLength: (options.filenameOptions || {}).maxLength || 120 };
+    }
+
+    /**
+     * Convert every conversation in the file.
+     * Outputs go to a folder named after the file, e.g. export/conversations.json -> export/conversations/
+     * @returns {{ outputDir: string, count: number }}
+     */
+    convertFile(file, formats) {
+        const exportDir = path.dirname(file);
+        const outputDir = path.join(exportDir, path.parse(file).name);
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const window = createPipelineWindow({ verbose: this.verbose });
+
+        try {
+            const archiveFiles = this.listArchiveFiles(exportDir);
+            const importer = new window.ExportDataImporter({
+                resolveAsset: this.createAssetResolver(exportDir, archiveFiles),
+                resolveFile: this.attachmentFiles ? this.createFileResolver(exportDir, archiveFiles) : null,
+                allBranches: this.allBranches,
+                includeReasoning: this.includeReasoning,
+                canvasVersions: this.canvasVersions
+            });
+            const conversations = importer.importConversations(data)
+                .filter(conversation => conversation.turns.length > 0)
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+            fs.mkdirSync(outputDir, { recursive: true });
+            const renderers = formats.map(format => ({ format, ...FORMATS[format], instance: new window[FORMATS[format].renderer](this.rendererOptions) }));
+            const fileDownloader = new window.FileDownloader(this.filenameOptions);
+            const reserved = suffixLength(formats);
+            const usedNames = new Set();
+            const entries = [];
+
+            conversations.forEach(conversation => {
+                const baseName = this.uniqueName(fileDownloader.buildBaseName(conversation, { reserved }), usedNames);
+                // Report and gallery formats render nothing for a conversation without a report or generated images
+                const files = renderers.map(({ format, suffix, instance }) => {
+                    const name = baseName + suffix;
+                    const content = instance.renderConversation(conversation);
+                    if (content === null) {
+                        return null;
+                    }
+                    const output = path.join(outputDir, name);
+                    fs.mkdirSync(path.dirname(output), { recursive: true });
+                    fs.writeFileSync(output, content);
+                    warnUnsupportedCharacters(instance, name);
+                    writeAttachments(instance, path.dirname(output));
+                    return { format, name };
+                }).filter(Boolean);
+                entries.push({ conversation, files, messages: fileDownloader.countMessages(conversation.turns) });
+            });
+
+            fs.writeFileSync(path.join(outputDir, 'index.md'), this.renderIndex(entries, path.basename(file)));
+            return { outputDir, count: entries.length };
+        } finally {
+            window.close();
+        }
+    }
+
+    /**
+     * Map asset pointers (file-service://file-abc, sediment://file_00..) to the files the archive
+     * stores as "<file id>-<original name>" in its root or one folder below
+     */
+    createAssetResolver(exportDir, files) {
+        const encoder = new LocalImageEncoder(exportDir);
+
+        return pointer => {
+            const fileId = pointer.replace(/^[a-z-]+:\/\//, '');
+            if (!fileId) {
+                return null;
+            }
+            const match = this.findArchiveFile(files, fileId);
+            return match ? encoder.toBase64(match) : null;
+        };
+    }
+
+    /**
+     * Read a prompt attachment ({ id, name, mimeType }) from the archive into a data URL
+     */
+    createFileResolver(exportDir, files) {
+        return ({ id, mimeType }) => {
+            const match = id && this.findArchiveFile(files, id);
+            if (!match) {
+                return null;
+            }
+            const bytes = fs.readFileSync(path.join(exportDir, match));
+            return `data:${mimeType || 'application/octet-stream'};base64,${bytes.toString('base64')}`;
+        };
+    }
+
+    /**
+     * The archive file stored for a file id: named the id itself or the id followed by "-" or "."
+     * (so "file-abc" doesn't pick up "file-abcdef-photo.png")
+     */
+    findArchiveFile(files, id) {
+        return files.find(name => {
+            const base = path.basename(name);
+            return base.startsWith(id) && (base.length === id.length || base[id.length] === '-' || base[id.length] === '.');
+        }) || null;
+    }
+
+    /**
+     * Files of the archive, in its root or one folder below, relative to it
+     */
+    listArchiveFiles(exportDir) {
+        const files = [];
+        fs.readdirSync(exportDir, { withFileTypes: true }).forEach(entry => {
+            if (entry.isFile()) {
+                files.push(entry.name);
+            } else if (entry.isDirectory()) {
+                fs.readdirSync(path.join(exportDir, entry.name))
+                    .forEach(name => files.push(`${entry.name}/${name}`));
+            }
+        });
+        return files;
+    }
+
+    uniqueName(name, usedNames) {
+        let candidate = name;
+        for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+            candidate = `${name} ${n}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Markdown table of all conversations, oldest first, linking every exported format.
+     * `messages` counts the messages of every branch (FileDownloader.countMessages).
+     */
+    renderIndex(entries, sourceName) {
+        const escapeCell = text => text.replace(/\|/g, '\\|').replace(/\[/g, '\\[').replace(/\]/g, '\\]');
+        const link = (label, name) => `[${label}](${encodeURI(name).replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+
+        const lines = [
+            '# ChatGPT Conversations\n',
+            `${entries.length} conversations from \`${sourceName}\`, exported ${new Date().toISOString().split('T')[0]}.\n`,
+            '| Date | Title | Messages | Files |',
+            '| --- | --- | --- | --- |'
+        ];
+
+        entries.forEach(({ conversation, files, messages }) => {
+            const date = (conversation.createdAt || '').split('T')[0];
+            const title = files.length > 0 ? link(escapeCell(conversation.title), files[0].name) : escapeCell(conversation.title);
+            const formats = files.map(file => link(file.format, file.name)).join(' · ');
+            lines.push(`| ${date} | ${title} | ${messages} | ${formats} |`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = ExportDataConverter;
@@ -0,0 +1,111 @@
+/**
+ * Local Image Encoder
+ * Inlines images of a saved conversation page from the files saved next to it.
+ * Drop-in replacement for ImageEncoder when the page is loaded in jsdom, which has no canvas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.bmp': 'image/bmp',
+    '.avif': 'image/avif'
+};
+
+class LocalImageEncoder {
+    /**
+     * @param {string} baseDir - Directory of the saved HTML file; relative image paths resolve against it,
+     *                          and only files inside it (the page's "_files" folder included) are read
+     */
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+    }
+
+    /**
+     * Same contract as ImageEncoder.encodeClonedImages: sets data-base64 on each image that could be read
+     */
+    async encodeClonedImages(clone) {
+        for (const img of clone.querySelectorAll('img')) {
+            if (this.isUiImage(img)) {
+                continue;
+            }
+
+            const base64 = this.toBase64(img.getAttribute('src') || '');
+            if (base64) {
+                img.setAttribute('data-base64', base64);
+            }
+        }
+    }
+
+    /**
+     * Read a saved image into a data URL. Remote and blob: URLs cannot be resolved offline.
+     */
+    toBase64(src) {
+        if (src.startsWith('data:')) {
+            return src;
+        }
+
+        const file = this.resolve(src);
+        if (!file) {
+            return null;
+        }
+
+        try {
+            const bytes = fs.readFileSync(file);
+            const mimeType = this.detectMimeType(bytes, file);
+            return mimeType ? `data:${mimeType};base64,${bytes.toString('base64')}` : null;
+        } catch (e) {
+            console.warn(`Cannot read image ${file}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Map a src attribute to a local path, or null for anything that is not a file inside baseDir.
+     * Saved pages are untrusted: file: URLs, absolute paths and "../" could otherwise inline any image on the machine.
+     */
+    resolve(src) {
+        if (!src || /^[a-z][\w+.-]*:/i.test(src) || /^[/\\]/.test(src)) {
+            return null;
+        }
+
+        let file;
+        try {
+            file = path.resolve(this.baseDir, decodeURIComponent(src.split(/[?#]/)[0]));
+        } catch (e) {
+            return null;
+        }
+        const relative = path.relative(path.resolve(this.baseDir), file);
+        return relative && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative) ? file : null;
+    }
+
+    /**
+     * Sniff the image type from its magic bytes; saved pages often drop or mangle extensions
+     */
+    detectMimeType(bytes, file) {
+        const hex = bytes.subarray(0, 12).toString('hex');
+        if (hex.startsWith('89504e47')) return 'image/png';
+        if (hex.startsWith('ffd8ff')) return 'image/jpeg';
+        if (hex.startsWith('47494638')) return 'image/gif';
+        if (hex.startsWith('52494646') && hex.slice(16, 24) === '57454250') return 'image/webp';
+
+        return MIME_TYPES[path.extname(file).toLowerCase()] || null;
+    }
+
+    /**
+     * Check for favicons, avatars and icons that are not conversation content
+     */
+    isUiImage(img) {
+        const src = img.getAttribute('src') || '';
+        const className = typeof img.className === 'string' ? img.className : '';
+        return src.includes('favicon') || src.includes('avatar') || className.includes('icon');
+    }
+}
+
+module.exports = LocalImageEncoder;
@@ -0,0 +1,113 @@
+/**
+ * Pipeline
+ * Evaluates the browser pipeline sources (core/ and renderers/) inside a jsdom window,
+ * so the CLI runs exactly the code the console scripts and userscripts are built from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { CORE } = require('../scripts/build');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const SOURCES = [
+    ...CORE,
+    'core/markdown-parser.js',
+    'core/export-data-importer.js',
+    'core/zip-writer.js',
+    'core/pdf-writer.js',
+    'core/research-report.js',
+    'renderers/markdown-renderer.js',
+    'renderers/obsidian-renderer.js',
+    'renderers/markdown-report-renderer.js',
+    'renderers/gallery-renderer.js',
+    'renderers/html-renderer.js',
+    'renderers/html-report-renderer.js',
+    'renderers/pdf-renderer.js',
+    'renderers/pdf-document-renderer.js',
+    'renderers/json-renderer.js',
+    'renderers/fine-tuning-renderer.js',
+    'renderers/docx-renderer.js'
+];
+
+// Output name is the input name with its extension replaced by `suffix`.
+// The report formats render only a Deep Research report, and nothing for conversations without one.
+// The gallery is a folder with the generated images and their captions.json, for conversations that have any.
+const FORMATS = {
+    md: { renderer: 'MarkdownRenderer', suffix: '.md' },
+    obsidian: { renderer: 'ObsidianRenderer', suffix: '.obsidian.md' },
+    html: { renderer: 'HtmlRenderer', suffix: '.export.html' },
+    pdf: { renderer: 'PdfDocumentRenderer', suffix: '.pdf' },
+    print: { renderer: 'PdfRenderer', suffix: '.print.html' },
+    json: { renderer: 'JsonRenderer', suffix: '.json' },
+    jsonl: { renderer: 'JsonlRenderer', suffix: '.jsonl' },
+    finetune: { renderer: 'FineTuningRenderer', suffix: '.finetune.jsonl' },
+    docx: { renderer: 'DocxRenderer', suffix: '.docx' },
+    report: { renderer: 'MarkdownReportRenderer', suffix: '.report.md' },
+    'report-html': { renderer: 'HtmlReportRenderer', suffix: '.report.html' },
+    gallery: { renderer: 'GalleryRenderer', suffix: '.images/captions.json' }
+};
+
+/**
+ * Characters the longest of the formats' suffixes adds to an output name (up to the gallery's folder),
+ * so a FileDownloader maxLength holds for every output
+ */
+function suffixLength(formats) {
+    return Math.max(0, ...formats.map(format => FORMATS[format].suffix.split('/')[0].length));
+}
+
+/**
+ * Write the files a renderer saved separately (images with ObsidianRenderer or --assets, gallery images) next to
+ * its output. They are named after their content, so images shared by several conversations are written once.
+ */
+function writeAttachments(renderer, dir) {
+    (renderer.attachments || []).forEach(attachment => {
+        const file = path.join(dir, attachment.path);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, attachment.data);
+    });
+}
+
+/**
+ * Tell the user when the PDF fonts couldn't show part of an output (see PdfWriter): `print` can
+ */
+function warnUnsupportedCharacters(renderer, output) {
+    const characters = renderer.unsupportedCharacters || [];
+    if (characters.length > 0) {
+        console.warn(`  ${output}: characters the PDF fonts can't show were printed as "?" (${characters.slice(0, 10).join(' ')}); ` +
+            'use --format print for print-ready HTML that keeps them');
+    }
+}
+
+let pipelineSource = null;
+
+/**
+ * Create a window for the given page with every pipeline class defined on it
+ * @param {Object} options
+ * @param {string} options.html - Page to load (defaults to an empty document)
+ * @param {string} options.url - Location the page pretends to be at
+ * @param {boolean} options.verbose - Forward the pipeline's console output
+ */
+function createPipelineWindow({ html = '<!DOCTYPE html><html><head></head><body></body></html>', url, verbose = false } = {}) {
+    if (!pipelineSource) {
+        pipelineSource = SOURCES
+            .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+            .join('\n\n');
+    }
+
+    const virtualConsole = new VirtualConsole();
+    if (verbose) {
+        virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    } else {
+        virtualConsole.on('warn', message => console.warn(`  ${message}`));
+    }
+
+    const { window } = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole });
+    // jsdom has no TextEncoder (ZipWriter needs it); Node's is the standard one
+    window.TextEncoder = TextEncoder;
+    window.eval(pipelineSource);
+    return window;
+}
+
+module.exports = { createPipelineWindow, suffixLength, warnUnsupportedCharacters, writeAttachments, FORMATS, SOURCES };
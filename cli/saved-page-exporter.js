@@ -0,0 +1,135 @@
+/**
+ * Saved Page Exporter
+ * Loads a saved ChatGPT (or Gemini) conversation page into jsdom and runs the same
+ * MessageDetector -> ConversationBuilder -> renderer pipeline as the browser exporters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createPipelineWindow, suffixLength, warnUnsupportedCharacters, writeAttachments, FORMATS } = require('./pipeline');
+const LocalImageEncoder = require('./local-image-encoder');
+
+class SavedPageExporter {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.verbose - Forward the pipeline's console output
+     * @param {Object} options.rendererOptions - Passed to every renderer (e.g. FineTuningRenderer options)
+     * @param {boolean} options.includeReasoning - Keep the thinking summaries that were expanded when the page was saved
+     * @param {boolean} options.canvasVersions - Keep the earlier versions of Canvas documents (as their cards preview them)
+     * @param {Object} options.filenameOptions - Name the outputs with this FileDownloader template instead of after the page
+     */
+    constructor(options = {}) {
+        this.verbose = Boolean(options.verbose);
+        this.rendererOptions = options.rendererOptions || {};
+        this.includeReasoning = Boolean(options.includeReasoning);
+        this.canvasVersions = Boolean(options.canvasVersions);
+        this.filenameOptions = options.filenameOptions || null;
+        // Template names taken in this run, per directory, so pages with the same title or id don't overwrite each other
+        this.usedNames = new Set();
+    }
+
+    /**
+     * Export one saved page to every requested format.
+     * @returns {Promise<string[]>} Paths of the written files
+     */
+    async exportFile(file, formats) {
+        const html = fs.readFileSync(file, 'utf8');
+        const window = createPipelineWindow({
+            html,
+            url: this.findSavedUrl(html) || pathToFileURL(path.resolve(file)).href,
+            verbose: this.verbose
+        });
+
+        try {
+            const url = new URL(window.location.href);
+            const platform = url.hostname.includes('gemini.google.com') ? 'gemini' : 'chatgpt';
+
+            const detector = new window.MessageDetector({ platform });
+            const result = await detector.detectMessages();
+            if (!result || result.messages.length === 0) {
+                throw new Error('No messages found');
+            }
+
+            const builder = new window.ConversationBuilder({
+                imageEncoder: new LocalImageEncoder(path.dirname(file)),
+                includeReasoning: this.includeReasoning,
+                canvasVersions: this.canvasVersions,
+                openCanvas: false
+            });
+            const conversation = await builder.build(result);
+            const name = this.filenameOptions
+                ? this.uniqueName(path.dirname(file), new window.FileDownloader(this.filenameOptions).buildBaseName(conversation, { reserved: suffixLength(formats) }))
+                : null;
+
+            // Report and gallery formats render nothing for a conversation without a report or generated images
+            return formats.map(format => {
+                const { renderer, suffix } = FORMATS[format];
+                const output = this.outputPath(file, suffix, name);
+                const instance = new window[renderer](this.rendererOptions);
+                const content = instance.renderConversation(conversation);
+                if (content === null) {
+                    console.warn(`  Nothing to export as ${format}, skipped`);
+                    return null;
+                }
+                fs.mkdirSync(path.dirname(output), { recursive: true });
+                fs.writeFileSync(output, content);
+                warnUnsupportedCharacters(instance, output);
+                writeAttachments(instance, path.dirname(output));
+                return output;
+            }).filter(Boolean);
+        } finally {
+            window.close();
+        }
+    }
+
+    /**
+     * Recover the original conversation URL so the source link and conversation id survive.
+     * Chrome writes a "saved from url" comment, SingleFile a "url:" line in its header comment.
+     */
+    findSavedUrl(html) {
+        const patterns = [
+            /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i,
+            /<!--[^>]*?\burl:\s*(https?:\/\/\S+)/i,
+            /<link[^>]+rel=["']canonical["'][^>]+href=["']([^"']+)["']/i,
+            /<meta[^>]+property=["']og:url["'][^>]+content=["']([^"']+)["']/i
+        ];
+
+        for (const pattern of patterns) {
+            const match = html.match(pattern);
+            if (match && /^https?:\/\//i.test(match[1])) {
+                return match[1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Output file next to the input, e.g. chat.html -> chat.md, named `name` instead when given
+     */
+    outputPath(file, suffix, name = null) {
+        const parsed = path.parse(file);
+        return path.join(parsed.dir, (name || parsed.name) + suffix);
+    }
+
+    /**
+     * Reserve a template name in `dir` for this run, numbering repeats ("Title 2", "Title 3", ...)
+     */
+    uniqueName(dir, name) {
+        let candidate = name;
+        for (let n = 2; this.usedNames.has(path.join(dir, candidate).toLowerCase()); n++) {
+            candidate = `${name} ${n}`;
+        }
+        this.usedNames.add(path.join(dir, candidate).toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Whether a file is one of this tool's own outputs (skipped when scanning directories)
+     */
+    isOutputFile(file) {
+        return Object.values(FORMATS).some(({ suffix }) => suffix.endsWith('.html') && file.endsWith(suffix));
+    }
+}
+
+module.exports = SavedPageExporter;
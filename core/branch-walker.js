@@ -0,0 +1,135 @@
+/**
+ * Branch Walker
+ * Collects every branch of a ChatGPT conversation by stepping through the "< 2/3 >"
+ * navigators that edited prompts and regenerated replies leave on the page.
+ * Produces the turn list of the conversation tree, ending in forks where branches split
+ * (see core/conversation-builder.js).
+ */
+
+class BranchWalker {
+    /**
+     * @param {Object} options
+     * @param {ConversationBuilder} options.builder - Converts detected messages into turns
+     * @param {Function} options.createDetector - Returns a fresh MessageDetector (results must not be cached across clicks)
+     * @param {number} options.timeout - How long to wait for a branch switch to render, in ms
+     */
+    constructor(options = {}) {
+        this.builder = options.builder || new ConversationBuilder();
+        this.createDetector = options.createDetector || (() => new MessageDetector());
+        this.timeout = options.timeout || 5000;
+    }
+
+    /**
+     * Walk all branches and return the conversation turns.
+     * The page is left on the branches that were showing when the walk started.
+     */
+    async buildTurns() {
+        return this.walk(0, -1);
+    }
+
+    /**
+     * Build turns from message `fromIndex` on. The navigator of message `skipNavigatorAt`
+     * is the one currently being walked by the caller, so it does not fork again.
+     */
+    async walk(fromIndex, skipNavigatorAt) {
+        const { messages } = await this.createDetector().detectMessages();
+        const turns = [];
+
+        for (let i = fromIndex; i < messages.length; i++) {
+            const navigator = i === skipNavigatorAt ? null : this.findNavigator(messages[i].element);
+
+            if (navigator && navigator.total > 1) {
+                const original = navigator.current;
+                const branches = [];
+
+                for (let version = 1; version <= navigator.total; version++) {
+                    await this.goTo(i, version);
+                    console.log(`Walking branch ${version}/${navigator.total} at message ${i + 1}`);
+                    branches.push({
+                        type: 'branch',
+                        index: version,
+                        total: navigator.total,
+                        active: version === original,
+                        turns: await this.walk(i, i)
+                    });
+                }
+
+                await this.goTo(i, original);
+                turns.push({ type: 'fork', branches });
+                return turns;
+            }
+
+            turns.push(await this.builder.buildTurn(messages[i]));
+        }
+
+        return turns;
+    }
+
+    /**
+     * Find the "current/total" counter and its previous/next buttons in a message's turn
+     */
+    findNavigator(messageElement) {
+        const turn = messageElement.closest('article, [data-testid^="conversation-turn"]') || messageElement;
+        const counter = Array.from(turn.querySelectorAll('div, span'))
+            .find(el => el.children.length === 0 && /^\s*\d+\s*\/\s*\d+\s*$/.test(el.textContent));
+        if (!counter) {
+            return null;
+        }
+
+        const [current, total] = counter.textContent.split('/').map(part => parseInt(part, 10));
+        const buttons = Array.from(counter.parentElement.querySelectorAll('button'));
+        const previous = buttons.find(btn => /previous|prev/i.test(btn.getAttribute('aria-label') || '')) || buttons[0];
+        const next = buttons.find(btn => /next/i.test(btn.getAttribute('aria-label') || '')) || buttons[buttons.length - 1];
+
+        if (!previous || !next || previous === next) {
+            return null;
+        }
+        return { current, total, previous, next, counter };
+    }
+
+    /**
+     * Click message `index`'s navigator until it shows `version`
+     */
+    async goTo(index, version) {
+        for (let step = 0; step < 50; step++) {
+            const { messages } = await this.createDetector().detectMessages();
+            const navigator = messages[index] && this.findNavigator(messages[index].element);
+            if (!navigator) {
+                throw new Error(`Lost the branch navigator of message ${index + 1}`);
+            }
+            if (navigator.current === version) {
+                return;
+            }
+
+            const before = navigator.counter.textContent;
+            (navigator.current < version ? navigator.next : navigator.previous).click();
+            await this.waitFor(() => !navigator.counter.isConnected || navigator.counter.textContent !== before);
+        }
+
+        throw new Error(`Could not switch message ${index + 1} to branch ${version}`);
+    }
+
+    /**
+     * Poll until the condition holds, then give the new branch a moment to finish rendering
+     */
+    async waitFor(condition) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > this.timeout) {
+                throw new Error('Timed out waiting for the branch to load');
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BranchWalker;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.BranchWalker = BranchWalker;
+}
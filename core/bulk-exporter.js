@@ -0,0 +1,335 @@
+/**
+ * Bulk Exporter
+ * Exports every conversation listed in the ChatGPT sidebar: opens each one in turn through its
+ * sidebar link (client-side navigation, so the running script survives), runs an export callback
+ * on it and packages the results with an index.md and an errors.log into one zip (or writes them
+ * straight into an ExportFolder).
+ */
+
+class BulkExporter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.exportConversation - async (entry) => { conversation, content, filename?, attachments? } for the
+     *     conversation on screen, or null. attachments ({ name, path, data }) are saved at `path`, relative to the file.
+     * @param {string} options.extension - Extension of the exported files, e.g. 'md'
+     * @param {Function} options.onProgress - Called with { done, total, failed, title, state } as the run advances
+     * @param {number} options.timeout - How long to wait for a conversation to load, in ms
+     * @param {Object} options.archive - Where the files go: a ZipWriter (default) or an ExportFolder
+     * @param {FileDownloader} options.fileDownloader - Names the files the export callback leaves unnamed
+     * @param {string} options.subfolder - Folder inside the archive for the files and index.md, e.g. "ChatGPT Export (2024-05-01)"
+     */
+    constructor(options = {}) {
+        this.exportConversation = options.exportConversation;
+        this.extension = options.extension || 'md';
+        this.onProgress = options.onProgress || (() => {});
+        this.timeout = options.timeout || 30000;
+        this.archive = options.archive || null;
+        this.fileDownloader = options.fileDownloader || new FileDownloader();
+        this.subfolder = options.subfolder || '';
+        this.attachmentPaths = new Set();
+        this.state = 'idle';
+        this.resumeRun = null;
+    }
+
+    /**
+     * Scroll the sidebar history to the end so every conversation link is loaded, then list them
+     * @returns {Promise<Array<{ id, title, href }>>}
+     */
+    async collectConversations() {
+        let count = -1;
+        for (let round = 0; round < 200; round++) {
+            const links = this.findConversationLinks();
+            if (links.length === count) {
+                break;
+            }
+            count = links.length;
+            this.onProgress({ done: 0, total: count, failed: 0, title: 'Loading the conversation list...', state: 'collecting' });
+
+            const scroller = links.length > 0 && this.findScrollContainer(links[links.length - 1]);
+            if (!scroller) {
+                break;
+            }
+            scroller.scrollTop = scroller.scrollHeight;
+            await this.sleep(1500);
+        }
+
+        const seen = new Set();
+        return this.findConversationLinks()
+            .map(link => ({
+                id: link.getAttribute('href').match(/\/c\/([\w-]+)/)[1],
+                title: link.textContent.replace(/\s+/g, ' ').trim(),
+                href: link.href
+            }))
+            .filter(entry => !seen.has(entry.id) && seen.add(entry.id));
+    }
+
+    findConversationLinks() {
+        return Array.from(document.querySelectorAll('nav a[href*="/c/"], #history a[href*="/c/"]'))
+            .filter(link => /\/c\/[\w-]+/.test(link.getAttribute('href') || ''));
+    }
+
+    /**
+     * Nearest ancestor that scrolls (the sidebar loads older chats when scrolled to the bottom)
+     */
+    findScrollContainer(element) {
+        for (let node = element.parentElement; node; node = node.parentElement) {
+            const overflow = getComputedStyle(node).overflowY;
+            if ((overflow === 'auto' || overflow === 'scroll') && node.scrollHeight > node.clientHeight) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Export the conversations one by one. Failures are logged and skipped; a cancelled run
+     * still packages what was exported so far.
+     * @returns {Promise<{ zip: Uint8Array|null, exported: number, errors: Array }>} zip is null when writing to an ExportFolder
+     */
+    async run(entries) {
+        const startUrl = location.href;
+        const zip = this.archive || new ZipWriter();
+        const usedNames = new Set();
+        const files = [];
+        const errors = [];
+        this.attachmentPaths = new Set();
+        this.state = 'running';
+
+        let i = 0;
+        for (; i < entries.length && this.state !== 'cancelled'; i++) {
+            const entry = entries[i];
+            this.onProgress({ done: i, total: entries.length, failed: errors.length, title: entry.title, state: this.state });
+
+            try {
+                await this.open(entry);
+                const result = await this.exportConversation(entry);
+                if (!result) {
+                    throw new Error('No messages found');
+                }
+
+                const file = await this.addConversation(zip, entry, result, usedNames);
+                if (file) {
+                    files.push(file);
+                }
+            } catch (error) {
+                console.error(`Bulk export: ${entry.title} failed:`, error);
+                errors.push({ entry, message: error.message, time: new Date().toISOString() });
+            }
+
+            await this.waitWhilePaused();
+        }
+
+        this.onProgress({ done: i, total: entries.length, failed: errors.length, title: 'Packaging...', state: this.state });
+        this.writeIndex(zip, files, errors);
+
+        await this.returnTo(startUrl, entries);
+        this.state = 'done';
+        return { zip: await zip.generate(), exported: files.length, errors };
+    }
+
+    /**
+     * Pause after the conversation being exported
+     */
+    pause() {
+        if (this.state === 'running') {
+            this.state = 'paused';
+        }
+    }
+
+    resume() {
+        if (this.state === 'paused') {
+            this.state = 'running';
+            if (this.resumeRun) this.resumeRun();
+        }
+    }
+
+    /**
+     * Stop after the conversation being exported and package the ones done
+     */
+    cancel() {
+        const paused = this.state === 'paused';
+        this.state = 'cancelled';
+        if (paused && this.resumeRun) this.resumeRun();
+    }
+
+    async waitWhilePaused() {
+        if (this.state === 'paused') {
+            await new Promise(resolve => { this.resumeRun = resolve; });
+            this.resumeRun = null;
+        }
+    }
+
+    /**
+     * Show a conversation by clicking its sidebar link, then wait until its messages replace the previous ones
+     */
+    async open(entry) {
+        if (location.pathname.endsWith(`/c/${entry.id}`) && document.querySelector('[data-message-author-role]')) {
+            return;
+        }
+
+        const link = this.findConversationLinks().find(a => a.getAttribute('href').endsWith(`/c/${entry.id}`));
+        if (!link) {
+            throw new Error('No longer listed in the sidebar');
+        }
+
+        const previous = document.querySelector('[data-message-author-role]');
+        link.click();
+        await this.waitFor(() => location.pathname.endsWith(`/c/${entry.id}`), 'Timed out opening the conversation');
+
+        // Loaded once the old messages are gone and the new ones stop changing
+        let lastCount = -1;
+        let stableSince = Date.now();
+        await this.waitFor(() => {
+            const count = document.querySelectorAll('[data-message-author-role]').length;
+            if (count !== lastCount) {
+                lastCount = count;
+                stableSince = Date.now();
+            }
+            return count > 0 && !(previous && previous.isConnected) && Date.now() - stableSince > 1000;
+        }, 'Timed out waiting for the messages to load');
+    }
+
+    /**
+     * Go back to the conversation that was open when the run started
+     */
+    async returnTo(url, entries) {
+        const match = url.match(/\/c\/([\w-]+)/);
+        const entry = match && entries.find(e => e.id === match[1]);
+        if (entry) {
+            try {
+                await this.open(entry);
+            } catch (error) {
+                console.warn('Bulk export: could not reopen the starting conversation:', error);
+            }
+        }
+    }
+
+    /**
+     * Add an exported conversation to the zip under a name not used yet
+     * @returns {Promise<{ name, entry, turns }|null>} the file added, or null when it was skipped
+     */
+    async addConversation(zip, entry, result, usedNames) {
+        const name = this.uniqueName(this.fileName(result), usedNames);
+        zip.addFile(this.chatPath(name), result.content);
+        this.addAttachments(zip, result);
+        return { name, entry, turns: result.conversation.turns.length };
+    }
+
+    /**
+     * The name the export callback chose, otherwise the file downloader's (by default "{title} ({date}).{ext}")
+     */
+    fileName({ conversation, filename }) {
+        return filename || this.fileDownloader.buildFilename(conversation, this.extension);
+    }
+
+    /**
+     * Attachments are named after their content, so one shared by several conversations is stored once:
+     * a path already added in this run is skipped
+     */
+    addAttachments(zip, { attachments = [] }) {
+        attachments.forEach(attachment => {
+            const file = this.chatPath(attachment.path);
+            if (!this.attachmentPaths.has(file)) {
+                this.attachmentPaths.add(file);
+                zip.addFile(file, attachment.data);
+            }
+        });
+    }
+
+    /**
+     * Where an exported conversation goes inside the zip
+     */
+    chatPath(name) {
+        return this.subfolder ? `${this.subfolder}/${name}` : name;
+    }
+
+    /**
+     * Add index.md and, when something failed, errors.log, next to the conversations
+     */
+    writeIndex(zip, files, errors) {
+        zip.addFile(this.chatPath('index.md'), this.renderIndex(files, errors));
+        if (errors.length > 0) {
+            zip.addFile(this.chatPath('errors.log'), this.renderErrorLog(errors));
+        }
+    }
+
+    uniqueName(name, usedNames) {
+        const dot = name.lastIndexOf('.');
+        let candidate = name;
+        for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+            candidate = `${name.slice(0, dot)} ${n}${name.slice(dot)}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Markdown list of the exported files in sidebar order (newest first), then the failures
+     */
+    renderIndex(files, errors) {
+        return [
+            '# ChatGPT Conversations\n',
+            `${files.length} conversations exported from ${location.hostname} on ${new Date().toISOString().split('T')[0]}.\n`,
+            ...this.renderFileTable(files, ''),
+            ...this.renderFailures(errors)
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Table rows linking each exported file (relative to the index, under `folder`) and its original
+     */
+    renderFileTable(files, folder) {
+        const link = (label, target) => `[${label}](${encodeURI(target).replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+        return [
+            '| Title | Messages | Original |',
+            '| --- | --- | --- |',
+            ...files.map(({ name, entry, turns }) => `| ${link(this.escapeMarkdown(entry.title || name), folder + name)} | ${turns} | [open](${entry.href}) |`)
+        ];
+    }
+
+    renderFailures(errors) {
+        if (errors.length === 0) {
+            return [];
+        }
+        return [
+            '', `## Failed (${errors.length})\n`,
+            ...errors.map(({ entry, message }) => `- [${this.escapeMarkdown(entry.title)}](${entry.href}): ${message}`),
+            '', 'Details are in `errors.log`.'
+        ];
+    }
+
+    /**
+     * One tab-separated line per failure: time, title, URL, reason
+     */
+    renderErrorLog(errors) {
+        return errors.map(({ entry, message, time }) => `${time}\t${entry.title}\t${entry.href}\t${message}`).join('\n') + '\n';
+    }
+
+    escapeMarkdown(text) {
+        return text.replace(/\|/g, '\\|').replace(/\[/g, '\\[').replace(/\]/g, '\\]');
+    }
+
+    async waitFor(condition, message) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > this.timeout) {
+                throw new Error(message);
+            }
+            await this.sleep(200);
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BulkExporter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.BulkExporter = BulkExporter;
+}
@@ -0,0 +1,915 @@
+/**
+ * Conversation Builder
+ * Walks ChatGPT's message DOM once and produces a format-neutral conversation tree
+ * that every renderer (Markdown, HTML, PDF, ...) consumes as plain JSON.
+ *
+ * Document model:
+ *
+ *   conversation { type: 'conversation', title, url, conversationId, model, platform, exportedAt, createdAt, updatedAt, turns }
+ *   turn         { type: 'turn', role: 'user'|'assistant'|'system'|'unknown', sender, replyLabel, timestamp, html, blocks }
+ *
+ * createdAt, updatedAt and timestamp are ISO strings when the source knows them (conversations.json),
+ * null when built from the page. html is the message's page markup without UI controls (null when not from a page).
+ *
+ * When every branch is exported, a turn list may end in a fork instead of continuing linearly.
+ * Each branch holds the rest of the conversation from the fork on (which may fork again):
+ *
+ *   fork         { type: 'fork', branches: [branch] }
+ *   branch       { type: 'branch', index, total, active, turns }   (index is 1-based, active = the branch shown in the UI)
+ *
+ * Blocks:
+ *   paragraph    { type: 'paragraph', children }
+ *   heading      { type: 'heading', level, children }
+ *   list         { type: 'list', ordered, start, items: [{ type: 'listItem', children, blocks }] }
+ *   table        { type: 'table', header: [cell], rows: [[cell]] }   (cell = inline nodes)
+ *   code         { type: 'code', language, text }
+ *   image        { type: 'image', src, alt, data }                    (data = base64 data URL or null)
+ *   math         { type: 'math', tex, display: true, mathml }           (mathml = KaTeX's MathML markup or null)
+ *   blockquote   { type: 'blockquote', blocks }
+ *   rule         { type: 'rule' }
+ *   canvas       { type: 'canvas' }
+ *   attachments  { type: 'attachments', files: [{ name, mimeType, size, href, data }] }
+ *                (files uploaded with a prompt; size in bytes, href and data = the file as a data URL, or null)
+ *   codeRun      { type: 'codeRun', language, code, output, images: [image], files: [{ name, href }] }
+ *                (a Code Interpreter run: its code, the printed output or result (null when none),
+ *                the charts it drew and links to the files it wrote)
+ *   reasoning    { type: 'reasoning', label, blocks }   (a reasoning model's thinking summary, label e.g. "Thought for 12 seconds")
+ *   canvasDocument { type: 'canvasDocument', title, language, code, blocks, versions: [{ code, blocks }] }
+ *                (a Canvas document in its latest version, in the turn that created it: code holds the source of
+ *                code documents (blocks = null), blocks the content of text ones (code = null); versions are
+ *                the earlier versions, oldest first, when asked for and [] otherwise)
+ *   figure       { type: 'figure', image, caption, generation: { size, seed, genId } }
+ *                (an image the reply generated: caption = the prompt it was generated from, as rewritten by the
+ *                model; size e.g. "1024x1024"; caption and generation fields are null when the source doesn't say)
+ *
+ * Inline nodes:
+ *   text { value }, strong { children }, emphasis { children }, inlineCode { value },
+ *   link { href, children }, break, image { src, alt, data }, math { tex, display, mathml },
+ *   citation { href, label, title }   (a web search source: the pill's text and, when known, the page title)
+ */
+
+const ATTACHMENT_MIME_TYPES = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    html: 'text/html',
+    xml: 'application/xml',
+    py: 'text/x-python',
+    js: 'text/javascript',
+    ts: 'text/typescript',
+    zip: 'application/zip',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const REASONING_LABEL = /^(Thought|Thinking|Reasoned|Reasoning)\b.{0,60}$/i;
+
+const CITATION_PILL_SELECTOR = '[class*="citation-pill"], [data-testid*="citation-pill"]';
+
+class ConversationBuilder {
+    /**
+     * @param {Object} options
+     * @param {ImageEncoder} options.imageEncoder - Encodes the message images (default: new ImageEncoder())
+     * @param {boolean} options.attachmentFiles - Also download the files attached to prompts, when the chip links them
+     * @param {boolean} options.includeReasoning - Export the "Thought for N seconds" summaries, opening collapsed ones
+     * @param {boolean} options.canvasVersions - Keep the earlier versions of Canvas documents too
+     * @param {boolean} options.openCanvas - Open each Canvas card's document in the panel to read it whole (default);
+     *                                       off where nothing can open it, e.g. a saved page, whose scripts don't run
+     * @param {SelectorCascade} options.selectorCascade - Finds the Canvas panel (default: new SelectorCascade())
+     */
+    constructor(options = {}) {
+        this.imageEncoder = options.imageEncoder || new ImageEncoder();
+        this.attachmentFiles = Boolean(options.attachmentFiles);
+        this.includeReasoning = Boolean(options.includeReasoning);
+        this.canvasVersions = Boolean(options.canvasVersions);
+        this.openCanvas = options.openCanvas !== false;
+        this.selectorCascade = options.selectorCascade || new SelectorCascade();
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+        this.blockContainers = ['div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure'];
+    }
+
+    /**
+     * Build the conversation tree from a MessageDetector result
+     */
+    async build({ messages, metadata }) {
+        const turns = [];
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+
+        for (let i = 0; i < messages.length; i++) {
+            turns.push(await this.buildTurn(messages[i]));
+            console.log(`Processed message ${i + 1}/${messages.length}`);
+        }
+
+        return {
+            type: 'conversation',
+            title: metadata.title,
+            url: metadata.url,
+            conversationId: metadata.conversationId || null,
+            model: metadata.model || null,
+            platform: metadata.platform || 'ChatGPT',
+            exportedAt: metadata.timestamp,
+            createdAt: null,
+            updatedAt: null,
+            turns
+        };
+    }
+
+    /**
+     * Build a single turn from a detected message
+     */
+    async buildTurn(message) {
+        const chips = message.attachments || [];
+        const cards = message.canvasCards || [];
+        const reasoning = await this.findReasoning(message.element);
+        const removed = [
+            ...chips.map(chip => chip.element),
+            ...cards.map(card => card.element),
+            ...reasoning.flatMap(section => [section.row, section.content])
+        ];
+        const clone = this.cleanClone(message.element, removed.filter(Boolean));
+        const html = (clone.querySelector('.markdown, [class*="markdown"]') || clone).innerHTML.trim();
+        const blocks = await this.buildBlocks(message.element, clone);
+        if (this.includeReasoning) {
+            blocks.unshift(...reasoning
+                .filter(section => section.content)
+                .map(section => ({ type: 'reasoning', label: section.label, blocks: this.buildReasoningBlocks(section.content) })));
+        }
+        if (chips.length > 0) {
+            blocks.unshift(await this.buildAttachments(chips));
+        }
+        if (cards.length > 0) {
+            blocks.push(...await this.buildCanvasDocuments(cards));
+        }
+
+        return {
+            type: 'turn',
+            role: message.senderType,
+            sender: message.sender,
+            replyLabel: message.replyLabel || null,
+            timestamp: null,
+            html,
+            blocks
+        };
+    }
+
+    /**
+     * The "Thought for N seconds" sections of a reply: { label, row, content } with the row holding the
+     * toggle and the summary shown under it (null while collapsed). Their elements are left out of the
+     * reply either way; with includeReasoning, collapsed ones are opened first (and left open).
+     */
+    async findReasoning(element) {
+        const toggles = Array.from(element.querySelectorAll('button, [role="button"]'))
+            .filter(toggle => REASONING_LABEL.test(toggle.textContent.replace(/\s+/g, ' ').trim()));
+        const sections = [];
+
+        for (const toggle of toggles) {
+            let row = this.findReasoningRow(toggle, element);
+            let content = this.findReasoningContent(row, element);
+            if (this.includeReasoning && !content) {
+                toggle.click();
+                // The summary may open inside the collapsed row, which then holds more than the toggle
+                for (let wait = 0; wait < 30 && !content; wait++) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    row = this.findReasoningRow(toggle, element);
+                    content = this.findReasoningContent(row, element);
+                }
+            }
+            sections.push({ label: toggle.textContent.replace(/\s+/g, ' ').trim(), row, content });
+        }
+        return sections;
+    }
+
+    /**
+     * Highest ancestor of the toggle that holds nothing but the toggle
+     */
+    findReasoningRow(toggle, message) {
+        const label = toggle.textContent.trim();
+        let row = toggle;
+        while (row.parentElement && row.parentElement !== message && row.parentElement.textContent.trim() === label) {
+            row = row.parentElement;
+        }
+        return row;
+    }
+
+    /**
+     * The expanded summary right after the toggle's row. The reply itself (the last markdown part) never is.
+     */
+    findReasoningContent(row, message) {
+        const content = row.nextElementSibling;
+        const parts = message.querySelectorAll('.markdown, [class*="markdown"]');
+        const reply = parts[parts.length - 1];
+        if (!content || !content.textContent.trim() || (reply && content.contains(reply))) {
+            return null;
+        }
+        return content;
+    }
+
+    buildReasoningBlocks(content) {
+        const clone = this.cleanClone(content);
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        return markdownParts.length > 0
+            ? markdownParts.flatMap(part => this.convertBlocks(part))
+            : this.convertBlocks(clone);
+    }
+
+    /**
+     * Attachments block from the chips MessageDetector found, downloading the files when asked to
+     */
+    async buildAttachments(chips) {
+        const files = [];
+        for (const chip of chips) {
+            const extension = chip.name.includes('.') ? chip.name.split('.').pop().toLowerCase() : '';
+            files.push({
+                name: chip.name,
+                mimeType: ATTACHMENT_MIME_TYPES[extension] || null,
+                size: chip.size,
+                href: chip.href,
+                data: this.attachmentFiles && chip.href ? await this.fetchFile(chip.href) : null
+            });
+        }
+        return { type: 'attachments', files };
+    }
+
+    /**
+     * A linked file as a data URL, or null when it can't be downloaded
+     */
+    async fetchFile(href) {
+        try {
+            const url = new URL(href, location.href);
+            const response = await fetch(url.href, { credentials: url.origin === location.origin ? 'include' : 'omit' });
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (e) {
+            console.warn('Cannot download attachment:', href, e);
+            return null;
+        }
+    }
+
+    /**
+     * Canvas documents for the cards of a reply. A card for a document an earlier reply created (an edit)
+     * updates that document's block instead of adding one, keeping the replaced version with canvasVersions.
+     * Only the document id tells documents apart (titles can repeat); cards without one are keyed by their position.
+     */
+    async buildCanvasDocuments(cards) {
+        const created = [];
+        for (const card of cards) {
+            const content = await this.readCanvas(card);
+            const key = card.id || `#${++this.canvasCardCount}`;
+            const existing = this.canvasDocuments.get(key);
+            if (!existing) {
+                const document = { type: 'canvasDocument', title: card.title || 'Canvas', ...content, versions: [] };
+                this.canvasDocuments.set(key, document);
+                created.push(document);
+                continue;
+            }
+            const changed = JSON.stringify([existing.code, existing.blocks]) !== JSON.stringify([content.code, content.blocks]);
+            if (changed && this.canvasVersions) {
+                existing.versions.push({ code: existing.code, blocks: existing.blocks });
+            }
+            Object.assign(existing, content, { language: content.language || existing.language });
+        }
+        return created;
+    }
+
+    /**
+     * Open the card's document in the Canvas panel and read it from there. Falls back on the preview
+     * the card shows when the panel doesn't open, without waiting for it when it can't (openCanvas off).
+     */
+    async readCanvas(card) {
+        const before = this.selectorCascade.findCanvasPanel();
+        if (!this.openCanvas) {
+            return before && this.showsCanvas(before, card) ? this.convertCanvasPanel(before) : this.convertCanvasCard(card);
+        }
+
+        const previous = before ? before.editor.textContent : null;
+        (card.element.querySelector('button, [role="button"]') || card.element).click();
+
+        let panel = before;
+        for (let wait = 0; wait < 30 && (!panel || panel.editor.textContent === previous); wait++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            panel = this.selectorCascade.findCanvasPanel();
+        }
+        if (panel && (panel.editor.textContent !== previous || this.showsCanvas(panel, card))) {
+            return this.convertCanvasPanel(panel);
+        }
+        return this.convertCanvasCard(card);
+    }
+
+    /**
+     * Whether the panel's header names the card's document
+     */
+    showsCanvas(panel, card) {
+        const container = panel.element.closest('section, aside, [role="dialog"]') || panel.element;
+        return Boolean(card.title) && container.textContent.includes(card.title);
+    }
+
+    /**
+     * Content of the open document: the source of a code document, the blocks of a text one
+     */
+    async convertCanvasPanel(panel) {
+        if (panel.kind === 'code') {
+            return { language: panel.language, code: this.readCodeEditor(panel.editor), blocks: null };
+        }
+        const clone = this.cleanClone(panel.editor);
+        await this.imageEncoder.encodeClonedImages(clone, panel.editor);
+        return { language: null, code: null, blocks: this.convertBlocks(clone) };
+    }
+
+    /**
+     * Source of a CodeMirror editor. The editor only renders the lines in view, so the whole document
+     * is read from its state when the page lets us reach it.
+     */
+    readCodeEditor(editor) {
+        try {
+            const content = editor.querySelector('.cm-content');
+            const view = content && content.cmView && content.cmView.rootView && content.cmView.rootView.view;
+            if (view) {
+                return view.state.doc.toString();
+            }
+        } catch (e) {
+            console.warn('Cannot read the Canvas editor state:', e);
+        }
+        const lines = editor.querySelectorAll('.cm-line');
+        return lines.length > 0 ? Array.from(lines).map(line => line.textContent).join('\n') : editor.textContent;
+    }
+
+    /**
+     * Content of the preview a card shows
+     */
+    convertCanvasCard(card) {
+        const clone = this.cleanClone(card.element);
+        const code = clone.querySelector('pre, code');
+        if (code) {
+            return { language: null, code: code.textContent.replace(/\n$/, ''), blocks: null };
+        }
+        const preview = clone.querySelector('.markdown, [class*="markdown"], .ProseMirror');
+        return { language: null, code: null, blocks: preview ? this.convertBlocks(preview) : [] };
+    }
+
+    /**
+     * Convert a message element into blocks, encoding its images on the way
+     */
+    async buildBlocks(element, clone = this.cleanClone(element)) {
+        // Pre-convert all images to base64
+        await this.imageEncoder.encodeClonedImages(clone, element);
+
+        // Code Interpreter runs, their charts and generated images sit between the markdown parts of a reply
+        const runs = Array.from(clone.querySelectorAll('div, section, details')).filter(el => this.isCodeRun(el));
+        if (runs.length > 0 || Array.from(clone.querySelectorAll('img')).some(img => this.isGeneratedImage(img))) {
+            return this.convertReplyParts(clone, runs);
+        }
+
+        // Find the markdown content container if it exists
+        const markdownContainer = clone.querySelector('.markdown, [class*="markdown"]');
+        return this.convertBlocks(markdownContainer || clone);
+    }
+
+    /**
+     * Convert the markdown parts, code runs and images outside both of a reply, in page order
+     */
+    convertReplyParts(clone, runs) {
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        const inPart = node => [...markdownParts, ...runs].some(part => part.contains(node));
+        // Generated images are drawn twice, the blurred backdrop being a copy of the image
+        const images = Array.from(clone.querySelectorAll('img'))
+            .filter(img => !inPart(img))
+            .filter((img, index, all) => !this.isGeneratedImage(img) ||
+                all.findIndex(other => other.getAttribute('src') === img.getAttribute('src')) === index);
+
+        return [...markdownParts, ...runs, ...images]
+            .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+            .flatMap(part => {
+                if (runs.includes(part)) {
+                    return [this.convertCodeRun(part)];
+                }
+                return part.tagName.toLowerCase() === 'img' ? this.convertBlock(part) : this.convertBlocks(part);
+            });
+    }
+
+    /**
+     * Copy a message element without the buttons, icons and screen-reader text around its content
+     * @param {Element[]} removed - Elements inside `element` to leave out of the copy (e.g. attachment chips)
+     */
+    cleanClone(element, removed = []) {
+        const clone = element.cloneNode(true);
+
+        removed
+            .map(node => this.findCopy(element, clone, node))
+            .forEach(copy => copy && copy !== clone && copy.remove());
+
+        // Extract images from buttons before removing them (ChatGPT wraps images in buttons).
+        // Web search citation pills can be buttons or sit in/around one: keep their content.
+        clone.querySelectorAll('button').forEach(btn => {
+            const img = btn.querySelector('img');
+            if (this.isCitation(btn)) {
+                return;
+            }
+            if (btn.closest(CITATION_PILL_SELECTOR) || btn.querySelector(CITATION_PILL_SELECTOR)) {
+                btn.replaceWith(...btn.childNodes);
+            } else if (img) {
+                btn.parentNode.replaceChild(img.cloneNode(true), btn);
+            } else {
+                btn.remove();
+            }
+        });
+
+        // Remove UI elements that shouldn't be in the export
+        clone.querySelectorAll('svg, [class*="sr-only"]').forEach(el => el.remove());
+        return clone;
+    }
+
+    /**
+     * The node of a fresh deep copy that sits where `node` sits in `original`
+     */
+    findCopy(original, copy, node) {
+        const path = [];
+        for (let current = node; current && current !== original; current = current.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(current.parentElement ? current.parentElement.children : [], current));
+        }
+        return path.reduce((target, index) => target && index >= 0 ? target.children[index] : null, copy);
+    }
+
+    /**
+     * Convert the children of a container into a list of blocks.
+     * Runs of inline content between block elements become paragraphs.
+     */
+    convertBlocks(container, preserveLines = false) {
+        const blocks = [];
+        let inlineBuffer = [];
+        const keepLines = preserveLines || this.preservesLines(container);
+
+        const flush = () => {
+            const children = this.trimInline(inlineBuffer);
+            if (children.length > 0) {
+                blocks.push({ type: 'paragraph', children });
+            }
+            inlineBuffer = [];
+        };
+
+        container.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                inlineBuffer.push(...this.convertText(child.textContent, keepLines));
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE || this.isSkipped(child)) {
+                return;
+            }
+
+            const blocksFromChild = this.convertBlock(child, keepLines);
+            if (blocksFromChild) {
+                flush();
+                blocks.push(...blocksFromChild);
+            } else {
+                inlineBuffer.push(...this.convertInline(child, keepLines));
+            }
+        });
+
+        flush();
+        return blocks;
+    }
+
+    /**
+     * Convert a block-level element, or return null when the element is inline
+     */
+    convertBlock(element, preserveLines) {
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isDisplayMath(element)) {
+            return [{ type: 'math', tex: this.extractTex(element), display: true, mathml: this.extractMathMl(element, true) }];
+        }
+
+        switch (tagName) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return [{
+                    type: 'heading',
+                    level: parseInt(tagName.substring(1), 10),
+                    children: this.trimInline(this.convertInlineChildren(element, false))
+                }];
+
+            case 'p':
+                return this.convertBlocks(element, preserveLines);
+
+            case 'pre':
+                return [this.convertCodeBlock(element)];
+
+            case 'ul':
+            case 'ol':
+                return [this.convertList(element)];
+
+            case 'table':
+                return [this.convertTable(element)];
+
+            case 'blockquote':
+                return [{ type: 'blockquote', blocks: this.convertBlocks(element, preserveLines) }];
+
+            case 'hr':
+                return [{ type: 'rule' }];
+
+            case 'canvas':
+                return [{ type: 'canvas' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                if (image && this.isGeneratedImage(element)) {
+                    return [this.convertFigure(element, image)];
+                }
+                return image ? [{ ...image, type: 'image' }] : [];
+            }
+
+            default:
+                if (this.blockContainers.includes(tagName)) {
+                    return this.convertBlocks(element, preserveLines);
+                }
+                return null;
+        }
+    }
+
+    /**
+     * Convert an inline element into inline nodes
+     */
+    convertInline(element, preserveLines = false) {
+        if (element.nodeType === Node.TEXT_NODE) {
+            return this.convertText(element.textContent, preserveLines);
+        }
+        if (element.nodeType !== Node.ELEMENT_NODE || this.isSkipped(element)) {
+            return [];
+        }
+
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isCitation(element)) {
+            return [this.convertCitation(element)];
+        }
+
+        if (this.isMath(element)) {
+            const display = this.isDisplayMath(element);
+            return [{ type: 'math', tex: this.extractTex(element), display, mathml: this.extractMathMl(element, display) }];
+        }
+
+        switch (tagName) {
+            case 'strong':
+            case 'b':
+                return [{ type: 'strong', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'em':
+            case 'i':
+                return [{ type: 'emphasis', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'code':
+                return [{ type: 'inlineCode', value: element.textContent || '' }];
+
+            case 'br':
+                return [{ type: 'break' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                return image ? [image] : [];
+            }
+
+            case 'a': {
+                const href = (element.getAttribute('href') || '').trim();
+                const lowerHref = href.toLowerCase();
+                const children = this.convertInlineChildren(element, preserveLines);
+                if (!href || lowerHref.startsWith('javascript:') ||
+                    lowerHref.startsWith('data:') || lowerHref.startsWith('vbscript:') ||
+                    href.startsWith('#')) {
+                    return children;
+                }
+                return [{ type: 'link', href, children }];
+            }
+
+            case 'template':
+                return [];
+
+            default:
+                // Block elements nested inside inline context (e.g. <p> inside <li>) are flattened
+                return [
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }]),
+                    ...this.convertInlineChildren(element, preserveLines || this.preservesLines(element)),
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }])
+                ];
+        }
+    }
+
+    convertInlineChildren(element, preserveLines) {
+        const nodes = [];
+        element.childNodes.forEach(child => {
+            nodes.push(...this.convertInline(child, preserveLines));
+        });
+        return nodes;
+    }
+
+    /**
+     * Convert a text node value. Source formatting whitespace collapses to single spaces,
+     * except inside whitespace-pre-wrap containers where line breaks are meaningful.
+     */
+    convertText(value, preserveLines) {
+        if (!value) return [];
+
+        if (!preserveLines) {
+            return [{ type: 'text', value: value.replace(/\s+/g, ' ') }];
+        }
+
+        const nodes = [];
+        value.split('\n').forEach((line, index) => {
+            if (index > 0) nodes.push({ type: 'break' });
+            if (line) nodes.push({ type: 'text', value: line });
+        });
+        return nodes;
+    }
+
+    convertCodeBlock(pre) {
+        // Prefer the <code> element so toolbar labels in the <pre> header are left out
+        const codeEl = pre.querySelector('code');
+        let language = '';
+        if (codeEl && typeof codeEl.className === 'string') {
+            const langMatch = codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+            language = langMatch ? langMatch[1] : '';
+        }
+
+        return {
+            type: 'code',
+            language,
+            text: (codeEl || pre).textContent.replace(/^\n+|\s+$/g, '')
+        };
+    }
+
+    /**
+     * A Code Interpreter run outside the reply text: the innermost element holding the code and
+     * its "Result" / "STDOUT/STDERR" output (the "Analyzed" toggle is a button, removed by cleanClone)
+     */
+    isCodeRun(element) {
+        if (element.closest('.markdown, [class*="markdown"]')) {
+            return false;
+        }
+        const testId = element.getAttribute('data-testid') || '';
+        if (testId.includes('code-interpreter')) {
+            return true;
+        }
+        const holdsRun = el => !!el.querySelector('code') && !!this.findOutputLabel(el);
+        return holdsRun(element) && !Array.from(element.children).some(holdsRun);
+    }
+
+    findOutputLabel(element) {
+        return Array.from(element.querySelectorAll('div, span, p'))
+            .find(el => el.children.length === 0 && !el.closest('pre, code') &&
+                /^(Result|Output|STDOUT\/STDERR|STDOUT|STDERR|Error)$/i.test(el.textContent.trim()));
+    }
+
+    convertCodeRun(element) {
+        const codeEl = element.querySelector('code[class*="language-"]') || element.querySelector('code');
+        const langMatch = codeEl && typeof codeEl.className === 'string' && codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+        const label = this.findOutputLabel(element);
+        const outputEl = label && (label.nextElementSibling || (label.parentElement !== element ? label.parentElement.nextElementSibling : null));
+        const trimCode = text => text.replace(/^\n+|\s+$/g, '');
+
+        return {
+            type: 'codeRun',
+            language: langMatch ? langMatch[1] : 'python',
+            code: codeEl ? trimCode(codeEl.textContent) : '',
+            output: outputEl && !outputEl.contains(codeEl) ? trimCode(outputEl.textContent) : null,
+            images: Array.from(element.querySelectorAll('img')).map(img => this.convertImage(img)).filter(Boolean),
+            files: Array.from(element.querySelectorAll('a[href]')).map(link => ({
+                name: link.textContent.trim() || link.getAttribute('href').split('/').pop(),
+                href: link.getAttribute('href')
+            }))
+        };
+    }
+
+    convertList(list) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const items = [];
+
+        list.querySelectorAll(':scope > li').forEach(li => {
+            const children = [];
+            const blocks = [];
+
+            // Nested lists and code blocks stay blocks, everything else flattens into the item text
+            li.childNodes.forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && !this.isSkipped(child)) {
+                    const tagName = child.tagName.toLowerCase();
+                    if (tagName === 'ul' || tagName === 'ol') {
+                        blocks.push(this.convertList(child));
+                        return;
+                    }
+                    if (tagName === 'pre') {
+                        blocks.push(this.convertCodeBlock(child));
+                        return;
+                    }
+                }
+                children.push(...this.convertInline(child));
+            });
+
+            items.push({ type: 'listItem', children: this.trimInline(children), blocks });
+        });
+
+        return {
+            type: 'list',
+            ordered,
+            start: parseInt(list.getAttribute('start') || '1', 10),
+            items
+        };
+    }
+
+    convertTable(table) {
+        const convertCell = cell => this.trimInline(this.convertInlineChildren(cell, false));
+        const headerRow = table.querySelector('thead tr');
+
+        const header = headerRow
+            ? Array.from(headerRow.querySelectorAll('th, td')).map(convertCell)
+            : [];
+        const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr =>
+            Array.from(tr.querySelectorAll('td, th')).map(convertCell)
+        ).filter(row => row.length > 0);
+
+        return { type: 'table', header, rows };
+    }
+
+    /**
+     * Convert an image element, or return null for UI images
+     */
+    convertImage(img) {
+        const className = typeof img.className === 'string' ? img.className : '';
+        const src = img.getAttribute('src') || '';
+
+        // Skip UI images (favicons, avatars, icons)
+        if (src.includes('favicon') || src.includes('avatar') ||
+            className.includes('icon') || (img.width && img.width < 48)) {
+            return null;
+        }
+
+        return {
+            type: 'image',
+            src,
+            alt: img.getAttribute('alt') || '',
+            data: img.getAttribute('data-base64') || null
+        };
+    }
+
+    /**
+     * An image the reply generated (DALL·E / image generation) rather than one it shows from the web
+     */
+    isGeneratedImage(img) {
+        return /^Generated image\b/i.test(img.getAttribute('alt') || '') ||
+            !!img.closest('[class*="image-gen"], [class*="imagegen"], [data-testid*="image-gen"]');
+    }
+
+    /**
+     * A generated image as a figure. The page only has the prompt in the image's alt text
+     * ("Generated image: ..."), and the size in its dimensions.
+     */
+    convertFigure(img, image) {
+        const caption = (img.getAttribute('alt') || '').replace(/^Generated image\b:?\s*/i, '').trim();
+        const width = parseInt(img.getAttribute('width'), 10);
+        const height = parseInt(img.getAttribute('height'), 10);
+        return {
+            type: 'figure',
+            image,
+            caption: caption || null,
+            generation: { size: width && height ? `${width}x${height}` : null, seed: null, genId: null }
+        };
+    }
+
+    /**
+     * Elements that carry no conversation content
+     */
+    isSkipped(element) {
+        if (this.isCitation(element)) {
+            return false;
+        }
+        const tagName = element.tagName.toLowerCase();
+        if (['button', 'svg', 'script', 'style', 'noscript', 'template'].includes(tagName)) {
+            return true;
+        }
+
+        // Skip elements with specific classes (UI components)
+        const className = element.className;
+        return typeof className === 'string' &&
+            (className.includes('copy') || className.includes('edit') || className.includes('regenerate'));
+    }
+
+    isInlineTag(tagName) {
+        return ['span', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sub', 'sup', 'mark', 'small', 'abbr', 'cite', 'label', 'kbd'].includes(tagName);
+    }
+
+    preservesLines(element) {
+        return typeof element.className === 'string' && element.className.includes('whitespace-pre-wrap');
+    }
+
+    isCitation(element) {
+        return element.matches(CITATION_PILL_SELECTOR);
+    }
+
+    /**
+     * Citation node from a pill: its text ("Wikipedia +2") is the label, the page title comes from the
+     * link's tooltip when it has one, otherwise from the label without the "+N more sources" count
+     */
+    convertCitation(element) {
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+        const label = element.textContent.replace(/\s+/g, ' ').trim();
+        const tooltip = link && (link.getAttribute('title') || link.getAttribute('aria-label'));
+        return {
+            type: 'citation',
+            href: link ? link.getAttribute('href') : null,
+            label,
+            title: (tooltip || label.replace(/\s*\+\d+$/, '')).trim() || null
+        };
+    }
+
+    isMath(element) {
+        return element.classList.contains('katex') || element.classList.contains('katex-display');
+    }
+
+    isDisplayMath(element) {
+        return element.classList.contains('katex-display') ||
+            (element.classList.contains('katex') && !!element.closest('.katex-display'));
+    }
+
+    /**
+     * Read the TeX source KaTeX keeps in its MathML annotation
+     */
+    extractTex(element) {
+        const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+        return annotation ? annotation.textContent.trim() : element.textContent.trim();
+    }
+
+    /**
+     * Copy the MathML KaTeX renders alongside its HTML, so exports show real formulas without KaTeX's CSS and fonts.
+     * Event handler and link attributes are dropped; the TeX annotation is kept for copy and paste.
+     */
+    extractMathMl(element, display) {
+        const math = element.querySelector('math');
+        if (!math) {
+            return null;
+        }
+
+        const clone = math.cloneNode(true);
+        [clone, ...clone.querySelectorAll('*')].forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                if (/^on|href$/i.test(attr.name)) el.removeAttribute(attr.name);
+            });
+        });
+        clone.setAttribute('xmlns', 'http://www.w3.org/1998/Math/MathML');
+        if (display) {
+            clone.setAttribute('display', 'block');
+        }
+        return clone.outerHTML;
+    }
+
+    /**
+     * Trim leading and trailing whitespace from a run of inline nodes
+     */
+    trimInline(nodes) {
+        const result = nodes.filter(node => node.type !== 'text' || node.value !== '');
+
+        while (result.length > 0 && this.isBlankNode(result[0])) result.shift();
+        while (result.length > 0 && this.isBlankNode(result[result.length - 1])) result.pop();
+
+        if (result.length > 0 && result[0].type === 'text') {
+            result[0] = { ...result[0], value: result[0].value.replace(/^\s+/, '') };
+        }
+        const last = result.length - 1;
+        if (last >= 0 && result[last].type === 'text') {
+            result[last] = { ...result[last], value: result[last].value.replace(/\s+$/, '') };
+        }
+
+        return result;
+    }
+
+    isBlankNode(node) {
+        return node.type === 'break' || (node.type === 'text' && node.value.trim() === '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationBuilder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ConversationBuilder = ConversationBuilder;
+}
@@ -414,8 +414,8 @@ class ChatGPTDOMAnalyzer {
             return `[data-${dataAttrs[0]}="${element.dataset[dataAttrs[0]]}"]`;
         }
 
-        // Use class names as fallback
-        if (element.className) {
+        // Use class names as fallback (SVG elements expose className as an object)
+        if (typeof element.className === 'string' && element.className) {
             const classes = element.className.split(' ').filter(c => c.length > 0);
             if (classes.length > 0) {
                 return `.${classes[0]}`;
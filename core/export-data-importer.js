@@ -0,0 +1,536 @@
+/**
+ * Export Data Importer
+ * Reads conversations.json from OpenAI's "Export data" archive into the same conversation
+ * tree ConversationBuilder produces from the page (see core/conversation-builder.js),
+ * so every renderer works on it unchanged.
+ *
+ * Each conversation stores its messages as a `mapping` of nodes ({ id, parent, children, message });
+ * the conversation as shown in the UI is the path from `current_node` back to the root.
+ */
+
+class ExportDataImporter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.resolveAsset - Maps an asset pointer (file-service://file-...) to a data URL, or null
+     * @param {boolean} options.allBranches - Export every edited prompt and regenerated reply as forks
+     * @param {Function} options.resolveFile - Maps a prompt attachment ({ id, name, mimeType }) to a data URL of the file, or null
+     * @param {boolean} options.includeReasoning - Keep the thinking summaries of reasoning models
+     * @param {boolean} options.canvasVersions - Keep the earlier versions of Canvas documents too
+     */
+    constructor(options = {}) {
+        this.allBranches = Boolean(options.allBranches);
+        this.canvasVersions = Boolean(options.canvasVersions);
+        this.markdownParser = options.markdownParser || new MarkdownParser();
+        this.resolveAsset = options.resolveAsset || (() => null);
+        this.resolveFile = options.resolveFile || (() => null);
+        this.hiddenContentTypes = ['user_editable_context', 'model_editable_context', 'thoughts', 'reasoning_recap',
+            'tether_browsing_display', 'tether_quote', 'system_error'];
+        if (options.includeReasoning) {
+            this.hiddenContentTypes = this.hiddenContentTypes.filter(type => type !== 'thoughts' && type !== 'reasoning_recap');
+        }
+    }
+
+    /**
+     * Build conversation trees from the parsed conversations.json array
+     */
+    importConversations(data) {
+        const conversations = Array.isArray(data) ? data : [data];
+        return conversations.map(raw => this.buildConversation(raw));
+    }
+
+    /**
+     * Build one conversation tree from its export record
+     */
+    buildConversation(raw) {
+        const mapping = raw.mapping || {};
+        const conversationId = raw.conversation_id || raw.id || null;
+        const activeIds = this.activePath(raw);
+        const blocksById = new Map();
+        let model = raw.default_model_slug || null;
+
+        Object.keys(mapping).forEach(id => {
+            const message = mapping[id].message;
+            blocksById.set(id, message ? this.convertMessage(message) : null);
+        });
+
+        activeIds.forEach(id => {
+            const message = mapping[id].message;
+            if (message && message.author.role === 'assistant' && message.metadata && message.metadata.model_slug) {
+                model = message.metadata.model_slug;
+            }
+        });
+
+        let turns;
+        if (this.allBranches) {
+            const root = activeIds.length > 0 ? activeIds[0] : this.findRoot(mapping);
+            turns = this.buildBranchTurns(mapping, root, new Set(activeIds), blocksById, this.findVisibleSubtrees(mapping, blocksById));
+        } else {
+            turns = [];
+            activeIds.forEach(id => this.appendMessage(turns, mapping[id], blocksById.get(id)));
+        }
+        this.resolveCanvasEdits(turns);
+
+        return {
+            type: 'conversation',
+            title: raw.title || 'Untitled',
+            url: conversationId ? `https://chatgpt.com/c/${conversationId}` : 'https://chatgpt.com/',
+            conversationId,
+            model,
+            platform: 'ChatGPT',
+            exportedAt: new Date().toISOString(),
+            createdAt: this.toIsoString(raw.create_time),
+            updatedAt: this.toIsoString(raw.update_time),
+            turns
+        };
+    }
+
+    /**
+     * Add a message's blocks to the turn list
+     */
+    appendMessage(turns, node, blocks) {
+        if (!blocks || blocks.length === 0) {
+            return;
+        }
+
+        // Tool output and follow-up assistant messages belong to the same visible turn
+        const author = node.message.author.role;
+        const role = author === 'user' ? 'user' : 'assistant';
+        const lastTurn = turns[turns.length - 1];
+        if (role === 'assistant' && lastTurn && lastTurn.role === 'assistant') {
+            lastTurn.blocks.push(...this.mergeCodeRunOutput(lastTurn.blocks, author, blocks));
+            return;
+        }
+
+        turns.push({
+            type: 'turn',
+            role,
+            sender: role === 'user' ? 'You' : 'ChatGPT',
+            replyLabel: null,
+            timestamp: this.toIsoString(node.message.create_time),
+            html: null,
+            blocks: this.mergeCodeRunOutput([], author, blocks)
+        });
+    }
+
+    /**
+     * What the Python tool printed and the charts it drew go into the run that produced them,
+     * and a reasoning recap ("Thought for N seconds") labels the thinking summary before it
+     * @returns {Array} the blocks that are not part of a run
+     */
+    mergeCodeRunOutput(turnBlocks, author, blocks) {
+        const last = turnBlocks[turnBlocks.length - 1];
+        const rest = [];
+        blocks.forEach(block => {
+            if (author === 'tool' && last && last.type === 'codeRun' && block.type === 'codeOutput') {
+                last.output = last.output ? `${last.output}\n${block.text}` : block.text;
+            } else if (author === 'tool' && last && last.type === 'codeRun' && block.type === 'image') {
+                last.images.push(block);
+            } else if (block.type === 'reasoningRecap') {
+                if (last && last.type === 'reasoning') last.label = block.text;
+            } else if (block.type === 'codeOutput') {
+                rest.push({ type: 'code', language: '', text: block.text });
+            } else {
+                rest.push(block);
+            }
+        });
+        return rest;
+    }
+
+    /**
+     * Follow the tree down from nodeId. Where more than one child leads to visible messages
+     * (an edited prompt or a regenerated reply), end the list with a fork of all of them.
+     */
+    buildBranchTurns(mapping, nodeId, activeIds, blocksById, visibleSubtrees) {
+        const turns = [];
+
+        while (nodeId && mapping[nodeId]) {
+            this.appendMessage(turns, mapping[nodeId], blocksById.get(nodeId));
+
+            const children = (mapping[nodeId].children || []).filter(id => visibleSubtrees.has(id));
+            if (children.length > 1) {
+                turns.push({
+                    type: 'fork',
+                    branches: children.map((childId, index) => ({
+                        type: 'branch',
+                        index: index + 1,
+                        total: children.length,
+                        active: activeIds.has(childId),
+                        turns: this.buildBranchTurns(mapping, childId, activeIds, blocksById, visibleSubtrees)
+                    }))
+                });
+                break;
+            }
+            nodeId = children[0];
+        }
+
+        return turns;
+    }
+
+    /**
+     * Ids of nodes whose subtree contains at least one visible message.
+     * Iterative, since long conversations are chains thousands of nodes deep.
+     */
+    findVisibleSubtrees(mapping, blocksById) {
+        const visible = new Set();
+        const order = [];
+        const stack = Object.keys(mapping).filter(id => !mapping[id].parent || !mapping[mapping[id].parent]);
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+            order.push(id);
+            (mapping[id].children || []).forEach(childId => {
+                if (mapping[childId]) stack.push(childId);
+            });
+        }
+
+        // Children come after their parent in `order`, so walk it backwards
+        for (let i = order.length - 1; i >= 0; i--) {
+            const id = order[i];
+            const blocks = blocksById.get(id);
+            if ((blocks && blocks.length > 0) || (mapping[id].children || []).some(childId => visible.has(childId))) {
+                visible.add(id);
+            }
+        }
+
+        return visible;
+    }
+
+    /**
+     * Walk from current_node up the parent links and return the node ids root-first
+     */
+    activePath(raw) {
+        const mapping = raw.mapping || {};
+        const path = [];
+        const seen = new Set();
+        let nodeId = raw.current_node || this.findLastLeaf(mapping);
+
+        while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+            seen.add(nodeId);
+            path.unshift(nodeId);
+            nodeId = mapping[nodeId].parent;
+        }
+
+        return path;
+    }
+
+    findRoot(mapping) {
+        return Object.keys(mapping).find(id => !mapping[id].parent);
+    }
+
+    /**
+     * Fallback for records without current_node: follow the last child from the root
+     */
+    findLastLeaf(mapping) {
+        let nodeId = this.findRoot(mapping);
+        while (nodeId && mapping[nodeId].children && mapping[nodeId].children.length > 0) {
+            nodeId = mapping[nodeId].children[mapping[nodeId].children.length - 1];
+        }
+        return nodeId;
+    }
+
+    /**
+     * Convert a message into blocks, or return null for messages the UI does not show
+     */
+    convertMessage(message) {
+        const content = message.content || {};
+        const metadata = message.metadata || {};
+        const role = message.author && message.author.role;
+
+        if (!role || role === 'system' || metadata.is_visually_hidden_from_conversation ||
+            this.hiddenContentTypes.includes(content.content_type)) {
+            return null;
+        }
+
+        const blocks = this.convertContent(message, role, metadata);
+        const attachments = role === 'user' ? this.convertAttachments(metadata.attachments || []) : null;
+        return attachments ? [attachments, ...(blocks || [])] : blocks;
+    }
+
+    /**
+     * Blocks of the message content, by content type
+     */
+    convertContent(message, role, metadata) {
+        const content = message.content || {};
+
+        switch (content.content_type) {
+            case 'text':
+                return this.convertText(this.joinParts(content.parts), role, metadata);
+
+            case 'multimodal_text':
+                return this.convertMultimodal(content.parts || [], role, metadata);
+
+            case 'code':
+                // Tool calls (browsing, image generation, ...) are hidden; Code Interpreter input is shown
+                // and Canvas edits become the documents they write, in resolveCanvasEdits
+                if (message.recipient === 'python') {
+                    return [{ type: 'codeRun', language: 'python', code: content.text || '', output: null, images: [], files: [] }];
+                }
+                return this.convertCanvasEdit(message.recipient, content.text);
+
+            case 'execution_output':
+                // Merged into the run it belongs to by appendMessage
+                return content.text ? [{ type: 'codeOutput', text: content.text }] : null;
+
+            case 'thoughts':
+                return this.convertThoughts(content.thoughts || []);
+
+            case 'reasoning_recap':
+                // "Thought for N seconds": becomes the label of the summary before it, in appendMessage
+                return content.content ? [{ type: 'reasoningRecap', text: content.content }] : null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * A Canvas tool call as a canvasEdit block: { create: { name, type, content } } for a new
+     * document, { updates: [{ pattern, multiple, replacement }] } for an edit of the current one
+     */
+    convertCanvasEdit(recipient, text) {
+        if (recipient !== 'canmore.create_textdoc' && recipient !== 'canmore.update_textdoc') {
+            return null;
+        }
+        try {
+            const call = JSON.parse(text || '');
+            return recipient === 'canmore.create_textdoc'
+                ? [{ type: 'canvasEdit', create: call }]
+                : [{ type: 'canvasEdit', updates: call.updates || [] }];
+        } catch (e) {
+            console.warn('Cannot read Canvas edit:', e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the canvasEdit blocks of the turns with canvasDocument blocks: each document goes in the
+     * turn that created it, in the version its last edit left. Edits go to the current document (the
+     * one last created or edited). An inactive branch that edits a document created before its fork
+     * gets its own copy of the document, in the turn of that edit, so the one the UI shows is untouched.
+     * @param {Map} documents - Canvas state where the turns start: name -> { block, text, owned }
+     */
+    resolveCanvasEdits(turns, documents = new Map(), current = { name: null }) {
+        turns.forEach(turn => {
+            if (turn.type === 'fork') {
+                turn.branches.forEach(branch => {
+                    const inherited = new Map(Array.from(documents, ([name, entry]) => [name, { ...entry, owned: entry.owned && branch.active }]));
+                    this.resolveCanvasEdits(branch.turns, inherited, { ...current });
+                });
+                return;
+            }
+
+            turn.blocks = turn.blocks.flatMap(block => {
+                if (block.type !== 'canvasEdit') {
+                    return [block];
+                }
+                if (block.create) {
+                    const { name, type, content } = block.create;
+                    const language = (type || '').startsWith('code') ? type.split('/')[1] || 'text' : null;
+                    const document = { type: 'canvasDocument', title: name || 'Canvas', language, ...this.canvasContent(language, content || ''), versions: [] };
+                    current.name = document.title;
+                    documents.set(current.name, { block: document, text: content || '', owned: true });
+                    return [document];
+                }
+
+                const entry = documents.get(current.name);
+                if (!entry) {
+                    return [];
+                }
+                if (entry.owned) {
+                    this.applyCanvasUpdates(entry, block.updates);
+                    return [];
+                }
+                const copy = { block: { ...entry.block, versions: [...entry.block.versions] }, text: entry.text, owned: true };
+                documents.set(current.name, copy);
+                this.applyCanvasUpdates(copy, block.updates);
+                return [copy.block];
+            });
+        });
+
+        // Replies that did nothing but edit a document are left without blocks
+        for (let i = turns.length - 1; i >= 0; i--) {
+            if (turns[i].type === 'turn' && turns[i].blocks.length === 0) {
+                turns.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Apply a Canvas edit to a document: each update replaces what its (Python) regular expression
+     * matches, the first match only unless `multiple`
+     */
+    applyCanvasUpdates(entry, updates) {
+        let text = entry.text;
+        updates.forEach(update => {
+            try {
+                const pattern = new RegExp(update.pattern, update.multiple ? 'gs' : 's');
+                text = text.replace(pattern, (match, ...rest) => {
+                    const groups = rest.slice(0, rest.findIndex(value => typeof value === 'number'));
+                    return (update.replacement || '').replace(/\\(?:g<(\d+)>|(\d+))/g, (reference, named, numbered) =>
+                        groups[Number(named || numbered) - 1] || '');
+                });
+            } catch (e) {
+                console.warn('Cannot apply Canvas edit:', update.pattern, e.message);
+            }
+        });
+
+        const document = entry.block;
+        if (this.canvasVersions) {
+            document.versions.push({ code: document.code, blocks: document.blocks });
+        }
+        Object.assign(document, this.canvasContent(document.language, text));
+        entry.text = text;
+    }
+
+    /**
+     * A document's text as the canvasDocument fields: the code itself, or the blocks of its Markdown
+     */
+    canvasContent(language, text) {
+        return language ? { code: text, blocks: null } : { code: null, blocks: this.markdownParser.parse(text) };
+    }
+
+    /**
+     * Thinking summary: each thought's headline in bold, then its text
+     */
+    convertThoughts(thoughts) {
+        const blocks = [];
+        thoughts.forEach(thought => {
+            if (thought.summary) {
+                blocks.push({ type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: thought.summary }] }] });
+            }
+            if (thought.content) {
+                blocks.push(...this.markdownParser.parse(thought.content));
+            }
+        });
+        return blocks.length > 0 ? [{ type: 'reasoning', label: 'Reasoning', blocks }] : null;
+    }
+
+    /**
+     * Tool messages only surface their images; their text is internal
+     */
+    convertText(text, role, metadata) {
+        if (role === 'tool' || !text.trim()) {
+            return null;
+        }
+        if (role === 'user') {
+            return this.markdownParser.parsePlainText(text);
+        }
+
+        const { text: markedText, citations } = this.extractCitations(text, metadata);
+        return this.markdownParser.parse(markedText, { citations });
+    }
+
+    convertMultimodal(parts, role, metadata) {
+        const blocks = [];
+
+        parts.forEach(part => {
+            if (typeof part === 'string') {
+                blocks.push(...(this.convertText(part, role, metadata) || []));
+            } else if (part && part.content_type === 'image_asset_pointer') {
+                const image = {
+                    type: 'image',
+                    src: part.asset_pointer || '',
+                    alt: (part.metadata && part.metadata.dalle && part.metadata.dalle.prompt) || '',
+                    data: this.resolveAsset(part.asset_pointer || '') || null
+                };
+                blocks.push(part.metadata && (part.metadata.dalle || part.metadata.generation) ? this.convertFigure(part, image) : image);
+            } else if (part && part.content_type === 'audio_transcription' && part.text) {
+                blocks.push(...this.markdownParser.parsePlainText(part.text));
+            }
+        });
+
+        return blocks;
+    }
+
+    /**
+     * A generated image (DALL·E or the image generation tool) as a figure captioned with its prompt
+     */
+    convertFigure(part, image) {
+        const dalle = part.metadata.dalle || {};
+        const generation = part.metadata.generation || {};
+        const seed = [dalle.seed, generation.seed].find(value => value !== undefined && value !== null);
+        return {
+            type: 'figure',
+            image,
+            caption: dalle.prompt || null,
+            generation: {
+                size: part.width && part.height ? `${part.width}x${part.height}` : null,
+                seed: seed === undefined ? null : seed,
+                genId: dalle.gen_id || generation.gen_id || null
+            }
+        };
+    }
+
+    /**
+     * Files uploaded with a prompt. Uploaded images are left out: they are image parts of the message.
+     */
+    convertAttachments(attachments) {
+        const files = attachments
+            .filter(attachment => attachment.name && !(attachment.mime_type || '').startsWith('image/'))
+            .map(attachment => ({
+                name: attachment.name,
+                mimeType: attachment.mime_type || null,
+                size: typeof attachment.size === 'number' ? attachment.size : null,
+                href: null,
+                data: this.resolveFile({ id: attachment.id, name: attachment.name, mimeType: attachment.mime_type || null }) || null
+            }));
+        return files.length > 0 ? { type: 'attachments', files } : null;
+    }
+
+    joinParts(parts) {
+        return (parts || []).filter(part => typeof part === 'string').join('\n');
+    }
+
+    /**
+     * Replace citation markers in the text with placeholders the MarkdownParser turns into citation nodes.
+     * Older exports list them in metadata.citations (by character range, so those go first),
+     * newer ones in metadata.content_references (by matched text).
+     */
+    extractCitations(text, metadata) {
+        const citations = [];
+        const placeholder = citation => {
+            citations.push(citation);
+            return `\uE000${citations.length - 1}\uE001`;
+        };
+
+        [...(metadata.citations || [])]
+            .filter(citation => Number.isInteger(citation.start_ix) && Number.isInteger(citation.end_ix))
+            .sort((a, b) => b.start_ix - a.start_ix)
+            .forEach(citation => {
+                const source = citation.metadata || {};
+                const replacement = source.url ? placeholder({ href: source.url, label: source.title || source.url, title: source.title }) : '';
+                text = text.slice(0, citation.start_ix) + replacement + text.slice(citation.end_ix);
+            });
+
+        (metadata.content_references || []).forEach(reference => {
+            if (!reference.matched_text || !text.includes(reference.matched_text)) {
+                return;
+            }
+            const sources = (reference.items || []).length > 0 ? reference.items : (reference.sources || []);
+            const replacement = sources
+                .filter(source => source.url)
+                .map(source => placeholder({ href: source.url, label: source.attribution || source.title || source.url, title: source.title }))
+                .join('');
+            text = text.split(reference.matched_text).join(reference.type === 'hidden' ? '' : replacement);
+        });
+
+        // Drop any markers that had no reference data
+        text = text.replace(/【[^【】]*†[^【】]*】/g, '').replace(/\uE200[^\uE201]*\uE201/g, '');
+
+        return { text, citations };
+    }
+
+    toIsoString(seconds) {
+        return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportDataImporter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ExportDataImporter = ExportDataImporter;
+}
@@ -0,0 +1,235 @@
+/**
+ * Export Folder
+ * Writes exports straight into a folder the user picked once (an Obsidian vault, a git repo, ...)
+ * through the File System Access API, instead of downloading them. The folder handle is kept in
+ * IndexedDB so it survives reloads, along with the path each conversation was first written to:
+ * re-exporting a conversation overwrites that file in place even if its title changed since.
+ *
+ * Only Chromium browsers have the API; callers fall back to FileDownloader when open() returns null.
+ */
+
+class ExportFolder {
+    /**
+     * @param {FileSystemDirectoryHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        this.name = handle.name;
+        this.writes = Promise.resolve();
+        this.errors = [];
+    }
+
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function' && typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Ask the user for the destination folder and remember it. Must run from a click.
+     * @returns {Promise<ExportFolder>}
+     */
+    static async choose() {
+        const handle = await window.showDirectoryPicker({ id: 'chatgpt-exporter', mode: 'readwrite' });
+        await ExportFolder.setting('folder', handle);
+        return new ExportFolder(handle);
+    }
+
+    /**
+     * Let the user pick the folder exports are written to from now on, telling them when the browser can't.
+     * Must run from a click.
+     * @returns {Promise<ExportFolder|null>} the remembered folder when the picker is cancelled, null when
+     *     unsupported (exports are downloaded then)
+     */
+    static async pick() {
+        if (!ExportFolder.isSupported()) {
+            alert('This browser cannot write to folders (the File System Access API is missing), so exports will be downloaded.');
+            return null;
+        }
+        try {
+            const folder = await ExportFolder.choose();
+            console.log(`Exports will be saved to "${folder.name}"`);
+            return folder;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Could not choose the export folder:', error);
+            }
+            return ExportFolder.open();
+        }
+    }
+
+    /**
+     * Write a single export into the folder, in a subfolder per export date, or download it when there is no
+     * folder. Attachments (images saved as files, ...) go next to the file, or into a zip with it (ZipWriter).
+     * A filename with a folder (the gallery's "{name}/captions.json") downloads as a zip named after the folder.
+     * @param {ExportFolder|null} folder
+     * @param {Object} exported - { conversation, content, filename, mimeType, attachments: [{ path, data }] }
+     */
+    static async save(folder, { conversation, content, filename, mimeType, attachments = [] }) {
+        if (!folder) {
+            if (attachments.length === 0 && !filename.includes('/')) {
+                new FileDownloader().download(content, filename, mimeType);
+                return;
+            }
+            const zipDirectory = filename.includes('/') ? filename.slice(0, filename.lastIndexOf('/') + 1) : '';
+            const zip = new ZipWriter();
+            zip.addFile(filename, content);
+            attachments.forEach(attachment => zip.addFile(zipDirectory + attachment.path, attachment.data));
+            const zipName = filename.includes('/') ? filename.split('/')[0] : filename.replace(/\.[^.]+$/, '');
+            new FileDownloader().download(zip.generate(), `${zipName}.zip`, 'application/zip');
+            return;
+        }
+
+        const path = await folder.pathFor(conversation, filename, conversation.exportedAt.split('T')[0]);
+        await folder.writeFile(path, content);
+        const directory = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+        for (const attachment of attachments) {
+            await folder.writeFile(directory + attachment.path, attachment.data);
+        }
+        console.log(`Saved to ${folder.name}/${path}`);
+    }
+
+    /**
+     * Go back to downloading files
+     */
+    static async forget() {
+        await ExportFolder.setting('folder', null);
+    }
+
+    /**
+     * The remembered folder, asking again for write access when the browser dropped it (it does
+     * after a restart). Call it at the start of a click handler: the permission prompt needs the click.
+     * @returns {Promise<ExportFolder|null>} null when no folder was chosen, access was refused or the API is missing
+     */
+    static async open() {
+        if (!ExportFolder.isSupported()) {
+            return null;
+        }
+
+        try {
+            const handle = await ExportFolder.setting('folder');
+            if (!handle) {
+                return null;
+            }
+            const options = { mode: 'readwrite' };
+            if (await handle.queryPermission(options) !== 'granted' && await handle.requestPermission(options) !== 'granted') {
+                console.warn('Export folder: write access refused, downloading instead');
+                return null;
+            }
+            return new ExportFolder(handle);
+        } catch (error) {
+            console.warn('Export folder: could not open the saved folder, downloading instead:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write a file, creating its subfolders and replacing any file already there
+     * @param {string} path - Path inside the folder, using "/" separators
+     * @param {string|Uint8Array} data
+     */
+    async writeFile(path, data) {
+        const { directory, name } = await this.resolve(path, true);
+        const file = await directory.getFileHandle(name, { create: true });
+        const writable = await file.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    /**
+     * Text of a file in the folder, or null when it does not exist
+     */
+    async readFile(path) {
+        try {
+            const { directory, name } = await this.resolve(path, false);
+            const file = await directory.getFileHandle(name);
+            return await (await file.getFile()).text();
+        } catch (error) {
+            if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async resolve(path, create) {
+        const parts = path.split('/').filter(Boolean);
+        const name = parts.pop();
+        let directory = this.handle;
+        for (const part of parts) {
+            directory = await directory.getDirectoryHandle(part, { create });
+        }
+        return { directory, name };
+    }
+
+    /**
+     * Where a single conversation export goes: the path it was written to before, otherwise
+     * `{subfolder}/{filename}`. Conversations without an id (new and temporary chats, whose URL has none)
+     * always get the new path.
+     * @param {Object} conversation - Conversation tree (see ConversationBuilder)
+     * @param {string} filename - Name from FileDownloader.buildFilename
+     * @param {string} subfolder - e.g. the export date or the project name
+     */
+    async pathFor(conversation, filename, subfolder) {
+        const path = subfolder ? `${subfolder}/${filename}` : filename;
+        if (!conversation.conversationId) {
+            return path;
+        }
+
+        const key = `${conversation.conversationId}.${filename.split('.').pop()}`;
+        const paths = (await ExportFolder.setting('paths')) || {};
+        if (!paths[key]) {
+            paths[key] = path;
+            await ExportFolder.setting('paths', paths);
+        }
+        return paths[key];
+    }
+
+    /**
+     * Same interface as ZipWriter, so BulkExporter can write its files here instead of into a zip.
+     * Writes run one after another; generate() waits for them and returns null (nothing to download).
+     */
+    addFile(path, data) {
+        this.writes = this.writes.then(() => this.writeFile(path, data)).catch(error => {
+            console.error(`Export folder: could not write ${path}:`, error);
+            this.errors.push({ path, error });
+        });
+    }
+
+    async generate() {
+        await this.writes;
+        if (this.errors.length > 0) {
+            throw new Error(`Could not write ${this.errors.length} file(s) to "${this.name}", first: ${this.errors[0].path} (${this.errors[0].error.message})`);
+        }
+        return null;
+    }
+
+    /**
+     * Read a setting from IndexedDB, or store it when `value` is given (handles can't go in userscript storage)
+     */
+    static setting(key, value) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('chatgpt-exporter', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('settings');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const store = db.transaction('settings', value === undefined ? 'readonly' : 'readwrite').objectStore('settings');
+                const operation = value === undefined ? store.get(key) : store.put(value, key);
+                operation.onerror = () => reject(operation.error);
+                operation.onsuccess = () => {
+                    db.close();
+                    resolve(value === undefined ? operation.result : value);
+                };
+            };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportFolder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ExportFolder = ExportFolder;
+}
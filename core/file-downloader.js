@@ -0,0 +1,128 @@
+/**
+ * File Downloader
+ * Saves exported content through a temporary Blob download link, and names the exports.
+ *
+ * File names come from a template whose tokens are replaced with the conversation's details:
+ *
+ *   {title}     conversation title            {id}        conversation id (empty when unknown)
+ *   {date}      creation date, YYYY-MM-DD     {model}     model, e.g. gpt-4o (empty when unknown)
+ *   {time}      creation time, HH-MM-SS       {platform}  ChatGPT or Gemini
+ *   {count}     number of messages            {ext}       file extension
+ *
+ * The date and time are UTC, from when the conversation was created or, when the source doesn't
+ * say (exports of the page on screen), exported. The default template, "{title} ({date}).{ext}",
+ * gives the names exports always had.
+ */
+
+const DEFAULT_FILENAME_TEMPLATE = '{title} ({date}).{ext}';
+
+class FileDownloader {
+    /**
+     * @param {Object} options
+     * @param {string} options.template - File name template, e.g. "{date}_{title}_{id}.{ext}" (default "{title} ({date}).{ext}")
+     * @param {boolean} options.slugify - Lowercase the token values and join their words with hyphens
+     * @param {number} options.maxLength - Longest file name, extension included; the title is shortened first.
+     *                                      Names are refused (Error) when the extension and suffix alone reach it.
+     */
+    constructor(options = {}) {
+        this.template = options.template || DEFAULT_FILENAME_TEMPLATE;
+        this.slugify = Boolean(options.slugify);
+        this.maxLength = options.maxLength > 0 ? options.maxLength : 0;
+    }
+
+    /**
+     * Trigger a browser download for the given content
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Name an export of the conversation from the template: "{name}{suffix}.{extension}" (Issue #12).
+     * `suffix` tells apart exports of the same conversation (e.g. " report"); `title` replaces the
+     * conversation title.
+     */
+    buildFilename(conversation, extension, suffix = '', title = conversation.title) {
+        const reserved = suffix.length + extension.length + 1;
+        return `${this.buildBaseName(conversation, { title, extension, reserved })}${suffix}.${extension}`;
+    }
+
+    /**
+     * The template's name for the conversation without the extension, for callers that add their own
+     * @param {Object} options
+     * @param {string} options.title - Use instead of the conversation title
+     * @param {string} options.extension - Value of {ext} when it appears elsewhere in the template
+     * @param {number} options.reserved - Characters of maxLength kept for what the caller appends
+     */
+    buildBaseName(conversation, { title = conversation.title, extension = '', reserved = 0 } = {}) {
+        const timestamp = conversation.createdAt || conversation.exportedAt || new Date().toISOString();
+        const values = {
+            title: this.tokenValue(title) || this.tokenValue(`${conversation.platform || 'ChatGPT'}_Conversation`),
+            date: timestamp.split('T')[0],
+            time: (timestamp.split('T')[1] || '').slice(0, 8).replace(/:/g, '-'),
+            id: this.tokenValue(conversation.conversationId),
+            model: conversation.model === 'Unknown' ? '' : this.tokenValue(conversation.model),
+            platform: this.tokenValue(conversation.platform || 'ChatGPT'),
+            count: String(this.countMessages(conversation.turns || [])),
+            ext: extension
+        };
+
+        const template = this.template.replace(/\.\{ext\}$/, '');
+        const fill = titleValue => template
+            .replace(/\{(\w+)\}/g, (token, name) => name === 'title' ? titleValue : (name in values ? values[name] : token))
+            .replace(/^[\s._-]+|[\s._-]+$/g, '');
+
+        if (this.maxLength > 0 && this.maxLength <= reserved) {
+            throw new Error(`A file name of at most ${this.maxLength} characters leaves no room for a name: the extension and suffix take ${reserved}`);
+        }
+
+        let name = fill(values.title);
+        const limit = this.maxLength > 0 ? this.maxLength - reserved : 0;
+        if (limit > 0 && name.length > limit) {
+            const shortened = values.title.slice(0, Math.max(0, values.title.length - (name.length - limit))).replace(/[\s._-]+$/, '');
+            name = fill(shortened).slice(0, limit).replace(/[\s._-]+$/, '');
+        }
+        name = name || values.date;
+        return limit > 0 ? name.slice(0, limit) : name;
+    }
+
+    /**
+     * A value safe in a file name: no characters file systems reject, collapsed whitespace, and
+     * lowercase words joined by hyphens when slugifying
+     */
+    tokenValue(value) {
+        const safe = String(value || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '').replace(/\s+/g, ' ').trim();
+        if (!this.slugify) {
+            return safe;
+        }
+        return safe.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Messages in the conversation, the ones in every branch of a fork included
+     */
+    countMessages(turns) {
+        return turns.reduce((count, turn) => count + (turn.type === 'fork'
+            ? turn.branches.reduce((sum, branch) => sum + this.countMessages(branch.turns), 0)
+            : 1), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileDownloader;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.FileDownloader = FileDownloader;
+}
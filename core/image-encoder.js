@@ -0,0 +1,203 @@
+/**
+ * Image Encoder
+ * Converts images in the conversation into self-contained data URLs.
+ *
+ * Images are fetched as their original bytes (blob: URLs, and ChatGPT's own file endpoints with the
+ * signed-in session), so JPEG photos stay JPEG and animated GIFs keep their frames. They are only
+ * re-encoded through a canvas when their type is not accepted by the output, when they are larger
+ * than `maxDimension`, or when the original bytes can't be fetched (e.g. a host without CORS).
+ */
+
+class ImageEncoder {
+    /**
+     * @param {Object} options
+     * @param {string} options.mimeType - Format to re-encode to when needed: 'image/png' (default), 'image/jpeg'
+     *   (transparent areas become white) or 'image/webp'
+     * @param {string[]} options.acceptedTypes - Original types kept as they are (default: every image type);
+     *   the PDF writer takes only JPEG, Word PNG, JPEG, GIF and BMP
+     * @param {number} options.maxDimension - Downscale images whose width or height is larger (default: no limit)
+     * @param {number} options.quality - JPEG/WebP quality from 0 to 1 when re-encoding (default 0.92)
+     */
+    constructor(options = {}) {
+        this.mimeType = options.mimeType || 'image/png';
+        this.acceptedTypes = options.acceptedTypes || null;
+        this.maxDimension = options.maxDimension || 0;
+        this.quality = options.quality || 0.92;
+    }
+
+    /**
+     * Convert image to base64 data URL
+     */
+    async toBase64(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+
+        // Skip UI images
+        if (this.isUiImage(imgElement)) {
+            return null;
+        }
+
+        try {
+            const original = await this.fetchOriginal(src);
+            if (original && !this.needsReencoding(original.type, imgElement)) {
+                return await this.blobToDataUrl(original);
+            }
+
+            // For blob URLs, we can draw directly from the existing image
+            if (src.startsWith('blob:') || imgElement.complete) {
+                return this.drawToBase64(imgElement, original && original.type) ||
+                    (original ? await this.blobToDataUrl(original) : null);
+            }
+
+            // For other URLs, load the image first
+            return new Promise((resolve) => {
+                const img = new Image();
+                img.crossOrigin = 'anonymous';
+                img.onload = () => resolve(this.drawToBase64(img, original && original.type));
+                img.onerror = () => {
+                    console.warn('Failed to load image:', src);
+                    resolve(null);
+                };
+                img.src = src;
+                // Timeout after 5 seconds
+                setTimeout(() => resolve(null), 5000);
+            });
+        } catch (e) {
+            console.warn('Error converting image to base64:', e);
+            return null;
+        }
+    }
+
+    /**
+     * The image file as served, or null when it can't be fetched. Same-origin requests (ChatGPT's
+     * file endpoints) carry the session cookies; other hosts must allow CORS.
+     * @returns {Promise<Blob|null>}
+     */
+    async fetchOriginal(src) {
+        if (!src || typeof fetch !== 'function') {
+            return null;
+        }
+
+        try {
+            const url = new URL(src, location.href);
+            if (!/^(blob|data|https?):$/.test(url.protocol)) {
+                return null;
+            }
+            const sameOrigin = url.origin === location.origin || url.protocol === 'blob:' || url.protocol === 'data:';
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), 10000);
+            const response = await fetch(url.href, { credentials: sameOrigin ? 'include' : 'omit', signal: controller.signal })
+                .finally(() => clearTimeout(timer));
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return blob.type.startsWith('image/') ? blob : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the original has to go through the canvas: a type the output can't take, or too large
+     */
+    needsReencoding(type, imgElement) {
+        if (this.acceptedTypes && !this.acceptedTypes.includes(type)) {
+            return true;
+        }
+        const width = imgElement.naturalWidth || imgElement.width || 0;
+        const height = imgElement.naturalHeight || imgElement.height || 0;
+        return this.maxDimension > 0 && Math.max(width, height) > this.maxDimension;
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Draw a loaded image onto a canvas, downscaled to maxDimension, and read it back. JPEGs stay
+     * JPEG when the output accepts them; everything else uses the configured format.
+     * @param {string} originalType - MIME type of the original file, when known
+     */
+    drawToBase64(img, originalType = null) {
+        try {
+            const width = img.naturalWidth || img.width;
+            const height = img.naturalHeight || img.height;
+            if (!width || !height) {
+                return null;
+            }
+
+            const scale = this.maxDimension > 0 ? Math.min(1, this.maxDimension / Math.max(width, height)) : 1;
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+
+            const keepJpeg = originalType === 'image/jpeg' && (!this.acceptedTypes || this.acceptedTypes.includes('image/jpeg'));
+            const mimeType = keepJpeg ? 'image/jpeg' : this.mimeType;
+
+            const ctx = canvas.getContext('2d');
+            if (mimeType === 'image/jpeg') {
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL(mimeType, this.quality);
+        } catch (e) {
+            // CORS or other error
+            console.warn('Cannot draw image to canvas:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check for favicons, avatars and icons that are not conversation content
+     */
+    isUiImage(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+        const className = typeof imgElement.className === 'string' ? imgElement.className : '';
+        return src.includes('favicon') || src.includes('avatar') || className.includes('icon');
+    }
+
+    /**
+     * Encode every content image in a cloned message, reading pixels from the live originals.
+     * Sets data-base64 on each clone image that could be converted.
+     */
+    async encodeClonedImages(clone, original) {
+        // Create a map of src -> original img element (it has the actual image data)
+        const srcToOriginal = new Map();
+        original.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src');
+            if (src && !srcToOriginal.has(src)) {
+                srcToOriginal.set(src, img);
+            }
+        });
+
+        for (const img of clone.querySelectorAll('img')) {
+            if (this.isUiImage(img)) {
+                continue;
+            }
+
+            const originalImg = srcToOriginal.get(img.getAttribute('src') || '');
+            if (originalImg) {
+                const base64 = await this.toBase64(originalImg);
+                if (base64) {
+                    img.setAttribute('data-base64', base64);
+                }
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageEncoder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ImageEncoder = ImageEncoder;
+}
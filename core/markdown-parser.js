@@ -0,0 +1,453 @@
+/**
+ * Markdown Parser
+ * Parses the Markdown that ChatGPT stores in message text (e.g. in conversations.json)
+ * into the same block and inline nodes ConversationBuilder produces from the page DOM.
+ *
+ * Covers what the ChatGPT UI renders: headings, paragraphs, fenced code, nested lists,
+ * tables, blockquotes, rules, images, links, emphasis, inline code and \( \) / \[ \] / $$ math.
+ */
+
+class MarkdownParser {
+    /**
+     * Parse a Markdown document into blocks.
+     * Citation placeholders "\uE000n\uE001" (private-use characters) become citation nodes taken from options.citations[n].
+     */
+    parse(text, options = {}) {
+        this.citations = options.citations || [];
+        const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+        return this.parseBlocks(lines);
+    }
+
+    /**
+     * Plain text with meaningful line breaks (user messages are not rendered as Markdown)
+     */
+    parsePlainText(text) {
+        return String(text || '')
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/^\n+|\s+$/g, ''))
+            .filter(Boolean)
+            .map(paragraph => {
+                const children = [];
+                paragraph.split('\n').forEach((line, index) => {
+                    if (index > 0) children.push({ type: 'break' });
+                    if (line) children.push({ type: 'text', value: line });
+                });
+                return { type: 'paragraph', children };
+            });
+    }
+
+    parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^(\s*)(`{3,}|~{3,})\s*([^\s`]*)/);
+            if (fence) {
+                i = this.parseFence(lines, i, fence, blocks);
+                continue;
+            }
+
+            const mathOpen = line.trim().match(/^(\$\$|\\\[)(.*)$/);
+            if (mathOpen && this.isDisplayMathStart(mathOpen)) {
+                i = this.parseDisplayMath(lines, i, mathOpen, blocks);
+                continue;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+            if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, children: this.parseInline(heading[2]) });
+                i++;
+                continue;
+            }
+
+            if (this.isRule(line)) {
+                blocks.push({ type: 'rule' });
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s{0,3}> ?/, ''));
+                    i++;
+                }
+                blocks.push({ type: 'blockquote', blocks: this.parseBlocks(quoted) });
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                i = this.parseTable(lines, i, blocks);
+                continue;
+            }
+
+            if (this.matchListMarker(line)) {
+                i = this.parseList(lines, i, blocks);
+                continue;
+            }
+
+            i = this.parseParagraph(lines, i, blocks);
+        }
+
+        return blocks;
+    }
+
+    parseFence(lines, start, fence, blocks) {
+        const indent = fence[1].length;
+        const marker = fence[2];
+        const code = [];
+        let i = start + 1;
+
+        while (i < lines.length) {
+            const closing = lines[i].trim();
+            if (closing.startsWith(marker) && /^(`+|~+)$/.test(closing)) {
+                i++;
+                break;
+            }
+            code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+            i++;
+        }
+
+        blocks.push({ type: 'code', language: fence[3] || '', text: code.join('\n').replace(/\s+$/, '') });
+        return i;
+    }
+
+    parseDisplayMath(lines, start, mathOpen, blocks) {
+        const close = mathOpen[1] === '$$' ? '$$' : '\\]';
+        let rest = mathOpen[2];
+        const tex = [];
+        let i = start + 1;
+
+        // Single-line form: $$ x $$ or \[ x \]
+        if (rest.trim().endsWith(close) && rest.trim().length >= close.length) {
+            blocks.push({ type: 'math', tex: rest.trim().slice(0, -close.length).trim(), display: true, mathml: null });
+            return i;
+        }
+
+        if (rest.trim()) tex.push(rest);
+        while (i < lines.length) {
+            rest = lines[i].trim();
+            i++;
+            if (rest.endsWith(close)) {
+                tex.push(rest.slice(0, -close.length));
+                break;
+            }
+            tex.push(lines[i - 1]);
+        }
+
+        blocks.push({ type: 'math', tex: tex.join('\n').trim(), display: true, mathml: null });
+        return i;
+    }
+
+    /**
+     * A line opening display math on its own, or holding all of it; "\[ x \] and more" is inline
+     */
+    isDisplayMathStart(mathOpen) {
+        const close = mathOpen[1] === '$$' ? '$$' : '\\]';
+        const rest = mathOpen[2].trim();
+        return !rest.includes(close) || rest.endsWith(close);
+    }
+
+    isRule(line) {
+        return /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line);
+    }
+
+    isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length &&
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) &&
+            lines[i + 1].includes('-');
+    }
+
+    parseTable(lines, start, blocks) {
+        const header = this.splitTableRow(lines[start]);
+        const rows = [];
+        let i = start + 2;
+
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            rows.push(this.splitTableRow(lines[i]));
+            i++;
+        }
+
+        blocks.push({ type: 'table', header, rows });
+        return i;
+    }
+
+    /**
+     * Split a table row on unescaped pipes that are not inside inline code
+     */
+    splitTableRow(line) {
+        const cells = [];
+        let cell = '';
+        let inCode = false;
+        const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+
+        for (let i = 0; i < row.length; i++) {
+            const char = row[i];
+            if (char === '\\' && row[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (char === '`') {
+                inCode = !inCode;
+                cell += char;
+            } else if (char === '|' && !inCode) {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell);
+
+        return cells.map(text => this.parseInline(text.trim()));
+    }
+
+    /**
+     * Match "- ", "* ", "+ ", "1. " or "1) " list markers
+     */
+    matchListMarker(line) {
+        const match = line.match(/^(\s*)([-*+]|(\d{1,9})[.)])(\s+|$)/);
+        if (!match || this.isRule(line)) {
+            return null;
+        }
+        return {
+            indent: match[1].length,
+            ordered: match[3] !== undefined,
+            start: match[3] !== undefined ? parseInt(match[3], 10) : 1,
+            contentIndent: match[0].length,
+            content: line.slice(match[0].length)
+        };
+    }
+
+    parseList(lines, start, blocks) {
+        const first = this.matchListMarker(lines[start]);
+        const list = { type: 'list', ordered: first.ordered, start: first.start, items: [] };
+        let i = start;
+
+        while (i < lines.length) {
+            const marker = this.matchListMarker(lines[i]);
+            if (!marker || marker.ordered !== first.ordered || marker.indent > first.indent + 3) {
+                break;
+            }
+
+            // Collect the item's lines, dedented to its content column
+            const itemLines = [marker.content];
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                const indent = line.match(/^\s*/)[0].length;
+
+                if (!line.trim()) {
+                    const next = lines.slice(i + 1).find(l => l.trim());
+                    if (next === undefined || next.match(/^\s*/)[0].length < marker.contentIndent) {
+                        break;
+                    }
+                    itemLines.push('');
+                } else if (indent >= marker.contentIndent) {
+                    itemLines.push(line.slice(marker.contentIndent));
+                } else if (indent > marker.indent && this.matchListMarker(line)) {
+                    // Sloppily indented nested list
+                    itemLines.push(line.slice(Math.min(indent, marker.contentIndent)));
+                } else if (itemLines[itemLines.length - 1].trim() && !this.startsBlock(line)) {
+                    // Lazy paragraph continuation
+                    itemLines.push(line.trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            list.items.push(this.buildListItem(itemLines));
+
+            // A blank line between items keeps the list going
+            if (i < lines.length && !lines[i].trim()) {
+                const next = lines.slice(i).findIndex(l => l.trim());
+                if (next === -1 || !this.matchListMarker(lines[i + next])) {
+                    break;
+                }
+                i += next;
+            }
+        }
+
+        blocks.push(list);
+        return i;
+    }
+
+    /**
+     * The item's leading paragraph becomes its inline children; everything after it stays as blocks
+     */
+    buildListItem(itemLines) {
+        const itemBlocks = this.parseBlocks(itemLines);
+        if (itemBlocks.length > 0 && itemBlocks[0].type === 'paragraph') {
+            return { type: 'listItem', children: itemBlocks[0].children, blocks: itemBlocks.slice(1) };
+        }
+        return { type: 'listItem', children: [], blocks: itemBlocks };
+    }
+
+    parseParagraph(lines, start, blocks) {
+        const text = [lines[start].trim()];
+        let i = start + 1;
+
+        while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i]) && !this.isTableStart(lines, i)) {
+            text.push(lines[i].trim());
+            i++;
+        }
+
+        const children = this.parseInline(text.join('\n'));
+        if (children.length > 0) {
+            blocks.push({ type: 'paragraph', children });
+        }
+        return i;
+    }
+
+    /**
+     * Lines that interrupt a paragraph
+     */
+    startsBlock(line) {
+        const mathOpen = line.trim().match(/^(\$\$|\\\[)(.*)$/);
+        return /^\s*(`{3,}|~{3,}|#{1,6}\s|>)/.test(line) || (mathOpen && this.isDisplayMathStart(mathOpen)) ||
+            this.isRule(line) || !!this.matchListMarker(line);
+    }
+
+    /**
+     * Parse inline Markdown into inline nodes
+     */
+    parseInline(text) {
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const pushText = () => {
+            if (buffer) nodes.push({ type: 'text', value: buffer });
+            buffer = '';
+        };
+        const emit = (node, length) => {
+            pushText();
+            if (node) nodes.push(node);
+            i += length;
+        };
+
+        while (i < text.length) {
+            const rest = text.slice(i);
+            let match;
+
+            // Citation placeholders inserted by the importer
+            if ((match = rest.match(/^\uE000(\d+)\uE001/))) {
+                const citation = this.citations[parseInt(match[1], 10)];
+                emit(citation ? { type: 'citation', href: citation.href || null, label: citation.label || '', title: citation.title || null } : null, match[0].length);
+                continue;
+            }
+
+            if ((match = rest.match(/^\\\(([\s\S]+?)\\\)/))) {
+                emit({ type: 'math', tex: match[1].trim(), display: false, mathml: null }, match[0].length);
+                continue;
+            }
+            if ((match = rest.match(/^(?:\\\[([\s\S]+?)\\\]|\$\$([\s\S]+?)\$\$)/))) {
+                emit({ type: 'math', tex: (match[1] || match[2]).trim(), display: true, mathml: null }, match[0].length);
+                continue;
+            }
+
+            if (rest[0] === '\\' && /^[!-/:-@[-`{-~]/.test(rest[1] || '')) {
+                buffer += rest[1];
+                i += 2;
+                continue;
+            }
+
+            if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+                emit({ type: 'inlineCode', value: match[2].replace(/^ (.*) $/, '$1') }, match[0].length);
+                continue;
+            }
+
+            if ((match = rest.match(/^!\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/))) {
+                emit({ type: 'image', src: match[2], alt: match[1], data: null }, match[0].length);
+                continue;
+            }
+
+            if (rest[0] === '[' && (match = this.matchLink(rest))) {
+                const children = this.parseInline(match.text);
+                emit(this.isSafeHref(match.href) ? { type: 'link', href: match.href, children } : null, match.length);
+                if (!this.isSafeHref(match.href)) nodes.push(...children);
+                continue;
+            }
+
+            if ((match = rest.match(/^<(https?:\/\/[^\s<>]+)>/))) {
+                emit({ type: 'link', href: match[1], children: [{ type: 'text', value: match[1] }] }, match[0].length);
+                continue;
+            }
+
+            if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/)) && this.canOpen(text, i, match[1])) {
+                emit({ type: 'strong', children: this.parseInline(match[2]) }, match[0].length);
+                continue;
+            }
+
+            if ((match = rest.match(/^(\*|_)(?=[^\s*_])([\s\S]*?[^\s\\])\1(?!\1)/)) && this.canOpen(text, i, match[1]) &&
+                (match[1] === '*' || !/\w/.test(text[i + match[0].length] || ''))) {
+                emit({ type: 'emphasis', children: this.parseInline(match[2]) }, match[0].length);
+                continue;
+            }
+
+            buffer += rest[0];
+            i++;
+        }
+
+        pushText();
+        return nodes;
+    }
+
+    /**
+     * Match [text](href) with balanced brackets in the text and parentheses in the href
+     */
+    matchLink(rest) {
+        let depth = 0;
+        let end = -1;
+        for (let i = 0; i < rest.length; i++) {
+            if (rest[i] === '\\') { i++; continue; }
+            if (rest[i] === '[') depth++;
+            if (rest[i] === ']' && --depth === 0) { end = i; break; }
+        }
+        if (end === -1 || rest[end + 1] !== '(') {
+            return null;
+        }
+
+        let parens = 0;
+        for (let i = end + 2; i < rest.length; i++) {
+            if (rest[i] === '(') parens++;
+            if (rest[i] === ')' && parens-- === 0) {
+                const target = rest.slice(end + 2, i).trim().replace(/\s+"[^"]*"$/, '');
+                return { text: rest.slice(1, end), href: target.replace(/^<|>$/g, ''), length: i + 1 };
+            }
+            if (rest[i] === '\n') break;
+        }
+        return null;
+    }
+
+    /**
+     * Underscore emphasis does not open inside words (snake_case_names)
+     */
+    canOpen(text, i, delimiter) {
+        return delimiter[0] !== '_' || !/\w/.test(text[i - 1] || '');
+    }
+
+    isSafeHref(href) {
+        const lowerHref = href.toLowerCase();
+        return !!href && !lowerHref.startsWith('javascript:') && !lowerHref.startsWith('data:') &&
+            !lowerHref.startsWith('vbscript:') && !href.startsWith('#');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownParser;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.MarkdownParser = MarkdownParser;
+}
@@ -4,7 +4,13 @@
  */
 
 class MessageDetector {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {string} options.platform - 'chatgpt' (default) or 'gemini'
+     */
+    constructor(options = {}) {
+        this.platform = options.platform || 'chatgpt';
+        this.assistantName = this.platform === 'gemini' ? 'Gemini' : 'ChatGPT';
         this.domAnalyzer = new ChatGPTDOMAnalyzer();
         this.selectorCascade = new SelectorCascade();
         this.messages = [];
@@ -24,14 +30,16 @@ class MessageDetector {
         // Step 2: Find conversation container
         const conversationResult = this.selectorCascade.execute('conversationContainer');
         if (!conversationResult.success) {
-            throw new Error('Could not find conversation container');
+            console.warn('Could not find conversation container, searching the whole page');
         }
 
         // Step 3: Find message containers
-        const messagesResult = this.selectorCascade.execute('messageContainers');
+        const containerType = this.platform === 'gemini' ? 'geminiMessageContainers' : 'messageContainers';
+        const messagesResult = this.selectorCascade.execute(containerType);
         if (!messagesResult.success) {
             throw new Error('Could not find message containers');
         }
+        console.log(`Using strategy: ${messagesResult.strategy}, found ${messagesResult.data.count} messages`);
 
         // Step 4: Extract messages
         this.messages = await this.extractMessages(messagesResult.data.elements);
@@ -60,7 +68,7 @@ class MessageDetector {
         
         for (let i = 0; i < messageElements.length; i++) {
             try {
-                const messageData = await this.extractSingleMessage(messageElements[i], i);
+                const messageData = await this.extractSingleMessage(messageElements[i], i, messageElements);
                 if (messageData) {
                     messages.push(messageData);
                 }
@@ -77,9 +85,9 @@ class MessageDetector {
     /**
      * Extract a single message from its container element
      */
-    async extractSingleMessage(element, index) {
+    async extractSingleMessage(element, index, allElements = []) {
         // Step 1: Identify sender
-        const sender = await this.identifySender(element, index);
+        const sender = await this.identifySender(element, index, allElements);
         
         // Step 2: Extract content
         const content = await this.extractMessageContent(element);
@@ -87,8 +95,9 @@ class MessageDetector {
         // Step 3: Extract metadata
         const metadata = this.extractMessageMetadata(element);
 
-        if (!content || content.trim().length === 0) {
-            return null; // Skip empty messages
+        // Skip empty or too short messages (reduced threshold for Chinese text)
+        if (!content || content.trim().length < 5) {
+            return null;
         }
 
         return {
@@ -96,10 +105,14 @@ class MessageDetector {
             sender: sender.name,
             senderType: sender.type, // 'user', 'assistant', 'system'
             senderConfidence: sender.confidence,
+            reliable: sender.reliable,
+            replyLabel: this.findReplyLabel(element),
+            attachments: sender.type === 'user' ? this.selectorCascade.findAttachmentChips(element) : [],
+            canvasCards: sender.type === 'assistant' ? this.selectorCascade.findCanvasCards(element) : [],
             content,
             contentType: this.detectContentType(content),
             metadata,
-            element, // Keep reference for debugging
+            element, // Renderers convert this element into their output format
             timestamp: metadata.timestamp || null
         };
     }
@@ -107,8 +120,14 @@ class MessageDetector {
     /**
      * Identify the sender of a message using multiple strategies
      */
-    async identifySender(messageElement, messageIndex) {
-        // Strategy 1: Data attributes
+    async identifySender(messageElement, messageIndex, allElements = []) {
+        // Strategy 1: Author role on the message itself (most reliable)
+        const authorRole = messageElement.getAttribute('data-message-author-role');
+        if (authorRole) {
+            return this.createSender(authorRole === 'user' ? 'user' : 'assistant', 1.0, 'author-role', true);
+        }
+
+        // Strategy 2: Data attributes inside the message
         const dataResult = this.selectorCascade.execute('senderIdentification', {
             parentMessage: messageElement
         });
@@ -119,37 +138,140 @@ class MessageDetector {
                 name: this.normalizeSenderName(senderData.sender),
                 type: this.classifySenderType(senderData.sender),
                 confidence: senderData.confidence,
-                method: 'data-attribute'
+                method: 'data-attribute',
+                reliable: false
             };
         }
 
-        // Strategy 2: Avatar detection
-        const avatar = messageElement.querySelector('img[alt*="avatar"], img[alt*="user"], img[src*="avatar"]');
-        if (avatar) {
-            const isUser = this.isUserAvatar(avatar);
-            return {
-                name: isUser ? 'You' : 'ChatGPT',
-                type: isUser ? 'user' : 'assistant',
-                confidence: 0.8,
-                method: 'avatar-detection'
-            };
+        // Strategy 3: Avatar detection
+        const avatarSender = this.findAvatarSender(messageElement);
+        if (avatarSender) {
+            return avatarSender;
         }
 
-        // Strategy 3: Textual indicators
+        // Strategy 4: Textual indicators
         const textualSender = this.findTextualSender(messageElement);
         if (textualSender) {
             return textualSender;
         }
 
-        // Strategy 4: Structural patterns (alternating)
-        const structuralSender = this.inferStructuralSender(messageIndex);
-        if (structuralSender) {
-            return structuralSender;
+        // Strategy 5: Structural analysis - assistant messages tend to be longer and more structured
+        const hasCodeBlocks = messageElement.querySelectorAll('pre, code').length > 0;
+        const hasLongText = messageElement.textContent.length > 200;
+        const hasLists = messageElement.querySelectorAll('ul, ol, li').length > 0;
+        if (hasCodeBlocks && hasLongText && hasLists) {
+            return this.createSender('assistant', 0.6, 'structure');
+        }
+
+        // Strategy 6: Class names on the message or its parent
+        const classes = [messageElement.className, messageElement.parentElement?.className]
+            .filter(name => typeof name === 'string')
+            .join(' ')
+            .toLowerCase();
+        if (/model-response|assistant/.test(classes)) {
+            return this.createSender('assistant', 0.6, 'class-name');
+        }
+        if (classes.includes('user')) {
+            return this.createSender('user', 0.6, 'class-name');
+        }
+
+        // Strategy 7: Compare with the previous message
+        const contextualSender = this.inferContextualSender(messageElement, messageIndex, allElements);
+        if (contextualSender) {
+            return contextualSender;
+        }
+
+        // Strategy 8: Structural patterns (alternating)
+        return this.inferStructuralSender(messageIndex);
+    }
+
+    /**
+     * Build a sender result for the given sender type
+     */
+    createSender(type, confidence, method, reliable = false) {
+        return {
+            name: type === 'user' ? 'You' : this.assistantName,
+            type,
+            confidence,
+            method,
+            reliable
+        };
+    }
+
+    /**
+     * Find sender from avatar images inside the message
+     */
+    findAvatarSender(messageElement) {
+        const avatars = messageElement.querySelectorAll('img');
+        for (const avatar of avatars) {
+            const attrs = [avatar.alt, avatar.src, avatar.className]
+                .filter(value => typeof value === 'string')
+                .join(' ')
+                .toLowerCase();
+
+            // User indicators
+            if (attrs.includes('user')) {
+                return this.createSender('user', 0.8, 'avatar-detection');
+            }
+
+            // Assistant indicators
+            if (/chatgpt|assistant|gpt|gemini|bard/.test(attrs)) {
+                return this.createSender('assistant', 0.8, 'avatar-detection');
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Infer sender by comparing message length with the previous message
+     */
+    inferContextualSender(messageElement, messageIndex, allElements) {
+        if (messageIndex === 0 || !allElements[messageIndex - 1]) return null;
+
+        const prevLength = allElements[messageIndex - 1].textContent.length;
+        const currentLength = messageElement.textContent.length;
+
+        // If previous was short and current is long, likely user -> assistant
+        if (prevLength < 100 && currentLength > 300) {
+            return this.createSender('assistant', 0.5, 'contextual');
+        }
+
+        // If previous was long and current is short, likely assistant -> user
+        if (prevLength > 300 && currentLength < 100) {
+            return this.createSender('user', 0.5, 'contextual');
+        }
+
+        return null;
+    }
+
+    /**
+     * Find reply labels like "回复 1" / "Response 2" shown when ChatGPT offers two answers
+     */
+    findReplyLabel(messageElement) {
+        const isReplyLabel = text => /^回复\s*\d+$/.test(text) || /^Response\s*\d+$/i.test(text);
+
+        const parent = messageElement.closest('.flex.max-w-full');
+        if (parent && parent.previousElementSibling) {
+            const labelEl = parent.previousElementSibling.querySelector('.font-semibold, [class*="font-semibold"]');
+            if (labelEl && isReplyLabel(labelEl.textContent.trim())) {
+                return labelEl.textContent.trim();
+            }
+        }
+
+        // Also check parent's parent
+        const grandParent = messageElement.parentElement?.parentElement;
+        if (grandParent) {
+            const labels = grandParent.querySelectorAll('.font-semibold, [class*="font-semibold"]');
+            for (const label of labels) {
+                const text = label.textContent.trim();
+                if (isReplyLabel(text)) {
+                    return text;
+                }
+            }
         }
 
-        // Strategy 5: Content analysis
-        const contentSender = this.inferSenderFromContent(messageElement);
-        return contentSender;
+        return null;
     }
 
     /**
@@ -166,7 +288,10 @@ class MessageDetector {
         if (contentResult.success) {
             // Use the best content container found
             const contentContainers = Array.isArray(contentResult.data) ? contentResult.data : [contentResult.data];
-            contentElement = contentContainers[0] || messageElement;
+            // Special strategies may return descriptive objects instead of elements
+            if (contentContainers[0] && contentContainers[0].nodeType === Node.ELEMENT_NODE) {
+                contentElement = contentContainers[0];
+            }
         }
 
         // Extract and process content
@@ -199,7 +324,7 @@ class MessageDetector {
      * Process code blocks in content
      */
     processCodeBlocks(element) {
-        const codeResult = this.selectorCascade.execute('codeBlocks');
+        const codeResult = this.selectorCascade.execute('codeBlocks', { parentMessage: element });
         
         if (codeResult.success) {
             codeResult.data.forEach(codeBlock => {
@@ -343,16 +468,27 @@ class MessageDetector {
         const text = messageElement.textContent;
         
         // Look for explicit sender labels
-        const senderMatch = text.match(/^(You|ChatGPT|Assistant|System|User)[:.]?\s*/i);
+        const senderMatch = text.match(/^(You|ChatGPT|Gemini|Assistant|System|User)[:.]?\s*/i);
         if (senderMatch) {
             const senderName = senderMatch[1];
             return {
                 name: this.normalizeSenderName(senderName),
                 type: this.classifySenderType(senderName),
-                confidence: 0.9
+                confidence: 0.9,
+                method: 'textual',
+                reliable: false
             };
         }
 
+        // Look at how the message opens
+        const textStart = text.toLowerCase().trim().substring(0, 200);
+        if (/^(i understand|i can help|here's|i'll|let me|i'd be happy|certainly|of course|absolutely)/.test(textStart)) {
+            return this.createSender('assistant', 0.7, 'textual');
+        }
+        if (/^(can you|please help|how do i|i need|i want|help me|could you)/.test(textStart)) {
+            return this.createSender('user', 0.7, 'textual');
+        }
+
         // Look for contextual clues
         const contextualClues = this.analyzeContextualClues(messageElement);
         if (contextualClues) {
@@ -370,11 +506,8 @@ class MessageDetector {
         // This is a common pattern in chat interfaces
         const isUser = messageIndex % 2 === 0;
         
-        return {
-            name: isUser ? 'You' : 'ChatGPT',
-            type: isUser ? 'user' : 'assistant',
-            confidence: 0.6 // Lower confidence for structural inference
-        };
+        // Lower confidence for structural inference
+        return this.createSender(isUser ? 'user' : 'assistant', 0.6, 'alternation');
     }
 
     /**
@@ -401,7 +534,7 @@ class MessageDetector {
         
         if (assistantScore > userScore) {
             return {
-                name: 'ChatGPT',
+                name: this.assistantName,
                 type: 'assistant',
                 confidence: Math.min(0.7, 0.4 + (assistantScore * 0.1))
             };
@@ -431,8 +564,9 @@ class MessageDetector {
             return 'You';
         }
         
-        if (name.includes('chatgpt') || name.includes('assistant') || name.includes('ai')) {
-            return 'ChatGPT';
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
+            return this.assistantName;
         }
         
         if (name.includes('system')) {
@@ -453,7 +587,8 @@ class MessageDetector {
             return 'user';
         }
         
-        if (name.includes('chatgpt') || name.includes('assistant') || name.includes('ai')) {
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
             return 'assistant';
         }
         
@@ -474,7 +609,8 @@ class MessageDetector {
             timestamp: new Date().toISOString(),
             messageCount: this.messages.length,
             model: this.detectModel(),
-            conversationId: this.extractConversationId()
+            conversationId: this.extractConversationId(),
+            platform: this.assistantName
         };
     }
 
@@ -482,32 +618,28 @@ class MessageDetector {
      * Extract conversation title from page
      */
     extractConversationTitle() {
-        // Try various selectors for conversation title
+        // Try to get actual conversation title
         const titleSelectors = [
+            'h1:not([class*="hidden"])',
+            '[class*="conversation-title"]',
             '[data-testid*="conversation-title"]',
-            'h1', 'h2',
-            '.conversation-title',
-            '[class*="title"]'
+            ...(this.platform === 'gemini' ? ['[aria-label*="conversation"]'] : []),
+            'title'
         ];
+        const genericTitles = ['chatgpt', 'gemini', 'bard', 'new chat', 'untitled', 'chat'];
 
         for (const selector of titleSelectors) {
             const element = document.querySelector(selector);
-            if (element && element.textContent.trim().length > 0) {
+            if (element && element.textContent.trim()) {
                 const title = element.textContent.trim();
                 // Avoid generic titles
-                if (!['chatgpt', 'new chat', 'untitled'].includes(title.toLowerCase())) {
+                if (!genericTitles.includes(title.toLowerCase())) {
                     return title;
                 }
             }
         }
 
-        // Fallback to document title
-        const docTitle = document.title;
-        if (docTitle && !docTitle.includes('ChatGPT')) {
-            return docTitle;
-        }
-
-        return 'Conversation with ChatGPT';
+        return `Conversation with ${this.assistantName}`;
     }
 
     /**
@@ -528,39 +660,78 @@ class MessageDetector {
     }
 
     /**
-     * Extract conversation ID from URL or data attributes
+     * Extract conversation ID from the URL. New and temporary chats have none yet: null, as the page's
+     * data-testid values ("conversation-turn-1") would give every such chat the same id.
      */
     extractConversationId() {
-        // Try URL pattern
         const urlMatch = window.location.pathname.match(/\/c\/([a-zA-Z0-9-]+)/);
-        if (urlMatch) {
-            return urlMatch[1];
-        }
-
-        // Try data attributes
-        const convElement = document.querySelector('[data-conversation-id], [data-testid*="conversation"]');
-        if (convElement) {
-            return convElement.dataset.conversationId || convElement.dataset.testid;
-        }
-
-        return null;
+        return urlMatch ? urlMatch[1] : null;
     }
 
     /**
      * Post-process messages to fix any issues
      */
     postProcessMessages(messages) {
-        // Fix alternating pattern if confidence is low
-        const lowConfidenceMessages = messages.filter(msg => msg.senderConfidence < 0.7);
-        
-        if (lowConfidenceMessages.length > messages.length * 0.5) {
-            console.warn('Many low confidence sender detections, applying pattern fix...');
-            return this.applyAlternatingPattern(messages);
+        const uniqueMessages = this.removeDuplicateMessages(messages);
+        return this.fixSenderSequence(uniqueMessages);
+    }
+
+    /**
+     * Drop messages whose opening text was already seen
+     */
+    removeDuplicateMessages(messages) {
+        const seenContent = new Set();
+
+        return messages.filter(message => {
+            const contentHash = message.content.substring(0, 100).replace(/\s+/g, ' ').trim();
+            if (seenContent.has(contentHash)) {
+                console.log(`Skipping message ${message.index}: duplicate content`);
+                return false;
+            }
+            seenContent.add(contentHash);
+            return true;
+        });
+    }
+
+    /**
+     * Fix consecutive messages from the same sender when detection was unreliable
+     */
+    fixSenderSequence(messages) {
+        for (let i = 1; i < messages.length; i++) {
+            const current = messages[i];
+            const previous = messages[i - 1];
+
+            // Skip correction if either sender was reliably detected
+            if (current.reliable || previous.reliable || current.sender !== previous.sender) {
+                continue;
+            }
+
+            // Use content analysis to determine which should be flipped
+            const currentLength = current.content.length;
+            const previousLength = previous.content.length;
+
+            if (currentLength > previousLength * 2 && currentLength > 500) {
+                this.setSenderType(current, 'assistant');
+            } else if (previousLength > currentLength * 2 && previousLength > 500) {
+                this.setSenderType(previous, 'assistant');
+                this.setSenderType(current, 'user');
+            } else {
+                // Default alternating fix
+                this.setSenderType(current, current.senderType === 'user' ? 'assistant' : 'user');
+            }
+
+            console.log(`Fixed consecutive ${previous.sender} messages at positions ${i - 1} and ${i}`);
         }
 
         return messages;
     }
 
+    setSenderType(message, type) {
+        message.sender = type === 'user' ? 'You' : this.assistantName;
+        message.senderType = type;
+        message.method = 'pattern-correction';
+    }
+
     /**
      * Apply alternating pattern to fix sender detection
      */
@@ -570,7 +741,7 @@ class MessageDetector {
         
         return messages.map((message, index) => {
             if (message.senderConfidence < 0.7) {
-                message.sender = expectedSender === 'user' ? 'You' : 'ChatGPT';
+                message.sender = expectedSender === 'user' ? 'You' : this.assistantName;
                 message.senderType = expectedSender;
                 message.senderConfidence = 0.8; // Reasonable confidence from pattern
                 message.method = 'pattern-correction';
@@ -636,7 +807,7 @@ class MessageDetector {
 
     extractMessageTimestamp(element) { return null; } // Implementation needed
     extractEditCount(element) { return 0; } // Implementation needed
-    hasAttachments(element) { return false; } // Implementation needed
+    hasAttachments(element) { return this.selectorCascade.findAttachmentChips(element).length > 0; }
     analyzeContextualClues(element) { return null; } // Implementation needed
 
     /**
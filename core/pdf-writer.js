@@ -0,0 +1,346 @@
+/**
+ * PDF Writer
+ * Builds a PDF file in memory without any library (ChatGPT's Content Security Policy blocks CDN scripts).
+ * Text uses the standard Helvetica and Courier fonts every PDF viewer provides, so nothing is embedded;
+ * they cover Western European text (WinAnsi), other characters are written as "?" and collected in
+ * `unsupportedCharacters` so callers can tell the user, or use the print-ready HTML (PdfRenderer) instead.
+ * Images are embedded as JPEG or non-transparent PNG data without re-encoding.
+ */
+
+const PDF_FONTS = {
+    regular: { resource: 'F1', base: 'Helvetica' },
+    bold: { resource: 'F2', base: 'Helvetica-Bold' },
+    italic: { resource: 'F3', base: 'Helvetica-Oblique' },
+    boldItalic: { resource: 'F4', base: 'Helvetica-BoldOblique' },
+    mono: { resource: 'F5', base: 'Courier' },
+    monoBold: { resource: 'F6', base: 'Courier-Bold' }
+};
+
+// Glyph widths (1/1000 em) of the printable ASCII range 32-126, from the standard font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsiEncoding bytes 0x80-0x9F; 0xA0-0xFF match Unicode (Latin-1)
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+const WIN_ANSI_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0xa0: 278 };
+
+class PdfWriter {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Page width in points
+     * @param {number} options.height - Page height in points
+     */
+    constructor(options = {}) {
+        this.width = options.width || 612;
+        this.height = options.height || 792;
+        this.pages = [];
+        this.images = [];
+        this.unsupportedCharacters = new Set();
+    }
+
+    addPage() {
+        const page = { operations: [], links: [] };
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Width of a string in points, as it will be printed
+     */
+    textWidth(text, font, size) {
+        const mono = font === 'mono' || font === 'monoBold';
+        const widths = font === 'bold' || font === 'boldItalic' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        let total = 0;
+        for (const char of this.encodeText(text)) {
+            const code = char.charCodeAt(0);
+            total += mono ? 600 : (widths[code - 32] || WIN_ANSI_WIDTHS[code] || 556);
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Map text to WinAnsi bytes (one char per byte); unsupported characters become "?" and are remembered
+     */
+    encodeText(text) {
+        let encoded = '';
+        for (const char of String(text)) {
+            const code = char.codePointAt(0);
+            if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+                encoded += char;
+            } else if (WIN_ANSI_EXTRAS[char]) {
+                encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+            } else if (code === 9) {
+                encoded += ' ';
+            } else if (code >= 32 && !(code >= 0xfe00 && code <= 0xfe0f) && code !== 0x200d) {
+                encoded += '?';     // Variation selectors and joiners are dropped with the emoji they modify
+                this.unsupportedCharacters.add(char);
+            }
+        }
+        return encoded;
+    }
+
+    /**
+     * @param {Object} style - { font (key of PDF_FONTS), size, color (hex) }
+     */
+    drawText(page, text, x, y, style = {}) {
+        const font = PDF_FONTS[style.font] || PDF_FONTS.regular;
+        page.operations.push(`BT /${font.resource} ${this.number(style.size || 11)} Tf ${this.color(style.color || '000000')} rg ` +
+            `${this.number(x)} ${this.number(y)} Td ${this.literal(this.encodeText(text))} Tj ET`);
+    }
+
+    /**
+     * @param {Object} style - { fill, stroke (hex colors), lineWidth }
+     */
+    drawRect(page, x, y, width, height, style = {}) {
+        const paint = style.fill && style.stroke ? 'B' : style.fill ? 'f' : 'S';
+        page.operations.push(`q ${style.fill ? this.color(style.fill) + ' rg ' : ''}${style.stroke ? this.color(style.stroke) + ' RG ' : ''}` +
+            `${this.number(style.lineWidth || 0.5)} w ${[x, y, width, height].map(n => this.number(n)).join(' ')} re ${paint} Q`);
+    }
+
+    drawLine(page, x1, y1, x2, y2, style = {}) {
+        page.operations.push(`q ${this.color(style.color || '000000')} RG ${this.number(style.lineWidth || 0.5)} w ` +
+            `${this.number(x1)} ${this.number(y1)} m ${this.number(x2)} ${this.number(y2)} l S Q`);
+    }
+
+    /**
+     * Draw an image added with addImage, scaled into the given box
+     */
+    drawImage(page, image, x, y, width, height) {
+        page.operations.push(`q ${this.number(width)} 0 0 ${this.number(height)} ${this.number(x)} ${this.number(y)} cm /${image.name} Do Q`);
+    }
+
+    /**
+     * Make a box on the page open a web address when clicked
+     */
+    addLink(page, x, y, width, height, uri) {
+        page.links.push({ rect: [x, y, x + width, y + height], uri });
+    }
+
+    /**
+     * Register JPEG or PNG bytes for drawing.
+     * PNGs with an alpha channel, 16-bit samples or interlacing would need decoding and are not supported.
+     * @returns {{ name, width, height }|null}
+     */
+    addImage(bytes) {
+        const image = this.readJpeg(bytes) || this.readPng(bytes);
+        if (!image) {
+            return null;
+        }
+        image.name = `Im${this.images.length + 1}`;
+        this.images.push(image);
+        return image;
+    }
+
+    readJpeg(bytes) {
+        if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+            return null;
+        }
+
+        // Walk the segments to the start-of-frame marker (C0-CF, except DHT/JPG/DAC)
+        for (let offset = 2; offset + 9 < bytes.length;) {
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                const components = bytes[offset + 9];
+                return {
+                    width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                    height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                    dictionary: `/ColorSpace ${{ 1: '/DeviceGray', 4: '/DeviceCMYK' }[components] || '/DeviceRGB'} ` +
+                        `/BitsPerComponent 8 /Filter /DCTDecode${components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''}`,
+                    data: bytes
+                };
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * PNG image data is a zlib stream with per-row filters, which PDF reads directly through the PNG predictors
+     */
+    readPng(bytes) {
+        const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+        if (!signature.every((byte, i) => bytes[i] === byte)) {
+            return null;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let header = null;
+        let palette = null;
+
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            if (type === 'IHDR') {
+                header = { width: view.getUint32(offset + 8), height: view.getUint32(offset + 12), depth: data[8], colorType: data[9], interlace: data[12] };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'IDAT') {
+                chunks.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+            offset += 12 + length;
+        }
+
+        const colorSpaces = { 0: '/DeviceGray', 2: '/DeviceRGB', 3: palette && `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${this.hex(palette)}>]` };
+        if (!header || header.interlace || header.depth > 8 || !colorSpaces[header.colorType]) {
+            return null;
+        }
+
+        const data = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+        chunks.reduce((offset, chunk) => (data.set(chunk, offset), offset + chunk.length), 0);
+        const colors = header.colorType === 2 ? 3 : 1;
+
+        return {
+            width: header.width,
+            height: header.height,
+            dictionary: `/ColorSpace ${colorSpaces[header.colorType]} /BitsPerComponent ${header.depth} /Filter /FlateDecode ` +
+                `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent ${header.depth} /Columns ${header.width} >>`,
+            data
+        };
+    }
+
+    /**
+     * Serialize the document
+     * @param {Object} info - { title, subject } for the document properties
+     * @returns {Uint8Array}
+     */
+    generate(info = {}) {
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const catalogId = reserve();
+        const pagesId = reserve();
+        const infoId = reserve();
+
+        const fontIds = {};
+        Object.values(PDF_FONTS).forEach(font => {
+            fontIds[font.resource] = objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+        });
+        const imageIds = this.images.map(image => objects.push({
+            dictionary: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ${image.dictionary}`,
+            data: image.data
+        }));
+
+        const resources = `<< /Font << ${Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ')} >> ` +
+            `/XObject << ${this.images.map((image, i) => `/${image.name} ${imageIds[i]} 0 R`).join(' ')} >> >>`;
+
+        const pageIds = this.pages.map(page => {
+            const contentId = objects.push({ dictionary: '', data: this.bytes(page.operations.join('\n')) });
+            const annotations = page.links.map(link => objects.push(
+                `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(n => this.number(n)).join(' ')}] /Border [0 0 0] ` +
+                `/A << /S /URI /URI ${this.literal(link.uri.replace(/[^\x20-\x7e]/gu, char => encodeURIComponent(char)))} >> >>`));
+            return objects.push(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.number(this.width)} ${this.number(this.height)}] ` +
+                `/Resources ${resources} /Contents ${contentId} 0 R` +
+                `${annotations.length > 0 ? ` /Annots [${annotations.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[infoId - 1] = `<< /Title ${this.unicodeString(info.title || '')} /Subject ${this.unicodeString(info.subject || '')} ` +
+            `/Producer (ChatGPT Chat Exporter) >>`;
+
+        const chunks = [this.bytes('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+        const offsets = [];
+        let length = chunks[0].length;
+        const write = chunk => {
+            const data = typeof chunk === 'string' ? this.bytes(chunk) : chunk;
+            chunks.push(data);
+            length += data.length;
+        };
+
+        objects.forEach((object, i) => {
+            offsets.push(length);
+            write(`${i + 1} 0 obj\n`);
+            if (typeof object === 'string') {
+                write(object);
+            } else {
+                write(`<< ${object.dictionary} /Length ${object.data.length} >>\nstream\n`);
+                write(object.data);
+                write('\nendstream');
+            }
+            write('\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const pdf = new Uint8Array(length);
+        chunks.reduce((offset, chunk) => (pdf.set(chunk, offset), offset + chunk.length), 0);
+        return pdf;
+    }
+
+    /**
+     * A PDF string literal; bytes outside printable ASCII are written as octal escapes
+     */
+    literal(encoded) {
+        return '(' + encoded.replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, char => '\\' + char.charCodeAt(0).toString(8).padStart(3, '0')) + ')';
+    }
+
+    /**
+     * UTF-16 string for document properties, which (unlike page text) can hold any character
+     */
+    unicodeString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    color(hex) {
+        return [0, 2, 4].map(i => this.number(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+    }
+
+    number(n) {
+        return String(Math.round(n * 100) / 100);
+    }
+
+    hex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Bytes of a string whose characters are all below 256
+     */
+    bytes(text) {
+        const data = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            data[i] = text.charCodeAt(i);
+        }
+        return data;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.PdfWriter = PdfWriter;
+}
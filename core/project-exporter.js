@@ -0,0 +1,215 @@
+/**
+ * Project Exporter
+ * Exports a ChatGPT Project: its name, custom instructions, the list of project files and every
+ * conversation in it, as a folder in a zip:
+ *
+ *   My Project/README.md        project details and a table of the conversations
+ *   My Project/chats/*.md       one file per conversation
+ *   My Project/errors.log       conversations that failed, if any
+ *
+ * Conversations are opened and exported one by one like BulkExporter does for the whole sidebar.
+ */
+
+class ProjectExporter extends BulkExporter {
+    /**
+     * @param {Object} options - Same as BulkExporter
+     */
+    constructor(options = {}) {
+        super(options);
+        this.project = null;
+    }
+
+    /**
+     * Id of the project the current page belongs to ("g-p-" followed by hex digits), or null.
+     * Project pages live under /g/g-p-<id>-<slug>/project and their chats under /g/g-p-<id>-<slug>/c/<id>.
+     */
+    static projectId(pathname = location.pathname) {
+        const match = pathname.match(/\/g\/(g-p-[0-9a-f]+)/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Read the project's name, instructions and files. They come from the same backend the
+     * ChatGPT web app uses; when that fails, the name is taken from the page and the
+     * instructions and files are reported as unavailable.
+     * @returns {Promise<{ id, name, url, instructions, files, folder }>}
+     */
+    async readProject() {
+        const id = ProjectExporter.projectId();
+        if (!id) {
+            throw new Error('Not inside a ChatGPT Project');
+        }
+
+        const homeLink = this.findProjectHomeLink(id);
+        let details;
+        try {
+            details = await this.fetchProject(id);
+        } catch (error) {
+            console.warn('Project export: could not load the project details, using the page instead:', error);
+            details = { name: this.readProjectName(), instructions: null, files: null };
+        }
+
+        const name = details.name || this.readProjectName() || 'ChatGPT Project';
+        this.project = {
+            id,
+            name,
+            url: homeLink ? homeLink.href : location.href,
+            instructions: details.instructions,
+            files: details.files,
+            folder: name.replace(/[<>:"/\\|?*]/g, '').replace(/\s+/g, ' ').trim() || id
+        };
+        return this.project;
+    }
+
+    /**
+     * Project details from the backend API, authenticated with the signed-in session's token
+     */
+    async fetchProject(id) {
+        const session = await fetch('/api/auth/session', { credentials: 'include' }).then(response => response.json());
+        const headers = session && session.accessToken ? { Authorization: `Bearer ${session.accessToken}` } : {};
+
+        const response = await fetch(`/backend-api/gizmos/${id}`, { credentials: 'include', headers });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        const gizmo = data.gizmo || data;
+
+        return {
+            name: gizmo.display && gizmo.display.name,
+            instructions: gizmo.instructions || '',
+            files: (data.files || gizmo.files || []).map(file => ({
+                name: file.name,
+                type: file.type || '',
+                size: file.size
+            }))
+        };
+    }
+
+    /**
+     * Project name shown on the page: the project page heading, or the document title
+     */
+    readProjectName() {
+        const heading = document.querySelector('main h1');
+        if (heading && heading.textContent.trim()) {
+            return heading.textContent.trim();
+        }
+        return document.title.replace(/^ChatGPT\s*[-–|]\s*|\s*[-–|]\s*ChatGPT$/g, '').trim();
+    }
+
+    findProjectHomeLink(id) {
+        return Array.from(document.querySelectorAll(`a[href*="/g/${id}"]`))
+            .find(link => /\/project\/?$/.test(link.getAttribute('href')));
+    }
+
+    /**
+     * Only the project's conversations: the list on the project page and the project's entries in the sidebar
+     */
+    findConversationLinks() {
+        const id = this.project ? this.project.id : ProjectExporter.projectId();
+        return Array.from(document.querySelectorAll(`a[href*="/g/${id}"][href*="/c/"]`))
+            .filter(link => /\/c\/[\w-]+/.test(link.getAttribute('href') || ''));
+    }
+
+    /**
+     * The project page lists every conversation but a conversation page may not, so go back to
+     * the project page when a conversation's link is not on screen
+     */
+    async open(entry) {
+        const listed = this.findConversationLinks().some(a => a.getAttribute('href').endsWith(`/c/${entry.id}`));
+        const homeLink = this.findProjectHomeLink(this.project.id);
+        if (!listed && homeLink && !location.pathname.endsWith('/project')) {
+            homeLink.click();
+            await this.waitFor(
+                () => this.findConversationLinks().some(a => a.getAttribute('href').endsWith(`/c/${entry.id}`)),
+                'Timed out going back to the project page'
+            ).catch(() => {});
+        }
+        return super.open(entry);
+    }
+
+    /**
+     * Go back to the project page or conversation the run started from
+     */
+    async returnTo(url, entries) {
+        const homeLink = this.findProjectHomeLink(this.project.id);
+        if (/\/project\/?$/.test(new URL(url).pathname) && homeLink && location.href !== url) {
+            homeLink.click();
+            return;
+        }
+        return super.returnTo(url, entries);
+    }
+
+    chatPath(name) {
+        return `${this.project.folder}/chats/${name}`;
+    }
+
+    /**
+     * Add README.md and, when something failed, errors.log to the project folder
+     */
+    writeIndex(zip, files, errors) {
+        zip.addFile(`${this.project.folder}/README.md`, this.renderIndex(files, errors));
+        if (errors.length > 0) {
+            zip.addFile(`${this.project.folder}/errors.log`, this.renderErrorLog(errors));
+        }
+    }
+
+    /**
+     * Project README: details, custom instructions, files, then the conversation table
+     */
+    renderIndex(files, errors) {
+        const { name, url, instructions, files: projectFiles } = this.project;
+
+        const lines = [
+            `# ${name}\n`,
+            `**Project:** [${url}](${url})  `,
+            `**Exported:** ${new Date().toISOString().split('T')[0]}  `,
+            `**Conversations:** ${files.length}\n`,
+            '## Instructions\n'
+        ];
+
+        if (instructions === null) {
+            lines.push('_The instructions could not be read._\n');
+        } else {
+            lines.push(instructions.trim() ? `${instructions.trim()}\n` : '_No custom instructions._\n');
+        }
+
+        lines.push('## Files\n');
+        if (projectFiles === null) {
+            lines.push('_The file list could not be read._\n');
+        } else if (projectFiles.length === 0) {
+            lines.push('_No project files._\n');
+        } else {
+            lines.push(
+                '| File | Type | Size |',
+                '| --- | --- | --- |',
+                ...projectFiles.map(file => `| ${this.escapeMarkdown(file.name)} | ${file.type} | ${this.formatSize(file.size)} |`),
+                '',
+                'The file contents are not included in the export.\n'
+            );
+        }
+
+        lines.push('## Conversations\n', ...this.renderFileTable(files, 'chats/'), ...this.renderFailures(errors));
+        return lines.join('\n') + '\n';
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectExporter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ProjectExporter = ProjectExporter;
+}
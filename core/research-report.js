@@ -0,0 +1,107 @@
+/**
+ * Research Report
+ * Finds the Deep Research report in a conversation tree (see ConversationBuilder) and prepares it
+ * for a standalone export, without the chat around it:
+ *
+ *   title     the report's leading heading, or the conversation title when it has none
+ *   blocks    the report's content without that heading; section headings start at level 2 and
+ *             carry the `id` their table of contents entry links to
+ *   sections  the table of contents: [{ level, text, id }] for the level 2 and 3 headings
+ *
+ * ChatGPT doesn't mark Deep Research replies in the page or in conversations.json, so a reply counts
+ * as a report by its shape: several section headings and either many citations or a lot of text.
+ * When a conversation has more than one, the last is used.
+ */
+
+class ResearchReport {
+    /**
+     * @param {Object} conversation - Conversation tree
+     * @param {Object} turn - The assistant turn holding the report
+     */
+    constructor(conversation, turn) {
+        this.conversation = conversation;
+        this.turn = turn;
+
+        const blocks = turn.blocks.filter(block => block.type !== 'reasoning');
+        const first = blocks[0];
+        const hasTitle = first && first.type === 'heading' && first.level <= 2;
+        this.title = hasTitle ? this.plainText(first.children) : conversation.title;
+        this.blocks = this.numberSections(hasTitle ? blocks.slice(1) : blocks);
+        this.sections = this.blocks
+            .filter(block => block.type === 'heading' && block.level <= 3)
+            .map(block => ({ level: block.level, text: this.plainText(block.children), id: block.id }));
+    }
+
+    /**
+     * The last reply of the conversation that reads like a research report, or null
+     */
+    static find(conversation) {
+        const turns = conversation.turns.filter(turn => turn.type !== 'fork' && turn.role === 'assistant');
+        const turn = turns.reverse().find(candidate => ResearchReport.isReport(candidate));
+        return turn ? new ResearchReport(conversation, turn) : null;
+    }
+
+    /**
+     * At least 3 section headings and 10 citations or 3000 characters of text
+     */
+    static isReport(turn) {
+        const counts = { heading: 0, citation: 0, characters: 0 };
+        const visit = node => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+            } else if (node && typeof node === 'object') {
+                if (node.type === 'heading') counts.heading++;
+                if (node.type === 'citation') counts.citation++;
+                if (node.type === 'text') counts.characters += node.value.length;
+                Object.values(node).forEach(visit);
+            }
+        };
+        visit(turn.blocks.filter(block => block.type !== 'reasoning'));
+        return counts.heading >= 3 && (counts.citation >= 10 || counts.characters >= 3000);
+    }
+
+    /**
+     * Copy the blocks with their headings shifted so sections start at level 2, and give each an
+     * anchor id: GitHub's heading slug, so the Markdown table of contents links work there too
+     */
+    numberSections(blocks) {
+        const levels = blocks.filter(block => block.type === 'heading').map(block => block.level);
+        const shift = levels.length > 0 ? 2 - Math.min(...levels) : 0;
+        const used = new Map();
+
+        return blocks.map(block => {
+            if (block.type !== 'heading') {
+                return block;
+            }
+            const slug = this.slugify(this.plainText(block.children));
+            const count = used.get(slug) || 0;
+            used.set(slug, count + 1);
+            return { ...block, level: Math.min(6, block.level + shift), id: count > 0 ? `${slug}-${count}` : slug };
+        });
+    }
+
+    slugify(text) {
+        return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-') || 'section';
+    }
+
+    /**
+     * Text of inline nodes, without citations
+     */
+    plainText(nodes) {
+        return (nodes || []).map(node => {
+            if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+            if (node.type === 'math') return node.tex;
+            return node.type === 'citation' ? '' : this.plainText(node.children);
+        }).join('').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResearchReport;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ResearchReport = ResearchReport;
+}
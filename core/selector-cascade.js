@@ -45,6 +45,18 @@ class SelectorCascade {
 
         // Message Container Strategies
         this.addStrategy('messageContainers', [
+            {
+                name: 'author-role',
+                selector: 'div[data-message-author-role]',
+                priority: 12,
+                description: 'Modern ChatGPT with clear author role'
+            },
+            {
+                name: 'conversation-turns',
+                selector: 'article[data-testid*="conversation-turn"], div[data-testid="conversation-turn"], .group\\/conversation-turn',
+                priority: 11,
+                description: 'Conversation turn containers (fix for issue #6)'
+            },
             {
                 name: 'modern-message-attrs',
                 selector: '[data-testid*="message"], [data-message-id], [data-message-author]',
@@ -65,15 +77,55 @@ class SelectorCascade {
             },
             {
                 name: 'chatgpt-groups',
-                selector: 'div[class*="group"]',
+                selector: 'div[class*="group"]:not([class*="group"] [class*="group"])',
                 priority: 6,
-                description: 'ChatGPT group-based messages (legacy)'
+                description: 'ChatGPT group-based messages (legacy, top-level groups only)'
             },
             {
                 name: 'text-base-fallback',
                 selector: '.text-base',
                 priority: 4,
                 description: 'Generic text base fallback'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
+            }
+        ]);
+
+        // Gemini Message Container Strategies
+        this.addStrategy('geminiMessageContainers', [
+            {
+                name: 'gemini-conversation-turn',
+                selector: '[data-test-id="conversation-turn"], [class*="conversation-turn"]',
+                priority: 10,
+                description: 'Gemini conversation turn containers'
+            },
+            {
+                name: 'gemini-model-response',
+                selector: 'model-response',
+                priority: 9,
+                description: 'Gemini model response elements'
+            },
+            {
+                name: 'gemini-presentation',
+                selector: '[role="presentation"] > div, .conversation-container > div',
+                priority: 8,
+                description: 'Gemini presentation containers'
+            },
+            {
+                name: 'gemini-generic',
+                selector: '[class*="message"], div[class*="turn"]:not([class*="turn"] [class*="turn"])',
+                priority: 6,
+                description: 'Generic message and turn classes'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
             }
         ]);
 
@@ -105,6 +157,66 @@ class SelectorCascade {
             }
         ]);
 
+        // Attachment Chip Strategies (files uploaded with a prompt, shown above the message text)
+        this.addStrategy('attachmentChips', [
+            {
+                name: 'attachment-attrs',
+                selector: '[data-testid*="attachment"], [data-testid*="file-tile"], [data-testid*="file-thumbnail"]',
+                priority: 10,
+                description: 'Attachment data attributes'
+            },
+            {
+                name: 'attachment-classes',
+                selector: '[class*="file-tile"], [class*="file-preview"], [class*="attachment"]',
+                priority: 8,
+                description: 'Attachment and file preview classes'
+            },
+            {
+                name: 'file-chip',
+                selector: 'div.group.relative.inline-block',
+                priority: 6,
+                description: 'Bordered chip with an icon, the file name and its type'
+            }
+        ]);
+
+        // Canvas Card Strategies (the document or code a reply opened in Canvas, shown in the message as a card)
+        this.addStrategy('canvasCards', [
+            {
+                name: 'textdoc-id',
+                selector: '[id^="textdoc-message-"]',
+                priority: 10,
+                description: 'Card carrying the Canvas document id'
+            },
+            {
+                name: 'canvas-attrs',
+                selector: '[data-testid*="canvas"], [data-testid*="textdoc"]',
+                priority: 8,
+                description: 'Canvas data attributes'
+            },
+            {
+                name: 'canvas-classes',
+                selector: '[class*="textdoc"], [class*="canvas-card"]',
+                priority: 6,
+                description: 'Canvas card classes'
+            }
+        ]);
+
+        // Canvas Panel Strategies (the side panel showing the open document, outside the messages)
+        this.addStrategy('canvasPanel', [
+            {
+                name: 'canvas-panel-attrs',
+                selector: '[data-testid*="canvas-panel"], [data-testid*="textdoc-panel"], section[aria-label*="Canvas"]',
+                priority: 10,
+                description: 'Canvas panel data attributes'
+            },
+            {
+                name: 'canvas-editors',
+                selector: '.cm-editor, .ProseMirror',
+                priority: 8,
+                description: 'Code (CodeMirror) or text (ProseMirror) editor outside the messages and the prompt box'
+            }
+        ]);
+
         // Sender Identification Strategies
         this.addStrategy('senderIdentification', [
             {
@@ -174,9 +286,11 @@ class SelectorCascade {
      */
     execute(type, options = {}) {
         const cacheKey = `${type}_${JSON.stringify(options)}`;
+        // Element references all serialize to "{}", so scoped lookups must never be cached
+        const cacheable = !options.parentMessage && !options.fresh;
         
         // Return cached result if available and not expired
-        if (this.cache.has(cacheKey) && !this.isCacheExpired(cacheKey)) {
+        if (cacheable && this.cache.has(cacheKey) && !this.isCacheExpired(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
@@ -219,11 +333,13 @@ class SelectorCascade {
         }
 
         // Cache the result
-        this.cache.set(cacheKey, {
-            ...result,
-            timestamp: Date.now(),
-            ttl: options.cacheTtl || 30000 // 30 seconds default
-        });
+        if (cacheable) {
+            this.cache.set(cacheKey, {
+                ...result,
+                timestamp: Date.now(),
+                ttl: options.cacheTtl || 30000 // 30 seconds default
+            });
+        }
 
         // Track performance
         this.trackPerformance(type, result);
@@ -240,8 +356,9 @@ class SelectorCascade {
             return this.executeSpecialStrategy(strategy, type, options);
         }
 
-        // Standard selector-based strategy
-        const elements = document.querySelectorAll(strategy.selector);
+        // Standard selector-based strategy, scoped to a message when one is given
+        const root = options.parentMessage || document;
+        const elements = root.querySelectorAll(strategy.selector);
         
         if (elements.length === 0) {
             return null;
@@ -253,8 +370,16 @@ class SelectorCascade {
                 return this.processConversationContainer(elements);
             case 'messageContainers':
                 return this.processMessageContainers(elements, options);
+            case 'geminiMessageContainers':
+                return this.processMessageContainers(elements, { ...options, minLength: 30 });
             case 'messageContent':
                 return this.processMessageContent(elements, options);
+            case 'attachmentChips':
+                return this.processAttachmentChips(elements);
+            case 'canvasCards':
+                return this.processCanvasCards(elements);
+            case 'canvasPanel':
+                return this.processCanvasPanel(elements);
             case 'senderIdentification':
                 return this.processSenderIdentification(elements, options);
             case 'codeBlocks':
@@ -271,10 +396,12 @@ class SelectorCascade {
         switch (strategy.name) {
             case 'content-based':
                 return this.contentBasedConversationDetection();
+            case 'container-children':
+                return this.containerChildrenDetection(type, options);
             case 'direct-text':
                 return this.directTextExtraction(options.parentElement);
             case 'textual-indicators':
-                return this.textualSenderDetection();
+                return this.textualSenderDetection(options.parentMessage);
             case 'structural-alternation':
                 return this.structuralSenderDetection(options.messageElements);
             default:
@@ -308,8 +435,9 @@ class SelectorCascade {
     /**
      * Process message container results
      */
-    processMessageContainers(elements, options) {
-        const messages = Array.from(elements).filter(el => this.isLikelyMessage(el));
+    processMessageContainers(elements, options = {}) {
+        const candidates = Array.from(elements).filter(el => this.isLikelyMessage(el, options.minLength));
+        const messages = this.removeNestedElements(candidates);
         
         return {
             elements: messages,
@@ -322,13 +450,128 @@ class SelectorCascade {
      * Process message content results
      */
     processMessageContent(elements, options) {
-        if (!options.parentMessage) {
-            return Array.from(elements);
+        // Elements are already scoped to options.parentMessage by executeStrategy.
+        // File name and type labels of attachment chips are not the message text.
+        const chips = this.findAttachmentChips(options.parentMessage);
+        return Array.from(elements).filter(element => !chips.some(chip => chip.element.contains(element)));
+    }
+
+    /**
+     * Process attachment chip results: one { element, name, label, size, href } per chip showing a file name
+     */
+    processAttachmentChips(elements) {
+        const candidates = Array.from(elements).filter(element => this.findFileNames(element).length === 1);
+        return this.removeNestedElements(candidates).map(element => this.readAttachmentChip(element));
+    }
+
+    /**
+     * Attachment chips inside a message, or [] when it has none
+     */
+    findAttachmentChips(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('attachmentChips', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
+
+    /**
+     * Read a chip: the file name, the type label next to it (e.g. "PDF", "Spreadsheet"),
+     * the size when shown and the download link when the chip has one
+     */
+    readAttachmentChip(element) {
+        const name = this.findFileNames(element)[0];
+        const texts = this.getLeafTexts(element);
+        const sizeMatch = element.textContent.match(/(\d+(?:[.,]\d+)?)\s*(B|KB|MB|GB)\b/i);
+        const label = texts.find(text => text !== name && !/^\d/.test(text)) || null;
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+
+        return {
+            element,
+            name,
+            label,
+            size: sizeMatch ? this.parseFileSize(sizeMatch[1], sizeMatch[2]) : null,
+            href: link ? link.href : null
+        };
+    }
+
+    /**
+     * Process Canvas card results: one { element, id, title } per card, id being the document id when the card has it
+     */
+    processCanvasCards(elements) {
+        const candidates = Array.from(elements).filter(element => element.tagName.toLowerCase() !== 'canvas' && element.textContent.trim());
+        return this.removeNestedElements(candidates).map(element => {
+            const idMatch = (element.id || '').match(/^textdoc-message-(.+)$/);
+            return {
+                element,
+                id: idMatch ? idMatch[1] : element.getAttribute('data-textdoc-id'),
+                title: this.getLeafTexts(element)[0]
+            };
+        });
+    }
+
+    /**
+     * Canvas cards inside a message, or [] when it has none
+     */
+    findCanvasCards(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('canvasCards', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
+
+    /**
+     * Process Canvas panel results: the first editor that is not part of a message or the prompt box,
+     * as { element, editor, kind: 'code' | 'document', language }
+     */
+    processCanvasPanel(elements) {
+        for (const element of elements) {
+            if (element.closest('[data-message-author-role], form, #prompt-textarea')) {
+                continue;
+            }
+            const code = element.closest('.cm-editor') || element.querySelector('.cm-editor');
+            const text = element.closest('.ProseMirror') || element.querySelector('.ProseMirror');
+            const editor = code || text;
+            if (editor && editor.textContent.trim()) {
+                const labelled = editor.closest('[data-language]') || editor.querySelector('[data-language]');
+                const languageClass = editor.querySelector('[class*="language-"]') || editor;
+                const classMatch = (typeof languageClass.className === 'string' ? languageClass.className : '').match(/language-([\w+#-]+)/);
+                return {
+                    element,
+                    editor,
+                    kind: code ? 'code' : 'document',
+                    language: labelled ? labelled.getAttribute('data-language') : (classMatch ? classMatch[1] : null)
+                };
+            }
         }
+        return null;
+    }
 
-        // Find content within the specific parent message
-        const parentContent = options.parentMessage.querySelectorAll(elements[0].tagName);
-        return Array.from(parentContent);
+    /**
+     * The open Canvas panel, or null. Never cached: it changes with every document opened.
+     */
+    findCanvasPanel() {
+        const result = this.execute('canvasPanel', { fresh: true });
+        return result && result.success ? result.data : null;
+    }
+
+    /**
+     * Texts of an element that look like a whole file name ("report.pdf", "data 2024.xlsx")
+     */
+    findFileNames(element) {
+        return this.getLeafTexts(element).filter(text => text.length <= 255 && /^[^\s/\\][^/\\]*\.[a-z0-9]{1,8}$/i.test(text));
+    }
+
+    /**
+     * Trimmed texts of the elements that have no child elements
+     */
+    getLeafTexts(element) {
+        return Array.from(element.querySelectorAll('*'))
+            .filter(node => node.children.length === 0)
+            .map(node => node.textContent.trim())
+            .filter(Boolean);
+    }
+
+    parseFileSize(value, unit) {
+        const multipliers = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(value.replace(',', '.')) * multipliers[unit.toLowerCase()]);
     }
 
     /**
@@ -378,6 +621,19 @@ class SelectorCascade {
         return null;
     }
 
+    /**
+     * Fallback: treat direct children of the conversation container as messages
+     */
+    containerChildrenDetection(type, options) {
+        const container = document.querySelector('[role="main"], main, .conversation, [class*="conversation"]');
+        if (!container) return null;
+
+        const children = container.querySelectorAll(':scope > div, :scope > article');
+        console.log(`Fallback: found ${children.length} potential messages in conversation container`);
+        const minLength = type === 'geminiMessageContainers' ? 30 : options.minLength;
+        return this.processMessageContainers(children, { ...options, minLength });
+    }
+
     /**
      * Direct text extraction from parent element
      */
@@ -396,8 +652,8 @@ class SelectorCascade {
     /**
      * Textual sender detection
      */
-    textualSenderDetection() {
-        const textNodes = this.getTextNodes(document.body);
+    textualSenderDetection(parentElement) {
+        const textNodes = this.getTextNodes(parentElement || document.body);
         const senderIndicators = [];
 
         for (const node of textNodes) {
@@ -406,6 +662,8 @@ class SelectorCascade {
             
             if (senderMatch) {
                 senderIndicators.push({
+                    type: 'textual',
+                    sender: senderMatch[1],
                     text: senderMatch[1],
                     element: node.parentElement,
                     confidence: this.calculateTextualSenderConfidence(text, node.parentElement)
@@ -453,9 +711,57 @@ class SelectorCascade {
         return score;
     }
 
-    isLikelyMessage(element) {
+    isLikelyMessage(element, minLength = 5) {
         const text = element.textContent.trim();
-        return text.length > 10 && text.length < 100000; // Reasonable message length
+        // Reasonable message length (low minimum for Chinese text)
+        if (text.length < minLength || text.length > 100000) return false;
+
+        // Skip elements that are clearly UI components
+        if (element.querySelector('input[type="text"], textarea')) return false;
+        if (element.classList.contains('typing') || element.classList.contains('loading')) return false;
+
+        return true;
+    }
+
+    /**
+     * Drop candidates nested inside another candidate so each message is counted once
+     */
+    removeNestedElements(elements) {
+        const consolidated = [];
+        const usedElements = new Set();
+
+        elements.forEach(element => {
+            if (usedElements.has(element)) return;
+
+            const isNested = elements.some(other =>
+                other !== element && other.contains(element) && !usedElements.has(other)
+            );
+
+            if (!isNested) {
+                consolidated.push(element);
+                usedElements.add(element);
+            }
+        });
+
+        return consolidated;
+    }
+
+    /**
+     * Check whether a strategy produced something usable for the given type
+     */
+    isValidResult(result, type) {
+        if (!result) return false;
+        if (Array.isArray(result)) return result.length > 0;
+
+        switch (type) {
+            case 'messageContainers':
+            case 'geminiMessageContainers':
+                return result.count > 0;
+            case 'conversationContainer':
+                return !!result.element;
+            default:
+                return true;
+        }
     }
 
     hasConversationCharacteristics(element) {
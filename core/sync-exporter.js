@@ -0,0 +1,127 @@
+/**
+ * Sync Exporter
+ * Incremental version of BulkExporter for keeping an archive up to date: a manifest remembers, per
+ * conversation id (MessageDetector.extractConversationId), the file it was exported to, how many
+ * turns it had, a hash of its last message and when it was exported. A sync run only packages the
+ * conversations that are new or whose content changed. When the earlier turns are unchanged and
+ * the archived file is available, the new turns are appended to it instead of re-exporting it.
+ *
+ * Manifest: { version: 1, conversations: { [id]: { title, href, file, turns, hash, exportedAt } } }
+ */
+
+class SyncExporter extends BulkExporter {
+    /**
+     * @param {Object} options - Same as BulkExporter, plus:
+     * @param {Object} options.manifest - The manifest of the previous syncs (updated in place as the run goes)
+     * @param {Object} options.renderer - Renderer the conversations are exported with, used to render appended turns
+     * @param {Function} options.readExisting - async (fileName) => content of the archived file, or null
+     */
+    constructor(options = {}) {
+        super(options);
+        this.manifest = options.manifest || SyncExporter.emptyManifest();
+        this.renderer = options.renderer;
+        this.readExisting = options.readExisting || (async () => null);
+        this.summary = { added: 0, appended: 0, rewritten: 0, unchanged: 0 };
+    }
+
+    static emptyManifest() {
+        return { version: 1, conversations: {} };
+    }
+
+    /**
+     * Add the conversation if it is new or changed, appending to the archived file when possible
+     */
+    async addConversation(zip, entry, result, usedNames) {
+        const { conversation, content } = result;
+        const id = conversation.conversationId || entry.id;
+        const turns = conversation.turns;
+        const hash = await this.hashTurn(turns[turns.length - 1]);
+        const previous = this.manifest.conversations[id];
+
+        if (previous && previous.hash === hash && previous.turns === turns.length) {
+            this.summary.unchanged++;
+            usedNames.add(previous.file.toLowerCase());
+            return null;
+        }
+
+        let name;
+        if (previous) {
+            name = previous.file;
+            usedNames.add(name.toLowerCase());
+        } else {
+            name = this.uniqueName(this.fileName(result), this.archivedNames(usedNames));
+        }
+
+        // Earlier turns unchanged: the archived file plus the new turns is the up-to-date export
+        const existing = previous && turns.length > previous.turns &&
+            await this.hashTurn(turns[previous.turns - 1]) === previous.hash
+            ? await this.readExisting(name)
+            : null;
+
+        if (existing !== null) {
+            zip.addFile(this.chatPath(name), `${existing}\n${this.renderer.renderAppendedTurns(turns.slice(previous.turns), existing)}`);
+            this.summary.appended++;
+        } else {
+            zip.addFile(this.chatPath(name), content);
+            this.summary[previous ? 'rewritten' : 'added']++;
+        }
+        this.addAttachments(zip, result);
+
+        this.manifest.conversations[id] = {
+            title: conversation.title,
+            href: entry.href,
+            file: name,
+            turns: turns.length,
+            hash,
+            exportedAt: new Date().toISOString()
+        };
+        return { name, entry, turns: turns.length };
+    }
+
+    /**
+     * Names taken in the archive, so a new conversation never reuses the file of an archived one
+     */
+    archivedNames(usedNames) {
+        Object.values(this.manifest.conversations).forEach(archived => usedNames.add(archived.file.toLowerCase()));
+        return usedNames;
+    }
+
+    /**
+     * The sync's index.md lists the whole archive, not only this run's changes, so it can replace the previous one
+     */
+    renderIndex(files, errors) {
+        const archived = Object.values(this.manifest.conversations).map(archived => ({
+            name: archived.file,
+            entry: { title: archived.title, href: archived.href },
+            turns: archived.turns
+        }));
+        const changed = files.length === 1 ? '1 conversation' : `${files.length} conversations`;
+
+        return [
+            '# ChatGPT Conversations\n',
+            `${archived.length} conversations archived from ${location.hostname}; last synced on ${new Date().toISOString().split('T')[0]} (${changed} new or changed).\n`,
+            ...this.renderFileTable(archived.sort((a, b) => a.name.localeCompare(b.name)), ''),
+            ...this.renderFailures(errors)
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * SHA-256 of a turn's role and content. Image data and URLs are left out: ChatGPT serves
+     * images from signed URLs that change on every visit.
+     */
+    async hashTurn(turn) {
+        const json = JSON.stringify([turn.role, turn.blocks], (key, value) => key === 'data' || key === 'src' ? undefined : value);
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(json));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncExporter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.SyncExporter = SyncExporter;
+}
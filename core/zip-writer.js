@@ -0,0 +1,131 @@
+/**
+ * Zip Writer
+ * Assembles a zip archive in memory without any library, so packaged exports (DOCX, folders of files)
+ * work under ChatGPT's Content Security Policy, which blocks loading scripts from CDNs.
+ * Entries are stored uncompressed.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file. Strings are encoded as UTF-8. Adding a name again replaces the earlier file,
+     * so the archive never holds two entries with one path.
+     * @param {string} name - Path inside the archive, using "/" separators
+     * @param {string|Uint8Array} data
+     * @param {Date} date - Modification time shown by unzip tools
+     */
+    addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const entry = { path: name, name: new TextEncoder().encode(name), bytes, crc: ZipWriter.crc32(bytes), date };
+        const index = this.entries.findIndex(existing => existing.path === name);
+        if (index >= 0) {
+            this.entries[index] = entry;
+        } else {
+            this.entries.push(entry);
+        }
+    }
+
+    /**
+     * Build the archive: local headers and data, then the central directory
+     * @returns {Uint8Array}
+     */
+    generate() {
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const { time, day } = this.dosDateTime(entry.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);                  // version needed
+            local.setUint16(6, 0x0800, true);              // UTF-8 names
+            local.setUint16(8, 0, true);                   // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.bytes.length, true);
+            local.setUint32(22, entry.bytes.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);                 // version made by
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, day, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.bytes.length, true);
+            header.setUint32(24, entry.bytes.length, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint32(42, offset, true);
+
+            chunks.push(new Uint8Array(local.buffer), entry.name, entry.bytes);
+            central.push(new Uint8Array(header.buffer), entry.name);
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+
+        const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    /**
+     * MS-DOS time and date fields (local time, 2-second resolution, years from 1980)
+     */
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ZipWriter = ZipWriter;
+}
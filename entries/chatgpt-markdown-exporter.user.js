@@ -0,0 +1,610 @@
+// ==UserScript==
+// @name         ChatGPT Chat Exporter - Markdown
+// @namespace    https://github.com/rashidazarang/chatgpt-chat-exporter
+// @version      0.5.0
+// @description  Export ChatGPT conversations to Markdown format
+// @author       rashidazarang
+// @match        https://chat.openai.com/*
+// @match        https://chatgpt.com/*
+// @match        https://chatgpt.com/c/*
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
+// @license      MIT
+// ==/UserScript==
+
+const MARKDOWN_PROFILE_KEY = 'markdownProfile';
+const IMAGE_FILES_KEY = 'imageFiles';
+const IMAGE_MAX_DIMENSION_KEY = 'imageMaxDimension';
+const ATTACHMENT_FILES_KEY = 'attachmentFiles';
+const INCLUDE_REASONING_KEY = 'includeReasoning';
+const CANVAS_VERSIONS_KEY = 'canvasVersions';
+const FILENAME_TEMPLATE_KEY = 'filenameTemplate';
+const FILENAME_SLUGIFY_KEY = 'filenameSlugify';
+const FILENAME_MAX_LENGTH_KEY = 'filenameMaxLength';
+
+function getSetting(key, defaultValue) {
+    return typeof GM_getValue === 'function' ? GM_getValue(key, defaultValue) : defaultValue;
+}
+
+/**
+ * Renderer for the chosen Markdown profile: 'standard' or 'obsidian' (frontmatter, callouts, image attachments).
+ * Standard Markdown inlines images unless they are set to be saved as files in assets/.
+ */
+function createMarkdownRenderer() {
+    if (getSetting(MARKDOWN_PROFILE_KEY, 'standard') === 'obsidian') {
+        return new ObsidianRenderer();
+    }
+    return new MarkdownRenderer({ assetFolder: getSetting(IMAGE_FILES_KEY, false) ? 'assets' : null });
+}
+
+/**
+ * File downloader naming exports with the file name template, slug and length settings
+ */
+function createFileDownloader() {
+    return new FileDownloader({
+        template: getSetting(FILENAME_TEMPLATE_KEY, ''),
+        slugify: getSetting(FILENAME_SLUGIFY_KEY, false),
+        maxLength: getSetting(FILENAME_MAX_LENGTH_KEY, 0)
+    });
+}
+
+/**
+ * Run the Markdown pipeline on the conversation on screen
+ * @param {Object} options
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {string} options.title - Use this title instead of the one detected on the page
+ * @param {boolean} options.report - Render only the Deep Research report (content is null when there is none)
+ * @param {boolean} options.gallery - Render only the generated images: content is their captions.json, in a folder
+ *                                    with them (null when there are none)
+ * @returns {Promise<{ conversation, content, filename, attachments }|null>} null when no messages were found
+ */
+async function convertToMarkdown(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        return null;
+    }
+
+    console.log(`Processing ${result.messages.length} messages...`);
+
+    console.log('Converting images to base64...');
+    const maxDimension = getSetting(IMAGE_MAX_DIMENSION_KEY, 0);
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder({ maxDimension, quality: 0.85 }),
+        attachmentFiles: getSetting(ATTACHMENT_FILES_KEY, false),
+        includeReasoning: getSetting(INCLUDE_REASONING_KEY, false),
+        canvasVersions: getSetting(CANVAS_VERSIONS_KEY, false)
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+    if (options.title) {
+        conversation.title = options.title;
+    }
+    let renderer = createMarkdownRenderer();
+    if (options.report) {
+        renderer = new MarkdownReportRenderer();
+    } else if (options.gallery) {
+        renderer = new GalleryRenderer();
+    }
+    const content = renderer.renderConversation(conversation);
+    let filename = renderer instanceof ObsidianRenderer ? `${renderer.noteName(conversation)}.md` : null;
+    if (options.report && content !== null) {
+        filename = createFileDownloader().buildFilename(conversation, 'md', ' report', ResearchReport.find(conversation).title);
+    } else if (options.gallery && content !== null) {
+        filename = createFileDownloader().buildFilename(conversation, 'zip', ' images').replace(/\.zip$/, '/captions.json');
+    }
+    return { conversation, content, filename, attachments: renderer.attachments };
+}
+
+/**
+ * @param {Object} options - Same as convertToMarkdown, plus:
+ * @param {boolean} options.chooseFolder - Pick a new export folder first
+ */
+async function exportToMarkdown(options = {}) {
+    // Before any other await: the folder permission prompt needs the click
+    const folder = options.chooseFolder ? await ExportFolder.pick() : await ExportFolder.open();
+    const exported = await convertToMarkdown(options);
+    if (!exported) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    const filename = exported.filename || createFileDownloader().buildFilename(exported.conversation, 'md');
+    await ExportFolder.save(folder, { ...exported, filename, mimeType: 'text/markdown' });
+
+    console.log(`Export completed: ${exported.conversation.turns.length} messages exported`);
+}
+
+/**
+ * Export only the Deep Research report of the conversation on screen, as a standalone document
+ */
+async function exportReportToMarkdown() {
+    const folder = await ExportFolder.open();
+    const exported = await convertToMarkdown({ report: true });
+    if (!exported || exported.content === null) {
+        alert(exported ? 'No Deep Research report found in this conversation.' : 'No messages found. The page structure may have changed.');
+        return;
+    }
+
+    // The export folder remembers one path per conversation and extension: keep the report's apart from the chat's
+    const id = exported.conversation.conversationId;
+    await ExportFolder.save(folder, { ...exported, conversation: { ...exported.conversation, conversationId: id && `${id}-report` }, mimeType: 'text/markdown' });
+    console.log('Export completed: Deep Research report exported');
+}
+
+/**
+ * Export only the images generated in the conversation on screen, into a folder with their captions.json
+ */
+async function exportGalleryToMarkdown() {
+    const folder = await ExportFolder.open();
+    const exported = await convertToMarkdown({ gallery: true });
+    if (!exported || exported.content === null) {
+        alert(exported ? 'No generated images found in this conversation.' : 'No messages found. The page structure may have changed.');
+        return;
+    }
+
+    const id = exported.conversation.conversationId;
+    await ExportFolder.save(folder, { ...exported, conversation: { ...exported.conversation, conversationId: id && `${id}-gallery` }, mimeType: 'application/json' });
+    console.log(`Export completed: ${exported.attachments.length} generated images exported`);
+}
+
+/**
+ * Export every conversation in the sidebar into one zip, or into a dated subfolder of the export folder
+ * (so its index.md doesn't replace one already there, as in an Obsidian vault)
+ */
+async function exportAllToMarkdown() {
+    const folder = await ExportFolder.open();
+    const date = new Date().toISOString().split('T')[0];
+    await runBulkExport(BulkExporter, async exporter => {
+        const entries = await exporter.collectConversations();
+        if (entries.length === 0) {
+            alert('No conversations found in the sidebar. Open the sidebar and try again.');
+            return null;
+        }
+        return { entries, what: `${entries.length} conversations`, zipName: `ChatGPT Conversations (${date}).zip` };
+    }, { archive: folder, subfolder: folder ? `ChatGPT Export (${date})` : '' });
+}
+
+/**
+ * Export the open ChatGPT Project (instructions, file list and every conversation) into one zip
+ */
+async function exportProjectToMarkdown() {
+    const folder = await ExportFolder.open();
+    await runBulkExport(ProjectExporter, async exporter => {
+        const project = await exporter.readProject();
+        const entries = await exporter.collectConversations();
+        if (entries.length === 0) {
+            alert('No conversations found in this project. Open the project page and try again.');
+            return null;
+        }
+        const date = new Date().toISOString().split('T')[0];
+        return { entries, what: `the ${entries.length} conversations of "${project.name}"`, zipName: `${project.folder} (${date}).zip` };
+    }, { archive: folder });
+}
+
+const SYNC_MANIFEST_KEY = 'syncManifest';
+
+/**
+ * Export only the conversations that are new or changed since the last sync. The manifest lives in
+ * userscript storage. New messages are appended to the archived files: in place when exports go to
+ * an export folder, otherwise to the files of the archive folder picked at the start.
+ */
+async function syncToMarkdown() {
+    if (document.querySelector('#chatgpt-export-all-panel')) return;
+
+    const manifest = loadSyncManifest();
+    const archived = Object.keys(manifest.conversations).length;
+    // Ask for the folder first, while the click still allows opening a file picker
+    const folder = await ExportFolder.open();
+    const existingFiles = archived > 0 && !folder ? await pickArchiveFolder() : new Map();
+
+    const result = await runBulkExport(SyncExporter, async exporter => {
+        const entries = await exporter.collectConversations();
+        if (entries.length === 0) {
+            alert('No conversations found in the sidebar. Open the sidebar and try again.');
+            return null;
+        }
+        const date = new Date().toISOString().split('T')[0];
+        const what = archived > 0
+            ? `the new and changed conversations among ${entries.length} (${archived} already archived)`
+            : `${entries.length} conversations and start a sync archive`;
+        return { entries, what, zipName: `ChatGPT Sync (${date}).zip` };
+    }, {
+        manifest,
+        renderer: createMarkdownRenderer(),
+        archive: folder,
+        readExisting: async name => {
+            if (folder) return folder.readFile(name);
+            return existingFiles.has(name) ? existingFiles.get(name).text() : null;
+        }
+    });
+
+    if (result) {
+        saveSyncManifest(manifest);
+        const { added, appended, rewritten, unchanged } = result.exporter.summary;
+        console.log(`Sync completed: ${added} new, ${appended} appended, ${rewritten} re-exported, ${unchanged} unchanged`);
+        if (result.errors.length === 0) {
+            const next = folder ? `Saved to "${folder.name}".` : 'Unzip into your archive folder, replacing existing files.';
+            alert(`Sync complete: ${added} new, ${appended + rewritten} updated, ${unchanged} unchanged. ${next}`);
+        }
+    }
+}
+
+function loadSyncManifest() {
+    const stored = typeof GM_getValue === 'function'
+        ? GM_getValue(SYNC_MANIFEST_KEY, null)
+        : localStorage.getItem(SYNC_MANIFEST_KEY);
+    try {
+        const manifest = typeof stored === 'string' ? JSON.parse(stored) : stored;
+        return manifest && manifest.conversations ? manifest : SyncExporter.emptyManifest();
+    } catch (error) {
+        console.warn('Sync manifest unreadable, starting a new one:', error);
+        return SyncExporter.emptyManifest();
+    }
+}
+
+function saveSyncManifest(manifest) {
+    if (typeof GM_setValue === 'function') {
+        GM_setValue(SYNC_MANIFEST_KEY, JSON.stringify(manifest));
+    } else {
+        localStorage.setItem(SYNC_MANIFEST_KEY, JSON.stringify(manifest));
+    }
+}
+
+/**
+ * Let the user pick the folder the previous syncs were unzipped into
+ * @returns {Promise<Map<string, File>>} its Markdown files by name; empty when the picker is cancelled
+ */
+function pickArchiveFolder() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.webkitdirectory = true;
+        input.multiple = true;
+        input.addEventListener('change', () => {
+            const files = new Map();
+            Array.from(input.files)
+                .filter(file => file.name.endsWith('.md'))
+                .forEach(file => files.set(file.name, file));
+            resolve(files);
+        });
+        input.addEventListener('cancel', () => resolve(new Map()));
+        input.click();
+    });
+}
+
+/**
+ * Run a bulk export with a progress panel to pause, resume or cancel, then download the zip
+ * @param {Function} Exporter - BulkExporter or a subclass
+ * @param {Function} prepare - async (exporter) => { entries, what, zipName }, or null to stop
+ * @param {Object} options - Extra options for the exporter; `archive` is the ExportFolder to write to instead of a zip
+ * @returns {Promise<{ exporter, exported, errors }|null>} null when nothing was exported
+ */
+async function runBulkExport(Exporter, prepare, options = {}) {
+    if (document.querySelector('#chatgpt-export-all-panel')) return null;
+
+    const panel = createProgressPanel();
+    const exporter = new Exporter({
+        ...options,
+        exportConversation: entry => convertToMarkdown({ title: entry.title }),
+        extension: 'md',
+        fileDownloader: createFileDownloader(),
+        onProgress: progress => panel.update(progress)
+    });
+    panel.pauseButton.addEventListener('click', () => {
+        if (exporter.state === 'paused') {
+            exporter.resume();
+            panel.pauseButton.textContent = 'Pause';
+        } else {
+            exporter.pause();
+            panel.pauseButton.textContent = 'Resume';
+            panel.status.textContent += ' (pausing after this conversation)';
+        }
+    });
+    panel.cancelButton.addEventListener('click', () => {
+        exporter.cancel();
+        panel.status.textContent = 'Stopping, the conversations done so far will be downloaded...';
+    });
+
+    try {
+        const plan = await prepare(exporter);
+        if (!plan || !confirm(`Export ${plan.what} to Markdown? Each one is opened in turn, which takes a while.`)) {
+            return null;
+        }
+
+        const { zip, exported, errors } = await exporter.run(plan.entries);
+        if (zip) {
+            new FileDownloader().download(zip, plan.zipName, 'application/zip');
+        } else {
+            console.log(`Bulk export written to "${options.archive.name}"`);
+        }
+
+        console.log(`Bulk export completed: ${exported} conversations exported, ${errors.length} failed`);
+        if (errors.length > 0) {
+            alert(`${exported} conversations exported, ${errors.length} failed — see errors.log${zip ? ' in the zip' : ''}.`);
+        }
+        return { exporter, exported, errors };
+    } catch (error) {
+        console.error('Bulk export failed:', error);
+        alert(`Export failed: ${error.message}`);
+        return null;
+    } finally {
+        panel.element.remove();
+    }
+}
+
+/**
+ * Floating panel showing the bulk export's progress
+ */
+function createProgressPanel() {
+    const element = document.createElement('div');
+    element.id = 'chatgpt-export-all-panel';
+    element.style.cssText = `
+        position: fixed;
+        bottom: 200px;
+        right: 20px;
+        width: 280px;
+        padding: 12px 16px;
+        background: white;
+        color: #333;
+        border-radius: 8px;
+        z-index: 10001;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        box-shadow: 0 2px 10px rgba(0,0,0,0.25);
+    `;
+
+    const counter = document.createElement('div');
+    counter.style.fontWeight = '600';
+    const status = document.createElement('div');
+    status.style.cssText = 'margin: 4px 0 8px; color: #666; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    const bar = document.createElement('div');
+    bar.style.cssText = 'height: 6px; background: #eee; border-radius: 3px; overflow: hidden; margin-bottom: 10px;';
+    const fill = document.createElement('div');
+    fill.style.cssText = 'height: 100%; width: 0; background: #10a37f; transition: width 0.3s;';
+    bar.appendChild(fill);
+
+    const button = label => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.style.cssText = 'margin-right: 8px; padding: 4px 12px; border: 1px solid #ccc; border-radius: 4px; background: white; cursor: pointer;';
+        return btn;
+    };
+    const pauseButton = button('Pause');
+    const cancelButton = button('Cancel');
+
+    element.append(counter, status, bar, pauseButton, cancelButton);
+    document.body.appendChild(element);
+
+    return {
+        element,
+        status,
+        pauseButton,
+        cancelButton,
+        update({ done, total, failed, title }) {
+            counter.textContent = `Exported ${done}/${total}${failed > 0 ? ` (${failed} failed)` : ''}`;
+            status.textContent = title;
+            fill.style.width = total > 0 ? `${Math.round(done / total * 100)}%` : '0';
+        }
+    };
+}
+
+// Add export button to the page
+function addExportButton() {
+    // Check if button already exists
+    if (document.querySelector('#chatgpt-export-markdown-btn')) return;
+
+    const button = document.createElement('button');
+    button.id = 'chatgpt-export-markdown-btn';
+    button.textContent = 'Export as Markdown';
+    button.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        padding: 10px 20px;
+        background-color: #10a37f;
+        color: white;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        font-weight: 500;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    `;
+
+    button.title = 'Shift+click to include every branch (edited prompts and regenerated replies)' +
+        (ExportFolder.isSupported() ? '\nAlt+click to choose a folder to save exports to' : '');
+    button.addEventListener('click', event => exportToMarkdown({ allBranches: event.shiftKey, chooseFolder: event.altKey }));
+    button.addEventListener('mouseenter', () => {
+        button.style.backgroundColor = '#0d8f6e';
+    });
+    button.addEventListener('mouseleave', () => {
+        button.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(button);
+
+    const exportAllButton = document.createElement('button');
+    exportAllButton.id = 'chatgpt-export-all-btn';
+    exportAllButton.textContent = 'Export all';
+    exportAllButton.title = 'Export every conversation in the sidebar to Markdown, as one zip';
+    exportAllButton.style.cssText = button.style.cssText;
+    exportAllButton.style.bottom = '65px';
+    exportAllButton.addEventListener('click', exportAllToMarkdown);
+    exportAllButton.addEventListener('mouseenter', () => {
+        exportAllButton.style.backgroundColor = '#0d8f6e';
+    });
+    exportAllButton.addEventListener('mouseleave', () => {
+        exportAllButton.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(exportAllButton);
+
+    const syncButton = document.createElement('button');
+    syncButton.id = 'chatgpt-sync-btn';
+    syncButton.textContent = 'Sync';
+    syncButton.title = 'Export only the conversations that are new or changed since the last sync. Pick your archive folder to append new messages to its files.';
+    syncButton.style.cssText = button.style.cssText;
+    syncButton.style.bottom = '110px';
+    syncButton.addEventListener('click', syncToMarkdown);
+    syncButton.addEventListener('mouseenter', () => {
+        syncButton.style.backgroundColor = '#0d8f6e';
+    });
+    syncButton.addEventListener('mouseleave', () => {
+        syncButton.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(syncButton);
+
+    const projectButton = document.createElement('button');
+    projectButton.id = 'chatgpt-export-project-btn';
+    projectButton.textContent = 'Export project';
+    projectButton.title = 'Export this project\'s instructions, file list and conversations to Markdown, as one zip';
+    projectButton.style.cssText = button.style.cssText;
+    projectButton.style.bottom = '155px';
+    projectButton.addEventListener('click', exportProjectToMarkdown);
+    projectButton.addEventListener('mouseenter', () => {
+        projectButton.style.backgroundColor = '#0d8f6e';
+    });
+    projectButton.addEventListener('mouseleave', () => {
+        projectButton.style.backgroundColor = '#10a37f';
+    });
+
+    document.body.appendChild(projectButton);
+    updateProjectButton();
+}
+
+// The project button only shows inside a ChatGPT Project
+function updateProjectButton() {
+    const projectButton = document.querySelector('#chatgpt-export-project-btn');
+    const display = ProjectExporter.projectId() ? 'block' : 'none';
+    if (projectButton && projectButton.style.display !== display) {
+        projectButton.style.display = display;
+    }
+}
+
+if (typeof GM_registerMenuCommand === 'function') {
+    GM_registerMenuCommand('Export Deep Research report', exportReportToMarkdown);
+    GM_registerMenuCommand('Export generated images (gallery)', exportGalleryToMarkdown);
+    GM_registerMenuCommand('Switch Markdown profile (standard / Obsidian)', () => {
+        const profile = GM_getValue(MARKDOWN_PROFILE_KEY, 'standard') === 'obsidian' ? 'standard' : 'obsidian';
+        GM_setValue(MARKDOWN_PROFILE_KEY, profile);
+        alert(profile === 'obsidian'
+            ? 'Markdown exports now use the Obsidian profile: frontmatter, callouts and images saved as attachments.'
+            : 'Markdown exports now use the standard profile.');
+    });
+    GM_registerMenuCommand('Switch images between inline and separate files (assets/)', () => {
+        const imageFiles = !GM_getValue(IMAGE_FILES_KEY, false);
+        GM_setValue(IMAGE_FILES_KEY, imageFiles);
+        alert(imageFiles
+            ? 'Images are now saved as files in an assets/ folder next to the Markdown (exports with images download as a zip).'
+            : 'Images are now embedded in the Markdown as data URLs.');
+    });
+    GM_registerMenuCommand('Switch attached files between listed only and included', () => {
+        const attachmentFiles = !GM_getValue(ATTACHMENT_FILES_KEY, false);
+        GM_setValue(ATTACHMENT_FILES_KEY, attachmentFiles);
+        alert(attachmentFiles
+            ? 'Files attached to prompts are now saved next to the Markdown when they can be downloaded (exports with files download as a zip).'
+            : 'Files attached to prompts are now only listed by name, type and size.');
+    });
+    GM_registerMenuCommand('Switch reasoning summaries on/off', () => {
+        const includeReasoning = !GM_getValue(INCLUDE_REASONING_KEY, false);
+        GM_setValue(INCLUDE_REASONING_KEY, includeReasoning);
+        alert(includeReasoning
+            ? 'The "Thought for N seconds" summaries of reasoning models are now exported as quoted sections.'
+            : 'Reasoning summaries are now left out of exports.');
+    });
+    GM_registerMenuCommand('Switch Canvas version history on/off', () => {
+        const canvasVersions = !GM_getValue(CANVAS_VERSIONS_KEY, false);
+        GM_setValue(CANVAS_VERSIONS_KEY, canvasVersions);
+        alert(canvasVersions
+            ? 'The earlier versions of Canvas documents are now saved next to their latest version.'
+            : 'Only the latest version of Canvas documents is now exported.');
+    });
+    GM_registerMenuCommand('Set file name template...', () => {
+        const answer = prompt(
+            'File name template. Tokens: {title}, {date}, {time}, {id}, {model}, {platform}, {count} (messages), {ext}.\n' +
+            'Leave empty for the default, "{title} ({date}).{ext}".',
+            GM_getValue(FILENAME_TEMPLATE_KEY, '')
+        );
+        if (answer === null) {
+            return;
+        }
+        GM_setValue(FILENAME_TEMPLATE_KEY, answer.trim());
+        alert(answer.trim()
+            ? `Exports are now named after the template "${answer.trim()}".`
+            : 'Exports are now named "{title} ({date}).{ext}" again.');
+    });
+    GM_registerMenuCommand('Switch file name slugs on/off', () => {
+        const slugify = !GM_getValue(FILENAME_SLUGIFY_KEY, false);
+        GM_setValue(FILENAME_SLUGIFY_KEY, slugify);
+        alert(slugify
+            ? 'File names now use lowercase words joined by hyphens, e.g. "my-chat-title".'
+            : 'File names now keep titles as they are.');
+    });
+    GM_registerMenuCommand('Set file name length limit...', () => {
+        const answer = prompt(
+            'Longest file name, extension included (0 for no limit). Long titles are shortened to fit:',
+            String(GM_getValue(FILENAME_MAX_LENGTH_KEY, 0))
+        );
+        if (answer === null) {
+            return;
+        }
+        const maxLength = Math.max(0, parseInt(answer, 10) || 0);
+        GM_setValue(FILENAME_MAX_LENGTH_KEY, maxLength);
+        alert(maxLength
+            ? `File names are now at most ${maxLength} characters long.`
+            : 'File names are no longer shortened.');
+    });
+    GM_registerMenuCommand('Set image size limit...', () => {
+        const answer = prompt(
+            'Downscale images wider or taller than this many pixels (0 keeps the original files):',
+            String(GM_getValue(IMAGE_MAX_DIMENSION_KEY, 0))
+        );
+        if (answer === null) {
+            return;
+        }
+        const maxDimension = Math.max(0, parseInt(answer, 10) || 0);
+        GM_setValue(IMAGE_MAX_DIMENSION_KEY, maxDimension);
+        alert(maxDimension
+            ? `Images larger than ${maxDimension}px are now downscaled.`
+            : 'Images are now exported at their original size and format.');
+    });
+}
+
+if (typeof GM_registerMenuCommand === 'function' && ExportFolder.isSupported()) {
+    GM_registerMenuCommand('Download exports instead of saving them to a folder', async () => {
+        await ExportFolder.forget();
+        alert('Exports will be downloaded again. Alt+click "Export as Markdown" to choose a folder.');
+    });
+}
+
+// Wait for page to load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', addExportButton);
+} else {
+    // Add button after a short delay to ensure page is fully loaded
+    setTimeout(addExportButton, 1000);
+}
+
+// Re-add button if navigation changes (for SPAs)
+const observer = new MutationObserver(() => {
+    if (!document.querySelector('#chatgpt-export-markdown-btn')) {
+        addExportButton();
+    }
+    updateProjectButton();
+});
+
+observer.observe(document.body, { childList: true, subtree: true });
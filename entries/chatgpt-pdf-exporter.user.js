@@ -0,0 +1,179 @@
+// ==UserScript==
+// @name         ChatGPT Chat Exporter - PDF
+// @namespace    https://github.com/rashidazarang/chatgpt-chat-exporter
+// @version      0.5.0
+// @description  Export ChatGPT conversations to PDF
+// @author       rashidazarang
+// @match        https://chat.openai.com/*
+// @match        https://chatgpt.com/*
+// @match        https://chatgpt.com/c/*
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
+// @license      MIT
+// ==/UserScript==
+
+const FILENAME_TEMPLATE_KEY = 'filenameTemplate';
+const FILENAME_SLUGIFY_KEY = 'filenameSlugify';
+const FILENAME_MAX_LENGTH_KEY = 'filenameMaxLength';
+
+function getSetting(key, defaultValue) {
+    return typeof GM_getValue === 'function' ? GM_getValue(key, defaultValue) : defaultValue;
+}
+
+/**
+ * File downloader naming exports with the file name template, slug and length settings
+ */
+function createFileDownloader() {
+    return new FileDownloader({
+        template: getSetting(FILENAME_TEMPLATE_KEY, ''),
+        slugify: getSetting(FILENAME_SLUGIFY_KEY, false),
+        maxLength: getSetting(FILENAME_MAX_LENGTH_KEY, 0)
+    });
+}
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.chooseFolder - Pick a new export folder first
+ */
+async function exportToPDF(options = {}) {
+    // Before any other await: the folder permission prompt needs the click
+    const folder = options.chooseFolder ? await ExportFolder.pick() : await ExportFolder.open();
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('PDF: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`PDF: Processing ${result.messages.length} messages...`);
+
+    // The PDF writer embeds JPEG; other formats are converted
+    console.log('PDF: Converting images...');
+    const imageEncoder = new ImageEncoder({ mimeType: 'image/jpeg', acceptedTypes: ['image/jpeg'] });
+    const conversation = await new ConversationBuilder({ imageEncoder }).build(result);
+    const renderer = new PdfDocumentRenderer();
+    const pdf = renderer.renderConversation(conversation);
+
+    // The PDF fonts only cover Western European text: rather than print "?", let the browser make the PDF
+    if (renderer.unsupportedCharacters.length > 0) {
+        const html = new PdfRenderer().renderConversation(conversation);
+        const filename = createFileDownloader().buildFilename(conversation, 'html', ' - PrintToPDF');
+        await ExportFolder.save(folder, { conversation, content: html, filename, mimeType: 'text/html' });
+        console.log(`PDF: Characters the PDF fonts can't show (${renderer.unsupportedCharacters.slice(0, 10).join(' ')}), exported print-ready HTML instead`);
+        alert('This conversation has characters the PDF fonts can\'t show (non-Latin scripts, symbols or emoji), ' +
+            'so it was saved as print-ready HTML instead. Open the file and press Ctrl+P (Cmd+P on Mac), then choose "Save as PDF".');
+        return;
+    }
+
+    await ExportFolder.save(folder, { conversation, content: pdf, filename: createFileDownloader().buildFilename(conversation, 'pdf'), mimeType: 'application/pdf' });
+
+    console.log(`PDF: Export completed - ${result.messages.length} messages processed`);
+}
+
+// Add export button to the page
+function addExportButton() {
+    // Check if button already exists
+    if (document.querySelector('#chatgpt-export-pdf-btn')) return;
+
+    const button = document.createElement('button');
+    button.id = 'chatgpt-export-pdf-btn';
+    button.textContent = 'Export as PDF';
+    button.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 180px;
+        padding: 10px 20px;
+        background-color: #3498db;
+        color: white;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        font-weight: 500;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    `;
+
+    if (ExportFolder.isSupported()) {
+        button.title = 'Alt+click to choose a folder to save exports to';
+    }
+    button.addEventListener('click', event => exportToPDF({ chooseFolder: event.altKey }));
+    button.addEventListener('mouseenter', () => {
+        button.style.backgroundColor = '#2c7fb8';
+    });
+    button.addEventListener('mouseleave', () => {
+        button.style.backgroundColor = '#3498db';
+    });
+
+    document.body.appendChild(button);
+}
+
+if (typeof GM_registerMenuCommand === 'function') {
+    GM_registerMenuCommand('Set file name template...', () => {
+        const answer = prompt(
+            'File name template. Tokens: {title}, {date}, {time}, {id}, {model}, {platform}, {count} (messages), {ext}.\n' +
+            'Leave empty for the default, "{title} ({date}).{ext}".',
+            GM_getValue(FILENAME_TEMPLATE_KEY, '')
+        );
+        if (answer === null) {
+            return;
+        }
+        GM_setValue(FILENAME_TEMPLATE_KEY, answer.trim());
+        alert(answer.trim()
+            ? `PDFs are now named after the template "${answer.trim()}".`
+            : 'PDFs are now named "{title} ({date}).pdf" again.');
+    });
+    GM_registerMenuCommand('Switch file name slugs on/off', () => {
+        const slugify = !GM_getValue(FILENAME_SLUGIFY_KEY, false);
+        GM_setValue(FILENAME_SLUGIFY_KEY, slugify);
+        alert(slugify
+            ? 'File names now use lowercase words joined by hyphens, e.g. "my-chat-title".'
+            : 'File names now keep titles as they are.');
+    });
+    GM_registerMenuCommand('Set file name length limit...', () => {
+        const answer = prompt(
+            'Longest file name, extension included (0 for no limit). Long titles are shortened to fit:',
+            String(GM_getValue(FILENAME_MAX_LENGTH_KEY, 0))
+        );
+        if (answer === null) {
+            return;
+        }
+        const maxLength = Math.max(0, parseInt(answer, 10) || 0);
+        GM_setValue(FILENAME_MAX_LENGTH_KEY, maxLength);
+        alert(maxLength
+            ? `File names are now at most ${maxLength} characters long.`
+            : 'File names are no longer shortened.');
+    });
+}
+
+if (typeof GM_registerMenuCommand === 'function' && ExportFolder.isSupported()) {
+    GM_registerMenuCommand('Download exports instead of saving them to a folder', async () => {
+        await ExportFolder.forget();
+        alert('Exports will be downloaded again. Alt+click "Export as PDF" to choose a folder.');
+    });
+}
+
+// Wait for page to load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', addExportButton);
+} else {
+    // Add button after a short delay to ensure page is fully loaded
+    setTimeout(addExportButton, 1000);
+}
+
+// Re-add button if navigation changes (for SPAs)
+const observer = new MutationObserver(() => {
+    if (!document.querySelector('#chatgpt-export-pdf-btn')) {
+        addExportButton();
+    }
+});
+
+observer.observe(document.body, { childList: true, subtree: true });
@@ -0,0 +1,58 @@
+// Console exporter: paste into DevTools on a ChatGPT conversation to download it as a Word document
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {Object} options.imageOptions - ImageEncoder size limits, e.g. { maxDimension: 1600, quality: 0.8 }
+ * @param {Object} options.filenameOptions - FileDownloader naming, e.g. { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }
+ * @param {boolean} options.includeReasoning - Expand the "Thought for N seconds" sections and include their summaries
+ * @param {boolean} options.canvasVersions - Also export the earlier versions of Canvas documents
+ */
+async function exportToDOCX(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('DOCX: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`DOCX: Processing ${result.messages.length} messages...`);
+
+    console.log('DOCX: Converting images to base64...');
+    // Word embeds PNG, JPEG, GIF and BMP; other formats are converted to PNG
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder({ ...options.imageOptions, acceptedTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/bmp'] }),
+        includeReasoning: options.includeReasoning,
+        canvasVersions: options.canvasVersions
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+    const docx = new DocxRenderer().renderConversation(conversation);
+
+    const downloader = new FileDownloader(options.filenameOptions);
+    downloader.download(docx, downloader.buildFilename(conversation, 'docx'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+
+    console.log(`DOCX: Export completed: ${result.messages.length} messages exported`);
+}
+
+// Run `window.exportAllBranches = true` before pasting to include edited prompts and regenerated replies,
+// `window.imageOptions = { maxDimension: 1600, quality: 0.8 }` to downscale large images,
+// `window.includeReasoning = true` to keep the thinking summaries of reasoning models,
+// `window.canvasVersions = true` to add the earlier versions of Canvas documents and
+// `window.filenameOptions = { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }` to change the file name
+await exportToDOCX({
+    allBranches: window.exportAllBranches === true,
+    imageOptions: window.imageOptions,
+    filenameOptions: window.filenameOptions,
+    includeReasoning: window.includeReasoning === true,
+    canvasVersions: window.canvasVersions === true
+});
@@ -0,0 +1,40 @@
+// Console exporter: paste into DevTools on a ChatGPT conversation to download it as
+// OpenAI fine-tuning examples (JSONL of {"messages": [...]} records).
+// Options can be set before pasting, e.g.
+//   window.fineTuningOptions = { systemPrompt: 'You are a helpful assistant.', dropImages: true, maxTurns: 10, splitPerAssistantTurn: true };
+// large images downscaled with `window.imageOptions = { maxDimension: 1600, quality: 0.8 }` and the file named
+// with `window.filenameOptions = { template: '{date}_{title}.{ext}', slugify: true }` (see FileDownloader).
+
+async function exportToFineTuning(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('Fine-tuning: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`Fine-tuning: Processing ${result.messages.length} messages...`);
+
+    // Fine-tuning takes PNG, JPEG and WebP images; GIFs and other formats are converted
+    const imageEncoder = new ImageEncoder({ ...options.imageOptions, acceptedTypes: ['image/png', 'image/jpeg', 'image/webp'] });
+    const conversation = await new ConversationBuilder({ imageEncoder }).build(result);
+    const renderer = new FineTuningRenderer(options);
+    const examples = renderer.buildExamples(conversation);
+    if (examples.length === 0) {
+        alert('No training examples: the conversation needs at least one user message followed by a ChatGPT reply.');
+        return;
+    }
+
+    const downloader = new FileDownloader(options.filenameOptions);
+    downloader.download(renderer.renderConversation(conversation), downloader.buildFilename(conversation, 'jsonl', ' - fine-tuning'), 'application/x-ndjson');
+
+    console.log(`Fine-tuning: Export completed: ${examples.length} examples`);
+}
+
+await exportToFineTuning({ ...window.fineTuningOptions, imageOptions: window.imageOptions, filenameOptions: window.filenameOptions });
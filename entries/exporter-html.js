@@ -0,0 +1,76 @@
+// Console exporter: paste into DevTools on a ChatGPT conversation to download it as styled HTML
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {Object} options.imageOptions - ImageEncoder size limits, e.g. { maxDimension: 1600, quality: 0.8 }
+ * @param {Object} options.filenameOptions - FileDownloader naming, e.g. { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }
+ * @param {boolean} options.attachmentFiles - Also download the files attached to prompts, when their chip links them
+ * @param {boolean} options.includeReasoning - Expand the "Thought for N seconds" sections and include their summaries
+ * @param {boolean} options.canvasVersions - Also export the earlier versions of Canvas documents
+ * @param {boolean} options.report - Export only the Deep Research report, with a table of contents
+ */
+async function exportToHTML(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('HTML: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`HTML: Processing ${result.messages.length} messages...`);
+
+    console.log('HTML: Converting images to base64...');
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder(options.imageOptions),
+        attachmentFiles: options.attachmentFiles,
+        includeReasoning: options.includeReasoning,
+        canvasVersions: options.canvasVersions
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+    const downloader = new FileDownloader(options.filenameOptions);
+
+    if (options.report) {
+        const report = ResearchReport.find(conversation);
+        if (!report) {
+            alert('No Deep Research report found in this conversation.');
+            return;
+        }
+        const reportHtml = new HtmlReportRenderer().renderConversation(conversation);
+        downloader.download(reportHtml, downloader.buildFilename(conversation, 'html', ' report', report.title), 'text/html');
+        console.log('HTML: Export completed: Deep Research report exported');
+        return;
+    }
+
+    const html = new HtmlRenderer().renderConversation(conversation);
+    downloader.download(html, downloader.buildFilename(conversation, 'html'), 'text/html');
+
+    console.log(`HTML: Export completed: ${result.messages.length} messages exported`);
+}
+
+// Run `window.exportAllBranches = true` before pasting to include edited prompts and regenerated replies,
+// `window.imageOptions = { maxDimension: 1600, quality: 0.8 }` to downscale large images,
+// `window.attachmentFiles = true` to embed the files attached to prompts when they can be downloaded and
+// `window.includeReasoning = true` to keep the thinking summaries of reasoning models.
+// `window.canvasVersions = true` adds the earlier versions of Canvas documents.
+// `window.exportReport = true` downloads only the Deep Research report, with a table of contents.
+// `window.filenameOptions = { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }` changes the file name
+await exportToHTML({
+    allBranches: window.exportAllBranches === true,
+    imageOptions: window.imageOptions,
+    filenameOptions: window.filenameOptions,
+    attachmentFiles: window.attachmentFiles === true,
+    includeReasoning: window.includeReasoning === true,
+    canvasVersions: window.canvasVersions === true,
+    report: window.exportReport === true
+});
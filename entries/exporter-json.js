@@ -0,0 +1,65 @@
+// Console exporter: paste into DevTools on a ChatGPT conversation to download it as JSON
+// (or as JSONL, one message per line, after running `window.exportJsonl = true`)
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.jsonl - Download JSONL instead of a single JSON document
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {Object} options.imageOptions - ImageEncoder size limits, e.g. { maxDimension: 1600, quality: 0.8 }
+ * @param {Object} options.filenameOptions - FileDownloader naming, e.g. { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }
+ * @param {boolean} options.includeReasoning - Expand the "Thought for N seconds" sections and include their summaries
+ * @param {boolean} options.canvasVersions - Also export the earlier versions of Canvas documents
+ */
+async function exportToJSON(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('JSON: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`JSON: Processing ${result.messages.length} messages...`);
+
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder(options.imageOptions),
+        includeReasoning: options.includeReasoning,
+        canvasVersions: options.canvasVersions
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('JSON: Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+
+    const renderer = options.jsonl ? new JsonlRenderer() : new JsonRenderer();
+    const content = renderer.renderConversation(conversation);
+
+    const downloader = new FileDownloader(options.filenameOptions);
+    if (options.jsonl) {
+        downloader.download(content, downloader.buildFilename(conversation, 'jsonl'), 'application/x-ndjson');
+    } else {
+        downloader.download(content, downloader.buildFilename(conversation, 'json'), 'application/json');
+    }
+
+    console.log(`JSON: Export completed: ${result.messages.length} messages exported`);
+}
+
+// Run `window.exportAllBranches = true` before pasting to include edited prompts and regenerated replies,
+// `window.imageOptions = { maxDimension: 1600, quality: 0.8 }` to downscale large images,
+// `window.includeReasoning = true` to keep the thinking summaries of reasoning models,
+// `window.canvasVersions = true` to add the earlier versions of Canvas documents and
+// `window.filenameOptions = { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }` to change the file name
+await exportToJSON({
+    jsonl: window.exportJsonl === true,
+    allBranches: window.exportAllBranches === true,
+    imageOptions: window.imageOptions,
+    filenameOptions: window.filenameOptions,
+    includeReasoning: window.includeReasoning === true,
+    canvasVersions: window.canvasVersions === true
+});
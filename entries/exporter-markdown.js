@@ -0,0 +1,114 @@
+// Console exporter: paste into DevTools on a ChatGPT conversation to download it as Markdown
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {string} options.profile - 'standard', or 'obsidian' for frontmatter, callouts and images as attachment files
+ * @param {boolean} options.imageFiles - Save images in an assets/ folder instead of inlining them (standard profile)
+ * @param {Object} options.imageOptions - ImageEncoder size limits, e.g. { maxDimension: 1600, quality: 0.8 }
+ * @param {Object} options.filenameOptions - FileDownloader naming, e.g. { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }
+ * @param {boolean} options.attachmentFiles - Also download the files attached to prompts, when their chip links them
+ * @param {boolean} options.includeReasoning - Expand the "Thought for N seconds" sections and include their summaries
+ * @param {boolean} options.canvasVersions - Also export the earlier versions of Canvas documents
+ * @param {boolean} options.report - Export only the Deep Research report, with a table of contents
+ * @param {boolean} options.gallery - Export only the generated images, in a folder with their captions.json
+ */
+async function exportToMarkdown(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`Processing ${result.messages.length} messages...`);
+
+    console.log('Converting images to base64...');
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder(options.imageOptions),
+        attachmentFiles: options.attachmentFiles,
+        includeReasoning: options.includeReasoning,
+        canvasVersions: options.canvasVersions
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+    const downloader = new FileDownloader(options.filenameOptions);
+
+    if (options.report) {
+        const report = ResearchReport.find(conversation);
+        if (!report) {
+            alert('No Deep Research report found in this conversation.');
+            return;
+        }
+        const reportContent = new MarkdownReportRenderer().renderConversation(conversation);
+        downloader.download(reportContent, downloader.buildFilename(conversation, 'md', ' report', report.title), 'text/markdown');
+        console.log('Export completed: Deep Research report exported');
+        return;
+    }
+
+    if (options.gallery) {
+        const gallery = new GalleryRenderer();
+        const captions = gallery.renderConversation(conversation);
+        if (captions === null) {
+            alert('No generated images found in this conversation.');
+            return;
+        }
+        const folderName = downloader.buildFilename(conversation, 'zip', ' images').replace(/\.zip$/, '');
+        const zip = new ZipWriter();
+        zip.addFile(`${folderName}/captions.json`, captions);
+        gallery.attachments.forEach(attachment => zip.addFile(`${folderName}/${attachment.path}`, attachment.data));
+        downloader.download(zip.generate(), `${folderName}.zip`, 'application/zip');
+        console.log(`Export completed: ${gallery.attachments.length} generated images exported`);
+        return;
+    }
+
+    const renderer = options.profile === 'obsidian'
+        ? new ObsidianRenderer()
+        : new MarkdownRenderer({ assetFolder: options.imageFiles ? 'assets' : null });
+    const markdownContent = renderer.renderConversation(conversation);
+    const filename = options.profile === 'obsidian' ? `${renderer.noteName(conversation)}.md` : downloader.buildFilename(conversation, 'md');
+
+    if (renderer.attachments.length === 0) {
+        downloader.download(markdownContent, filename, 'text/markdown');
+    } else {
+        // The Markdown and its image and attached files, referenced by relative path
+        const zip = new ZipWriter();
+        zip.addFile(filename, markdownContent);
+        renderer.attachments.forEach(attachment => zip.addFile(attachment.path, attachment.data));
+        downloader.download(zip.generate(), filename.replace(/\.md$/, '.zip'), 'application/zip');
+    }
+
+    console.log(`Export completed: ${result.messages.length} messages exported`);
+}
+
+// Run `window.exportAllBranches = true` before pasting to include edited prompts and regenerated replies,
+// `window.markdownProfile = 'obsidian'` for Obsidian-flavoured Markdown and `window.markdownImageFiles = true`
+// to get a zip with the images in an assets/ folder instead of inlined. Large images can be downscaled with
+// `window.imageOptions = { maxDimension: 1600, quality: 0.8 }`, and `window.attachmentFiles = true` adds the
+// files attached to prompts to the zip when they can be downloaded. `window.includeReasoning = true` keeps the
+// thinking summaries of reasoning models. Canvas documents are saved as files in a canvas/ folder of the zip;
+// `window.canvasVersions = true` saves their earlier versions too. `window.exportReport = true` downloads only
+// the Deep Research report as a standalone document with a table of contents, and `window.exportGallery = true`
+// only the generated images, in a folder with their prompts in captions.json. File names follow
+// `window.filenameOptions = { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }` when set
+await exportToMarkdown({
+    allBranches: window.exportAllBranches === true,
+    profile: window.markdownProfile,
+    imageFiles: window.markdownImageFiles === true,
+    imageOptions: window.imageOptions,
+    filenameOptions: window.filenameOptions,
+    attachmentFiles: window.attachmentFiles === true,
+    includeReasoning: window.includeReasoning === true,
+    canvasVersions: window.canvasVersions === true,
+    report: window.exportReport === true,
+    gallery: window.exportGallery === true
+});
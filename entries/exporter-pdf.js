@@ -0,0 +1,69 @@
+// Console exporter: paste into DevTools on a ChatGPT conversation to download it as a PDF
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {Object} options.imageOptions - ImageEncoder size limits, e.g. { maxDimension: 1600, quality: 0.8 }
+ * @param {Object} options.filenameOptions - FileDownloader naming, e.g. { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }
+ * @param {boolean} options.includeReasoning - Expand the "Thought for N seconds" sections and include their summaries
+ * @param {boolean} options.canvasVersions - Also export the earlier versions of Canvas documents
+ */
+async function exportToPDF(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('PDF: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`PDF: Processing ${result.messages.length} messages...`);
+
+    // The PDF writer embeds JPEG; other formats are converted
+    console.log('PDF: Converting images...');
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder({ ...options.imageOptions, mimeType: 'image/jpeg', acceptedTypes: ['image/jpeg'] }),
+        includeReasoning: options.includeReasoning,
+        canvasVersions: options.canvasVersions
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+    const renderer = new PdfDocumentRenderer();
+    const pdf = renderer.renderConversation(conversation);
+    const downloader = new FileDownloader(options.filenameOptions);
+
+    // The PDF fonts only cover Western European text: rather than print "?", let the browser make the PDF
+    if (renderer.unsupportedCharacters.length > 0) {
+        const html = new PdfRenderer().renderConversation(conversation);
+        downloader.download(html, downloader.buildFilename(conversation, 'html', ' - PrintToPDF'), 'text/html');
+        console.log(`PDF: Characters the PDF fonts can't show (${renderer.unsupportedCharacters.slice(0, 10).join(' ')}), exported print-ready HTML instead`);
+        alert('This conversation has characters the PDF fonts can\'t show (non-Latin scripts, symbols or emoji), ' +
+            'so it was downloaded as print-ready HTML instead. Open the file and press Ctrl+P (Cmd+P on Mac), then choose "Save as PDF".');
+        return;
+    }
+
+    downloader.download(pdf, downloader.buildFilename(conversation, 'pdf'), 'application/pdf');
+
+    console.log(`PDF: Export completed - ${result.messages.length} messages processed`);
+}
+
+// Run `window.exportAllBranches = true` before pasting to include edited prompts and regenerated replies,
+// `window.imageOptions = { maxDimension: 1600, quality: 0.8 }` to downscale large images,
+// `window.includeReasoning = true` to keep the thinking summaries of reasoning models,
+// `window.canvasVersions = true` to add the earlier versions of Canvas documents and
+// `window.filenameOptions = { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }` to change the file name
+await exportToPDF({
+    allBranches: window.exportAllBranches === true,
+    imageOptions: window.imageOptions,
+    filenameOptions: window.filenameOptions,
+    includeReasoning: window.includeReasoning === true,
+    canvasVersions: window.canvasVersions === true
+});
@@ -0,0 +1,54 @@
+// Console exporter: paste into DevTools on a Gemini conversation to download it as Markdown
+
+const logStep = (message, data) => console.log(`[Gemini Exporter] ${message}`, data || '');
+
+const showError = (message, details) => {
+    console.error(`[Gemini Exporter] ${message}`, details);
+    alert(`Export failed: ${message}`);
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.imageOptions - ImageEncoder size limits, e.g. { maxDimension: 1600, quality: 0.8 }
+ * @param {Object} options.filenameOptions - FileDownloader naming, e.g. { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }
+ */
+async function exportGeminiToMarkdown(options = {}) {
+    logStep('Starting Gemini conversation export...');
+
+    const detector = new MessageDetector({ platform: 'gemini' });
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        logStep('Message detection failed:', error.message);
+    }
+
+    if (!result || result.messages.length === 0) {
+        showError('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    const conversation = await new ConversationBuilder({ imageEncoder: new ImageEncoder(options.imageOptions) }).build(result);
+    const markdown = new MarkdownRenderer().renderConversation(conversation);
+    const downloader = new FileDownloader(options.filenameOptions);
+    const filename = downloader.buildFilename(conversation, 'md');
+
+    try {
+        downloader.download(markdown, filename, 'text/markdown');
+    } catch (error) {
+        showError('Failed to download file', error);
+        return;
+    }
+
+    logStep(`Export completed successfully: ${result.messages.length} messages exported`);
+    console.log(`File downloaded: ${filename}`);
+}
+
+// Run `window.imageOptions = { maxDimension: 1600, quality: 0.8 }` before pasting to downscale large images and
+// `window.filenameOptions = { template: '{platform}_{date}_{title}.{ext}', slugify: true }` to change the file name
+try {
+    await exportGeminiToMarkdown({ imageOptions: window.imageOptions, filenameOptions: window.filenameOptions });
+} catch (error) {
+    showError('Unexpected error during export', error);
+    console.error('[Gemini Exporter] Full error details:', error);
+}
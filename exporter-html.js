@@ -1,479 +1,3783 @@
+// Generated by scripts/build.js from entries/exporter-html.js - edit the sources, then run `npm run build`.
 (async () => {
-    function formatDate(date = new Date()) {
-        return date.toISOString().split('T')[0];
+'use strict';
+
+// ---- core/dom-analyzer.js ----
+
+/**
+ * ChatGPT DOM Analyzer - Phase 1.1 Implementation
+ * Analyzes and validates DOM selectors for robust chat export
+ */
+
+class ChatGPTDOMAnalyzer {
+    constructor() {
+        this.selectorStrategies = {
+            // Modern data-attribute based selectors (highest priority)
+            dataAttributes: [
+                '[data-testid*="conversation"]',
+                '[data-testid*="message"]',
+                '[data-message-author-role]',
+                '[data-message-id]',
+                '[data-conversation-id]'
+            ],
+            
+            // ARIA and accessibility selectors (high priority)
+            ariaSelectors: [
+                '[role="article"]',
+                '[role="group"][aria-label*="message"]',
+                '[role="log"]',
+                '[aria-label*="conversation"]',
+                '[aria-label*="chat"]'
+            ],
+            
+            // Semantic HTML selectors (medium priority)
+            semanticSelectors: [
+                'main article',
+                'main section',
+                '.conversation',
+                '.chat',
+                '.message'
+            ],
+            
+            // Content-based selectors (low priority, last resort)
+            contentSelectors: [
+                'div[class*="group"]',
+                '.text-base',
+                '.whitespace-pre-wrap',
+                '.markdown',
+                '.prose'
+            ]
+        };
+        
+        this.validationResults = {};
+        this.reliabilityScores = {};
     }
 
-    // Convert image to base64 data URL
-    async function imageToBase64(imgElement) {
-        const src = imgElement.getAttribute('src') || '';
+    /**
+     * Analyze the current page DOM structure
+     */
+    analyzePage() {
+        const analysis = {
+            timestamp: new Date().toISOString(),
+            url: window.location.href,
+            pageStructure: this.getPageStructure(),
+            conversationContainer: this.findConversationContainer(),
+            messageContainers: this.findMessageContainers(),
+            senderIdentification: this.analyzeSenderPatterns(),
+            contentStructure: this.analyzeContentStructure(),
+            metadataElements: this.findMetadataElements()
+        };
 
-        // Skip UI images
-        if (src.includes('favicon') || src.includes('avatar')) {
-            return null;
-        }
+        console.log('ChatGPT DOM Analysis:', analysis);
+        return analysis;
+    }
 
-        try {
-            // For blob URLs, we can draw directly from the existing image
-            if (src.startsWith('blob:') || imgElement.complete) {
-                return drawImageToBase64(imgElement);
+    /**
+     * Get high-level page structure information
+     */
+    getPageStructure() {
+        return {
+            title: document.title,
+            bodyClasses: Array.from(document.body.classList),
+            mainElement: !!document.querySelector('main'),
+            navElement: !!document.querySelector('nav'),
+            asideElement: !!document.querySelector('aside'),
+            reactRoot: !!document.querySelector('#__next, [data-reactroot]'),
+            totalElements: document.querySelectorAll('*').length,
+            scriptsCount: document.querySelectorAll('script').length
+        };
+    }
+
+    /**
+     * Find the main conversation container using multiple strategies
+     */
+    findConversationContainer() {
+        const strategies = [
+            // Strategy 1: Data attributes
+            () => document.querySelector('[data-testid*="conversation"], [data-testid*="chat"]'),
+            
+            // Strategy 2: ARIA roles
+            () => document.querySelector('[role="log"], [role="main"][aria-label*="conversation"]'),
+            
+            // Strategy 3: Semantic structure
+            () => document.querySelector('main section, main article, main div[class*="conversation"]'),
+            
+            // Strategy 4: Content-based detection
+            () => {
+                const candidates = document.querySelectorAll('div, section, main');
+                for (const candidate of candidates) {
+                    if (this.hasConversationContent(candidate)) {
+                        return candidate;
+                    }
+                }
+                return null;
             }
+        ];
 
-            // For other URLs, load the image first
-            return new Promise((resolve) => {
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-                img.onload = () => resolve(drawImageToBase64(img));
-                img.onerror = () => {
-                    console.warn('Failed to load image:', src);
-                    resolve(null);
+        for (let i = 0; i < strategies.length; i++) {
+            const result = strategies[i]();
+            if (result) {
+                return {
+                    element: result,
+                    strategy: i + 1,
+                    selector: this.generateSelector(result),
+                    confidence: this.calculateConfidence(result, 'conversation')
                 };
-                img.src = src;
-                // Timeout after 5 seconds
-                setTimeout(() => resolve(null), 5000);
-            });
-        } catch (e) {
-            console.warn('Error converting image to base64:', e);
-            return null;
+            }
         }
+
+        return null;
     }
 
-    function drawImageToBase64(img) {
-        try {
-            const canvas = document.createElement('canvas');
-            canvas.width = img.naturalWidth || img.width;
-            canvas.height = img.naturalHeight || img.height;
+    /**
+     * Find individual message containers
+     */
+    findMessageContainers() {
+        const strategies = [
+            // Strategy 1: Data attributes for messages
+            '[data-testid*="message"], [data-message-id], [data-message-author]',
+            
+            // Strategy 2: ARIA article roles
+            '[role="article"], [role="group"][aria-label*="message"]',
+            
+            // Strategy 3: Common message patterns
+            'main article, main > div > div[class], .message, .chat-message',
+            
+            // Strategy 4: Legacy selectors (current codebase)
+            'div[class*="group"], .text-base',
+            
+            // Strategy 5: Content-based detection
+            null // Handled separately
+        ];
 
-            if (canvas.width === 0 || canvas.height === 0) {
-                return null;
+        const results = [];
+        
+        for (const selector of strategies) {
+            if (!selector) continue;
+            
+            const elements = document.querySelectorAll(selector);
+            if (elements.length > 0) {
+                results.push({
+                    selector,
+                    count: elements.length,
+                    elements: Array.from(elements).slice(0, 5), // Sample first 5
+                    confidence: this.calculateSelectorConfidence(selector, elements)
+                });
             }
+        }
 
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            return canvas.toDataURL('image/png');
-        } catch (e) {
-            // CORS or other error
-            console.warn('Cannot draw image to canvas:', e);
-            return null;
+        // Content-based detection
+        const contentBasedMessages = this.findMessagesByContent();
+        if (contentBasedMessages.length > 0) {
+            results.push({
+                selector: 'content-based',
+                count: contentBasedMessages.length,
+                elements: contentBasedMessages.slice(0, 5),
+                confidence: 0.6 // Lower confidence for content-based
+            });
         }
+
+        return results;
     }
 
-    // Get computed styles as inline style string
-    function getInlineStyles(element) {
-        const computed = window.getComputedStyle(element);
-        const importantStyles = [
-            'color', 'background-color', 'background',
-            'font-family', 'font-size', 'font-weight', 'font-style',
-            'text-decoration', 'text-align',
-            'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
-            'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
-            'border', 'border-radius',
-            'display', 'width', 'max-width', 'height',
-            'white-space', 'overflow', 'word-wrap', 'word-break',
-            'list-style-type', 'list-style-position'
-        ];
+    /**
+     * Analyze sender identification patterns
+     */
+    analyzeSenderPatterns() {
+        const patterns = {
+            avatarImages: this.findAvatarPatterns(),
+            textualIndicators: this.findTextualSenderIndicators(),
+            structuralPatterns: this.findStructuralSenderPatterns(),
+            dataAttributes: this.findSenderDataAttributes()
+        };
+
+        return patterns;
+    }
+
+    /**
+     * Find avatar-based sender identification
+     */
+    findAvatarPatterns() {
+        const avatars = document.querySelectorAll('img[alt*="avatar"], img[alt*="user"], img[src*="avatar"]');
+        return {
+            count: avatars.length,
+            patterns: Array.from(avatars).map(img => ({
+                alt: img.alt,
+                src: img.src,
+                parentSelector: this.generateSelector(img.parentElement),
+                className: img.className
+            })).slice(0, 3)
+        };
+    }
 
-        const styles = [];
-        for (const prop of importantStyles) {
-            const value = computed.getPropertyValue(prop);
-            if (value && value !== 'none' && value !== 'normal' && value !== 'auto') {
-                styles.push(`${prop}: ${value}`);
+    /**
+     * Find textual sender indicators
+     */
+    findTextualSenderIndicators() {
+        const indicators = [];
+        const textNodes = this.getTextNodes();
+        
+        for (const node of textNodes) {
+            const text = node.textContent.trim();
+            if (/^(You|ChatGPT|Assistant|System)[:.]?\s*$/i.test(text)) {
+                indicators.push({
+                    text,
+                    element: node.parentElement,
+                    selector: this.generateSelector(node.parentElement)
+                });
             }
         }
-        return styles.join('; ');
+
+        return indicators.slice(0, 5);
     }
 
-    // Process element and its children, inlining styles and converting images
-    async function processElement(element, originalElement) {
-        const tagName = element.tagName.toLowerCase();
+    /**
+     * Find structural sender patterns
+     */
+    findStructuralSenderPatterns() {
+        // Look for alternating patterns in message structure
+        const messageContainers = this.findMessageContainers();
+        if (messageContainers.length === 0) return null;
 
-        // Skip certain elements
-        if (['script', 'style', 'noscript', 'svg', 'button'].includes(tagName)) {
-            // But check if button contains an image
-            if (tagName === 'button') {
-                const img = element.querySelector('img');
-                if (img && originalElement) {
-                    const originalImg = originalElement.querySelector('img');
-                    if (originalImg) {
-                        const base64 = await imageToBase64(originalImg);
-                        if (base64) {
-                            const newImg = document.createElement('img');
-                            newImg.src = base64;
-                            newImg.alt = img.alt || 'Image';
-                            newImg.style.cssText = 'max-width: 100%; height: auto;';
-                            element.parentNode.replaceChild(newImg, element);
-                            return;
-                        }
-                    }
-                }
+        const bestContainer = messageContainers[0];
+        const messages = bestContainer.elements;
+        
+        if (messages.length < 2) return null;
+
+        const patterns = {
+            alternatingClasses: this.analyzeAlternatingClasses(messages),
+            positionPatterns: this.analyzePositionPatterns(messages),
+            stylePatterns: this.analyzeStylePatterns(messages)
+        };
+
+        return patterns;
+    }
+
+    /**
+     * Find sender data attributes
+     */
+    findSenderDataAttributes() {
+        const senderElements = document.querySelectorAll('[data-message-author], [data-author], [data-sender]');
+        return Array.from(senderElements).map(el => ({
+            attributes: Object.fromEntries(
+                Array.from(el.attributes)
+                    .filter(attr => attr.name.includes('author') || attr.name.includes('sender'))
+                    .map(attr => [attr.name, attr.value])
+            ),
+            selector: this.generateSelector(el)
+        })).slice(0, 5);
+    }
+
+    /**
+     * Analyze content structure patterns
+     */
+    analyzeContentStructure() {
+        return {
+            codeBlocks: this.analyzeCodeBlocks(),
+            formatting: this.analyzeFormattingElements(),
+            media: this.analyzeMediaElements(),
+            links: this.analyzeLinkElements()
+        };
+    }
+
+    /**
+     * Analyze code block patterns
+     */
+    analyzeCodeBlocks() {
+        const codeBlocks = document.querySelectorAll('pre, code, .code, [class*="code"]');
+        const patterns = [];
+
+        for (const block of codeBlocks) {
+            if (block.textContent.trim().length > 10) { // Meaningful code blocks
+                patterns.push({
+                    tagName: block.tagName,
+                    className: block.className,
+                    hasLanguage: !!block.querySelector('code[class*="language-"]'),
+                    selector: this.generateSelector(block),
+                    preview: block.textContent.trim().substring(0, 50) + '...'
+                });
             }
-            element.remove();
-            return;
         }
 
-        // Skip UI elements by class
-        const className = element.className || '';
-        if (typeof className === 'string' &&
-            (className.includes('sr-only') || className.includes('citation-pill') ||
-             className.includes('copy') || className.includes('edit') ||
-             className.includes('regenerate'))) {
-            element.remove();
-            return;
+        return patterns.slice(0, 5);
+    }
+
+    /**
+     * Find metadata elements (title, date, etc.)
+     */
+    findMetadataElements() {
+        return {
+            title: this.findConversationTitle(),
+            timestamp: this.findTimestampElements(),
+            model: this.findModelIndicators(),
+            conversation_id: this.findConversationId()
+        };
+    }
+
+    /**
+     * Test selector reliability
+     */
+    testSelectorReliability(selector) {
+        try {
+            const elements = document.querySelectorAll(selector);
+            const score = this.calculateSelectorConfidence(selector, elements);
+            
+            this.reliabilityScores[selector] = {
+                score,
+                elementCount: elements.length,
+                timestamp: Date.now(),
+                passed: score > 0.7
+            };
+
+            return this.reliabilityScores[selector];
+        } catch (error) {
+            this.reliabilityScores[selector] = {
+                score: 0,
+                elementCount: 0,
+                timestamp: Date.now(),
+                passed: false,
+                error: error.message
+            };
+            return this.reliabilityScores[selector];
         }
+    }
 
-        // Handle images
-        if (tagName === 'img') {
-            const src = element.getAttribute('src') || '';
-            // Skip UI images
-            if (src.includes('favicon') || src.includes('avatar') ||
-                className.includes('icon') || (element.width && element.width < 48)) {
-                element.remove();
-                return;
-            }
+    /**
+     * Calculate confidence score for elements/selectors
+     */
+    calculateConfidence(element, type) {
+        if (!element) return 0;
 
-            // Convert to base64
-            if (originalElement && originalElement.tagName.toLowerCase() === 'img') {
-                const base64 = await imageToBase64(originalElement);
-                if (base64) {
-                    element.src = base64;
-                }
-            }
-            element.style.cssText = 'max-width: 100%; height: auto;';
-            element.removeAttribute('class');
-            return;
+        let score = 0.5; // Base score
+
+        // Data attributes boost confidence significantly
+        if (element.dataset && Object.keys(element.dataset).length > 0) {
+            score += 0.3;
         }
 
-        // Inline styles for content elements
-        if (['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'code', 'blockquote',
-             'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
-             'strong', 'em', 'a', 'span', 'div'].includes(tagName)) {
-            if (originalElement && originalElement.tagName) {
-                const inlineStyle = getInlineStyles(originalElement);
-                if (inlineStyle) {
-                    element.style.cssText = inlineStyle;
-                }
-            }
+        // ARIA attributes boost confidence
+        if (element.getAttribute('role') || element.getAttribute('aria-label')) {
+            score += 0.2;
+        }
+
+        // Semantic HTML boosts confidence
+        if (['main', 'section', 'article', 'aside'].includes(element.tagName.toLowerCase())) {
+            score += 0.1;
         }
 
-        // Remove class attributes to keep HTML clean
-        element.removeAttribute('class');
-        element.removeAttribute('data-start');
-        element.removeAttribute('data-end');
-        element.removeAttribute('data-col-size');
+        // Content relevance for conversation type
+        if (type === 'conversation' && this.hasConversationContent(element)) {
+            score += 0.2;
+        }
+
+        return Math.min(score, 1.0);
+    }
+
+    /**
+     * Calculate selector confidence based on results
+     */
+    calculateSelectorConfidence(selector, elements) {
+        if (!elements || elements.length === 0) return 0;
 
-        // Process children recursively
-        const children = Array.from(element.children);
-        const originalChildren = originalElement ? Array.from(originalElement.children) : [];
+        let score = 0.5;
 
-        for (let i = 0; i < children.length; i++) {
-            await processElement(children[i], originalChildren[i] || null);
+        // Data attribute selectors are more reliable
+        if (selector.includes('[data-')) score += 0.3;
+        if (selector.includes('[role=')) score += 0.2;
+        if (selector.includes('[aria-')) score += 0.15;
+
+        // Class-based selectors are less reliable
+        if (selector.includes('.') && !selector.includes('[')) score -= 0.2;
+
+        // Very generic selectors are unreliable
+        if (['div', 'span', '.text-base'].some(generic => selector.includes(generic))) {
+            score -= 0.1;
+        }
+
+        // Reasonable element count
+        if (elements.length > 0 && elements.length < 1000) {
+            score += 0.1;
         }
+
+        return Math.max(0, Math.min(score, 1.0));
     }
 
-    function findMessages() {
-        const selectors = [
-            'div[data-message-author-role]',
-            'article[data-testid*="conversation-turn"]',
-            'div[data-testid="conversation-turn"]',
-            '.group\\/conversation-turn',
-            'div[class*="group"]:not([class*="group"] [class*="group"])',
-        ];
+    // Helper methods
+    hasConversationContent(element) {
+        const text = element.textContent.toLowerCase();
+        const conversationKeywords = ['chatgpt', 'you:', 'assistant:', 'user:', 'message', 'conversation'];
+        return conversationKeywords.some(keyword => text.includes(keyword));
+    }
 
-        let messages = [];
-        for (const selector of selectors) {
-            messages = document.querySelectorAll(selector);
-            if (messages.length > 0) {
-                console.log(`HTML: Using selector: ${selector}, found ${messages.length} messages`);
-                break;
-            }
+    generateSelector(element) {
+        if (!element) return null;
+        
+        // Prioritize data attributes
+        if (element.id) return `#${element.id}`;
+        
+        const dataAttrs = Object.keys(element.dataset);
+        if (dataAttrs.length > 0) {
+            return `[data-${dataAttrs[0]}="${element.dataset[dataAttrs[0]]}"]`;
         }
 
-        if (messages.length === 0) {
-            const conversationContainer = document.querySelector('[role="main"], main, .conversation, [class*="conversation"]');
-            if (conversationContainer) {
-                messages = conversationContainer.querySelectorAll(':scope > div, :scope > article');
-                console.log(`HTML: Fallback: found ${messages.length} potential messages in conversation container`);
+        // Use class names as fallback (SVG elements expose className as an object)
+        if (typeof element.className === 'string' && element.className) {
+            const classes = element.className.split(' ').filter(c => c.length > 0);
+            if (classes.length > 0) {
+                return `.${classes[0]}`;
             }
         }
 
-        const validMessages = Array.from(messages).filter(msg => {
-            const text = msg.textContent.trim();
-            // Reduced threshold for Chinese text
-            if (text.length < 5) return false;
-            if (text.length > 100000) return false;
-            if (msg.querySelector('input[type="text"], textarea')) return false;
-            if (msg.classList.contains('typing') || msg.classList.contains('loading')) return false;
-            return true;
-        });
+        return element.tagName.toLowerCase();
+    }
 
-        const consolidatedMessages = [];
-        const usedElements = new Set();
+    getTextNodes() {
+        const walker = document.createTreeWalker(
+            document.body,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
 
-        validMessages.forEach(msg => {
-            if (usedElements.has(msg)) return;
-            const isNested = validMessages.some(other =>
-                other !== msg && other.contains(msg) && !usedElements.has(other)
-            );
-            if (!isNested) {
-                consolidatedMessages.push(msg);
-                usedElements.add(msg);
+        const textNodes = [];
+        let node;
+        
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0) {
+                textNodes.push(node);
             }
-        });
+        }
 
-        return consolidatedMessages;
+        return textNodes;
     }
 
-    function findReplyLabel(messageElement) {
-        // Look for reply labels like "回复 1", "回复 2" in sibling or parent elements
-        const parent = messageElement.closest('.flex.max-w-full');
-        if (parent && parent.previousElementSibling) {
-            const labelEl = parent.previousElementSibling.querySelector('.font-semibold, [class*="font-semibold"]');
-            if (labelEl) {
-                const text = labelEl.textContent.trim();
-                if (/^回复\s*\d+$/.test(text) || /^Response\s*\d+$/i.test(text)) {
-                    return text;
-                }
+    findMessagesByContent() {
+        // This would implement content-based message detection
+        // as a fallback when other selectors fail
+        return [];
+    }
+
+    // Additional analysis methods would be implemented here
+    analyzeAlternatingClasses(messages) { return null; }
+    analyzePositionPatterns(messages) { return null; }
+    analyzeStylePatterns(messages) { return null; }
+    analyzeFormattingElements() { return null; }
+    analyzeMediaElements() { return null; }
+    analyzeLinkElements() { return null; }
+    findConversationTitle() { return null; }
+    findTimestampElements() { return null; }
+    findModelIndicators() { return null; }
+    findConversationId() { return null; }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatGPTDOMAnalyzer;
+}
+
+// Make available globally for console testing
+window.ChatGPTDOMAnalyzer = ChatGPTDOMAnalyzer;
+
+// ---- core/selector-cascade.js ----
+
+/**
+ * Selector Cascade System - Phase 1.2 Implementation
+ * Provides robust fallback strategies for ChatGPT element selection
+ */
+
+class SelectorCascade {
+    constructor() {
+        this.strategies = new Map();
+        this.cache = new Map();
+        this.performance = new Map();
+        this.initializeStrategies();
+    }
+
+    /**
+     * Initialize predefined selector strategies
+     */
+    initializeStrategies() {
+        // Conversation Container Strategies
+        this.addStrategy('conversationContainer', [
+            {
+                name: 'modern-data-attrs',
+                selector: '[data-testid*="conversation"], [data-conversation-id], [data-testid*="chat"]',
+                priority: 10,
+                description: 'Modern data attributes for conversation'
+            },
+            {
+                name: 'aria-conversation',
+                selector: '[role="log"], [role="main"][aria-label*="conversation"], [aria-label*="chat"]',
+                priority: 9,
+                description: 'ARIA-based conversation detection'
+            },
+            {
+                name: 'semantic-main',
+                selector: 'main section, main article, main [class*="conversation"]',
+                priority: 8,
+                description: 'Semantic HTML conversation container'
+            },
+            {
+                name: 'content-based',
+                selector: null, // Special handling
+                priority: 5,
+                description: 'Content-based conversation detection'
             }
-        }
-        const grandParent = messageElement.parentElement?.parentElement;
-        if (grandParent) {
-            const labels = grandParent.querySelectorAll('.font-semibold, [class*="font-semibold"]');
-            for (const label of labels) {
-                const text = label.textContent.trim();
-                if (/^回复\s*\d+$/.test(text) || /^Response\s*\d+$/i.test(text)) {
-                    return text;
-                }
+        ]);
+
+        // Message Container Strategies
+        this.addStrategy('messageContainers', [
+            {
+                name: 'author-role',
+                selector: 'div[data-message-author-role]',
+                priority: 12,
+                description: 'Modern ChatGPT with clear author role'
+            },
+            {
+                name: 'conversation-turns',
+                selector: 'article[data-testid*="conversation-turn"], div[data-testid="conversation-turn"], .group\\/conversation-turn',
+                priority: 11,
+                description: 'Conversation turn containers (fix for issue #6)'
+            },
+            {
+                name: 'modern-message-attrs',
+                selector: '[data-testid*="message"], [data-message-id], [data-message-author]',
+                priority: 10,
+                description: 'Modern message data attributes'
+            },
+            {
+                name: 'aria-messages',
+                selector: '[role="article"], [role="group"][aria-label*="message"]',
+                priority: 9,
+                description: 'ARIA-based message detection'
+            },
+            {
+                name: 'semantic-messages',
+                selector: 'main article, main section > div[class]',
+                priority: 8,
+                description: 'Semantic message containers'
+            },
+            {
+                name: 'chatgpt-groups',
+                selector: 'div[class*="group"]:not([class*="group"] [class*="group"])',
+                priority: 6,
+                description: 'ChatGPT group-based messages (legacy, top-level groups only)'
+            },
+            {
+                name: 'text-base-fallback',
+                selector: '.text-base',
+                priority: 4,
+                description: 'Generic text base fallback'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
             }
-        }
-        return null;
-    }
+        ]);
 
-    function identifySender(messageElement, index, allMessages) {
-        const authorRole = messageElement.getAttribute('data-message-author-role');
-        if (authorRole) {
-            return { sender: authorRole === 'user' ? 'You' : 'ChatGPT', reliable: true };
-        }
+        // Gemini Message Container Strategies
+        this.addStrategy('geminiMessageContainers', [
+            {
+                name: 'gemini-conversation-turn',
+                selector: '[data-test-id="conversation-turn"], [class*="conversation-turn"]',
+                priority: 10,
+                description: 'Gemini conversation turn containers'
+            },
+            {
+                name: 'gemini-model-response',
+                selector: 'model-response',
+                priority: 9,
+                description: 'Gemini model response elements'
+            },
+            {
+                name: 'gemini-presentation',
+                selector: '[role="presentation"] > div, .conversation-container > div',
+                priority: 8,
+                description: 'Gemini presentation containers'
+            },
+            {
+                name: 'gemini-generic',
+                selector: '[class*="message"], div[class*="turn"]:not([class*="turn"] [class*="turn"])',
+                priority: 6,
+                description: 'Generic message and turn classes'
+            },
+            {
+                name: 'container-children',
+                selector: null, // Special handling
+                priority: 3,
+                description: 'Direct children of the conversation container'
+            }
+        ]);
 
-        const avatars = messageElement.querySelectorAll('img');
-        for (const avatar of avatars) {
-            const alt = avatar.alt?.toLowerCase() || '';
-            const src = avatar.src?.toLowerCase() || '';
-            const classes = avatar.className?.toLowerCase() || '';
+        // Message Content Strategies
+        this.addStrategy('messageContent', [
+            {
+                name: 'modern-content-attrs',
+                selector: '[data-testid*="content"], [data-message-content]',
+                priority: 10,
+                description: 'Modern content data attributes'
+            },
+            {
+                name: 'structured-content',
+                selector: '.markdown, .prose, [class*="markdown"], [class*="prose"]',
+                priority: 8,
+                description: 'Structured content containers'
+            },
+            {
+                name: 'whitespace-content',
+                selector: '.whitespace-pre-wrap, [class*="whitespace"]',
+                priority: 7,
+                description: 'Whitespace-preserved content'
+            },
+            {
+                name: 'direct-text',
+                selector: null, // Special handling for direct text extraction
+                priority: 5,
+                description: 'Direct text content extraction'
+            }
+        ]);
+
+        // Attachment Chip Strategies (files uploaded with a prompt, shown above the message text)
+        this.addStrategy('attachmentChips', [
+            {
+                name: 'attachment-attrs',
+                selector: '[data-testid*="attachment"], [data-testid*="file-tile"], [data-testid*="file-thumbnail"]',
+                priority: 10,
+                description: 'Attachment data attributes'
+            },
+            {
+                name: 'attachment-classes',
+                selector: '[class*="file-tile"], [class*="file-preview"], [class*="attachment"]',
+                priority: 8,
+                description: 'Attachment and file preview classes'
+            },
+            {
+                name: 'file-chip',
+                selector: 'div.group.relative.inline-block',
+                priority: 6,
+                description: 'Bordered chip with an icon, the file name and its type'
+            }
+        ]);
+
+        // Canvas Card Strategies (the document or code a reply opened in Canvas, shown in the message as a card)
+        this.addStrategy('canvasCards', [
+            {
+                name: 'textdoc-id',
+                selector: '[id^="textdoc-message-"]',
+                priority: 10,
+                description: 'Card carrying the Canvas document id'
+            },
+            {
+                name: 'canvas-attrs',
+                selector: '[data-testid*="canvas"], [data-testid*="textdoc"]',
+                priority: 8,
+                description: 'Canvas data attributes'
+            },
+            {
+                name: 'canvas-classes',
+                selector: '[class*="textdoc"], [class*="canvas-card"]',
+                priority: 6,
+                description: 'Canvas card classes'
+            }
+        ]);
+
+        // Canvas Panel Strategies (the side panel showing the open document, outside the messages)
+        this.addStrategy('canvasPanel', [
+            {
+                name: 'canvas-panel-attrs',
+                selector: '[data-testid*="canvas-panel"], [data-testid*="textdoc-panel"], section[aria-label*="Canvas"]',
+                priority: 10,
+                description: 'Canvas panel data attributes'
+            },
+            {
+                name: 'canvas-editors',
+                selector: '.cm-editor, .ProseMirror',
+                priority: 8,
+                description: 'Code (CodeMirror) or text (ProseMirror) editor outside the messages and the prompt box'
+            }
+        ]);
 
-            if (alt.includes('user') || src.includes('user') || classes.includes('user')) {
-                return { sender: 'You', reliable: false };
+        // Sender Identification Strategies
+        this.addStrategy('senderIdentification', [
+            {
+                name: 'data-author',
+                selector: '[data-message-author], [data-author], [data-sender]',
+                priority: 10,
+                description: 'Data attribute sender identification'
+            },
+            {
+                name: 'aria-sender',
+                selector: '[aria-label*="user"], [aria-label*="assistant"], [aria-label*="you"]',
+                priority: 9,
+                description: 'ARIA sender identification'
+            },
+            {
+                name: 'avatar-detection',
+                selector: 'img[alt*="avatar"], img[alt*="user"], img[src*="avatar"]',
+                priority: 8,
+                description: 'Avatar-based sender detection'
+            },
+            {
+                name: 'textual-indicators',
+                selector: null, // Special handling
+                priority: 6,
+                description: 'Textual sender indicators'
+            },
+            {
+                name: 'structural-alternation',
+                selector: null, // Special handling
+                priority: 4,
+                description: 'Structural alternation patterns'
             }
-            if (alt.includes('chatgpt') || alt.includes('assistant') || alt.includes('gpt') ||
-                src.includes('assistant') || src.includes('chatgpt') || classes.includes('assistant')) {
-                return { sender: 'ChatGPT', reliable: false };
+        ]);
+
+        // Code Block Strategies
+        this.addStrategy('codeBlocks', [
+            {
+                name: 'structured-pre',
+                selector: 'pre code, pre[class*="language"], code[class*="language"]',
+                priority: 10,
+                description: 'Structured code blocks with language'
+            },
+            {
+                name: 'generic-pre',
+                selector: 'pre, code[class*="block"]',
+                priority: 8,
+                description: 'Generic pre and code blocks'
+            },
+            {
+                name: 'code-containers',
+                selector: '.code, [class*="code-"], [data-code]',
+                priority: 7,
+                description: 'Code container classes'
             }
+        ]);
+    }
+
+    /**
+     * Add a strategy to the cascade
+     */
+    addStrategy(type, strategies) {
+        this.strategies.set(type, strategies.sort((a, b) => b.priority - a.priority));
+    }
+
+    /**
+     * Execute cascade for a given type
+     */
+    execute(type, options = {}) {
+        const cacheKey = `${type}_${JSON.stringify(options)}`;
+        // Element references all serialize to "{}", so scoped lookups must never be cached
+        const cacheable = !options.parentMessage && !options.fresh;
+        
+        // Return cached result if available and not expired
+        if (cacheable && this.cache.has(cacheKey) && !this.isCacheExpired(cacheKey)) {
+            return this.cache.get(cacheKey);
         }
 
-        const text = messageElement.textContent.toLowerCase();
-        const textStart = text.substring(0, 200);
+        const strategies = this.strategies.get(type);
+        if (!strategies) {
+            console.warn(`No strategies defined for type: ${type}`);
+            return null;
+        }
+
+        const startTime = performance.now();
+        let result = null;
 
-        if (textStart.match(/^(i understand|i can help|here's|i'll|let me|i'd be happy|certainly|of course)/)) {
-            return { sender: 'ChatGPT', reliable: false };
+        for (const strategy of strategies) {
+            try {
+                const strategyResult = this.executeStrategy(strategy, type, options);
+                
+                if (this.isValidResult(strategyResult, type)) {
+                    result = {
+                        success: true,
+                        strategy: strategy.name,
+                        priority: strategy.priority,
+                        description: strategy.description,
+                        data: strategyResult,
+                        executionTime: performance.now() - startTime
+                    };
+                    break;
+                }
+            } catch (error) {
+                console.warn(`Strategy ${strategy.name} failed:`, error);
+                continue;
+            }
         }
-        if (textStart.match(/^(can you|please help|how do i|i need|i want|help me|could you)/)) {
-            return { sender: 'You', reliable: false };
+
+        if (!result) {
+            result = {
+                success: false,
+                error: `All strategies failed for type: ${type}`,
+                executionTime: performance.now() - startTime
+            };
         }
 
-        const hasCodeBlocks = messageElement.querySelectorAll('pre, code').length > 0;
-        const hasLongText = messageElement.textContent.length > 200;
-        const hasLists = messageElement.querySelectorAll('ul, ol, li').length > 0;
+        // Cache the result
+        if (cacheable) {
+            this.cache.set(cacheKey, {
+                ...result,
+                timestamp: Date.now(),
+                ttl: options.cacheTtl || 30000 // 30 seconds default
+            });
+        }
 
-        if (hasCodeBlocks && hasLongText && hasLists) {
-            return { sender: 'ChatGPT', reliable: false };
+        // Track performance
+        this.trackPerformance(type, result);
+
+        return result;
+    }
+
+    /**
+     * Execute a single strategy
+     */
+    executeStrategy(strategy, type, options) {
+        // Handle special strategies that don't use simple selectors
+        if (!strategy.selector) {
+            return this.executeSpecialStrategy(strategy, type, options);
         }
 
-        if (index > 0 && allMessages[index - 1]) {
-            const prevText = allMessages[index - 1].textContent;
-            const currentText = messageElement.textContent;
+        // Standard selector-based strategy, scoped to a message when one is given
+        const root = options.parentMessage || document;
+        const elements = root.querySelectorAll(strategy.selector);
+        
+        if (elements.length === 0) {
+            return null;
+        }
 
-            if (prevText.length < 100 && currentText.length > 300) {
-                return { sender: 'ChatGPT', reliable: false };
-            }
-            if (prevText.length > 300 && currentText.length < 100) {
-                return { sender: 'You', reliable: false };
-            }
+        // Apply type-specific processing
+        switch (type) {
+            case 'conversationContainer':
+                return this.processConversationContainer(elements);
+            case 'messageContainers':
+                return this.processMessageContainers(elements, options);
+            case 'geminiMessageContainers':
+                return this.processMessageContainers(elements, { ...options, minLength: 30 });
+            case 'messageContent':
+                return this.processMessageContent(elements, options);
+            case 'attachmentChips':
+                return this.processAttachmentChips(elements);
+            case 'canvasCards':
+                return this.processCanvasCards(elements);
+            case 'canvasPanel':
+                return this.processCanvasPanel(elements);
+            case 'senderIdentification':
+                return this.processSenderIdentification(elements, options);
+            case 'codeBlocks':
+                return this.processCodeBlocks(elements);
+            default:
+                return Array.from(elements);
         }
+    }
 
-        return { sender: index % 2 === 0 ? 'You' : 'ChatGPT', reliable: false };
+    /**
+     * Execute special strategies that require custom logic
+     */
+    executeSpecialStrategy(strategy, type, options) {
+        switch (strategy.name) {
+            case 'content-based':
+                return this.contentBasedConversationDetection();
+            case 'container-children':
+                return this.containerChildrenDetection(type, options);
+            case 'direct-text':
+                return this.directTextExtraction(options.parentElement);
+            case 'textual-indicators':
+                return this.textualSenderDetection(options.parentMessage);
+            case 'structural-alternation':
+                return this.structuralSenderDetection(options.messageElements);
+            default:
+                return null;
+        }
     }
 
-    function extractConversationTitle() {
-        const titleSelectors = [
-            'h1:not([class*="hidden"])',
-            '[class*="conversation-title"]',
-            '[data-testid*="conversation-title"]',
-            'title'
-        ];
+    /**
+     * Process conversation container results
+     */
+    processConversationContainer(elements) {
+        // Find the most likely conversation container
+        let bestContainer = null;
+        let bestScore = 0;
 
-        for (const selector of titleSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                const title = element.textContent.trim();
-                if (!['chatgpt', 'new chat', 'untitled', 'chat'].includes(title.toLowerCase())) {
-                    return title;
-                }
+        for (const element of elements) {
+            const score = this.scoreConversationContainer(element);
+            if (score > bestScore) {
+                bestScore = score;
+                bestContainer = element;
             }
         }
 
-        return 'ChatGPT Conversation';
+        return bestContainer ? {
+            element: bestContainer,
+            score: bestScore,
+            childCount: bestContainer.children.length
+        } : null;
     }
 
-    async function processMessageContent(element) {
-        const clone = element.cloneNode(true);
+    /**
+     * Process message container results
+     */
+    processMessageContainers(elements, options = {}) {
+        const candidates = Array.from(elements).filter(el => this.isLikelyMessage(el, options.minLength));
+        const messages = this.removeNestedElements(candidates);
+        
+        return {
+            elements: messages,
+            count: messages.length,
+            validity: this.validateMessageSequence(messages)
+        };
+    }
 
-        // Extract images from buttons before removing them
-        clone.querySelectorAll('button').forEach(btn => {
-            const img = btn.querySelector('img');
-            if (img) {
-                btn.parentNode.replaceChild(img.cloneNode(true), btn);
-            } else {
-                btn.remove();
-            }
-        });
+    /**
+     * Process message content results
+     */
+    processMessageContent(elements, options) {
+        // Elements are already scoped to options.parentMessage by executeStrategy.
+        // File name and type labels of attachment chips are not the message text.
+        const chips = this.findAttachmentChips(options.parentMessage);
+        return Array.from(elements).filter(element => !chips.some(chip => chip.element.contains(element)));
+    }
 
-        // Remove UI elements
-        clone.querySelectorAll('svg, [class*="sr-only"], [class*="citation-pill"]').forEach(el => el.remove());
+    /**
+     * Process attachment chip results: one { element, name, label, size, href } per chip showing a file name
+     */
+    processAttachmentChips(elements) {
+        const candidates = Array.from(elements).filter(element => this.findFileNames(element).length === 1);
+        return this.removeNestedElements(candidates).map(element => this.readAttachmentChip(element));
+    }
 
-        // Find markdown container
-        const markdownContainer = clone.querySelector('.markdown, [class*="markdown"]');
-        const contentElement = markdownContainer || clone;
-        const originalMarkdown = element.querySelector('.markdown, [class*="markdown"]') || element;
+    /**
+     * Attachment chips inside a message, or [] when it has none
+     */
+    findAttachmentChips(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('attachmentChips', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
 
-        // Process all images - convert to base64
-        const images = contentElement.querySelectorAll('img');
-        const originalImages = element.querySelectorAll('img');
+    /**
+     * Read a chip: the file name, the type label next to it (e.g. "PDF", "Spreadsheet"),
+     * the size when shown and the download link when the chip has one
+     */
+    readAttachmentChip(element) {
+        const name = this.findFileNames(element)[0];
+        const texts = this.getLeafTexts(element);
+        const sizeMatch = element.textContent.match(/(\d+(?:[.,]\d+)?)\s*(B|KB|MB|GB)\b/i);
+        const label = texts.find(text => text !== name && !/^\d/.test(text)) || null;
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
 
-        const srcToOriginal = new Map();
-        originalImages.forEach(img => {
-            const src = img.getAttribute('src');
-            if (src && !srcToOriginal.has(src)) {
-                srcToOriginal.set(src, img);
-            }
+        return {
+            element,
+            name,
+            label,
+            size: sizeMatch ? this.parseFileSize(sizeMatch[1], sizeMatch[2]) : null,
+            href: link ? link.href : null
+        };
+    }
+
+    /**
+     * Process Canvas card results: one { element, id, title } per card, id being the document id when the card has it
+     */
+    processCanvasCards(elements) {
+        const candidates = Array.from(elements).filter(element => element.tagName.toLowerCase() !== 'canvas' && element.textContent.trim());
+        return this.removeNestedElements(candidates).map(element => {
+            const idMatch = (element.id || '').match(/^textdoc-message-(.+)$/);
+            return {
+                element,
+                id: idMatch ? idMatch[1] : element.getAttribute('data-textdoc-id'),
+                title: this.getLeafTexts(element)[0]
+            };
         });
+    }
+
+    /**
+     * Canvas cards inside a message, or [] when it has none
+     */
+    findCanvasCards(messageElement) {
+        if (!messageElement) return [];
+        const result = this.execute('canvasCards', { parentMessage: messageElement });
+        return result && result.success ? result.data : [];
+    }
 
-        for (const img of images) {
-            const src = img.getAttribute('src') || '';
-            if (src.includes('favicon') || src.includes('avatar') ||
-                (img.className && img.className.includes('icon'))) {
-                img.remove();
+    /**
+     * Process Canvas panel results: the first editor that is not part of a message or the prompt box,
+     * as { element, editor, kind: 'code' | 'document', language }
+     */
+    processCanvasPanel(elements) {
+        for (const element of elements) {
+            if (element.closest('[data-message-author-role], form, #prompt-textarea')) {
                 continue;
             }
-
-            const originalImg = srcToOriginal.get(src);
-            if (originalImg) {
-                const base64 = await imageToBase64(originalImg);
-                if (base64) {
-                    img.src = base64;
-                }
+            const code = element.closest('.cm-editor') || element.querySelector('.cm-editor');
+            const text = element.closest('.ProseMirror') || element.querySelector('.ProseMirror');
+            const editor = code || text;
+            if (editor && editor.textContent.trim()) {
+                const labelled = editor.closest('[data-language]') || editor.querySelector('[data-language]');
+                const languageClass = editor.querySelector('[class*="language-"]') || editor;
+                const classMatch = (typeof languageClass.className === 'string' ? languageClass.className : '').match(/language-([\w+#-]+)/);
+                return {
+                    element,
+                    editor,
+                    kind: code ? 'code' : 'document',
+                    language: labelled ? labelled.getAttribute('data-language') : (classMatch ? classMatch[1] : null)
+                };
             }
-            img.style.cssText = 'max-width: 100%; height: auto;';
-            img.removeAttribute('class');
         }
+        return null;
+    }
+
+    /**
+     * The open Canvas panel, or null. Never cached: it changes with every document opened.
+     */
+    findCanvasPanel() {
+        const result = this.execute('canvasPanel', { fresh: true });
+        return result && result.success ? result.data : null;
+    }
 
-        // Process element to inline styles
-        await processElement(contentElement, originalMarkdown);
+    /**
+     * Texts of an element that look like a whole file name ("report.pdf", "data 2024.xlsx")
+     */
+    findFileNames(element) {
+        return this.getLeafTexts(element).filter(text => text.length <= 255 && /^[^\s/\\][^/\\]*\.[a-z0-9]{1,8}$/i.test(text));
+    }
 
-        return contentElement.innerHTML;
+    /**
+     * Trimmed texts of the elements that have no child elements
+     */
+    getLeafTexts(element) {
+        return Array.from(element.querySelectorAll('*'))
+            .filter(node => node.children.length === 0)
+            .map(node => node.textContent.trim())
+            .filter(Boolean);
     }
 
-    async function extractFormattedContent() {
-        const messages = findMessages();
+    parseFileSize(value, unit) {
+        const multipliers = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(value.replace(',', '.')) * multipliers[unit.toLowerCase()]);
+    }
 
-        if (messages.length === 0) {
-            console.log('HTML: No messages found. The page structure may have changed.');
-            return '<div class="message"><div class="content">No messages found.</div></div>';
+    /**
+     * Process sender identification results
+     */
+    processSenderIdentification(elements, options) {
+        const senders = [];
+        
+        for (const element of elements) {
+            const senderInfo = this.extractSenderInfo(element);
+            if (senderInfo) {
+                senders.push(senderInfo);
+            }
         }
 
-        console.log(`HTML: Processing ${messages.length} messages...`);
+        return senders;
+    }
 
-        const processedMessages = [];
-        const seenContent = new Set();
+    /**
+     * Process code block results
+     */
+    processCodeBlocks(elements) {
+        return Array.from(elements).map(block => ({
+            element: block,
+            language: this.extractCodeLanguage(block),
+            content: block.textContent.trim(),
+            hasLanguageClass: !!block.querySelector('[class*="language-"]')
+        }));
+    }
 
-        console.log('HTML: Converting images to base64...');
-        for (let index = 0; index < messages.length; index++) {
-            const messageElement = messages[index];
-            const { sender, reliable } = identifySender(messageElement, index, messages);
-            const replyLabel = findReplyLabel(messageElement);
-            const content = await processMessageContent(messageElement);
-
-            const textContent = messageElement.textContent.trim();
-            // Reduced threshold for Chinese text
-            if (!textContent || textContent.length < 5) {
-                console.log(`HTML: Skipping message ${index}: too short or empty`);
-                continue;
+    /**
+     * Content-based conversation detection
+     */
+    contentBasedConversationDetection() {
+        const candidates = document.querySelectorAll('div, section, main, article');
+        
+        for (const candidate of candidates) {
+            if (this.hasConversationCharacteristics(candidate)) {
+                return {
+                    element: candidate,
+                    score: this.scoreConversationContainer(candidate),
+                    detectionMethod: 'content-analysis'
+                };
             }
+        }
 
-            const contentHash = textContent.substring(0, 100).replace(/\s+/g, ' ').trim();
-            if (seenContent.has(contentHash)) {
-                console.log(`HTML: Skipping message ${index}: duplicate content`);
-                continue;
-            }
-            seenContent.add(contentHash);
+        return null;
+    }
 
-            processedMessages.push({
-                sender,
-                reliable,
-                replyLabel,
-                content,
-                originalIndex: index
-            });
+    /**
+     * Fallback: treat direct children of the conversation container as messages
+     */
+    containerChildrenDetection(type, options) {
+        const container = document.querySelector('[role="main"], main, .conversation, [class*="conversation"]');
+        if (!container) return null;
 
-            console.log(`HTML: Processed message ${index + 1}/${messages.length}`);
-        }
+        const children = container.querySelectorAll(':scope > div, :scope > article');
+        console.log(`Fallback: found ${children.length} potential messages in conversation container`);
+        const minLength = type === 'geminiMessageContainers' ? 30 : options.minLength;
+        return this.processMessageContainers(children, { ...options, minLength });
+    }
 
-        // Apply sender sequence correction only for unreliable detections
-        for (let i = 1; i < processedMessages.length; i++) {
-            const current = processedMessages[i];
-            const previous = processedMessages[i - 1];
+    /**
+     * Direct text extraction from parent element
+     */
+    directTextExtraction(parentElement) {
+        if (!parentElement) return null;
 
-            // Skip correction if either sender was reliably detected
-            if (current.reliable || previous.reliable) {
-                continue;
+        // Extract all text content, preserving structure
+        const textNodes = this.getTextNodes(parentElement);
+        return {
+            fullText: parentElement.textContent.trim(),
+            textNodes: textNodes,
+            hasFormatting: parentElement.children.length > 0
+        };
+    }
+
+    /**
+     * Textual sender detection
+     */
+    textualSenderDetection(parentElement) {
+        const textNodes = this.getTextNodes(parentElement || document.body);
+        const senderIndicators = [];
+
+        for (const node of textNodes) {
+            const text = node.textContent.trim();
+            const senderMatch = text.match(/^(You|ChatGPT|Assistant|System|User)[:.]?\s*$/i);
+            
+            if (senderMatch) {
+                senderIndicators.push({
+                    type: 'textual',
+                    sender: senderMatch[1],
+                    text: senderMatch[1],
+                    element: node.parentElement,
+                    confidence: this.calculateTextualSenderConfidence(text, node.parentElement)
+                });
             }
+        }
+
+        return senderIndicators;
+    }
+
+    /**
+     * Structural sender detection based on alternating patterns
+     */
+    structuralSenderDetection(messageElements) {
+        if (!messageElements || messageElements.length < 2) return null;
+
+        const patterns = {
+            classAlternation: this.detectClassAlternation(messageElements),
+            positionAlternation: this.detectPositionAlternation(messageElements),
+            styleAlternation: this.detectStyleAlternation(messageElements)
+        };
+
+        return patterns;
+    }
+
+    // Helper methods for scoring and validation
+    scoreConversationContainer(element) {
+        let score = 0;
+        
+        // Data attributes increase score
+        if (Object.keys(element.dataset).length > 0) score += 3;
+        
+        // ARIA attributes increase score
+        if (element.getAttribute('role') || element.getAttribute('aria-label')) score += 2;
+        
+        // Semantic tags increase score
+        if (['main', 'section', 'article'].includes(element.tagName.toLowerCase())) score += 2;
+        
+        // Content characteristics
+        if (this.hasConversationCharacteristics(element)) score += 3;
+        
+        // Child count (conversations typically have multiple children)
+        if (element.children.length > 1 && element.children.length < 1000) score += 1;
+
+        return score;
+    }
+
+    isLikelyMessage(element, minLength = 5) {
+        const text = element.textContent.trim();
+        // Reasonable message length (low minimum for Chinese text)
+        if (text.length < minLength || text.length > 100000) return false;
+
+        // Skip elements that are clearly UI components
+        if (element.querySelector('input[type="text"], textarea')) return false;
+        if (element.classList.contains('typing') || element.classList.contains('loading')) return false;
+
+        return true;
+    }
+
+    /**
+     * Drop candidates nested inside another candidate so each message is counted once
+     */
+    removeNestedElements(elements) {
+        const consolidated = [];
+        const usedElements = new Set();
+
+        elements.forEach(element => {
+            if (usedElements.has(element)) return;
+
+            const isNested = elements.some(other =>
+                other !== element && other.contains(element) && !usedElements.has(other)
+            );
+
+            if (!isNested) {
+                consolidated.push(element);
+                usedElements.add(element);
+            }
+        });
+
+        return consolidated;
+    }
+
+    /**
+     * Check whether a strategy produced something usable for the given type
+     */
+    isValidResult(result, type) {
+        if (!result) return false;
+        if (Array.isArray(result)) return result.length > 0;
+
+        switch (type) {
+            case 'messageContainers':
+            case 'geminiMessageContainers':
+                return result.count > 0;
+            case 'conversationContainer':
+                return !!result.element;
+            default:
+                return true;
+        }
+    }
+
+    hasConversationCharacteristics(element) {
+        const text = element.textContent.toLowerCase();
+        const keywords = ['chatgpt', 'assistant', 'you:', 'user:', 'message', 'conversation'];
+        const keywordCount = keywords.filter(keyword => text.includes(keyword)).length;
+        
+        return keywordCount >= 2 || text.includes('chatgpt');
+    }
+
+    validateMessageSequence(messages) {
+        if (messages.length < 2) return { valid: false, reason: 'Insufficient messages' };
+        
+        // Check for reasonable message distribution
+        const avgLength = messages.reduce((sum, msg) => sum + msg.textContent.length, 0) / messages.length;
+        if (avgLength < 10) return { valid: false, reason: 'Messages too short' };
+        if (avgLength > 50000) return { valid: false, reason: 'Messages too long' };
+        
+        return { valid: true, avgLength, count: messages.length };
+    }
+
+    extractSenderInfo(element) {
+        // Extract sender information from various attributes and patterns
+        const dataAttrs = Object.keys(element.dataset)
+            .filter(key => key.includes('author') || key.includes('sender'))
+            .map(key => ({ key, value: element.dataset[key] }));
+
+        if (dataAttrs.length > 0) {
+            return {
+                type: 'data-attribute',
+                sender: dataAttrs[0].value,
+                confidence: 0.9
+            };
+        }
+
+        // Check for textual indicators
+        const text = element.textContent.trim();
+        const senderMatch = text.match(/^(You|ChatGPT|Assistant|System)[:.]?\s*/i);
+        
+        if (senderMatch) {
+            return {
+                type: 'textual',
+                sender: senderMatch[1],
+                confidence: 0.7
+            };
+        }
+
+        return null;
+    }
+
+    extractCodeLanguage(codeElement) {
+        // Check for language class
+        const langClass = codeElement.querySelector('[class*="language-"]');
+        if (langClass) {
+            const langMatch = langClass.className.match(/language-([a-zA-Z0-9]+)/);
+            return langMatch ? langMatch[1] : null;
+        }
+
+        // Check for data attributes
+        const dataLang = codeElement.dataset.language || codeElement.dataset.lang;
+        if (dataLang) return dataLang;
+
+        return null;
+    }
+
+    // Cache and performance management
+    isCacheExpired(cacheKey) {
+        const cached = this.cache.get(cacheKey);
+        return !cached || (Date.now() - cached.timestamp) > cached.ttl;
+    }
+
+    trackPerformance(type, result) {
+        if (!this.performance.has(type)) {
+            this.performance.set(type, {
+                executions: 0,
+                totalTime: 0,
+                successRate: 0,
+                avgTime: 0
+            });
+        }
+
+        const perf = this.performance.get(type);
+        perf.executions++;
+        perf.totalTime += result.executionTime;
+        perf.avgTime = perf.totalTime / perf.executions;
+        
+        if (result.success) {
+            perf.successRate = ((perf.successRate * (perf.executions - 1)) + 1) / perf.executions;
+        } else {
+            perf.successRate = (perf.successRate * (perf.executions - 1)) / perf.executions;
+        }
+    }
+
+    getTextNodes(element) {
+        const walker = document.createTreeWalker(
+            element,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        const textNodes = [];
+        let node;
+        
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0) {
+                textNodes.push(node);
+            }
+        }
+
+        return textNodes;
+    }
+
+    calculateTextualSenderConfidence(text, element) {
+        let confidence = 0.7; // Base confidence for textual detection
+        
+        // Exact matches increase confidence
+        if (/^(You|ChatGPT)[:.]?\s*$/.test(text)) confidence += 0.2;
+        
+        // Position in parent affects confidence
+        if (element.parentElement && element === element.parentElement.firstElementChild) {
+            confidence += 0.1;
+        }
+
+        return Math.min(confidence, 1.0);
+    }
+
+    // Pattern detection methods
+    detectClassAlternation(elements) { /* Implementation */ return null; }
+    detectPositionAlternation(elements) { /* Implementation */ return null; }
+    detectStyleAlternation(elements) { /* Implementation */ return null; }
+
+    /**
+     * Get performance statistics
+     */
+    getPerformanceStats() {
+        const stats = {};
+        for (const [type, perf] of this.performance) {
+            stats[type] = { ...perf };
+        }
+        return stats;
+    }
+
+    /**
+     * Clear cache
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Reset performance tracking
+     */
+    resetPerformance() {
+        this.performance.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectorCascade;
+}
+
+// Make available globally for console testing
+window.SelectorCascade = SelectorCascade;
+
+// ---- core/message-detector.js ----
+
+/**
+ * Unified Message Detection System - Phase 1.3 Implementation
+ * Replaces inconsistent message detection logic across exporters
+ */
+
+class MessageDetector {
+    /**
+     * @param {Object} options
+     * @param {string} options.platform - 'chatgpt' (default) or 'gemini'
+     */
+    constructor(options = {}) {
+        this.platform = options.platform || 'chatgpt';
+        this.assistantName = this.platform === 'gemini' ? 'Gemini' : 'ChatGPT';
+        this.domAnalyzer = new ChatGPTDOMAnalyzer();
+        this.selectorCascade = new SelectorCascade();
+        this.messages = [];
+        this.conversationMetadata = {};
+        this.detectionConfidence = 0;
+    }
+
+    /**
+     * Detect and parse all messages in the conversation
+     */
+    async detectMessages() {
+        console.log('Starting message detection...');
+        
+        // Step 1: Analyze page structure
+        const analysis = this.domAnalyzer.analyzePage();
+        
+        // Step 2: Find conversation container
+        const conversationResult = this.selectorCascade.execute('conversationContainer');
+        if (!conversationResult.success) {
+            console.warn('Could not find conversation container, searching the whole page');
+        }
+
+        // Step 3: Find message containers
+        const containerType = this.platform === 'gemini' ? 'geminiMessageContainers' : 'messageContainers';
+        const messagesResult = this.selectorCascade.execute(containerType);
+        if (!messagesResult.success) {
+            throw new Error('Could not find message containers');
+        }
+        console.log(`Using strategy: ${messagesResult.strategy}, found ${messagesResult.data.count} messages`);
+
+        // Step 4: Extract messages
+        this.messages = await this.extractMessages(messagesResult.data.elements);
+        
+        // Step 5: Extract conversation metadata
+        this.conversationMetadata = this.extractConversationMetadata();
+        
+        // Step 6: Calculate overall detection confidence
+        this.detectionConfidence = this.calculateOverallConfidence(conversationResult, messagesResult);
+
+        console.log(`Detected ${this.messages.length} messages with ${(this.detectionConfidence * 100).toFixed(1)}% confidence`);
+        
+        return {
+            messages: this.messages,
+            metadata: this.conversationMetadata,
+            confidence: this.detectionConfidence,
+            analysis
+        };
+    }
+
+    /**
+     * Extract individual messages from containers
+     */
+    async extractMessages(messageElements) {
+        const messages = [];
+        
+        for (let i = 0; i < messageElements.length; i++) {
+            try {
+                const messageData = await this.extractSingleMessage(messageElements[i], i, messageElements);
+                if (messageData) {
+                    messages.push(messageData);
+                }
+            } catch (error) {
+                console.warn(`Failed to extract message ${i}:`, error);
+                continue;
+            }
+        }
+
+        // Post-process messages to fix any detection issues
+        return this.postProcessMessages(messages);
+    }
+
+    /**
+     * Extract a single message from its container element
+     */
+    async extractSingleMessage(element, index, allElements = []) {
+        // Step 1: Identify sender
+        const sender = await this.identifySender(element, index, allElements);
+        
+        // Step 2: Extract content
+        const content = await this.extractMessageContent(element);
+        
+        // Step 3: Extract metadata
+        const metadata = this.extractMessageMetadata(element);
+
+        // Skip empty or too short messages (reduced threshold for Chinese text)
+        if (!content || content.trim().length < 5) {
+            return null;
+        }
+
+        return {
+            index,
+            sender: sender.name,
+            senderType: sender.type, // 'user', 'assistant', 'system'
+            senderConfidence: sender.confidence,
+            reliable: sender.reliable,
+            replyLabel: this.findReplyLabel(element),
+            attachments: sender.type === 'user' ? this.selectorCascade.findAttachmentChips(element) : [],
+            canvasCards: sender.type === 'assistant' ? this.selectorCascade.findCanvasCards(element) : [],
+            content,
+            contentType: this.detectContentType(content),
+            metadata,
+            element, // Renderers convert this element into their output format
+            timestamp: metadata.timestamp || null
+        };
+    }
+
+    /**
+     * Identify the sender of a message using multiple strategies
+     */
+    async identifySender(messageElement, messageIndex, allElements = []) {
+        // Strategy 1: Author role on the message itself (most reliable)
+        const authorRole = messageElement.getAttribute('data-message-author-role');
+        if (authorRole) {
+            return this.createSender(authorRole === 'user' ? 'user' : 'assistant', 1.0, 'author-role', true);
+        }
+
+        // Strategy 2: Data attributes inside the message
+        const dataResult = this.selectorCascade.execute('senderIdentification', {
+            parentMessage: messageElement
+        });
+
+        if (dataResult.success && dataResult.data.length > 0) {
+            const senderData = dataResult.data[0];
+            return {
+                name: this.normalizeSenderName(senderData.sender),
+                type: this.classifySenderType(senderData.sender),
+                confidence: senderData.confidence,
+                method: 'data-attribute',
+                reliable: false
+            };
+        }
+
+        // Strategy 3: Avatar detection
+        const avatarSender = this.findAvatarSender(messageElement);
+        if (avatarSender) {
+            return avatarSender;
+        }
+
+        // Strategy 4: Textual indicators
+        const textualSender = this.findTextualSender(messageElement);
+        if (textualSender) {
+            return textualSender;
+        }
+
+        // Strategy 5: Structural analysis - assistant messages tend to be longer and more structured
+        const hasCodeBlocks = messageElement.querySelectorAll('pre, code').length > 0;
+        const hasLongText = messageElement.textContent.length > 200;
+        const hasLists = messageElement.querySelectorAll('ul, ol, li').length > 0;
+        if (hasCodeBlocks && hasLongText && hasLists) {
+            return this.createSender('assistant', 0.6, 'structure');
+        }
+
+        // Strategy 6: Class names on the message or its parent
+        const classes = [messageElement.className, messageElement.parentElement?.className]
+            .filter(name => typeof name === 'string')
+            .join(' ')
+            .toLowerCase();
+        if (/model-response|assistant/.test(classes)) {
+            return this.createSender('assistant', 0.6, 'class-name');
+        }
+        if (classes.includes('user')) {
+            return this.createSender('user', 0.6, 'class-name');
+        }
+
+        // Strategy 7: Compare with the previous message
+        const contextualSender = this.inferContextualSender(messageElement, messageIndex, allElements);
+        if (contextualSender) {
+            return contextualSender;
+        }
+
+        // Strategy 8: Structural patterns (alternating)
+        return this.inferStructuralSender(messageIndex);
+    }
+
+    /**
+     * Build a sender result for the given sender type
+     */
+    createSender(type, confidence, method, reliable = false) {
+        return {
+            name: type === 'user' ? 'You' : this.assistantName,
+            type,
+            confidence,
+            method,
+            reliable
+        };
+    }
+
+    /**
+     * Find sender from avatar images inside the message
+     */
+    findAvatarSender(messageElement) {
+        const avatars = messageElement.querySelectorAll('img');
+        for (const avatar of avatars) {
+            const attrs = [avatar.alt, avatar.src, avatar.className]
+                .filter(value => typeof value === 'string')
+                .join(' ')
+                .toLowerCase();
+
+            // User indicators
+            if (attrs.includes('user')) {
+                return this.createSender('user', 0.8, 'avatar-detection');
+            }
+
+            // Assistant indicators
+            if (/chatgpt|assistant|gpt|gemini|bard/.test(attrs)) {
+                return this.createSender('assistant', 0.8, 'avatar-detection');
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Infer sender by comparing message length with the previous message
+     */
+    inferContextualSender(messageElement, messageIndex, allElements) {
+        if (messageIndex === 0 || !allElements[messageIndex - 1]) return null;
+
+        const prevLength = allElements[messageIndex - 1].textContent.length;
+        const currentLength = messageElement.textContent.length;
+
+        // If previous was short and current is long, likely user -> assistant
+        if (prevLength < 100 && currentLength > 300) {
+            return this.createSender('assistant', 0.5, 'contextual');
+        }
+
+        // If previous was long and current is short, likely assistant -> user
+        if (prevLength > 300 && currentLength < 100) {
+            return this.createSender('user', 0.5, 'contextual');
+        }
+
+        return null;
+    }
+
+    /**
+     * Find reply labels like "回复 1" / "Response 2" shown when ChatGPT offers two answers
+     */
+    findReplyLabel(messageElement) {
+        const isReplyLabel = text => /^回复\s*\d+$/.test(text) || /^Response\s*\d+$/i.test(text);
+
+        const parent = messageElement.closest('.flex.max-w-full');
+        if (parent && parent.previousElementSibling) {
+            const labelEl = parent.previousElementSibling.querySelector('.font-semibold, [class*="font-semibold"]');
+            if (labelEl && isReplyLabel(labelEl.textContent.trim())) {
+                return labelEl.textContent.trim();
+            }
+        }
+
+        // Also check parent's parent
+        const grandParent = messageElement.parentElement?.parentElement;
+        if (grandParent) {
+            const labels = grandParent.querySelectorAll('.font-semibold, [class*="font-semibold"]');
+            for (const label of labels) {
+                const text = label.textContent.trim();
+                if (isReplyLabel(text)) {
+                    return text;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract message content with proper formatting preservation
+     */
+    async extractMessageContent(messageElement) {
+        // Try to find structured content first
+        const contentResult = this.selectorCascade.execute('messageContent', {
+            parentMessage: messageElement
+        });
+
+        let contentElement = messageElement;
+        
+        if (contentResult.success) {
+            // Use the best content container found
+            const contentContainers = Array.isArray(contentResult.data) ? contentResult.data : [contentResult.data];
+            // Special strategies may return descriptive objects instead of elements
+            if (contentContainers[0] && contentContainers[0].nodeType === Node.ELEMENT_NODE) {
+                contentElement = contentContainers[0];
+            }
+        }
+
+        // Extract and process content
+        return this.processContentElement(contentElement);
+    }
+
+    /**
+     * Process content element to extract formatted text
+     */
+    processContentElement(element) {
+        const clone = element.cloneNode(true);
+
+        // Handle code blocks specially
+        this.processCodeBlocks(clone);
+        
+        // Handle images and media
+        this.processMedia(clone);
+        
+        // Handle links
+        this.processLinks(clone);
+        
+        // Handle formatting
+        this.processFormatting(clone);
+
+        // Extract final text content
+        return clone.textContent.trim();
+    }
+
+    /**
+     * Process code blocks in content
+     */
+    processCodeBlocks(element) {
+        const codeResult = this.selectorCascade.execute('codeBlocks', { parentMessage: element });
+        
+        if (codeResult.success) {
+            codeResult.data.forEach(codeBlock => {
+                const { element: codeEl, language, content } = codeBlock;
+                
+                if (element.contains(codeEl)) {
+                    const lang = language || '';
+                    const placeholder = document.createTextNode(`\n\n\`\`\`${lang}\n${content}\n\`\`\`\n\n`);
+                    codeEl.parentNode.replaceChild(placeholder, codeEl);
+                }
+            });
+        } else {
+            // Fallback to simple code block processing
+            element.querySelectorAll('pre, code[class*="block"]').forEach(pre => {
+                const code = pre.textContent.trim();
+                const langMatch = pre.querySelector('code')?.className?.match(/language-([a-zA-Z0-9]+)/);
+                const lang = langMatch ? langMatch[1] : '';
+                const placeholder = document.createTextNode(`\n\n\`\`\`${lang}\n${code}\n\`\`\`\n\n`);
+                pre.parentNode.replaceChild(placeholder, pre);
+            });
+        }
+    }
+
+    /**
+     * Process media elements (images, videos, etc.)
+     */
+    processMedia(element) {
+        // Replace images and canvas with descriptive placeholders
+        element.querySelectorAll('img, canvas, video, audio').forEach(media => {
+            let placeholder = '[Media]';
+            
+            if (media.tagName === 'IMG') {
+                placeholder = media.alt ? `[Image: ${media.alt}]` : '[Image]';
+            } else if (media.tagName === 'CANVAS') {
+                placeholder = '[Canvas/Chart]';
+            } else if (media.tagName === 'VIDEO') {
+                placeholder = '[Video]';
+            } else if (media.tagName === 'AUDIO') {
+                placeholder = '[Audio]';
+            }
+            
+            const textNode = document.createTextNode(placeholder);
+            media.parentNode.replaceChild(textNode, media);
+        });
+    }
+
+    /**
+     * Process links in content
+     */
+    processLinks(element) {
+        element.querySelectorAll('a[href]').forEach(link => {
+            const text = link.textContent.trim();
+            const href = link.href;
+            
+            // Keep links as markdown format if they're meaningful
+            if (text && text !== href) {
+                const linkText = `[${text}](${href})`;
+                const textNode = document.createTextNode(linkText);
+                link.parentNode.replaceChild(textNode, link);
+            }
+        });
+    }
+
+    /**
+     * Process text formatting
+     */
+    processFormatting(element) {
+        // Handle bold text
+        element.querySelectorAll('strong, b').forEach(bold => {
+            const text = bold.textContent;
+            const textNode = document.createTextNode(`**${text}**`);
+            bold.parentNode.replaceChild(textNode, bold);
+        });
+
+        // Handle italic text
+        element.querySelectorAll('em, i').forEach(italic => {
+            const text = italic.textContent;
+            const textNode = document.createTextNode(`*${text}*`);
+            italic.parentNode.replaceChild(textNode, italic);
+        });
+
+        // Handle inline code
+        element.querySelectorAll('code:not(pre code)').forEach(code => {
+            const text = code.textContent;
+            const textNode = document.createTextNode(`\`${text}\``);
+            code.parentNode.replaceChild(textNode, code);
+        });
+    }
+
+    /**
+     * Check if an avatar belongs to the user
+     */
+    isUserAvatar(avatarElement) {
+        const alt = avatarElement.alt?.toLowerCase() || '';
+        const src = avatarElement.src?.toLowerCase() || '';
+        const className = avatarElement.className?.toLowerCase() || '';
+        
+        // Common patterns for user avatars
+        const userPatterns = ['user', 'you', 'human', 'person'];
+        const assistantPatterns = ['assistant', 'chatgpt', 'ai', 'bot'];
+        
+        // Check if any user patterns match
+        const hasUserPattern = userPatterns.some(pattern => 
+            alt.includes(pattern) || src.includes(pattern) || className.includes(pattern)
+        );
+        
+        // Check if any assistant patterns match
+        const hasAssistantPattern = assistantPatterns.some(pattern => 
+            alt.includes(pattern) || src.includes(pattern) || className.includes(pattern)
+        );
+        
+        // If both or neither match, try parent element analysis
+        if (hasUserPattern && !hasAssistantPattern) return true;
+        if (hasAssistantPattern && !hasUserPattern) return false;
+        
+        // Fallback: analyze parent structure
+        return this.analyzeAvatarContext(avatarElement);
+    }
+
+    /**
+     * Analyze avatar context to determine sender
+     */
+    analyzeAvatarContext(avatarElement) {
+        // Look for textual clues near the avatar
+        const parent = avatarElement.closest('[class*="message"], [class*="group"], article, section');
+        if (parent) {
+            const text = parent.textContent.toLowerCase();
+            if (text.includes('you:') || text.includes('user:')) return true;
+            if (text.includes('chatgpt:') || text.includes('assistant:')) return false;
+        }
+        
+        // Default assumption: first message is typically user
+        const messageIndex = this.getMessageIndex(avatarElement);
+        return messageIndex % 2 === 0; // Even indices = user, odd = assistant
+    }
+
+    /**
+     * Find textual sender indicators
+     */
+    findTextualSender(messageElement) {
+        const text = messageElement.textContent;
+        
+        // Look for explicit sender labels
+        const senderMatch = text.match(/^(You|ChatGPT|Gemini|Assistant|System|User)[:.]?\s*/i);
+        if (senderMatch) {
+            const senderName = senderMatch[1];
+            return {
+                name: this.normalizeSenderName(senderName),
+                type: this.classifySenderType(senderName),
+                confidence: 0.9,
+                method: 'textual',
+                reliable: false
+            };
+        }
+
+        // Look at how the message opens
+        const textStart = text.toLowerCase().trim().substring(0, 200);
+        if (/^(i understand|i can help|here's|i'll|let me|i'd be happy|certainly|of course|absolutely)/.test(textStart)) {
+            return this.createSender('assistant', 0.7, 'textual');
+        }
+        if (/^(can you|please help|how do i|i need|i want|help me|could you)/.test(textStart)) {
+            return this.createSender('user', 0.7, 'textual');
+        }
+
+        // Look for contextual clues
+        const contextualClues = this.analyzeContextualClues(messageElement);
+        if (contextualClues) {
+            return contextualClues;
+        }
+
+        return null;
+    }
+
+    /**
+     * Infer sender from structural patterns
+     */
+    inferStructuralSender(messageIndex) {
+        // Simple alternating pattern: even = user, odd = assistant
+        // This is a common pattern in chat interfaces
+        const isUser = messageIndex % 2 === 0;
+        
+        // Lower confidence for structural inference
+        return this.createSender(isUser ? 'user' : 'assistant', 0.6, 'alternation');
+    }
+
+    /**
+     * Infer sender from message content characteristics
+     */
+    inferSenderFromContent(messageElement) {
+        const text = messageElement.textContent.toLowerCase();
+        
+        // Assistant-like patterns
+        const assistantPatterns = [
+            'i understand', 'i can help', 'here\'s', 'let me', 'i\'ll',
+            'according to', 'based on', 'i think', 'in my opinion',
+            'i apologize', 'i\'m sorry', 'i don\'t have', 'i cannot'
+        ];
+        
+        // User-like patterns
+        const userPatterns = [
+            'can you', 'please', 'help me', 'i want', 'i need',
+            'how do i', 'what is', 'explain', 'show me'
+        ];
+        
+        const assistantScore = assistantPatterns.filter(pattern => text.includes(pattern)).length;
+        const userScore = userPatterns.filter(pattern => text.includes(pattern)).length;
+        
+        if (assistantScore > userScore) {
+            return {
+                name: this.assistantName,
+                type: 'assistant',
+                confidence: Math.min(0.7, 0.4 + (assistantScore * 0.1))
+            };
+        } else if (userScore > assistantScore) {
+            return {
+                name: 'You',
+                type: 'user',
+                confidence: Math.min(0.7, 0.4 + (userScore * 0.1))
+            };
+        }
+        
+        // Default fallback
+        return {
+            name: 'Unknown',
+            type: 'unknown',
+            confidence: 0.3
+        };
+    }
+
+    /**
+     * Normalize sender names to consistent format
+     */
+    normalizeSenderName(senderName) {
+        const name = senderName.toLowerCase().trim();
+        
+        if (name.includes('you') || name.includes('user') || name.includes('human')) {
+            return 'You';
+        }
+        
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
+            return this.assistantName;
+        }
+        
+        if (name.includes('system')) {
+            return 'System';
+        }
+        
+        // Capitalize first letter for unknown senders
+        return senderName.charAt(0).toUpperCase() + senderName.slice(1).toLowerCase();
+    }
+
+    /**
+     * Classify sender type
+     */
+    classifySenderType(senderName) {
+        const name = senderName.toLowerCase();
+        
+        if (name.includes('you') || name.includes('user') || name.includes('human')) {
+            return 'user';
+        }
+        
+        if (name.includes('chatgpt') || name.includes('gemini') || name.includes('model') ||
+            name.includes('assistant') || name.includes('ai')) {
+            return 'assistant';
+        }
+        
+        if (name.includes('system')) {
+            return 'system';
+        }
+        
+        return 'unknown';
+    }
+
+    /**
+     * Extract conversation metadata
+     */
+    extractConversationMetadata() {
+        return {
+            title: this.extractConversationTitle(),
+            url: window.location.href,
+            timestamp: new Date().toISOString(),
+            messageCount: this.messages.length,
+            model: this.detectModel(),
+            conversationId: this.extractConversationId(),
+            platform: this.assistantName
+        };
+    }
+
+    /**
+     * Extract conversation title from page
+     */
+    extractConversationTitle() {
+        // Try to get actual conversation title
+        const titleSelectors = [
+            'h1:not([class*="hidden"])',
+            '[class*="conversation-title"]',
+            '[data-testid*="conversation-title"]',
+            ...(this.platform === 'gemini' ? ['[aria-label*="conversation"]'] : []),
+            'title'
+        ];
+        const genericTitles = ['chatgpt', 'gemini', 'bard', 'new chat', 'untitled', 'chat'];
+
+        for (const selector of titleSelectors) {
+            const element = document.querySelector(selector);
+            if (element && element.textContent.trim()) {
+                const title = element.textContent.trim();
+                // Avoid generic titles
+                if (!genericTitles.includes(title.toLowerCase())) {
+                    return title;
+                }
+            }
+        }
+
+        return `Conversation with ${this.assistantName}`;
+    }
+
+    /**
+     * Detect AI model being used
+     */
+    detectModel() {
+        // Look for model indicators in the page
+        const text = document.body.textContent.toLowerCase();
+        
+        const models = ['gpt-4', 'gpt-3.5', 'claude', 'dall-e'];
+        for (const model of models) {
+            if (text.includes(model)) {
+                return model;
+            }
+        }
+        
+        return 'Unknown';
+    }
+
+    /**
+     * Extract conversation ID from the URL. New and temporary chats have none yet: null, as the page's
+     * data-testid values ("conversation-turn-1") would give every such chat the same id.
+     */
+    extractConversationId() {
+        const urlMatch = window.location.pathname.match(/\/c\/([a-zA-Z0-9-]+)/);
+        return urlMatch ? urlMatch[1] : null;
+    }
+
+    /**
+     * Post-process messages to fix any issues
+     */
+    postProcessMessages(messages) {
+        const uniqueMessages = this.removeDuplicateMessages(messages);
+        return this.fixSenderSequence(uniqueMessages);
+    }
+
+    /**
+     * Drop messages whose opening text was already seen
+     */
+    removeDuplicateMessages(messages) {
+        const seenContent = new Set();
+
+        return messages.filter(message => {
+            const contentHash = message.content.substring(0, 100).replace(/\s+/g, ' ').trim();
+            if (seenContent.has(contentHash)) {
+                console.log(`Skipping message ${message.index}: duplicate content`);
+                return false;
+            }
+            seenContent.add(contentHash);
+            return true;
+        });
+    }
+
+    /**
+     * Fix consecutive messages from the same sender when detection was unreliable
+     */
+    fixSenderSequence(messages) {
+        for (let i = 1; i < messages.length; i++) {
+            const current = messages[i];
+            const previous = messages[i - 1];
+
+            // Skip correction if either sender was reliably detected
+            if (current.reliable || previous.reliable || current.sender !== previous.sender) {
+                continue;
+            }
+
+            // Use content analysis to determine which should be flipped
+            const currentLength = current.content.length;
+            const previousLength = previous.content.length;
+
+            if (currentLength > previousLength * 2 && currentLength > 500) {
+                this.setSenderType(current, 'assistant');
+            } else if (previousLength > currentLength * 2 && previousLength > 500) {
+                this.setSenderType(previous, 'assistant');
+                this.setSenderType(current, 'user');
+            } else {
+                // Default alternating fix
+                this.setSenderType(current, current.senderType === 'user' ? 'assistant' : 'user');
+            }
+
+            console.log(`Fixed consecutive ${previous.sender} messages at positions ${i - 1} and ${i}`);
+        }
+
+        return messages;
+    }
+
+    setSenderType(message, type) {
+        message.sender = type === 'user' ? 'You' : this.assistantName;
+        message.senderType = type;
+        message.method = 'pattern-correction';
+    }
+
+    /**
+     * Apply alternating pattern to fix sender detection
+     */
+    applyAlternatingPattern(messages) {
+        // Assume first message is from user (common pattern)
+        let expectedSender = 'user';
+        
+        return messages.map((message, index) => {
+            if (message.senderConfidence < 0.7) {
+                message.sender = expectedSender === 'user' ? 'You' : this.assistantName;
+                message.senderType = expectedSender;
+                message.senderConfidence = 0.8; // Reasonable confidence from pattern
+                message.method = 'pattern-correction';
+            }
+            
+            // Alternate for next message
+            expectedSender = expectedSender === 'user' ? 'assistant' : 'user';
+            
+            return message;
+        });
+    }
+
+    /**
+     * Calculate overall detection confidence
+     */
+    calculateOverallConfidence(conversationResult, messagesResult) {
+        const conversationConfidence = conversationResult.success ? 0.3 : 0;
+        const messagesConfidence = messagesResult.success ? 0.3 : 0;
+        
+        // Average sender confidence
+        const avgSenderConfidence = this.messages.length > 0 
+            ? this.messages.reduce((sum, msg) => sum + msg.senderConfidence, 0) / this.messages.length 
+            : 0;
+        
+        const senderConfidence = avgSenderConfidence * 0.4;
+
+        return Math.min(conversationConfidence + messagesConfidence + senderConfidence, 1.0);
+    }
+
+    /**
+     * Detect content type of a message
+     */
+    detectContentType(content) {
+        if (content.includes('```')) return 'code';
+        if (content.includes('![') || content.includes('[Image')) return 'media';
+        if (content.includes('http://') || content.includes('https://')) return 'links';
+        return 'text';
+    }
+
+    /**
+     * Get message index from DOM element
+     */
+    getMessageIndex(element) {
+        const parent = element.closest('[class*="conversation"], main, [role="log"]');
+        if (parent) {
+            const allMessages = parent.querySelectorAll('[class*="message"], [class*="group"], article');
+            return Array.from(allMessages).indexOf(element.closest('[class*="message"], [class*="group"], article'));
+        }
+        return 0;
+    }
+
+    /**
+     * Extract message metadata
+     */
+    extractMessageMetadata(element) {
+        return {
+            timestamp: this.extractMessageTimestamp(element),
+            messageId: element.dataset.messageId || null,
+            editCount: this.extractEditCount(element),
+            hasAttachments: this.hasAttachments(element)
+        };
+    }
+
+    extractMessageTimestamp(element) { return null; } // Implementation needed
+    extractEditCount(element) { return 0; } // Implementation needed
+    hasAttachments(element) { return this.selectorCascade.findAttachmentChips(element).length > 0; }
+    analyzeContextualClues(element) { return null; } // Implementation needed
+
+    /**
+     * Get detected messages
+     */
+    getMessages() {
+        return this.messages;
+    }
+
+    /**
+     * Get conversation metadata
+     */
+    getMetadata() {
+        return this.conversationMetadata;
+    }
+
+    /**
+     * Get detection confidence
+     */
+    getConfidence() {
+        return this.detectionConfidence;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageDetector;
+}
+
+// Make available globally for console testing
+window.MessageDetector = MessageDetector;
+
+// ---- core/image-encoder.js ----
+
+/**
+ * Image Encoder
+ * Converts images in the conversation into self-contained data URLs.
+ *
+ * Images are fetched as their original bytes (blob: URLs, and ChatGPT's own file endpoints with the
+ * signed-in session), so JPEG photos stay JPEG and animated GIFs keep their frames. They are only
+ * re-encoded through a canvas when their type is not accepted by the output, when they are larger
+ * than `maxDimension`, or when the original bytes can't be fetched (e.g. a host without CORS).
+ */
+
+class ImageEncoder {
+    /**
+     * @param {Object} options
+     * @param {string} options.mimeType - Format to re-encode to when needed: 'image/png' (default), 'image/jpeg'
+     *   (transparent areas become white) or 'image/webp'
+     * @param {string[]} options.acceptedTypes - Original types kept as they are (default: every image type);
+     *   the PDF writer takes only JPEG, Word PNG, JPEG, GIF and BMP
+     * @param {number} options.maxDimension - Downscale images whose width or height is larger (default: no limit)
+     * @param {number} options.quality - JPEG/WebP quality from 0 to 1 when re-encoding (default 0.92)
+     */
+    constructor(options = {}) {
+        this.mimeType = options.mimeType || 'image/png';
+        this.acceptedTypes = options.acceptedTypes || null;
+        this.maxDimension = options.maxDimension || 0;
+        this.quality = options.quality || 0.92;
+    }
+
+    /**
+     * Convert image to base64 data URL
+     */
+    async toBase64(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+
+        // Skip UI images
+        if (this.isUiImage(imgElement)) {
+            return null;
+        }
+
+        try {
+            const original = await this.fetchOriginal(src);
+            if (original && !this.needsReencoding(original.type, imgElement)) {
+                return await this.blobToDataUrl(original);
+            }
+
+            // For blob URLs, we can draw directly from the existing image
+            if (src.startsWith('blob:') || imgElement.complete) {
+                return this.drawToBase64(imgElement, original && original.type) ||
+                    (original ? await this.blobToDataUrl(original) : null);
+            }
+
+            // For other URLs, load the image first
+            return new Promise((resolve) => {
+                const img = new Image();
+                img.crossOrigin = 'anonymous';
+                img.onload = () => resolve(this.drawToBase64(img, original && original.type));
+                img.onerror = () => {
+                    console.warn('Failed to load image:', src);
+                    resolve(null);
+                };
+                img.src = src;
+                // Timeout after 5 seconds
+                setTimeout(() => resolve(null), 5000);
+            });
+        } catch (e) {
+            console.warn('Error converting image to base64:', e);
+            return null;
+        }
+    }
+
+    /**
+     * The image file as served, or null when it can't be fetched. Same-origin requests (ChatGPT's
+     * file endpoints) carry the session cookies; other hosts must allow CORS.
+     * @returns {Promise<Blob|null>}
+     */
+    async fetchOriginal(src) {
+        if (!src || typeof fetch !== 'function') {
+            return null;
+        }
+
+        try {
+            const url = new URL(src, location.href);
+            if (!/^(blob|data|https?):$/.test(url.protocol)) {
+                return null;
+            }
+            const sameOrigin = url.origin === location.origin || url.protocol === 'blob:' || url.protocol === 'data:';
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), 10000);
+            const response = await fetch(url.href, { credentials: sameOrigin ? 'include' : 'omit', signal: controller.signal })
+                .finally(() => clearTimeout(timer));
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return blob.type.startsWith('image/') ? blob : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the original has to go through the canvas: a type the output can't take, or too large
+     */
+    needsReencoding(type, imgElement) {
+        if (this.acceptedTypes && !this.acceptedTypes.includes(type)) {
+            return true;
+        }
+        const width = imgElement.naturalWidth || imgElement.width || 0;
+        const height = imgElement.naturalHeight || imgElement.height || 0;
+        return this.maxDimension > 0 && Math.max(width, height) > this.maxDimension;
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Draw a loaded image onto a canvas, downscaled to maxDimension, and read it back. JPEGs stay
+     * JPEG when the output accepts them; everything else uses the configured format.
+     * @param {string} originalType - MIME type of the original file, when known
+     */
+    drawToBase64(img, originalType = null) {
+        try {
+            const width = img.naturalWidth || img.width;
+            const height = img.naturalHeight || img.height;
+            if (!width || !height) {
+                return null;
+            }
+
+            const scale = this.maxDimension > 0 ? Math.min(1, this.maxDimension / Math.max(width, height)) : 1;
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+
+            const keepJpeg = originalType === 'image/jpeg' && (!this.acceptedTypes || this.acceptedTypes.includes('image/jpeg'));
+            const mimeType = keepJpeg ? 'image/jpeg' : this.mimeType;
+
+            const ctx = canvas.getContext('2d');
+            if (mimeType === 'image/jpeg') {
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL(mimeType, this.quality);
+        } catch (e) {
+            // CORS or other error
+            console.warn('Cannot draw image to canvas:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check for favicons, avatars and icons that are not conversation content
+     */
+    isUiImage(imgElement) {
+        const src = imgElement.getAttribute('src') || '';
+        const className = typeof imgElement.className === 'string' ? imgElement.className : '';
+        return src.includes('favicon') || src.includes('avatar') || className.includes('icon');
+    }
+
+    /**
+     * Encode every content image in a cloned message, reading pixels from the live originals.
+     * Sets data-base64 on each clone image that could be converted.
+     */
+    async encodeClonedImages(clone, original) {
+        // Create a map of src -> original img element (it has the actual image data)
+        const srcToOriginal = new Map();
+        original.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src');
+            if (src && !srcToOriginal.has(src)) {
+                srcToOriginal.set(src, img);
+            }
+        });
+
+        for (const img of clone.querySelectorAll('img')) {
+            if (this.isUiImage(img)) {
+                continue;
+            }
+
+            const originalImg = srcToOriginal.get(img.getAttribute('src') || '');
+            if (originalImg) {
+                const base64 = await this.toBase64(originalImg);
+                if (base64) {
+                    img.setAttribute('data-base64', base64);
+                }
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageEncoder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ImageEncoder = ImageEncoder;
+}
+
+// ---- core/conversation-builder.js ----
+
+/**
+ * Conversation Builder
+ * Walks ChatGPT's message DOM once and produces a format-neutral conversation tree
+ * that every renderer (Markdown, HTML, PDF, ...) consumes as plain JSON.
+ *
+ * Document model:
+ *
+ *   conversation { type: 'conversation', title, url, conversationId, model, platform, exportedAt, createdAt, updatedAt, turns }
+ *   turn         { type: 'turn', role: 'user'|'assistant'|'system'|'unknown', sender, replyLabel, timestamp, html, blocks }
+ *
+ * createdAt, updatedAt and timestamp are ISO strings when the source knows them (conversations.json),
+ * null when built from the page. html is the message's page markup without UI controls (null when not from a page).
+ *
+ * When every branch is exported, a turn list may end in a fork instead of continuing linearly.
+ * Each branch holds the rest of the conversation from the fork on (which may fork again):
+ *
+ *   fork         { type: 'fork', branches: [branch] }
+ *   branch       { type: 'branch', index, total, active, turns }   (index is 1-based, active = the branch shown in the UI)
+ *
+ * Blocks:
+ *   paragraph    { type: 'paragraph', children }
+ *   heading      { type: 'heading', level, children }
+ *   list         { type: 'list', ordered, start, items: [{ type: 'listItem', children, blocks }] }
+ *   table        { type: 'table', header: [cell], rows: [[cell]] }   (cell = inline nodes)
+ *   code         { type: 'code', language, text }
+ *   image        { type: 'image', src, alt, data }                    (data = base64 data URL or null)
+ *   math         { type: 'math', tex, display: true, mathml }           (mathml = KaTeX's MathML markup or null)
+ *   blockquote   { type: 'blockquote', blocks }
+ *   rule         { type: 'rule' }
+ *   canvas       { type: 'canvas' }
+ *   attachments  { type: 'attachments', files: [{ name, mimeType, size, href, data }] }
+ *                (files uploaded with a prompt; size in bytes, href and data = the file as a data URL, or null)
+ *   codeRun      { type: 'codeRun', language, code, output, images: [image], files: [{ name, href }] }
+ *                (a Code Interpreter run: its code, the printed output or result (null when none),
+ *                the charts it drew and links to the files it wrote)
+ *   reasoning    { type: 'reasoning', label, blocks }   (a reasoning model's thinking summary, label e.g. "Thought for 12 seconds")
+ *   canvasDocument { type: 'canvasDocument', title, language, code, blocks, versions: [{ code, blocks }] }
+ *                (a Canvas document in its latest version, in the turn that created it: code holds the source of
+ *                code documents (blocks = null), blocks the content of text ones (code = null); versions are
+ *                the earlier versions, oldest first, when asked for and [] otherwise)
+ *   figure       { type: 'figure', image, caption, generation: { size, seed, genId } }
+ *                (an image the reply generated: caption = the prompt it was generated from, as rewritten by the
+ *                model; size e.g. "1024x1024"; caption and generation fields are null when the source doesn't say)
+ *
+ * Inline nodes:
+ *   text { value }, strong { children }, emphasis { children }, inlineCode { value },
+ *   link { href, children }, break, image { src, alt, data }, math { tex, display, mathml },
+ *   citation { href, label, title }   (a web search source: the pill's text and, when known, the page title)
+ */
+
+const ATTACHMENT_MIME_TYPES = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    html: 'text/html',
+    xml: 'application/xml',
+    py: 'text/x-python',
+    js: 'text/javascript',
+    ts: 'text/typescript',
+    zip: 'application/zip',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const REASONING_LABEL = /^(Thought|Thinking|Reasoned|Reasoning)\b.{0,60}$/i;
+
+const CITATION_PILL_SELECTOR = '[class*="citation-pill"], [data-testid*="citation-pill"]';
+
+class ConversationBuilder {
+    /**
+     * @param {Object} options
+     * @param {ImageEncoder} options.imageEncoder - Encodes the message images (default: new ImageEncoder())
+     * @param {boolean} options.attachmentFiles - Also download the files attached to prompts, when the chip links them
+     * @param {boolean} options.includeReasoning - Export the "Thought for N seconds" summaries, opening collapsed ones
+     * @param {boolean} options.canvasVersions - Keep the earlier versions of Canvas documents too
+     * @param {boolean} options.openCanvas - Open each Canvas card's document in the panel to read it whole (default);
+     *                                       off where nothing can open it, e.g. a saved page, whose scripts don't run
+     * @param {SelectorCascade} options.selectorCascade - Finds the Canvas panel (default: new SelectorCascade())
+     */
+    constructor(options = {}) {
+        this.imageEncoder = options.imageEncoder || new ImageEncoder();
+        this.attachmentFiles = Boolean(options.attachmentFiles);
+        this.includeReasoning = Boolean(options.includeReasoning);
+        this.canvasVersions = Boolean(options.canvasVersions);
+        this.openCanvas = options.openCanvas !== false;
+        this.selectorCascade = options.selectorCascade || new SelectorCascade();
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+        this.blockContainers = ['div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure'];
+    }
+
+    /**
+     * Build the conversation tree from a MessageDetector result
+     */
+    async build({ messages, metadata }) {
+        const turns = [];
+        this.canvasDocuments = new Map();
+        this.canvasCardCount = 0;
+
+        for (let i = 0; i < messages.length; i++) {
+            turns.push(await this.buildTurn(messages[i]));
+            console.log(`Processed message ${i + 1}/${messages.length}`);
+        }
+
+        return {
+            type: 'conversation',
+            title: metadata.title,
+            url: metadata.url,
+            conversationId: metadata.conversationId || null,
+            model: metadata.model || null,
+            platform: metadata.platform || 'ChatGPT',
+            exportedAt: metadata.timestamp,
+            createdAt: null,
+            updatedAt: null,
+            turns
+        };
+    }
+
+    /**
+     * Build a single turn from a detected message
+     */
+    async buildTurn(message) {
+        const chips = message.attachments || [];
+        const cards = message.canvasCards || [];
+        const reasoning = await this.findReasoning(message.element);
+        const removed = [
+            ...chips.map(chip => chip.element),
+            ...cards.map(card => card.element),
+            ...reasoning.flatMap(section => [section.row, section.content])
+        ];
+        const clone = this.cleanClone(message.element, removed.filter(Boolean));
+        const html = (clone.querySelector('.markdown, [class*="markdown"]') || clone).innerHTML.trim();
+        const blocks = await this.buildBlocks(message.element, clone);
+        if (this.includeReasoning) {
+            blocks.unshift(...reasoning
+                .filter(section => section.content)
+                .map(section => ({ type: 'reasoning', label: section.label, blocks: this.buildReasoningBlocks(section.content) })));
+        }
+        if (chips.length > 0) {
+            blocks.unshift(await this.buildAttachments(chips));
+        }
+        if (cards.length > 0) {
+            blocks.push(...await this.buildCanvasDocuments(cards));
+        }
+
+        return {
+            type: 'turn',
+            role: message.senderType,
+            sender: message.sender,
+            replyLabel: message.replyLabel || null,
+            timestamp: null,
+            html,
+            blocks
+        };
+    }
+
+    /**
+     * The "Thought for N seconds" sections of a reply: { label, row, content } with the row holding the
+     * toggle and the summary shown under it (null while collapsed). Their elements are left out of the
+     * reply either way; with includeReasoning, collapsed ones are opened first (and left open).
+     */
+    async findReasoning(element) {
+        const toggles = Array.from(element.querySelectorAll('button, [role="button"]'))
+            .filter(toggle => REASONING_LABEL.test(toggle.textContent.replace(/\s+/g, ' ').trim()));
+        const sections = [];
+
+        for (const toggle of toggles) {
+            let row = this.findReasoningRow(toggle, element);
+            let content = this.findReasoningContent(row, element);
+            if (this.includeReasoning && !content) {
+                toggle.click();
+                // The summary may open inside the collapsed row, which then holds more than the toggle
+                for (let wait = 0; wait < 30 && !content; wait++) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    row = this.findReasoningRow(toggle, element);
+                    content = this.findReasoningContent(row, element);
+                }
+            }
+            sections.push({ label: toggle.textContent.replace(/\s+/g, ' ').trim(), row, content });
+        }
+        return sections;
+    }
+
+    /**
+     * Highest ancestor of the toggle that holds nothing but the toggle
+     */
+    findReasoningRow(toggle, message) {
+        const label = toggle.textContent.trim();
+        let row = toggle;
+        while (row.parentElement && row.parentElement !== message && row.parentElement.textContent.trim() === label) {
+            row = row.parentElement;
+        }
+        return row;
+    }
+
+    /**
+     * The expanded summary right after the toggle's row. The reply itself (the last markdown part) never is.
+     */
+    findReasoningContent(row, message) {
+        const content = row.nextElementSibling;
+        const parts = message.querySelectorAll('.markdown, [class*="markdown"]');
+        const reply = parts[parts.length - 1];
+        if (!content || !content.textContent.trim() || (reply && content.contains(reply))) {
+            return null;
+        }
+        return content;
+    }
+
+    buildReasoningBlocks(content) {
+        const clone = this.cleanClone(content);
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        return markdownParts.length > 0
+            ? markdownParts.flatMap(part => this.convertBlocks(part))
+            : this.convertBlocks(clone);
+    }
+
+    /**
+     * Attachments block from the chips MessageDetector found, downloading the files when asked to
+     */
+    async buildAttachments(chips) {
+        const files = [];
+        for (const chip of chips) {
+            const extension = chip.name.includes('.') ? chip.name.split('.').pop().toLowerCase() : '';
+            files.push({
+                name: chip.name,
+                mimeType: ATTACHMENT_MIME_TYPES[extension] || null,
+                size: chip.size,
+                href: chip.href,
+                data: this.attachmentFiles && chip.href ? await this.fetchFile(chip.href) : null
+            });
+        }
+        return { type: 'attachments', files };
+    }
+
+    /**
+     * A linked file as a data URL, or null when it can't be downloaded
+     */
+    async fetchFile(href) {
+        try {
+            const url = new URL(href, location.href);
+            const response = await fetch(url.href, { credentials: url.origin === location.origin ? 'include' : 'omit' });
+            if (!response.ok) {
+                return null;
+            }
+            const blob = await response.blob();
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (e) {
+            console.warn('Cannot download attachment:', href, e);
+            return null;
+        }
+    }
+
+    /**
+     * Canvas documents for the cards of a reply. A card for a document an earlier reply created (an edit)
+     * updates that document's block instead of adding one, keeping the replaced version with canvasVersions.
+     * Only the document id tells documents apart (titles can repeat); cards without one are keyed by their position.
+     */
+    async buildCanvasDocuments(cards) {
+        const created = [];
+        for (const card of cards) {
+            const content = await this.readCanvas(card);
+            const key = card.id || `#${++this.canvasCardCount}`;
+            const existing = this.canvasDocuments.get(key);
+            if (!existing) {
+                const document = { type: 'canvasDocument', title: card.title || 'Canvas', ...content, versions: [] };
+                this.canvasDocuments.set(key, document);
+                created.push(document);
+                continue;
+            }
+            const changed = JSON.stringify([existing.code, existing.blocks]) !== JSON.stringify([content.code, content.blocks]);
+            if (changed && this.canvasVersions) {
+                existing.versions.push({ code: existing.code, blocks: existing.blocks });
+            }
+            Object.assign(existing, content, { language: content.language || existing.language });
+        }
+        return created;
+    }
+
+    /**
+     * Open the card's document in the Canvas panel and read it from there. Falls back on the preview
+     * the card shows when the panel doesn't open, without waiting for it when it can't (openCanvas off).
+     */
+    async readCanvas(card) {
+        const before = this.selectorCascade.findCanvasPanel();
+        if (!this.openCanvas) {
+            return before && this.showsCanvas(before, card) ? this.convertCanvasPanel(before) : this.convertCanvasCard(card);
+        }
+
+        const previous = before ? before.editor.textContent : null;
+        (card.element.querySelector('button, [role="button"]') || card.element).click();
+
+        let panel = before;
+        for (let wait = 0; wait < 30 && (!panel || panel.editor.textContent === previous); wait++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            panel = this.selectorCascade.findCanvasPanel();
+        }
+        if (panel && (panel.editor.textContent !== previous || this.showsCanvas(panel, card))) {
+            return this.convertCanvasPanel(panel);
+        }
+        return this.convertCanvasCard(card);
+    }
+
+    /**
+     * Whether the panel's header names the card's document
+     */
+    showsCanvas(panel, card) {
+        const container = panel.element.closest('section, aside, [role="dialog"]') || panel.element;
+        return Boolean(card.title) && container.textContent.includes(card.title);
+    }
+
+    /**
+     * Content of the open document: the source of a code document, the blocks of a text one
+     */
+    async convertCanvasPanel(panel) {
+        if (panel.kind === 'code') {
+            return { language: panel.language, code: this.readCodeEditor(panel.editor), blocks: null };
+        }
+        const clone = this.cleanClone(panel.editor);
+        await this.imageEncoder.encodeClonedImages(clone, panel.editor);
+        return { language: null, code: null, blocks: this.convertBlocks(clone) };
+    }
+
+    /**
+     * Source of a CodeMirror editor. The editor only renders the lines in view, so the whole document
+     * is read from its state when the page lets us reach it.
+     */
+    readCodeEditor(editor) {
+        try {
+            const content = editor.querySelector('.cm-content');
+            const view = content && content.cmView && content.cmView.rootView && content.cmView.rootView.view;
+            if (view) {
+                return view.state.doc.toString();
+            }
+        } catch (e) {
+            console.warn('Cannot read the Canvas editor state:', e);
+        }
+        const lines = editor.querySelectorAll('.cm-line');
+        return lines.length > 0 ? Array.from(lines).map(line => line.textContent).join('\n') : editor.textContent;
+    }
+
+    /**
+     * Content of the preview a card shows
+     */
+    convertCanvasCard(card) {
+        const clone = this.cleanClone(card.element);
+        const code = clone.querySelector('pre, code');
+        if (code) {
+            return { language: null, code: code.textContent.replace(/\n$/, ''), blocks: null };
+        }
+        const preview = clone.querySelector('.markdown, [class*="markdown"], .ProseMirror');
+        return { language: null, code: null, blocks: preview ? this.convertBlocks(preview) : [] };
+    }
+
+    /**
+     * Convert a message element into blocks, encoding its images on the way
+     */
+    async buildBlocks(element, clone = this.cleanClone(element)) {
+        // Pre-convert all images to base64
+        await this.imageEncoder.encodeClonedImages(clone, element);
+
+        // Code Interpreter runs, their charts and generated images sit between the markdown parts of a reply
+        const runs = Array.from(clone.querySelectorAll('div, section, details')).filter(el => this.isCodeRun(el));
+        if (runs.length > 0 || Array.from(clone.querySelectorAll('img')).some(img => this.isGeneratedImage(img))) {
+            return this.convertReplyParts(clone, runs);
+        }
+
+        // Find the markdown content container if it exists
+        const markdownContainer = clone.querySelector('.markdown, [class*="markdown"]');
+        return this.convertBlocks(markdownContainer || clone);
+    }
+
+    /**
+     * Convert the markdown parts, code runs and images outside both of a reply, in page order
+     */
+    convertReplyParts(clone, runs) {
+        const markdownParts = Array.from(clone.querySelectorAll('.markdown, [class*="markdown"]'))
+            .filter(el => !el.parentElement.closest('.markdown, [class*="markdown"]'));
+        const inPart = node => [...markdownParts, ...runs].some(part => part.contains(node));
+        // Generated images are drawn twice, the blurred backdrop being a copy of the image
+        const images = Array.from(clone.querySelectorAll('img'))
+            .filter(img => !inPart(img))
+            .filter((img, index, all) => !this.isGeneratedImage(img) ||
+                all.findIndex(other => other.getAttribute('src') === img.getAttribute('src')) === index);
+
+        return [...markdownParts, ...runs, ...images]
+            .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+            .flatMap(part => {
+                if (runs.includes(part)) {
+                    return [this.convertCodeRun(part)];
+                }
+                return part.tagName.toLowerCase() === 'img' ? this.convertBlock(part) : this.convertBlocks(part);
+            });
+    }
+
+    /**
+     * Copy a message element without the buttons, icons and screen-reader text around its content
+     * @param {Element[]} removed - Elements inside `element` to leave out of the copy (e.g. attachment chips)
+     */
+    cleanClone(element, removed = []) {
+        const clone = element.cloneNode(true);
+
+        removed
+            .map(node => this.findCopy(element, clone, node))
+            .forEach(copy => copy && copy !== clone && copy.remove());
+
+        // Extract images from buttons before removing them (ChatGPT wraps images in buttons).
+        // Web search citation pills can be buttons or sit in/around one: keep their content.
+        clone.querySelectorAll('button').forEach(btn => {
+            const img = btn.querySelector('img');
+            if (this.isCitation(btn)) {
+                return;
+            }
+            if (btn.closest(CITATION_PILL_SELECTOR) || btn.querySelector(CITATION_PILL_SELECTOR)) {
+                btn.replaceWith(...btn.childNodes);
+            } else if (img) {
+                btn.parentNode.replaceChild(img.cloneNode(true), btn);
+            } else {
+                btn.remove();
+            }
+        });
+
+        // Remove UI elements that shouldn't be in the export
+        clone.querySelectorAll('svg, [class*="sr-only"]').forEach(el => el.remove());
+        return clone;
+    }
+
+    /**
+     * The node of a fresh deep copy that sits where `node` sits in `original`
+     */
+    findCopy(original, copy, node) {
+        const path = [];
+        for (let current = node; current && current !== original; current = current.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(current.parentElement ? current.parentElement.children : [], current));
+        }
+        return path.reduce((target, index) => target && index >= 0 ? target.children[index] : null, copy);
+    }
+
+    /**
+     * Convert the children of a container into a list of blocks.
+     * Runs of inline content between block elements become paragraphs.
+     */
+    convertBlocks(container, preserveLines = false) {
+        const blocks = [];
+        let inlineBuffer = [];
+        const keepLines = preserveLines || this.preservesLines(container);
+
+        const flush = () => {
+            const children = this.trimInline(inlineBuffer);
+            if (children.length > 0) {
+                blocks.push({ type: 'paragraph', children });
+            }
+            inlineBuffer = [];
+        };
+
+        container.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                inlineBuffer.push(...this.convertText(child.textContent, keepLines));
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE || this.isSkipped(child)) {
+                return;
+            }
+
+            const blocksFromChild = this.convertBlock(child, keepLines);
+            if (blocksFromChild) {
+                flush();
+                blocks.push(...blocksFromChild);
+            } else {
+                inlineBuffer.push(...this.convertInline(child, keepLines));
+            }
+        });
+
+        flush();
+        return blocks;
+    }
+
+    /**
+     * Convert a block-level element, or return null when the element is inline
+     */
+    convertBlock(element, preserveLines) {
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isDisplayMath(element)) {
+            return [{ type: 'math', tex: this.extractTex(element), display: true, mathml: this.extractMathMl(element, true) }];
+        }
+
+        switch (tagName) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return [{
+                    type: 'heading',
+                    level: parseInt(tagName.substring(1), 10),
+                    children: this.trimInline(this.convertInlineChildren(element, false))
+                }];
+
+            case 'p':
+                return this.convertBlocks(element, preserveLines);
+
+            case 'pre':
+                return [this.convertCodeBlock(element)];
+
+            case 'ul':
+            case 'ol':
+                return [this.convertList(element)];
+
+            case 'table':
+                return [this.convertTable(element)];
+
+            case 'blockquote':
+                return [{ type: 'blockquote', blocks: this.convertBlocks(element, preserveLines) }];
+
+            case 'hr':
+                return [{ type: 'rule' }];
+
+            case 'canvas':
+                return [{ type: 'canvas' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                if (image && this.isGeneratedImage(element)) {
+                    return [this.convertFigure(element, image)];
+                }
+                return image ? [{ ...image, type: 'image' }] : [];
+            }
+
+            default:
+                if (this.blockContainers.includes(tagName)) {
+                    return this.convertBlocks(element, preserveLines);
+                }
+                return null;
+        }
+    }
+
+    /**
+     * Convert an inline element into inline nodes
+     */
+    convertInline(element, preserveLines = false) {
+        if (element.nodeType === Node.TEXT_NODE) {
+            return this.convertText(element.textContent, preserveLines);
+        }
+        if (element.nodeType !== Node.ELEMENT_NODE || this.isSkipped(element)) {
+            return [];
+        }
+
+        const tagName = element.tagName.toLowerCase();
+
+        if (this.isCitation(element)) {
+            return [this.convertCitation(element)];
+        }
+
+        if (this.isMath(element)) {
+            const display = this.isDisplayMath(element);
+            return [{ type: 'math', tex: this.extractTex(element), display, mathml: this.extractMathMl(element, display) }];
+        }
+
+        switch (tagName) {
+            case 'strong':
+            case 'b':
+                return [{ type: 'strong', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'em':
+            case 'i':
+                return [{ type: 'emphasis', children: this.convertInlineChildren(element, preserveLines) }];
+
+            case 'code':
+                return [{ type: 'inlineCode', value: element.textContent || '' }];
+
+            case 'br':
+                return [{ type: 'break' }];
+
+            case 'img': {
+                const image = this.convertImage(element);
+                return image ? [image] : [];
+            }
+
+            case 'a': {
+                const href = (element.getAttribute('href') || '').trim();
+                const lowerHref = href.toLowerCase();
+                const children = this.convertInlineChildren(element, preserveLines);
+                if (!href || lowerHref.startsWith('javascript:') ||
+                    lowerHref.startsWith('data:') || lowerHref.startsWith('vbscript:') ||
+                    href.startsWith('#')) {
+                    return children;
+                }
+                return [{ type: 'link', href, children }];
+            }
+
+            case 'template':
+                return [];
+
+            default:
+                // Block elements nested inside inline context (e.g. <p> inside <li>) are flattened
+                return [
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }]),
+                    ...this.convertInlineChildren(element, preserveLines || this.preservesLines(element)),
+                    ...(this.isInlineTag(tagName) ? [] : [{ type: 'text', value: ' ' }])
+                ];
+        }
+    }
+
+    convertInlineChildren(element, preserveLines) {
+        const nodes = [];
+        element.childNodes.forEach(child => {
+            nodes.push(...this.convertInline(child, preserveLines));
+        });
+        return nodes;
+    }
+
+    /**
+     * Convert a text node value. Source formatting whitespace collapses to single spaces,
+     * except inside whitespace-pre-wrap containers where line breaks are meaningful.
+     */
+    convertText(value, preserveLines) {
+        if (!value) return [];
+
+        if (!preserveLines) {
+            return [{ type: 'text', value: value.replace(/\s+/g, ' ') }];
+        }
+
+        const nodes = [];
+        value.split('\n').forEach((line, index) => {
+            if (index > 0) nodes.push({ type: 'break' });
+            if (line) nodes.push({ type: 'text', value: line });
+        });
+        return nodes;
+    }
+
+    convertCodeBlock(pre) {
+        // Prefer the <code> element so toolbar labels in the <pre> header are left out
+        const codeEl = pre.querySelector('code');
+        let language = '';
+        if (codeEl && typeof codeEl.className === 'string') {
+            const langMatch = codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+            language = langMatch ? langMatch[1] : '';
+        }
+
+        return {
+            type: 'code',
+            language,
+            text: (codeEl || pre).textContent.replace(/^\n+|\s+$/g, '')
+        };
+    }
+
+    /**
+     * A Code Interpreter run outside the reply text: the innermost element holding the code and
+     * its "Result" / "STDOUT/STDERR" output (the "Analyzed" toggle is a button, removed by cleanClone)
+     */
+    isCodeRun(element) {
+        if (element.closest('.markdown, [class*="markdown"]')) {
+            return false;
+        }
+        const testId = element.getAttribute('data-testid') || '';
+        if (testId.includes('code-interpreter')) {
+            return true;
+        }
+        const holdsRun = el => !!el.querySelector('code') && !!this.findOutputLabel(el);
+        return holdsRun(element) && !Array.from(element.children).some(holdsRun);
+    }
+
+    findOutputLabel(element) {
+        return Array.from(element.querySelectorAll('div, span, p'))
+            .find(el => el.children.length === 0 && !el.closest('pre, code') &&
+                /^(Result|Output|STDOUT\/STDERR|STDOUT|STDERR|Error)$/i.test(el.textContent.trim()));
+    }
+
+    convertCodeRun(element) {
+        const codeEl = element.querySelector('code[class*="language-"]') || element.querySelector('code');
+        const langMatch = codeEl && typeof codeEl.className === 'string' && codeEl.className.match(/language-([a-zA-Z0-9+#-]+)/);
+        const label = this.findOutputLabel(element);
+        const outputEl = label && (label.nextElementSibling || (label.parentElement !== element ? label.parentElement.nextElementSibling : null));
+        const trimCode = text => text.replace(/^\n+|\s+$/g, '');
+
+        return {
+            type: 'codeRun',
+            language: langMatch ? langMatch[1] : 'python',
+            code: codeEl ? trimCode(codeEl.textContent) : '',
+            output: outputEl && !outputEl.contains(codeEl) ? trimCode(outputEl.textContent) : null,
+            images: Array.from(element.querySelectorAll('img')).map(img => this.convertImage(img)).filter(Boolean),
+            files: Array.from(element.querySelectorAll('a[href]')).map(link => ({
+                name: link.textContent.trim() || link.getAttribute('href').split('/').pop(),
+                href: link.getAttribute('href')
+            }))
+        };
+    }
+
+    convertList(list) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const items = [];
+
+        list.querySelectorAll(':scope > li').forEach(li => {
+            const children = [];
+            const blocks = [];
+
+            // Nested lists and code blocks stay blocks, everything else flattens into the item text
+            li.childNodes.forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && !this.isSkipped(child)) {
+                    const tagName = child.tagName.toLowerCase();
+                    if (tagName === 'ul' || tagName === 'ol') {
+                        blocks.push(this.convertList(child));
+                        return;
+                    }
+                    if (tagName === 'pre') {
+                        blocks.push(this.convertCodeBlock(child));
+                        return;
+                    }
+                }
+                children.push(...this.convertInline(child));
+            });
+
+            items.push({ type: 'listItem', children: this.trimInline(children), blocks });
+        });
+
+        return {
+            type: 'list',
+            ordered,
+            start: parseInt(list.getAttribute('start') || '1', 10),
+            items
+        };
+    }
+
+    convertTable(table) {
+        const convertCell = cell => this.trimInline(this.convertInlineChildren(cell, false));
+        const headerRow = table.querySelector('thead tr');
+
+        const header = headerRow
+            ? Array.from(headerRow.querySelectorAll('th, td')).map(convertCell)
+            : [];
+        const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr =>
+            Array.from(tr.querySelectorAll('td, th')).map(convertCell)
+        ).filter(row => row.length > 0);
+
+        return { type: 'table', header, rows };
+    }
+
+    /**
+     * Convert an image element, or return null for UI images
+     */
+    convertImage(img) {
+        const className = typeof img.className === 'string' ? img.className : '';
+        const src = img.getAttribute('src') || '';
+
+        // Skip UI images (favicons, avatars, icons)
+        if (src.includes('favicon') || src.includes('avatar') ||
+            className.includes('icon') || (img.width && img.width < 48)) {
+            return null;
+        }
+
+        return {
+            type: 'image',
+            src,
+            alt: img.getAttribute('alt') || '',
+            data: img.getAttribute('data-base64') || null
+        };
+    }
+
+    /**
+     * An image the reply generated (DALL·E / image generation) rather than one it shows from the web
+     */
+    isGeneratedImage(img) {
+        return /^Generated image\b/i.test(img.getAttribute('alt') || '') ||
+            !!img.closest('[class*="image-gen"], [class*="imagegen"], [data-testid*="image-gen"]');
+    }
+
+    /**
+     * A generated image as a figure. The page only has the prompt in the image's alt text
+     * ("Generated image: ..."), and the size in its dimensions.
+     */
+    convertFigure(img, image) {
+        const caption = (img.getAttribute('alt') || '').replace(/^Generated image\b:?\s*/i, '').trim();
+        const width = parseInt(img.getAttribute('width'), 10);
+        const height = parseInt(img.getAttribute('height'), 10);
+        return {
+            type: 'figure',
+            image,
+            caption: caption || null,
+            generation: { size: width && height ? `${width}x${height}` : null, seed: null, genId: null }
+        };
+    }
+
+    /**
+     * Elements that carry no conversation content
+     */
+    isSkipped(element) {
+        if (this.isCitation(element)) {
+            return false;
+        }
+        const tagName = element.tagName.toLowerCase();
+        if (['button', 'svg', 'script', 'style', 'noscript', 'template'].includes(tagName)) {
+            return true;
+        }
+
+        // Skip elements with specific classes (UI components)
+        const className = element.className;
+        return typeof className === 'string' &&
+            (className.includes('copy') || className.includes('edit') || className.includes('regenerate'));
+    }
+
+    isInlineTag(tagName) {
+        return ['span', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sub', 'sup', 'mark', 'small', 'abbr', 'cite', 'label', 'kbd'].includes(tagName);
+    }
+
+    preservesLines(element) {
+        return typeof element.className === 'string' && element.className.includes('whitespace-pre-wrap');
+    }
+
+    isCitation(element) {
+        return element.matches(CITATION_PILL_SELECTOR);
+    }
+
+    /**
+     * Citation node from a pill: its text ("Wikipedia +2") is the label, the page title comes from the
+     * link's tooltip when it has one, otherwise from the label without the "+N more sources" count
+     */
+    convertCitation(element) {
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+        const label = element.textContent.replace(/\s+/g, ' ').trim();
+        const tooltip = link && (link.getAttribute('title') || link.getAttribute('aria-label'));
+        return {
+            type: 'citation',
+            href: link ? link.getAttribute('href') : null,
+            label,
+            title: (tooltip || label.replace(/\s*\+\d+$/, '')).trim() || null
+        };
+    }
+
+    isMath(element) {
+        return element.classList.contains('katex') || element.classList.contains('katex-display');
+    }
+
+    isDisplayMath(element) {
+        return element.classList.contains('katex-display') ||
+            (element.classList.contains('katex') && !!element.closest('.katex-display'));
+    }
+
+    /**
+     * Read the TeX source KaTeX keeps in its MathML annotation
+     */
+    extractTex(element) {
+        const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+        return annotation ? annotation.textContent.trim() : element.textContent.trim();
+    }
+
+    /**
+     * Copy the MathML KaTeX renders alongside its HTML, so exports show real formulas without KaTeX's CSS and fonts.
+     * Event handler and link attributes are dropped; the TeX annotation is kept for copy and paste.
+     */
+    extractMathMl(element, display) {
+        const math = element.querySelector('math');
+        if (!math) {
+            return null;
+        }
+
+        const clone = math.cloneNode(true);
+        [clone, ...clone.querySelectorAll('*')].forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                if (/^on|href$/i.test(attr.name)) el.removeAttribute(attr.name);
+            });
+        });
+        clone.setAttribute('xmlns', 'http://www.w3.org/1998/Math/MathML');
+        if (display) {
+            clone.setAttribute('display', 'block');
+        }
+        return clone.outerHTML;
+    }
+
+    /**
+     * Trim leading and trailing whitespace from a run of inline nodes
+     */
+    trimInline(nodes) {
+        const result = nodes.filter(node => node.type !== 'text' || node.value !== '');
+
+        while (result.length > 0 && this.isBlankNode(result[0])) result.shift();
+        while (result.length > 0 && this.isBlankNode(result[result.length - 1])) result.pop();
+
+        if (result.length > 0 && result[0].type === 'text') {
+            result[0] = { ...result[0], value: result[0].value.replace(/^\s+/, '') };
+        }
+        const last = result.length - 1;
+        if (last >= 0 && result[last].type === 'text') {
+            result[last] = { ...result[last], value: result[last].value.replace(/\s+$/, '') };
+        }
+
+        return result;
+    }
+
+    isBlankNode(node) {
+        return node.type === 'break' || (node.type === 'text' && node.value.trim() === '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationBuilder;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ConversationBuilder = ConversationBuilder;
+}
+
+// ---- core/branch-walker.js ----
+
+/**
+ * Branch Walker
+ * Collects every branch of a ChatGPT conversation by stepping through the "< 2/3 >"
+ * navigators that edited prompts and regenerated replies leave on the page.
+ * Produces the turn list of the conversation tree, ending in forks where branches split
+ * (see core/conversation-builder.js).
+ */
+
+class BranchWalker {
+    /**
+     * @param {Object} options
+     * @param {ConversationBuilder} options.builder - Converts detected messages into turns
+     * @param {Function} options.createDetector - Returns a fresh MessageDetector (results must not be cached across clicks)
+     * @param {number} options.timeout - How long to wait for a branch switch to render, in ms
+     */
+    constructor(options = {}) {
+        this.builder = options.builder || new ConversationBuilder();
+        this.createDetector = options.createDetector || (() => new MessageDetector());
+        this.timeout = options.timeout || 5000;
+    }
+
+    /**
+     * Walk all branches and return the conversation turns.
+     * The page is left on the branches that were showing when the walk started.
+     */
+    async buildTurns() {
+        return this.walk(0, -1);
+    }
+
+    /**
+     * Build turns from message `fromIndex` on. The navigator of message `skipNavigatorAt`
+     * is the one currently being walked by the caller, so it does not fork again.
+     */
+    async walk(fromIndex, skipNavigatorAt) {
+        const { messages } = await this.createDetector().detectMessages();
+        const turns = [];
+
+        for (let i = fromIndex; i < messages.length; i++) {
+            const navigator = i === skipNavigatorAt ? null : this.findNavigator(messages[i].element);
+
+            if (navigator && navigator.total > 1) {
+                const original = navigator.current;
+                const branches = [];
+
+                for (let version = 1; version <= navigator.total; version++) {
+                    await this.goTo(i, version);
+                    console.log(`Walking branch ${version}/${navigator.total} at message ${i + 1}`);
+                    branches.push({
+                        type: 'branch',
+                        index: version,
+                        total: navigator.total,
+                        active: version === original,
+                        turns: await this.walk(i, i)
+                    });
+                }
+
+                await this.goTo(i, original);
+                turns.push({ type: 'fork', branches });
+                return turns;
+            }
+
+            turns.push(await this.builder.buildTurn(messages[i]));
+        }
+
+        return turns;
+    }
+
+    /**
+     * Find the "current/total" counter and its previous/next buttons in a message's turn
+     */
+    findNavigator(messageElement) {
+        const turn = messageElement.closest('article, [data-testid^="conversation-turn"]') || messageElement;
+        const counter = Array.from(turn.querySelectorAll('div, span'))
+            .find(el => el.children.length === 0 && /^\s*\d+\s*\/\s*\d+\s*$/.test(el.textContent));
+        if (!counter) {
+            return null;
+        }
+
+        const [current, total] = counter.textContent.split('/').map(part => parseInt(part, 10));
+        const buttons = Array.from(counter.parentElement.querySelectorAll('button'));
+        const previous = buttons.find(btn => /previous|prev/i.test(btn.getAttribute('aria-label') || '')) || buttons[0];
+        const next = buttons.find(btn => /next/i.test(btn.getAttribute('aria-label') || '')) || buttons[buttons.length - 1];
+
+        if (!previous || !next || previous === next) {
+            return null;
+        }
+        return { current, total, previous, next, counter };
+    }
+
+    /**
+     * Click message `index`'s navigator until it shows `version`
+     */
+    async goTo(index, version) {
+        for (let step = 0; step < 50; step++) {
+            const { messages } = await this.createDetector().detectMessages();
+            const navigator = messages[index] && this.findNavigator(messages[index].element);
+            if (!navigator) {
+                throw new Error(`Lost the branch navigator of message ${index + 1}`);
+            }
+            if (navigator.current === version) {
+                return;
+            }
+
+            const before = navigator.counter.textContent;
+            (navigator.current < version ? navigator.next : navigator.previous).click();
+            await this.waitFor(() => !navigator.counter.isConnected || navigator.counter.textContent !== before);
+        }
+
+        throw new Error(`Could not switch message ${index + 1} to branch ${version}`);
+    }
+
+    /**
+     * Poll until the condition holds, then give the new branch a moment to finish rendering
+     */
+    async waitFor(condition) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > this.timeout) {
+                throw new Error('Timed out waiting for the branch to load');
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BranchWalker;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.BranchWalker = BranchWalker;
+}
+
+// ---- core/file-downloader.js ----
+
+/**
+ * File Downloader
+ * Saves exported content through a temporary Blob download link, and names the exports.
+ *
+ * File names come from a template whose tokens are replaced with the conversation's details:
+ *
+ *   {title}     conversation title            {id}        conversation id (empty when unknown)
+ *   {date}      creation date, YYYY-MM-DD     {model}     model, e.g. gpt-4o (empty when unknown)
+ *   {time}      creation time, HH-MM-SS       {platform}  ChatGPT or Gemini
+ *   {count}     number of messages            {ext}       file extension
+ *
+ * The date and time are UTC, from when the conversation was created or, when the source doesn't
+ * say (exports of the page on screen), exported. The default template, "{title} ({date}).{ext}",
+ * gives the names exports always had.
+ */
+
+const DEFAULT_FILENAME_TEMPLATE = '{title} ({date}).{ext}';
+
+class FileDownloader {
+    /**
+     * @param {Object} options
+     * @param {string} options.template - File name template, e.g. "{date}_{title}_{id}.{ext}" (default "{title} ({date}).{ext}")
+     * @param {boolean} options.slugify - Lowercase the token values and join their words with hyphens
+     * @param {number} options.maxLength - Longest file name, extension included; the title is shortened first.
+     *                                      Names are refused (Error) when the extension and suffix alone reach it.
+     */
+    constructor(options = {}) {
+        this.template = options.template || DEFAULT_FILENAME_TEMPLATE;
+        this.slugify = Boolean(options.slugify);
+        this.maxLength = options.maxLength > 0 ? options.maxLength : 0;
+    }
+
+    /**
+     * Trigger a browser download for the given content
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Name an export of the conversation from the template: "{name}{suffix}.{extension}" (Issue #12).
+     * `suffix` tells apart exports of the same conversation (e.g. " report"); `title` replaces the
+     * conversation title.
+     */
+    buildFilename(conversation, extension, suffix = '', title = conversation.title) {
+        const reserved = suffix.length + extension.length + 1;
+        return `${this.buildBaseName(conversation, { title, extension, reserved })}${suffix}.${extension}`;
+    }
+
+    /**
+     * The template's name for the conversation without the extension, for callers that add their own
+     * @param {Object} options
+     * @param {string} options.title - Use instead of the conversation title
+     * @param {string} options.extension - Value of {ext} when it appears elsewhere in the template
+     * @param {number} options.reserved - Characters of maxLength kept for what the caller appends
+     */
+    buildBaseName(conversation, { title = conversation.title, extension = '', reserved = 0 } = {}) {
+        const timestamp = conversation.createdAt || conversation.exportedAt || new Date().toISOString();
+        const values = {
+            title: this.tokenValue(title) || this.tokenValue(`${conversation.platform || 'ChatGPT'}_Conversation`),
+            date: timestamp.split('T')[0],
+            time: (timestamp.split('T')[1] || '').slice(0, 8).replace(/:/g, '-'),
+            id: this.tokenValue(conversation.conversationId),
+            model: conversation.model === 'Unknown' ? '' : this.tokenValue(conversation.model),
+            platform: this.tokenValue(conversation.platform || 'ChatGPT'),
+            count: String(this.countMessages(conversation.turns || [])),
+            ext: extension
+        };
+
+        const template = this.template.replace(/\.\{ext\}$/, '');
+        const fill = titleValue => template
+            .replace(/\{(\w+)\}/g, (token, name) => name === 'title' ? titleValue : (name in values ? values[name] : token))
+            .replace(/^[\s._-]+|[\s._-]+$/g, '');
+
+        if (this.maxLength > 0 && this.maxLength <= reserved) {
+            throw new Error(`A file name of at most ${this.maxLength} characters leaves no room for a name: the extension and suffix take ${reserved}`);
+        }
+
+        let name = fill(values.title);
+        const limit = this.maxLength > 0 ? this.maxLength - reserved : 0;
+        if (limit > 0 && name.length > limit) {
+            const shortened = values.title.slice(0, Math.max(0, values.title.length - (name.length - limit))).replace(/[\s._-]+$/, '');
+            name = fill(shortened).slice(0, limit).replace(/[\s._-]+$/, '');
+        }
+        name = name || values.date;
+        return limit > 0 ? name.slice(0, limit) : name;
+    }
+
+    /**
+     * A value safe in a file name: no characters file systems reject, collapsed whitespace, and
+     * lowercase words joined by hyphens when slugifying
+     */
+    tokenValue(value) {
+        const safe = String(value || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '').replace(/\s+/g, ' ').trim();
+        if (!this.slugify) {
+            return safe;
+        }
+        return safe.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Messages in the conversation, the ones in every branch of a fork included
+     */
+    countMessages(turns) {
+        return turns.reduce((count, turn) => count + (turn.type === 'fork'
+            ? turn.branches.reduce((sum, branch) => sum + this.countMessages(branch.turns), 0)
+            : 1), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileDownloader;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.FileDownloader = FileDownloader;
+}
+
+// ---- core/research-report.js ----
+
+/**
+ * Research Report
+ * Finds the Deep Research report in a conversation tree (see ConversationBuilder) and prepares it
+ * for a standalone export, without the chat around it:
+ *
+ *   title     the report's leading heading, or the conversation title when it has none
+ *   blocks    the report's content without that heading; section headings start at level 2 and
+ *             carry the `id` their table of contents entry links to
+ *   sections  the table of contents: [{ level, text, id }] for the level 2 and 3 headings
+ *
+ * ChatGPT doesn't mark Deep Research replies in the page or in conversations.json, so a reply counts
+ * as a report by its shape: several section headings and either many citations or a lot of text.
+ * When a conversation has more than one, the last is used.
+ */
+
+class ResearchReport {
+    /**
+     * @param {Object} conversation - Conversation tree
+     * @param {Object} turn - The assistant turn holding the report
+     */
+    constructor(conversation, turn) {
+        this.conversation = conversation;
+        this.turn = turn;
+
+        const blocks = turn.blocks.filter(block => block.type !== 'reasoning');
+        const first = blocks[0];
+        const hasTitle = first && first.type === 'heading' && first.level <= 2;
+        this.title = hasTitle ? this.plainText(first.children) : conversation.title;
+        this.blocks = this.numberSections(hasTitle ? blocks.slice(1) : blocks);
+        this.sections = this.blocks
+            .filter(block => block.type === 'heading' && block.level <= 3)
+            .map(block => ({ level: block.level, text: this.plainText(block.children), id: block.id }));
+    }
+
+    /**
+     * The last reply of the conversation that reads like a research report, or null
+     */
+    static find(conversation) {
+        const turns = conversation.turns.filter(turn => turn.type !== 'fork' && turn.role === 'assistant');
+        const turn = turns.reverse().find(candidate => ResearchReport.isReport(candidate));
+        return turn ? new ResearchReport(conversation, turn) : null;
+    }
+
+    /**
+     * At least 3 section headings and 10 citations or 3000 characters of text
+     */
+    static isReport(turn) {
+        const counts = { heading: 0, citation: 0, characters: 0 };
+        const visit = node => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+            } else if (node && typeof node === 'object') {
+                if (node.type === 'heading') counts.heading++;
+                if (node.type === 'citation') counts.citation++;
+                if (node.type === 'text') counts.characters += node.value.length;
+                Object.values(node).forEach(visit);
+            }
+        };
+        visit(turn.blocks.filter(block => block.type !== 'reasoning'));
+        return counts.heading >= 3 && (counts.citation >= 10 || counts.characters >= 3000);
+    }
+
+    /**
+     * Copy the blocks with their headings shifted so sections start at level 2, and give each an
+     * anchor id: GitHub's heading slug, so the Markdown table of contents links work there too
+     */
+    numberSections(blocks) {
+        const levels = blocks.filter(block => block.type === 'heading').map(block => block.level);
+        const shift = levels.length > 0 ? 2 - Math.min(...levels) : 0;
+        const used = new Map();
+
+        return blocks.map(block => {
+            if (block.type !== 'heading') {
+                return block;
+            }
+            const slug = this.slugify(this.plainText(block.children));
+            const count = used.get(slug) || 0;
+            used.set(slug, count + 1);
+            return { ...block, level: Math.min(6, block.level + shift), id: count > 0 ? `${slug}-${count}` : slug };
+        });
+    }
+
+    slugify(text) {
+        return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-') || 'section';
+    }
+
+    /**
+     * Text of inline nodes, without citations
+     */
+    plainText(nodes) {
+        return (nodes || []).map(node => {
+            if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+            if (node.type === 'math') return node.tex;
+            return node.type === 'citation' ? '' : this.plainText(node.children);
+        }).join('').replace(/\s+/g, ' ').trim();
+    }
+}
 
-            if (current.sender === previous.sender) {
-                const currentLength = current.content.length;
-                const previousLength = previous.content.length;
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResearchReport;
+}
 
-                if (currentLength > previousLength * 2 && currentLength > 500) {
-                    current.sender = 'ChatGPT';
-                } else if (previousLength > currentLength * 2 && previousLength > 500) {
-                    previous.sender = 'ChatGPT';
-                    current.sender = 'You';
-                } else {
-                    current.sender = current.sender === 'You' ? 'ChatGPT' : 'You';
-                }
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ResearchReport = ResearchReport;
+}
 
-                console.log(`HTML: Fixed consecutive ${previous.sender} messages at positions ${i-1} and ${i}`);
-            }
-        }
+// ---- renderers/html-renderer.js ----
 
-        // Generate HTML output
-        let html = '';
-        processedMessages.forEach(({ sender, replyLabel, content }) => {
-            const label = replyLabel ? ` <span class="reply-label">(${replyLabel})</span>` : '';
-            html += `
-                <div class="message">
-                    <div class="sender">${sender}${label}</div>
-                    <div class="content">${content}</div>
-                </div>
-            `;
-        });
+/**
+ * HTML Renderer
+ * Renders the conversation tree built by ConversationBuilder as a styled, self-contained HTML page.
+ * Web search citations become numbered superscript links to a "Sources" list at the end of the turn.
+ */
 
-        console.log(`HTML: Export completed: ${processedMessages.length} messages exported`);
-        return html;
-    }
+class HtmlRenderer {
+    /**
+     * Render a conversation tree (see ConversationBuilder) into a complete HTML document
+     */
+    renderConversation(conversation) {
+        this.footnoteCount = 0;
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const title = this.escapeHtml(conversation.title);
+        const sourceLabel = this.sourceLabel(conversation);
 
-    const date = formatDate();
-    const source = window.location.href;
-    const title = extractConversationTitle();
-    const conversationHTML = await extractFormattedContent();
+        const conversationHTML = this.renderTurns(conversation.turns);
 
-    const html = `
+        return `
 <!DOCTYPE html>
 <html>
 <head>
@@ -520,6 +3824,20 @@
             font-size: 0.9rem;
             color: #666;
         }
+        .branches {
+            margin-bottom: 1.5rem;
+        }
+        .branch {
+            border-left: 3px solid #10a37f;
+            padding-left: 1rem;
+            margin-bottom: 0.5rem;
+        }
+        .branch > summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #10a37f;
+            margin-bottom: 0.5rem;
+        }
         .content {
             word-wrap: break-word;
             overflow-wrap: break-word;
@@ -572,12 +3890,106 @@
             margin: 1rem 0 0.5rem 0;
             color: #2c3e50;
         }
+        .content .math-display {
+            display: block;
+            margin: 1rem 0;
+            overflow-x: auto;
+        }
+        .content math {
+            font-size: 1.1em;
+        }
         .content blockquote {
             border-left: 4px solid #ddd;
             margin: 1rem 0;
             padding-left: 1rem;
             color: #666;
         }
+        .content .attachments {
+            background: #f4f4f4;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 0.5rem 0 1rem 0;
+        }
+        .content .attachments-title {
+            font-weight: bold;
+        }
+        .content .file-details {
+            color: #666;
+        }
+        .content sup.citation a {
+            text-decoration: none;
+            font-size: 0.8em;
+        }
+        .content .sources {
+            border-top: 1px solid #eee;
+            margin-top: 1rem;
+            padding-top: 0.5rem;
+            font-size: 0.9em;
+        }
+        .content .sources-label {
+            font-weight: bold;
+        }
+        .content .source-domain {
+            color: #666;
+        }
+        .content .reasoning {
+            border-left: 3px solid #ddd;
+            padding-left: 1rem;
+            margin: 0.5rem 0 1rem 0;
+            color: #555;
+        }
+        .content .reasoning summary {
+            cursor: pointer;
+            font-style: italic;
+        }
+        .content .generated-image {
+            margin: 1rem 0;
+        }
+        .content .generated-image figcaption {
+            font-style: italic;
+            color: #555;
+            margin-top: 0.5rem;
+        }
+        .content .generation-details {
+            display: block;
+            font-style: normal;
+            font-size: 0.85em;
+            color: #888;
+        }
+        .content .canvas {
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 1rem 0;
+        }
+        .content .canvas summary {
+            cursor: pointer;
+            font-weight: bold;
+        }
+        .content .canvas-version summary {
+            font-weight: normal;
+            color: #666;
+        }
+        .content .code-run {
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 1rem 0;
+        }
+        .content .code-run summary {
+            cursor: pointer;
+            color: #666;
+        }
+        .content .code-run-label {
+            font-weight: bold;
+            margin-top: 0.5rem;
+        }
+        .content .code-output {
+            background: #fafafa;
+            color: #333;
+            border: 1px solid #ddd;
+        }
         @media print {
             body { margin: 0; padding: 1rem; }
             .message { break-inside: avoid; }
@@ -589,7 +4001,7 @@
         <h1>${title}</h1>
         <div class="metadata">
             <div><strong>Date:</strong> ${date}</div>
-            <div><strong>Source:</strong> <a href="${source}">chat.openai.com</a></div>
+            <div><strong>Source:</strong> <a href="${this.escapeHtml(conversation.url)}">${sourceLabel}</a></div>
         </div>
     </div>
 
@@ -598,15 +4010,595 @@
     </div>
 </body>
 </html>`;
+    }
+
+    /**
+     * Host of the conversation's URL (chatgpt.com, chat.openai.com, gemini.google.com), or the
+     * platform's when the URL has none (e.g. a saved page opened from disk)
+     */
+    sourceLabel(conversation) {
+        const match = /^https?:\/\/([^/?#]+)/i.exec(conversation.url || '');
+        return match ? match[1] : (conversation.platform === 'Gemini' ? 'gemini.google.com' : 'chatgpt.com');
+    }
+
+    /**
+     * Render a turn list, including a trailing fork when every branch is exported
+     */
+    renderTurns(turns) {
+        return turns.map(turn => turn.type === 'fork' ? this.renderFork(turn) : this.renderTurn(turn)).join('');
+    }
+
+    renderTurn(turn) {
+        const label = turn.replyLabel ? ` <span class="reply-label">(${this.escapeHtml(turn.replyLabel)})</span>` : '';
+        return `
+                <div class="message">
+                    <div class="sender">${this.escapeHtml(turn.sender)}${label}</div>
+                    <div class="content">${this.renderTurnBlocks(turn)}</div>
+                </div>
+            `;
+    }
+
+    /**
+     * A turn's content followed by the sources it cites
+     */
+    renderTurnBlocks(turn) {
+        this.turnSources = [];
+        const content = this.renderBlocks(turn.blocks);
+        const sources = this.renderSources(this.turnSources);
+        this.turnSources = null;
+        return content + sources;
+    }
+
+    renderSources(sources) {
+        if (sources.length === 0) {
+            return '';
+        }
+        return `\n<div class="sources"><div class="sources-label">Sources</div><ol>${this.renderSourceItems(sources)}</ol></div>`;
+    }
+
+    /**
+     * Numbered list items (numbers run through the document): title linked to the page, then its domain
+     */
+    renderSourceItems(sources) {
+        return sources.map(source => {
+            const domain = this.sourceDomain(source.href);
+            const href = this.escapeHtml(source.href);
+            return `<li id="source-${source.number}" value="${source.number}"><a href="${href}">${this.escapeHtml(source.title || domain || source.href)}</a>` +
+                `${domain ? ` <span class="source-domain">${this.escapeHtml(domain)}</span>` : ''}</li>`;
+        }).join('');
+    }
+
+    sourceDomain(href) {
+        try {
+            return new URL(href).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Branches become collapsible alternatives; the one shown in ChatGPT starts expanded
+     */
+    renderFork(fork) {
+        const branches = fork.branches.map(branch => `
+                <details class="branch"${branch.active ? ' open' : ''}>
+                    <summary>Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}</summary>
+                    ${this.renderTurns(branch.turns)}
+                </details>`).join('');
+        return `
+                <div class="branches">${branches}
+                </div>
+            `;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')  // Replace & first to avoid double-escaping
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderBlocks(blocks) {
+        return blocks.map(block => this.renderBlock(block)).join('\n');
+    }
+
+    renderBlock(block) {
+        switch (block.type) {
+            case 'paragraph':
+                return `<p>${this.renderInline(block.children)}</p>`;
+
+            case 'heading':
+                return `<h${block.level}${block.id ? ` id="${this.escapeHtml(block.id)}"` : ''}>${this.renderInline(block.children)}</h${block.level}>`;
+
+            case 'list':
+                return this.renderList(block);
+
+            case 'table':
+                return this.renderTable(block);
+
+            case 'code': {
+                const langClass = block.language ? ` class="language-${this.escapeHtml(block.language)}"` : '';
+                return `<pre><code${langClass}>${this.escapeHtml(block.text)}</code></pre>`;
+            }
+
+            case 'image':
+                return `<p>${this.renderImage(block)}</p>`;
+
+            case 'math':
+                return `<div class="math-display">${this.renderMath(block)}</div>`;
+
+            case 'blockquote':
+                return `<blockquote>${this.renderBlocks(block.blocks)}</blockquote>`;
+
+            case 'rule':
+                return '<hr>';
+
+            case 'canvas':
+                return '<p>[Canvas Image]</p>';
+
+            case 'attachments':
+                return this.renderAttachments(block);
+
+            case 'codeRun':
+                return this.renderCodeRun(block);
+
+            case 'reasoning':
+                return `<details class="reasoning"><summary>${this.escapeHtml(block.label)}</summary>${this.renderBlocks(block.blocks)}</details>`;
+
+            case 'canvasDocument':
+                return this.renderCanvasDocument(block);
+
+            case 'figure':
+                return this.renderFigure(block);
+
+            default:
+                return '';
+        }
+    }
+
+    renderInline(nodes) {
+        return nodes.map(node => this.renderInlineNode(node)).join('');
+    }
+
+    renderInlineNode(node) {
+        switch (node.type) {
+            case 'text':
+                return this.escapeHtml(node.value);
+
+            case 'strong':
+                return `<strong>${this.renderInline(node.children)}</strong>`;
+
+            case 'emphasis':
+                return `<em>${this.renderInline(node.children)}</em>`;
+
+            case 'inlineCode':
+                return `<code>${this.escapeHtml(node.value)}</code>`;
+
+            case 'break':
+                return '<br>';
+
+            case 'link':
+                return `<a href="${this.escapeHtml(node.href)}">${this.renderInline(node.children) || this.escapeHtml(node.href)}</a>`;
+
+            case 'image':
+                return this.renderImage(node);
+
+            case 'math':
+                return `<span class="${node.display ? 'math-display' : 'math-inline'}">${this.renderMath(node)}</span>`;
+
+            case 'citation':
+                return this.renderCitation(node);
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Superscript number linking to the source in the turn's Sources list; a source cited again keeps its number
+     */
+    renderCitation(citation) {
+        if (!citation.href) {
+            return '';
+        }
+        if (!this.turnSources) {
+            return `<a class="citation" href="${this.escapeHtml(citation.href)}">${this.escapeHtml(citation.label || citation.href)}</a>`;
+        }
+
+        let source = this.turnSources.find(known => known.href === citation.href);
+        if (!source) {
+            source = { number: ++this.footnoteCount, href: citation.href, title: citation.title || citation.label };
+            this.turnSources.push(source);
+        }
+        return `<sup class="citation"><a href="#source-${source.number}" title="${this.escapeHtml(source.title || citation.href)}">[${source.number}]</a></sup>`;
+    }
+
+    /**
+     * MathML copied from the page renders natively in current browsers and prints to PDF;
+     * math without it (e.g. from conversations.json) keeps its TeX source between \( \) or \[ \]
+     */
+    renderMath(math) {
+        if (math.mathml) {
+            return math.mathml;
+        }
+        return math.display
+            ? `<code class="math-tex">\\[${this.escapeHtml(math.tex)}\\]</code>`
+            : `<code class="math-tex">\\(${this.escapeHtml(math.tex)}\\)</code>`;
+    }
+
+    renderList(list) {
+        const tag = list.ordered ? 'ol' : 'ul';
+        const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+        const items = list.items.map(item =>
+            `<li>${this.renderInline(item.children)}${this.renderBlocks(item.blocks)}</li>`
+        ).join('');
+        return `<${tag}${start}>${items}</${tag}>`;
+    }
+
+    renderTable(table) {
+        const header = table.header.length > 0
+            ? `<thead><tr>${table.header.map(cell => `<th>${this.renderInline(cell)}</th>`).join('')}</tr></thead>`
+            : '';
+        const rows = table.rows.map(row =>
+            `<tr>${row.map(cell => `<td>${this.renderInline(cell)}</td>`).join('')}</tr>`
+        ).join('');
+        return `<table>${header}<tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Files uploaded with the prompt; downloaded ones are embedded as data URLs and save under their own name
+     */
+    renderAttachments(block) {
+        const items = block.files.map(file => {
+            const name = this.escapeHtml(file.name);
+            const href = file.data || file.href;
+            const link = href ? `<a href="${this.escapeHtml(href)}" download="${name}">${name}</a>` : name;
+            const details = [file.mimeType, this.formatSize(file.size)].filter(Boolean).join(', ');
+            return `<li>${link}${details ? ` <span class="file-details">(${this.escapeHtml(details)})</span>` : ''}</li>`;
+        });
+        return `<div class="attachments"><div class="attachments-title">Attachments</div><ul>${items.join('')}</ul></div>`;
+    }
+
+    /**
+     * Code Interpreter run, collapsible like the "Analyzed" block on the page
+     */
+    renderCodeRun(run) {
+        const parts = [`<pre><code class="language-${this.escapeHtml(run.language)}">${this.escapeHtml(run.code)}</code></pre>`];
+        if (run.output) {
+            parts.push(`<div class="code-run-label">Output</div><pre class="code-output">${this.escapeHtml(run.output)}</pre>`);
+        }
+        run.images.forEach(image => parts.push(`<p>${this.renderImage(image)}</p>`));
+        if (run.files.length > 0) {
+            const links = run.files.map(file => `<li><a href="${this.escapeHtml(file.href)}">${this.escapeHtml(file.name)}</a></li>`);
+            parts.push(`<div class="code-run-label">Files</div><ul>${links.join('')}</ul>`);
+        }
+        return `<details class="code-run" open><summary>Analysis</summary>${parts.join('')}</details>`;
+    }
+
+    /**
+     * Generated image captioned with its prompt and what is known of the generation
+     */
+    renderFigure(figure) {
+        const details = this.generationDetails(figure.generation);
+        const caption = [
+            figure.caption ? this.escapeHtml(figure.caption) : '',
+            details ? `<span class="generation-details">${this.escapeHtml(details)}</span>` : ''
+        ].join('');
+        return `<figure class="generated-image">${this.renderImage(figure.image)}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    }
+
+    generationDetails(generation) {
+        return [
+            generation.size && `Size: ${generation.size}`,
+            generation.seed !== null && `Seed: ${generation.seed}`,
+            generation.genId && `Generation ID: ${generation.genId}`
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Canvas document in full, in its latest version, with its earlier versions collapsed below it
+     */
+    renderCanvasDocument(document) {
+        const versions = document.versions.map((version, index) =>
+            `<details class="canvas-version"><summary>Version ${index + 1}</summary>${this.renderCanvasContent({ ...document, ...version })}</details>`);
+        return `<details class="canvas" open><summary>Canvas: ${this.escapeHtml(document.title)}</summary>` +
+            `${this.renderCanvasContent(document)}${versions.join('')}</details>`;
+    }
+
+    renderCanvasContent(content) {
+        if (content.code === null) {
+            return this.renderBlocks(content.blocks);
+        }
+        const language = content.language ? ` class="language-${this.escapeHtml(content.language)}"` : '';
+        return `<pre><code${language}>${this.escapeHtml(content.code)}</code></pre>`;
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    renderImage(image) {
+        const alt = (image.alt && !image.alt.startsWith('http')) ? image.alt : 'Image';
+        return `<img src="${this.escapeHtml(image.data || image.src)}" alt="${this.escapeHtml(alt)}">`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.HtmlRenderer = HtmlRenderer;
+}
+
+// ---- renderers/html-report-renderer.js ----
+
+/**
+ * HTML Report Renderer
+ * Renders a conversation's Deep Research report (see ResearchReport) as a standalone HTML page laid
+ * out like a document: title, date and source, a linked table of contents, the report, and its
+ * citations as superscript numbers linking to a closing "Sources" section. Prints cleanly too.
+ *
+ * renderConversation() returns null when the conversation has no report.
+ */
+
+class HtmlReportRenderer extends HtmlRenderer {
+    renderConversation(conversation) {
+        const report = ResearchReport.find(conversation);
+        if (!report) {
+            return null;
+        }
+
+        this.footnoteCount = 0;
+        const date = (report.turn.timestamp || conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const title = this.escapeHtml(report.title);
+        const sourceLabel = this.sourceLabel(conversation);
+        const body = this.renderTurnBlocks({ blocks: report.blocks });
+        const sections = this.footnoteCount > 0
+            ? [...report.sections, { level: 2, text: 'Sources', id: 'report-sources' }]
+            : report.sections;
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <style>
+        body {
+            font-family: Georgia, 'Times New Roman', serif;
+            max-width: 780px;
+            margin: auto;
+            padding: 2rem;
+            color: #222;
+            line-height: 1.7;
+        }
+        header {
+            border-bottom: 2px solid #eee;
+            margin-bottom: 2rem;
+        }
+        header h1 {
+            margin-bottom: 0.25rem;
+        }
+        .metadata {
+            color: #666;
+            font-size: 0.9rem;
+            margin-bottom: 1rem;
+        }
+        nav.contents {
+            background: #f8f9fa;
+            border: 1px solid #eee;
+            border-radius: 6px;
+            padding: 0.5rem 1.5rem;
+            margin-bottom: 2rem;
+        }
+        nav.contents ul {
+            padding-left: 1.25rem;
+            margin: 0.25rem 0;
+        }
+        nav.contents a, sup.citation a {
+            text-decoration: none;
+        }
+        .content h2, .content h3, .content h4 {
+            font-family: 'Segoe UI', sans-serif;
+            color: #2c3e50;
+            margin: 2rem 0 0.5rem 0;
+        }
+        .content img {
+            max-width: 100%;
+            height: auto;
+        }
+        .content pre {
+            background: #f4f4f4;
+            padding: 1rem;
+            border-radius: 6px;
+            overflow-x: auto;
+            font-size: 0.85rem;
+        }
+        .content table {
+            border-collapse: collapse;
+            width: 100%;
+            margin: 1rem 0;
+            font-size: 0.95rem;
+        }
+        .content th, .content td {
+            border: 1px solid #ddd;
+            padding: 0.4rem 0.6rem;
+            text-align: left;
+        }
+        .content th {
+            background: #f4f4f4;
+        }
+        .content blockquote {
+            border-left: 4px solid #ddd;
+            margin: 1rem 0;
+            padding-left: 1rem;
+            color: #555;
+        }
+        sup.citation {
+            font-size: 0.7em;
+        }
+        .sources ol {
+            font-size: 0.9rem;
+            padding-left: 2.5rem;
+        }
+        .sources li {
+            word-break: break-word;
+        }
+        .source-domain {
+            color: #666;
+        }
+        @media print {
+            body { max-width: none; padding: 0; }
+            nav.contents { break-after: page; }
+            h2, h3 { break-after: avoid; }
+            .sources a::after { content: " " attr(href); color: #666; }
+        }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>${title}</h1>
+        <div class="metadata">${date} · <a href="${this.escapeHtml(conversation.url)}">${sourceLabel}</a></div>
+    </header>
+    ${this.renderContents(sections)}
+    <article class="content">
+        ${body}
+    </article>
+</body>
+</html>`;
+    }
+
+    /**
+     * Nested list of links to the sections
+     */
+    renderContents(sections) {
+        return sections.length > 0 ? `<nav class="contents"><h2>Contents</h2>${this.renderContentsList(sections)}</nav>` : '';
+    }
+
+    /**
+     * Each section followed by the deeper ones after it, as its sublist
+     */
+    renderContentsList(sections) {
+        const items = [];
+        for (let i = 0; i < sections.length;) {
+            let end = i + 1;
+            while (end < sections.length && sections[end].level > sections[i].level) end++;
+            const subsections = sections.slice(i + 1, end);
+            items.push(`<li><a href="#${this.escapeHtml(sections[i].id)}">${this.escapeHtml(sections[i].text)}</a>` +
+                `${subsections.length > 0 ? this.renderContentsList(subsections) : ''}</li>`);
+            i = end;
+        }
+        return `<ul>${items.join('')}</ul>`;
+    }
+
+    /**
+     * The report's sources as its last section
+     */
+    renderSources(sources) {
+        if (sources.length === 0) {
+            return '';
+        }
+        return `\n<section class="sources"><h2 id="report-sources">Sources</h2><ol>${this.renderSourceItems(sources)}</ol></section>`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlReportRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.HtmlReportRenderer = HtmlReportRenderer;
+}
+
+// ---- entries/exporter-html.js ----
+
+// Console exporter: paste into DevTools on a ChatGPT conversation to download it as styled HTML
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.allBranches - Also export the branches behind the "< 2/3 >" navigators
+ * @param {Object} options.imageOptions - ImageEncoder size limits, e.g. { maxDimension: 1600, quality: 0.8 }
+ * @param {Object} options.filenameOptions - FileDownloader naming, e.g. { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }
+ * @param {boolean} options.attachmentFiles - Also download the files attached to prompts, when their chip links them
+ * @param {boolean} options.includeReasoning - Expand the "Thought for N seconds" sections and include their summaries
+ * @param {boolean} options.canvasVersions - Also export the earlier versions of Canvas documents
+ * @param {boolean} options.report - Export only the Deep Research report, with a table of contents
+ */
+async function exportToHTML(options = {}) {
+    const detector = new MessageDetector();
+    let result;
+    try {
+        result = await detector.detectMessages();
+    } catch (error) {
+        console.error('HTML: Message detection failed:', error);
+    }
+
+    if (!result || result.messages.length === 0) {
+        alert('No messages found. The page structure may have changed.');
+        return;
+    }
+
+    console.log(`HTML: Processing ${result.messages.length} messages...`);
+
+    console.log('HTML: Converting images to base64...');
+    const builder = new ConversationBuilder({
+        imageEncoder: new ImageEncoder(options.imageOptions),
+        attachmentFiles: options.attachmentFiles,
+        includeReasoning: options.includeReasoning,
+        canvasVersions: options.canvasVersions
+    });
+    const conversation = await builder.build(options.allBranches ? { ...result, messages: [] } : result);
+    if (options.allBranches) {
+        console.log('Walking every branch of the conversation...');
+        conversation.turns = await new BranchWalker({ builder }).buildTurns();
+    }
+    const downloader = new FileDownloader(options.filenameOptions);
+
+    if (options.report) {
+        const report = ResearchReport.find(conversation);
+        if (!report) {
+            alert('No Deep Research report found in this conversation.');
+            return;
+        }
+        const reportHtml = new HtmlReportRenderer().renderConversation(conversation);
+        downloader.download(reportHtml, downloader.buildFilename(conversation, 'html', ' report', report.title), 'text/html');
+        console.log('HTML: Export completed: Deep Research report exported');
+        return;
+    }
+
+    const html = new HtmlRenderer().renderConversation(conversation);
+    downloader.download(html, downloader.buildFilename(conversation, 'html'), 'text/html');
+
+    console.log(`HTML: Export completed: ${result.messages.length} messages exported`);
+}
+
+// Run `window.exportAllBranches = true` before pasting to include edited prompts and regenerated replies,
+// `window.imageOptions = { maxDimension: 1600, quality: 0.8 }` to downscale large images,
+// `window.attachmentFiles = true` to embed the files attached to prompts when they can be downloaded and
+// `window.includeReasoning = true` to keep the thinking summaries of reasoning models.
+// `window.canvasVersions = true` adds the earlier versions of Canvas documents.
+// `window.exportReport = true` downloads only the Deep Research report, with a table of contents.
+// `window.filenameOptions = { template: '{date}_{title}_{id}.{ext}', slugify: true, maxLength: 80 }` changes the file name
+await exportToHTML({
+    allBranches: window.exportAllBranches === true,
+    imageOptions: window.imageOptions,
+    filenameOptions: window.filenameOptions,
+    attachmentFiles: window.attachmentFiles === true,
+    includeReasoning: window.includeReasoning === true,
+    canvasVersions: window.canvasVersions === true,
+    report: window.exportReport === true
+});
 
-    const blob = new Blob([html], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    const safeTitle = document.title.replace(/[<>:"/\\|?*]/g, '').replace(/\s+/g, ' ').trim();
-    a.download = safeTitle ? `${safeTitle} (${date}).html` : `ChatGPT_Conversation_${date}.html`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
 })();
@@ -0,0 +1,583 @@
+/**
+ * DOCX Renderer
+ * Renders the conversation tree as a Word document (Office Open XML), packaged with ZipWriter
+ * so no library has to be fetched past ChatGPT's Content Security Policy.
+ */
+
+const DOCX_TEXT_WIDTH = 9360;           // twips: Letter page minus 1" margins
+const DOCX_EMU_PER_PIXEL = 9525;
+const DOCX_MAX_IMAGE_WIDTH = 5943600;   // EMU: 6.5"
+const DOCX_INDENT = 360;                // twips per list or quote level
+
+const DOCX_IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpeg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp'
+};
+
+class DocxRenderer {
+    /**
+     * Render a conversation tree (see ConversationBuilder) into .docx file bytes
+     * @returns {Uint8Array}
+     */
+    renderConversation(conversation) {
+        this.relationships = [];
+        this.media = new Map();
+        this.drawingCount = 0;
+
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const sourceLabel = this.sourceLabel(conversation);
+
+        const body = [
+            this.paragraph(this.run(conversation.title), { style: 'Title' }),
+            this.paragraph(this.run('Date: ', { bold: true }) + this.run(date), { style: 'Metadata' }),
+            this.paragraph(this.run('Source: ', { bold: true }) + this.hyperlink(conversation.url, this.run(sourceLabel, { style: 'Hyperlink' })), { style: 'Metadata' }),
+            this.renderTurns(conversation.turns)
+        ].join('');
+
+        const zip = new ZipWriter();
+        zip.addFile('[Content_Types].xml', this.contentTypes());
+        zip.addFile('_rels/.rels', this.packageRelationships());
+        zip.addFile('docProps/core.xml', this.coreProperties(conversation));
+        zip.addFile('word/document.xml', this.document(body));
+        zip.addFile('word/styles.xml', this.styles());
+        zip.addFile('word/_rels/document.xml.rels', this.documentRelationships());
+        this.media.forEach(({ name, bytes }) => zip.addFile(`word/media/${name}`, bytes));
+        return zip.generate();
+    }
+
+    /**
+     * Host of the conversation's URL (chatgpt.com, chat.openai.com, gemini.google.com), or the
+     * platform's when the URL has none (e.g. a saved page opened from disk)
+     */
+    sourceLabel(conversation) {
+        const match = /^https?:\/\/([^/?#]+)/i.exec(conversation.url || '');
+        return match ? match[1] : (conversation.platform === 'Gemini' ? 'gemini.google.com' : 'chatgpt.com');
+    }
+
+    /**
+     * Render a turn list, including a trailing fork when every branch is exported
+     */
+    renderTurns(turns) {
+        return turns.map(turn => turn.type === 'fork' ? this.renderFork(turn) : this.renderTurn(turn)).join('');
+    }
+
+    /**
+     * The sender line is a heading (so turns show in Word's navigation pane), colored by role
+     */
+    renderTurn(turn) {
+        const label = turn.replyLabel ? this.run(` (${turn.replyLabel})`, { style: 'ReplyLabel' }) : '';
+        const style = turn.role === 'user' ? 'UserTurn' : 'AssistantTurn';
+        return this.paragraph(this.run(turn.sender) + label, { style }) + this.renderBlocks(turn.blocks);
+    }
+
+    /**
+     * Like the PDF, every branch is written out in full under its label
+     */
+    renderFork(fork) {
+        return fork.branches.map(branch => {
+            const label = `Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}`;
+            return this.paragraph(this.run(label), { style: 'Branch' }) + this.renderTurns(branch.turns);
+        }).join('');
+    }
+
+    /**
+     * @param {Object} context - { indent (twips), quote (inside a blockquote) } for nested content
+     */
+    renderBlocks(blocks, context = { indent: 0, quote: false }) {
+        return blocks.map(block => this.renderBlock(block, context)).join('');
+    }
+
+    renderBlock(block, context) {
+        switch (block.type) {
+            case 'paragraph':
+                return this.paragraph(this.renderInline(block.children), context);
+
+            case 'heading':
+                return this.paragraph(this.renderInline(block.children), { ...context, style: `Heading${Math.min(block.level + 1, 6)}` });
+
+            case 'list':
+                return this.renderList(block, context, 0);
+
+            case 'table':
+                return this.renderTable(block, context);
+
+            case 'code':
+                return this.paragraph(this.run(block.text.replace(/\n$/, '')), { ...context, style: 'Code' });
+
+            case 'image':
+                return this.paragraph(this.renderImage(block), context);
+
+            case 'math':
+                return this.paragraph(this.run(block.tex), { ...context, style: 'MathBlock' });
+
+            case 'blockquote':
+                return this.renderBlocks(block.blocks, { indent: context.indent + DOCX_INDENT, quote: true });
+
+            case 'rule':
+                return this.paragraph('', { ...context, style: 'Rule' });
+
+            case 'canvas':
+                return this.paragraph(this.run('[Canvas Image]', { italic: true }), context);
+
+            case 'attachments':
+                return this.renderBlocks(this.attachmentBlocks(block), context);
+
+            case 'codeRun':
+                return this.renderBlocks(this.codeRunBlocks(block), context);
+
+            case 'reasoning':
+                return this.renderBlock(this.reasoningQuote(block), context);
+
+            case 'canvasDocument':
+                return this.renderBlocks(this.canvasBlocks(block), context);
+
+            case 'figure':
+                return this.renderBlocks(this.figureBlocks(block), context);
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * The attachments block as a bold "Attachments" paragraph and a list of file names with their type and size
+     */
+    attachmentBlocks(block) {
+        const describe = file => {
+            const details = [file.mimeType, this.formatSize(file.size)].filter(Boolean).join(', ');
+            return details ? `${file.name} (${details})` : file.name;
+        };
+        return [
+            { type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: 'Attachments' }] }] },
+            {
+                type: 'list',
+                ordered: false,
+                start: 1,
+                items: block.files.map(file => ({ type: 'listItem', children: [{ type: 'text', value: describe(file) }], blocks: [] }))
+            }
+        ];
+    }
+
+    /**
+     * A thinking summary as a blockquote starting with its italic "Thought for N seconds" label
+     */
+    reasoningQuote(reasoning) {
+        const label = { type: 'paragraph', children: [{ type: 'emphasis', children: [{ type: 'text', value: reasoning.label }] }] };
+        return { type: 'blockquote', blocks: [label, ...reasoning.blocks] };
+    }
+
+    /**
+     * A Canvas document as plain blocks: a bold "Canvas: {title}" label and its latest version,
+     * then each earlier version under a "Version N" label
+     */
+    canvasBlocks(document) {
+        const label = text => ({ type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: text }] }] });
+        const content = version => version.code !== null ? [{ type: 'code', language: document.language || '', text: version.code.replace(/\n$/, '') }] : version.blocks;
+        return [
+            label(`Canvas: ${document.title}`),
+            ...content(document),
+            ...document.versions.flatMap((version, index) => [label(`Version ${index + 1}`), ...content(version)])
+        ];
+    }
+
+    /**
+     * A generated image as plain blocks: the image, its prompt in italics and the generation details
+     */
+    figureBlocks(figure) {
+        const details = [
+            figure.generation.size && `Size: ${figure.generation.size}`,
+            figure.generation.seed !== null && `Seed: ${figure.generation.seed}`,
+            figure.generation.genId && `Generation ID: ${figure.generation.genId}`
+        ].filter(Boolean).join(' · ');
+        return [
+            figure.image,
+            ...(figure.caption ? [{ type: 'paragraph', children: [{ type: 'emphasis', children: [{ type: 'text', value: figure.caption }] }] }] : []),
+            ...(details ? [{ type: 'paragraph', children: [{ type: 'text', value: details }] }] : [])
+        ];
+    }
+
+    /**
+     * A Code Interpreter run as plain blocks: the code, an "Output" label and block, the charts and a list of the files
+     */
+    codeRunBlocks(run) {
+        const label = text => ({ type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: text }] }] });
+        return [
+            { type: 'code', language: run.language, text: run.code },
+            ...(run.output ? [label('Output'), { type: 'code', language: '', text: run.output }] : []),
+            ...run.images,
+            ...(run.files.length > 0 ? [label('Files'), {
+                type: 'list',
+                ordered: false,
+                start: 1,
+                items: run.files.map(file => ({
+                    type: 'listItem',
+                    children: [{ type: 'link', href: file.href, children: [{ type: 'text', value: file.name }] }],
+                    blocks: []
+                }))
+            }] : [])
+        ];
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    renderInline(nodes, format = {}) {
+        return nodes.map(node => this.renderInlineNode(node, format)).join('');
+    }
+
+    renderInlineNode(node, format) {
+        switch (node.type) {
+            case 'text':
+                return this.run(node.value.replace(/\n/g, ' '), format);
+
+            case 'strong':
+                return this.renderInline(node.children, { ...format, bold: true });
+
+            case 'emphasis':
+                return this.renderInline(node.children, { ...format, italic: true });
+
+            case 'inlineCode':
+                return this.run(node.value, { ...format, style: 'InlineCode' });
+
+            case 'break':
+                return '<w:r><w:br/></w:r>';
+
+            case 'link': {
+                const text = node.children.length > 0
+                    ? this.renderInline(node.children, { ...format, style: 'Hyperlink' })
+                    : this.run(node.href, { ...format, style: 'Hyperlink' });
+                return this.hyperlink(node.href, text);
+            }
+
+            case 'image':
+                return this.renderImage(node);
+
+            case 'math':
+                return this.run(node.tex, { ...format, style: 'Math' });
+
+            case 'citation':
+                return node.href
+                    ? this.hyperlink(node.href, this.run(`[${node.label || node.href}]`, { ...format, style: 'Hyperlink', superscript: true }))
+                    : '';
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Word's own list numbering needs a numbering part per list; markers are written as text instead,
+     * with a hanging indent so wrapped lines align after the marker
+     */
+    renderList(list, context, depth) {
+        const bullets = ['•', '◦', '▪'];
+        const indent = context.indent + DOCX_INDENT;
+
+        return list.items.map((item, i) => {
+            const marker = list.ordered ? `${list.start + i}.` : bullets[depth % bullets.length];
+            const itemContext = { ...context, indent };
+            const nested = item.blocks.map(block => block.type === 'list'
+                ? this.renderList(block, itemContext, depth + 1)
+                : this.renderBlock(block, itemContext)).join('');
+            return this.paragraph(this.run(`${marker}\t`) + this.renderInline(item.children), { ...itemContext, hanging: DOCX_INDENT }) + nested;
+        }).join('');
+    }
+
+    renderTable(table, context) {
+        const columns = Math.max(table.header.length, ...table.rows.map(row => row.length), 1);
+        const width = Math.floor((DOCX_TEXT_WIDTH - context.indent) / columns);
+        const renderRow = (cells, header) => {
+            const padded = [...cells, ...Array(columns - cells.length).fill([])];
+            const rowProps = header ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+            return `<w:tr>${rowProps}${padded.map(cell => {
+                const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/>' : '';
+                return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>` +
+                    `${this.paragraph(this.renderInline(cell, { bold: header }), { style: 'TableText' })}</w:tc>`;
+            }).join('')}</w:tr>`;
+        };
+
+        // Word needs a paragraph between two adjacent tables, or it merges them
+        return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/>' +
+            `<w:tblInd w:w="${context.indent}" w:type="dxa"/></w:tblPr>` +
+            `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>` +
+            (table.header.length > 0 ? renderRow(table.header, true) : '') +
+            table.rows.map(row => renderRow(row, false)).join('') +
+            '</w:tbl>' + this.paragraph('', { style: 'TableSpacer' });
+    }
+
+    /**
+     * Embed a base64 image as a media part; images without data (or in formats Word can't show) become links
+     */
+    renderImage(image) {
+        const alt = (image.alt && !image.alt.startsWith('http')) ? image.alt : 'Image';
+        const media = this.addMedia(image.data);
+        if (!media) {
+            return image.src
+                ? this.hyperlink(image.src, this.run(`[${alt}]`, { style: 'Hyperlink' }))
+                : this.run(`[${alt}]`, { italic: true });
+        }
+
+        const scale = Math.min(1, DOCX_MAX_IMAGE_WIDTH / (media.width * DOCX_EMU_PER_PIXEL));
+        const cx = Math.round(media.width * DOCX_EMU_PER_PIXEL * scale);
+        const cy = Math.round(media.height * DOCX_EMU_PER_PIXEL * scale);
+        const id = ++this.drawingCount;
+
+        return '<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">' +
+            `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${id}" name="Picture ${id}" descr="${this.escapeXml(alt)}"/>` +
+            '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+            '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+            '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+            `<pic:nvPicPr><pic:cNvPr id="${id}" name="${media.name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill><a:blip r:embed="${media.id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+            '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+    }
+
+    /**
+     * Decode a data URL into word/media/, once per distinct image
+     * @returns {{ id, name, width, height }|null}
+     */
+    addMedia(dataUrl) {
+        if (this.media.has(dataUrl)) {
+            return this.media.get(dataUrl);
+        }
+
+        const match = (dataUrl || '').match(/^data:([^;,]+);base64,(.*)$/);
+        const extension = match && DOCX_IMAGE_TYPES[match[1]];
+        if (!extension) {
+            return null;
+        }
+
+        const binary = atob(match[2]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        const size = this.imageSize(bytes, extension);
+        if (!size) {
+            return null;
+        }
+
+        const name = `image${this.media.size + 1}.${extension}`;
+        const media = { id: this.addRelationship('image', `media/${name}`), name, bytes, ...size };
+        this.media.set(dataUrl, media);
+        return media;
+    }
+
+    /**
+     * Pixel dimensions from the image header, needed for the drawing's extent
+     */
+    imageSize(bytes, extension) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        try {
+            switch (extension) {
+                case 'png':
+                    return { width: view.getUint32(16), height: view.getUint32(20) };
+                case 'gif':
+                    return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+                case 'bmp':
+                    return { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+                case 'jpeg':
+                    // Walk the segments to the start-of-frame marker (C0-CF, except DHT/JPG/DAC)
+                    for (let offset = 2; offset + 9 < bytes.length;) {
+                        const marker = bytes[offset + 1];
+                        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                            return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+                        }
+                        offset += 2 + view.getUint16(offset + 2);
+                    }
+                    return null;
+                default:
+                    return null;
+            }
+        } catch (e) {
+            return null;
+        }
+    }
+
+    addRelationship(type, target, external = false) {
+        const id = `rId${this.relationships.length + 2}`;    // rId1 is the styles part
+        this.relationships.push({ id, type, target, external });
+        return id;
+    }
+
+    /**
+     * A paragraph with optional style, indentation and blockquote border
+     * @param {Object} options - { style, indent, hanging, quote }
+     */
+    paragraph(content, options = {}) {
+        const props = [];
+        if (options.style) props.push(`<w:pStyle w:val="${options.style}"/>`);
+        if (options.quote) props.push('<w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="CCCCCC"/></w:pBdr>');
+        if (options.indent) {
+            const hanging = options.hanging ? ` w:hanging="${options.hanging}"` : '';
+            props.push(`<w:ind w:left="${options.indent}"${hanging}/>`);
+        }
+        return `<w:p>${props.length > 0 ? `<w:pPr>${props.join('')}</w:pPr>` : ''}${content}</w:p>`;
+    }
+
+    /**
+     * A run of text; newlines become line breaks and tabs become tab stops
+     * @param {Object} format - { style, bold, italic, superscript }
+     */
+    run(text, format = {}) {
+        const props = [];
+        if (format.style) props.push(`<w:rStyle w:val="${format.style}"/>`);
+        if (format.bold) props.push('<w:b/>');
+        if (format.italic) props.push('<w:i/>');
+        if (format.superscript) props.push('<w:vertAlign w:val="superscript"/>');
+
+        const content = String(text).split('\n').map(line => line.split('\t')
+            .map(part => part ? `<w:t xml:space="preserve">${this.escapeXml(part)}</w:t>` : '')
+            .join('<w:tab/>')).join('<w:br/>');
+        return `<w:r>${props.length > 0 ? `<w:rPr>${props.join('')}</w:rPr>` : ''}${content}</w:r>`;
+    }
+
+    /**
+     * Links only to web and mail addresses; anything else keeps its text without the link
+     */
+    hyperlink(href, runs) {
+        if (!/^(https?:|mailto:)/i.test(href || '')) {
+            return runs;
+        }
+        return `<w:hyperlink r:id="${this.addRelationship('hyperlink', href, true)}">${runs}</w:hyperlink>`;
+    }
+
+    /**
+     * Escape for XML text and attributes, dropping control characters XML 1.0 can't contain
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    document(body) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+            'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">' +
+            `<w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>` +
+            '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>' +
+            '</w:sectPr></w:body></w:document>';
+    }
+
+    contentTypes() {
+        const images = Object.values(DOCX_IMAGE_TYPES)
+            .map(extension => `<Default Extension="${extension}" ContentType="image/${extension}"/>`).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' + images +
+            '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+            '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+            '</Types>';
+    }
+
+    packageRelationships() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+            '</Relationships>';
+    }
+
+    documentRelationships() {
+        const relationships = this.relationships.map(({ id, type, target, external }) =>
+            `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" ` +
+            `Target="${this.escapeXml(target)}"${external ? ' TargetMode="External"' : ''}/>`).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            relationships + '</Relationships>';
+    }
+
+    coreProperties(conversation) {
+        const created = conversation.createdAt || conversation.exportedAt;
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            `<dc:title>${this.escapeXml(conversation.title)}</dc:title>` +
+            `<dc:source>${this.escapeXml(conversation.url)}</dc:source>` +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${this.escapeXml(created)}</dcterms:created>` +
+            '</cp:coreProperties>';
+    }
+
+    /**
+     * Paragraph, character and table styles, matching the HTML export's look
+     */
+    styles() {
+        const paragraphStyle = (id, name, pPr, rPr, extra = '') =>
+            `<w:style w:type="paragraph" w:customStyle="1" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/>` +
+            `${extra}<w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+        const characterStyle = (id, name, rPr) =>
+            `<w:style w:type="character" w:customStyle="1" w:styleId="${id}"><w:name w:val="${name}"/><w:rPr>${rPr}</w:rPr></w:style>`;
+        const heading = level => paragraphStyle(`Heading${level}`, `heading ${level}`,
+            `<w:keepNext/><w:spacing w:before="200" w:after="80"/><w:outlineLvl w:val="${level - 1}"/>`,
+            `<w:b/><w:color w:val="2C3E50"/><w:sz w:val="${[36, 30, 26, 24, 22, 22][level - 1]}"/>`, '<w:next w:val="Normal"/>');
+        const turn = (id, name, color, fill) => paragraphStyle(id, name,
+            `<w:keepNext/><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="2" w:color="${color}"/></w:pBdr>` +
+            `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/>`,
+            `<w:b/><w:color w:val="${color}"/><w:sz w:val="26"/>`, '<w:next w:val="Normal"/>');
+        const mono = '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+            '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+            '<w:color w:val="333333"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>' +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+            paragraphStyle('Title', 'Title', '<w:spacing w:after="120"/><w:jc w:val="center"/>', '<w:b/><w:color w:val="2C3E50"/><w:sz w:val="40"/>') +
+            paragraphStyle('Metadata', 'Metadata', '<w:spacing w:after="0"/><w:jc w:val="center"/>', '<w:color w:val="666666"/><w:sz w:val="20"/>') +
+            [1, 2, 3, 4, 5, 6].map(heading).join('') +
+            turn('UserTurn', 'User Turn', '1A73E8', 'EEF4FD') +
+            turn('AssistantTurn', 'Assistant Turn', '10A37F', 'EDF8F4') +
+            paragraphStyle('Branch', 'Branch', '<w:keepNext/><w:spacing w:before="240"/>', '<w:b/><w:color w:val="10A37F"/>') +
+            paragraphStyle('Code', 'Code',
+                '<w:pBdr><w:top w:val="single" w:sz="4" w:space="4" w:color="E0E0E0"/><w:left w:val="single" w:sz="4" w:space="4" w:color="E0E0E0"/>' +
+                '<w:bottom w:val="single" w:sz="4" w:space="4" w:color="E0E0E0"/><w:right w:val="single" w:sz="4" w:space="4" w:color="E0E0E0"/></w:pBdr>' +
+                '<w:shd w:val="clear" w:color="auto" w:fill="F4F4F4"/><w:spacing w:after="160" w:line="240" w:lineRule="auto"/>',
+                `${mono}<w:sz w:val="19"/>`) +
+            paragraphStyle('MathBlock', 'Math Block', '<w:jc w:val="center"/>', '<w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/><w:i/>') +
+            paragraphStyle('Rule', 'Rule', '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="DDDDDD"/></w:pBdr>', '') +
+            paragraphStyle('TableText', 'Table Text', '<w:spacing w:after="0"/>', '') +
+            paragraphStyle('TableSpacer', 'Table Spacer', '<w:spacing w:after="0" w:line="120" w:lineRule="exact"/>', '') +
+            characterStyle('InlineCode', 'Inline Code', `${mono}<w:shd w:val="clear" w:color="auto" w:fill="F4F4F4"/>`) +
+            characterStyle('Math', 'Math', '<w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/><w:i/>') +
+            characterStyle('Hyperlink', 'Hyperlink', '<w:color w:val="0563C1"/><w:u w:val="single"/>') +
+            characterStyle('ReplyLabel', 'Reply Label', '<w:b w:val="0"/><w:color w:val="666666"/><w:sz w:val="20"/>') +
+            '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr>' +
+            '<w:tblBorders><w:top w:val="single" w:sz="4" w:color="DDDDDD"/><w:left w:val="single" w:sz="4" w:color="DDDDDD"/>' +
+            '<w:bottom w:val="single" w:sz="4" w:color="DDDDDD"/><w:right w:val="single" w:sz="4" w:color="DDDDDD"/>' +
+            '<w:insideH w:val="single" w:sz="4" w:color="DDDDDD"/><w:insideV w:val="single" w:sz="4" w:color="DDDDDD"/></w:tblBorders>' +
+            '<w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="100" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar>' +
+            '</w:tblPr></w:style>' +
+            '</w:styles>';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocxRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.DocxRenderer = DocxRenderer;
+}
@@ -0,0 +1,160 @@
+/**
+ * Fine-Tuning Renderer
+ * Renders the conversation tree as OpenAI chat fine-tuning examples: JSONL records of
+ * {"messages": [{"role": "system"|"user"|"assistant", "content": ...}]}.
+ * Only the branches shown in the UI are used.
+ */
+
+class FineTuningRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} options.systemPrompt - Prepended to every example as a system message
+     * @param {boolean} options.dropImages - Leave images out; otherwise user images become image_url parts
+     * @param {number} options.maxTurns - Keep only the last N turns (a user message and the replies to it) of each example
+     * @param {boolean} options.splitPerAssistantTurn - One example per assistant reply, with the conversation up to it
+     * @param {MarkdownRenderer} options.markdownRenderer - Renders message content
+     */
+    constructor(options = {}) {
+        this.systemPrompt = options.systemPrompt || '';
+        this.dropImages = Boolean(options.dropImages);
+        this.maxTurns = options.maxTurns > 0 ? Math.floor(options.maxTurns) : 0;
+        this.splitPerAssistantTurn = Boolean(options.splitPerAssistantTurn);
+        this.markdownRenderer = options.markdownRenderer || new MarkdownRenderer({ embedImages: false, canvasFiles: false });
+    }
+
+    /**
+     * Render a conversation tree (see ConversationBuilder) into JSONL, one example per line
+     */
+    renderConversation(conversation) {
+        return this.buildExamples(conversation)
+            .map(example => JSON.stringify(example) + '\n')
+            .join('');
+    }
+
+    /**
+     * Build the training examples for a conversation
+     */
+    buildExamples(conversation) {
+        const messages = this.activeTurns(conversation.turns)
+            .filter(turn => turn.role === 'user' || turn.role === 'assistant')
+            .map(turn => this.buildMessage(turn))
+            .filter(Boolean);
+
+        const contexts = this.splitPerAssistantTurn
+            ? messages.map((message, i) => message.role === 'assistant' ? messages.slice(0, i + 1) : null).filter(Boolean)
+            : [messages];
+
+        return contexts
+            .map(context => this.trimContext(context))
+            .filter(context => context.some(message => message.role === 'assistant'))
+            .map(context => ({
+                messages: this.systemPrompt
+                    ? [{ role: 'system', content: this.systemPrompt }, ...context]
+                    : context
+            }));
+    }
+
+    /**
+     * Follow the active branch through any forks
+     */
+    activeTurns(turns) {
+        const result = [];
+        turns.forEach(turn => {
+            if (turn.type === 'fork') {
+                const branch = turn.branches.find(b => b.active) || turn.branches[0];
+                result.push(...this.activeTurns(branch.turns));
+            } else {
+                result.push(turn);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Convert a turn into a chat message. Assistant messages can't carry images, so theirs are always dropped.
+     */
+    buildMessage(turn) {
+        const text = this.markdownRenderer.renderBlocks(this.stripImages(turn.blocks)).trim();
+        const images = turn.role === 'user' && !this.dropImages ? this.collectImageUrls(turn.blocks) : [];
+
+        if (images.length === 0) {
+            return text ? { role: turn.role, content: text } : null;
+        }
+
+        return {
+            role: turn.role,
+            content: [
+                ...(text ? [{ type: 'text', text }] : []),
+                ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+            ]
+        };
+    }
+
+    /**
+     * End the example on the assistant, apply the turn limit (an unanswered prompt at the end is not a turn),
+     * then make sure the example starts with the user
+     */
+    trimContext(messages) {
+        let context = messages;
+        while (context.length > 0 && context[context.length - 1].role !== 'assistant') {
+            context = context.slice(0, -1);
+        }
+
+        const userIndexes = context.map((message, i) => message.role === 'user' ? i : -1).filter(i => i >= 0);
+        if (this.maxTurns && userIndexes.length > this.maxTurns) {
+            context = context.slice(userIndexes[userIndexes.length - this.maxTurns]);
+        }
+
+        while (context.length > 0 && context[0].role !== 'user') {
+            context = context.slice(1);
+        }
+        return context;
+    }
+
+    /**
+     * Copy of the blocks without image nodes and generated images
+     */
+    stripImages(nodes) {
+        return nodes
+            .filter(node => node.type !== 'image' && node.type !== 'figure')
+            .map(node => {
+                const copy = { ...node };
+                ['children', 'blocks', 'images'].forEach(key => {
+                    if (Array.isArray(node[key])) copy[key] = this.stripImages(node[key]);
+                });
+                if (node.items) copy.items = node.items.map(item => this.stripImages([item])[0]);
+                if (node.header) copy.header = node.header.map(cell => this.stripImages(cell));
+                if (node.rows) copy.rows = node.rows.map(row => row.map(cell => this.stripImages(cell)));
+                return copy;
+            });
+    }
+
+    /**
+     * Image URLs the API can fetch: embedded data URLs or http(s) sources
+     */
+    collectImageUrls(nodes) {
+        const urls = [];
+        const visit = node => {
+            if (node.type === 'image') {
+                const url = node.data || node.src;
+                if (/^(data:image\/|https?:)/.test(url || '')) urls.push(url);
+                return;
+            }
+            [node.children, node.blocks, node.items].forEach(list => (list || []).forEach(visit));
+            (node.header || []).forEach(cell => cell.forEach(visit));
+            (node.rows || []).forEach(row => row.forEach(cell => cell.forEach(visit)));
+        };
+        nodes.forEach(visit);
+        return urls;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FineTuningRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.FineTuningRenderer = FineTuningRenderer;
+}
@@ -0,0 +1,93 @@
+/**
+ * Gallery Renderer
+ * Collects the images a conversation generated (its figure blocks, see ConversationBuilder) for a
+ * folder of their own: renderConversation() returns the folder's captions.json and lists the image
+ * files in `attachments` ({ name, path, data: Uint8Array, mimeType }), with paths relative to the folder.
+ *
+ * captions.json:
+ *
+ *   { title, url, conversationId, images: [{ file, url, caption, size, seed, genId, turn }] }
+ *
+ * Images are numbered in conversation order and named after their caption. `file` is null for an image
+ * whose content wasn't available, `url` is where the image was shown (null for an embedded one) and
+ * `turn` is the 1-based index of the message that generated it, counted like the JSON export's messages.
+ *
+ * renderConversation() returns null when the conversation has no generated images.
+ */
+
+class GalleryRenderer {
+    /**
+     * @param {Object} options
+     * @param {MarkdownRenderer} options.markdownRenderer - Decodes the image data URLs
+     */
+    constructor(options = {}) {
+        this.markdownRenderer = options.markdownRenderer || new MarkdownRenderer();
+        this.attachments = [];
+    }
+
+    renderConversation(conversation) {
+        this.attachments = [];
+        const figures = this.collectFigures(conversation.turns);
+        if (figures.length === 0) {
+            return null;
+        }
+
+        const images = figures.map(({ figure, turn }, index) => ({
+            file: this.addImage(figure, index + 1),
+            url: figure.image.src && !figure.image.src.startsWith('data:') ? figure.image.src : null,
+            caption: figure.caption,
+            ...figure.generation,
+            turn
+        }));
+
+        return JSON.stringify({
+            title: conversation.title,
+            url: conversation.url,
+            conversationId: conversation.conversationId,
+            images
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * Figures in message order, depth-first through any forks, with the number of their message
+     */
+    collectFigures(turns, figures = [], counter = { turn: 0 }) {
+        turns.forEach(turn => {
+            if (turn.type === 'fork') {
+                turn.branches.forEach(branch => this.collectFigures(branch.turns, figures, counter));
+                return;
+            }
+            counter.turn++;
+            turn.blocks
+                .filter(block => block.type === 'figure')
+                .forEach(figure => figures.push({ figure, turn: counter.turn }));
+        });
+        return figures;
+    }
+
+    /**
+     * Save a figure's image as "{number}-{caption}.{extension}"
+     * @returns {string|null} the file name, or null when the image has no data
+     */
+    addImage(figure, number) {
+        const decoded = this.markdownRenderer.decodeDataUrl(figure.image.data || figure.image.src);
+        const extension = decoded && IMAGE_FILE_EXTENSIONS[decoded.mimeType];
+        if (!extension) {
+            return null;
+        }
+        const slug = (figure.caption || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').slice(0, 50).replace(/^-+|-+$/g, '');
+        const name = `${String(number).padStart(3, '0')}-${slug || 'image'}.${extension}`;
+        this.attachments.push({ name, path: name, data: decoded.data, mimeType: decoded.mimeType });
+        return name;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GalleryRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.GalleryRenderer = GalleryRenderer;
+}
@@ -0,0 +1,581 @@
+/**
+ * HTML Renderer
+ * Renders the conversation tree built by ConversationBuilder as a styled, self-contained HTML page.
+ * Web search citations become numbered superscript links to a "Sources" list at the end of the turn.
+ */
+
+class HtmlRenderer {
+    /**
+     * Render a conversation tree (see ConversationBuilder) into a complete HTML document
+     */
+    renderConversation(conversation) {
+        this.footnoteCount = 0;
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const title = this.escapeHtml(conversation.title);
+        const sourceLabel = this.sourceLabel(conversation);
+
+        const conversationHTML = this.renderTurns(conversation.turns);
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${title} - ${date}</title>
+    <style>
+        body {
+            font-family: 'Segoe UI', sans-serif;
+            max-width: 900px;
+            margin: auto;
+            padding: 2rem;
+            background: #fff;
+            color: #333;
+            line-height: 1.6;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 2rem;
+            padding-bottom: 1rem;
+            border-bottom: 2px solid #eee;
+        }
+        .header h1 {
+            color: #2c3e50;
+            margin-bottom: 0.5rem;
+        }
+        .metadata {
+            color: #666;
+            font-size: 0.9rem;
+        }
+        .message {
+            margin-bottom: 1.5rem;
+            padding: 1rem;
+            border-radius: 8px;
+            background: #f8f9fa;
+        }
+        .sender {
+            font-weight: bold;
+            color: #2c3e50;
+            margin-bottom: 0.5rem;
+            font-size: 1.1rem;
+        }
+        .reply-label {
+            font-weight: normal;
+            font-size: 0.9rem;
+            color: #666;
+        }
+        .branches {
+            margin-bottom: 1.5rem;
+        }
+        .branch {
+            border-left: 3px solid #10a37f;
+            padding-left: 1rem;
+            margin-bottom: 0.5rem;
+        }
+        .branch > summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #10a37f;
+            margin-bottom: 0.5rem;
+        }
+        .content {
+            word-wrap: break-word;
+            overflow-wrap: break-word;
+        }
+        .content img {
+            max-width: 100%;
+            height: auto;
+            border-radius: 8px;
+            margin: 1rem 0;
+        }
+        .content pre {
+            background: #1e1e1e;
+            color: #d4d4d4;
+            padding: 1rem;
+            border-radius: 8px;
+            overflow-x: auto;
+            font-family: 'Consolas', 'Monaco', monospace;
+            font-size: 0.9rem;
+        }
+        .content code {
+            font-family: 'Consolas', 'Monaco', monospace;
+            background: rgba(0,0,0,0.05);
+            padding: 0.2em 0.4em;
+            border-radius: 3px;
+            font-size: 0.9em;
+        }
+        .content pre code {
+            background: none;
+            padding: 0;
+        }
+        .content table {
+            border-collapse: collapse;
+            width: 100%;
+            margin: 1rem 0;
+        }
+        .content th, .content td {
+            border: 1px solid #ddd;
+            padding: 0.5rem;
+            text-align: left;
+        }
+        .content th {
+            background: #f4f4f4;
+            font-weight: bold;
+        }
+        .content ul, .content ol {
+            padding-left: 2rem;
+            margin: 0.5rem 0;
+        }
+        .content h1, .content h2, .content h3, .content h4, .content h5, .content h6 {
+            margin: 1rem 0 0.5rem 0;
+            color: #2c3e50;
+        }
+        .content .math-display {
+            display: block;
+            margin: 1rem 0;
+            overflow-x: auto;
+        }
+        .content math {
+            font-size: 1.1em;
+        }
+        .content blockquote {
+            border-left: 4px solid #ddd;
+            margin: 1rem 0;
+            padding-left: 1rem;
+            color: #666;
+        }
+        .content .attachments {
+            background: #f4f4f4;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 0.5rem 0 1rem 0;
+        }
+        .content .attachments-title {
+            font-weight: bold;
+        }
+        .content .file-details {
+            color: #666;
+        }
+        .content sup.citation a {
+            text-decoration: none;
+            font-size: 0.8em;
+        }
+        .content .sources {
+            border-top: 1px solid #eee;
+            margin-top: 1rem;
+            padding-top: 0.5rem;
+            font-size: 0.9em;
+        }
+        .content .sources-label {
+            font-weight: bold;
+        }
+        .content .source-domain {
+            color: #666;
+        }
+        .content .reasoning {
+            border-left: 3px solid #ddd;
+            padding-left: 1rem;
+            margin: 0.5rem 0 1rem 0;
+            color: #555;
+        }
+        .content .reasoning summary {
+            cursor: pointer;
+            font-style: italic;
+        }
+        .content .generated-image {
+            margin: 1rem 0;
+        }
+        .content .generated-image figcaption {
+            font-style: italic;
+            color: #555;
+            margin-top: 0.5rem;
+        }
+        .content .generation-details {
+            display: block;
+            font-style: normal;
+            font-size: 0.85em;
+            color: #888;
+        }
+        .content .canvas {
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 1rem 0;
+        }
+        .content .canvas summary {
+            cursor: pointer;
+            font-weight: bold;
+        }
+        .content .canvas-version summary {
+            font-weight: normal;
+            color: #666;
+        }
+        .content .code-run {
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 0.5rem 1rem;
+            margin: 1rem 0;
+        }
+        .content .code-run summary {
+            cursor: pointer;
+            color: #666;
+        }
+        .content .code-run-label {
+            font-weight: bold;
+            margin-top: 0.5rem;
+        }
+        .content .code-output {
+            background: #fafafa;
+            color: #333;
+            border: 1px solid #ddd;
+        }
+        @media print {
+            body { margin: 0; padding: 1rem; }
+            .message { break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${title}</h1>
+        <div class="metadata">
+            <div><strong>Date:</strong> ${date}</div>
+            <div><strong>Source:</strong> <a href="${this.escapeHtml(conversation.url)}">${sourceLabel}</a></div>
+        </div>
+    </div>
+
+    <div class="conversation">
+        ${conversationHTML}
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Host of the conversation's URL (chatgpt.com, chat.openai.com, gemini.google.com), or the
+     * platform's when the URL has none (e.g. a saved page opened from disk)
+     */
+    sourceLabel(conversation) {
+        const match = /^https?:\/\/([^/?#]+)/i.exec(conversation.url || '');
+        return match ? match[1] : (conversation.platform === 'Gemini' ? 'gemini.google.com' : 'chatgpt.com');
+    }
+
+    /**
+     * Render a turn list, including a trailing fork when every branch is exported
+     */
+    renderTurns(turns) {
+        return turns.map(turn => turn.type === 'fork' ? this.renderFork(turn) : this.renderTurn(turn)).join('');
+    }
+
+    renderTurn(turn) {
+        const label = turn.replyLabel ? ` <span class="reply-label">(${this.escapeHtml(turn.replyLabel)})</span>` : '';
+        return `
+                <div class="message">
+                    <div class="sender">${this.escapeHtml(turn.sender)}${label}</div>
+                    <div class="content">${this.renderTurnBlocks(turn)}</div>
+                </div>
+            `;
+    }
+
+    /**
+     * A turn's content followed by the sources it cites
+     */
+    renderTurnBlocks(turn) {
+        this.turnSources = [];
+        const content = this.renderBlocks(turn.blocks);
+        const sources = this.renderSources(this.turnSources);
+        this.turnSources = null;
+        return content + sources;
+    }
+
+    renderSources(sources) {
+        if (sources.length === 0) {
+            return '';
+        }
+        return `\n<div class="sources"><div class="sources-label">Sources</div><ol>${this.renderSourceItems(sources)}</ol></div>`;
+    }
+
+    /**
+     * Numbered list items (numbers run through the document): title linked to the page, then its domain
+     */
+    renderSourceItems(sources) {
+        return sources.map(source => {
+            const domain = this.sourceDomain(source.href);
+            const href = this.escapeHtml(source.href);
+            return `<li id="source-${source.number}" value="${source.number}"><a href="${href}">${this.escapeHtml(source.title || domain || source.href)}</a>` +
+                `${domain ? ` <span class="source-domain">${this.escapeHtml(domain)}</span>` : ''}</li>`;
+        }).join('');
+    }
+
+    sourceDomain(href) {
+        try {
+            return new URL(href).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Branches become collapsible alternatives; the one shown in ChatGPT starts expanded
+     */
+    renderFork(fork) {
+        const branches = fork.branches.map(branch => `
+                <details class="branch"${branch.active ? ' open' : ''}>
+                    <summary>Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}</summary>
+                    ${this.renderTurns(branch.turns)}
+                </details>`).join('');
+        return `
+                <div class="branches">${branches}
+                </div>
+            `;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')  // Replace & first to avoid double-escaping
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderBlocks(blocks) {
+        return blocks.map(block => this.renderBlock(block)).join('\n');
+    }
+
+    renderBlock(block) {
+        switch (block.type) {
+            case 'paragraph':
+                return `<p>${this.renderInline(block.children)}</p>`;
+
+            case 'heading':
+                return `<h${block.level}${block.id ? ` id="${this.escapeHtml(block.id)}"` : ''}>${this.renderInline(block.children)}</h${block.level}>`;
+
+            case 'list':
+                return this.renderList(block);
+
+            case 'table':
+                return this.renderTable(block);
+
+            case 'code': {
+                const langClass = block.language ? ` class="language-${this.escapeHtml(block.language)}"` : '';
+                return `<pre><code${langClass}>${this.escapeHtml(block.text)}</code></pre>`;
+            }
+
+            case 'image':
+                return `<p>${this.renderImage(block)}</p>`;
+
+            case 'math':
+                return `<div class="math-display">${this.renderMath(block)}</div>`;
+
+            case 'blockquote':
+                return `<blockquote>${this.renderBlocks(block.blocks)}</blockquote>`;
+
+            case 'rule':
+                return '<hr>';
+
+            case 'canvas':
+                return '<p>[Canvas Image]</p>';
+
+            case 'attachments':
+                return this.renderAttachments(block);
+
+            case 'codeRun':
+                return this.renderCodeRun(block);
+
+            case 'reasoning':
+                return `<details class="reasoning"><summary>${this.escapeHtml(block.label)}</summary>${this.renderBlocks(block.blocks)}</details>`;
+
+            case 'canvasDocument':
+                return this.renderCanvasDocument(block);
+
+            case 'figure':
+                return this.renderFigure(block);
+
+            default:
+                return '';
+        }
+    }
+
+    renderInline(nodes) {
+        return nodes.map(node => this.renderInlineNode(node)).join('');
+    }
+
+    renderInlineNode(node) {
+        switch (node.type) {
+            case 'text':
+                return this.escapeHtml(node.value);
+
+            case 'strong':
+                return `<strong>${this.renderInline(node.children)}</strong>`;
+
+            case 'emphasis':
+                return `<em>${this.renderInline(node.children)}</em>`;
+
+            case 'inlineCode':
+                return `<code>${this.escapeHtml(node.value)}</code>`;
+
+            case 'break':
+                return '<br>';
+
+            case 'link':
+                return `<a href="${this.escapeHtml(node.href)}">${this.renderInline(node.children) || this.escapeHtml(node.href)}</a>`;
+
+            case 'image':
+                return this.renderImage(node);
+
+            case 'math':
+                return `<span class="${node.display ? 'math-display' : 'math-inline'}">${this.renderMath(node)}</span>`;
+
+            case 'citation':
+                return this.renderCitation(node);
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Superscript number linking to the source in the turn's Sources list; a source cited again keeps its number
+     */
+    renderCitation(citation) {
+        if (!citation.href) {
+            return '';
+        }
+        if (!this.turnSources) {
+            return `<a class="citation" href="${this.escapeHtml(citation.href)}">${this.escapeHtml(citation.label || citation.href)}</a>`;
+        }
+
+        let source = this.turnSources.find(known => known.href === citation.href);
+        if (!source) {
+            source = { number: ++this.footnoteCount, href: citation.href, title: citation.title || citation.label };
+            this.turnSources.push(source);
+        }
+        return `<sup class="citation"><a href="#source-${source.number}" title="${this.escapeHtml(source.title || citation.href)}">[${source.number}]</a></sup>`;
+    }
+
+    /**
+     * MathML copied from the page renders natively in current browsers and prints to PDF;
+     * math without it (e.g. from conversations.json) keeps its TeX source between \( \) or \[ \]
+     */
+    renderMath(math) {
+        if (math.mathml) {
+            return math.mathml;
+        }
+        return math.display
+            ? `<code class="math-tex">\\[${this.escapeHtml(math.tex)}\\]</code>`
+            : `<code class="math-tex">\\(${this.escapeHtml(math.tex)}\\)</code>`;
+    }
+
+    renderList(list) {
+        const tag = list.ordered ? 'ol' : 'ul';
+        const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+        const items = list.items.map(item =>
+            `<li>${this.renderInline(item.children)}${this.renderBlocks(item.blocks)}</li>`
+        ).join('');
+        return `<${tag}${start}>${items}</${tag}>`;
+    }
+
+    renderTable(table) {
+        const header = table.header.length > 0
+            ? `<thead><tr>${table.header.map(cell => `<th>${this.renderInline(cell)}</th>`).join('')}</tr></thead>`
+            : '';
+        const rows = table.rows.map(row =>
+            `<tr>${row.map(cell => `<td>${this.renderInline(cell)}</td>`).join('')}</tr>`
+        ).join('');
+        return `<table>${header}<tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Files uploaded with the prompt; downloaded ones are embedded as data URLs and save under their own name
+     */
+    renderAttachments(block) {
+        const items = block.files.map(file => {
+            const name = this.escapeHtml(file.name);
+            const href = file.data || file.href;
+            const link = href ? `<a href="${this.escapeHtml(href)}" download="${name}">${name}</a>` : name;
+            const details = [file.mimeType, this.formatSize(file.size)].filter(Boolean).join(', ');
+            return `<li>${link}${details ? ` <span class="file-details">(${this.escapeHtml(details)})</span>` : ''}</li>`;
+        });
+        return `<div class="attachments"><div class="attachments-title">Attachments</div><ul>${items.join('')}</ul></div>`;
+    }
+
+    /**
+     * Code Interpreter run, collapsible like the "Analyzed" block on the page
+     */
+    renderCodeRun(run) {
+        const parts = [`<pre><code class="language-${this.escapeHtml(run.language)}">${this.escapeHtml(run.code)}</code></pre>`];
+        if (run.output) {
+            parts.push(`<div class="code-run-label">Output</div><pre class="code-output">${this.escapeHtml(run.output)}</pre>`);
+        }
+        run.images.forEach(image => parts.push(`<p>${this.renderImage(image)}</p>`));
+        if (run.files.length > 0) {
+            const links = run.files.map(file => `<li><a href="${this.escapeHtml(file.href)}">${this.escapeHtml(file.name)}</a></li>`);
+            parts.push(`<div class="code-run-label">Files</div><ul>${links.join('')}</ul>`);
+        }
+        return `<details class="code-run" open><summary>Analysis</summary>${parts.join('')}</details>`;
+    }
+
+    /**
+     * Generated image captioned with its prompt and what is known of the generation
+     */
+    renderFigure(figure) {
+        const details = this.generationDetails(figure.generation);
+        const caption = [
+            figure.caption ? this.escapeHtml(figure.caption) : '',
+            details ? `<span class="generation-details">${this.escapeHtml(details)}</span>` : ''
+        ].join('');
+        return `<figure class="generated-image">${this.renderImage(figure.image)}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    }
+
+    generationDetails(generation) {
+        return [
+            generation.size && `Size: ${generation.size}`,
+            generation.seed !== null && `Seed: ${generation.seed}`,
+            generation.genId && `Generation ID: ${generation.genId}`
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Canvas document in full, in its latest version, with its earlier versions collapsed below it
+     */
+    renderCanvasDocument(document) {
+        const versions = document.versions.map((version, index) =>
+            `<details class="canvas-version"><summary>Version ${index + 1}</summary>${this.renderCanvasContent({ ...document, ...version })}</details>`);
+        return `<details class="canvas" open><summary>Canvas: ${this.escapeHtml(document.title)}</summary>` +
+            `${this.renderCanvasContent(document)}${versions.join('')}</details>`;
+    }
+
+    renderCanvasContent(content) {
+        if (content.code === null) {
+            return this.renderBlocks(content.blocks);
+        }
+        const language = content.language ? ` class="language-${this.escapeHtml(content.language)}"` : '';
+        return `<pre><code${language}>${this.escapeHtml(content.code)}</code></pre>`;
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    renderImage(image) {
+        const alt = (image.alt && !image.alt.startsWith('http')) ? image.alt : 'Image';
+        return `<img src="${this.escapeHtml(image.data || image.src)}" alt="${this.escapeHtml(alt)}">`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.HtmlRenderer = HtmlRenderer;
+}
@@ -0,0 +1,178 @@
+/**
+ * HTML Report Renderer
+ * Renders a conversation's Deep Research report (see ResearchReport) as a standalone HTML page laid
+ * out like a document: title, date and source, a linked table of contents, the report, and its
+ * citations as superscript numbers linking to a closing "Sources" section. Prints cleanly too.
+ *
+ * renderConversation() returns null when the conversation has no report.
+ */
+
+class HtmlReportRenderer extends HtmlRenderer {
+    renderConversation(conversation) {
+        const report = ResearchReport.find(conversation);
+        if (!report) {
+            return null;
+        }
+
+        this.footnoteCount = 0;
+        const date = (report.turn.timestamp || conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const title = this.escapeHtml(report.title);
+        const sourceLabel = this.sourceLabel(conversation);
+        const body = this.renderTurnBlocks({ blocks: report.blocks });
+        const sections = this.footnoteCount > 0
+            ? [...report.sections, { level: 2, text: 'Sources', id: 'report-sources' }]
+            : report.sections;
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <style>
+        body {
+            font-family: Georgia, 'Times New Roman', serif;
+            max-width: 780px;
+            margin: auto;
+            padding: 2rem;
+            color: #222;
+            line-height: 1.7;
+        }
+        header {
+            border-bottom: 2px solid #eee;
+            margin-bottom: 2rem;
+        }
+        header h1 {
+            margin-bottom: 0.25rem;
+        }
+        .metadata {
+            color: #666;
+            font-size: 0.9rem;
+            margin-bottom: 1rem;
+        }
+        nav.contents {
+            background: #f8f9fa;
+            border: 1px solid #eee;
+            border-radius: 6px;
+            padding: 0.5rem 1.5rem;
+            margin-bottom: 2rem;
+        }
+        nav.contents ul {
+            padding-left: 1.25rem;
+            margin: 0.25rem 0;
+        }
+        nav.contents a, sup.citation a {
+            text-decoration: none;
+        }
+        .content h2, .content h3, .content h4 {
+            font-family: 'Segoe UI', sans-serif;
+            color: #2c3e50;
+            margin: 2rem 0 0.5rem 0;
+        }
+        .content img {
+            max-width: 100%;
+            height: auto;
+        }
+        .content pre {
+            background: #f4f4f4;
+            padding: 1rem;
+            border-radius: 6px;
+            overflow-x: auto;
+            font-size: 0.85rem;
+        }
+        .content table {
+            border-collapse: collapse;
+            width: 100%;
+            margin: 1rem 0;
+            font-size: 0.95rem;
+        }
+        .content th, .content td {
+            border: 1px solid #ddd;
+            padding: 0.4rem 0.6rem;
+            text-align: left;
+        }
+        .content th {
+            background: #f4f4f4;
+        }
+        .content blockquote {
+            border-left: 4px solid #ddd;
+            margin: 1rem 0;
+            padding-left: 1rem;
+            color: #555;
+        }
+        sup.citation {
+            font-size: 0.7em;
+        }
+        .sources ol {
+            font-size: 0.9rem;
+            padding-left: 2.5rem;
+        }
+        .sources li {
+            word-break: break-word;
+        }
+        .source-domain {
+            color: #666;
+        }
+        @media print {
+            body { max-width: none; padding: 0; }
+            nav.contents { break-after: page; }
+            h2, h3 { break-after: avoid; }
+            .sources a::after { content: " " attr(href); color: #666; }
+        }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>${title}</h1>
+        <div class="metadata">${date} · <a href="${this.escapeHtml(conversation.url)}">${sourceLabel}</a></div>
+    </header>
+    ${this.renderContents(sections)}
+    <article class="content">
+        ${body}
+    </article>
+</body>
+</html>`;
+    }
+
+    /**
+     * Nested list of links to the sections
+     */
+    renderContents(sections) {
+        return sections.length > 0 ? `<nav class="contents"><h2>Contents</h2>${this.renderContentsList(sections)}</nav>` : '';
+    }
+
+    /**
+     * Each section followed by the deeper ones after it, as its sublist
+     */
+    renderContentsList(sections) {
+        const items = [];
+        for (let i = 0; i < sections.length;) {
+            let end = i + 1;
+            while (end < sections.length && sections[end].level > sections[i].level) end++;
+            const subsections = sections.slice(i + 1, end);
+            items.push(`<li><a href="#${this.escapeHtml(sections[i].id)}">${this.escapeHtml(sections[i].text)}</a>` +
+                `${subsections.length > 0 ? this.renderContentsList(subsections) : ''}</li>`);
+            i = end;
+        }
+        return `<ul>${items.join('')}</ul>`;
+    }
+
+    /**
+     * The report's sources as its last section
+     */
+    renderSources(sources) {
+        if (sources.length === 0) {
+            return '';
+        }
+        return `\n<section class="sources"><h2 id="report-sources">Sources</h2><ol>${this.renderSourceItems(sources)}</ol></section>`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlReportRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.HtmlReportRenderer = HtmlReportRenderer;
+}
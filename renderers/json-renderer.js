@@ -0,0 +1,138 @@
+/**
+ * JSON Renderer
+ * Renders the conversation tree as structured JSON (schema/conversation.schema.json),
+ * and as JSONL with one message per line (schema/message.schema.json) for data pipelines.
+ */
+
+const JSON_SCHEMA_BASE = 'https://github.com/rashidazarang/chatgpt-chat-exporter/raw/master/schema/';
+
+class JsonRenderer {
+    /**
+     * @param {Object} options
+     * @param {MarkdownRenderer} options.markdownRenderer - Renders each message's Markdown content
+     */
+    constructor(options = {}) {
+        // Images are referenced from `attachments`, so the Markdown links them instead of embedding base64.
+        // There are no files next to the JSON, so Canvas documents stay in their message.
+        this.markdownRenderer = options.markdownRenderer || new MarkdownRenderer({ embedImages: false, canvasFiles: false });
+    }
+
+    /**
+     * Render a conversation tree (see ConversationBuilder) into a JSON document
+     */
+    renderConversation(conversation) {
+        return JSON.stringify({
+            $schema: JSON_SCHEMA_BASE + 'conversation.schema.json',
+            ...this.buildConversationFields(conversation),
+            messages: this.buildMessages(conversation.turns)
+        }, null, 2) + '\n';
+    }
+
+    buildConversationFields(conversation) {
+        return {
+            title: conversation.title,
+            url: conversation.url,
+            conversationId: conversation.conversationId,
+            model: conversation.model,
+            platform: conversation.platform,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            exportedAt: conversation.exportedAt
+        };
+    }
+
+    /**
+     * Flatten the turns into an ordered message list, depth-first through any forks.
+     * `branch` lists the branch index taken at each fork ([] before the first fork),
+     * `active` marks the messages on the branches shown in the UI.
+     */
+    buildMessages(turns, branch = [], active = true, messages = []) {
+        turns.forEach(turn => {
+            if (turn.type === 'fork') {
+                turn.branches.forEach(b => {
+                    this.buildMessages(b.turns, [...branch, b.index], active && b.active, messages);
+                });
+                return;
+            }
+
+            messages.push({
+                index: messages.length,
+                role: turn.role,
+                sender: turn.sender,
+                replyLabel: turn.replyLabel,
+                timestamp: turn.timestamp,
+                branch,
+                active,
+                content: this.markdownRenderer.renderBlocks(turn.blocks),
+                html: turn.html,
+                attachments: this.collectAttachments(turn.blocks)
+            });
+        });
+
+        return messages;
+    }
+
+    /**
+     * References to the images and uploaded files in a message, in reading order
+     */
+    collectAttachments(blocks) {
+        const attachments = [];
+
+        const visit = node => {
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (node.type === 'image') {
+                const mimeMatch = (node.data || '').match(/^data:([^;,]+)/);
+                attachments.push({
+                    type: 'image',
+                    name: node.alt || null,
+                    url: node.src || null,
+                    mimeType: mimeMatch ? mimeMatch[1] : null
+                });
+                return;
+            }
+            if (node.type === 'attachments') {
+                node.files.forEach(file => attachments.push({
+                    type: 'file',
+                    name: file.name,
+                    url: file.href,
+                    mimeType: file.mimeType,
+                    size: file.size
+                }));
+                return;
+            }
+            [node.children, node.blocks, node.items, node.header, node.rows, node.images, node.image].forEach(visit);
+        };
+
+        visit(blocks);
+        return attachments;
+    }
+}
+
+class JsonlRenderer extends JsonRenderer {
+    /**
+     * One JSON object per line, each message carrying its conversation's fields
+     */
+    renderConversation(conversation) {
+        const fields = this.buildConversationFields(conversation);
+        return this.buildMessages(conversation.turns)
+            .map(message => JSON.stringify({ ...fields, ...message }) + '\n')
+            .join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JsonRenderer, JsonlRenderer };
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.JsonRenderer = JsonRenderer;
+    window.JsonlRenderer = JsonlRenderer;
+}
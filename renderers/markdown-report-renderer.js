@@ -0,0 +1,62 @@
+/**
+ * Markdown Report Renderer
+ * Renders a conversation's Deep Research report (see ResearchReport) as a standalone Markdown
+ * document: title, date and source, a linked table of contents, the report, and its citations as
+ * footnotes collected in a closing "Sources" section. The prompts and the rest of the chat are left out.
+ *
+ * renderConversation() returns null when the conversation has no report.
+ */
+
+class MarkdownReportRenderer extends MarkdownRenderer {
+    renderConversation(conversation) {
+        const report = ResearchReport.find(conversation);
+        if (!report) {
+            return null;
+        }
+
+        this.attachments = [];
+        this.footnoteCount = 0;
+        const date = (report.turn.timestamp || conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const sourceLabel = this.sourceLabel(conversation);
+        const body = this.renderTurnBlocks({ blocks: report.blocks });
+        const sections = this.footnoteCount > 0
+            ? [...report.sections, { level: 2, text: 'Sources', id: report.sections.some(section => section.id === 'sources') ? 'sources-1' : 'sources' }]
+            : report.sections;
+
+        return [
+            `# ${report.title}\n`,
+            `**Date:** ${date}`,
+            `**Source:** [${sourceLabel}](${conversation.url})\n`,
+            this.renderContents(sections),
+            body
+        ].filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * Nested list of links to the sections
+     */
+    renderContents(sections) {
+        if (sections.length === 0) {
+            return '';
+        }
+        const items = sections.map(section => `${'  '.repeat(section.level - 2)}- [${this.escapeMarkdownText(section.text)}](#${section.id})`);
+        return ['## Contents\n', ...items, ''].join('\n');
+    }
+
+    /**
+     * The report's footnotes under a "Sources" heading of their own
+     */
+    renderSources(sources) {
+        return sources.length > 0 ? `## Sources\n\n${this.renderFootnotes(sources)}` : '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownReportRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.MarkdownReportRenderer = MarkdownReportRenderer;
+}
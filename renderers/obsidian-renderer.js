@@ -0,0 +1,117 @@
+/**
+ * Obsidian Renderer
+ * Obsidian-flavoured Markdown: YAML frontmatter with the conversation's metadata, one callout per
+ * message (`> [!question]` for the user, `> [!note]` for the assistant) and images saved as
+ * attachment files embedded with `![[...]]` instead of base64 data URLs. Thinking summaries become
+ * collapsed `> [!abstract]-` callouts.
+ *
+ * renderConversation() returns the note; the images it referenced are then in `attachments`
+ * (see MarkdownRenderer), to be saved in the `attachments/` folder next to the note.
+ */
+
+class ObsidianRenderer extends MarkdownRenderer {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.tags - Frontmatter tags (default: ["chatgpt"] or ["gemini"])
+     */
+    constructor(options = {}) {
+        super({ ...options, assetFolder: options.assetFolder || 'attachments' });
+        this.tags = options.tags || null;
+    }
+
+    /**
+     * Note name without extension: "{title} ({date})" without the characters wiki links can't contain
+     */
+    noteName(conversation) {
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const safeTitle = conversation.title.replace(/[<>:"/\\|?*#^[\]\x00-\x1f]/g, '').replace(/\s+/g, ' ').trim().slice(0, 100).trim();
+        return safeTitle ? `${safeTitle} (${date})` : `ChatGPT Conversation (${date})`;
+    }
+
+    renderConversation(conversation) {
+        this.attachments = [];
+        this.footnoteCount = 0;
+        return this.renderFrontmatter(conversation) + '\n' + this.renderTurns(conversation.turns);
+    }
+
+    renderFrontmatter(conversation) {
+        const platform = conversation.platform === 'Gemini' ? 'gemini' : 'chatgpt';
+        const fields = {
+            title: conversation.title,
+            date: (conversation.createdAt || conversation.exportedAt).split('T')[0],
+            url: conversation.url,
+            model: conversation.model && conversation.model !== 'Unknown' ? conversation.model : null,
+            conversation_id: this.urlConversationId(conversation)
+        };
+
+        const lines = ['---'];
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value) {
+                lines.push(`${key}: ${this.yamlString(value)}`);
+            }
+        });
+        lines.push('tags:', ...(this.tags || [platform]).map(tag => `  - ${this.yamlString(tag)}`));
+        lines.push('---\n');
+        return lines.join('\n');
+    }
+
+    /**
+     * The conversation id when the conversation's URL carries it (".../c/{id}"), otherwise null:
+     * an id the page didn't get from its URL doesn't identify the chat
+     */
+    urlConversationId(conversation) {
+        const id = conversation.conversationId;
+        return id && (conversation.url || '').includes(`/c/${id}`) ? id : null;
+    }
+
+    /**
+     * Quote a YAML scalar unless it is plain text YAML reads back as the same string (or a date).
+     * JSON strings are valid YAML double-quoted scalars.
+     */
+    yamlString(value) {
+        const plain = /^[\w./-][\w ./:-]*$/.test(value) && !/:\s|\s$/.test(value) &&
+            !/^(true|false|yes|no|on|off|null|~|[\d.]+)$/i.test(value);
+        return plain ? value : JSON.stringify(value);
+    }
+
+    /**
+     * One callout per message; the reply label (e.g. "Reply 2 of 3") goes in the callout title
+     */
+    renderTurn(turn) {
+        const type = { user: 'question', assistant: 'note' }[turn.role] || 'info';
+        const label = turn.replyLabel ? ` (${turn.replyLabel})` : '';
+        const body = this.renderTurnBlocks(turn)
+            .split('\n')
+            .map(line => line ? `> ${line}` : '>');
+        return [`> [!${type}] ${turn.sender}${label}`, ...body, ''].join('\n');
+    }
+
+    /**
+     * Thinking summary as a collapsed callout, nested in the message's callout
+     */
+    renderReasoning(reasoning) {
+        return `> [!abstract]- ${reasoning.label}\n` + this.quote(this.renderBlocks(reasoning.blocks));
+    }
+
+    /**
+     * Embed the image's attachment file; Obsidian finds it by name anywhere in the vault
+     */
+    renderImage(image) {
+        const attachment = image.data && this.addAttachment(image.data);
+        return attachment ? `![[${attachment.name}]]` : super.renderImage({ ...image, data: null });
+    }
+
+    renderFileLink(attachment, label) {
+        return `[[${attachment.name}|${label}]]`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ObsidianRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.ObsidianRenderer = ObsidianRenderer;
+}
@@ -0,0 +1,706 @@
+/**
+ * PDF Document Renderer
+ * Lays out the conversation tree as a real PDF with PdfWriter: wrapped text, page breaks,
+ * a running header with the conversation title and "Page n of N" footers.
+ */
+
+const PDF_PAGE_SIZES = {
+    letter: [612, 792],
+    a4: [595.28, 841.89]
+};
+
+const PDF_MARGIN = 54;
+const PDF_BODY_SIZE = 10.5;
+const PDF_CODE_SIZE = 8.5;
+const PDF_LINE_HEIGHT = 1.4;
+const PDF_HEADING_SIZES = [16, 14, 12.5, 11.5, 11, 11];
+
+const PDF_COLORS = {
+    text: '333333',
+    heading: '2C3E50',
+    muted: '666666',
+    link: '1A5FB4',
+    rule: 'DDDDDD',
+    code: 'F4F4F4',
+    quote: 'CCCCCC',
+    user: 'E3F2FD',
+    assistant: 'F3F4F6',
+    branch: '10A37F',
+    tableHeader: 'F0F0F0'
+};
+
+class PdfDocumentRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} options.pageSize - 'letter' (default) or 'a4'
+     */
+    constructor(options = {}) {
+        this.pageSize = PDF_PAGE_SIZES[options.pageSize] || PDF_PAGE_SIZES.letter;
+        this.unsupportedCharacters = [];
+    }
+
+    /**
+     * Render a conversation tree (see ConversationBuilder) into PDF file bytes.
+     * Afterwards `unsupportedCharacters` lists the characters the PDF fonts can't show, printed as "?".
+     * @returns {Uint8Array}
+     */
+    renderConversation(conversation) {
+        const [width, height] = this.pageSize;
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+
+        this.writer = new PdfWriter({ width, height });
+        this.images = new Map();
+        this.top = height - PDF_MARGIN - 8;
+        this.bottom = PDF_MARGIN + 8;
+        this.newPage();
+
+        const context = { x: PDF_MARGIN, width: width - 2 * PDF_MARGIN, bars: [] };
+
+        this.drawLines(this.wrap([{ text: conversation.title, font: 'bold', size: 20, color: PDF_COLORS.heading }], context.width), context);
+        this.gap(4);
+        this.drawLines(this.wrap([
+            { text: 'Date: ', font: 'bold', size: 9.5, color: PDF_COLORS.muted },
+            { text: `${date}    `, size: 9.5, color: PDF_COLORS.muted },
+            { text: 'Source: ', font: 'bold', size: 9.5, color: PDF_COLORS.muted },
+            { text: conversation.url || '', size: 9.5, color: PDF_COLORS.link, link: conversation.url }
+        ], context.width), context);
+        this.gap(6);
+        this.writer.drawLine(this.page, context.x, this.y, context.x + context.width, this.y, { color: PDF_COLORS.rule, lineWidth: 1 });
+        this.gap(12);
+
+        this.renderTurns(conversation.turns, context);
+        this.drawHeadersAndFooters(conversation.title, date);
+        this.unsupportedCharacters = [...this.writer.unsupportedCharacters];
+
+        return this.writer.generate({ title: conversation.title, subject: conversation.url });
+    }
+
+    /**
+     * Render a turn list, including a trailing fork when every branch is exported
+     */
+    renderTurns(turns, context) {
+        turns.forEach(turn => turn.type === 'fork' ? this.renderFork(turn, context) : this.renderTurn(turn, context));
+    }
+
+    /**
+     * A shaded sender bar, kept on the same page as the start of the message
+     */
+    renderTurn(turn, context) {
+        const barHeight = 20;
+        this.ensureSpace(barHeight + 3 * PDF_BODY_SIZE * PDF_LINE_HEIGHT);
+
+        const fill = turn.role === 'user' ? PDF_COLORS.user : PDF_COLORS.assistant;
+        this.writer.drawRect(this.page, context.x, this.y - barHeight, context.width, barHeight, { fill });
+        const sender = turn.sender.toUpperCase();
+        this.writer.drawText(this.page, sender, context.x + 8, this.y - 13.5, { font: 'bold', size: 9.5, color: PDF_COLORS.heading });
+        if (turn.replyLabel) {
+            const x = context.x + 8 + this.writer.textWidth(sender, 'bold', 9.5);
+            this.writer.drawText(this.page, ` (${turn.replyLabel})`, x, this.y - 13.5, { size: 9.5, color: PDF_COLORS.muted });
+        }
+        this.advance(barHeight + 6, context);
+
+        this.renderBlocks(turn.blocks, { ...context, x: context.x + 8, width: context.width - 16 });
+        this.gap(10);
+    }
+
+    /**
+     * Paper can't collapse, so every branch is printed in full under its label, marked by a colored bar
+     */
+    renderFork(fork, context) {
+        fork.branches.forEach(branch => {
+            const label = `Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}`;
+            this.ensureSpace(40);
+            this.drawLines(this.wrap([{ text: label, font: 'bold', size: 10, color: PDF_COLORS.branch }], context.width), context);
+            this.gap(4);
+            this.renderTurns(branch.turns, {
+                x: context.x + 10,
+                width: context.width - 10,
+                bars: [...context.bars, { x: context.x + 1.5, color: PDF_COLORS.branch }]
+            });
+        });
+    }
+
+    renderBlocks(blocks, context) {
+        blocks.forEach(block => this.renderBlock(block, context));
+    }
+
+    renderBlock(block, context) {
+        switch (block.type) {
+            case 'paragraph':
+                this.renderParagraph(block.children, context);
+                break;
+
+            case 'heading': {
+                const size = PDF_HEADING_SIZES[block.level - 1] || PDF_BODY_SIZE;
+                this.gap(4);
+                this.ensureSpace(size * PDF_LINE_HEIGHT + PDF_BODY_SIZE * PDF_LINE_HEIGHT);
+                this.drawLines(this.wrap(this.inlineRuns(block.children, { font: 'bold', size, color: PDF_COLORS.heading }), context.width), context);
+                this.gap(4);
+                break;
+            }
+
+            case 'list':
+                this.renderList(block, context);
+                break;
+
+            case 'table':
+                this.renderTable(block, context);
+                break;
+
+            case 'code':
+                this.renderCode(block, context);
+                break;
+
+            case 'image':
+                this.renderImage(block, context);
+                break;
+
+            case 'math':
+                this.drawLines(this.wrap([{ text: block.tex, font: 'italic' }], context.width), context, { align: 'center' });
+                this.gap(6);
+                break;
+
+            case 'blockquote':
+                this.renderBlocks(block.blocks, {
+                    x: context.x + 12,
+                    width: context.width - 12,
+                    bars: [...context.bars, { x: context.x + 2, color: PDF_COLORS.quote }]
+                });
+                break;
+
+            case 'rule':
+                this.gap(4);
+                this.ensureSpace(8);
+                this.writer.drawLine(this.page, context.x, this.y - 4, context.x + context.width, this.y - 4, { color: PDF_COLORS.rule });
+                this.advance(12, context);
+                break;
+
+            case 'canvas':
+                this.drawLines(this.wrap([{ text: '[Canvas Image]', font: 'italic', color: PDF_COLORS.muted }], context.width), context);
+                this.gap(6);
+                break;
+
+            case 'attachments':
+                this.renderBlocks(this.attachmentBlocks(block), context);
+                break;
+
+            case 'codeRun':
+                this.renderBlocks(this.codeRunBlocks(block), context);
+                break;
+
+            case 'reasoning':
+                this.renderBlock(this.reasoningQuote(block), context);
+                break;
+
+            case 'canvasDocument':
+                this.renderBlocks(this.canvasBlocks(block), context);
+                break;
+
+            case 'figure':
+                this.renderBlocks(this.figureBlocks(block), context);
+                break;
+        }
+    }
+
+    /**
+     * The attachments block as a bold "Attachments" paragraph and a list of file names with their type and size
+     */
+    attachmentBlocks(block) {
+        const describe = file => {
+            const details = [file.mimeType, this.formatSize(file.size)].filter(Boolean).join(', ');
+            return details ? `${file.name} (${details})` : file.name;
+        };
+        return [
+            { type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: 'Attachments' }] }] },
+            {
+                type: 'list',
+                ordered: false,
+                start: 1,
+                items: block.files.map(file => ({ type: 'listItem', children: [{ type: 'text', value: describe(file) }], blocks: [] }))
+            }
+        ];
+    }
+
+    /**
+     * A thinking summary as a blockquote starting with its italic "Thought for N seconds" label
+     */
+    reasoningQuote(reasoning) {
+        const label = { type: 'paragraph', children: [{ type: 'emphasis', children: [{ type: 'text', value: reasoning.label }] }] };
+        return { type: 'blockquote', blocks: [label, ...reasoning.blocks] };
+    }
+
+    /**
+     * A Canvas document as plain blocks: a bold "Canvas: {title}" label and its latest version,
+     * then each earlier version under a "Version N" label
+     */
+    canvasBlocks(document) {
+        const label = text => ({ type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: text }] }] });
+        const content = version => version.code !== null ? [{ type: 'code', language: document.language || '', text: version.code.replace(/\n$/, '') }] : version.blocks;
+        return [
+            label(`Canvas: ${document.title}`),
+            ...content(document),
+            ...document.versions.flatMap((version, index) => [label(`Version ${index + 1}`), ...content(version)])
+        ];
+    }
+
+    /**
+     * A generated image as plain blocks: the image, its prompt in italics and the generation details
+     */
+    figureBlocks(figure) {
+        const details = [
+            figure.generation.size && `Size: ${figure.generation.size}`,
+            figure.generation.seed !== null && `Seed: ${figure.generation.seed}`,
+            figure.generation.genId && `Generation ID: ${figure.generation.genId}`
+        ].filter(Boolean).join(' · ');
+        return [
+            figure.image,
+            ...(figure.caption ? [{ type: 'paragraph', children: [{ type: 'emphasis', children: [{ type: 'text', value: figure.caption }] }] }] : []),
+            ...(details ? [{ type: 'paragraph', children: [{ type: 'text', value: details }] }] : [])
+        ];
+    }
+
+    /**
+     * A Code Interpreter run as plain blocks: the code, an "Output" label and block, the charts and a list of the files
+     */
+    codeRunBlocks(run) {
+        const label = text => ({ type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: text }] }] });
+        return [
+            { type: 'code', language: run.language, text: run.code },
+            ...(run.output ? [label('Output'), { type: 'code', language: '', text: run.output }] : []),
+            ...run.images,
+            ...(run.files.length > 0 ? [label('Files'), {
+                type: 'list',
+                ordered: false,
+                start: 1,
+                items: run.files.map(file => ({
+                    type: 'listItem',
+                    children: [{ type: 'link', href: file.href, children: [{ type: 'text', value: file.name }] }],
+                    blocks: []
+                }))
+            }] : [])
+        ];
+    }
+
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Images inside a paragraph are placed as blocks between the text around them
+     */
+    renderParagraph(children, context) {
+        let pending = [];
+        const flush = () => {
+            if (pending.length > 0) {
+                this.drawLines(this.wrap(this.inlineRuns(pending), context.width), context);
+                pending = [];
+            }
+        };
+
+        children.forEach(node => {
+            if (node.type === 'image') {
+                flush();
+                this.renderImage(node, context);
+            } else {
+                pending.push(node);
+            }
+        });
+        flush();
+        this.gap(6, context);
+    }
+
+    renderList(list, context) {
+        list.items.forEach((item, i) => {
+            const marker = list.ordered ? `${list.start + i}.` : '•';
+            const indent = Math.max(14, this.writer.textWidth(marker, 'regular', PDF_BODY_SIZE) + 6);
+            const itemContext = { ...context, x: context.x + indent, width: context.width - indent };
+
+            this.drawLines(this.wrap(this.inlineRuns(item.children), itemContext.width), itemContext, { marker: { text: marker, x: context.x } });
+            item.blocks.forEach(block => this.renderBlock(block, itemContext));
+        });
+        this.gap(4);
+    }
+
+    /**
+     * Monospace lines on a shaded background, drawn line by line so long blocks can break across pages
+     */
+    renderCode(block, context) {
+        const lineHeight = PDF_CODE_SIZE * 1.3;
+        const padding = 5;
+        const maxChars = Math.max(10, Math.floor((context.width - 2 * padding) / (PDF_CODE_SIZE * 0.6)));
+        const lines = [];
+        block.text.replace(/\n$/, '').replace(/\t/g, '    ').split('\n').forEach(line => {
+            for (let start = 0; start === 0 || start < line.length; start += maxChars) {
+                lines.push(line.slice(start, start + maxChars));
+            }
+        });
+
+        if (block.language) {
+            this.ensureSpace(12 + 2 * lineHeight);
+            this.drawLines(this.wrap([{ text: block.language, size: 8, color: PDF_COLORS.muted }], context.width), context);
+        }
+
+        const band = height => {
+            this.writer.drawRect(this.page, context.x, this.y - height, context.width, height, { fill: PDF_COLORS.code });
+            this.advance(height, context);
+        };
+
+        this.ensureSpace(padding + lineHeight);
+        band(padding);
+        lines.forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.writer.drawRect(this.page, context.x, this.y - lineHeight, context.width, lineHeight, { fill: PDF_COLORS.code });
+            this.writer.drawText(this.page, line, context.x + padding, this.y - PDF_CODE_SIZE, { font: 'mono', size: PDF_CODE_SIZE, color: PDF_COLORS.text });
+            this.advance(lineHeight, context);
+        });
+        this.ensureSpace(padding);
+        band(padding);
+        this.gap(8);
+    }
+
+    /**
+     * Cells are laid out line by line, so tall rows split across pages; the header row repeats on each new page
+     */
+    renderTable(table, context) {
+        const columnCount = Math.max(table.header.length, ...table.rows.map(row => row.length), 1);
+        const size = PDF_BODY_SIZE - 1;
+        const lineHeight = size * PDF_LINE_HEIGHT;
+        const padding = 4;
+
+        const naturalWidths = Array(columnCount).fill(30);
+        [table.header, ...table.rows].forEach(row => row.forEach((cell, i) => {
+            const runs = this.inlineRuns(cell, { size });
+            const width = runs.reduce((sum, run) => sum + this.writer.textWidth(run.text || '', run.font, run.size), 0);
+            naturalWidths[i] = Math.max(naturalWidths[i], Math.min(width, context.width) + 2 * padding);
+        }));
+        const widths = this.columnWidths(naturalWidths, context.width);
+        const tableWidth = widths.reduce((sum, width) => sum + width, 0);
+
+        const layoutRow = (cells, header) => {
+            const columns = widths.map((width, i) => this.wrap(this.inlineRuns(cells[i] || [], { size, font: header ? 'bold' : 'regular' }), width - 2 * padding));
+            return { header, columns, lineCount: Math.max(1, ...columns.map(lines => lines.length)) };
+        };
+
+        const drawRow = (row, isRepeat) => {
+            const drawSlice = (height, index) => {
+                let x = context.x;
+                if (row.header) {
+                    this.writer.drawRect(this.page, x, this.y - height, tableWidth, height, { fill: PDF_COLORS.tableHeader });
+                }
+                widths.forEach((width, i) => {
+                    const line = index === undefined ? null : row.columns[i][index];
+                    if (line) this.drawLine(line, x + padding, this.y - size);
+                    this.writer.drawLine(this.page, x, this.y, x, this.y - height, { color: PDF_COLORS.rule });
+                    x += width;
+                });
+                this.writer.drawLine(this.page, x, this.y, x, this.y - height, { color: PDF_COLORS.rule });
+                this.advance(height, context);
+            };
+            const breakPage = height => {
+                if (this.y - height < this.bottom) {
+                    this.newPage();
+                    if (header && !row.header && !isRepeat) drawRow(header, true);
+                    this.writer.drawLine(this.page, context.x, this.y, context.x + tableWidth, this.y, { color: PDF_COLORS.rule });
+                }
+            };
+
+            breakPage(padding + lineHeight);
+            this.writer.drawLine(this.page, context.x, this.y, context.x + tableWidth, this.y, { color: PDF_COLORS.rule });
+            drawSlice(padding);
+            for (let i = 0; i < row.lineCount; i++) {
+                breakPage(lineHeight);
+                drawSlice(lineHeight, i);
+            }
+            breakPage(padding);
+            drawSlice(padding);
+            this.writer.drawLine(this.page, context.x, this.y, context.x + tableWidth, this.y, { color: PDF_COLORS.rule });
+        };
+
+        const header = table.header.length > 0 ? layoutRow(table.header, true) : null;
+        if (header) drawRow(header, false);
+        table.rows.forEach(cells => drawRow(layoutRow(cells, false), false));
+        this.gap(8);
+    }
+
+    /**
+     * Columns narrower than an even share keep their natural width; the rest share the remaining space
+     */
+    columnWidths(naturalWidths, available) {
+        const widths = [...naturalWidths];
+        let flexible = widths.map((width, i) => i);
+        let remaining = available;
+
+        while (flexible.length > 0) {
+            const share = remaining / flexible.length;
+            const narrow = flexible.filter(i => naturalWidths[i] <= share);
+            if (narrow.length === 0) {
+                flexible.forEach(i => { widths[i] = share; });
+                break;
+            }
+            narrow.forEach(i => { remaining -= naturalWidths[i]; });
+            flexible = flexible.filter(i => !narrow.includes(i));
+        }
+        return widths;
+    }
+
+    /**
+     * Embedded images are scaled to the text width (and page height); ones that can't be embedded become a link
+     */
+    renderImage(image, context) {
+        const alt = (image.alt && !image.alt.startsWith('http')) ? image.alt : 'Image';
+        const embedded = this.addImage(image.data);
+        if (!embedded) {
+            this.drawLines(this.wrap([{ text: `[${alt}]`, font: 'italic', color: image.src ? PDF_COLORS.link : PDF_COLORS.muted, link: image.src }], context.width), context);
+            this.gap(6);
+            return;
+        }
+
+        // Pixels at 96 dpi
+        const scale = Math.min(0.75, context.width / embedded.width, (this.top - this.bottom) / embedded.height);
+        const width = embedded.width * scale;
+        const height = embedded.height * scale;
+        this.ensureSpace(height);
+        this.writer.drawImage(this.page, embedded, context.x, this.y - height, width, height);
+        this.advance(height, context);
+        this.gap(8);
+    }
+
+    addImage(dataUrl) {
+        if (!this.images.has(dataUrl)) {
+            const match = (dataUrl || '').match(/^data:image\/[^;,]+;base64,(.*)$/);
+            let embedded = null;
+            if (match) {
+                const binary = atob(match[1]);
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+                embedded = this.writer.addImage(bytes);
+            }
+            this.images.set(dataUrl, embedded);
+        }
+        return this.images.get(dataUrl);
+    }
+
+    /**
+     * Flatten inline nodes into styled text runs
+     * @param {Object} style - { font, size, color, link } inherited by the runs
+     */
+    inlineRuns(nodes, style = {}, runs = []) {
+        const base = { font: 'regular', size: PDF_BODY_SIZE, color: PDF_COLORS.text, ...style };
+
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    runs.push({ ...base, text: node.value });
+                    break;
+                case 'strong':
+                    this.inlineRuns(node.children, { ...base, font: this.withStyle(base.font, 'bold') }, runs);
+                    break;
+                case 'emphasis':
+                    this.inlineRuns(node.children, { ...base, font: this.withStyle(base.font, 'italic') }, runs);
+                    break;
+                case 'inlineCode':
+                    runs.push({ ...base, text: node.value, font: 'mono', size: base.size - 0.5, preserve: true });
+                    break;
+                case 'break':
+                    runs.push({ ...base, text: '', lineBreak: true });
+                    break;
+                case 'link':
+                    if (node.children.length > 0) {
+                        this.inlineRuns(node.children, { ...base, color: PDF_COLORS.link, link: node.href }, runs);
+                    } else {
+                        runs.push({ ...base, text: node.href, color: PDF_COLORS.link, link: node.href });
+                    }
+                    break;
+                case 'image':
+                    runs.push({ ...base, text: `[${node.alt && !node.alt.startsWith('http') ? node.alt : 'Image'}]`, font: 'italic', link: node.src });
+                    break;
+                case 'math':
+                    runs.push({ ...base, text: node.tex, font: 'italic' });
+                    break;
+                case 'citation':
+                    if (node.href) {
+                        runs.push({ ...base, text: ` [${node.label || node.href}]`, size: base.size - 2, color: PDF_COLORS.link, link: node.href });
+                    }
+                    break;
+            }
+        });
+
+        return runs;
+    }
+
+    withStyle(font, style) {
+        if (font === 'mono') return 'monoBold';
+        if (font === 'regular') return style;
+        return font === style ? font : 'boldItalic';
+    }
+
+    /**
+     * Break runs into lines no wider than maxWidth. Runs default to body text; whitespace collapses
+     * except inside inline code; words longer than a line are split.
+     * @returns {Array<{ fragments: Array<{ text, font, size, color, link, width }>, width, size }>}
+     */
+    wrap(runs, maxWidth) {
+        const lines = [];
+        let line = { fragments: [], width: 0, size: 0 };
+        let space = null;
+
+        const pushLine = () => {
+            lines.push(line);
+            line = { fragments: [], width: 0, size: 0 };
+            space = null;
+        };
+        const append = (text, run) => {
+            const width = this.writer.textWidth(text, run.font, run.size);
+            const last = line.fragments[line.fragments.length - 1];
+            if (last && last.font === run.font && last.size === run.size && last.color === run.color && last.link === run.link) {
+                last.text += text;
+                last.width += width;
+            } else {
+                line.fragments.push({ text, font: run.font, size: run.size, color: run.color, link: run.link, width });
+            }
+            line.width += width;
+            line.size = Math.max(line.size, run.size);
+        };
+
+        runs.forEach(styled => {
+            const run = { font: 'regular', size: PDF_BODY_SIZE, color: PDF_COLORS.text, ...styled };
+            if (run.lineBreak) {
+                line.size = Math.max(line.size, run.size);
+                pushLine();
+                return;
+            }
+
+            (run.text.match(run.preserve ? /\s|\S+/g : /\s+|\S+/g) || []).forEach(token => {
+                if (/^\s/.test(token) && !run.preserve) {
+                    if (line.fragments.length > 0) space = run;
+                    return;
+                }
+
+                const spaceWidth = space ? this.writer.textWidth(' ', space.font, space.size) : 0;
+                let width = this.writer.textWidth(token, run.font, run.size);
+                if (line.fragments.length > 0 && line.width + spaceWidth + width > maxWidth) {
+                    pushLine();
+                } else if (space) {
+                    append(' ', space);
+                }
+                space = null;
+
+                while (width > maxWidth && token.length > 1) {
+                    let end = token.length - 1;
+                    while (end > 1 && this.writer.textWidth(token.slice(0, end), run.font, run.size) > maxWidth - line.width) end--;
+                    append(token.slice(0, end), run);
+                    pushLine();
+                    token = token.slice(end);
+                    width = this.writer.textWidth(token, run.font, run.size);
+                }
+                append(token, run);
+            });
+        });
+
+        if (line.fragments.length > 0 || lines.length === 0) {
+            lines.push(line);
+        }
+        lines.forEach(l => { l.size = l.size || PDF_BODY_SIZE; });
+        return lines;
+    }
+
+    /**
+     * @param {Object} options - { align: 'left'|'center', marker: { text, x } drawn beside the first line }
+     */
+    drawLines(lines, context, options = {}) {
+        lines.forEach((line, i) => {
+            const height = line.size * PDF_LINE_HEIGHT;
+            this.ensureSpace(height);
+            const baseline = this.y - line.size * 1.05;
+            const x = options.align === 'center' ? context.x + (context.width - line.width) / 2 : context.x;
+            if (i === 0 && options.marker) {
+                this.writer.drawText(this.page, options.marker.text, options.marker.x, baseline, { size: line.size, color: PDF_COLORS.text });
+            }
+            this.drawLine(line, x, baseline);
+            this.advance(height, context);
+        });
+    }
+
+    /**
+     * Draw one laid-out line with its baseline at y, adding link areas
+     */
+    drawLine(line, x, y) {
+        line.fragments.forEach(fragment => {
+            this.writer.drawText(this.page, fragment.text, x, y, { font: fragment.font, size: fragment.size, color: fragment.color });
+            if (fragment.link && /^(https?:|mailto:)/i.test(fragment.link)) {
+                this.writer.addLink(this.page, x, y - fragment.size * 0.25, fragment.width, fragment.size * 1.2, fragment.link);
+            }
+            x += fragment.width;
+        });
+    }
+
+    newPage() {
+        this.page = this.writer.addPage();
+        this.y = this.top;
+    }
+
+    /**
+     * Start a new page unless `height` still fits above the bottom margin
+     */
+    ensureSpace(height) {
+        if (this.y - height < this.bottom && this.y < this.top) {
+            this.newPage();
+        }
+    }
+
+    /**
+     * Move down, drawing the quote and branch bars beside the space used
+     */
+    advance(height, context) {
+        context.bars.forEach(bar => {
+            this.writer.drawLine(this.page, bar.x, this.y, bar.x, this.y - height, { color: bar.color, lineWidth: 2 });
+        });
+        this.y -= height;
+    }
+
+    /**
+     * Vertical space between blocks; never starts a page on its own.
+     * With a context, its quote and branch bars continue through the space.
+     */
+    gap(height, context = { bars: [] }) {
+        this.advance(Math.min(height, this.y - this.bottom), context);
+    }
+
+    drawHeadersAndFooters(title, date) {
+        const { width, height } = this.writer;
+        const headerSize = 8;
+        const maxTitleWidth = width - 2 * PDF_MARGIN - this.writer.textWidth(date, 'regular', headerSize) - 20;
+        let headerTitle = title;
+        while (headerTitle.length > 1 && this.writer.textWidth(headerTitle, 'regular', headerSize) > maxTitleWidth) {
+            headerTitle = headerTitle.slice(0, -2) + '…';
+        }
+
+        this.writer.pages.forEach((page, i) => {
+            const headerY = height - PDF_MARGIN + 14;
+            this.writer.drawText(page, headerTitle, PDF_MARGIN, headerY, { size: headerSize, color: PDF_COLORS.muted });
+            this.writer.drawText(page, date, width - PDF_MARGIN - this.writer.textWidth(date, 'regular', headerSize), headerY, { size: headerSize, color: PDF_COLORS.muted });
+            this.writer.drawLine(page, PDF_MARGIN, headerY - 5, width - PDF_MARGIN, headerY - 5, { color: PDF_COLORS.rule });
+
+            const footer = `Page ${i + 1} of ${this.writer.pages.length}`;
+            this.writer.drawText(page, footer, (width - this.writer.textWidth(footer, 'regular', headerSize)) / 2, PDF_MARGIN - 24, { size: headerSize, color: PDF_COLORS.muted });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfDocumentRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.PdfDocumentRenderer = PdfDocumentRenderer;
+}
@@ -0,0 +1,319 @@
+/**
+ * PDF Renderer
+ * Renders the conversation tree as print-optimized HTML that the browser saves as PDF
+ * (works without external libraries, bypassing CSP restrictions).
+ * Message content uses the same block markup as HtmlRenderer.
+ */
+
+class PdfRenderer extends HtmlRenderer {
+    /**
+     * Render a conversation tree (see ConversationBuilder) into a print-ready HTML document
+     */
+    renderConversation(conversation) {
+        this.footnoteCount = 0;
+        const date = (conversation.createdAt || conversation.exportedAt).split('T')[0];
+        const title = this.escapeHtml(conversation.title);
+        const url = this.escapeHtml(conversation.url);
+
+        const conversationHTML = this.renderTurns(conversation.turns);
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>
+        @media print {
+            body { margin: 0; }
+            .no-print { display: none; }
+            .message { page-break-inside: avoid; }
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 40px 20px;
+            background: white;
+        }
+        
+        h1 {
+            color: #2c3e50;
+            border-bottom: 3px solid #3498db;
+            padding-bottom: 10px;
+            margin-bottom: 30px;
+        }
+        
+        .metadata {
+            color: #666;
+            font-size: 14px;
+            margin-bottom: 30px;
+            padding-bottom: 20px;
+            border-bottom: 1px solid #e0e0e0;
+        }
+        
+        .message {
+            margin: 25px 0;
+            padding: 20px;
+            background: #f8f9fa;
+            border-radius: 8px;
+            page-break-inside: avoid;
+        }
+        
+        .message.user {
+            background: #e3f2fd;
+            margin-left: 40px;
+        }
+        
+        .message.assistant {
+            background: #f3f4f6;
+            margin-right: 40px;
+        }
+        
+        .sender {
+            font-weight: bold;
+            color: #2c3e50;
+            margin-bottom: 10px;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+        
+        .content {
+            color: #333;
+            word-wrap: break-word;
+        }
+        
+        .content img {
+            max-width: 100%;
+            height: auto;
+        }
+        
+        .content .attachments {
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 5px 10px;
+            margin-bottom: 10px;
+        }
+        
+        .content .attachments-title {
+            font-weight: bold;
+        }
+        
+        .content .file-details {
+            color: #666;
+        }
+        
+        .content sup.citation a {
+            text-decoration: none;
+        }
+        
+        .content .sources {
+            border-top: 1px solid #ddd;
+            margin-top: 10px;
+            font-size: 10pt;
+        }
+        
+        .content .sources-label {
+            font-weight: bold;
+        }
+        
+        .content .sources a::after {
+            content: " " attr(href);
+            color: #666;
+            word-break: break-all;
+        }
+        
+        .content .reasoning {
+            border-left: 3px solid #ddd;
+            padding-left: 10px;
+            color: #555;
+        }
+        
+        .content .reasoning summary {
+            font-style: italic;
+        }
+        
+        .content .generated-image {
+            margin: 10px 0;
+            break-inside: avoid;
+        }
+        
+        .content .generated-image figcaption {
+            font-style: italic;
+            color: #555;
+        }
+        
+        .content .generation-details {
+            display: block;
+            font-style: normal;
+            font-size: 9pt;
+            color: #888;
+        }
+        
+        .content .canvas {
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 5px 10px;
+            margin: 10px 0;
+        }
+        
+        .content .canvas summary {
+            font-weight: bold;
+        }
+        
+        .content .canvas-version summary {
+            font-weight: normal;
+            color: #666;
+        }
+        
+        .content .code-run {
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 5px 10px;
+            margin: 10px 0;
+        }
+        
+        .content .code-run summary {
+            color: #666;
+        }
+        
+        .content .code-run-label {
+            font-weight: bold;
+        }
+        
+        .content .code-output {
+            background: #f8f8f8;
+            color: #333;
+            border: 1px solid #ddd;
+        }
+        
+        .content table {
+            border-collapse: collapse;
+            margin: 10px 0;
+        }
+        
+        .content th, .content td {
+            border: 1px solid #ccc;
+            padding: 6px 10px;
+            text-align: left;
+        }
+        
+        .content pre {
+            white-space: pre-wrap;
+            background: #282c34;
+            color: #abb2bf;
+            padding: 15px;
+            border-radius: 5px;
+            overflow-x: auto;
+            font-family: "Courier New", monospace;
+            font-size: 14px;
+            margin: 10px 0;
+        }
+        
+        .content .math-display {
+            display: block;
+            margin: 10px 0;
+            page-break-inside: avoid;
+        }
+        
+        .branch {
+            border-left: 3px solid #3498db;
+            padding-left: 15px;
+            margin: 25px 0;
+        }
+        
+        .branch-label {
+            font-weight: bold;
+            color: #3498db;
+            font-size: 14px;
+            page-break-after: avoid;
+        }
+        
+        .instructions {
+            background: #fff3cd;
+            border: 2px solid #ffc107;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 30px 0;
+        }
+        
+        .instructions h3 {
+            margin-top: 0;
+            color: #856404;
+        }
+        
+        @media screen {
+            .instructions {
+                position: sticky;
+                top: 20px;
+                z-index: 1000;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="instructions no-print">
+        <h3>📄 Convert to PDF</h3>
+        <ol>
+            <li>Press <strong>Ctrl+P</strong> (Windows/Linux) or <strong>Cmd+P</strong> (Mac)</li>
+            <li>Set "Destination" to <strong>"Save as PDF"</strong></li>
+            <li>Choose your preferred settings (recommend "Letter" or "A4" size)</li>
+            <li>Click <strong>"Save"</strong></li>
+        </ol>
+        <p><em>This instruction box will not appear in the PDF.</em></p>
+    </div>
+
+    <h1>${title}</h1>
+    
+    <div class="metadata">
+        <p><strong>Date:</strong> ${date}</p>
+        <p><strong>Source:</strong> <a href="${url}">${url}</a></p>
+        <p><strong>Messages:</strong> ${this.countTurns(conversation.turns)}</p>
+    </div>
+    
+    <div class="conversation">${conversationHTML}
+    </div>
+</body>
+</html>`;
+    }
+
+    renderTurn(turn) {
+        const senderClass = turn.role === 'user' ? 'user' : 'assistant';
+        const label = turn.replyLabel ? ` (${this.escapeHtml(turn.replyLabel)})` : '';
+
+        return `
+        <div class="message ${senderClass}">
+            <div class="sender">${this.escapeHtml(turn.sender)}${label}</div>
+            <div class="content">${this.renderTurnBlocks(turn)}</div>
+        </div>`;
+    }
+
+    /**
+     * Paper can't collapse, so every branch is printed in full under its label
+     */
+    renderFork(fork) {
+        return fork.branches.map(branch => `
+        <div class="branch">
+            <div class="branch-label">Branch ${branch.index} of ${branch.total}${branch.active ? ' (current)' : ''}</div>${this.renderTurns(branch.turns)}
+        </div>`).join('');
+    }
+
+    countTurns(turns) {
+        return turns.reduce((count, turn) => count + (turn.type === 'fork'
+            ? turn.branches.reduce((sum, branch) => sum + this.countTurns(branch.turns), 0)
+            : 1), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfRenderer;
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.PdfRenderer = PdfRenderer;
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Build Script
+ * Bundles the shared core/ pipeline and renderers/ with each file in entries/
+ * into the paste-able console scripts and installable userscripts at the repo root.
+ *
+ * Usage: npm run build
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Shared message detection pipeline, in dependency order
+const CORE = [
+    'core/dom-analyzer.js',
+    'core/selector-cascade.js',
+    'core/message-detector.js',
+    'core/image-encoder.js',
+    'core/conversation-builder.js',
+    'core/branch-walker.js',
+    'core/file-downloader.js'
+];
+
+// Each target is written to the repo root under the entry's file name
+const TARGETS = [
+    { entry: 'entries/exporter-markdown.js', sources: [...CORE, 'core/zip-writer.js', 'core/research-report.js', 'renderers/markdown-renderer.js', 'renderers/obsidian-renderer.js', 'renderers/markdown-report-renderer.js', 'renderers/gallery-renderer.js'] },
+    { entry: 'entries/exporter-html.js', sources: [...CORE, 'core/research-report.js', 'renderers/html-renderer.js', 'renderers/html-report-renderer.js'] },
+    { entry: 'entries/exporter-json.js', sources: [...CORE, 'renderers/markdown-renderer.js', 'renderers/json-renderer.js'] },
+    { entry: 'entries/exporter-finetune.js', sources: [...CORE, 'renderers/markdown-renderer.js', 'renderers/fine-tuning-renderer.js'] },
+    { entry: 'entries/exporter-docx.js', sources: [...CORE, 'core/zip-writer.js', 'renderers/docx-renderer.js'] },
+    { entry: 'entries/exporter-pdf.js', sources: [...CORE, 'core/pdf-writer.js', 'renderers/html-renderer.js', 'renderers/pdf-renderer.js', 'renderers/pdf-document-renderer.js'] },
+    { entry: 'entries/gemini-exporter-markdown.js', sources: [...CORE, 'renderers/markdown-renderer.js'] },
+    { entry: 'entries/chatgpt-markdown-exporter.user.js', sources: [...CORE, 'core/zip-writer.js', 'core/export-folder.js', 'core/bulk-exporter.js', 'core/project-exporter.js', 'core/sync-exporter.js', 'core/research-report.js', 'renderers/markdown-renderer.js', 'renderers/obsidian-renderer.js', 'renderers/markdown-report-renderer.js', 'renderers/gallery-renderer.js'] },
+    { entry: 'entries/chatgpt-pdf-exporter.user.js', sources: [...CORE, 'core/export-folder.js', 'core/pdf-writer.js', 'renderers/html-renderer.js', 'renderers/pdf-renderer.js', 'renderers/pdf-document-renderer.js'] }
+];
+
+const USERSCRIPT_HEADER = /^\/\/ ==UserScript==[\s\S]*?\/\/ ==\/UserScript==\n/;
+
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8').trimEnd();
+}
+
+/**
+ * Concatenate sources and entry into a single async IIFE.
+ * A userscript metadata block at the top of the entry is hoisted above the wrapper.
+ */
+function bundle({ entry, sources }) {
+    let entrySource = readSource(entry);
+    let header = '';
+
+    const headerMatch = entrySource.match(USERSCRIPT_HEADER);
+    if (headerMatch) {
+        header = headerMatch[0] + '\n';
+        entrySource = entrySource.slice(headerMatch[0].length).trim();
+    }
+
+    const parts = [...sources, entry].map(file => {
+        const source = file === entry ? entrySource : readSource(file);
+        return `// ---- ${file} ----\n\n${source}`;
+    });
+
+    return header +
+        `// Generated by scripts/build.js from ${entry} - edit the sources, then run \`npm run build\`.\n` +
+        `(async () => {\n'use strict';\n\n${parts.join('\n\n')}\n\n})();\n`;
+}
+
+function build() {
+    for (const target of TARGETS) {
+        const output = path.basename(target.entry);
+        fs.writeFileSync(path.join(ROOT, output), bundle(target));
+        console.log(`Built ${output}`);
+    }
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = { bundle, build, CORE, TARGETS };
@@ -0,0 +1,79 @@
+/**
+ * BranchWalker Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const PAGE = `<html><head><title>Branches</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap" id="question">Question version one</div></div>
+<div><button aria-label="Previous prompt">&lt;</button><div id="question-counter">1/2</div><button aria-label="Next prompt">&gt;</button></div></article>
+<div id="rest"></div>
+</main></body></html>`;
+
+/**
+ * A page whose prompt was edited once (2 versions); the first version's reply was regenerated once.
+ * The navigators switch the content a moment after a click, like ChatGPT.
+ */
+function createBranchPage() {
+    const window = createTestWindow([], { html: PAGE, url: 'https://chatgpt.com/c/abc-123' });
+    const document = window.document;
+    const state = { question: 1, replies: { 1: 1, 2: 1 } };
+    const later = change => () => setTimeout(() => { change(); render(); }, 20);
+
+    function render() {
+        const total = state.question === 1 ? 2 : 1;
+        const reply = state.replies[state.question];
+        document.getElementById('question').textContent = `Question version ${state.question === 1 ? 'one' : 'two'}`;
+        document.getElementById('question-counter').textContent = `${state.question}/2`;
+        document.getElementById('rest').innerHTML = `<article data-testid="conversation-turn-2">
+<div data-message-author-role="assistant"><div class="markdown"><p>Answer ${reply} to question ${state.question}</p></div></div>
+${total > 1 ? `<div><button aria-label="Previous response">&lt;</button><div>${reply}/${total}</div><button aria-label="Next response">&gt;</button></div>` : ''}</article>`;
+        const buttons = document.querySelectorAll('#rest button');
+        if (buttons.length > 0) {
+            buttons[0].onclick = later(() => { state.replies[state.question] = Math.max(1, reply - 1); });
+            buttons[1].onclick = later(() => { state.replies[state.question] = Math.min(total, reply + 1); });
+        }
+    }
+
+    const [previous, next] = document.querySelectorAll('article button');
+    previous.onclick = later(() => { state.question = 1; });
+    next.onclick = later(() => { state.question = 2; });
+    render();
+    return { window, state };
+}
+
+/**
+ * Turns with each one's text, forks as { fork: [{ index, active, turns }] }
+ */
+function outline(turns) {
+    return turns.map(turn => turn.type === 'fork'
+        ? { fork: turn.branches.map(branch => ({ index: branch.index, active: branch.active, turns: outline(branch.turns) })) }
+        : `${turn.role}: ${turn.blocks[0].children[0].value}`);
+}
+
+test('BranchWalker builds every branch as forks and goes back to the branches shown', async () => {
+    const { window, state } = createBranchPage();
+    try {
+        const walker = new window.BranchWalker({
+            builder: new window.ConversationBuilder(),
+            createDetector: () => new window.MessageDetector({ platform: 'chatgpt' })
+        });
+        const turns = await walker.buildTurns();
+
+        assert.deepStrictEqual(plain(outline(turns)), [{ fork: [
+            { index: 1, active: true, turns: [
+                'user: Question version one',
+                { fork: [
+                    { index: 1, active: true, turns: ['assistant: Answer 1 to question 1'] },
+                    { index: 2, active: false, turns: ['assistant: Answer 2 to question 1'] }
+                ] }
+            ] },
+            { index: 2, active: false, turns: ['user: Question version two', 'assistant: Answer 1 to question 2'] }
+        ] }]);
+        assert.deepStrictEqual(plain(state), { question: 1, replies: { 1: 1, 2: 1 } });
+    } finally {
+        window.close();
+    }
+});
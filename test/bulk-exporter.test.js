@@ -0,0 +1,137 @@
+/**
+ * BulkExporter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+test('BulkExporter stores an attachment shared by several conversations once', async () => {
+    const window = createTestWindow(['core/bulk-exporter.js']);
+    try {
+        const image = { name: 'chart.png', path: 'assets/0a1b2c-chart.png', data: new Uint8Array([1, 2, 3]) };
+        const zip = new window.ZipWriter();
+        const exporter = new window.BulkExporter({
+            archive: zip,
+            exportConversation: async entry => ({
+                conversation: { title: entry.title, turns: [], exportedAt: '2026-01-02T03:04:05.000Z' },
+                content: `# ${entry.title}\n`,
+                filename: `${entry.title}.md`,
+                attachments: [image]
+            })
+        });
+        exporter.open = async () => {};
+
+        await exporter.run([
+            { id: 'a', title: 'First', href: 'https://chatgpt.com/c/a' },
+            { id: 'b', title: 'Second', href: 'https://chatgpt.com/c/b' }
+        ]);
+
+        const names = plain(zip.entries.map(entry => new TextDecoder().decode(entry.name)));
+        assert.deepStrictEqual(names.sort(), ['First.md', 'Second.md', 'assets/0a1b2c-chart.png', 'index.md']);
+    } finally {
+        window.close();
+    }
+});
+
+/**
+ * The zip's files by path, as text
+ */
+function readFiles(zip) {
+    return Object.fromEntries(zip.entries.map(entry => [entry.path, new TextDecoder().decode(entry.bytes)]));
+}
+
+test('BulkExporter numbers repeated names, indexes the exported files and logs the failures', async () => {
+    const window = createTestWindow(['core/bulk-exporter.js']);
+    window.console.error = () => {};
+    try {
+        const zip = new window.ZipWriter();
+        const exporter = new window.BulkExporter({
+            archive: zip,
+            subfolder: 'ChatGPT Export (2026-01-02)',
+            exportConversation: async entry => {
+                if (entry.id === 'c') {
+                    throw new Error('Timed out waiting for the messages to load');
+                }
+                return entry.id === 'd' ? null : {
+                    conversation: { title: entry.title, turns: [{}, {}], exportedAt: '2026-01-02T03:04:05.000Z' },
+                    content: `# ${entry.title}\n`
+                };
+            }
+        });
+        exporter.open = async () => {};
+
+        const { exported, errors } = await exporter.run([
+            { id: 'a', title: 'Plans', href: 'https://chatgpt.com/c/a' },
+            { id: 'b', title: 'plans', href: 'https://chatgpt.com/c/b' },
+            { id: 'c', title: 'Broken [draft]', href: 'https://chatgpt.com/c/c' },
+            { id: 'd', title: 'Empty', href: 'https://chatgpt.com/c/d' }
+        ]);
+
+        assert.strictEqual(exported, 2);
+        assert.deepStrictEqual(plain(errors.map(error => error.message)), ['Timed out waiting for the messages to load', 'No messages found']);
+
+        const files = readFiles(zip);
+        assert.deepStrictEqual(Object.keys(files).sort(), [
+            'ChatGPT Export (2026-01-02)/Plans (2026-01-02).md',
+            'ChatGPT Export (2026-01-02)/errors.log',
+            'ChatGPT Export (2026-01-02)/index.md',
+            'ChatGPT Export (2026-01-02)/plans (2026-01-02) 2.md'
+        ]);
+
+        const index = files['ChatGPT Export (2026-01-02)/index.md'];
+        assert.ok(index.includes('| [Plans](Plans%20%282026-01-02%29.md) | 2 | [open](https://chatgpt.com/c/a) |'));
+        assert.ok(index.includes('| [plans](plans%20%282026-01-02%29%202.md) | 2 | [open](https://chatgpt.com/c/b) |'));
+        assert.ok(index.includes('## Failed (2)'));
+        assert.ok(index.includes('- [Broken \\[draft\\]](https://chatgpt.com/c/c): Timed out waiting for the messages to load'));
+
+        const log = files['ChatGPT Export (2026-01-02)/errors.log'].trim().split('\n').map(line => line.split('\t').slice(1));
+        assert.deepStrictEqual(log, [
+            ['Broken [draft]', 'https://chatgpt.com/c/c', 'Timed out waiting for the messages to load'],
+            ['Empty', 'https://chatgpt.com/c/d', 'No messages found']
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('BulkExporter packages the conversations exported before a cancel', async () => {
+    const window = createTestWindow(['core/bulk-exporter.js']);
+    try {
+        const zip = new window.ZipWriter();
+        const exporter = new window.BulkExporter({
+            archive: zip,
+            exportConversation: async entry => {
+                exporter.cancel();
+                return { conversation: { title: entry.title, turns: [] }, content: '', filename: `${entry.id}.md` };
+            }
+        });
+        exporter.open = async () => {};
+
+        const { exported } = await exporter.run([
+            { id: 'a', title: 'First', href: 'https://chatgpt.com/c/a' },
+            { id: 'b', title: 'Second', href: 'https://chatgpt.com/c/b' }
+        ]);
+        assert.strictEqual(exported, 1);
+        assert.deepStrictEqual(Object.keys(readFiles(zip)).sort(), ['a.md', 'index.md']);
+        assert.strictEqual(exporter.state, 'done');
+    } finally {
+        window.close();
+    }
+});
+
+test('BulkExporter lists each sidebar conversation once', async () => {
+    const html = `<html><body><nav>
+<a href="/c/abc-1">First  chat</a><a href="/g/g-123/project">Project</a><a href="/c/def-2">Second</a><a href="/c/abc-1">First chat</a>
+</nav></body></html>`;
+    const window = createTestWindow(['core/bulk-exporter.js'], { html, url: 'https://chatgpt.com/' });
+    try {
+        const entries = await new window.BulkExporter().collectConversations();
+        assert.deepStrictEqual(plain(entries), [
+            { id: 'abc-1', title: 'First chat', href: 'https://chatgpt.com/c/abc-1' },
+            { id: 'def-2', title: 'Second', href: 'https://chatgpt.com/c/def-2' }
+        ]);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,218 @@
+/**
+ * ConversationBuilder Tests
+ * The saved-page fixture tests are in renderers.test.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+/**
+ * Detect the messages of a page and build its conversation tree
+ */
+async function build(html, builderOptions = {}, setup = () => {}) {
+    const window = createTestWindow([], { html, url: 'https://chatgpt.com/c/0000-fixture' });
+    setup(window);
+    const result = await new window.MessageDetector({ platform: 'chatgpt' }).detectMessages();
+    const conversation = await new window.ConversationBuilder(builderOptions).build(result);
+    return { window, conversation };
+}
+
+const ATTACHMENT_PAGE = `<html><head><title>Report review</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user">
+<div class="group relative inline-block"><a href="/backend-api/files/file-1/download"><div>report.pdf</div><div>PDF</div><div>1.5 MB</div></a></div>
+<div class="whitespace-pre-wrap">Summarize this</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant"><div class="markdown"><p>It says report.pdf is late.</p></div></div></article>
+</main></body></html>`;
+
+test('ConversationBuilder lists the files attached to a prompt before its text', async () => {
+    const { window, conversation } = await build(ATTACHMENT_PAGE);
+    try {
+        const [attachments, ...rest] = plain(conversation.turns[0].blocks);
+        assert.deepStrictEqual(attachments, { type: 'attachments', files: [{
+            name: 'report.pdf',
+            mimeType: 'application/pdf',
+            size: 1572864,
+            href: 'https://chatgpt.com/backend-api/files/file-1/download',
+            data: null
+        }] });
+        assert.deepStrictEqual(rest.map(block => block.children.map(node => node.value).join('')), ['Summarize this']);
+        assert.strictEqual(conversation.turns[1].blocks[0].type, 'paragraph');
+    } finally {
+        window.close();
+    }
+});
+
+test('ConversationBuilder downloads the attached files with attachmentFiles', async () => {
+    const requests = [];
+    const { window, conversation } = await build(ATTACHMENT_PAGE, { attachmentFiles: true }, window => {
+        window.fetch = async (url, options) => {
+            requests.push({ url, credentials: options.credentials });
+            return { ok: true, blob: async () => new window.Blob(['%PDF'], { type: 'application/pdf' }) };
+        };
+    });
+    try {
+        assert.strictEqual(conversation.turns[0].blocks[0].files[0].data, 'data:application/pdf;base64,JVBERg==');
+        assert.deepStrictEqual(plain(requests), [{ url: 'https://chatgpt.com/backend-api/files/file-1/download', credentials: 'include' }]);
+    } finally {
+        window.close();
+    }
+});
+
+test('ConversationBuilder reads Code Interpreter runs between the parts of a reply', async () => {
+    const html = `<html><head><title>Analysis</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">Plot it</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant">
+<div class="markdown"><p>Loading the data.</p></div>
+<div class="run"><button>Analyzed</button><pre><code class="language-python">
+import pandas as pd
+print(len(df))
+</code></pre><div><div>STDOUT/STDERR</div><pre>42
+</pre></div><img src="https://files.example/chart.png" alt="Chart"><a href="sandbox:/mnt/data/summary.csv">summary.csv</a></div>
+<div class="markdown"><p>There are 42 rows.</p></div>
+</div></article>
+</main></body></html>`;
+    const { window, conversation } = await build(html);
+    try {
+        const blocks = plain(conversation.turns[1].blocks);
+        assert.deepStrictEqual(blocks.map(block => block.type), ['paragraph', 'codeRun', 'paragraph']);
+        assert.deepStrictEqual({ ...blocks[1], images: blocks[1].images.map(image => image.src) }, {
+            type: 'codeRun',
+            language: 'python',
+            code: 'import pandas as pd\nprint(len(df))',
+            output: '42',
+            images: ['https://files.example/chart.png'],
+            files: [{ name: 'summary.csv', href: 'sandbox:/mnt/data/summary.csv' }]
+        });
+    } finally {
+        window.close();
+    }
+});
+
+/**
+ * A reply with a "Thought for 12 seconds" toggle; its summary is shown when `expanded`, otherwise
+ * clicking the toggle shows it a moment later
+ */
+function reasoningPage(expanded) {
+    const summary = '<div class="reasoning"><p>Checking the units first.</p></div>';
+    return `<html><head><title>Units</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">How far?</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant">
+<div><div><button id="toggle">Thought for 12 seconds</button></div>${expanded ? summary : ''}</div>
+<div class="markdown"><p>About 5 km.</p></div>
+</div></article>
+</main></body></html>`;
+}
+
+const paragraphs = blocks => blocks.map(block => block.type === 'reasoning'
+    ? `${block.label}: ${paragraphs(block.blocks).join(' ')}`
+    : block.children.map(node => node.value).join(''));
+
+test('ConversationBuilder leaves the reasoning summary out unless includeReasoning is set', async () => {
+    const { window, conversation } = await build(reasoningPage(true));
+    try {
+        assert.deepStrictEqual(plain(paragraphs(conversation.turns[1].blocks)), ['About 5 km.']);
+    } finally {
+        window.close();
+    }
+
+    const included = await build(reasoningPage(true), { includeReasoning: true });
+    try {
+        assert.deepStrictEqual(plain(paragraphs(included.conversation.turns[1].blocks)),
+            ['Thought for 12 seconds: Checking the units first.', 'About 5 km.']);
+    } finally {
+        included.window.close();
+    }
+});
+
+test('ConversationBuilder opens a collapsed reasoning summary with includeReasoning', async () => {
+    const { window, conversation } = await build(reasoningPage(false), { includeReasoning: true }, window => {
+        const toggle = window.document.getElementById('toggle');
+        toggle.onclick = () => setTimeout(() => {
+            toggle.parentElement.insertAdjacentHTML('afterend', '<div class="reasoning"><p>Checking the units first.</p></div>');
+        }, 50);
+    });
+    try {
+        assert.deepStrictEqual(plain(paragraphs(conversation.turns[1].blocks)),
+            ['Thought for 12 seconds: Checking the units first.', 'About 5 km.']);
+    } finally {
+        window.close();
+    }
+});
+
+test('ConversationBuilder reads web search citation pills with their link and page title', async () => {
+    const html = `<html><head><title>News</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">Any news?</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant"><div class="markdown">
+<p>It rained. <span data-testid="webpage-citation-pill"><a href="https://news.example/rain" title="Heavy rain in town">News Example</a></span>
+Then sun. <span class="citation-pill"><a href="https://weather.example/sun">Weather +2</a></span></p>
+</div></div></article>
+</main></body></html>`;
+    const { window, conversation } = await build(html);
+    try {
+        const citations = plain(conversation.turns[1].blocks[0].children.filter(node => node.type === 'citation'));
+        assert.deepStrictEqual(citations, [
+            { type: 'citation', href: 'https://news.example/rain', label: 'News Example', title: 'Heavy rain in town' },
+            { type: 'citation', href: 'https://weather.example/sun', label: 'Weather +2', title: 'Weather' }
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('ConversationBuilder keys Canvas documents by id, so an edit updates its document and same-title cards stay apart', async () => {
+    const reply = (turn, text, cards) => `<article data-testid="conversation-turn-${turn}"><div data-message-author-role="assistant">
+<div class="markdown"><p>${text}</p></div>${cards}</div></article>`;
+    const codeCard = (id, code) => `<div id="textdoc-message-${id}"><div>Script</div><pre><code>${code}</code></pre></div>`;
+    const notesCard = note => `<div class="canvas-card"><div>Notes</div><div class="markdown"><p>${note}</p></div></div>`;
+    const html = `<html><head><title>Canvas</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">Write it</div></div></article>
+${reply(2, 'Here it is.', codeCard('doc-1', 'print(1)'))}
+${reply(3, 'Updated.', codeCard('doc-1', 'print(2)'))}
+${reply(4, 'Notes.', notesCard('Buy milk'))}
+${reply(5, 'More notes.', notesCard('Buy bread'))}
+</main></body></html>`;
+
+    const { window, conversation } = await build(html, { openCanvas: false, canvasVersions: true });
+    try {
+        const documents = plain(conversation.turns.map(turn => turn.blocks
+            .filter(block => block.type === 'canvasDocument')
+            .map(({ title, code, blocks, versions }) => ({ title, content: code || blocks[0].children[0].value, versions: versions.map(version => version.code) }))));
+
+        assert.deepStrictEqual(documents, [
+            [],
+            [{ title: 'Script', content: 'print(2)', versions: ['print(1)'] }],
+            [],
+            [{ title: 'Notes', content: 'Buy milk', versions: [] }],
+            [{ title: 'Notes', content: 'Buy bread', versions: [] }]
+        ]);
+        assert.deepStrictEqual(plain(conversation.turns[2].blocks.map(block => block.type)), ['paragraph']);
+    } finally {
+        window.close();
+    }
+});
+
+test('ConversationBuilder reads a generated image once, as a figure captioned with its prompt', async () => {
+    const html = `<html><head><title>Images</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">Draw a cat</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant">
+<div class="relative"><img src="https://files.example/cat.webp" alt="Generated image: a cat on a sofa" width="1024" height="1024" class="blur-2xl">
+<img src="https://files.example/cat.webp" alt="Generated image: a cat on a sofa" width="1024" height="1024"></div>
+<div class="markdown"><p>Here is your cat.</p></div>
+</div></article>
+</main></body></html>`;
+    const { window, conversation } = await build(html);
+    try {
+        const [figure, paragraph] = plain(conversation.turns[1].blocks);
+        assert.deepStrictEqual({ ...figure, image: figure.image.src }, {
+            type: 'figure',
+            image: 'https://files.example/cat.webp',
+            caption: 'a cat on a sofa',
+            generation: { size: '1024x1024', seed: null, genId: null }
+        });
+        assert.strictEqual(paragraph.children[0].value, 'Here is your cat.');
+        assert.strictEqual(conversation.turns[1].blocks.length, 2);
+    } finally {
+        window.close();
+    }
+});
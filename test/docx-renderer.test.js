@@ -0,0 +1,68 @@
+/**
+ * DocxRenderer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, readZip } = require('./helpers');
+
+/**
+ * Data URL of a PNG holding just its signature and header, enough for the renderer to read its size
+ */
+function pngHeader(width, height) {
+    const bytes = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]).copy(bytes);
+    bytes.writeUInt32BE(width, 16);
+    bytes.writeUInt32BE(height, 20);
+    return `data:image/png;base64,${bytes.toString('base64')}`;
+}
+
+const conversation = blocks => ({
+    title: 'Tips & <tricks>',
+    url: 'https://chatgpt.com/c/0000-fixture',
+    exportedAt: '2026-01-02T03:04:05.000Z',
+    turns: [
+        { type: 'turn', role: 'user', sender: 'You', replyLabel: null, blocks: [{ type: 'paragraph', children: [{ type: 'text', value: 'Show me' }] }] },
+        { type: 'turn', role: 'assistant', sender: 'ChatGPT', replyLabel: null, blocks }
+    ]
+});
+
+test('DocxRenderer packages a Word document with its styles, relationships and each image once', () => {
+    const window = createTestWindow();
+    try {
+        const chart = pngHeader(1248, 600);
+        const entries = readZip(new window.DocxRenderer().renderConversation(conversation([
+            { type: 'image', src: 'https://files.example/chart.png', alt: 'Chart', data: chart },
+            { type: 'paragraph', children: [{ type: 'strong', children: [{ type: 'text', value: 'Bold' }] }, { type: 'text', value: ' & plain' }] },
+            { type: 'image', src: 'https://files.example/chart.png', alt: 'Chart again', data: chart },
+            { type: 'image', src: 'https://files.example/photo.webp', alt: 'Photo', data: 'data:image/webp;base64,UklGRg==' }
+        ])));
+        const files = Object.fromEntries(entries.map(entry => [entry.name, entry.data]));
+
+        assert.deepStrictEqual(Object.keys(files), [
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'docProps/core.xml',
+            'word/document.xml',
+            'word/styles.xml',
+            'word/_rels/document.xml.rels',
+            'word/media/image1.png'
+        ]);
+
+        const document = files['word/document.xml'];
+        assert.ok(document.includes('Tips &amp; &lt;tricks&gt;'));
+        assert.match(document, /<w:b\/>.*Bold/);
+        assert.ok(document.includes(' &amp; plain'));
+        // 1248 px wide is scaled down to the 6.5" text width, keeping the aspect ratio
+        assert.strictEqual(document.match(/<wp:extent cx="5943600" cy="2857500"\/>/g).length, 2);
+        assert.ok(document.includes('[Photo]'));
+
+        const relationships = files['word/_rels/document.xml.rels'];
+        assert.match(relationships, /Target="media\/image1\.png"/);
+        assert.match(relationships, /Target="https:\/\/chatgpt\.com\/c\/0000-fixture" TargetMode="External"/);
+        assert.match(relationships, /Target="https:\/\/files\.example\/photo\.webp" TargetMode="External"/);
+        assert.match(files['[Content_Types].xml'], /Extension="png"/);
+    } finally {
+        window.close();
+    }
+});
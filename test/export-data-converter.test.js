@@ -0,0 +1,42 @@
+/**
+ * ExportDataConverter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExportDataConverter = require('../cli/export-data-converter');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==';
+
+/**
+ * An archive folder holding a file for `file-abc` and one for an id it is a prefix of
+ */
+function createArchive(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-data-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'file-abcdef-other.png'), Buffer.from('not this one'));
+    fs.mkdirSync(path.join(dir, 'user-files'));
+    fs.writeFileSync(path.join(dir, 'user-files', 'file-abc-photo.png'), Buffer.from(PNG, 'base64'));
+    return dir;
+}
+
+test('ExportDataConverter resolves an asset pointer to the file of that exact id', t => {
+    const dir = createArchive(t);
+    const converter = new ExportDataConverter();
+    const resolve = converter.createAssetResolver(dir, converter.listArchiveFiles(dir));
+
+    assert.strictEqual(resolve('file-service://file-abc'), `data:image/png;base64,${PNG}`);
+    assert.strictEqual(resolve('file-service://file-ab'), null);
+});
+
+test('ExportDataConverter resolves a prompt attachment to the file of that exact id', t => {
+    const dir = createArchive(t);
+    const converter = new ExportDataConverter();
+    const resolve = converter.createFileResolver(dir, converter.listArchiveFiles(dir));
+
+    assert.strictEqual(resolve({ id: 'file-abc', mimeType: 'image/png' }), `data:image/png;base64,${PNG}`);
+    assert.strictEqual(resolve({ id: 'file-abcd', mimeType: 'image/png' }), null);
+});
@@ -0,0 +1,240 @@
+/**
+ * ExportDataImporter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const text = (role, value) => ({ author: { role }, content: { content_type: 'text', parts: [value] }, metadata: {} });
+
+// A prompt answered twice (the second reply regenerated and shown), then a follow-up on the shown reply
+const RECORD = {
+    title: 'Regenerated',
+    conversation_id: 'abc-123',
+    create_time: 1700000000,
+    update_time: 1700000100,
+    current_node: 'u2',
+    mapping: {
+        root: { id: 'root', parent: null, children: ['u1'], message: null },
+        u1: { id: 'u1', parent: 'root', children: ['a1', 'a2'], message: text('user', 'Question') },
+        a1: { id: 'a1', parent: 'u1', children: [], message: text('assistant', 'First answer') },
+        a2: { id: 'a2', parent: 'u1', children: ['u2'], message: text('assistant', 'Second answer') },
+        u2: { id: 'u2', parent: 'a2', children: [], message: text('user', 'Thanks') }
+    }
+};
+
+/**
+ * Turns with each one's first text, forks as { fork: [{ index, active, turns }] }
+ */
+function outline(turns) {
+    return turns.map(turn => turn.type === 'fork'
+        ? { fork: turn.branches.map(branch => ({ index: branch.index, active: branch.active, turns: outline(branch.turns) })) }
+        : `${turn.role}: ${turn.blocks[0].children[0].value}`);
+}
+
+test('ExportDataImporter follows the branch shown in the UI', () => {
+    const window = createTestWindow();
+    try {
+        const [conversation] = new window.ExportDataImporter().importConversations([RECORD]);
+        assert.strictEqual(conversation.conversationId, 'abc-123');
+        assert.strictEqual(conversation.url, 'https://chatgpt.com/c/abc-123');
+        assert.deepStrictEqual(plain(outline(conversation.turns)), ['user: Question', 'assistant: Second answer', 'user: Thanks']);
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportDataImporter walks every branch into forks with allBranches', () => {
+    const window = createTestWindow();
+    try {
+        const [conversation] = new window.ExportDataImporter({ allBranches: true }).importConversations([RECORD]);
+        assert.deepStrictEqual(plain(outline(conversation.turns)), [
+            'user: Question',
+            { fork: [
+                { index: 1, active: false, turns: ['assistant: First answer'] },
+                { index: 2, active: true, turns: ['assistant: Second answer', 'user: Thanks'] }
+            ] }
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportDataImporter lists the files uploaded with a prompt, but not its images', () => {
+    const window = createTestWindow();
+    try {
+        const prompt = text('user', 'Compare these');
+        prompt.metadata.attachments = [
+            { id: 'file-1', name: 'data.csv', mime_type: 'text/csv', size: 120 },
+            { id: 'file-2', name: 'photo.png', mime_type: 'image/png', size: 5000 },
+            { id: 'file-3', name: 'notes' }
+        ];
+        const record = { ...RECORD, current_node: 'u1', mapping: { root: RECORD.mapping.root, u1: { ...RECORD.mapping.u1, children: [], message: prompt } } };
+
+        const resolved = [];
+        const importer = new window.ExportDataImporter({
+            resolveFile: file => {
+                resolved.push(file);
+                return file.id === 'file-1' ? 'data:text/csv;base64,YSxi' : null;
+            }
+        });
+        const [conversation] = importer.importConversations([record]);
+        const [attachments, paragraph] = plain(conversation.turns[0].blocks);
+
+        assert.deepStrictEqual(attachments, { type: 'attachments', files: [
+            { name: 'data.csv', mimeType: 'text/csv', size: 120, href: null, data: 'data:text/csv;base64,YSxi' },
+            { name: 'notes', mimeType: null, size: null, href: null, data: null }
+        ] });
+        assert.deepStrictEqual(plain(resolved), [
+            { id: 'file-1', name: 'data.csv', mimeType: 'text/csv' },
+            { id: 'file-3', name: 'notes', mimeType: null }
+        ]);
+        assert.strictEqual(paragraph.children[0].value, 'Compare these');
+    } finally {
+        window.close();
+    }
+});
+
+/**
+ * A record of one conversation thread, the messages in order
+ */
+function thread(messages) {
+    const ids = messages.map((message, i) => `m${i}`);
+    const mapping = { root: { id: 'root', parent: null, children: [ids[0]], message: null } };
+    messages.forEach((message, i) => {
+        mapping[ids[i]] = { id: ids[i], parent: i === 0 ? 'root' : ids[i - 1], children: ids[i + 1] ? [ids[i + 1]] : [], message };
+    });
+    return { title: 'Thread', conversation_id: 'abc-123', current_node: ids[ids.length - 1], mapping };
+}
+
+test('ExportDataImporter puts the output and charts of a Python run into the run', () => {
+    const window = createTestWindow();
+    try {
+        const record = thread([
+            text('user', 'Plot it'),
+            { author: { role: 'assistant' }, recipient: 'python', content: { content_type: 'code', text: 'print(42)' }, metadata: {} },
+            { author: { role: 'tool' }, content: { content_type: 'execution_output', text: '42' }, metadata: {} },
+            { author: { role: 'tool' }, content: { content_type: 'multimodal_text', parts: [{ content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-chart' }] }, metadata: {} },
+            text('assistant', 'The answer is 42.')
+        ]);
+        const importer = new window.ExportDataImporter({ resolveAsset: pointer => pointer === 'file-service://file-chart' ? 'data:image/png;base64,AAAA' : null });
+        const [conversation] = importer.importConversations([record]);
+
+        assert.deepStrictEqual(plain(conversation.turns.map(turn => turn.role)), ['user', 'assistant']);
+        const [run, paragraph] = plain(conversation.turns[1].blocks);
+        assert.deepStrictEqual(run, {
+            type: 'codeRun',
+            language: 'python',
+            code: 'print(42)',
+            output: '42',
+            images: [{ type: 'image', src: 'file-service://file-chart', alt: '', data: 'data:image/png;base64,AAAA' }],
+            files: []
+        });
+        assert.strictEqual(paragraph.children[0].value, 'The answer is 42.');
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportDataImporter keeps the thinking summaries, labelled by their recap, only with includeReasoning', () => {
+    const record = thread([
+        text('user', 'How far?'),
+        { author: { role: 'assistant' }, content: { content_type: 'thoughts', thoughts: [{ summary: 'Units', content: 'Checking the units first.' }] }, metadata: {} },
+        { author: { role: 'assistant' }, content: { content_type: 'reasoning_recap', content: 'Thought for 12 seconds' }, metadata: {} },
+        text('assistant', 'About 5 km.')
+    ]);
+    const window = createTestWindow();
+    try {
+        const [hidden] = new window.ExportDataImporter().importConversations([record]);
+        assert.deepStrictEqual(plain(hidden.turns[1].blocks.map(block => block.type)), ['paragraph']);
+
+        const [shown] = new window.ExportDataImporter({ includeReasoning: true }).importConversations([record]);
+        const [reasoning, reply] = plain(shown.turns[1].blocks);
+        assert.strictEqual(reasoning.type, 'reasoning');
+        assert.strictEqual(reasoning.label, 'Thought for 12 seconds');
+        assert.deepStrictEqual(reasoning.blocks.map(block => block.children[0].type), ['strong', 'text']);
+        assert.strictEqual(reply.children[0].value, 'About 5 km.');
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportDataImporter turns citation markers into citations and drops the unknown ones', () => {
+    const reply = text('assistant', 'It rained【3†source】. Then sun citeturn0search1. Unknown【9†source】.');
+    reply.metadata = {
+        citations: [{ start_ix: 9, end_ix: 19, metadata: { url: 'https://news.example/rain', title: 'Heavy rain' } }],
+        content_references: [{
+            matched_text: 'citeturn0search1',
+            items: [{ url: 'https://weather.example/sun', title: 'Sunny days', attribution: 'Weather' }]
+        }]
+    };
+    const window = createTestWindow();
+    try {
+        const [conversation] = new window.ExportDataImporter().importConversations([thread([text('user', 'Any news?'), reply])]);
+        const nodes = plain(conversation.turns[1].blocks[0].children);
+        assert.deepStrictEqual(nodes, [
+            { type: 'text', value: 'It rained' },
+            { type: 'citation', href: 'https://news.example/rain', label: 'Heavy rain', title: 'Heavy rain' },
+            { type: 'text', value: '. Then sun ' },
+            { type: 'citation', href: 'https://weather.example/sun', label: 'Weather', title: 'Sunny days' },
+            { type: 'text', value: '. Unknown.' }
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportDataImporter applies Canvas edits to the document in the reply that created it', () => {
+    const canvas = (recipient, call) => ({ author: { role: 'assistant' }, recipient, content: { content_type: 'code', text: JSON.stringify(call) }, metadata: {} });
+    const record = thread([
+        text('user', 'Write a greeting'),
+        canvas('canmore.create_textdoc', { name: 'greet', type: 'code/python', content: 'def greet():\n    print("Hi")\n' }),
+        text('assistant', 'Done.'),
+        text('user', 'Say hello instead'),
+        canvas('canmore.update_textdoc', { updates: [{ pattern: 'print\\("(\\w+)"\\)', replacement: 'print("Hello, not \\1")' }] }),
+        text('assistant', 'Updated.')
+    ]);
+    const window = createTestWindow();
+    try {
+        const [conversation] = new window.ExportDataImporter({ canvasVersions: true }).importConversations([record]);
+        const [document, done] = plain(conversation.turns[1].blocks);
+        assert.deepStrictEqual(document, {
+            type: 'canvasDocument',
+            title: 'greet',
+            language: 'python',
+            code: 'def greet():\n    print("Hello, not Hi")\n',
+            blocks: null,
+            versions: [{ code: 'def greet():\n    print("Hi")\n', blocks: null }]
+        });
+        assert.strictEqual(done.children[0].value, 'Done.');
+        assert.deepStrictEqual(plain(conversation.turns[3].blocks.map(block => block.type)), ['paragraph']);
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportDataImporter turns generated images into figures with their prompt, size, seed and generation id', () => {
+    const record = thread([
+        text('user', 'Draw a cat'),
+        { author: { role: 'tool' }, content: { content_type: 'multimodal_text', parts: [{
+            content_type: 'image_asset_pointer',
+            asset_pointer: 'file-service://file-cat',
+            width: 1024,
+            height: 768,
+            metadata: { dalle: { prompt: 'A cat on a sofa', seed: 0, gen_id: 'gen-1' } }
+        }] }, metadata: {} }
+    ]);
+    const window = createTestWindow();
+    try {
+        const [conversation] = new window.ExportDataImporter().importConversations([record]);
+        assert.deepStrictEqual(plain(conversation.turns[1].blocks), [{
+            type: 'figure',
+            image: { type: 'image', src: 'file-service://file-cat', alt: 'A cat on a sofa', data: null },
+            caption: 'A cat on a sofa',
+            generation: { size: '1024x768', seed: 0, genId: 'gen-1' }
+        }]);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,113 @@
+/**
+ * ExportFolder Tests
+ * Run against an in-memory folder handle, with the IndexedDB settings kept in a Map.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+function notFound(name) {
+    return Object.assign(new Error(`${name} not found`), { name: 'NotFoundError' });
+}
+
+/**
+ * The parts of FileSystemDirectoryHandle ExportFolder uses; files hold what was written to them
+ */
+class MemoryDirectory {
+    constructor(name) {
+        this.name = name;
+        this.children = new Map();
+    }
+
+    async getDirectoryHandle(name, { create = false } = {}) {
+        if (!this.children.has(name) && create) this.children.set(name, new MemoryDirectory(name));
+        if (!(this.children.get(name) instanceof MemoryDirectory)) throw notFound(name);
+        return this.children.get(name);
+    }
+
+    async getFileHandle(name, { create = false } = {}) {
+        if (!this.children.has(name) && create) this.children.set(name, { data: '' });
+        const file = this.children.get(name);
+        if (!file || file instanceof MemoryDirectory) throw notFound(name);
+        return {
+            createWritable: async () => ({ write: async data => { file.data = data; }, close: async () => {} }),
+            getFile: async () => ({ text: async () => String(file.data) })
+        };
+    }
+
+    /**
+     * Paths of every file below this folder, with their contents
+     */
+    files(prefix = '') {
+        return Array.from(this.children).flatMap(([name, child]) => child instanceof MemoryDirectory
+            ? child.files(`${prefix}${name}/`)
+            : [[prefix + name, child.data]]);
+    }
+}
+
+function createFolderWindow() {
+    const window = createTestWindow(['core/export-folder.js']);
+    const settings = new Map();
+    window.ExportFolder.setting = async (key, value) => {
+        if (value !== undefined) settings.set(key, value);
+        return value === undefined ? settings.get(key) : value;
+    };
+    return window;
+}
+
+const conversation = (conversationId, title) => ({ conversationId, title, exportedAt: '2026-01-02T03:04:05.000Z', turns: [] });
+
+test('ExportFolder writes a conversation to the path it was first saved to, even under a new title', async () => {
+    const window = createFolderWindow();
+    try {
+        const root = new MemoryDirectory('Vault');
+        const folder = new window.ExportFolder(root);
+
+        assert.strictEqual(await folder.pathFor(conversation('abc', 'Plans'), 'Plans.md', '2026-01-02'), '2026-01-02/Plans.md');
+        assert.strictEqual(await folder.pathFor(conversation('abc', 'New plans'), 'New plans.md', '2026-02-03'), '2026-01-02/Plans.md');
+        assert.strictEqual(await folder.pathFor(conversation('abc', 'New plans'), 'New plans.html', '2026-02-03'), '2026-02-03/New plans.html');
+        assert.strictEqual(await folder.pathFor(conversation(null, 'Temporary'), 'Temporary.md', '2026-01-02'), '2026-01-02/Temporary.md');
+        assert.strictEqual(await folder.pathFor(conversation(null, 'Other'), 'Other.md', '2026-01-02'), '2026-01-02/Other.md');
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportFolder.save writes the export into a dated subfolder with its attachments next to it', async () => {
+    const window = createFolderWindow();
+    try {
+        const root = new MemoryDirectory('Vault');
+        const folder = new window.ExportFolder(root);
+        await window.ExportFolder.save(folder, {
+            conversation: conversation('abc', 'Plans'),
+            content: '# Plans\n',
+            filename: 'Plans.md',
+            attachments: [{ path: 'assets/chart.png', data: 'png' }]
+        });
+
+        assert.deepStrictEqual(plain(root.files()), [['2026-01-02/Plans.md', '# Plans\n'], ['2026-01-02/assets/chart.png', 'png']]);
+        assert.strictEqual(await folder.readFile('2026-01-02/Plans.md'), '# Plans\n');
+        assert.strictEqual(await folder.readFile('2026-01-02/Missing.md'), null);
+        assert.strictEqual(await folder.readFile('Missing/Plans.md'), null);
+    } finally {
+        window.close();
+    }
+});
+
+test('ExportFolder writes ZipWriter-style files in order and reports the ones that failed', async () => {
+    const window = createFolderWindow();
+    window.console.error = () => {};
+    try {
+        const root = new MemoryDirectory('Vault');
+        const folder = new window.ExportFolder(root);
+        folder.addFile('Export/a.md', 'a');
+        folder.addFile('Export/a.md/b.md', 'b');
+        folder.addFile('Export/index.md', 'index');
+
+        await assert.rejects(folder.generate(), /Could not write 1 file\(s\) to "Vault", first: Export\/a\.md\/b\.md/);
+        assert.deepStrictEqual(plain(root.files()), [['Export/a.md', 'a'], ['Export/index.md', 'index']]);
+    } finally {
+        window.close();
+    }
+});
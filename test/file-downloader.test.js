@@ -0,0 +1,79 @@
+/**
+ * FileDownloader Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow } = require('./helpers');
+
+const conversation = {
+    type: 'conversation',
+    title: 'Café: notes / ideas?',
+    url: 'https://chatgpt.com/c/6650a1b2',
+    conversationId: '6650a1b2',
+    model: 'gpt-4o',
+    platform: 'ChatGPT',
+    exportedAt: '2026-01-02T03:04:05.000Z',
+    createdAt: '2023-11-14T09:08:07.000Z',
+    updatedAt: null,
+    turns: [
+        { type: 'turn', role: 'user', blocks: [] },
+        { type: 'fork', branches: [
+            { type: 'branch', index: 1, total: 2, active: false, turns: [{ type: 'turn', role: 'assistant', blocks: [] }] },
+            { type: 'branch', index: 2, total: 2, active: true, turns: [
+                { type: 'turn', role: 'assistant', blocks: [] },
+                { type: 'turn', role: 'user', blocks: [] }
+            ] }
+        ] }
+    ]
+};
+
+function withDownloader(options, check) {
+    const window = createTestWindow();
+    try {
+        check(new window.FileDownloader(options));
+    } finally {
+        window.close();
+    }
+}
+
+test('FileDownloader names files "{title} ({date}).{ext}" by default', () => {
+    withDownloader({}, downloader => {
+        assert.strictEqual(downloader.buildFilename(conversation, 'md'), 'Café notes ideas (2023-11-14).md');
+        assert.strictEqual(downloader.buildFilename(conversation, 'md', ' report'), 'Café notes ideas (2023-11-14) report.md');
+    });
+});
+
+test('FileDownloader fills every template token', () => {
+    withDownloader({ template: '{date}_{time}_{title}_{id}_{model}_{platform}_{count}.{ext}' }, downloader => {
+        assert.strictEqual(downloader.buildFilename(conversation, 'json'),
+            '2023-11-14_09-08-07_Café notes ideas_6650a1b2_gpt-4o_ChatGPT_4.json');
+    });
+});
+
+test('FileDownloader leaves tokens without a value empty', () => {
+    withDownloader({ template: '{title}_{id}.{ext}' }, downloader => {
+        assert.strictEqual(downloader.buildFilename({ ...conversation, conversationId: null }, 'md'), 'Café notes ideas.md');
+    });
+});
+
+test('FileDownloader slugifies token values', () => {
+    withDownloader({ template: '{date}_{title}.{ext}', slugify: true }, downloader => {
+        assert.strictEqual(downloader.buildFilename(conversation, 'md'), '2023-11-14_cafe-notes-ideas.md');
+    });
+});
+
+test('FileDownloader shortens the title to keep the whole name within maxLength', () => {
+    withDownloader({ maxLength: 28 }, downloader => {
+        assert.strictEqual(downloader.buildFilename(conversation, 'md', ' report'), 'Café (2023-11-14) report.md');
+    });
+});
+
+test('FileDownloader refuses a maxLength the extension and suffix alone reach', () => {
+    withDownloader({ maxLength: 5 }, downloader => {
+        assert.throws(() => downloader.buildFilename(conversation, 'md', ' report'), /no room for a name/);
+    });
+    withDownloader({ maxLength: 12 }, downloader => {
+        assert.ok(downloader.buildFilename(conversation, 'md', ' report').length <= 12);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * FineTuningRenderer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+const paragraph = value => ({ type: 'paragraph', children: [{ type: 'text', value }] });
+const turn = (role, value, extra = []) => ({ type: 'turn', role, blocks: [paragraph(value), ...extra] });
+
+// Three exchanges; the second reply was regenerated, and the shown (active) branch continues the conversation
+const conversation = {
+    type: 'conversation',
+    title: 'Training',
+    turns: [
+        turn('user', 'Q1', [{ type: 'image', src: 'blob:x', alt: 'chart', data: IMAGE }]),
+        turn('assistant', 'A1', [{ type: 'image', src: 'https://example.com/a.png', alt: 'reply image', data: null }]),
+        turn('user', 'Q2'),
+        { type: 'fork', branches: [
+            { type: 'branch', index: 1, total: 2, active: false, turns: [turn('assistant', 'A2 old')] },
+            { type: 'branch', index: 2, total: 2, active: true, turns: [turn('assistant', 'A2'), turn('user', 'Q3'), turn('assistant', 'A3'), turn('user', 'Q4')] }
+        ] }
+    ]
+};
+
+/**
+ * The examples' messages, with each one's text (and "[image]" for image parts)
+ */
+function render(options) {
+    const window = createTestWindow();
+    try {
+        return plain(new window.FineTuningRenderer(options).renderConversation(conversation)
+            .trim().split('\n')
+            .map(line => JSON.parse(line).messages.map(({ role, content }) => `${role}: ${typeof content === 'string'
+                ? content
+                : content.map(part => part.type === 'text' ? part.text : '[image]').join(' ')}`)));
+    } finally {
+        window.close();
+    }
+}
+
+test('FineTuningRenderer writes the shown branch as one example ending on the assistant', () => {
+    assert.deepStrictEqual(render({}), [
+        ['user: Q1 [image]', 'assistant: A1', 'user: Q2', 'assistant: A2', 'user: Q3', 'assistant: A3']
+    ]);
+});
+
+test('FineTuningRenderer passes user images as image_url parts', () => {
+    const window = createTestWindow();
+    try {
+        const [example] = new window.FineTuningRenderer().buildExamples(conversation);
+        assert.deepStrictEqual(plain(example.messages[0].content), [
+            { type: 'text', text: 'Q1' },
+            { type: 'image_url', image_url: { url: IMAGE } }
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('FineTuningRenderer applies the system prompt, dropImages and maxTurns options', () => {
+    assert.deepStrictEqual(render({ systemPrompt: 'Be brief.', dropImages: true, maxTurns: 2 }), [
+        ['system: Be brief.', 'user: Q2', 'assistant: A2', 'user: Q3', 'assistant: A3']
+    ]);
+    assert.strictEqual(render({ dropImages: true })[0][0], 'user: Q1');
+});
+
+test('FineTuningRenderer writes one example per assistant reply with splitPerAssistantTurn', () => {
+    assert.deepStrictEqual(render({ splitPerAssistantTurn: true, maxTurns: 1 }), [
+        ['user: Q1 [image]', 'assistant: A1'],
+        ['user: Q2', 'assistant: A2'],
+        ['user: Q3', 'assistant: A3']
+    ]);
+});
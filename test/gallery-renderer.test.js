@@ -0,0 +1,64 @@
+/**
+ * GalleryRenderer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+const figure = (caption, image, generation = {}) => ({
+    type: 'figure',
+    image: { type: 'image', alt: caption, ...image },
+    caption,
+    generation: { size: null, seed: null, genId: null, ...generation }
+});
+const turn = (role, blocks) => ({ type: 'turn', role, sender: role === 'user' ? 'You' : 'ChatGPT', replyLabel: null, blocks });
+
+test('GalleryRenderer numbers the generated images in message order and lists them in captions.json', () => {
+    const window = createTestWindow();
+    try {
+        const renderer = new window.GalleryRenderer();
+        const captions = JSON.parse(renderer.renderConversation({
+            title: 'Cats',
+            url: 'https://chatgpt.com/c/0000-cats',
+            conversationId: '0000-cats',
+            turns: [
+                turn('user', []),
+                { type: 'fork', branches: [
+                    { type: 'branch', index: 1, total: 2, active: false, turns: [turn('assistant', [figure('A cat on a sofa!', { src: 'https://files.example/cat.png', data: PNG }, { size: '1024x1024', seed: 7 })])] },
+                    { type: 'branch', index: 2, total: 2, active: true, turns: [turn('assistant', [figure(null, { src: PNG, data: null }), figure('Not loaded', { src: 'https://files.example/gone.png', data: null })])] }
+                ] }
+            ]
+        }));
+
+        assert.deepStrictEqual(captions, {
+            title: 'Cats',
+            url: 'https://chatgpt.com/c/0000-cats',
+            conversationId: '0000-cats',
+            images: [
+                { file: '001-a-cat-on-a-sofa.png', url: 'https://files.example/cat.png', caption: 'A cat on a sofa!', size: '1024x1024', seed: 7, genId: null, turn: 2 },
+                { file: '002-image.png', url: null, caption: null, size: null, seed: null, genId: null, turn: 3 },
+                { file: null, url: 'https://files.example/gone.png', caption: 'Not loaded', size: null, seed: null, genId: null, turn: 3 }
+            ]
+        });
+        assert.deepStrictEqual(plain(renderer.attachments.map(({ name, path, mimeType }) => ({ name, path, mimeType }))), [
+            { name: '001-a-cat-on-a-sofa.png', path: '001-a-cat-on-a-sofa.png', mimeType: 'image/png' },
+            { name: '002-image.png', path: '002-image.png', mimeType: 'image/png' }
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('GalleryRenderer renders nothing for a conversation without generated images', () => {
+    const window = createTestWindow();
+    try {
+        const renderer = new window.GalleryRenderer();
+        assert.strictEqual(renderer.renderConversation({ title: 'Chat', url: '', turns: [turn('user', [])] }), null);
+        assert.strictEqual(renderer.attachments.length, 0);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,60 @@
+/**
+ * Test Helpers
+ * A jsdom window with the pipeline sources (see cli/pipeline.js) and any browser-only modules a test needs,
+ * and readers for what the exporters produce
+ */
+
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createPipelineWindow } = require('../cli/pipeline');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * @param {string[]} sources - Extra files to evaluate after the pipeline, e.g. 'core/bulk-exporter.js'
+ * @param {Object} options - Passed on to createPipelineWindow
+ */
+function createTestWindow(sources = [], options = {}) {
+    const window = createPipelineWindow(options);
+    // The pipeline logs its progress for the console scripts
+    window.console.log = () => {};
+    sources.forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+    return window;
+}
+
+/**
+ * Copy a value out of the jsdom window, whose arrays and objects deepStrictEqual tells apart from Node's
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read the entries of a zip (ZipWriter.generate) back through its central directory: [{ name, crc, data }], data as text
+ */
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50, 'end of central directory');
+
+    const entries = [];
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        assert.strictEqual(view.getUint32(offset, true), 0x02014b50, 'central directory header');
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const local = view.getUint32(offset + 42, true);
+        const name = Buffer.from(zip.subarray(offset + 46, offset + 46 + nameLength)).toString('utf8');
+
+        assert.strictEqual(view.getUint32(local, true), 0x04034b50, 'local file header');
+        assert.strictEqual(view.getUint32(local + 14, true), crc, 'local header CRC');
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        entries.push({ name, crc, data: Buffer.from(zip.subarray(start, start + size)).toString('utf8') });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
+}
+
+module.exports = { createTestWindow, plain, readZip };
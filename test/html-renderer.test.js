@@ -0,0 +1,59 @@
+/**
+ * HtmlRenderer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+// KaTeX renders each formula twice: MathML with the TeX source as an annotation, and styled HTML
+const katex = (tex, mathml) => `<span class="katex"><span class="katex-mathml"><math onclick="alert(1)"><semantics>${mathml}` +
+    `<annotation encoding="application/x-tex">${tex}</annotation></semantics></math></span><span class="katex-html" aria-hidden="true">x</span></span>`;
+
+const PAGE = `<html><head><title>Math</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">Squares?</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant"><div class="markdown">
+<p>Inline ${katex('x^2', '<msup><mi>x</mi><mn>2</mn></msup>')} here.</p>
+<span class="katex-display">${katex('a^2 + b^2 = c^2', '<mrow><msup><mi>a</mi><mn>2</mn></msup></mrow>')}</span>
+</div></div></article>
+</main></body></html>`;
+
+test('ConversationBuilder keeps the TeX source and a clean copy of the MathML of KaTeX formulas', async () => {
+    const window = createTestWindow([], { html: PAGE, url: 'https://chatgpt.com/c/0000-math' });
+    try {
+        const result = await new window.MessageDetector({ platform: 'chatgpt' }).detectMessages();
+        const conversation = await new window.ConversationBuilder().build(result);
+        const blocks = plain(conversation.turns[1].blocks);
+
+        const inline = blocks[0].children.find(node => node.type === 'math');
+        assert.strictEqual(inline.tex, 'x^2');
+        assert.strictEqual(inline.display, false);
+        assert.match(inline.mathml, /^<math xmlns="http:\/\/www\.w3\.org\/1998\/Math\/MathML">/);
+        assert.doesNotMatch(inline.mathml, /onclick/);
+
+        assert.strictEqual(blocks[1].type, 'math');
+        assert.strictEqual(blocks[1].tex, 'a^2 + b^2 = c^2');
+        assert.match(blocks[1].mathml, /display="block"/);
+
+        const html = new window.HtmlRenderer().renderConversation(conversation);
+        assert.ok(html.includes(`<span class="math-inline">${inline.mathml}</span>`));
+        assert.ok(html.includes(`<div class="math-display">${blocks[1].mathml}</div>`));
+        assert.match(new window.MarkdownRenderer().renderConversation(conversation), /Inline \$x\^2\$ here\.[\s\S]*\$\$\na\^2 \+ b\^2 = c\^2\n\$\$/);
+    } finally {
+        window.close();
+    }
+});
+
+test('HtmlRenderer keeps the escaped TeX source of math without MathML', () => {
+    const window = createTestWindow();
+    try {
+        const blocks = new window.MarkdownParser().parse('Area \\(\\pi r^2 < x\\)\n\n$$\nE = mc^2\n$$');
+        assert.deepStrictEqual(plain(blocks[1]), { type: 'math', tex: 'E = mc^2', display: true, mathml: null });
+
+        const html = new window.HtmlRenderer().renderBlocks(blocks);
+        assert.ok(html.includes('<code class="math-tex">\\(\\pi r^2 &lt; x\\)</code>'));
+        assert.ok(html.includes('<code class="math-tex">\\[E = mc^2\\]</code>'));
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,103 @@
+/**
+ * ImageEncoder Tests
+ * fetch is stubbed and jsdom has no canvas, so a fake one records what would be drawn.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const JPEG_BYTES = [0xff, 0xd8, 0xff, 0xe0];
+
+/**
+ * A window whose fetch serves the files (URL -> { type, bytes }) and records its requests, and whose
+ * canvases record their size and the format they are read back in
+ */
+function createEncoderWindow(files = {}) {
+    const window = createTestWindow([], { url: 'https://chatgpt.com/c/0000-fixture' });
+    window.console.warn = () => {};
+    const requests = [];
+    const canvases = [];
+    window.fetch = async (url, options) => {
+        requests.push({ url, credentials: options.credentials });
+        const blob = files[url] && new window.Blob([new Uint8Array(files[url].bytes)], { type: files[url].type });
+        return blob ? { ok: true, blob: async () => blob } : { ok: false, status: 404 };
+    };
+
+    const createElement = window.document.createElement.bind(window.document);
+    window.document.createElement = name => {
+        if (name !== 'canvas') {
+            return createElement(name);
+        }
+        const canvas = {
+            getContext: () => ({ fillRect: () => {}, drawImage: () => {} }),
+            toDataURL: (type, quality) => {
+                canvases.push({ width: canvas.width, height: canvas.height, type, quality });
+                return `data:${type};base64,AAAA`;
+            }
+        };
+        return canvas;
+    };
+    return { window, requests, canvases };
+}
+
+function image(window, src, width, height) {
+    const img = window.document.createElement('img');
+    img.setAttribute('src', src);
+    img.width = width;
+    img.height = height;
+    return img;
+}
+
+test('ImageEncoder keeps the original bytes and type of images the output accepts', async () => {
+    const { window, requests, canvases } = createEncoderWindow({
+        'https://chatgpt.com/backend-api/files/photo.jpg': { type: 'image/jpeg', bytes: JPEG_BYTES }
+    });
+    try {
+        const dataUrl = await new window.ImageEncoder().toBase64(image(window, '/backend-api/files/photo.jpg', 800, 600));
+        assert.strictEqual(dataUrl, `data:image/jpeg;base64,${Buffer.from(JPEG_BYTES).toString('base64')}`);
+        assert.deepStrictEqual(plain(requests), [{ url: 'https://chatgpt.com/backend-api/files/photo.jpg', credentials: 'include' }]);
+        assert.strictEqual(canvases.length, 0);
+    } finally {
+        window.close();
+    }
+});
+
+test('ImageEncoder downscales large images and re-encodes types the output does not take, keeping JPEGs JPEG', async () => {
+    const { window, requests, canvases } = createEncoderWindow({
+        'https://cdn.example/photo.jpg': { type: 'image/jpeg', bytes: JPEG_BYTES },
+        'https://cdn.example/anim.gif': { type: 'image/gif', bytes: [0x47, 0x49, 0x46] }
+    });
+    try {
+        const encoder = new window.ImageEncoder({ maxDimension: 1000, acceptedTypes: ['image/jpeg', 'image/png'], quality: 0.8 });
+
+        const photo = image(window, 'https://cdn.example/photo.jpg', 4000, 3000);
+        Object.defineProperty(photo, 'complete', { value: true });
+        assert.strictEqual(await encoder.toBase64(photo), 'data:image/jpeg;base64,AAAA');
+
+        const gif = image(window, 'https://cdn.example/anim.gif', 200, 100);
+        Object.defineProperty(gif, 'complete', { value: true });
+        assert.strictEqual(await encoder.toBase64(gif), 'data:image/png;base64,AAAA');
+
+        assert.deepStrictEqual(plain(canvases), [
+            { width: 1000, height: 750, type: 'image/jpeg', quality: 0.8 },
+            { width: 200, height: 100, type: 'image/png', quality: 0.8 }
+        ]);
+        assert.deepStrictEqual(plain(requests.map(request => request.credentials)), ['omit', 'omit']);
+    } finally {
+        window.close();
+    }
+});
+
+test('ImageEncoder skips interface images and does not fetch local files', async () => {
+    const { window, requests } = createEncoderWindow();
+    try {
+        const encoder = new window.ImageEncoder();
+        assert.strictEqual(await encoder.toBase64(image(window, 'https://chatgpt.com/avatar.png', 32, 32)), null);
+        assert.strictEqual(await encoder.fetchOriginal('file:///etc/passwd'), null);
+        assert.strictEqual(await encoder.fetchOriginal('https://cdn.example/missing.png'), null);
+        assert.deepStrictEqual(plain(requests.map(request => request.url)), ['https://cdn.example/missing.png']);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,45 @@
+/**
+ * LocalImageEncoder Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const LocalImageEncoder = require('../cli/local-image-encoder');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==';
+
+/**
+ * A saved page folder with an image in its "_files" folder, next to an image outside it
+ */
+function createFolders(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-page-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const page = path.join(root, 'page');
+    fs.mkdirSync(path.join(page, 'Chat_files'), { recursive: true });
+    fs.writeFileSync(path.join(page, 'Chat_files', 'image.png'), Buffer.from(PNG, 'base64'));
+    fs.writeFileSync(path.join(root, 'private.png'), Buffer.from(PNG, 'base64'));
+    return { root, page };
+}
+
+test('LocalImageEncoder reads images saved with the page', t => {
+    const { page } = createFolders(t);
+    const encoder = new LocalImageEncoder(page);
+    assert.strictEqual(encoder.toBase64('Chat_files/image.png'), `data:image/png;base64,${PNG}`);
+    assert.strictEqual(encoder.toBase64('./Chat_files/image%2Epng?v=1'), `data:image/png;base64,${PNG}`);
+});
+
+test('LocalImageEncoder never reads files outside the page folder', t => {
+    const { root, page } = createFolders(t);
+    const encoder = new LocalImageEncoder(page);
+    const outside = path.join(root, 'private.png');
+
+    assert.strictEqual(encoder.toBase64('../private.png'), null);
+    assert.strictEqual(encoder.toBase64('Chat_files/../../private.png'), null);
+    assert.strictEqual(encoder.toBase64(outside), null);
+    assert.strictEqual(encoder.toBase64(pathToFileURL(outside).href), null);
+    assert.strictEqual(encoder.toBase64('https://example.com/private.png'), null);
+});
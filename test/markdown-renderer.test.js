@@ -0,0 +1,192 @@
+/**
+ * MarkdownRenderer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const OTHER_PNG = 'data:image/png;base64,iVBORw0KGgoAAAA=';
+
+/**
+ * A one-reply conversation whose reply holds `blocks`
+ */
+function conversationWith(blocks, title = 'Images') {
+    return {
+        title,
+        url: 'https://chatgpt.com/c/0000-fixture',
+        exportedAt: '2026-01-02T03:04:05.000Z',
+        turns: [{ type: 'turn', role: 'assistant', sender: 'ChatGPT', replyLabel: null, blocks }]
+    };
+}
+
+test('MarkdownRenderer saves images in the asset folder once each, named after their content', () => {
+    const window = createTestWindow();
+    try {
+        const renderer = new window.MarkdownRenderer({ assetFolder: 'assets' });
+        const markdown = renderer.renderConversation(conversationWith([
+            { type: 'image', src: 'https://files.example/a.png', alt: 'Chart', data: PNG },
+            { type: 'paragraph', children: [{ type: 'image', src: 'https://files.example/b.png', alt: 'Again', data: PNG }] },
+            { type: 'image', src: 'https://files.example/c.png', alt: 'Other', data: OTHER_PNG },
+            { type: 'image', src: 'https://files.example/d.svg', alt: 'Vector', data: 'data:image/x-unknown;base64,AAAA' },
+            { type: 'image', src: 'blob:https://chatgpt.com/0000', alt: 'Not loaded', data: null }
+        ]));
+
+        const attachments = plain(renderer.attachments.map(({ path, mimeType }) => ({ path, mimeType })));
+        assert.strictEqual(attachments.length, 2);
+        attachments.forEach(attachment => assert.match(attachment.path, /^assets\/image-[0-9a-f]{14}\.png$/));
+        assert.strictEqual(attachments[0].mimeType, 'image/png');
+        assert.notStrictEqual(attachments[0].path, attachments[1].path);
+        assert.deepStrictEqual(Array.from(renderer.attachments[0].data), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+        assert.ok(markdown.includes(`![Chart](${attachments[0].path})`));
+        assert.ok(markdown.includes(`![Again](${attachments[0].path})`));
+        assert.ok(markdown.includes(`![Other](${attachments[1].path})`));
+        assert.ok(markdown.includes('![Vector](data:image/x-unknown;base64,AAAA)'));
+        assert.ok(markdown.includes('![Not loaded](https://chatgpt.com/0000)'));
+
+        renderer.renderConversation(conversationWith([{ type: 'image', src: '', alt: 'Chart', data: OTHER_PNG }]));
+        assert.deepStrictEqual(plain(renderer.attachments.map(({ path }) => path)), [attachments[1].path]);
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer embeds or links images without an asset folder', () => {
+    const window = createTestWindow();
+    try {
+        const blocks = [{ type: 'image', src: 'https://files.example/a.png', alt: 'Chart', data: PNG }];
+        const embedded = new window.MarkdownRenderer();
+        assert.ok(embedded.renderConversation(conversationWith(blocks)).includes(`![Chart](${PNG})`));
+        assert.strictEqual(embedded.attachments.length, 0);
+        assert.ok(new window.MarkdownRenderer({ embedImages: false }).renderConversation(conversationWith(blocks))
+            .includes('![Chart](https://files.example/a.png)'));
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer lists prompt attachments, saving the downloaded ones under files/', () => {
+    const window = createTestWindow();
+    try {
+        const renderer = new window.MarkdownRenderer();
+        const markdown = renderer.renderConversation(conversationWith([{ type: 'attachments', files: [
+            { name: 'data [v2].csv', mimeType: 'text/csv', size: 2048, href: null, data: 'data:text/csv;base64,YSxi' },
+            { name: 'report.pdf', mimeType: 'application/pdf', size: 1572864, href: 'https://chatgpt.com/backend-api/files/file-1/download', data: null },
+            { name: 'notes', mimeType: null, size: null, href: null, data: null }
+        ] }], 'Attachments'));
+
+        const [saved] = renderer.attachments;
+        assert.match(saved.path, /^files\/[0-9a-f]{14}-data _v2_\.csv$/);
+        assert.strictEqual(new TextDecoder().decode(saved.data), 'a,b');
+        assert.ok(markdown.includes([
+            '**Attachments:**',
+            '',
+            `- [data \\[v2\\].csv](${encodeURI(saved.path)}) (text/csv, 2.0 KB)`,
+            '- [report.pdf](https://chatgpt.com/backend-api/files/file-1/download) (application/pdf, 1.5 MB)',
+            '- notes'
+        ].join('\n')));
+        assert.strictEqual(new window.MarkdownRenderer({ assetFolder: 'assets' }).addFileAttachment({ name: 'a.csv', data: 'data:,a' }).path.split('/')[0], 'assets');
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer renders a Code Interpreter run as its code, output, charts and files', () => {
+    const window = createTestWindow();
+    try {
+        const markdown = new window.MarkdownRenderer().renderBlocks([{
+            type: 'codeRun',
+            language: 'python',
+            code: 'print(42)',
+            output: '42',
+            images: [{ type: 'image', src: 'https://files.example/chart.png', alt: 'Chart', data: null }],
+            files: [{ name: 'summary.csv', href: 'sandbox:/mnt/data/summary.csv' }]
+        }]);
+        assert.strictEqual(markdown, [
+            '```python\nprint(42)\n```',
+            '**Output:**',
+            '```\n42\n```',
+            '![Chart](https://files.example/chart.png)',
+            '**Files:** [summary.csv](sandbox:/mnt/data/summary.csv)'
+        ].join('\n\n'));
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer quotes a reasoning summary under its label', () => {
+    const window = createTestWindow();
+    try {
+        const markdown = new window.MarkdownRenderer().renderBlocks([{ type: 'reasoning', label: 'Thought for 12 seconds', blocks: [
+            { type: 'paragraph', children: [{ type: 'text', value: 'Checking the units.' }] },
+            { type: 'paragraph', children: [{ type: 'text', value: 'Then the distance.' }] }
+        ] }]);
+        assert.strictEqual(markdown, '> **Thought for 12 seconds**\n>\n> Checking the units.\n>\n> Then the distance.');
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer numbers citations as footnotes across turns, with a Sources list per turn', () => {
+    const window = createTestWindow();
+    try {
+        const cite = (href, label) => ({ type: 'citation', href, label, title: null });
+        const reply = children => ({ type: 'turn', role: 'assistant', sender: 'ChatGPT', replyLabel: null, blocks: [{ type: 'paragraph', children }] });
+        const conversation = conversationWith([]);
+        conversation.turns = [
+            reply([{ type: 'text', value: 'Rain' }, cite('https://news.example/rain', 'News'), { type: 'text', value: ' again' }, cite('https://news.example/rain', 'News')]),
+            reply([{ type: 'text', value: 'Sun' }, cite('https://weather.example/sun', 'Weather [live]')])
+        ];
+
+        const markdown = new window.MarkdownRenderer().renderConversation(conversation);
+        assert.ok(markdown.includes('Rain[^1] again[^1]\n\n**Sources:**\n\n[^1]: [News](https://news.example/rain) — news.example'));
+        assert.ok(markdown.includes('Sun[^2]\n\n**Sources:**\n\n[^2]: [Weather \\[live\\]](https://weather.example/sun) — weather.example'));
+        assert.strictEqual(new window.MarkdownRenderer().renderInline([cite('https://news.example/rain', 'News')]), '[News](https://news.example/rain)');
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer saves Canvas documents and their versions as linked files, or writes them into the turn', () => {
+    const window = createTestWindow();
+    try {
+        const document = {
+            type: 'canvasDocument',
+            title: 'greet',
+            language: 'python',
+            code: 'print("Hello")',
+            blocks: null,
+            versions: [{ code: 'print("Hi")', blocks: null }]
+        };
+        const renderer = new window.MarkdownRenderer();
+        const markdown = renderer.renderBlocks([document]);
+
+        const [latest, first] = plain(renderer.attachments.map(({ path, mimeType }) => ({ path, mimeType })));
+        assert.match(latest.path, /^canvas\/[0-9a-f]{14}-greet\.py$/);
+        assert.match(first.path, /^canvas\/[0-9a-f]{14}-greet v1\.py$/);
+        assert.strictEqual(new TextDecoder().decode(renderer.attachments[0].data), 'print("Hello")\n');
+        assert.strictEqual(markdown, `**Canvas:** [greet](${latest.path})\n\n**Earlier versions:** [v1](${encodeURI(first.path)})`);
+
+        assert.strictEqual(new window.MarkdownRenderer({ canvasFiles: false }).renderBlocks([document]),
+            '**Canvas: greet**\n\n```python\nprint("Hello")\n```');
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer writes a generated image with its prompt and generation details under it', () => {
+    const window = createTestWindow();
+    try {
+        const markdown = new window.MarkdownRenderer().renderBlocks([{
+            type: 'figure',
+            image: { type: 'image', src: 'https://files.example/cat.webp', alt: 'A cat', data: null },
+            caption: 'A *cat* on\na sofa',
+            generation: { size: '1024x1024', seed: 0, genId: null }
+        }]);
+        assert.strictEqual(markdown, '![A cat](https://files.example/cat.webp)\n\n*A \\*cat\\* on a sofa*\n\nSize: 1024x1024 · Seed: 0');
+    } finally {
+        window.close();
+    }
+});
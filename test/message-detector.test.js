@@ -0,0 +1,59 @@
+/**
+ * MessageDetector Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const PAGE = `<html><head><title>Trip ideas</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">Hello there</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant"><div class="markdown"><p>Hi, how can I help?</p></div></div></article>
+</main></body></html>`;
+
+test('MessageDetector reads the conversation id from the URL', async () => {
+    const window = createTestWindow([], { html: PAGE, url: 'https://chatgpt.com/c/6650a1b2-0000-fixture' });
+    try {
+        const { metadata } = await new window.MessageDetector({ platform: 'chatgpt' }).detectMessages();
+        assert.strictEqual(metadata.conversationId, '6650a1b2-0000-fixture');
+    } finally {
+        window.close();
+    }
+});
+
+test('MessageDetector gives chats without an id in the URL none', async () => {
+    const window = createTestWindow([], { html: PAGE, url: 'https://chatgpt.com/?temporary-chat=true' });
+    try {
+        const { metadata } = await new window.MessageDetector({ platform: 'chatgpt' }).detectMessages();
+        assert.strictEqual(metadata.conversationId, null);
+    } finally {
+        window.close();
+    }
+});
+
+test('MessageDetector finds the messages of a ChatGPT page in order, with their senders', async () => {
+    const window = createTestWindow([], { html: PAGE, url: 'https://chatgpt.com/c/6650a1b2-0000-fixture' });
+    try {
+        const { messages, metadata } = await new window.MessageDetector({ platform: 'chatgpt' }).detectMessages();
+        assert.strictEqual(metadata.title, 'Trip ideas');
+        assert.deepStrictEqual(plain(messages.map(message => `${message.senderType} ${message.sender}: ${message.content.trim()}`)),
+            ['user You: Hello there', 'assistant ChatGPT: Hi, how can I help?']);
+    } finally {
+        window.close();
+    }
+});
+
+test('MessageDetector finds the messages of a Gemini page', async () => {
+    const html = `<html><head><title>Gemini</title></head><body><main><div class="conversation-container">
+<div data-test-id="conversation-turn"><user-query><p>How does photosynthesis work in plants?</p></user-query></div>
+<div data-test-id="conversation-turn" class="model-response-turn"><model-response><p>It turns light energy into chemical energy.</p></model-response></div>
+</div></main></body></html>`;
+    const window = createTestWindow([], { html, url: 'https://gemini.google.com/app/0123' });
+    try {
+        const { messages, metadata } = await new window.MessageDetector({ platform: 'gemini' }).detectMessages();
+        assert.strictEqual(metadata.platform, 'Gemini');
+        assert.deepStrictEqual(plain(messages.map(message => `${message.senderType} ${message.sender}`)), ['user You', 'assistant Gemini']);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,41 @@
+/**
+ * ObsidianRenderer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow } = require('./helpers');
+
+const conversation = (url, conversationId) => ({
+    type: 'conversation',
+    title: 'Frontmatter',
+    url,
+    conversationId,
+    model: 'gpt-4o',
+    platform: 'ChatGPT',
+    exportedAt: '2026-01-02T03:04:05.000Z',
+    createdAt: null,
+    updatedAt: null,
+    turns: []
+});
+
+test('ObsidianRenderer writes the conversation id its URL carries', () => {
+    const window = createTestWindow();
+    try {
+        const note = new window.ObsidianRenderer().renderConversation(conversation('https://chatgpt.com/c/6650a1b2', '6650a1b2'));
+        assert.match(note, /^conversation_id: "?6650a1b2"?$/m);
+    } finally {
+        window.close();
+    }
+});
+
+test('ObsidianRenderer leaves out an id that is not in the URL', () => {
+    const window = createTestWindow();
+    try {
+        const note = new window.ObsidianRenderer().renderConversation(conversation('file:///saved/chat.html', 'conversation-turn-1'));
+        assert.doesNotMatch(note, /conversation_id/);
+        assert.match(note, /^model: "?gpt-4o"?$/m);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,70 @@
+/**
+ * PdfWriter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTestWindow, plain } = require('./helpers');
+
+function withWriter(check) {
+    const window = createTestWindow();
+    try {
+        check(new window.PdfWriter(), window);
+    } finally {
+        window.close();
+    }
+}
+
+test('PdfWriter encodes text as WinAnsi and remembers what it cannot show', () => {
+    withWriter(writer => {
+        assert.strictEqual(writer.encodeText('Café € “quote”\tend'), 'Café \x80 \x93quote\x94 end');
+        assert.strictEqual(writer.encodeText('中文 ❤️ ok'), '?? ? ok');
+        assert.deepStrictEqual(plain([...writer.unsupportedCharacters]), ['中', '文', '❤']);
+    });
+});
+
+test('PdfWriter escapes string literals', () => {
+    withWriter(writer => {
+        assert.strictEqual(writer.literal(writer.encodeText('a(b) \\ é')), '(a\\(b\\) \\\\ \\351)');
+    });
+});
+
+test('PdfWriter writes a cross-reference table that points at every object', () => {
+    withWriter(writer => {
+        const page = writer.addPage();
+        writer.drawText(page, 'Hello, PDF', 72, 720, { font: 'bold', size: 14 });
+        writer.addLink(page, 72, 700, 100, 12, 'https://example.com/é');
+        writer.addPage();
+        const pdf = Buffer.from(writer.generate({ title: 'Tëst 中' })).toString('latin1');
+
+        assert.ok(pdf.startsWith('%PDF-1.4\n'));
+        assert.ok(pdf.endsWith('%%EOF\n'));
+        const xref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+        assert.strictEqual(pdf.slice(xref, xref + 5), 'xref\n');
+
+        const [, count] = pdf.slice(xref).match(/^xref\n0 (\d+)\n/);
+        const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+        assert.strictEqual(offsets.length, Number(count) - 1);
+        offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1} at ${offset}`));
+        assert.match(pdf, /\/Count 2 >>/);
+        assert.match(pdf, /\/URI \(https:\/\/example\.com\/%C3%A9\)/);
+    });
+});
+
+test('PdfDocumentRenderer reports the characters the PDF fonts could not show', () => {
+    const window = createTestWindow();
+    try {
+        const conversation = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'branches.conversation.json'), 'utf8'));
+        const latin = new window.PdfDocumentRenderer();
+        latin.renderConversation(conversation);
+        assert.deepStrictEqual(plain(latin.unsupportedCharacters), []);
+
+        const chinese = new window.PdfDocumentRenderer();
+        chinese.renderConversation({ ...conversation, title: '排序 tips' });
+        assert.deepStrictEqual(plain(chinese.unsupportedCharacters), ['排', '序']);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,93 @@
+/**
+ * ProjectExporter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const PAGE = `<html><head><title>ChatGPT - Trip planning</title></head><body>
+<nav><a href="/g/g-p-0abc-trip-planning/project">Trip planning</a><a href="/c/other-1">Not in the project</a></nav>
+<main><h1>Trip planning</h1>
+<a href="/g/g-p-0abc-trip-planning/c/chat-1">Flights</a><a href="/g/g-p-0abc-trip-planning/c/chat-2">Hotels</a>
+</main></body></html>`;
+const PROJECT_URL = 'https://chatgpt.com/g/g-p-0abc-trip-planning/project';
+
+function createProjectWindow(fetch) {
+    const window = createTestWindow(['core/bulk-exporter.js', 'core/project-exporter.js'], { html: PAGE, url: PROJECT_URL });
+    window.console.warn = () => {};
+    window.fetch = fetch;
+    return window;
+}
+
+const json = data => ({ ok: true, status: 200, json: async () => data });
+
+test('ProjectExporter reads the project id from project and project chat paths', () => {
+    const window = createProjectWindow();
+    try {
+        assert.strictEqual(window.ProjectExporter.projectId('/g/g-p-0abc-trip-planning/project'), 'g-p-0abc');
+        assert.strictEqual(window.ProjectExporter.projectId('/g/g-p-0abc-trip-planning/c/chat-1'), 'g-p-0abc');
+        assert.strictEqual(window.ProjectExporter.projectId('/c/chat-1'), null);
+    } finally {
+        window.close();
+    }
+});
+
+test('ProjectExporter exports the project chats into a folder with a README of its details', async () => {
+    const requests = [];
+    const window = createProjectWindow(async (url, options) => {
+        requests.push([url, (options.headers || {}).Authorization || null]);
+        return url === '/api/auth/session' ? json({ accessToken: 'token' }) : json({
+            gizmo: { display: { name: 'Trip: planning' }, instructions: 'Answer in French.' },
+            files: [{ name: 'itinerary.pdf', type: 'application/pdf', size: 2048 }]
+        });
+    });
+    try {
+        const zip = new window.ZipWriter();
+        const exporter = new window.ProjectExporter({
+            archive: zip,
+            exportConversation: async entry => ({
+                conversation: { title: entry.title, turns: [{}] },
+                content: `# ${entry.title}\n`,
+                filename: `${entry.title}.md`
+            })
+        });
+        exporter.open = async () => {};
+
+        const project = await exporter.readProject();
+        assert.deepStrictEqual(plain(requests), [['/api/auth/session', null], ['/backend-api/gizmos/g-p-0abc', 'Bearer token']]);
+        assert.strictEqual(project.folder, 'Trip planning');
+        assert.strictEqual(project.url, PROJECT_URL);
+
+        const entries = await exporter.collectConversations();
+        assert.deepStrictEqual(plain(entries.map(entry => entry.id)), ['chat-1', 'chat-2']);
+        await exporter.run(entries);
+
+        const files = Object.fromEntries(zip.entries.map(entry => [entry.path, new TextDecoder().decode(entry.bytes)]));
+        assert.deepStrictEqual(Object.keys(files).sort(), ['Trip planning/README.md', 'Trip planning/chats/Flights.md', 'Trip planning/chats/Hotels.md']);
+
+        const readme = files['Trip planning/README.md'];
+        assert.ok(readme.startsWith('# Trip: planning\n'));
+        assert.ok(readme.includes('## Instructions\n\nAnswer in French.\n'));
+        assert.ok(readme.includes('| itinerary.pdf | application/pdf | 2.0 KB |'));
+        assert.ok(readme.includes('| [Flights](chats/Flights.md) | 1 | [open](https://chatgpt.com/g/g-p-0abc-trip-planning/c/chat-1) |'));
+    } finally {
+        window.close();
+    }
+});
+
+test('ProjectExporter falls back to the page heading when the project details cannot be loaded', async () => {
+    const window = createProjectWindow(async () => ({ ok: false, status: 403, json: async () => ({}) }));
+    try {
+        const exporter = new window.ProjectExporter();
+        const project = await exporter.readProject();
+        assert.deepStrictEqual(plain({ name: project.name, instructions: project.instructions, files: project.files }),
+            { name: 'Trip planning', instructions: null, files: null });
+
+        const readme = exporter.renderIndex([], []);
+        assert.ok(readme.includes('_The instructions could not be read._'));
+        assert.ok(readme.includes('_The file list could not be read._'));
+    } finally {
+        window.close();
+    }
+});
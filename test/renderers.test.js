@@ -0,0 +1,139 @@
+/**
+ * Renderer Tests
+ * Builds the conversation tree from fixture pages with the browser pipeline (in jsdom, as the CLI does)
+ * and compares the Markdown and JSON renderers' output with the expected files next to the fixtures.
+ *
+ * Usage: npm test
+ *        UPDATE_FIXTURES=1 npm test   (rewrite the expected files after an intended output change)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createPipelineWindow } = require('../cli/pipeline');
+const LocalImageEncoder = require('../cli/local-image-encoder');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Fixed so the exported date in the output doesn't change from run to run
+const EXPORTED_AT = '2026-01-02T03:04:05.000Z';
+
+/**
+ * Compare rendered output with an expected file in test/fixtures, or write it when UPDATE_FIXTURES is set
+ */
+function assertMatchesFixture(actual, name) {
+    const file = path.join(FIXTURES, name);
+    if (process.env.UPDATE_FIXTURES) {
+        fs.writeFileSync(file, actual);
+    }
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Detect the messages of a saved page fixture and build its conversation tree
+ */
+async function buildFixture(name) {
+    const window = createPipelineWindow({
+        html: fs.readFileSync(path.join(FIXTURES, name), 'utf8'),
+        url: 'https://chatgpt.com/c/0000-fixture'
+    });
+    // The builder logs its progress for the console scripts
+    window.console.log = () => {};
+
+    const result = await new window.MessageDetector({ platform: 'chatgpt' }).detectMessages();
+    result.metadata.timestamp = EXPORTED_AT;
+    const conversation = await new window.ConversationBuilder({ imageEncoder: new LocalImageEncoder(FIXTURES) }).build(result);
+    return { window, conversation };
+}
+
+test('ConversationBuilder builds the tree of a saved page', async () => {
+    const { window, conversation: built } = await buildFixture('chat.html');
+    try {
+        // Plain copy: the tree's arrays belong to the jsdom window, which deepStrictEqual tells apart
+        const conversation = JSON.parse(JSON.stringify(built));
+        assert.strictEqual(conversation.title, 'Fixture Chat - ChatGPT');
+        assert.deepStrictEqual(conversation.turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant']);
+        assert.deepStrictEqual(conversation.turns[1].blocks.map(block => block.type), [
+            'heading', 'paragraph', 'paragraph', 'math', 'image', 'list', 'code', 'blockquote', 'table', 'rule'
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownRenderer renders a saved page', async () => {
+    const { window, conversation } = await buildFixture('chat.html');
+    try {
+        assertMatchesFixture(new window.MarkdownRenderer().renderConversation(conversation), 'chat.md');
+    } finally {
+        window.close();
+    }
+});
+
+test('JsonRenderer renders a saved page', async () => {
+    const { window, conversation } = await buildFixture('chat.html');
+    try {
+        assertMatchesFixture(new window.JsonRenderer().renderConversation(conversation), 'chat.json');
+    } finally {
+        window.close();
+    }
+});
+
+test('Renderers walk every branch of a conversation tree', () => {
+    const window = createPipelineWindow();
+    try {
+        const conversation = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'branches.conversation.json'), 'utf8'));
+        assertMatchesFixture(new window.MarkdownRenderer().renderConversation(conversation), 'branches.md');
+        assertMatchesFixture(new window.JsonRenderer().renderConversation(conversation), 'branches.json');
+    } finally {
+        window.close();
+    }
+});
+
+test('Renderers label the source with the host of the conversation URL', () => {
+    const window = createPipelineWindow();
+    try {
+        const conversation = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'branches.conversation.json'), 'utf8'));
+        const renderer = new window.MarkdownRenderer();
+        assert.strictEqual(renderer.sourceLabel({ ...conversation, url: 'https://chat.openai.com/c/0000-fixture' }), 'chat.openai.com');
+        assert.strictEqual(renderer.sourceLabel({ ...conversation, url: 'file:///saved/chat.html' }), 'chatgpt.com');
+        assert.strictEqual(renderer.sourceLabel({ ...conversation, url: 'file:///saved/chat.html', platform: 'Gemini' }), 'gemini.google.com');
+        assert.match(new window.HtmlRenderer().renderConversation(conversation), />chatgpt\.com</);
+    } finally {
+        window.close();
+    }
+});
+
+test('JsonlRenderer writes one message per line with the conversation fields, branch path and attachments', () => {
+    const window = createPipelineWindow();
+    try {
+        const conversation = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'branches.conversation.json'), 'utf8'));
+        conversation.turns[0].blocks.push(
+            { type: 'paragraph', children: [{ type: 'image', src: 'https://files.example/chart.png', alt: 'chart', data: 'data:image/png;base64,AAAA' }] },
+            { type: 'attachments', files: [{ name: 'data.csv', href: null, mimeType: 'text/csv', size: 120 }] }
+        );
+
+        const lines = new window.JsonlRenderer().renderConversation(conversation).split('\n');
+        assert.strictEqual(lines.pop(), '');
+        const messages = lines.map(line => JSON.parse(line));
+
+        assert.deepStrictEqual(messages.map(({ index, role, branch, active }) => ({ index, role, branch, active })), [
+            { index: 0, role: 'user', branch: [], active: true },
+            { index: 1, role: 'assistant', branch: [1], active: false },
+            { index: 2, role: 'assistant', branch: [2], active: true },
+            { index: 3, role: 'user', branch: [2], active: true }
+        ]);
+        messages.forEach(message => {
+            assert.strictEqual(message.title, 'Sorting | tips');
+            assert.strictEqual(message.conversationId, '0000-fixture');
+        });
+        assert.deepStrictEqual(messages[0].attachments, [
+            { type: 'image', name: 'chart', url: 'https://files.example/chart.png', mimeType: 'image/png' },
+            { type: 'file', name: 'data.csv', url: null, mimeType: 'text/csv', size: 120 }
+        ]);
+        assert.strictEqual(messages[3].content, 'Thanks!');
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,102 @@
+/**
+ * ResearchReport and Report Renderer Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const LONG = 'Solar panels convert sunlight into electricity. '.repeat(70);
+
+// Where MarkdownParser puts options.citations[n]
+const cite = n => `\uE000${n}\uE001`;
+
+// A Deep Research report by its length: a title, sections (one repeated, one nested) and citations
+const REPORT = [
+    '# Solar power in 2025',
+    `Intro${cite(0)}`,
+    '### Costs',
+    LONG,
+    '#### Panels',
+    `Panel prices fell ${cite(1)} ${cite(0)}.`,
+    '### Outlook',
+    'More to come.',
+    '### Outlook',
+    'Still more.'
+].join('\n\n');
+
+function reportConversation(window, options = {}) {
+    const citations = [
+        { href: 'https://energy.example/report', label: 'Energy', title: 'Energy report' },
+        { href: 'https://prices.example/panels', label: 'Prices', title: 'Panel prices' }
+    ];
+    const reply = blocks => ({ type: 'turn', role: 'assistant', sender: 'ChatGPT', replyLabel: null, timestamp: '2025-03-04T05:06:07.000Z', blocks });
+    return {
+        title: 'Solar research',
+        url: 'https://chatgpt.com/c/0000-report',
+        exportedAt: '2026-01-02T03:04:05.000Z',
+        turns: [
+            { type: 'turn', role: 'user', sender: 'You', replyLabel: null, blocks: new window.MarkdownParser().parsePlainText('Research solar power') },
+            reply(new window.MarkdownParser().parse(options.report || REPORT, { citations })),
+            reply(new window.MarkdownParser().parse('## Short\n\nA follow-up answer.'))
+        ]
+    };
+}
+
+test('ResearchReport finds the report reply and numbers its sections from level 2', () => {
+    const window = createTestWindow();
+    try {
+        const report = window.ResearchReport.find(reportConversation(window));
+        assert.strictEqual(report.title, 'Solar power in 2025');
+        assert.deepStrictEqual(plain(report.sections), [
+            { level: 2, text: 'Costs', id: 'costs' },
+            { level: 3, text: 'Panels', id: 'panels' },
+            { level: 2, text: 'Outlook', id: 'outlook' },
+            { level: 2, text: 'Outlook', id: 'outlook-1' }
+        ]);
+        assert.strictEqual(report.blocks[0].type, 'paragraph');
+
+        assert.strictEqual(window.ResearchReport.find(reportConversation(window, { report: '# A\n\n## B\n\n## C\n\nShort.' })), null);
+    } finally {
+        window.close();
+    }
+});
+
+test('MarkdownReportRenderer writes the report with a table of contents and its sources, without the chat', () => {
+    const window = createTestWindow();
+    try {
+        const renderer = new window.MarkdownReportRenderer();
+        const markdown = renderer.renderConversation(reportConversation(window));
+
+        assert.ok(markdown.startsWith('# Solar power in 2025\n\n**Date:** 2025-03-04\n**Source:** [chatgpt.com](https://chatgpt.com/c/0000-report)\n'));
+        assert.ok(markdown.includes([
+            '## Contents\n',
+            '- [Costs](#costs)',
+            '  - [Panels](#panels)',
+            '- [Outlook](#outlook)',
+            '- [Outlook](#outlook-1)',
+            '- [Sources](#sources)'
+        ].join('\n')));
+        assert.ok(markdown.includes('Panel prices fell [^2] [^1].'));
+        assert.ok(markdown.includes('## Sources\n\n[^1]: [Energy report](https://energy.example/report) — energy.example\n[^2]: [Panel prices]'));
+        assert.ok(!markdown.includes('Research solar power'));
+        assert.ok(!markdown.includes('A follow-up answer'));
+
+        assert.strictEqual(renderer.renderConversation({ ...reportConversation(window), turns: [] }), null);
+    } finally {
+        window.close();
+    }
+});
+
+test('HtmlReportRenderer links the table of contents to the section anchors', () => {
+    const window = createTestWindow();
+    try {
+        const html = new window.HtmlReportRenderer().renderConversation(reportConversation(window));
+        assert.ok(html.includes('<li><a href="#costs">Costs</a><ul><li><a href="#panels">Panels</a></li></ul></li>'));
+        assert.match(html, /<h2 id="outlook-1">Outlook<\/h2>/);
+        assert.ok(html.includes('<a href="#report-sources">Sources</a>'));
+        assert.match(html, /id="report-sources"/);
+    } finally {
+        window.close();
+    }
+});
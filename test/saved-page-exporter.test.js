@@ -0,0 +1,45 @@
+/**
+ * SavedPageExporter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SavedPageExporter = require('../cli/saved-page-exporter');
+
+const PAGE = `<html><head><title>Same title - ChatGPT</title></head><body><main>
+<article data-testid="conversation-turn-1"><div data-message-author-role="user"><div class="whitespace-pre-wrap">Question of PAGE</div></div></article>
+<article data-testid="conversation-turn-2"><div data-message-author-role="assistant"><div class="markdown"><p>Answer of PAGE</p></div></div></article>
+</main></body></html>`;
+
+test('SavedPageExporter numbers template names that repeat in one run', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-pages-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'one.html'), PAGE.replace(/PAGE/g, 'one'));
+    fs.writeFileSync(path.join(dir, 'two.html'), PAGE.replace(/PAGE/g, 'two'));
+
+    const exporter = new SavedPageExporter({ filenameOptions: { template: '{title}' } });
+    const first = await exporter.exportFile(path.join(dir, 'one.html'), ['md']);
+    const second = await exporter.exportFile(path.join(dir, 'two.html'), ['md']);
+
+    assert.deepStrictEqual([...first, ...second].map(file => path.basename(file)), ['Same title - ChatGPT.md', 'Same title - ChatGPT 2.md']);
+    assert.match(fs.readFileSync(first[0], 'utf8'), /Answer of one/);
+    assert.match(fs.readFileSync(second[0], 'utf8'), /Answer of two/);
+});
+
+test('SavedPageExporter writes the images of an asset folder next to the Markdown', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-pages-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const png = Buffer.from('iVBORw0KGgo=', 'base64');
+    fs.mkdirSync(path.join(dir, 'chat_files'));
+    fs.writeFileSync(path.join(dir, 'chat_files', 'chart.png'), png);
+    fs.writeFileSync(path.join(dir, 'chat.html'), PAGE.replace('<p>Answer of PAGE</p>', '<p>Chart:</p><img src="chat_files/chart.png" alt="Chart">'));
+
+    const [output] = await new SavedPageExporter({ rendererOptions: { assetFolder: 'assets' } }).exportFile(path.join(dir, 'chat.html'), ['md']);
+
+    const link = fs.readFileSync(output, 'utf8').match(/!\[Chart\]\((assets\/image-[0-9a-f]{14}\.png)\)/);
+    assert.ok(link);
+    assert.deepStrictEqual(fs.readFileSync(path.join(path.dirname(output), link[1])), png);
+});
@@ -0,0 +1,119 @@
+/**
+ * SyncExporter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, plain } = require('./helpers');
+
+const paragraph = value => ({ type: 'paragraph', children: [{ type: 'text', value }] });
+const turn = (role, value) => ({ type: 'turn', role, sender: role === 'user' ? 'You' : 'ChatGPT', replyLabel: null, timestamp: null, html: null, blocks: [paragraph(value)] });
+const entry = { id: 'abc-123', title: 'Synced', href: 'https://chatgpt.com/c/abc-123' };
+
+function conversation(turns) {
+    return {
+        type: 'conversation', title: 'Synced', url: entry.href, conversationId: entry.id, model: null, platform: 'ChatGPT',
+        exportedAt: '2026-01-02T03:04:05.000Z', createdAt: null, updatedAt: null, turns
+    };
+}
+
+/**
+ * A window with the sync modules and Node's Web Crypto (jsdom has no crypto.subtle)
+ */
+function createSyncWindow() {
+    const window = createTestWindow(['core/bulk-exporter.js', 'core/sync-exporter.js']);
+    Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+    return window;
+}
+
+/**
+ * Sync one version of the conversation; `archive` maps file names to the archived files and gets the new ones
+ */
+async function sync(window, exporter, turns, archive) {
+    const zip = new window.ZipWriter();
+    const renderer = exporter.renderer;
+    const content = renderer.renderConversation(conversation(turns));
+    const file = await exporter.addConversation(zip, entry, { conversation: conversation(turns), content, attachments: [] }, new Set());
+    zip.entries.forEach(added => { archive[added.path] = new TextDecoder().decode(added.bytes); });
+    return { file, names: plain(zip.entries.map(added => added.path)) };
+}
+
+test('SyncExporter adds new conversations, skips unchanged ones and appends new turns', async () => {
+    const window = createSyncWindow();
+    try {
+        const archive = {};
+        const exporter = new window.SyncExporter({
+            renderer: new window.MarkdownRenderer(),
+            readExisting: async name => (name in archive ? archive[name] : null)
+        });
+        const first = [turn('user', 'Question one'), turn('assistant', 'Answer one')];
+
+        const added = await sync(window, exporter, first, archive);
+        assert.deepStrictEqual(added.names, ['Synced (2026-01-02).md']);
+        assert.strictEqual(exporter.manifest.conversations[entry.id].turns, 2);
+
+        const unchanged = await sync(window, exporter, first, archive);
+        assert.strictEqual(unchanged.file, null);
+        assert.deepStrictEqual(unchanged.names, []);
+
+        archive['Synced (2026-01-02).md'] += '\nMy own note\n';
+        await sync(window, exporter, [...first, turn('user', 'Question two'), turn('assistant', 'Answer two')], archive);
+        const appended = archive['Synced (2026-01-02).md'];
+        assert.match(appended, /Answer one[\s\S]*My own note[\s\S]*Question two[\s\S]*Answer two/);
+        assert.strictEqual(appended.match(/Question one/g).length, 1);
+
+        assert.deepStrictEqual(plain(exporter.summary), { added: 1, appended: 1, rewritten: 0, unchanged: 1 });
+    } finally {
+        window.close();
+    }
+});
+
+test('SyncExporter re-exports a conversation whose earlier turns changed', async () => {
+    const window = createSyncWindow();
+    try {
+        const archive = {};
+        const exporter = new window.SyncExporter({
+            renderer: new window.MarkdownRenderer(),
+            readExisting: async name => (name in archive ? archive[name] : null)
+        });
+
+        await sync(window, exporter, [turn('user', 'Question'), turn('assistant', 'First answer')], archive);
+        archive['Synced (2026-01-02).md'] += '\nMy own note\n';
+        await sync(window, exporter, [turn('user', 'Question'), turn('assistant', 'Edited answer'), turn('user', 'More'), turn('assistant', 'Sure')], archive);
+
+        const rewritten = archive['Synced (2026-01-02).md'];
+        assert.doesNotMatch(rewritten, /First answer|My own note/);
+        assert.match(rewritten, /Edited answer[\s\S]*Sure/);
+        assert.deepStrictEqual(plain(exporter.summary), { added: 1, appended: 0, rewritten: 1, unchanged: 0 });
+    } finally {
+        window.close();
+    }
+});
+
+test('SyncExporter numbers the footnotes of appended turns after the archived ones', async () => {
+    const window = createSyncWindow();
+    try {
+        const archive = {};
+        const exporter = new window.SyncExporter({
+            renderer: new window.MarkdownRenderer(),
+            readExisting: async name => (name in archive ? archive[name] : null)
+        });
+        const cited = (value, ...hrefs) => ({
+            ...turn('assistant', value),
+            blocks: [{ type: 'paragraph', children: [{ type: 'text', value }, ...hrefs.map(href => ({ type: 'citation', href, label: 'source', title: null }))] }]
+        });
+        const first = [turn('user', 'Question'), cited('Answer', 'https://example.com/a', 'https://example.com/b')];
+
+        await sync(window, exporter, first, archive);
+        await sync(window, exporter, [...first, turn('user', 'More'), cited('Again', 'https://example.com/c')], archive);
+
+        const file = archive['Synced (2026-01-02).md'];
+        assert.deepStrictEqual(plain(file.match(/^\[\^\d+\]:/gm)), ['[^1]:', '[^2]:', '[^3]:']);
+        assert.match(file, /Again\s*\[\^3\]/);
+
+        // The next conversation starts over at 1
+        assert.match(exporter.renderer.renderConversation(conversation(first)), /Answer\s*\[\^1\]/);
+    } finally {
+        window.close();
+    }
+});
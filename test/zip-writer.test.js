@@ -0,0 +1,47 @@
+/**
+ * ZipWriter Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestWindow, readZip } = require('./helpers');
+
+test('ZipWriter computes the standard CRC-32', () => {
+    const window = createTestWindow();
+    try {
+        assert.strictEqual(window.ZipWriter.crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+        assert.strictEqual(window.ZipWriter.crc32(new Uint8Array(0)), 0);
+    } finally {
+        window.close();
+    }
+});
+
+test('ZipWriter writes entries that read back with their names, data and CRC', () => {
+    const window = createTestWindow();
+    try {
+        const zip = new window.ZipWriter();
+        zip.addFile('Chat (2024-05-01).md', '# Chat\n');
+        zip.addFile('assets/Café.txt', new TextEncoder().encode('123456789'));
+
+        assert.deepStrictEqual(readZip(zip.generate()), [
+            { name: 'Chat (2024-05-01).md', crc: window.ZipWriter.crc32(new TextEncoder().encode('# Chat\n')), data: '# Chat\n' },
+            { name: 'assets/Café.txt', crc: 0xcbf43926, data: '123456789' }
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('ZipWriter keeps one entry per name, the last one added', () => {
+    const window = createTestWindow();
+    try {
+        const zip = new window.ZipWriter();
+        zip.addFile('index.md', 'first');
+        zip.addFile('other.md', 'other');
+        zip.addFile('index.md', 'second');
+
+        assert.deepStrictEqual(readZip(zip.generate()).map(({ name, data }) => [name, data]), [['index.md', 'second'], ['other.md', 'other']]);
+    } finally {
+        window.close();
+    }
+});